@@ -27,6 +27,9 @@ config.resolver.sourceExts = [
   'mjs'
 ];
 
+// expo-sqlite ships its web worker as WebAssembly
+config.resolver.assetExts = [...config.resolver.assetExts, 'wasm'];
+
 // Ensure node_modules resolution works correctly
 config.resolver.nodeModulesPaths = [
   path.resolve(__dirname, 'node_modules')
@@ -86,6 +89,24 @@ config.transformer = {
   },
 };
 
+// SharedArrayBuffer (used by expo-sqlite on web) needs a cross-origin
+// isolated page. COOP "same-origin" would isolate it but also cut the page
+// off from the popups used by Firebase signInWithPopup and the Google
+// auth-session flow, so the page asks for isolation through
+// Document-Isolation-Policy instead (Chromium 137+). Browsers without it run
+// unisolated and PlanDatabase falls back to AsyncStorage, which the plan
+// library warns about. This only covers `expo start`; the host serving
+// `expo export` output must send the same headers (see "Web Hosting Headers"
+// in the README).
+config.server = {
+  ...config.server,
+  enhanceMiddleware: (middleware) => (req, res, next) => {
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin-allow-popups');
+    res.setHeader('Document-Isolation-Policy', 'isolate-and-credentialless');
+    return middleware(req, res, next);
+  },
+};
+
 // Add watchman configuration to prevent file watching issues
 config.watchFolders = [
   path.resolve(__dirname, 'src'),
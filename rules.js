@@ -73,6 +73,29 @@ App configuration and settings:
 rules_version = '2';
 service cloud.firestore {
   match /databases/{database}/documents {
+
+    // Records kept about one athlete name the athlete in athleteId, the
+    // coaches who may see them in coachIds and, where guardians may read
+    // them, the athlete's linked guardians in guardianIds
+    function isAthleteOrCoach(data) {
+      return request.auth != null &&
+             (request.auth.uid == data.athleteId || request.auth.uid in data.coachIds);
+    }
+
+    function isAthleteCoachOrGuardian(data) {
+      return isAthleteOrCoach(data) ||
+             (request.auth != null && request.auth.uid in data.guardianIds);
+    }
+
+    // Moderators carry the moderator custom claim, set with the Admin SDK:
+    // admin.auth().setCustomUserClaims(uid, { moderator: true })
+    function isModerator() {
+      return request.auth != null && request.auth.token.moderator == true;
+    }
+
+    function isSignedIn(userId) {
+      return request.auth != null && request.auth.uid == userId;
+    }
     
     // Users can read/write their own data
     match /users/{userId} {
@@ -93,7 +116,94 @@ service cloud.firestore {
     match /app_metadata/{document} {
       allow read: if request.auth != null;
     }
-    
+
+    // Injury records and restriction alerts: the athlete and their coaches
+    // keep them, linked guardians can only read them
+    match /injuryRecords/{injuryId} {
+      allow read: if isAthleteCoachOrGuardian(resource.data);
+      allow delete: if isAthleteOrCoach(resource.data);
+      allow create: if isAthleteOrCoach(request.resource.data);
+      allow update: if isAthleteOrCoach(resource.data) &&
+                       request.resource.data.athleteId == resource.data.athleteId;
+    }
+    match /injuryAlerts/{alertId} {
+      allow read: if isAthleteCoachOrGuardian(resource.data);
+      allow delete: if isAthleteOrCoach(resource.data);
+      allow create: if isAthleteOrCoach(request.resource.data);
+      allow update: if isAthleteOrCoach(resource.data) &&
+                       request.resource.data.athleteId == resource.data.athleteId;
+    }
+
+    // Training load log (duration x RPE per athlete and session). The
+    // athlete in an entry stays fixed; coachIds may change as coaches join.
+    match /loadEntries/{entryId} {
+      allow read, delete: if isAthleteOrCoach(resource.data);
+      allow create: if isAthleteOrCoach(request.resource.data);
+      allow update: if isAthleteOrCoach(resource.data) &&
+                       request.resource.data.athleteId == resource.data.athleteId;
+    }
+
+    // A guardian asks to link to a child; only the child or a moderator can
+    // approve or decline, once, and the people named never change
+    match /guardian_link_requests/{requestId} {
+      allow read: if isModerator() ||
+                     isSignedIn(resource.data.childId) ||
+                     isSignedIn(resource.data.guardianId);
+      allow create: if isSignedIn(request.resource.data.guardianId) &&
+                       request.resource.data.childId != request.auth.uid &&
+                       request.resource.data.status == 'pending' &&
+                       request.resource.data.id == requestId;
+      allow update: if (isModerator() || isSignedIn(resource.data.childId)) &&
+                       resource.data.status == 'pending' &&
+                       request.resource.data.status in ['approved', 'declined'] &&
+                       request.resource.data.childId == resource.data.childId &&
+                       request.resource.data.guardianId == resource.data.guardianId &&
+                       request.resource.data.respondedBy == request.auth.uid;
+    }
+
+    // Guardian links. Any signed-in user may read them: whoever starts or
+    // changes a chat looks up the participants' links to list their
+    // guardians as observers. Only the child or a moderator sets who is
+    // linked; a linked guardian may only switch chat mirroring.
+    match /guardian_links/{childId} {
+      allow read: if request.auth != null;
+      allow create, update: if (isModerator() || isSignedIn(childId)) &&
+                               request.resource.data.childId == childId;
+      allow update: if request.auth != null &&
+                       request.auth.uid in resource.data.guardianIds &&
+                       request.resource.data.diff(resource.data).affectedKeys()
+                         .hasOnly(['mirrorChats', 'updatedAt']);
+    }
+
+    // Anyone can report as themselves; reporters see their own reports and
+    // only moderators see the queue or change a report
+    match /moderation_reports/{reportId} {
+      allow read: if isModerator() || isSignedIn(resource.data.reporterId);
+      allow create: if isSignedIn(request.resource.data.reporterId) &&
+                       request.resource.data.status == 'open' &&
+                       request.resource.data.assignedTo == null;
+      allow update: if isModerator();
+    }
+
+    // Warnings are issued by moderators and shown to the warned user
+    match /moderation_warnings/{warningId} {
+      allow read: if isModerator() || isSignedIn(resource.data.userId);
+      allow create: if isModerator() &&
+                       request.resource.data.moderatorId == request.auth.uid;
+    }
+
+    // Blocks are kept at {blockerId}_{blockedId}. Both users may read the
+    // document by its id, also when it does not exist, so the blocked
+    // user's app can tell a message will not be delivered.
+    match /blocks/{blockId} {
+      allow read: if isModerator() ||
+                     isSignedIn(resource.data.blockerId) ||
+                     (request.auth != null && request.auth.uid in blockId.split('_'));
+      allow create, update: if isSignedIn(request.resource.data.blockerId) &&
+                               blockId == request.auth.uid + '_' + request.resource.data.blockedId;
+      allow delete: if isSignedIn(resource.data.blockerId);
+    }
+
     // Default deny all other access
     match /{document=**} {
       allow read, write: if false;
@@ -0,0 +1,64 @@
+// src/components/chat/VideoClipPlayer.js
+import React, { useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Portal, Modal, IconButton } from 'react-native-paper';
+import { VideoView, useVideoPlayer } from 'expo-video';
+import ChatMedia from '../../services/ChatMedia';
+
+// Full-screen playback for a video clip attachment. Clips sent without the
+// native trimmer carry a trim window, and playback stays inside it.
+const VideoClipPlayer = ({ attachment, onDismiss }) => {
+  const source = attachment.url || ChatMedia.playableUri(attachment.localUri);
+  const trimStart = (attachment.trim?.start || 0) / 1000;
+  const trimEnd = attachment.trim ? attachment.trim.end / 1000 : null;
+
+  const player = useVideoPlayer(source, videoPlayer => {
+    videoPlayer.timeUpdateEventInterval = 0.25;
+    videoPlayer.currentTime = trimStart;
+    videoPlayer.play();
+  });
+
+  useEffect(() => {
+    if (trimEnd === null) return;
+
+    const subscription = player.addListener('timeUpdate', ({ currentTime }) => {
+      if (currentTime >= trimEnd) {
+        player.pause();
+        player.currentTime = trimStart;
+      }
+    });
+    return () => subscription.remove();
+  }, [player, trimStart, trimEnd]);
+
+  return (
+    <Portal>
+      <Modal visible onDismiss={onDismiss} contentContainerStyle={styles.container}>
+        <View style={styles.header}>
+          <IconButton icon="close" size={24} iconColor="white" onPress={onDismiss} />
+        </View>
+        <VideoView
+          style={styles.video}
+          player={player}
+          allowsFullscreen
+          contentFit="contain"
+        />
+      </Modal>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  video: {
+    flex: 1,
+  },
+});
+
+export default VideoClipPlayer;
@@ -0,0 +1,222 @@
+// src/components/chat/VideoClipTrimmer.js
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import { Text, Button, Portal, Modal } from 'react-native-paper';
+import Slider from '@react-native-community/slider';
+import { VideoView, useVideoPlayer } from 'expo-video';
+import { COLORS } from '../../styles/colors';
+import ChatMedia, { VIDEO_CLIP_MAX_MS } from '../../services/ChatMedia';
+import { formatDuration } from './VoiceNotePlayer';
+
+const MIN_CLIP_MS = 1000;
+
+// Lets the sender cut a picked video down to a short clip and choose the
+// frame used as its poster before it goes to the attachment queue.
+// Mount it with the picked file; onSend receives the trimmed file with
+// posterTime set. Where videos cannot be cut (web, Expo Go) the whole file
+// is sent, so longer videos are turned away.
+const VideoClipTrimmer = ({ file, onSend, onCancel }) => {
+  const [duration, setDuration] = useState(file.duration || 0);
+  const [start, setStart] = useState(0);
+  const [end, setEnd] = useState(Math.min(file.duration || 0, VIDEO_CLIP_MAX_MS));
+  const [posterTime, setPosterTime] = useState(0);
+  const [processing, setProcessing] = useState(false);
+  const [canCut, setCanCut] = useState(true);
+
+  const player = useVideoPlayer(file.uri, videoPlayer => {
+    videoPlayer.timeUpdateEventInterval = 0.25;
+  });
+
+  useEffect(() => {
+    ChatMedia.getTrimmer().then(trimmer => setCanCut(!!trimmer));
+  }, []);
+
+  // Picker results do not always carry a duration; fall back to the player's
+  useEffect(() => {
+    const subscription = player.addListener('statusChange', ({ status }) => {
+      if (status === 'readyToPlay' && !duration && player.duration) {
+        const loaded = Math.round(player.duration * 1000);
+        setDuration(loaded);
+        setEnd(Math.min(loaded, VIDEO_CLIP_MAX_MS));
+      }
+    });
+    return () => subscription.remove();
+  }, [player, duration]);
+
+  // Preview loops inside the selected window
+  useEffect(() => {
+    const subscription = player.addListener('timeUpdate', ({ currentTime }) => {
+      if (currentTime * 1000 >= end) {
+        player.currentTime = start / 1000;
+      }
+    });
+    return () => subscription.remove();
+  }, [player, start, end]);
+
+  const seek = (ms) => {
+    player.pause();
+    player.currentTime = ms / 1000;
+  };
+
+  const changeStart = (value) => {
+    const nextStart = Math.min(value, duration - MIN_CLIP_MS);
+    setStart(nextStart);
+    if (end - nextStart > VIDEO_CLIP_MAX_MS) setEnd(nextStart + VIDEO_CLIP_MAX_MS);
+    if (end - nextStart < MIN_CLIP_MS) setEnd(nextStart + MIN_CLIP_MS);
+    setPosterTime(0);
+    seek(nextStart);
+  };
+
+  const changeEnd = (value) => {
+    const nextEnd = Math.max(value, MIN_CLIP_MS);
+    setEnd(nextEnd);
+    if (nextEnd - start > VIDEO_CLIP_MAX_MS) setStart(nextEnd - VIDEO_CLIP_MAX_MS);
+    if (nextEnd - start < MIN_CLIP_MS) setStart(Math.max(0, nextEnd - MIN_CLIP_MS));
+    setPosterTime(0);
+    seek(nextEnd);
+  };
+
+  const changePoster = (value) => {
+    setPosterTime(value);
+    seek(start + value);
+  };
+
+  const handleSend = async () => {
+    try {
+      setProcessing(true);
+      player.pause();
+      const clip = await ChatMedia.trimVideo({ ...file, duration }, start, end);
+      await onSend({ ...clip, posterTime });
+    } catch (error) {
+      console.error('Error preparing video clip:', error);
+      Alert.alert('Clip Not Sent', error.message || 'Could not prepare the video clip');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const clipLength = end - start;
+  const tooLong = !canCut && duration > VIDEO_CLIP_MAX_MS;
+
+  return (
+    <Portal>
+      <Modal
+        visible
+        onDismiss={processing ? undefined : onCancel}
+        contentContainerStyle={styles.container}>
+        <Text style={styles.title}>Trim clip</Text>
+
+        <VideoView style={styles.video} player={player} nativeControls={false} contentFit="contain" />
+
+        <View style={styles.controls}>
+          <View style={styles.row}>
+            <Text style={styles.label}>Start {formatDuration(start)}</Text>
+            <Text style={styles.label}>End {formatDuration(end)}</Text>
+          </View>
+          <Slider
+            minimumValue={0}
+            maximumValue={Math.max(duration, MIN_CLIP_MS)}
+            value={start}
+            step={100}
+            onSlidingComplete={changeStart}
+            minimumTrackTintColor={COLORS.primary}
+            disabled={!duration || processing}
+          />
+          <Slider
+            minimumValue={0}
+            maximumValue={Math.max(duration, MIN_CLIP_MS)}
+            value={end}
+            step={100}
+            onSlidingComplete={changeEnd}
+            minimumTrackTintColor={COLORS.primary}
+            disabled={!duration || processing}
+          />
+          <Text style={styles.hint}>
+            Clip length {formatDuration(clipLength)} (up to {VIDEO_CLIP_MAX_MS / 1000}s)
+          </Text>
+          {!canCut && (
+            <Text style={[styles.hint, tooLong && styles.warning]}>
+              {tooLong
+                ? `Videos cannot be cut here. Pick one up to ${VIDEO_CLIP_MAX_MS / 1000}s long, or send it from the mobile app.`
+                : 'Videos cannot be cut here, so the whole video is sent and plays from the chosen start to end.'}
+            </Text>
+          )}
+
+          <Text style={[styles.label, styles.posterLabel]}>Cover frame {formatDuration(posterTime)}</Text>
+          <Slider
+            minimumValue={0}
+            maximumValue={Math.max(clipLength, 1)}
+            value={posterTime}
+            step={100}
+            onSlidingComplete={changePoster}
+            minimumTrackTintColor={COLORS.accent}
+            disabled={!duration || processing}
+          />
+        </View>
+
+        <View style={styles.actions}>
+          <Button mode="text" onPress={onCancel} disabled={processing}>
+            Cancel
+          </Button>
+          <Button mode="outlined" icon="play-arrow" onPress={() => { seek(start); player.play(); }} disabled={processing}>
+            Preview
+          </Button>
+          <Button mode="contained" icon="send" onPress={handleSend} loading={processing} disabled={processing || !duration || tooLong}>
+            Send
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: COLORS.surface,
+    margin: 16,
+    borderRadius: 16,
+    padding: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: 12,
+  },
+  video: {
+    width: '100%',
+    aspectRatio: 16 / 9,
+    backgroundColor: 'black',
+    borderRadius: 8,
+  },
+  controls: {
+    marginTop: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 13,
+    color: COLORS.text,
+  },
+  posterLabel: {
+    marginTop: 12,
+  },
+  hint: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+  },
+  warning: {
+    color: COLORS.error,
+    marginTop: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+});
+
+export default VideoClipTrimmer;
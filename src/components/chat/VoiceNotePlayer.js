@@ -0,0 +1,146 @@
+// src/components/chat/VoiceNotePlayer.js
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import { COLORS } from '../../styles/colors';
+import ChatMedia from '../../services/ChatMedia';
+
+const PLAYBACK_RATES = [1, 1.5, 2];
+const FLAT_WAVEFORM = new Array(40).fill(20);
+
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Plays a voice note attachment from its uploaded URL, or from the staged
+// copy while the upload is still queued. Tapping the waveform seeks.
+const VoiceNotePlayer = ({ attachment, isMe = false }) => {
+  const source = attachment.url || ChatMedia.playableUri(attachment.localUri) || attachment.uri || null;
+  const player = useAudioPlayer(source ? { uri: source } : null);
+  const status = useAudioPlayerStatus(player);
+  const [rate, setRate] = useState(1);
+
+  const durationMs = attachment.duration || (status.duration || 0) * 1000;
+  const positionMs = (status.currentTime || 0) * 1000;
+  const progress = durationMs ? Math.min(1, positionMs / durationMs) : 0;
+  const waveform = attachment.waveform?.length ? attachment.waveform : FLAT_WAVEFORM;
+
+  useEffect(() => {
+    if (status.didJustFinish) {
+      player.pause();
+      player.seekTo(0);
+    }
+  }, [status.didJustFinish]);
+
+  const togglePlayback = () => {
+    if (status.playing) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  };
+
+  const cycleRate = () => {
+    const next = PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length];
+    player.shouldCorrectPitch = true;
+    player.setPlaybackRate(next);
+    setRate(next);
+  };
+
+  const seekToBar = (index) => {
+    if (!durationMs) return;
+    player.seekTo(((index / waveform.length) * durationMs) / 1000);
+  };
+
+  const tint = isMe ? 'white' : COLORS.primary;
+  const faded = isMe ? 'rgba(255,255,255,0.45)' : 'rgba(46,134,171,0.3)';
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={togglePlayback} disabled={!source} style={styles.playButton}>
+        <Icon name={status.playing ? 'pause' : 'play-arrow'} size={28} color={tint} />
+      </TouchableOpacity>
+
+      <View style={styles.waveform}>
+        {waveform.map((height, index) => (
+          <TouchableOpacity
+            key={index}
+            style={styles.barTouch}
+            onPress={() => seekToBar(index)}>
+            <View
+              style={[
+                styles.bar,
+                {
+                  height: `${height}%`,
+                  backgroundColor: index / waveform.length < progress ? tint : faded
+                }
+              ]}
+            />
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.meta}>
+        <Text style={[styles.time, { color: tint }]}>
+          {formatDuration(status.playing || positionMs > 0 ? positionMs : durationMs)}
+        </Text>
+        <TouchableOpacity onPress={cycleRate} style={[styles.rateButton, { borderColor: tint }]}>
+          <Text style={[styles.rateText, { color: tint }]}>{rate}x</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    minWidth: 220,
+    paddingVertical: 4,
+  },
+  playButton: {
+    marginRight: 4,
+  },
+  waveform: {
+    flex: 1,
+    height: 32,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  barTouch: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'center',
+    paddingHorizontal: 0.5,
+  },
+  bar: {
+    width: '100%',
+    minHeight: 2,
+    borderRadius: 1,
+  },
+  meta: {
+    alignItems: 'flex-end',
+    marginLeft: 8,
+  },
+  time: {
+    fontSize: 11,
+  },
+  rateButton: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 5,
+    marginTop: 2,
+  },
+  rateText: {
+    fontSize: 10,
+    fontWeight: '600',
+  },
+});
+
+export default VoiceNotePlayer;
@@ -0,0 +1,194 @@
+// src/components/chat/VoiceRecorder.js
+import React, { useEffect, useRef, useState } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import { Text, IconButton } from 'react-native-paper';
+import {
+  useAudioRecorder,
+  useAudioRecorderState,
+  RecordingPresets,
+  AudioModule,
+  setAudioModeAsync
+} from 'expo-audio';
+import { COLORS } from '../../styles/colors';
+import ChatMedia, { VOICE_NOTE_MAX_MS } from '../../services/ChatMedia';
+import VoiceNotePlayer, { formatDuration } from './VoiceNotePlayer';
+
+const LIVE_BARS = 32;
+const MIN_VOICE_NOTE_MS = 1000;
+
+// Replaces the message input while a voice note is recorded. Recording
+// starts on mount; stopping shows a preview with the waveform that can be
+// sent or thrown away. onSend receives a file for sendAttachmentMessage.
+const VoiceRecorder = ({ onSend, onCancel }) => {
+  const recorder = useAudioRecorder({ ...RecordingPresets.HIGH_QUALITY, isMeteringEnabled: true });
+  const recorderState = useAudioRecorderState(recorder, 100);
+  const samples = useRef([]);
+  const stopping = useRef(false);
+  const [recording, setRecording] = useState(null);
+
+  useEffect(() => {
+    startRecording();
+
+    return () => {
+      if (recorder.isRecording) {
+        recorder.stop().catch(() => {});
+      }
+      setAudioModeAsync({ allowsRecording: false }).catch(() => {});
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!recorderState.isRecording) return;
+
+    if (typeof recorderState.metering === 'number') {
+      samples.current.push(recorderState.metering);
+    }
+    if (recorderState.durationMillis >= VOICE_NOTE_MAX_MS) {
+      stopRecording();
+    }
+  }, [recorderState.durationMillis]);
+
+  const startRecording = async () => {
+    try {
+      const permission = await AudioModule.requestRecordingPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Permission Required', 'Microphone access is needed to record voice messages');
+        onCancel();
+        return;
+      }
+
+      await setAudioModeAsync({ playsInSilentMode: true, allowsRecording: true });
+      await recorder.prepareToRecordAsync();
+      recorder.record();
+    } catch (error) {
+      console.error('Error starting voice recording:', error);
+      Alert.alert('Error', 'Could not start recording');
+      onCancel();
+    }
+  };
+
+  const stopRecording = async () => {
+    if (stopping.current) return;
+    stopping.current = true;
+    const durationMillis = recorderState.durationMillis;
+
+    try {
+      await recorder.stop();
+      // Playback is routed to the earpiece on iOS while recording is allowed
+      await setAudioModeAsync({ allowsRecording: false });
+    } catch (error) {
+      console.error('Error stopping voice recording:', error);
+    }
+
+    if (!recorder.uri || durationMillis < MIN_VOICE_NOTE_MS) {
+      onCancel();
+      return;
+    }
+
+    setRecording({
+      uri: recorder.uri,
+      name: `voice_note_${Date.now()}.m4a`,
+      type: 'audio/mp4',
+      duration: durationMillis,
+      waveform: ChatMedia.buildWaveform(samples.current)
+    });
+  };
+
+  const liveBars = samples.current.slice(-LIVE_BARS);
+
+  return (
+    <View style={styles.container}>
+      <IconButton
+        icon="delete-outline"
+        size={24}
+        iconColor={COLORS.error}
+        onPress={onCancel}
+      />
+
+      {recording ? (
+        <View style={styles.preview}>
+          <VoiceNotePlayer attachment={recording} />
+        </View>
+      ) : (
+        <View style={styles.live}>
+          <View style={styles.recordingDot} />
+          <Text style={styles.timer}>{formatDuration(recorderState.durationMillis)}</Text>
+          <View style={styles.liveWaveform}>
+            {liveBars.map((db, index) => (
+              <View
+                key={index}
+                style={[styles.liveBar, { height: `${Math.max(8, ChatMedia.meteringLevel(db) * 100)}%` }]}
+              />
+            ))}
+          </View>
+        </View>
+      )}
+
+      {recording ? (
+        <IconButton
+          icon="send"
+          size={24}
+          iconColor="white"
+          style={styles.actionButton}
+          onPress={() => onSend(recording)}
+        />
+      ) : (
+        <IconButton
+          icon="stop"
+          size={24}
+          iconColor="white"
+          style={styles.actionButton}
+          onPress={stopRecording}
+          disabled={!recorderState.isRecording}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  preview: {
+    flex: 1,
+    paddingHorizontal: 8,
+  },
+  live: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: COLORS.error,
+    marginRight: 8,
+  },
+  timer: {
+    fontSize: 14,
+    color: COLORS.text,
+    width: 44,
+  },
+  liveWaveform: {
+    flex: 1,
+    height: 28,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  liveBar: {
+    width: 3,
+    marginHorizontal: 1,
+    borderRadius: 1.5,
+    backgroundColor: COLORS.primary,
+  },
+  actionButton: {
+    backgroundColor: COLORS.primary,
+  },
+});
+
+export default VoiceRecorder;
@@ -0,0 +1,160 @@
+// src/components/coach/SessionLoadDialog.js
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Text, Button, Portal, Modal, TextInput, Divider } from 'react-native-paper';
+import Slider from '@react-native-community/slider';
+import { COLORS } from '../../styles/colors';
+
+// Borg CR-10 wording, as athletes are usually asked "how hard was it?"
+const RPE_LABELS = [
+  'Rest', 'Very easy', 'Easy', 'Moderate', 'Somewhat hard',
+  'Hard', 'Hard', 'Very hard', 'Very hard', 'Very hard', 'Maximal'
+];
+
+const describeRPE = (rpe) => (rpe == null ? 'Not rated' : `${rpe} · ${RPE_LABELS[rpe]}`);
+
+// Asked when a coach ends a session: how long it ran and each athlete's
+// session RPE (0-10). Athletes left unrated are not logged. onSubmit
+// receives { duration, athleteLoads: [{ athleteId, athleteName, rpe }] }.
+const SessionLoadDialog = ({ visible, athletes, defaultDuration, saving, onSubmit, onDismiss }) => {
+  const [duration, setDuration] = useState(String(defaultDuration || ''));
+  const [ratings, setRatings] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setDuration(String(defaultDuration || ''));
+      setRatings({});
+    }
+  }, [visible, defaultDuration]);
+
+  const rateAll = (value) => {
+    setRatings(Object.fromEntries(athletes.map(athlete => [athlete.id, value])));
+  };
+
+  const minutes = parseInt(duration, 10);
+  const athleteLoads = athletes
+    .filter(athlete => ratings[athlete.id] != null)
+    .map(athlete => ({ athleteId: athlete.id, athleteName: athlete.name, rpe: ratings[athlete.id] }));
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={saving ? undefined : onDismiss}
+        contentContainerStyle={styles.container}>
+        <Text style={styles.title}>How hard was it?</Text>
+
+        <TextInput
+          mode="outlined"
+          label="Duration (minutes)"
+          value={duration}
+          onChangeText={setDuration}
+          keyboardType="number-pad"
+          style={styles.duration}
+        />
+
+        {athletes.length === 0 ? (
+          <Text style={styles.hint}>
+            Assign this plan to athletes to track their training load from its sessions.
+          </Text>
+        ) : (
+          <ScrollView style={styles.list}>
+            <Text style={styles.label}>Whole group</Text>
+            <Slider
+              minimumValue={0}
+              maximumValue={10}
+              step={1}
+              onSlidingComplete={rateAll}
+              minimumTrackTintColor={COLORS.primary}
+              disabled={saving}
+            />
+            <Divider style={styles.divider} />
+
+            {athletes.map(athlete => (
+              <View key={athlete.id} style={styles.athlete}>
+                <View style={styles.row}>
+                  <Text style={styles.label}>{athlete.name || 'Athlete'}</Text>
+                  <Text style={styles.rating}>{describeRPE(ratings[athlete.id])}</Text>
+                </View>
+                <Slider
+                  minimumValue={0}
+                  maximumValue={10}
+                  step={1}
+                  value={ratings[athlete.id] ?? 0}
+                  onSlidingComplete={value => setRatings(prev => ({ ...prev, [athlete.id]: value }))}
+                  minimumTrackTintColor={COLORS.primary}
+                  disabled={saving}
+                />
+              </View>
+            ))}
+          </ScrollView>
+        )}
+
+        <View style={styles.actions}>
+          <Button mode="text" onPress={onDismiss} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            mode="contained"
+            icon="check"
+            onPress={() => onSubmit({ duration: minutes, athleteLoads })}
+            loading={saving}
+            disabled={saving || !(minutes > 0)}>
+            End Session
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: COLORS.surface,
+    margin: 16,
+    borderRadius: 16,
+    padding: 16,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: 12,
+  },
+  duration: {
+    marginBottom: 12,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  athlete: {
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 14,
+    color: COLORS.text,
+  },
+  rating: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+});
+
+export default SessionLoadDialog;
@@ -137,6 +137,82 @@ export function useChatWithAuth() {
     return await ChatService.uploadFile(file, chatId, messageId, onProgress);
   };
 
+  // Method to send a message with attachments (staged and uploaded in the background)
+  const sendAttachmentMessage = async (chatId, files, messageData = {}) => {
+    if (!currentFirebaseUser) {
+      throw new Error('User not authenticated with Firebase');
+    }
+
+    return await ChatService.sendAttachmentMessage(chatId, files, {
+      ...messageData,
+      senderId: currentFirebaseUser.uid
+    });
+  };
+
+  // Method to retry or discard a message whose attachments failed to upload
+  const retryAttachmentMessage = async (messageId) => {
+    return await ChatService.retryAttachmentMessage(messageId);
+  };
+
+  const discardAttachmentMessage = async (messageId) => {
+    return await ChatService.discardAttachmentMessage(messageId);
+  };
+
+  // Methods to block and unblock users for the current account
+  const blockUser = async (userId, details = {}) => {
+    if (!currentFirebaseUser) {
+      throw new Error('User not authenticated with Firebase');
+    }
+
+    return await ChatService.blockUser(currentFirebaseUser.uid, userId, details);
+  };
+
+  const unblockUser = async (userId) => {
+    if (!currentFirebaseUser) {
+      throw new Error('User not authenticated with Firebase');
+    }
+
+    return await ChatService.unblockUser(currentFirebaseUser.uid, userId);
+  };
+
+  const getBlockedUsers = async () => {
+    if (!currentFirebaseUser) {
+      return [];
+    }
+
+    return await ChatService.getBlockedUsers(currentFirebaseUser.uid);
+  };
+
+  // Methods to search cached messages and jump to one in its chat
+  const searchMessages = async (query, filters = {}) => {
+    if (!currentFirebaseUser) {
+      return { success: true, results: [], total: 0 };
+    }
+
+    return await ChatService.searchMessages(query, filters);
+  };
+
+  const getMessageContext = async (chatId, messageId) => {
+    return await ChatService.getMessageContext(chatId, messageId);
+  };
+
+  // Methods to pin and unpin messages in a chat
+  const pinMessage = async (chatId, message) => {
+    if (!currentFirebaseUser) {
+      throw new Error('User not authenticated with Firebase');
+    }
+
+    return await ChatService.pinMessage(chatId, message, currentFirebaseUser.uid);
+  };
+
+  const unpinMessage = async (chatId, messageId) => {
+    if (!currentFirebaseUser) {
+      throw new Error('User not authenticated with Firebase');
+    }
+
+    return await ChatService.unpinMessage(chatId, messageId, currentFirebaseUser.uid);
+  };
+
   // Method to update unread count
   const updateUnreadCount = async (chatId, count) => {
     if (!currentFirebaseUser) {
@@ -186,6 +262,16 @@ export function useChatWithAuth() {
     markMessagesAsRead,
     addMessageReaction,
     uploadFile,
+    sendAttachmentMessage,
+    retryAttachmentMessage,
+    discardAttachmentMessage,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    searchMessages,
+    getMessageContext,
+    pinMessage,
+    unpinMessage,
     updateUnreadCount,
     unsubscribeFromChat,
     unsubscribeFromChatList,
@@ -10,6 +10,9 @@ import CoachDashboard from '../screens/coach/CoachDashboard';
 import CreateTrainingPlan from '../screens/coach/CreateTrainingPlan';
 import CoachingPlanUploadScreen from '../screens/coach/training/CoachingPlanUploadScreen';
 import PlanProcessingScreen from '../screens/coach/training/PlanProcessingScreen';
+import ExtractionReviewScreen from '../screens/coach/training/ExtractionReviewScreen';
+import PlanVersionHistoryScreen from '../screens/coach/training/PlanVersionHistoryScreen';
+import SportVariationsScreen from '../screens/coach/training/SportVariationsScreen';
 import TrainingPlanDetails from '../screens/coach/training/TrainingPlanDetails';
 import DocumentViewer from '../screens/shared/DocumentViewer';
 import DocumentLibrary from '../screens/shared/DocumentLibrary';
@@ -94,6 +97,8 @@ import EmergencyContacts from '../screens/coach/communication/EmergencyContacts'
 import NotificationSettings from '../screens/coach/communication/NotificationSettings';
 import ChatListScreen from '../screens/shared/ChatListScreen';
 import NewChatScreen from '../screens/shared/NewChatScreen';
+import ContentModerationQueue from '../screens/admin/moderation/ContentModerationQueue';
+import MessageSearchScreen from '../screens/shared/MessageSearchScreen';
 
 // Business & Marketplace Screens
 import ServicesListing from '../screens/coach/business/ServicesListing';
@@ -658,6 +663,21 @@ const DashboardStack = () => (
         gestureEnabled: false,
       }} 
     />
+    <Stack.Screen 
+      name="ExtractionReview" 
+      component={ExtractionReviewScreen} 
+      options={{ title: 'Review Extraction' }} 
+    />
+    <Stack.Screen 
+      name="PlanVersionHistory" 
+      component={PlanVersionHistoryScreen} 
+      options={{ title: 'Version History' }} 
+    />
+    <Stack.Screen 
+      name="SportVariations" 
+      component={SportVariationsScreen} 
+      options={{ title: 'Sport Variations' }} 
+    />
 
     {/* Training Management */}
     <Stack.Screen 
@@ -781,6 +801,16 @@ const DashboardStack = () => (
       component={ChatScreen}
       options={({ route }) => ({ title: route.params.chatName })}
     />
+    <Stack.Screen
+      name="MessageSearch"
+      component={MessageSearchScreen}
+      options={{ title: 'Search Messages' }}
+    />
+    <Stack.Screen
+      name="ContentModerationQueue"
+      component={ContentModerationQueue}
+      options={{ headerShown: false }}
+    />
 
     {/* AI Features */}
     <Stack.Screen 
@@ -945,6 +975,21 @@ const TrainingStack = () => (
         gestureEnabled: false, // Prevent gesture-based back navigation during processing
       }} 
     />
+    <Stack.Screen 
+      name="ExtractionReview" 
+      component={ExtractionReviewScreen} 
+      options={{ title: 'Review Extraction' }} 
+    />
+    <Stack.Screen 
+      name="PlanVersionHistory" 
+      component={PlanVersionHistoryScreen} 
+      options={{ title: 'Version History' }} 
+    />
+    <Stack.Screen 
+      name="SportVariations" 
+      component={SportVariationsScreen} 
+      options={{ title: 'Sport Variations' }} 
+    />
     
     {/* Performance & Analytics */}
     <Stack.Screen 
@@ -1567,6 +1612,19 @@ const ChatStack = () => (
         presentation: 'modal'
       }}
     />
+    <Stack.Screen 
+      name="ContentModerationQueue" 
+      component={ContentModerationQueue}
+      options={{ headerShown: false }}
+    />
+    <Stack.Screen 
+      name="MessageSearch" 
+      component={MessageSearchScreen}
+      options={{ 
+        title: 'Search Messages',
+        headerShown: true
+      }}
+    />
   </Stack.Navigator>
 );
 
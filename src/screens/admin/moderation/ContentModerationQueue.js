@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  FlatList,
+  Alert,
+  RefreshControl,
+  Modal,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { useSelector } from 'react-redux';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../styles/colors';
+import { useChatWithAuth } from '../../../hooks/useChatWithAuth';
+import ModerationService, {
+  REPORT_STATUS,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+} from '../../../services/ModerationService';
+
+const PRIORITY_COLORS = {
+  urgent: COLORS.error,
+  high: COLORS.warning,
+  normal: COLORS.gray,
+};
+
+const FILTERS = [
+  { id: 'open', label: 'Open', statuses: [REPORT_STATUS.OPEN, REPORT_STATUS.IN_REVIEW] },
+  { id: 'mine', label: 'Assigned to me', statuses: [REPORT_STATUS.IN_REVIEW] },
+  { id: 'closed', label: 'Closed', statuses: [REPORT_STATUS.RESOLVED, REPORT_STATUS.DISMISSED] },
+];
+
+const ContentModerationQueue = ({ navigation }) => {
+  const { user } = useSelector(state => state.auth);
+  const { currentFirebaseUser } = useChatWithAuth();
+  const [reports, setReports] = useState([]);
+  const [filter, setFilter] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [note, setNote] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const moderator = user ? { ...user, uid: currentFirebaseUser?.uid || user.uid || user.id } : null;
+  const allowed = ModerationService.canModerate(user);
+
+  const loadQueue = useCallback(async () => {
+    if (!allowed) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const activeFilter = FILTERS.find(f => f.id === filter);
+      const queue = await ModerationService.getQueue(moderator, { statuses: activeFilter.statuses });
+      setReports(filter === 'mine' ? queue.filter(r => r.assignedTo === moderator.uid) : queue);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load the moderation queue.');
+    } finally {
+      setLoading(false);
+    }
+  }, [allowed, filter, moderator?.uid]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadQueue();
+  }, [loadQueue]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadQueue();
+    setRefreshing(false);
+  };
+
+  const replaceReport = (updated) => {
+    const stillListed = FILTERS.find(f => f.id === filter).statuses.includes(updated.status);
+    setReports(prev => stillListed
+      ? prev.map(r => r.id === updated.id ? updated : r)
+      : prev.filter(r => r.id !== updated.id));
+  };
+
+  const handleClaim = async (report) => {
+    setWorking(true);
+    try {
+      const updated = await ModerationService.claimReport(moderator, report.id);
+      replaceReport(updated);
+      setSelectedReport(updated);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to claim report.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleResolve = (report, action) => {
+    const labels = {
+      [MODERATION_ACTIONS.REMOVE_MESSAGE]: 'Remove this message for everyone in the chat?',
+      [MODERATION_ACTIONS.WARN_USER]: 'Send a formal warning to the reported user?',
+      [MODERATION_ACTIONS.DISMISS]: 'Close this report without action?',
+    };
+
+    Alert.alert('Confirm', labels[action], [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Confirm',
+        style: action === MODERATION_ACTIONS.DISMISS ? 'default' : 'destructive',
+        onPress: async () => {
+          setWorking(true);
+          try {
+            const updated = await ModerationService.resolveReport(moderator, report.id, action, note);
+            replaceReport(updated);
+            setSelectedReport(null);
+            setNote('');
+          } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to resolve report.');
+          } finally {
+            setWorking(false);
+          }
+        }
+      }
+    ]);
+  };
+
+  const reasonLabel = (reason) => REPORT_REASONS.find(r => r.id === reason)?.label || reason;
+
+  const renderReport = ({ item }) => (
+    <TouchableOpacity style={styles.reportCard} onPress={() => setSelectedReport(item)}>
+      <View style={styles.reportHeader}>
+        <View style={[styles.priorityDot, { backgroundColor: PRIORITY_COLORS[item.priority] || COLORS.gray }]} />
+        <Text style={styles.reportTitle}>{reasonLabel(item.reason)}</Text>
+        <Text style={styles.reportType}>{item.type}</Text>
+      </View>
+      {item.messageSnapshot?.text ? (
+        <Text style={styles.reportSnippet} numberOfLines={2}>"{item.messageSnapshot.text}"</Text>
+      ) : item.details ? (
+        <Text style={styles.reportSnippet} numberOfLines={2}>{item.details}</Text>
+      ) : null}
+      <View style={styles.reportFooter}>
+        <Text style={styles.reportMeta}>{new Date(item.createdAt).toLocaleString()}</Text>
+        {item.involvesMinor && (
+          <View style={styles.minorBadge}>
+            <Text style={styles.minorBadgeText}>Minor involved</Text>
+          </View>
+        )}
+        {item.status === REPORT_STATUS.IN_REVIEW && (
+          <Text style={styles.reportMeta}>
+            {item.assignedTo === moderator?.uid ? 'Assigned to you' : 'In review'}
+          </Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderDetail = () => {
+    const report = selectedReport;
+    if (!report) return null;
+
+    const closed = report.status === REPORT_STATUS.RESOLVED || report.status === REPORT_STATUS.DISMISSED;
+    const claimedByOther = report.assignedTo && report.assignedTo !== moderator?.uid;
+
+    return (
+      <Modal visible transparent animationType="slide" onRequestClose={() => setSelectedReport(null)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{reasonLabel(report.reason)}</Text>
+              <TouchableOpacity onPress={() => setSelectedReport(null)}>
+                <Ionicons name="close" size={24} color={COLORS.text} />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.detailLabel}>Priority</Text>
+            <Text style={[styles.detailValue, { color: PRIORITY_COLORS[report.priority] }]}>{report.priority}</Text>
+
+            {report.messageSnapshot && (
+              <>
+                <Text style={styles.detailLabel}>Reported message</Text>
+                <View style={styles.snapshot}>
+                  <Text style={styles.snapshotSender}>{report.messageSnapshot.senderName || report.messageSnapshot.senderId}</Text>
+                  <Text style={styles.detailValue}>{report.messageSnapshot.text || '(no text)'}</Text>
+                  {report.messageSnapshot.attachments?.length > 0 && (
+                    <Text style={styles.reportMeta}>{report.messageSnapshot.attachments.length} attachment(s)</Text>
+                  )}
+                </View>
+              </>
+            )}
+
+            {!!report.details && (
+              <>
+                <Text style={styles.detailLabel}>Reporter's note</Text>
+                <Text style={styles.detailValue}>{report.details}</Text>
+              </>
+            )}
+
+            {closed ? (
+              <>
+                <Text style={styles.detailLabel}>Outcome</Text>
+                <Text style={styles.detailValue}>
+                  {report.resolution?.action?.replace('_', ' ')}{report.resolution?.note ? ` - ${report.resolution.note}` : ''}
+                </Text>
+              </>
+            ) : (
+              <>
+                <TextInput
+                  style={styles.noteInput}
+                  value={note}
+                  onChangeText={setNote}
+                  placeholder="Moderator note (kept with the report)"
+                  multiline
+                />
+
+                {working ? (
+                  <ActivityIndicator color={COLORS.primary} style={styles.working} />
+                ) : claimedByOther ? (
+                  <Text style={styles.reportMeta}>Another moderator is reviewing this report.</Text>
+                ) : (
+                  <View style={styles.actions}>
+                    {report.status === REPORT_STATUS.OPEN && (
+                      <TouchableOpacity style={styles.actionButton} onPress={() => handleClaim(report)}>
+                        <Text style={styles.actionText}>Start Review</Text>
+                      </TouchableOpacity>
+                    )}
+                    {!!report.messageId && (
+                      <TouchableOpacity
+                        style={[styles.actionButton, styles.destructiveButton]}
+                        onPress={() => handleResolve(report, MODERATION_ACTIONS.REMOVE_MESSAGE)}
+                      >
+                        <Text style={[styles.actionText, styles.destructiveText]}>Remove Message</Text>
+                      </TouchableOpacity>
+                    )}
+                    {!!report.reportedUserId && (
+                      <TouchableOpacity
+                        style={[styles.actionButton, styles.destructiveButton]}
+                        onPress={() => handleResolve(report, MODERATION_ACTIONS.WARN_USER)}
+                      >
+                        <Text style={[styles.actionText, styles.destructiveText]}>Warn User</Text>
+                      </TouchableOpacity>
+                    )}
+                    <TouchableOpacity
+                      style={styles.actionButton}
+                      onPress={() => handleResolve(report, MODERATION_ACTIONS.DISMISS)}
+                    >
+                      <Text style={styles.actionText}>Dismiss</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </>
+            )}
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  if (!allowed) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <Ionicons name="lock-closed-outline" size={48} color={COLORS.gray} />
+        <Text style={styles.emptyText}>The moderation queue is only available to moderators.</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.text} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Content Review</Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      <View style={styles.filters}>
+        {FILTERS.map(f => (
+          <TouchableOpacity
+            key={f.id}
+            style={[styles.filterChip, filter === f.id && styles.filterChipActive]}
+            onPress={() => setFilter(f.id)}
+          >
+            <Text style={[styles.filterText, filter === f.id && styles.filterTextActive]}>{f.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator color={COLORS.primary} style={styles.working} />
+      ) : (
+        <FlatList
+          data={reports}
+          renderItem={renderReport}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          ListEmptyComponent={<Text style={styles.emptyText}>Nothing to review</Text>}
+        />
+      )}
+
+      {renderDetail()}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.lightGray,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  filters: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: COLORS.lightGray,
+    marginRight: 8,
+  },
+  filterChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  filterText: {
+    fontSize: 12,
+    color: COLORS.text,
+  },
+  filterTextActive: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 30,
+  },
+  reportCard: {
+    backgroundColor: COLORS.white,
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+  },
+  reportHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  priorityDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  reportTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  reportType: {
+    fontSize: 11,
+    color: COLORS.gray,
+    textTransform: 'uppercase',
+  },
+  reportSnippet: {
+    fontSize: 13,
+    color: COLORS.text,
+    marginBottom: 6,
+  },
+  reportFooter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  reportMeta: {
+    fontSize: 11,
+    color: COLORS.gray,
+  },
+  minorBadge: {
+    backgroundColor: COLORS.error + '20',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  minorBadgeText: {
+    fontSize: 10,
+    color: COLORS.error,
+    fontWeight: '500',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: COLORS.gray,
+    fontSize: 14,
+    fontStyle: 'italic',
+    paddingVertical: 20,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: COLORS.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  detailLabel: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  detailValue: {
+    fontSize: 14,
+    color: COLORS.text,
+  },
+  snapshot: {
+    backgroundColor: COLORS.lightGray,
+    borderRadius: 8,
+    padding: 10,
+  },
+  snapshotSender: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: 4,
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 60,
+    marginTop: 15,
+    textAlignVertical: 'top',
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 15,
+    gap: 8,
+  },
+  actionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary + '10',
+  },
+  actionText: {
+    fontSize: 13,
+    color: COLORS.primary,
+    fontWeight: '500',
+  },
+  destructiveButton: {
+    backgroundColor: COLORS.error + '10',
+  },
+  destructiveText: {
+    color: COLORS.error,
+  },
+  working: {
+    marginVertical: 20,
+  },
+});
+
+export default ContentModerationQueue;
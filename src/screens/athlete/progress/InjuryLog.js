@@ -29,6 +29,7 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/BlurView';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import InjuryManagement from '../../../services/InjuryManagement';
 
 // Design system imports
 const COLORS = {
@@ -83,50 +84,8 @@ const InjuryLog = ({ navigation }) => {
     expectedRecovery: '',
   });
 
-  // Mock data - in real app, this would come from Redux store
-  const [injuries, setInjuries] = useState([
-    {
-      id: 1,
-      type: 'Muscle Strain',
-      bodyPart: 'Hamstring',
-      severity: 'moderate',
-      date: '2024-08-15',
-      status: 'recovering',
-      recoveryProgress: 75,
-      description: 'Felt tightness during sprint training',
-      treatmentPlan: 'Rest, ice, physical therapy',
-      expectedRecovery: '2024-09-01',
-      notes: ['Aug 16: Started physiotherapy', 'Aug 20: Reduced pain', 'Aug 23: Light training resumed'],
-      nextAppointment: '2024-08-25',
-    },
-    {
-      id: 2,
-      type: 'Sprain',
-      bodyPart: 'Ankle',
-      severity: 'mild',
-      date: '2024-07-28',
-      status: 'recovered',
-      recoveryProgress: 100,
-      description: 'Twisted ankle during game',
-      treatmentPlan: 'RICE protocol, ankle support',
-      expectedRecovery: '2024-08-10',
-      notes: ['Jul 29: Swelling reduced', 'Aug 5: Full mobility restored'],
-      recoveredDate: '2024-08-08',
-    },
-    {
-      id: 3,
-      type: 'Overuse',
-      bodyPart: 'Knee',
-      severity: 'mild',
-      date: '2024-06-10',
-      status: 'monitoring',
-      recoveryProgress: 90,
-      description: 'Knee pain after intense training',
-      treatmentPlan: 'Load management, strengthening exercises',
-      expectedRecovery: '2024-08-30',
-      notes: ['Jun 15: Pain decreased', 'Jul 1: Returned to full training'],
-    },
-  ]);
+  const [injuries, setInjuries] = useState([]);
+  const [noteText, setNoteText] = useState('');
 
   const dispatch = useDispatch();
   const user = useSelector(state => state.auth.user);
@@ -137,30 +96,63 @@ const InjuryLog = ({ navigation }) => {
       duration: 800,
       useNativeDriver: true,
     }).start();
+    loadInjuries();
   }, []);
 
-  const onRefresh = useCallback(() => {
+  // Log entry view of an injury record
+  const toLogEntry = (injury) => {
+    const active = InjuryManagement.isActive(injury);
+    return {
+      id: injury.id,
+      type: injury.injuryType,
+      bodyPart: injury.bodyPart,
+      severity: injury.severity,
+      date: injury.injuredAt,
+      status: InjuryManagement.statusOf(injury),
+      stageLabel: InjuryManagement.getStage(injury.stage).label,
+      recoveryProgress: InjuryManagement.recoveryProgress(injury),
+      description: injury.description,
+      treatmentPlan: injury.treatment,
+      expectedRecovery: injury.expectedReturn,
+      restrictions: active ? InjuryManagement.describeRestrictions([injury]) : null,
+      notes: injury.notes.map(note => `${new Date(note.at).toLocaleDateString()}: ${note.text}`),
+      recoveredDate: active ? null : injury.clearanceDate || injury.updatedAt,
+    };
+  };
+
+  const loadInjuries = async () => {
+    if (!user?.id) return;
+    try {
+      const records = await InjuryManagement.getInjuries(user.id);
+      setInjuries(records.map(toLogEntry));
+    } catch (error) {
+      console.error('Error loading injuries:', error);
+    }
+  };
+
+  const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    // Simulate API call
-    setTimeout(() => {
-      setRefreshing(false);
-    }, 1500);
-  }, []);
+    InjuryManagement.refresh();
+    await loadInjuries();
+    setRefreshing(false);
+  }, [user?.id]);
 
   const getSeverityColor = (severity) => {
     switch (severity) {
-      case 'mild': return COLORS.success;
+      case 'mild':
+      case 'minor': return COLORS.success;
       case 'moderate': return COLORS.warning;
-      case 'severe': return COLORS.error;
+      case 'severe':
+      case 'major': return COLORS.error;
       default: return COLORS.textSecondary;
     }
   };
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'active': return COLORS.error;
+      case 'out': return COLORS.error;
       case 'recovering': return COLORS.warning;
-      case 'recovered': return COLORS.success;
+      case 'cleared': return COLORS.success;
       case 'monitoring': return COLORS.primary;
       default: return COLORS.textSecondary;
     }
@@ -168,9 +160,9 @@ const InjuryLog = ({ navigation }) => {
 
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'active': return 'warning';
+      case 'out': return 'warning';
       case 'recovering': return 'healing';
-      case 'recovered': return 'check-circle';
+      case 'cleared': return 'check-circle';
       case 'monitoring': return 'visibility';
       default: return 'help';
     }
@@ -193,21 +185,30 @@ const InjuryLog = ({ navigation }) => {
     return filtered;
   };
 
-  const handleAddInjury = () => {
+  const handleAddInjury = async () => {
     if (!newInjury.type || !newInjury.bodyPart) {
       Alert.alert('Validation Error', 'Please fill in all required fields');
       return;
     }
 
-    const injury = {
-      id: Date.now(),
-      ...newInjury,
-      status: 'active',
-      recoveryProgress: 0,
-      notes: [],
-    };
+    try {
+      await InjuryManagement.reportInjury({
+        athleteId: user?.id,
+        athleteName: user?.name || null,
+        injuryType: newInjury.type,
+        bodyPart: newInjury.bodyPart,
+        severity: newInjury.severity,
+        injuredAt: newInjury.date,
+        description: newInjury.description,
+        treatment: newInjury.treatmentPlan,
+        expectedReturn: newInjury.expectedRecovery || null,
+      }, { id: user?.id, name: user?.name, role: 'athlete' });
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return;
+    }
 
-    setInjuries(prev => [injury, ...prev]);
+    await loadInjuries();
     setNewInjury({
       type: '',
       bodyPart: '',
@@ -218,7 +219,21 @@ const InjuryLog = ({ navigation }) => {
       expectedRecovery: '',
     });
     setShowAddModal(false);
-    Alert.alert('Success', 'Injury logged successfully! 📝');
+    Alert.alert('Success', 'Injury logged successfully! 📝 Your sessions will skip drills that could aggravate it until your coach clears you.');
+  };
+
+  const handleAddNote = async () => {
+    if (!noteText.trim() || !selectedInjury) return;
+    try {
+      await InjuryManagement.addNote(selectedInjury.id, noteText.trim(), { id: user?.id, name: user?.name });
+      const records = await InjuryManagement.getInjuries(user.id);
+      const entries = records.map(toLogEntry);
+      setInjuries(entries);
+      setSelectedInjury(entries.find(entry => entry.id === selectedInjury.id) || null);
+      setNoteText('');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
   };
 
   const renderInjuryCard = (injury) => (
@@ -267,10 +282,10 @@ const InjuryLog = ({ navigation }) => {
             </View>
           </View>
 
-          {injury.status === 'recovering' && (
+          {(injury.status === 'recovering' || injury.status === 'monitoring') && (
             <View style={styles.progressSection}>
               <View style={styles.progressHeader}>
-                <Text style={TEXT_STYLES.bodySecondary}>Recovery Progress</Text>
+                <Text style={TEXT_STYLES.bodySecondary}>{injury.stageLabel}</Text>
                 <Text style={[TEXT_STYLES.bodySecondary, { fontWeight: '600' }]}>
                   {injury.recoveryProgress}%
                 </Text>
@@ -280,15 +295,15 @@ const InjuryLog = ({ navigation }) => {
                 color={COLORS.primary}
                 style={styles.progressBar}
               />
-              {injury.nextAppointment && (
+              {injury.expectedRecovery && (
                 <Text style={[TEXT_STYLES.caption, { marginTop: SPACING.xs }]}>
-                  Next appointment: {new Date(injury.nextAppointment).toLocaleDateString()}
+                  Expected return: {new Date(injury.expectedRecovery).toLocaleDateString()}
                 </Text>
               )}
             </View>
           )}
 
-          {injury.status === 'recovered' && (
+          {injury.status === 'cleared' && (
             <View style={styles.recoveredBanner}>
               <Icon name="check-circle" size={20} color={COLORS.success} />
               <Text style={[TEXT_STYLES.bodySecondary, { marginLeft: SPACING.xs, color: COLORS.success }]}>
@@ -302,9 +317,9 @@ const InjuryLog = ({ navigation }) => {
   );
 
   const renderStats = () => {
-    const activeInjuries = injuries.filter(i => i.status === 'active' || i.status === 'recovering').length;
+    const activeInjuries = injuries.filter(i => i.status !== 'cleared').length;
     const totalInjuries = injuries.length;
-    const recoveredCount = injuries.filter(i => i.status === 'recovered').length;
+    const recoveredCount = injuries.filter(i => i.status === 'cleared').length;
 
     return (
       <View style={styles.statsContainer}>
@@ -331,10 +346,10 @@ const InjuryLog = ({ navigation }) => {
     <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterContainer}>
       {[
         { key: 'all', label: 'All', icon: 'list' },
-        { key: 'active', label: 'Active', icon: 'warning' },
+        { key: 'out', label: 'Resting', icon: 'warning' },
         { key: 'recovering', label: 'Recovering', icon: 'healing' },
-        { key: 'recovered', label: 'Recovered', icon: 'check-circle' },
         { key: 'monitoring', label: 'Monitoring', icon: 'visibility' },
+        { key: 'cleared', label: 'Recovered', icon: 'check-circle' },
       ].map(filter => (
         <TouchableOpacity
           key={filter.key}
@@ -534,6 +549,13 @@ const InjuryLog = ({ navigation }) => {
                       </View>
                     </View>
 
+                    {selectedInjury.restrictions && (
+                      <View style={styles.detailSection}>
+                        <Text style={TEXT_STYLES.h3}>{selectedInjury.stageLabel}</Text>
+                        <Text style={TEXT_STYLES.body}>{selectedInjury.restrictions}</Text>
+                      </View>
+                    )}
+
                     {selectedInjury.description && (
                       <View style={styles.detailSection}>
                         <Text style={TEXT_STYLES.h3}>Description</Text>
@@ -561,22 +583,21 @@ const InjuryLog = ({ navigation }) => {
                         ))}
                       </View>
                     )}
+                    <TextInput
+                      label="How is it feeling?"
+                      value={noteText}
+                      onChangeText={setNoteText}
+                      mode="outlined"
+                      multiline
+                      style={styles.input}
+                    />
                   </ScrollView>
                 </Card.Content>
                 <Card.Actions>
-                  <Button
-                    mode="outlined"
-                    onPress={() => {
-                      Alert.alert('Feature Coming Soon', 'Update injury status functionality will be available in the next update! 🚧');
-                    }}
-                  >
-                    Update Status
-                  </Button>
                   <Button
                     mode="contained"
-                    onPress={() => {
-                      Alert.alert('Feature Coming Soon', 'Add recovery note functionality will be available in the next update! 📝');
-                    }}
+                    onPress={handleAddNote}
+                    disabled={!noteText.trim()}
                     style={{ backgroundColor: COLORS.primary }}
                   >
                     Add Note
@@ -24,6 +24,8 @@ import {
 import { useSelector, useDispatch } from 'react-redux';
 import LinearGradient from 'react-native-linear-gradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useChatWithAuth } from '../../../hooks/useChatWithAuth';
+import ChatService from '../../../services/ChatService';
 
 // Import design constants
 const COLORS = {
@@ -72,6 +74,7 @@ const ParentalControls = ({ navigation }) => {
   const dispatch = useDispatch();
   const { user, selectedChild } = useSelector(state => state.auth);
   const { parentalControls } = useSelector(state => state.settings);
+  const { currentFirebaseUser, authReady } = useChatWithAuth();
 
   const [controls, setControls] = useState({
     // Privacy & Safety
@@ -120,6 +123,14 @@ const ParentalControls = ({ navigation }) => {
   const [modalVisible, setModalVisible] = useState(false);
   const [selectedModal, setSelectedModal] = useState('');
   const [loading, setLoading] = useState(false);
+  const [guardianRequests, setGuardianRequests] = useState([]);
+
+  useEffect(() => {
+    // Guardians asking to link to this account wait for the child's approval
+    if (authReady && currentFirebaseUser) {
+      ChatService.getGuardianLinkRequests(currentFirebaseUser.uid, 'childId').then(setGuardianRequests);
+    }
+  }, [authReady, currentFirebaseUser]);
 
   useEffect(() => {
     // Load saved parental controls
@@ -141,6 +152,30 @@ const ParentalControls = ({ navigation }) => {
     Vibration.vibrate(50);
   };
 
+  const handleGuardianRequest = (request, approve) => {
+    Alert.alert(
+      approve ? 'Approve Guardian? 🛡️' : 'Decline Guardian?',
+      approve
+        ? `${request.guardianName || 'This guardian'} will be able to see your chats and safety records.`
+        : `${request.guardianName || 'This guardian'} will not be linked to your account.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: approve ? 'Approve' : 'Decline',
+          style: approve ? 'default' : 'destructive',
+          onPress: async () => {
+            try {
+              await ChatService.respondToGuardianLinkRequest(request.id, approve);
+              setGuardianRequests(prev => prev.filter(item => item.id !== request.id));
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Please check your connection and try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleProfileVisibilityChange = (value) => {
     setControls(prev => ({
       ...prev,
@@ -501,6 +536,44 @@ const ParentalControls = ({ navigation }) => {
     </Card>
   );
 
+  const renderGuardianRequests = () => (
+    <Card style={styles.categoryCard}>
+      <Card.Content>
+        <View style={styles.categoryHeader}>
+          <View style={styles.categoryTitleContainer}>
+            <Text style={styles.categoryTitle}>👪 Guardian Requests</Text>
+            <Text style={styles.categorySubtitle}>Approve only a parent or guardian you know</Text>
+          </View>
+        </View>
+
+        {guardianRequests.map((request, index) => (
+          <View key={request.id}>
+            <View style={styles.contactItem}>
+              <Avatar.Text
+                size={40}
+                label={(request.guardianName || 'G').charAt(0).toUpperCase()}
+                style={{ backgroundColor: COLORS.primary }}
+              />
+              <View style={styles.contactInfo}>
+                <Text style={styles.contactName}>{request.guardianName || 'A guardian'}</Text>
+                <Text style={styles.contactRole}>Asked on {(request.createdAt || '').split('T')[0]}</Text>
+              </View>
+              <Button compact onPress={() => handleGuardianRequest(request, false)}>
+                Decline
+              </Button>
+              <Button compact mode="contained" onPress={() => handleGuardianRequest(request, true)}>
+                Approve
+              </Button>
+            </View>
+            {index < guardianRequests.length - 1 && (
+              <Divider style={styles.settingDivider} />
+            )}
+          </View>
+        ))}
+      </Card.Content>
+    </Card>
+  );
+
   const renderEmergencySettings = () => (
     <Card style={[styles.categoryCard, styles.emergencyCard]}>
       <Card.Content>
@@ -652,6 +725,9 @@ const ParentalControls = ({ navigation }) => {
           </Card.Content>
         </Card>
 
+        {/* Guardians waiting for approval */}
+        {guardianRequests.length > 0 && renderGuardianRequests()}
+
         {/* Activity Summary */}
         {renderActivitySummary()}
 
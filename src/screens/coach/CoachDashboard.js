@@ -79,7 +79,7 @@ const CoachDashboard = ({ navigation }) => {
   //coaching plan(s) counter
       const loadTrainingPlansCount = useCallback(async () => {
       try {
-        const plans = await DocumentProcessor.getTrainingPlans();
+        const plans = await DocumentProcessor.getCurrentTrainingPlans();
         setTrainingPlansCount(plans.length);
       } catch (error) {
         console.error('Error loading training plans count:', error);
@@ -31,6 +31,8 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import CoachingAssistant from '../../../services/CoachingAssistant';
+import DocumentProcessor from '../../../services/DocumentProcessor';
 
 // Design System Constants
 const COLORS = {
@@ -77,20 +79,21 @@ const AICoachingAssistantScreen = ({ navigation }) => {
   const [selectedAgeGroup, setSelectedAgeGroup] = useState('youth');
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [isAnswering, setIsAnswering] = useState(false);
   
   // Redux state (assuming coaching slice exists)
   const user = useSelector(state => state.auth.user);
   const isLoading = useSelector(state => state.coaching.isLoading);
   const dispatch = useDispatch();
 
-  const [chatMessages, setChatMessages] = useState([
-    {
-      id: 1,
-      type: 'ai',
-      content: "Hello! I'm your AI Coaching Assistant. I can help you create training plans, analyze player performance, suggest improvements, and answer coaching questions. What would you like to work on today?",
-      timestamp: new Date(Date.now() - 5000)
-    }
-  ]);
+  const welcomeMessage = {
+    id: 'welcome',
+    type: 'ai',
+    content: "Hello! I'm your AI Coaching Assistant. Ask me about your uploaded training plans, sessions and drills - I'll point you to the document and week each answer comes from.",
+    timestamp: new Date(),
+    citations: []
+  };
+  const [chatMessages, setChatMessages] = useState([welcomeMessage]);
 
   // Quick actions data
   const quickActions = [
@@ -108,12 +111,22 @@ const AICoachingAssistantScreen = ({ navigation }) => {
 
   const sports = ['football', 'basketball', 'tennis', 'volleyball'];
   const ageGroups = [
-    { value: 'youth', label: 'Youth (8-14)' },
-    { value: 'junior', label: 'Junior (15-18)' },
-    { value: 'adult', label: 'Adult (18+)' },
-    { value: 'senior', label: 'Senior (35+)' }
+    { value: 'youth', label: 'Youth (8-14)', ages: '8-14 years' },
+    { value: 'junior', label: 'Junior (15-18)', ages: '15-18 years' },
+    { value: 'adult', label: 'Adult (18+)', ages: '18-35 years' },
+    { value: 'senior', label: 'Senior (35+)', ages: '35-99 years' }
   ];
 
+  // Stored conversation messages in the shape the chat renders
+  const toChatMessage = (stored) => ({
+    id: stored.id,
+    type: stored.role === 'user' ? 'user' : 'ai',
+    content: stored.text,
+    timestamp: new Date(stored.createdAt),
+    citations: stored.citations || [],
+    aiOutput: stored.aiOutput || null
+  });
+
   // Animation effects
   useEffect(() => {
     Animated.parallel([
@@ -128,53 +141,81 @@ const AICoachingAssistantScreen = ({ navigation }) => {
         useNativeDriver: true,
       }),
     ]).start();
+
+    loadConversation();
   }, []);
 
+  const loadConversation = useCallback(async () => {
+    const stored = await CoachingAssistant.getConversation(user?.id);
+    setChatMessages([welcomeMessage, ...stored.map(toChatMessage)]);
+  }, [user?.id]);
+
   // Refresh control
-  const onRefresh = useCallback(() => {
+  const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    // Simulate API call
-    setTimeout(() => {
-      setRefreshing(false);
-    }, 2000);
-  }, []);
+    await loadConversation();
+    setRefreshing(false);
+  }, [loadConversation]);
 
-  const handleSendMessage = useCallback(() => {
-    if (!message.trim()) return;
+  const handleSendMessage = useCallback(async () => {
+    const question = message.trim();
+    if (!question || isAnswering) return;
 
     Vibration.vibrate(50);
     
-    const newMessage = {
-      id: chatMessages.length + 1,
+    setChatMessages(prev => [...prev, {
+      id: `pending_${Date.now()}`,
       type: 'user',
-      content: message,
-      timestamp: new Date()
-    };
-
-    setChatMessages(prev => [...prev, newMessage]);
+      content: question,
+      timestamp: new Date(),
+      citations: []
+    }]);
     setMessage('');
+    setIsAnswering(true);
+
+    try {
+      const { assistantMessage } = await CoachingAssistant.ask(user?.id, question, {
+        sport: selectedSport,
+        ageGroup: ageGroups.find(group => group.value === selectedAgeGroup)?.ages
+      });
+      setChatMessages(prev => [...prev, toChatMessage(assistantMessage)]);
+    } catch (error) {
+      console.error('Assistant failed to answer:', error);
+      Alert.alert('Assistant', error.message || 'Could not answer right now. Please try again.');
+    } finally {
+      setIsAnswering(false);
+    }
+  }, [message, isAnswering, user?.id, selectedSport, selectedAgeGroup]);
 
-    // Simulate AI response with animation
-    setTimeout(() => {
-      const aiResponse = {
-        id: chatMessages.length + 2,
-        type: 'ai',
-        content: generateAIResponse(message),
-        timestamp: new Date()
-      };
-      setChatMessages(prev => [...prev, aiResponse]);
-    }, 1000);
-  }, [message, chatMessages.length]);
-
-  const generateAIResponse = useCallback((userMessage) => {
-    const responses = [
-      "I'd be happy to help you with that! Based on your requirements, I can create a customized training plan that focuses on specific skills and fitness components.",
-      "Great question! Let me analyze the performance data and provide you with actionable insights to improve your team's performance.",
-      "I can suggest several drills that would be perfect for your players' current skill level and training objectives.",
-      "Based on best practices and recent sports science research, here are my recommendations for your training program."
-    ];
-    return responses[Math.floor(Math.random() * responses.length)];
-  }, []);
+  // Citations open the plan week or the source document they came from
+  const handleCitationPress = useCallback(async (citation) => {
+    if (citation.planId) {
+      navigation.navigate('TrainingPlanDetails', { planId: citation.planId });
+      return;
+    }
+    if (citation.documentId) {
+      const document = await DocumentProcessor.getStoredDocument(citation.documentId);
+      if (document) {
+        navigation.navigate('DocumentViewer', { document });
+        return;
+      }
+    }
+    Alert.alert(citation.label, citation.snippet);
+  }, [navigation]);
+
+  const handleClearConversation = useCallback(() => {
+    Alert.alert('Clear conversation', 'Delete this conversation with the assistant?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Clear',
+        style: 'destructive',
+        onPress: async () => {
+          await CoachingAssistant.clearConversation(user?.id);
+          setChatMessages([welcomeMessage]);
+        }
+      }
+    ]);
+  }, [user?.id]);
 
   const handleQuickAction = useCallback((action) => {
     Vibration.vibrate(100);
@@ -215,7 +256,7 @@ const AICoachingAssistantScreen = ({ navigation }) => {
             </View>
           </View>
         </View>
-        <IconButton icon="dots-vertical" iconColor="white" onPress={() => Alert.alert('Options', 'Feature coming soon!')} />
+        <IconButton icon="delete-sweep" iconColor="white" onPress={handleClearConversation} />
       </LinearGradient>
 
       {/* Messages */}
@@ -254,6 +295,27 @@ const AICoachingAssistantScreen = ({ navigation }) => {
               ]}>
                 {msg.content}
               </Text>
+              {msg.citations?.length > 0 && (
+                <View style={styles.citations}>
+                  {msg.citations.map(citation => (
+                    <Chip
+                      key={`${msg.id}_${citation.number}`}
+                      compact
+                      icon={citation.kind === 'document' ? 'description' : citation.kind === 'knowledge' ? 'menu-book' : 'event-note'}
+                      onPress={() => handleCitationPress(citation)}
+                      style={styles.citationChip}
+                      textStyle={{ fontSize: 11 }}
+                    >
+                      [{citation.number}] {citation.label}
+                    </Chip>
+                  ))}
+                </View>
+              )}
+              {msg.aiOutput?.summary && (
+                <Text style={[TEXT_STYLES.caption, { marginTop: SPACING.xs, fontStyle: 'italic' }]}>
+                  {msg.aiOutput.summary}
+                </Text>
+              )}
               <Text style={[
                 TEXT_STYLES.caption,
                 { 
@@ -266,6 +328,13 @@ const AICoachingAssistantScreen = ({ navigation }) => {
             </Surface>
           </Animated.View>
         ))}
+        {isAnswering && (
+          <View style={[styles.messageWrapper, styles.aiMessageWrapper]}>
+            <Surface style={[styles.messageContent, styles.aiMessage]}>
+              <Text style={[TEXT_STYLES.caption, { fontStyle: 'italic' }]}>Searching your plans...</Text>
+            </Surface>
+          </View>
+        )}
       </ScrollView>
 
       {/* Sport and Age Group Selectors */}
@@ -333,7 +402,7 @@ const AICoachingAssistantScreen = ({ navigation }) => {
             iconColor="white"
             containerColor={COLORS.primary}
             onPress={handleSendMessage}
-            disabled={!message.trim()}
+            disabled={!message.trim() || isAnswering}
           />
         </View>
       </Surface>
@@ -692,6 +761,16 @@ const styles = {
   aiMessage: {
     backgroundColor: COLORS.surface,
   },
+  citations: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: SPACING.sm,
+  },
+  citationChip: {
+    marginRight: SPACING.xs,
+    marginBottom: SPACING.xs,
+    backgroundColor: COLORS.background,
+  },
   selectorsContainer: {
     backgroundColor: COLORS.surface,
     padding: SPACING.md,
@@ -30,6 +30,8 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import ChatService from '../../../services/ChatService';
+import { useChatWithAuth } from '../../../hooks/useChatWithAuth';
 
 // Import your constants
 import { COLORS } from '../../../styles/colors';
@@ -38,9 +40,12 @@ import { TEXT_STYLES } from '../../../styles/textStyles';
 import { TYPOGRAPHY } from '../../../styles/typography';
 import { LAYOUT } from '../../../styles/layout';
 
-const AnnouncementCenter = ({ navigation }) => {
+const AnnouncementCenter = ({ navigation, route }) => {
   const dispatch = useDispatch();
-  const { user, teams, players } = useSelector(state => state.user);
+  const { user } = useSelector(state => state.auth);
+  const roster = useSelector(state => state.players.players) || [];
+  const { authReady, currentFirebaseUser, getChatMessages, sendMessage } = useChatWithAuth();
+  const [channels, setChannels] = useState([]);
   const [announcements, setAnnouncements] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -48,77 +53,68 @@ const AnnouncementCenter = ({ navigation }) => {
   const [selectedFilter, setSelectedFilter] = useState('all');
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [selectedTeams, setSelectedTeams] = useState([]);
-  const [selectedPlayers, setSelectedPlayers] = useState([]);
   const [announcementText, setAnnouncementText] = useState('');
   const [announcementTitle, setAnnouncementTitle] = useState('');
   const [priority, setPriority] = useState('normal');
+  const [category, setCategory] = useState('training');
+  const [sendingAnnouncement, setSendingAnnouncement] = useState(false);
   const [scheduleDate, setScheduleDate] = useState(null);
   
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
 
-  // Mock data - replace with actual API calls
-  const mockAnnouncements = [
-    {
-      id: 1,
-      title: 'Training Session Update',
-      message: 'Tomorrow\'s training session has been moved to 4:00 PM due to field maintenance. Please arrive 15 minutes early for warm-up. 💪',
-      priority: 'high',
-      recipients: ['Team Alpha', 'Team Beta'],
-      createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
-      readCount: 12,
-      totalRecipients: 24,
-      status: 'sent',
-      type: 'training'
-    },
-    {
-      id: 2,
-      title: 'Match Day Reminder',
-      message: 'Don\'t forget about Saturday\'s match against City United at 10:00 AM. Meet at the club by 9:00 AM. Bring water bottles and shin guards! ⚽',
-      priority: 'normal',
-      recipients: ['Team Alpha'],
-      createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
-      readCount: 8,
-      totalRecipients: 12,
-      status: 'sent',
-      type: 'match'
-    },
-    {
-      id: 3,
-      title: 'Equipment Collection',
-      message: 'New team jerseys have arrived! Please collect them from the equipment room this week during regular training hours.',
-      priority: 'low',
-      recipients: ['All Teams'],
-      createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-      readCount: 18,
-      totalRecipients: 36,
-      status: 'sent',
-      type: 'equipment'
-    },
-    {
-      id: 4,
-      title: 'Parent Meeting',
-      message: 'Monthly parent meeting scheduled for next Friday at 7:00 PM in the clubhouse. We\'ll discuss upcoming tournaments and fundraising activities.',
-      priority: 'normal',
-      recipients: ['Parents Group'],
-      createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
-      readCount: 22,
-      totalRecipients: 28,
-      status: 'scheduled',
-      type: 'meeting'
-    }
-  ];
+  // Announcements are messages in the coach's announcement-only channels;
+  // the roster team's channel is created here if Team Chat was never opened
+  const team = {
+    id: route?.params?.teamId || user?.teamId || `coach_${currentFirebaseUser?.uid || user?.id}`,
+    name: route?.params?.teamName || user?.teamName || `${user?.firstName || 'Coach'}'s Team`,
+    members: roster,
+  };
+
+  const toAnnouncement = (message, channel) => {
+    const details = message.metadata?.announcement || {};
+    const readers = Object.keys(message.readBy || {}).filter(id => id !== message.senderId);
+    return {
+      id: message.id,
+      title: details.title || 'Announcement',
+      message: message.text,
+      priority: details.priority || 'normal',
+      recipients: [channel.name],
+      createdAt: new Date(message.timestamp),
+      readCount: readers.length,
+      totalRecipients: Math.max((channel.participants?.length || 1) - 1, 1),
+      status: message.status === 'pending' ? 'queued' : message.status === 'failed' ? 'failed' : 'sent',
+      type: details.category || 'general'
+    };
+  };
 
   useEffect(() => {
     initializeScreen();
-  }, []);
+  }, [authReady, currentFirebaseUser]);
 
   const initializeScreen = useCallback(async () => {
+    if (!authReady) return;
+    if (!currentFirebaseUser) {
+      setLoading(false);
+      return;
+    }
+
     try {
       setLoading(true);
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      setAnnouncements(mockAnnouncements);
+      const uid = currentFirebaseUser.uid;
+
+      await ChatService.syncTeamChannels(uid, team);
+      const announcementChannels = await ChatService.getAnnouncementChannels(uid);
+      setChannels(announcementChannels);
+
+      const loaded = [];
+      for (const channel of announcementChannels) {
+        const result = await getChatMessages(channel.id, 50);
+        (result.messages || [])
+          .filter(message => message.metadata?.announcement)
+          .forEach(message => loaded.push(toAnnouncement(message, channel)));
+      }
+      setAnnouncements(loaded);
       
       // Animate screen entrance
       Animated.parallel([
@@ -138,7 +134,7 @@ const AnnouncementCenter = ({ navigation }) => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [authReady, currentFirebaseUser, roster.length]);
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -191,33 +187,56 @@ const AnnouncementCenter = ({ navigation }) => {
     return `${diffInDays}d ago`;
   };
 
-  const handleCreateAnnouncement = () => {
+  const handleCreateAnnouncement = async () => {
     if (!announcementTitle.trim() || !announcementText.trim()) {
       Alert.alert('Error', 'Please enter both title and message');
       return;
     }
     
-    if (selectedTeams.length === 0 && selectedPlayers.length === 0) {
+    if (selectedTeams.length === 0) {
       Alert.alert('Error', 'Please select at least one recipient');
       return;
     }
 
-    Alert.alert(
-      'Create Announcement',
-      'This feature is under development. Your announcement will be sent once the backend is ready!',
-      [{ text: 'OK' }]
-    );
-    
-    setShowCreateModal(false);
-    resetCreateForm();
+    try {
+      setSendingAnnouncement(true);
+      for (const channelId of selectedTeams) {
+        await sendMessage(channelId, {
+          text: announcementText.trim(),
+          type: 'text',
+          metadata: {
+            senderName: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'Coach',
+            announcement: {
+              title: announcementTitle.trim(),
+              priority,
+              category
+            }
+          }
+        });
+      }
+
+      setShowCreateModal(false);
+      resetCreateForm();
+      await initializeScreen();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to send announcement');
+    } finally {
+      setSendingAnnouncement(false);
+    }
+  };
+
+  const toggleChannel = (channelId) => {
+    setSelectedTeams(prev => prev.includes(channelId)
+      ? prev.filter(id => id !== channelId)
+      : [...prev, channelId]);
   };
 
   const resetCreateForm = () => {
     setAnnouncementTitle('');
     setAnnouncementText('');
     setSelectedTeams([]);
-    setSelectedPlayers([]);
     setPriority('normal');
+    setCategory('training');
     setScheduleDate(null);
   };
 
@@ -318,7 +337,8 @@ const AnnouncementCenter = ({ navigation }) => {
                 mode="text"
                 textColor="white"
                 onPress={handleCreateAnnouncement}
-                disabled={!announcementTitle.trim() || !announcementText.trim()}
+                loading={sendingAnnouncement}
+                disabled={!announcementTitle.trim() || !announcementText.trim() || sendingAnnouncement}
               >
                 Send
               </Button>
@@ -360,6 +380,23 @@ const AnnouncementCenter = ({ navigation }) => {
               </View>
             </View>
             
+            <View style={styles.inputSection}>
+              <Text style={styles.sectionLabel}>Category</Text>
+              <View style={styles.recipientTags}>
+                {filterOptions.filter(option => option.key !== 'all').map(option => (
+                  <Chip
+                    key={option.key}
+                    icon={option.icon}
+                    selected={category === option.key}
+                    onPress={() => setCategory(option.key)}
+                    style={styles.recipientChip}
+                  >
+                    {option.label}
+                  </Chip>
+                ))}
+              </View>
+            </View>
+            
             <View style={styles.inputSection}>
               <Text style={styles.sectionLabel}>Message</Text>
               <TextInput
@@ -375,21 +412,28 @@ const AnnouncementCenter = ({ navigation }) => {
             
             <View style={styles.inputSection}>
               <Text style={styles.sectionLabel}>Recipients</Text>
-              <Text style={styles.sectionHint}>Select teams or individual players</Text>
+              <Text style={styles.sectionHint}>Select the team announcement channels to post in</Text>
               
-              <TouchableOpacity
-                style={styles.recipientSelector}
-                onPress={() => Alert.alert('Feature Coming Soon', 'Team and player selection interface is under development!')}
-              >
-                <Icon name="group-add" size={24} color={COLORS.primary} />
-                <Text style={styles.selectorText}>
-                  {selectedTeams.length + selectedPlayers.length > 0 
-                    ? `${selectedTeams.length + selectedPlayers.length} selected`
-                    : 'Select Recipients'
-                  }
+              {channels.length === 0 ? (
+                <Text style={styles.sectionHint}>
+                  Add players to your roster to create your team's announcement channel
                 </Text>
-                <Icon name="arrow-forward-ios" size={16} color={COLORS.secondary} />
-              </TouchableOpacity>
+              ) : channels.map(channel => (
+                <TouchableOpacity
+                  key={channel.id}
+                  style={styles.recipientSelector}
+                  onPress={() => toggleChannel(channel.id)}
+                >
+                  <Icon
+                    name={selectedTeams.includes(channel.id) ? 'check-box' : 'check-box-outline-blank'}
+                    size={24}
+                    color={COLORS.primary}
+                  />
+                  <Text style={styles.selectorText}>
+                    {channel.name} ({Math.max(channel.participants.length - 1, 0)} members)
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </View>
           </ScrollView>
         </KeyboardAvoidingView>
@@ -33,6 +33,8 @@ import {
 import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import ChatService, { MEMBER_ROLES } from '../../../services/ChatService';
+import { useChatWithAuth } from '../../../hooks/useChatWithAuth';
 
 // Design system imports
 import { COLORS } from '../../../styles/colors';
@@ -46,7 +48,15 @@ const { width, height } = Dimensions.get('window');
 const TeamChat = ({ navigation, route }) => {
   const dispatch = useDispatch();
   const { user } = useSelector(state => state.auth);
-  const { team, messages, loading } = useSelector(state => state.chat);
+  const roster = useSelector(state => state.players.players) || [];
+  const {
+    authReady,
+    currentFirebaseUser,
+    getChatMessages,
+    sendMessage,
+    addMessageReaction,
+    createOrGetChat,
+  } = useChatWithAuth();
 
   // State management
   const [refreshing, setRefreshing] = useState(false);
@@ -61,140 +71,37 @@ const TeamChat = ({ navigation, route }) => {
   const scrollViewRef = useRef(null);
   const textInputRef = useRef(null);
 
-  // Sample team data
-  const sampleTeam = {
-    id: 1,
-    name: 'Elite Football Academy U-16',
-    coach: 'Coach Sarah Miller',
-    totalPlayers: 18,
-    activeChats: 5,
-    unreadMessages: 12,
-    players: [
-      {
-        id: 1,
-        name: 'Emma Johnson',
-        position: 'Forward',
-        avatar: 'EJ',
-        online: true,
-        lastSeen: 'Now',
-        unreadCount: 3,
-        performance: 92,
-        attendance: 95,
-      },
-      {
-        id: 2,
-        name: 'Alex Rodriguez',
-        position: 'Midfielder',
-        avatar: 'AR',
-        online: false,
-        lastSeen: '2 hours ago',
-        unreadCount: 0,
-        performance: 88,
-        attendance: 90,
-      },
-      {
-        id: 3,
-        name: 'Maya Patel',
-        position: 'Defender',
-        avatar: 'MP',
-        online: true,
-        lastSeen: 'Now',
-        unreadCount: 1,
-        performance: 85,
-        attendance: 98,
-      },
-      {
-        id: 4,
-        name: 'James Wilson',
-        position: 'Goalkeeper',
-        avatar: 'JW',
-        online: false,
-        lastSeen: '1 day ago',
-        unreadCount: 0,
-        performance: 90,
-        attendance: 92,
-      },
-      {
-        id: 5,
-        name: 'Sophie Chen',
-        position: 'Forward',
-        avatar: 'SC',
-        online: true,
-        lastSeen: 'Now',
-        unreadCount: 2,
-        performance: 87,
-        attendance: 94,
-      },
-      {
-        id: 6,
-        name: 'David Thompson',
-        position: 'Midfielder',
-        avatar: 'DT',
-        online: false,
-        lastSeen: '30 minutes ago',
-        unreadCount: 0,
-        performance: 89,
-        attendance: 96,
-      },
-    ],
+  // The team is the coach's roster; its chat and announcement channels are
+  // created on first open and kept in step with the roster afterwards
+  const team = {
+    id: route?.params?.teamId || user?.teamId || `coach_${currentFirebaseUser?.uid || user?.id}`,
+    name: route?.params?.teamName || user?.teamName || `${user?.firstName || 'Coach'}'s Team`,
+    members: roster,
   };
+  const [channel, setChannel] = useState(null);
+  const [teamMessages, setTeamMessages] = useState([]);
+  const [showMembersModal, setShowMembersModal] = useState(false);
 
-  // Sample messages data
-  const sampleTeamMessages = [
-    {
-      id: 1,
-      type: 'coach',
-      sender: 'Coach Sarah',
-      message: 'Great job in today\'s practice everyone! Remember to work on the passing drills we covered.',
-      timestamp: new Date(Date.now() - 3600000).toISOString(),
-      reactions: [
-        { emoji: '👍', count: 12, users: ['Emma', 'Alex', 'Maya'] },
-        { emoji: '⚽', count: 8, users: ['James', 'Sophie'] },
-      ],
-      isPinned: true,
-    },
-    {
-      id: 2,
-      type: 'announcement',
-      sender: 'System',
-      message: 'Match scheduled: Elite Academy vs City Stars - Saturday 2:00 PM at Central Stadium',
-      timestamp: new Date(Date.now() - 7200000).toISOString(),
-      reactions: [
-        { emoji: '🔥', count: 15, users: ['Emma', 'Alex'] },
-        { emoji: '💪', count: 10, users: ['Maya', 'James'] },
-      ],
-      isPinned: false,
-    },
-    {
-      id: 3,
-      type: 'player',
-      sender: 'Emma Johnson',
-      message: 'Coach, what time should we arrive for warm-up before the match?',
-      timestamp: new Date(Date.now() - 1800000).toISOString(),
-      reactions: [],
-      isPinned: false,
-    },
-    {
-      id: 4,
-      type: 'coach',
-      sender: 'Coach Sarah',
-      message: 'Please arrive by 1:00 PM for warm-up and team talk. Don\'t forget your water bottles! 💧',
-      timestamp: new Date(Date.now() - 900000).toISOString(),
-      reactions: [
-        { emoji: '👍', count: 8, users: ['Emma', 'Alex'] },
-      ],
-      isPinned: false,
-    },
-    {
-      id: 5,
-      type: 'player',
-      sender: 'Alex Rodriguez',
-      message: 'Thanks Coach! Should we bring our backup jerseys?',
-      timestamp: new Date(Date.now() - 600000).toISOString(),
-      reactions: [],
-      isPinned: false,
-    },
-  ];
+  const playerUid = (player) => String(player.firebaseUid || player.userId || player.id);
+
+  const teamPlayers = roster.map(player => {
+    const name = player.name || `${player.firstName || ''} ${player.lastName || ''}`.trim() || 'Player';
+    return {
+      ...player,
+      uid: playerUid(player),
+      name,
+      position: player.position || '',
+      avatar: name.split(' ').map(part => part.charAt(0)).join('').substring(0, 2).toUpperCase(),
+      online: !!player.online,
+      lastSeen: player.lastSeen || 'recently',
+      unreadCount: 0,
+      performance: player.performance ?? 0,
+      attendance: player.attendanceRate ?? player.attendance ?? 0,
+    };
+  });
+
+  const myRole = ChatService.getMemberRole(channel, currentFirebaseUser?.uid);
+  const isOwner = myRole === MEMBER_ROLES.OWNER;
 
   // Quick message templates
   const quickMessages = [
@@ -209,6 +116,9 @@ const TeamChat = ({ navigation, route }) => {
   // Effects
   useEffect(() => {
     loadTeamChat();
+  }, [authReady, currentFirebaseUser, roster.length]);
+
+  useEffect(() => {
     animateTabChange();
   }, [selectedTab]);
 
@@ -218,17 +128,38 @@ const TeamChat = ({ navigation, route }) => {
         scrollViewRef.current.scrollToEnd({ animated: true });
       }, 100);
     }
-  }, [sampleTeamMessages]);
+  }, [teamMessages]);
+
+  useEffect(() => {
+    if (!channel) return undefined;
+
+    return ChatService.addEventListener((event) => {
+      if (event.data?.chatId === channel.id && event.type === 'messageSent') {
+        setTeamMessages(prev => prev.some(m => m.id === event.data.message.id)
+          ? prev
+          : [...prev, event.data.message]);
+      }
+      if (event.type === 'chatUpdated' && event.data.chat.id === channel.id) {
+        setChannel(event.data.chat);
+      }
+    });
+  }, [channel?.id]);
 
   // Handlers
   const loadTeamChat = useCallback(async () => {
+    if (!authReady || !currentFirebaseUser) return;
+
     try {
-      // dispatch(loadTeamMessages());
-      // dispatch(loadTeamPlayers());
+      const result = await ChatService.syncTeamChannels(currentFirebaseUser.uid, team);
+      setChannel(result.chat);
+
+      const messagesResult = await getChatMessages(result.chat.id, 50);
+      setTeamMessages(messagesResult.messages || []);
     } catch (error) {
-      Alert.alert('Error', 'Failed to load team chat');
+      console.error('Error loading team chat:', error);
+      Alert.alert('Error', error.message || 'Failed to load team chat');
     }
-  }, [dispatch]);
+  }, [authReady, currentFirebaseUser, team.id, team.name, roster]);
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -263,14 +194,24 @@ const TeamChat = ({ navigation, route }) => {
     }
   };
 
-  const handleSendMessage = () => {
-    if (messageText.trim()) {
-      // dispatch(sendTeamMessage(messageText));
-      setMessageText('');
-      Vibration.vibrate(50);
-      
-      // Simulate message sent
-      Alert.alert('Message Sent', 'Your message has been sent to the team!');
+  const handleSendMessage = async () => {
+    if (!messageText.trim() || !channel) return;
+
+    const text = messageText.trim();
+    setMessageText('');
+    Vibration.vibrate(50);
+
+    try {
+      await sendMessage(channel.id, {
+        text,
+        type: 'text',
+        metadata: {
+          senderName: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'Coach',
+        },
+      });
+    } catch (error) {
+      setMessageText(text);
+      Alert.alert('Error', error.message || 'Failed to send message');
     }
   };
 
@@ -286,15 +227,79 @@ const TeamChat = ({ navigation, route }) => {
     Vibration.vibrate(50);
   };
 
-  const handleMessagePlayer = (player) => {
+  const handleMessagePlayer = async (player) => {
     setShowPlayerModal(false);
-    navigation.navigate('IndividualChat', { player });
     Vibration.vibrate(50);
+
+    try {
+      const result = await createOrGetChat([player.uid]);
+      navigation.navigate('Chat', {
+        chatId: result.chat.id,
+        chatPartner: { id: player.uid, name: player.name },
+        chatName: player.name,
+      });
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not open chat');
+    }
   };
 
-  const handleReaction = (messageId, emoji) => {
-    // dispatch(addMessageReaction(messageId, emoji));
+  const handleReaction = async (messageId, emoji) => {
+    if (!channel) return;
     Vibration.vibrate(50);
+
+    try {
+      await addMessageReaction(channel.id, messageId, emoji);
+    } catch (error) {
+      console.warn('Failed to add reaction:', error);
+    }
+  };
+
+  const handleMemberAction = (member) => {
+    const uid = currentFirebaseUser?.uid;
+    if (!channel || member.id === uid || member.role === MEMBER_ROLES.OWNER) return;
+
+    const actions = [];
+    if (isOwner) {
+      actions.push(member.role === MEMBER_ROLES.ADMIN
+        ? { text: 'Remove Admin', onPress: () => changeMembership(() => ChatService.setMemberRole(channel.id, uid, member.id, MEMBER_ROLES.MEMBER)) }
+        : { text: 'Make Admin', onPress: () => changeMembership(() => ChatService.setMemberRole(channel.id, uid, member.id, MEMBER_ROLES.ADMIN)) });
+    }
+    if (isOwner || member.role === MEMBER_ROLES.MEMBER) {
+      actions.push({
+        text: 'Remove from Channel',
+        style: 'destructive',
+        onPress: () => changeMembership(() => ChatService.removeMember(channel.id, uid, member.id)),
+      });
+    }
+
+    Alert.alert(member.name, `Role: ${member.role}`, [...actions, { text: 'Cancel', style: 'cancel' }]);
+  };
+
+  const changeMembership = async (action) => {
+    try {
+      const result = await action();
+      setChannel(result.chat);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not update the channel');
+    }
+  };
+
+  const toMessageView = (message) => {
+    const senderRole = ChatService.getMemberRole(channel, message.senderId);
+    return {
+      id: message.id,
+      type: message.type === 'system' ? 'announcement'
+        : senderRole === MEMBER_ROLES.OWNER || senderRole === MEMBER_ROLES.ADMIN ? 'coach'
+        : 'player',
+      sender: message.type === 'system' ? 'Team' : (message.metadata?.senderName || 'Team member'),
+      message: message.text,
+      timestamp: message.timestamp,
+      reactions: Object.entries(message.reactions || {}).map(([emoji, users]) => ({
+        emoji,
+        count: Array.isArray(users) ? users.length : Object.keys(users || {}).length,
+      })),
+      isPinned: !!message.pinned,
+    };
   };
 
   const formatTimestamp = (timestamp) => {
@@ -311,7 +316,7 @@ const TeamChat = ({ navigation, route }) => {
     }
   };
 
-  const filteredPlayers = sampleTeam.players.filter(player =>
+  const filteredPlayers = teamPlayers.filter(player =>
     player.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
     player.position.toLowerCase().includes(searchQuery.toLowerCase())
   );
@@ -329,25 +334,25 @@ const TeamChat = ({ navigation, route }) => {
           </TouchableOpacity>
           
           <View style={styles.headerInfo}>
-            <Text style={styles.teamName}>{sampleTeam.name}</Text>
+            <Text style={styles.teamName}>{channel?.name || team.name}</Text>
             <Text style={styles.teamDetails}>
-              {sampleTeam.totalPlayers} players • {sampleTeam.activeChats} active chats
+              {teamPlayers.length} players • {channel?.participants?.length || 0} in channel
             </Text>
           </View>
 
           <View style={styles.headerActions}>
             <TouchableOpacity
               style={styles.headerAction}
-              onPress={() => navigation.navigate('TeamInfo')}
+              onPress={() => setShowMembersModal(true)}
             >
-              <Icon name="info" size={24} color="white" />
-              {sampleTeam.unreadMessages > 0 && (
+              <Icon name="group" size={24} color="white" />
+              {channel?.unreadCounts?.[currentFirebaseUser?.uid] > 0 && (
                 <Badge
                   visible={true}
                   size={18}
                   style={styles.headerBadge}
                 >
-                  {sampleTeam.unreadMessages}
+                  {channel.unreadCounts[currentFirebaseUser.uid]}
                 </Badge>
               )}
             </TouchableOpacity>
@@ -405,7 +410,13 @@ const TeamChat = ({ navigation, route }) => {
         }
         showsVerticalScrollIndicator={false}
       >
-        {sampleTeamMessages.map((message) => (
+        {teamMessages.length === 0 && (
+          <Text style={styles.emptyText}>
+            {channel ? 'No messages yet. Say hello to your team!' : 'Setting up your team channel...'}
+          </Text>
+        )}
+
+        {teamMessages.map(toMessageView).map((message) => (
           <View key={message.id} style={styles.messageWrapper}>
             {message.isPinned && (
               <View style={styles.pinnedIndicator}>
@@ -678,6 +689,51 @@ const TeamChat = ({ navigation, route }) => {
     </Portal>
   );
 
+  const renderMembersModal = () => {
+    const members = Object.entries(channel?.members || {})
+      .map(([id, member]) => ({
+        id,
+        ...member,
+        name: id === currentFirebaseUser?.uid
+          ? 'You'
+          : teamPlayers.find(player => player.uid === id)?.name || 'Team member',
+      }))
+      .sort((a, b) => Object.values(MEMBER_ROLES).indexOf(a.role) - Object.values(MEMBER_ROLES).indexOf(b.role));
+
+    return (
+      <Portal>
+        <Modal
+          visible={showMembersModal}
+          onDismiss={() => setShowMembersModal(false)}
+          contentContainerStyle={styles.modalContainer}
+        >
+          <Surface style={styles.modalContent}>
+            <Text style={styles.modalPlayerName}>Channel Members ({members.length})</Text>
+            <Text style={styles.modalPlayerPosition}>
+              Players on your roster join automatically. Long-press a member to manage them.
+            </Text>
+            <Divider style={styles.modalDivider} />
+            <ScrollView style={styles.membersList}>
+              {members.map(member => (
+                <TouchableOpacity
+                  key={member.id}
+                  style={styles.memberRow}
+                  onLongPress={() => handleMemberAction(member)}
+                  disabled={!ChatService.canManageChannel(channel, currentFirebaseUser?.uid)}
+                >
+                  <Text style={styles.memberName}>{member.name}</Text>
+                  <Chip compact style={styles.modalStatChip} textStyle={styles.modalStatText}>
+                    {member.role}
+                  </Chip>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </Surface>
+        </Modal>
+      </Portal>
+    );
+  };
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -691,6 +747,8 @@ const TeamChat = ({ navigation, route }) => {
       
       {renderPlayerModal()}
 
+      {renderMembersModal()}
+
       {selectedTab === 'team' && (
         <FAB
           icon="campaign"
@@ -702,7 +760,7 @@ const TeamChat = ({ navigation, route }) => {
               'Send an important announcement to all team members?',
               [
                 { text: 'Cancel', style: 'cancel' },
-                { text: 'Send', onPress: () => navigation.navigate('SendAnnouncement') },
+                { text: 'Send', onPress: () => navigation.navigate('AnnouncementCenter', { teamId: team.id, teamName: team.name }) },
               ]
             );
           }}
@@ -717,6 +775,25 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: COLORS.background,
   },
+  emptyText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.xl,
+  },
+  membersList: {
+    maxHeight: 360,
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: SPACING.sm,
+  },
+  memberName: {
+    ...TEXT_STYLES.body,
+    color: COLORS.text,
+  },
   header: {
     paddingTop: StatusBar.currentHeight + SPACING.md,
     paddingBottom: SPACING.lg,
@@ -141,7 +141,7 @@ const UpcomingSessions = ({ navigation }) => {
       console.log('Initializing session data in UpcomingSessions...');
 
       // Load training plans
-      const plans = await DocumentProcessor.getTrainingPlans();
+      const plans = await DocumentProcessor.getCurrentTrainingPlans();
       setTrainingPlans(plans);
       console.log('Loaded training plans:', plans.length);
 
@@ -159,7 +159,7 @@ const UpcomingSessions = ({ navigation }) => {
             if (sourceDoc) {
               console.log('Found source document for plan:', plan.title);
               
-              const extractionResult = await SessionExtractor.extractSessionsFromDocument(sourceDoc, plan);
+              const extractionResult = await SessionExtractor.getSessionsForPlan(sourceDoc, plan);
               
               if (extractionResult && extractionResult.sessions) {
                 // Convert weekly sessions to individual daily sessions for the upcoming sessions view
@@ -180,10 +180,10 @@ const UpcomingSessions = ({ navigation }) => {
                         weekNumber: weekSession.weekNumber,
                         isFromPlan: true,
                         // Additional properties for UI
-                        players: [
-                          { id: 1, name: 'Player 1', attendance: 'confirmed' },
-                          { id: 2, name: 'Player 2', attendance: 'pending' }
-                        ],
+                        players: (plan.assignedAthletes || []).map(athlete => ({
+                          ...athlete,
+                          attendance: 'pending'
+                        })),
                         completionRate: 0
                       };
                       
@@ -247,7 +247,7 @@ const UpcomingSessions = ({ navigation }) => {
     }
   };
 
-  const handleSessionPress = (session) => {
+  const handleSessionPress = (session, startSession = false) => {
     // Navigate to SessionScheduleScreen with proper data structure
     const sessionDataForNavigation = {
       ...session,
@@ -266,7 +266,8 @@ const UpcomingSessions = ({ navigation }) => {
     navigation.navigate('SessionScheduleScreen', {
       sessionData: sessionDataForNavigation,
       planTitle: session.planTitle || 'Training Session',
-      academyName: session.academyName || 'Training Academy'
+      academyName: session.academyName || 'Training Academy',
+      startSession
     });
   };
 
@@ -281,9 +282,7 @@ const UpcomingSessions = ({ navigation }) => {
         { text: 'Cancel', style: 'cancel' },
         { 
           text: 'Start', 
-          onPress: () => {
-            navigation.navigate('ActiveSession', { sessionId: session.id });
-          }
+          onPress: () => handleSessionPress(session, true)
         }
       ]
     );
@@ -24,7 +24,9 @@ import {
 import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import { LineChart } from 'react-native-chart-kit';
 import { useSelector, useDispatch } from 'react-redux';
+import LoadManagement from '../../../services/LoadManagement';
 
 // Import your established constants
 import { COLORS } from '../../../styles/colors';
@@ -35,6 +37,22 @@ import { LAYOUT } from '../../../styles/layout';
 
 const { width } = Dimensions.get('window');
 
+const LOAD_STATUS_COLORS = {
+  overreaching: COLORS.error,
+  elevated: COLORS.warning,
+  optimal: COLORS.success,
+  undertrained: COLORS.primary,
+  insufficient_data: COLORS.textSecondary,
+};
+
+const LOAD_STATUS_LABELS = {
+  overreaching: 'Overreaching',
+  elevated: 'Elevated',
+  optimal: 'Optimal',
+  undertrained: 'Undertrained',
+  insufficient_data: 'Building history',
+};
+
 const PerformanceDashboard = ({ navigation }) => {
   const dispatch = useDispatch();
   const { user } = useSelector(state => state.auth);
@@ -46,6 +64,9 @@ const PerformanceDashboard = ({ navigation }) => {
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedMetric, setSelectedMetric] = useState('overall');
   const [showFilters, setShowFilters] = useState(false);
+  const [loadStatuses, setLoadStatuses] = useState([]);
+  const [selectedAthleteId, setSelectedAthleteId] = useState(null);
+  const [loadSeries, setLoadSeries] = useState([]);
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -75,13 +96,29 @@ const PerformanceDashboard = ({ navigation }) => {
       // Dispatch actions to load performance data
       // dispatch(fetchPerformanceData({ timeframe: selectedTimeframe }));
       // dispatch(fetchPlayers());
+      const statuses = await LoadManagement.getTeamStatus();
+      setLoadStatuses(statuses);
+      setSelectedAthleteId(current =>
+        statuses.some(status => status.athleteId === current) ? current : statuses[0]?.athleteId || null
+      );
     } catch (error) {
       console.error('Error loading performance data:', error);
     }
   }, [selectedTimeframe, dispatch]);
 
+  useEffect(() => {
+    if (!selectedAthleteId) {
+      setLoadSeries([]);
+      return;
+    }
+    LoadManagement.getLoadSeries(selectedAthleteId, 28)
+      .then(setLoadSeries)
+      .catch(error => console.error('Error loading athlete load series:', error));
+  }, [selectedAthleteId, loadStatuses]);
+
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
+    LoadManagement.refresh();
     await loadPerformanceData();
     setRefreshing(false);
   }, [loadPerformanceData]);
@@ -313,35 +350,41 @@ const PerformanceDashboard = ({ navigation }) => {
     </Card>
   );
 
+  const flaggedAthletes = loadStatuses.filter(status => ['overreaching', 'elevated'].includes(status.status));
+  const trackedRatios = loadStatuses.filter(status => status.acwr !== null && status.status !== 'insufficient_data');
+  const averageAcwr = trackedRatios.length > 0
+    ? (trackedRatios.reduce((sum, status) => sum + status.acwr, 0) / trackedRatios.length).toFixed(2)
+    : '-';
+
   const renderQuickStats = () => (
     <View style={{ paddingHorizontal: SPACING.medium, marginBottom: SPACING.medium }}>
       <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
         <Surface style={{ padding: SPACING.medium, borderRadius: 12, flex: 1, marginRight: SPACING.small, elevation: 2 }}>
           <View style={{ alignItems: 'center' }}>
             <Icon name="trending-up" size={32} color={COLORS.success} />
-            <Text style={[TEXT_STYLES.title, { fontWeight: 'bold', marginTop: SPACING.small }]}>+15%</Text>
+            <Text style={[TEXT_STYLES.title, { fontWeight: 'bold', marginTop: SPACING.small }]}>{averageAcwr}</Text>
             <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, textAlign: 'center' }]}>
-              Weekly Growth
+              Avg Acute:Chronic
             </Text>
           </View>
         </Surface>
 
         <Surface style={{ padding: SPACING.medium, borderRadius: 12, flex: 1, marginHorizontal: SPACING.xsmall, elevation: 2 }}>
           <View style={{ alignItems: 'center' }}>
-            <Icon name="jump-rope" size={32} color={COLORS.warning} />
-            <Text style={[TEXT_STYLES.title, { fontWeight: 'bold', marginTop: SPACING.small }]}>12</Text>
+            <Icon name="warning" size={32} color={flaggedAthletes.length > 0 ? COLORS.warning : COLORS.success} />
+            <Text style={[TEXT_STYLES.title, { fontWeight: 'bold', marginTop: SPACING.small }]}>{flaggedAthletes.length}</Text>
             <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, textAlign: 'center' }]}>
-              Goals This Week
+              Load Flags
             </Text>
           </View>
         </Surface>
 
         <Surface style={{ padding: SPACING.medium, borderRadius: 12, flex: 1, marginLeft: SPACING.small, elevation: 2 }}>
           <View style={{ alignItems: 'center' }}>
-            <Icon name="schedule" size={32} color={COLORS.primary} />
-            <Text style={[TEXT_STYLES.title, { fontWeight: 'bold', marginTop: SPACING.small }]}>4.2h</Text>
+            <Icon name="people" size={32} color={COLORS.primary} />
+            <Text style={[TEXT_STYLES.title, { fontWeight: 'bold', marginTop: SPACING.small }]}>{loadStatuses.length}</Text>
             <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, textAlign: 'center' }]}>
-              Avg Session Time
+              Athletes Tracked
             </Text>
           </View>
         </Surface>
@@ -349,6 +392,92 @@ const PerformanceDashboard = ({ navigation }) => {
     </View>
   );
 
+  const renderTrainingLoad = () => {
+    const selected = loadStatuses.find(status => status.athleteId === selectedAthleteId);
+
+    return (
+      <Card style={{ margin: SPACING.medium, elevation: 4 }}>
+        <Card.Content>
+          <Text style={[TEXT_STYLES.heading, { color: COLORS.text, marginBottom: SPACING.small }]}>Training Load</Text>
+
+          {loadStatuses.length === 0 ? (
+            <Text style={[TEXT_STYLES.body, { color: COLORS.textSecondary }]}>
+              Record RPE when completing sessions to see acute and chronic load for each athlete.
+            </Text>
+          ) : (
+            <>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginBottom: SPACING.small }}>
+                {loadStatuses.map(status => (
+                  <Chip
+                    key={status.athleteId}
+                    selected={status.athleteId === selectedAthleteId}
+                    onPress={() => setSelectedAthleteId(status.athleteId)}
+                    icon={['overreaching', 'elevated'].includes(status.status) ? 'warning' : undefined}
+                    style={{ marginRight: SPACING.small, borderColor: LOAD_STATUS_COLORS[status.status] }}
+                    mode="outlined"
+                  >
+                    {status.athleteName || status.athleteId}
+                  </Chip>
+                ))}
+              </ScrollView>
+
+              {loadSeries.length > 0 && (
+                <LineChart
+                  data={{
+                    labels: loadSeries.map((day, index) => (index % 7 === 6 ? day.date.slice(5) : '')),
+                    datasets: [
+                      { data: loadSeries.map(day => day.acute), color: () => COLORS.primary, strokeWidth: 3 },
+                      { data: loadSeries.map(day => day.chronic), color: () => COLORS.warning, strokeWidth: 2 },
+                    ],
+                    legend: ['Acute (7d)', 'Chronic (28d avg)'],
+                  }}
+                  width={width - SPACING.medium * 4}
+                  height={200}
+                  withDots={false}
+                  chartConfig={{
+                    backgroundGradientFrom: COLORS.surface,
+                    backgroundGradientTo: COLORS.surface,
+                    decimalPlaces: 0,
+                    color: (opacity = 1) => `rgba(46, 134, 171, ${opacity})`,
+                    labelColor: () => COLORS.textSecondary,
+                  }}
+                  style={{ borderRadius: 12 }}
+                />
+              )}
+
+              {selected && (
+                <View style={{ marginTop: SPACING.small }}>
+                  <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+                    {[
+                      { label: 'ACWR', value: selected.acwr ?? '-' },
+                      { label: 'Monotony', value: selected.monotony },
+                      { label: 'Strain', value: selected.strain },
+                      { label: 'Weekly Load', value: selected.acute },
+                    ].map(metric => (
+                      <View key={metric.label} style={{ alignItems: 'center' }}>
+                        <Text style={[TEXT_STYLES.title, { fontWeight: 'bold' }]}>{metric.value}</Text>
+                        <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary }]}>{metric.label}</Text>
+                      </View>
+                    ))}
+                  </View>
+                  <Chip
+                    style={{ alignSelf: 'flex-start', marginTop: SPACING.small, backgroundColor: LOAD_STATUS_COLORS[selected.status] + '20' }}
+                    textStyle={{ color: LOAD_STATUS_COLORS[selected.status] }}
+                  >
+                    {LOAD_STATUS_LABELS[selected.status]}
+                  </Chip>
+                  <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, marginTop: SPACING.xsmall }]}>
+                    {LoadManagement.describeStatus(selected)}
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
+        </Card.Content>
+      </Card>
+    );
+  };
+
   const renderRecentActivity = () => (
     <Card style={{ margin: SPACING.medium, elevation: 4 }}>
       <Card.Content>
@@ -462,6 +591,7 @@ const PerformanceDashboard = ({ navigation }) => {
         {renderTimeframeSelector()}
         {renderMetricSelector()}
         {renderQuickStats()}
+        {renderTrainingLoad()}
         {renderTopPerformers()}
         {renderRecentActivity()}
         {renderActionButtons()}
@@ -32,6 +32,7 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import InjuryManagement, { RETURN_TO_PLAY_STAGES } from '../../../services/InjuryManagement';
 import { COLORS } from '../../../styles/colors';
 import { SPACING } from '../../../styles/spacing';
 import { TEXT_STYLES } from '../../../styles/textStyles';
@@ -53,6 +54,7 @@ const InjuryTracking = ({ navigation }) => {
   const [showReportDialog, setShowReportDialog] = useState(false);
   const [showUpdateDialog, setShowUpdateDialog] = useState(false);
   const [selectedInjury, setSelectedInjury] = useState(null);
+  const [conflictAlerts, setConflictAlerts] = useState([]);
   const [injuryData, setInjuryData] = useState({
     playerId: '',
     injuryType: '',
@@ -65,90 +67,6 @@ const InjuryTracking = ({ navigation }) => {
     restrictions: '',
   });
 
-  // Mock data - replace with actual API calls
-  const mockInjuries = [
-    {
-      id: '1',
-      playerId: 'p1',
-      playerName: 'John Smith',
-      playerAvatar: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150&h=150&fit=crop&crop=face',
-      injuryType: 'Ankle Sprain',
-      bodyPart: 'Ankle',
-      severity: 'moderate',
-      status: 'recovering',
-      dateOccurred: '2024-08-10',
-      expectedRecovery: '2024-08-24',
-      daysOut: 6,
-      totalEstimatedDays: 14,
-      recoveryProgress: 43,
-      treatment: 'Physical therapy, ice, compression',
-      restrictions: 'No running or jumping exercises',
-      lastUpdate: '2024-08-16',
-      medicalClearance: false,
-      notes: 'Player reports reduced pain and swelling',
-    },
-    {
-      id: '2',
-      playerId: 'p2',
-      playerName: 'Emily Johnson',
-      playerAvatar: 'https://images.unsplash.com/photo-1494790108755-2616b332c76a?w=150&h=150&fit=crop&crop=face',
-      injuryType: 'Hamstring Strain',
-      bodyPart: 'Hamstring',
-      severity: 'minor',
-      status: 'cleared',
-      dateOccurred: '2024-08-01',
-      expectedRecovery: '2024-08-08',
-      daysOut: 7,
-      totalEstimatedDays: 7,
-      recoveryProgress: 100,
-      treatment: 'Rest, stretching, gradual return',
-      restrictions: 'None - cleared for full activity',
-      lastUpdate: '2024-08-08',
-      medicalClearance: true,
-      notes: 'Full recovery achieved, cleared by team doctor',
-    },
-    {
-      id: '3',
-      playerId: 'p3',
-      playerName: 'Mike Davis',
-      playerAvatar: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150&h=150&fit=crop&crop=face',
-      injuryType: 'Concussion',
-      bodyPart: 'Head',
-      severity: 'major',
-      status: 'out',
-      dateOccurred: '2024-08-14',
-      expectedRecovery: '2024-08-28',
-      daysOut: 2,
-      totalEstimatedDays: 14,
-      recoveryProgress: 14,
-      treatment: 'Complete rest, concussion protocol',
-      restrictions: 'No physical activity, cognitive rest',
-      lastUpdate: '2024-08-16',
-      medicalClearance: false,
-      notes: 'Following return-to-play protocol, symptoms improving',
-    },
-    {
-      id: '4',
-      playerId: 'p4',
-      playerName: 'Sarah Wilson',
-      playerAvatar: 'https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=150&h=150&fit=crop&crop=face',
-      injuryType: 'Knee Strain',
-      bodyPart: 'Knee',
-      severity: 'minor',
-      status: 'recovering',
-      dateOccurred: '2024-08-12',
-      expectedRecovery: '2024-08-19',
-      daysOut: 4,
-      totalEstimatedDays: 7,
-      recoveryProgress: 57,
-      treatment: 'Ice, elevation, light therapy',
-      restrictions: 'Limited contact drills',
-      lastUpdate: '2024-08-16',
-      medicalClearance: false,
-      notes: 'Good progress, pain decreasing',
-    },
-  ];
-
   const mockPlayers = [
     { id: 'p1', name: 'John Smith', avatar: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150&h=150&fit=crop&crop=face' },
     { id: 'p2', name: 'Emily Johnson', avatar: 'https://images.unsplash.com/photo-1494790108755-2616b332c76a?w=150&h=150&fit=crop&crop=face' },
@@ -177,21 +95,70 @@ const InjuryTracking = ({ navigation }) => {
     { value: 'all', label: 'All Status', icon: 'list' },
     { value: 'out', label: 'Out', icon: 'block', color: '#F44336' },
     { value: 'recovering', label: 'Recovering', icon: 'healing', color: '#FF9800' },
+    { value: 'monitoring', label: 'Monitoring', icon: 'visibility', color: '#2196F3' },
     { value: 'cleared', label: 'Cleared', icon: 'check-circle', color: '#4CAF50' },
   ];
 
+  const playerOptions = players?.length > 0 ? players : mockPlayers;
+
   useEffect(() => {
     loadInjuries();
   }, []);
 
-  const loadInjuries = useCallback(() => {
-    setInjuries(mockInjuries);
+  const daysBetween = (from, to) => Math.max(0, Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)));
+
+  // Card view of an injury record
+  const toInjuryCard = (injury) => {
+    const now = new Date();
+    const active = InjuryManagement.isActive(injury, now);
+    const daysOut = daysBetween(injury.injuredAt, active ? now : injury.clearanceDate || injury.updatedAt);
+    const player = playerOptions.find(p => String(p.id) === injury.athleteId);
+
+    return {
+      id: injury.id,
+      playerId: injury.athleteId,
+      playerName: injury.athleteName || player?.name || 'Unknown',
+      playerAvatar: player?.avatar || '',
+      injuryType: injury.injuryType,
+      bodyPart: injury.bodyPart,
+      severity: injury.severity,
+      status: InjuryManagement.statusOf(injury, now),
+      stage: injury.stage,
+      stageLabel: InjuryManagement.getStage(injury.stage).label,
+      dateOccurred: injury.injuredAt.split('T')[0],
+      expectedRecovery: injury.expectedReturn || 'not set',
+      clearanceDate: injury.clearanceDate ? injury.clearanceDate.split('T')[0] : '',
+      daysOut,
+      totalEstimatedDays: injury.expectedReturn ? daysBetween(injury.injuredAt, injury.expectedReturn) : daysOut,
+      recoveryProgress: InjuryManagement.recoveryProgress(injury, now),
+      treatment: injury.treatment,
+      restrictions: active
+        ? [injury.restrictions, InjuryManagement.describeRestrictions([injury])].filter(Boolean).join('\n')
+        : 'None - cleared for full activity',
+      lastUpdate: injury.updatedAt.split('T')[0],
+      medicalClearance: !active,
+      notes: injury.notes.length > 0 ? injury.notes[injury.notes.length - 1].text : '',
+    };
+  };
+
+  const loadInjuries = useCallback(async () => {
+    try {
+      const [records, alerts] = await Promise.all([
+        InjuryManagement.getInjuries(),
+        InjuryManagement.getAlerts()
+      ]);
+      setInjuries(records.map(toInjuryCard));
+      setConflictAlerts(alerts);
+    } catch (error) {
+      console.error('Error loading injuries:', error);
+    }
   }, []);
 
-  const onRefresh = useCallback(() => {
+  const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    loadInjuries();
-    setTimeout(() => setRefreshing(false), 1000);
+    InjuryManagement.refresh();
+    await loadInjuries();
+    setRefreshing(false);
   }, [loadInjuries]);
 
   const filteredInjuries = injuries.filter(injury => {
@@ -213,45 +180,55 @@ const InjuryTracking = ({ navigation }) => {
     return severityConfig?.color || COLORS.secondary;
   };
 
-  const handleReportInjury = () => {
+  const handleReportInjury = async () => {
     if (!injuryData.playerId || !injuryData.injuryType || !injuryData.bodyPart) {
       Alert.alert('Error', 'Please fill in all required fields');
       return;
     }
 
-    const newInjury = {
-      id: Date.now().toString(),
-      ...injuryData,
-      playerName: mockPlayers.find(p => p.id === injuryData.playerId)?.name || 'Unknown',
-      playerAvatar: mockPlayers.find(p => p.id === injuryData.playerId)?.avatar || '',
-      status: 'out',
-      daysOut: 0,
-      totalEstimatedDays: parseInt(injuryData.expectedRecovery) || 7,
-      recoveryProgress: 0,
-      lastUpdate: new Date().toISOString().split('T')[0],
-      medicalClearance: false,
-      notes: `Initial injury report: ${injuryData.description}`,
-    };
+    try {
+      await InjuryManagement.reportInjury({
+        athleteId: injuryData.playerId,
+        athleteName: playerOptions.find(p => p.id === injuryData.playerId)?.name || null,
+        injuryType: injuryData.injuryType,
+        bodyPart: injuryData.bodyPart,
+        severity: injuryData.severity,
+        injuredAt: injuryData.dateOccurred,
+        expectedReturn: injuryData.expectedRecovery || null,
+        treatment: injuryData.treatment,
+        restrictions: injuryData.restrictions,
+        description: injuryData.description,
+      }, { id: user?.id, name: user?.name, role: 'coach' });
 
-    setInjuries([...injuries, newInjury]);
-    resetReportDialog();
-    Alert.alert('Success', 'Injury reported successfully! 🏥');
+      resetReportDialog();
+      await loadInjuries();
+      Alert.alert('Success', 'Injury reported successfully! 🏥 Assigned sessions now skip the restricted drills.');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
   };
 
-  const handleUpdateInjury = () => {
-    const updatedInjuries = injuries.map(injury =>
-      injury.id === selectedInjury.id
-        ? {
-            ...injury,
-            ...injuryData,
-            lastUpdate: new Date().toISOString().split('T')[0],
-          }
-        : injury
-    );
+  const handleUpdateInjury = async () => {
+    try {
+      await InjuryManagement.updateInjury(selectedInjury.id, {
+        stage: injuryData.stage,
+        clearanceDate: injuryData.clearanceDate || null,
+        treatment: injuryData.treatment,
+        restrictions: injuryData.restrictions,
+        note: injuryData.notes,
+      }, { id: user?.id, name: user?.name });
 
-    setInjuries(updatedInjuries);
-    resetUpdateDialog();
-    Alert.alert('Success', 'Injury updated successfully! ✅');
+      resetUpdateDialog();
+      await loadInjuries();
+      Alert.alert('Success', 'Injury updated successfully! ✅');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleAcknowledgeAlert = async (alertId) => {
+    await InjuryManagement.acknowledgeAlert(alertId);
+    setConflictAlerts(alerts => alerts.filter(alert => alert.id !== alertId));
   };
 
   const resetReportDialog = () => {
@@ -285,22 +262,43 @@ const InjuryTracking = ({ navigation }) => {
     });
   };
 
-  const openUpdateDialog = (injury) => {
+  const openUpdateDialog = async (injury) => {
+    const record = (await InjuryManagement.getInjuries(injury.playerId)).find(item => item.id === injury.id);
     setSelectedInjury(injury);
     setInjuryData({
       playerId: injury.playerId,
       injuryType: injury.injuryType,
       bodyPart: injury.bodyPart,
       severity: injury.severity,
-      description: injury.notes,
+      stage: injury.stage,
+      clearanceDate: injury.clearanceDate,
       dateOccurred: injury.dateOccurred,
       expectedRecovery: injury.expectedRecovery,
       treatment: injury.treatment,
-      restrictions: injury.restrictions,
+      restrictions: record?.restrictions || '',
+      notes: '',
     });
     setShowUpdateDialog(true);
   };
 
+  const renderConflictAlerts = () => conflictAlerts.length > 0 && (
+    <View style={styles.alertsSection}>
+      <Text style={styles.sectionTitle}>⚠️ Plan Conflicts ({conflictAlerts.length})</Text>
+      {conflictAlerts.map(alert => (
+        <Surface key={alert.id} style={styles.alertCard}>
+          <View style={styles.alertText}>
+            <Text style={styles.playerName}>{alert.planTitle || 'Training plan'}</Text>
+            <Text style={styles.restrictionsText}>{alert.message}</Text>
+            <Text style={styles.detailText}>
+              {alert.sessions} session(s) affected • {new Date(alert.createdAt).toLocaleDateString()}
+            </Text>
+          </View>
+          <IconButton icon="check" onPress={() => handleAcknowledgeAlert(alert.id)} />
+        </Surface>
+      ))}
+    </View>
+  );
+
   const renderSummaryStats = () => {
     const activeInjuries = injuries.filter(i => i.status !== 'cleared').length;
     const recoveryRate = Math.round((injuries.filter(i => i.status === 'cleared').length / injuries.length) * 100) || 0;
@@ -422,7 +420,7 @@ const InjuryTracking = ({ navigation }) => {
 
       <View style={styles.progressSection}>
         <View style={styles.progressHeader}>
-          <Text style={styles.progressTitle}>🔄 Recovery Progress</Text>
+          <Text style={styles.progressTitle}>🔄 {item.stageLabel}</Text>
           <Text style={styles.progressPercentage}>{item.recoveryProgress}%</Text>
         </View>
         <ProgressBar 
@@ -498,7 +496,7 @@ const InjuryTracking = ({ navigation }) => {
               onValueChange={value => setInjuryData({ ...injuryData, playerId: value })}
               value={injuryData.playerId}
             >
-              {mockPlayers.map(player => (
+              {playerOptions.map(player => (
                 <RadioButton.Item key={player.id} label={player.name} value={player.id} />
               ))}
             </RadioButton.Group>
@@ -586,25 +584,23 @@ const InjuryTracking = ({ navigation }) => {
         <Dialog.Title>✏️ Update Injury Status</Dialog.Title>
         <Dialog.Content>
           <ScrollView showsVerticalScrollIndicator={false} style={styles.dialogContent}>
-            <Text style={styles.dialogLabel}>Recovery Progress</Text>
-            <TextInput
-              placeholder="Recovery percentage (0-100)"
-              value={injuryData.recoveryProgress?.toString() || ''}
-              onChangeText={(text) => setInjuryData({ ...injuryData, recoveryProgress: parseInt(text) || 0 })}
-              style={styles.textInput}
-              keyboardType="numeric"
-            />
-
-            <Text style={styles.dialogLabel}>Current Status</Text>
+            <Text style={styles.dialogLabel}>Return-to-Play Stage</Text>
             <RadioButton.Group
-              onValueChange={value => setInjuryData({ ...injuryData, status: value })}
-              value={injuryData.status}
+              onValueChange={value => setInjuryData({ ...injuryData, stage: value })}
+              value={injuryData.stage}
             >
-              <RadioButton.Item label="Out" value="out" />
-              <RadioButton.Item label="Recovering" value="recovering" />
-              <RadioButton.Item label="Cleared" value="cleared" />
+              {RETURN_TO_PLAY_STAGES.map(stage => (
+                <RadioButton.Item key={stage.id} label={stage.label} value={stage.id} />
+              ))}
             </RadioButton.Group>
 
+            <TextInput
+              placeholder="Medical clearance date (YYYY-MM-DD)"
+              value={injuryData.clearanceDate}
+              onChangeText={(text) => setInjuryData({ ...injuryData, clearanceDate: text })}
+              style={styles.textInput}
+            />
+
             <TextInput
               placeholder="Updated treatment plan..."
               value={injuryData.treatment}
@@ -690,6 +686,7 @@ const InjuryTracking = ({ navigation }) => {
         }
       >
         {renderSummaryStats()}
+        {renderConflictAlerts()}
         {renderFilters()}
 
         <Searchbar
@@ -973,6 +970,22 @@ summaryLabel: {
     color: COLORS.secondary,
     lineHeight: 18,
   },
+  alertsSection: {
+    marginBottom: SPACING.md,
+  },
+  alertCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: SPACING.sm,
+    marginBottom: SPACING.sm,
+    borderRadius: 8,
+    borderLeftWidth: 3,
+    borderLeftColor: '#FF9800',
+    backgroundColor: '#FFF3E0',
+  },
+  alertText: {
+    flex: 1,
+  },
   injuryActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
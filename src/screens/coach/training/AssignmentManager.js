@@ -30,6 +30,9 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import DocumentProcessor from '../../../services/DocumentProcessor';
+import SessionExtractor from '../../../services/SessionExtractor';
+import InjuryManagement from '../../../services/InjuryManagement';
 
 import { COLORS } from '../../../styles/colors';
 import { SPACING } from '../../../styles/spacing';
@@ -40,7 +43,7 @@ import { LAYOUT } from '../../../styles/layout';
 const AssignmentManager = ({ navigation }) => {
   const dispatch = useDispatch();
   const { user } = useSelector(state => state.auth);
-  const { players, trainingPlans, assignments } = useSelector(state => state.coach);
+  const { players, trainingPlans, assignments } = useSelector(state => state.coach) || {};
 
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
@@ -48,6 +51,8 @@ const AssignmentManager = ({ navigation }) => {
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [selectedPlan, setSelectedPlan] = useState(null);
   const [selectedPlayers, setSelectedPlayers] = useState([]);
+  const [storedPlans, setStoredPlans] = useState([]);
+  const [checkingRestrictions, setCheckingRestrictions] = useState(false);
   const [fadeAnim] = useState(new Animated.Value(0));
   const [slideAnim] = useState(new Animated.Value(50));
 
@@ -64,8 +69,17 @@ const AssignmentManager = ({ navigation }) => {
         useNativeDriver: true,
       }),
     ]).start();
+    loadStoredPlans();
   }, []);
 
+  const loadStoredPlans = async () => {
+    try {
+      setStoredPlans(await DocumentProcessor.getCurrentTrainingPlans());
+    } catch (error) {
+      console.error('Error loading training plans:', error);
+    }
+  };
+
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     // Simulate API call
@@ -132,6 +146,9 @@ const AssignmentManager = ({ navigation }) => {
     },
   ];
 
+  const planOptions = storedPlans.length > 0 ? storedPlans : mockTrainingPlans;
+  const playerOptions = players?.length > 0 ? players : mockPlayers;
+
   const filteredAssignments = mockAssignments.filter(assignment => {
     const matchesFilter = selectedFilter === 'all' || assignment.status === selectedFilter;
     const matchesSearch = assignment.playerName.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -157,7 +174,23 @@ const AssignmentManager = ({ navigation }) => {
     }
   };
 
-  const handleAssignTraining = () => {
+  // Daily sessions of a stored plan; plans without a document only have
+  // whatever sessions they were saved with
+  const loadPlanSessions = async (plan) => {
+    let sourceDoc = null;
+    if (plan.sourceDocument) {
+      const documents = await DocumentProcessor.getStoredDocuments();
+      sourceDoc = documents.find(doc => doc.id === plan.sourceDocument) || null;
+    }
+    if (!sourceDoc && !plan.structuredWeeks?.length) {
+      return Array.isArray(plan.sessions) ? plan.sessions : [];
+    }
+
+    const extractionResult = await SessionExtractor.getSessionsForPlan(sourceDoc, plan);
+    return (extractionResult?.sessions || []).flatMap(week => week.dailySessions || []);
+  };
+
+  const handleAssignTraining = async () => {
     if (selectedPlayers.length === 0) {
       Alert.alert('No Players Selected', 'Please select at least one player to assign training.');
       return;
@@ -167,6 +200,69 @@ const AssignmentManager = ({ navigation }) => {
       return;
     }
 
+    let conflicts = [];
+    setCheckingRestrictions(true);
+    try {
+      const sessions = await loadPlanSessions(selectedPlan);
+      const athletes = playerOptions.filter(player => selectedPlayers.includes(player.id));
+      conflicts = await InjuryManagement.findConflicts(sessions, athletes);
+    } catch (error) {
+      console.error('Error checking injury restrictions:', error);
+    } finally {
+      setCheckingRestrictions(false);
+    }
+
+    if (conflicts.length === 0) {
+      await confirmAssignment();
+      return;
+    }
+
+    const athleteNames = [...new Set(conflicts.map(conflict => conflict.athleteName || 'Unknown player'))];
+    const examples = conflicts
+      .filter(conflict => conflict.item)
+      .slice(0, 3)
+      .map(conflict => `• ${conflict.item} (${conflict.athleteName || 'player'}: ${conflict.reason})`);
+    const resting = conflicts.filter(conflict => !conflict.item).map(conflict => conflict.athleteName);
+
+    Alert.alert(
+      '⚠️ Injury Restrictions',
+      [
+        `"${selectedPlan.title}" conflicts with active restrictions for ${athleteNames.join(', ')}.`,
+        ...examples,
+        resting.length > 0 ? `Resting: ${[...new Set(resting)].join(', ')}` : null,
+        'Restricted drills are removed from their sessions automatically.'
+      ].filter(Boolean).join('\n'),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Assign Anyway',
+          onPress: async () => {
+            await InjuryManagement.raiseConflictAlerts(conflicts, {
+              planId: selectedPlan.id,
+              planTitle: selectedPlan.title,
+              raisedBy: user?.id
+            });
+            await confirmAssignment();
+          }
+        }
+      ]
+    );
+  };
+
+  const confirmAssignment = async () => {
+    // The built-in sample plans are not stored, so there is nothing to save
+    if (storedPlans.some(plan => plan.id === selectedPlan.id)) {
+      try {
+        const athletes = playerOptions.filter(player => selectedPlayers.includes(player.id));
+        const updatedPlan = await DocumentProcessor.assignTrainingPlan(selectedPlan.id, athletes);
+        setStoredPlans(prev => prev.map(plan => plan.id === updatedPlan.id ? updatedPlan : plan));
+      } catch (error) {
+        console.error('Error saving assignment:', error);
+        Alert.alert('Assignment Failed', error.message || 'Could not save the assignment');
+        return;
+      }
+    }
+
     Alert.alert(
       'Assignment Created! 🎯',
       `Training plan "${selectedPlan.title}" has been assigned to ${selectedPlayers.length} player(s).`,
@@ -340,7 +436,7 @@ const AssignmentManager = ({ navigation }) => {
 
           <ScrollView style={styles.modalContent}>
             <Text style={styles.sectionTitle}>Select Training Plan</Text>
-            {mockTrainingPlans.map((plan) => (
+            {planOptions.map((plan) => (
               <TouchableOpacity
                 key={plan.id}
                 onPress={() => setSelectedPlan(plan)}
@@ -357,7 +453,7 @@ const AssignmentManager = ({ navigation }) => {
                       )}
                     </View>
                     <Text style={styles.planDetails}>
-                      {plan.duration} • {plan.sessions} sessions • {plan.difficulty}
+                      {plan.duration} • {plan.sessionsCount || plan.sessions} sessions • {plan.difficulty}
                     </Text>
                   </Card.Content>
                 </Card>
@@ -365,7 +461,7 @@ const AssignmentManager = ({ navigation }) => {
             ))}
 
             <Text style={styles.sectionTitle}>Select Players</Text>
-            {mockPlayers.map((player) => (
+            {playerOptions.map((player) => (
               <TouchableOpacity
                 key={player.id}
                 onPress={() => togglePlayerSelection(player.id)}
@@ -405,7 +501,8 @@ const AssignmentManager = ({ navigation }) => {
               mode="contained"
               onPress={handleAssignTraining}
               style={styles.assignButton}
-              disabled={!selectedPlan || selectedPlayers.length === 0}
+              disabled={!selectedPlan || selectedPlayers.length === 0 || checkingRestrictions}
+              loading={checkingRestrictions}
             >
               Assign Training ({selectedPlayers.length} players)
             </Button>
@@ -26,6 +26,8 @@ const getFileIcon = (type) => {
     case 'application/vnd.ms-excel':
     case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': return 'grid-on';
     case 'text/csv': return 'table-chart';
+    case 'image/jpeg':
+    case 'image/png': return 'photo-camera';
     default: return 'insert-drive-file';
   }
 };
@@ -164,17 +166,20 @@ const loadDocuments = async () => {
 };
 
 // In CoachingPlanUploadScreen.js, update the handleDocumentUpload method
-const handleDocumentUpload = async () => {
+// source: 'file', or 'camera' / 'photos' for photographed plans
+const handleDocumentUpload = async (source = 'file') => {
   try {
     setUploading(true);
     setUploadProgress(0.1);
-    setUploadStatus('Opening file selector...');
+    setUploadStatus(source === 'file' ? 'Opening file selector...' : 'Opening camera...');
     setIntegrityResult(null);
 
     console.log('Starting enhanced document upload process...');
 
     // Step 1: Select document
-    const file = await DocumentProcessor.selectDocument();
+    const file = source === 'file'
+      ? await DocumentProcessor.selectDocument()
+      : await DocumentProcessor.selectPlanImage({ camera: source === 'camera' });
     console.log('File selection result:', file ? 'File selected' : 'No file selected');
     
     if (!file) {
@@ -198,7 +203,9 @@ const handleDocumentUpload = async () => {
     }
 
     setUploadProgress(0.5);
-    setUploadStatus('Storing file and analyzing structure...');
+    setUploadStatus(source === 'file'
+      ? 'Storing file and analyzing structure...'
+      : 'Reading text from the photo...');
 
     console.log('About to store document with enhanced analysis...');
 
@@ -261,7 +268,7 @@ const handleDocumentUpload = async () => {
   } catch (error) {
     console.error('Enhanced upload failed with error:', error);
     const platformError = PlatformUtils.handlePlatformError(error, 'Enhanced Document Upload');
-    showUploadError(platformError);
+    showUploadError(platformError, source);
   } finally {
     setUploading(false);
     setUploadProgress(0);
@@ -277,12 +284,12 @@ const handleDocumentUpload = async () => {
     );
   };
 
-  const showUploadError = (error) => {
+  const showUploadError = (error, source = 'file') => {
     Alert.alert(
       'Upload Failed',
       `${error.message}\n\n${error.suggestions?.join('\n') || 'Please try again.'}`,
       [
-        { text: 'Retry', onPress: () => handleDocumentUpload() },
+        { text: 'Retry', onPress: () => handleDocumentUpload(source) },
         { text: 'Cancel', style: 'cancel' }
       ]
     );
@@ -466,8 +473,8 @@ const handleRestoreDocuments = () => {
         <Text style={styles.uploadTitle}>Select Your Coaching Plan</Text>
         <Text style={styles.uploadSubtitle}>
           {PlatformUtils.isWeb() 
-            ? 'Supported formats: PDF, Word, Excel, CSV, TXT (Max 5MB)'
-            : 'Supported formats: PDF, Word, Excel, CSV (Max 10MB)'
+            ? 'Supported formats: PDF, Word, Excel, CSV, TXT, JPEG, PNG (Max 5MB)'
+            : 'Supported formats: PDF, Word, Excel, CSV, JPEG, PNG (Max 10MB)'
           }
         </Text>
         
@@ -491,6 +498,30 @@ const handleRestoreDocuments = () => {
           }
         </Button>
 
+        {/* Photographed or printed plans are read with on-device OCR */}
+        {!uploading && (
+          <View style={styles.photoButtonRow}>
+            {!PlatformUtils.isWeb() && (
+              <Button
+                mode="outlined"
+                onPress={() => handleDocumentUpload('camera')}
+                style={styles.photoButton}
+                icon="camera"
+              >
+                Take Photo
+              </Button>
+            )}
+            <Button
+              mode="outlined"
+              onPress={() => handleDocumentUpload('photos')}
+              style={styles.photoButton}
+              icon="image"
+            >
+              Choose Photo
+            </Button>
+          </View>
+        )}
+
         {uploading && (
           <View style={styles.progressContainer}>
             <ProgressBar
@@ -510,9 +541,22 @@ const handleRestoreDocuments = () => {
         {integrityResult && !uploading && (
           <View style={styles.integrityResultContainer}>
             <SafeIcon name="security" size={24} color={COLORS.primary} />
-            <Text style={styles.integrityResultText}>
-              Integrity Status: {integrityResult.overallStatus}
-            </Text>
+            <View style={styles.integrityResultDetails}>
+              <Text style={styles.integrityResultText}>
+                Integrity Status: {integrityResult.overallStatus}
+              </Text>
+              {integrityResult.checks?.ocr?.required && (
+                <Text style={styles.ocrResultText}>
+                  {integrityResult.checks.ocr.confidence !== null
+                    ? `Text recognition confidence: ${Math.round(integrityResult.checks.ocr.confidence * 100)}%`
+                    : 'Text recognition failed'}
+                  {integrityResult.checks.ocr.confidenceSource === 'estimated' ? ' (estimated)' : ''}
+                </Text>
+              )}
+              {[...(integrityResult.checks?.ocr?.issues || []), ...(integrityResult.checks?.ocr?.warnings || [])].map(message => (
+                <Text key={message} style={styles.ocrResultText}>{message}</Text>
+              ))}
+            </View>
           </View>
         )}
       </Surface>
@@ -715,6 +759,14 @@ const styles = StyleSheet.create({
   uploadButton: {
     paddingHorizontal: SPACING.lg,
   },
+  photoButtonRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: SPACING.sm,
+  },
+  photoButton: {
+    marginHorizontal: SPACING.xs,
+  },
   progressContainer: {
     width: '100%',
     marginTop: SPACING.md,
@@ -743,11 +795,18 @@ const styles = StyleSheet.create({
     backgroundColor: COLORS.surfaceVariant || '#f5f5f5',
     borderRadius: 8,
   },
+  integrityResultDetails: {
+    flex: 1,
+    marginLeft: SPACING.sm,
+  },
   integrityResultText: {
     ...TEXT_STYLES.caption,
-    marginLeft: SPACING.sm,
     fontWeight: 'bold',
   },
+  ocrResultText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+  },
   platformNotice: {
     ...TEXT_STYLES.caption,
     textAlign: 'center',
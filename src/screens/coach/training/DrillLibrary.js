@@ -29,6 +29,7 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import SemanticIndex from '../../../services/SemanticIndex';
 
 // Design system imports
 const COLORS = {
@@ -84,6 +85,7 @@ const DrillLibrary = ({ navigation, route }) => {
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
+  const searchRequest = useRef(0);
 
   // Mock data for drills
   const mockDrills = [
@@ -200,6 +202,15 @@ const DrillLibrary = ({ navigation, route }) => {
       // Simulate API call
       await new Promise(resolve => setTimeout(resolve, 1000));
       setDrills(mockDrills);
+      
+      // Makes the library searchable by meaning as well as by keyword
+      SemanticIndex.indexLibrary('drill_library', mockDrills.map(drill => ({
+        id: drill.id,
+        kind: 'drill',
+        title: drill.title,
+        text: [drill.description, drill.category, ...drill.tags, ...(drill.instructions || [])].join('\n'),
+        meta: { sport: drill.sport, difficulty: drill.difficulty }
+      }))).catch(error => console.warn('Could not index drill library:', error.message));
     } catch (error) {
       Alert.alert('Error', 'Failed to load drills');
     } finally {
@@ -207,16 +218,35 @@ const DrillLibrary = ({ navigation, route }) => {
     }
   }, []);
 
-  const filterDrills = useCallback(() => {
+  const filterDrills = useCallback(async () => {
+    const request = ++searchRequest.current;
     let filtered = drills;
 
-    // Search filter
+    // Search filter: keyword matches plus drills that mean the same thing,
+    // best semantic matches first
     if (searchQuery) {
-      filtered = filtered.filter(drill =>
+      const keywordMatches = filtered.filter(drill =>
         drill.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
         drill.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
         drill.tags.some(tag => tag.toLowerCase().includes(searchQuery.toLowerCase()))
       );
+
+      try {
+        const results = await SemanticIndex.search(searchQuery, {
+          owners: ['library:drill_library'],
+          limit: drills.length
+        });
+        const ranked = results
+          .map(result => drills.find(drill => drill.id === result.sourceId))
+          .filter(Boolean);
+        filtered = [...ranked, ...keywordMatches.filter(drill => !ranked.includes(drill))];
+      } catch (error) {
+        console.warn('Semantic drill search unavailable:', error.message);
+        filtered = keywordMatches;
+      }
+
+      // A newer keystroke already started its own search
+      if (request !== searchRequest.current) return;
     }
 
     // Category filter
@@ -0,0 +1,516 @@
+//src/screens/coach/training/ExtractionReviewScreen.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Alert,
+  FlatList,
+  TouchableOpacity,
+  useWindowDimensions,
+} from 'react-native';
+import {
+  Card,
+  Button,
+  IconButton,
+  Portal,
+  Dialog,
+  TextInput,
+  SegmentedButtons,
+  ActivityIndicator,
+  Chip,
+} from 'react-native-paper';
+import DocumentProcessor from '../../../services/DocumentProcessor';
+import ExtractionReview from '../../../services/ExtractionReview';
+import ExtractionProvenance from '../../../services/ExtractionProvenance';
+import { COLORS, SPACING, TEXT_STYLES } from '../../../styles/themes';
+
+// Source text and extracted tree sit side by side from this width up
+const SIDE_BY_SIDE_WIDTH = 900;
+
+const ExtractionReviewScreen = ({ navigation, route }) => {
+  const { planId, onComplete } = route.params || {};
+  const { width } = useWindowDimensions();
+  const sideBySide = width >= SIDE_BY_SIDE_WIDTH;
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [sourceLines, setSourceLines] = useState([]);
+  const [weeks, setWeeks] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [operations, setOperations] = useState([]);
+  const [activePane, setActivePane] = useState('tree');
+  const [renameTarget, setRenameTarget] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [highlight, setHighlight] = useState(null);
+  const sourceListRef = useRef(null);
+
+  useEffect(() => {
+    if (!planId) {
+      Alert.alert('Error', 'No training plan selected for review');
+      navigation.goBack();
+      return;
+    }
+
+    loadReview();
+  }, [planId]);
+
+  const loadReview = async () => {
+    try {
+      setLoading(true);
+      const review = await DocumentProcessor.prepareExtractionReview(planId);
+      setPlan(review.plan);
+      setSourceLines(review.sourceText.split('\n'));
+      setWeeks(review.weeks);
+      setHistory([]);
+      setOperations([]);
+    } catch (error) {
+      console.error('Failed to load extraction review:', error);
+      Alert.alert('Review Unavailable', error.message || 'Could not load the extracted plan.', [
+        { text: 'Go Back', onPress: () => navigation.goBack() }
+      ]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyEdit = (edit) => {
+    try {
+      const { weeks: nextWeeks, operation } = edit();
+      setHistory(prev => [...prev, weeks]);
+      setOperations(prev => [...prev, operation]);
+      setWeeks(nextWeeks);
+    } catch (error) {
+      Alert.alert('Cannot Apply Change', error.message);
+    }
+  };
+
+  const handleUndo = () => {
+    if (history.length === 0) return;
+    setWeeks(history[history.length - 1]);
+    setHistory(prev => prev.slice(0, -1));
+    setOperations(prev => prev.slice(0, -1));
+  };
+
+  const confirmDelete = (label, edit) => {
+    Alert.alert(`Delete ${label}?`, 'You can undo this until the plan is saved.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => applyEdit(edit) }
+    ]);
+  };
+
+  const openRename = (weekIndex, sessionIndex = null) => {
+    const current = sessionIndex === null
+      ? weeks[weekIndex].title
+      : weeks[weekIndex].dailySessions[sessionIndex].title;
+    setRenameTarget({ weekIndex, sessionIndex });
+    setRenameValue(current || '');
+  };
+
+  const submitRename = () => {
+    const { weekIndex, sessionIndex } = renameTarget;
+    setRenameTarget(null);
+
+    if (!renameValue.trim()) return;
+
+    applyEdit(() => sessionIndex === null
+      ? ExtractionReview.renameWeek(weeks, weekIndex, renameValue)
+      : ExtractionReview.renameSession(weeks, weekIndex, sessionIndex, renameValue));
+  };
+
+  // Jump to the lines a session was read from; generated sessions have none
+  const showSource = (item) => {
+    const lines = item.provenance?.lines;
+    if (!lines) {
+      setHighlight(null);
+      return;
+    }
+
+    setHighlight(lines);
+    if (!sideBySide) setActivePane('source');
+
+    setTimeout(() => {
+      sourceListRef.current?.scrollToIndex({ index: Math.max(0, lines.start - 1), viewPosition: 0.2 });
+    }, 100);
+  };
+
+  const placeholderCount = weeks
+    .flatMap(week => week.dailySessions)
+    .filter(session => ExtractionProvenance.getSessionFlag(session)?.level === 'placeholder')
+    .length;
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const savedPlan = await DocumentProcessor.saveExtractionReview(planId, weeks, operations);
+      finishReview(savedPlan);
+    } catch (error) {
+      console.error('Failed to save extraction review:', error);
+      Alert.alert('Save Failed', error.message || 'Could not save the reviewed plan.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const finishReview = (savedPlan) => {
+    if (onComplete && typeof onComplete === 'function') {
+      onComplete(savedPlan);
+      return;
+    }
+
+    navigation.navigate('TrainingPlanLibrary', {
+      newPlanId: savedPlan.id,
+      showSuccess: true,
+      message: `"${savedPlan.title || 'Training Plan'}" has been reviewed and saved!`
+    });
+  };
+
+  const renderSession = (session, weekIndex, sessionIndex, week) => {
+    const flag = ExtractionProvenance.getSessionFlag(session);
+
+    return (
+      <View key={session.id || sessionIndex} style={styles.sessionRow}>
+        <TouchableOpacity style={styles.sessionInfo} onPress={() => showSource(session)}>
+          <Text style={styles.sessionTitle} numberOfLines={2}>{session.title}</Text>
+          <Text style={styles.sessionMeta}>
+            {session.day} • {session.duration || 0} min • {(session.activities || []).length} activities
+            {session.provenance ? ` • ${Math.round(session.provenance.confidence * 100)}% confidence` : ''}
+          </Text>
+          {session.provenance?.lines && (
+            <Text style={styles.sessionMeta}>
+              Lines {session.provenance.lines.start}–{session.provenance.lines.end}
+            </Text>
+          )}
+          {flag && (
+            <Text style={[styles.flagText, flag.level === 'placeholder' && styles.placeholderText]}>
+              {flag.label}
+            </Text>
+          )}
+        </TouchableOpacity>
+        <View style={styles.actionRow}>
+          <IconButton
+            icon="pencil"
+            size={18}
+            onPress={() => openRename(weekIndex, sessionIndex)}
+          />
+          <IconButton
+            icon="call-split"
+            size={18}
+            onPress={() => applyEdit(() => ExtractionReview.splitSession(weeks, weekIndex, sessionIndex))}
+          />
+          <IconButton
+            icon="call-merge"
+            size={18}
+            disabled={sessionIndex >= week.dailySessions.length - 1}
+            onPress={() => applyEdit(() => ExtractionReview.mergeSessionWithNext(weeks, weekIndex, sessionIndex))}
+          />
+          <IconButton
+            icon="content-cut"
+            size={18}
+            disabled={sessionIndex === 0}
+            onPress={() => applyEdit(() => ExtractionReview.splitWeek(weeks, weekIndex, sessionIndex))}
+          />
+          <IconButton
+            icon="delete"
+            size={18}
+            iconColor={COLORS.error}
+            onPress={() => confirmDelete('session', () => ExtractionReview.deleteSession(weeks, weekIndex, sessionIndex))}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  const renderWeek = ({ item: week, index: weekIndex }) => (
+    <Card style={styles.weekCard}>
+      <Card.Content>
+        <View style={styles.weekHeader}>
+          <View style={styles.sessionInfo}>
+            <Text style={styles.weekTitle}>Week {week.weekNumber}: {week.title}</Text>
+            <Text style={styles.sessionMeta}>
+              {week.dailySessions.length} sessions • {week.totalDuration || 0} min
+            </Text>
+          </View>
+          <View style={styles.actionRow}>
+            <IconButton icon="pencil" size={20} onPress={() => openRename(weekIndex)} />
+            <IconButton
+              icon="call-merge"
+              size={20}
+              disabled={weekIndex >= weeks.length - 1}
+              onPress={() => applyEdit(() => ExtractionReview.mergeWeekWithNext(weeks, weekIndex))}
+            />
+            <IconButton
+              icon="delete"
+              size={20}
+              iconColor={COLORS.error}
+              onPress={() => confirmDelete('week', () => ExtractionReview.deleteWeek(weeks, weekIndex))}
+            />
+          </View>
+        </View>
+        {week.dailySessions.map((session, sessionIndex) => renderSession(session, weekIndex, sessionIndex, week))}
+      </Card.Content>
+    </Card>
+  );
+
+  const renderSourcePane = () => (
+    <FlatList
+      ref={sourceListRef}
+      style={styles.sourcePane}
+      data={sourceLines}
+      keyExtractor={(_, index) => `line_${index}`}
+      initialNumToRender={60}
+      onScrollToIndexFailed={({ index, averageItemLength }) => {
+        sourceListRef.current?.scrollToOffset({ offset: index * averageItemLength });
+      }}
+      renderItem={({ item, index }) => (
+        <View style={[
+          styles.sourceLine,
+          highlight && index + 1 >= highlight.start && index + 1 <= highlight.end && styles.highlightedLine
+        ]}>
+          <Text style={styles.lineNumber}>{index + 1}</Text>
+          <Text style={styles.lineText} selectable>{item}</Text>
+        </View>
+      )}
+    />
+  );
+
+  const renderTreePane = () => (
+    <FlatList
+      style={styles.treePane}
+      data={weeks}
+      keyExtractor={(week, index) => week.id || `week_${index}`}
+      renderItem={renderWeek}
+      ListEmptyComponent={
+        <Text style={styles.emptyText}>No weeks left. Undo a change or re-process the document.</Text>
+      }
+    />
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+        <Text style={styles.loadingText}>Loading extracted plan...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.planTitle} numberOfLines={1}>{plan?.title}</Text>
+        <View style={styles.chipRow}>
+          <Chip compact style={styles.chip}>{weeks.length} weeks</Chip>
+          <Chip compact style={styles.chip}>{ExtractionReview.countSessions(weeks)} sessions</Chip>
+          {operations.length > 0 && (
+            <Chip compact style={styles.chip}>{operations.length} changes</Chip>
+          )}
+          {placeholderCount > 0 && (
+            <Chip compact icon="alert" style={[styles.chip, styles.placeholderChip]}>
+              {placeholderCount} placeholder sessions
+            </Chip>
+          )}
+        </View>
+      </View>
+
+      {!sideBySide && (
+        <SegmentedButtons
+          value={activePane}
+          onValueChange={setActivePane}
+          style={styles.paneSwitch}
+          buttons={[
+            { value: 'tree', label: 'Extracted' },
+            { value: 'source', label: 'Source' }
+          ]}
+        />
+      )}
+
+      {sideBySide ? (
+        <View style={styles.sideBySide}>
+          {renderSourcePane()}
+          {renderTreePane()}
+        </View>
+      ) : (
+        activePane === 'tree' ? renderTreePane() : renderSourcePane()
+      )}
+
+      <View style={styles.footer}>
+        <Button
+          mode="outlined"
+          icon="undo"
+          onPress={handleUndo}
+          disabled={history.length === 0 || saving}
+          style={styles.footerButton}
+        >
+          Undo
+        </Button>
+        <Button
+          mode="contained"
+          onPress={handleSave}
+          loading={saving}
+          disabled={saving || weeks.length === 0}
+          style={[styles.footerButton, { backgroundColor: COLORS.success }]}
+        >
+          {operations.length > 0 ? 'Save Corrections' : 'Looks Good'}
+        </Button>
+      </View>
+
+      <Portal>
+        <Dialog visible={!!renameTarget} onDismiss={() => setRenameTarget(null)}>
+          <Dialog.Title>
+            {renameTarget?.sessionIndex === null ? 'Rename Week' : 'Rename Session'}
+          </Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              mode="outlined"
+              value={renameValue}
+              onChangeText={setRenameValue}
+              autoFocus
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setRenameTarget(null)}>Cancel</Button>
+            <Button onPress={submitRename}>Rename</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  loadingText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.md,
+  },
+  summary: {
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  planTitle: {
+    ...TEXT_STYLES.h3,
+    marginBottom: SPACING.sm,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: SPACING.sm,
+  },
+  paneSwitch: {
+    margin: SPACING.md,
+  },
+  sideBySide: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  sourcePane: {
+    flex: 1,
+    backgroundColor: COLORS.surfaceSecondary,
+    paddingVertical: SPACING.sm,
+  },
+  sourceLine: {
+    flexDirection: 'row',
+    paddingHorizontal: SPACING.sm,
+  },
+  highlightedLine: {
+    backgroundColor: COLORS.warningAlpha,
+  },
+  lineNumber: {
+    ...TEXT_STYLES.mono,
+    width: 40,
+    color: COLORS.textTertiary,
+    textAlign: 'right',
+    marginRight: SPACING.sm,
+  },
+  lineText: {
+    ...TEXT_STYLES.mono,
+    flex: 1,
+    color: COLORS.text,
+  },
+  treePane: {
+    flex: 1,
+    padding: SPACING.sm,
+  },
+  weekCard: {
+    marginBottom: SPACING.md,
+    borderRadius: 12,
+  },
+  weekHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    paddingBottom: SPACING.sm,
+  },
+  weekTitle: {
+    ...TEXT_STYLES.h4,
+  },
+  sessionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.borderLight,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  sessionTitle: {
+    ...TEXT_STYLES.bodySmall,
+    fontWeight: '500',
+  },
+  sessionMeta: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+  },
+  flagText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.warningDark,
+  },
+  placeholderText: {
+    color: COLORS.error,
+    fontWeight: '600',
+  },
+  placeholderChip: {
+    backgroundColor: COLORS.errorAlpha,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  emptyText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.xl,
+  },
+  footer: {
+    flexDirection: 'row',
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  footerButton: {
+    flex: 1,
+    marginHorizontal: SPACING.xs,
+  },
+});
+
+export default ExtractionReviewScreen;
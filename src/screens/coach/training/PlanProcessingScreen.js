@@ -87,7 +87,7 @@ const processDocument = async () => {
 
       // Auto-navigate after 2 seconds
       setTimeout(() => {
-        handleNavigateToLibrary(result);
+        handleContinue(result);
       }, 2000);
 
     } catch (error) {
@@ -118,6 +118,18 @@ const processDocument = async () => {
     }
   };
 
+  // Freshly extracted plans go through the review step before the library
+  const needsReview = (plan) => plan?.reviewStatus === 'pending';
+
+  const handleContinue = (plan) => {
+    if (needsReview(plan)) {
+      navigation.replace('ExtractionReview', { planId: plan.id, onComplete });
+      return;
+    }
+
+    handleNavigateToLibrary(plan);
+  };
+
   const handleNavigateToLibrary = (plan) => {
     // Call the onComplete callback if provided
     if (onComplete && typeof onComplete === 'function') {
@@ -178,7 +190,7 @@ const processDocument = async () => {
 
   const handleManualNavigate = () => {
     if (isComplete && trainingPlan) {
-      handleNavigateToLibrary(trainingPlan);
+      handleContinue(trainingPlan);
     }
   };
 
@@ -270,7 +282,7 @@ const processDocument = async () => {
                     onPress={handleManualNavigate}
                     style={[styles.button, { backgroundColor: COLORS.success }]}
                   >
-                    View in Library
+                    {needsReview(trainingPlan) ? 'Review Extraction' : 'View in Library'}
                   </Button>
                   <Text style={styles.autoRedirectText}>
                     Redirecting automatically...
@@ -0,0 +1,352 @@
+//src/screens/coach/training/PlanVersionHistoryScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Alert,
+  FlatList,
+  ScrollView,
+} from 'react-native';
+import {
+  Card,
+  Button,
+  Portal,
+  Dialog,
+  ActivityIndicator,
+  Chip,
+} from 'react-native-paper';
+import DocumentProcessor from '../../../services/DocumentProcessor';
+import PlanVersionDiff from '../../../services/PlanVersionDiff';
+import { COLORS, SPACING, TEXT_STYLES } from '../../../styles/themes';
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed',
+};
+
+const PlanVersionHistoryScreen = ({ navigation, route }) => {
+  const { documentId } = route.params || {};
+
+  const [loading, setLoading] = useState(true);
+  const [versions, setVersions] = useState([]);
+  const [comparingId, setComparingId] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+
+  useEffect(() => {
+    if (!documentId) {
+      Alert.alert('Error', 'No document selected');
+      navigation.goBack();
+      return;
+    }
+
+    loadVersions();
+  }, [documentId]);
+
+  const loadVersions = async () => {
+    try {
+      setLoading(true);
+      setVersions(await DocumentProcessor.getDocumentVersions(documentId));
+    } catch (error) {
+      console.error('Failed to load document versions:', error);
+      Alert.alert('History Unavailable', error.message || 'Could not load the version history.', [
+        { text: 'Go Back', onPress: () => navigation.goBack() }
+      ]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const currentVersion = versions.find(version => version.isCurrent);
+
+  // Always shown as "current -> picked version", which is what a rollback would do
+  const handleCompare = async (version) => {
+    try {
+      setComparingId(version.id);
+      const result = await DocumentProcessor.compareDocumentVersions(currentVersion.id, version.id);
+      setComparison({ ...result, version });
+    } catch (error) {
+      Alert.alert('Compare Failed', error.message || 'Could not compare these versions.');
+    } finally {
+      setComparingId(null);
+    }
+  };
+
+  const handleRollback = () => {
+    const { version, diff } = comparison;
+    const warning = diff.summary.affectsAssignments
+      ? '\n\nSessions players are assigned to will change. Review assignments after rolling back.'
+      : '';
+
+    Alert.alert(
+      `Roll back to version ${version.version}?`,
+      `${PlanVersionDiff.describeSummary(diff.summary)}.${warning}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Roll Back', style: 'destructive', onPress: confirmRollback }
+      ]
+    );
+  };
+
+  const confirmRollback = async () => {
+    try {
+      setRollingBack(true);
+      const result = await DocumentProcessor.rollbackDocumentVersion(comparison.version.id);
+      setComparison(null);
+      await loadVersions();
+
+      navigation.navigate('TrainingPlanDetails', { planId: result.plan.id });
+    } catch (error) {
+      Alert.alert('Rollback Failed', error.message || 'Could not roll back to this version.');
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const handleProcess = (version) => {
+    navigation.navigate('PlanProcessing', {
+      documentId: version.id,
+      onComplete: () => navigation.navigate('PlanVersionHistory', { documentId: version.id })
+    });
+  };
+
+  const renderChange = (change) => (
+    <Text key={change.field} style={styles.changeText}>
+      {change.field}: {change.before || '—'} → {change.after || '—'}
+    </Text>
+  );
+
+  const renderDiffWeek = (week) => (
+    <View key={week.weekNumber} style={styles.diffWeek}>
+      <View style={styles.diffWeekHeader}>
+        <Text style={styles.diffWeekTitle}>Week {week.weekNumber}: {week.title}</Text>
+        <Chip compact style={[styles.statusChip, styles[`${week.status}Chip`]]}>
+          {STATUS_LABELS[week.status]}
+        </Chip>
+      </View>
+      {week.changes.map(renderChange)}
+      {week.sessions
+        .filter(session => session.status !== 'unchanged')
+        .map(session => (
+          <View key={session.key} style={styles.diffSession}>
+            <Text style={styles.sessionMeta}>
+              {STATUS_LABELS[session.status]} • {session.day} • {session.title}
+            </Text>
+            {session.changes.map(renderChange)}
+          </View>
+        ))}
+    </View>
+  );
+
+  const renderVersion = ({ item: version }) => (
+    <Card style={[styles.versionCard, version.isCurrent && styles.currentCard]}>
+      <Card.Content>
+        <View style={styles.versionHeader}>
+          <Text style={styles.versionTitle}>Version {version.version}</Text>
+          {version.isCurrent && (
+            <Chip compact icon="check" style={styles.currentChip}>Current</Chip>
+          )}
+        </View>
+        <Text style={styles.sessionMeta}>
+          {version.originalName} • uploaded {new Date(version.uploadedAt).toLocaleDateString()}
+        </Text>
+        <Text style={styles.sessionMeta}>
+          {version.plan
+            ? `${version.plan.title} • ${version.plan.sessionsCount} sessions • ${version.plan.duration}`
+            : 'Not processed yet'}
+        </Text>
+      </Card.Content>
+      {!version.isCurrent && (
+        <Card.Actions>
+          {version.plan ? (
+            <Button
+              onPress={() => handleCompare(version)}
+              loading={comparingId === version.id}
+              disabled={!!comparingId || !currentVersion?.plan}
+            >
+              Compare & Roll Back
+            </Button>
+          ) : (
+            <Button onPress={() => handleProcess(version)}>Process</Button>
+          )}
+        </Card.Actions>
+      )}
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+        <Text style={styles.loadingText}>Loading version history...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.planTitle} numberOfLines={1}>{currentVersion?.originalName}</Text>
+        <Text style={styles.sessionMeta}>
+          {versions.length} version{versions.length === 1 ? '' : 's'}
+          {currentVersion ? ` • version ${currentVersion.version} is current` : ''}
+        </Text>
+      </View>
+
+      <FlatList
+        style={styles.list}
+        data={versions}
+        keyExtractor={version => version.id}
+        renderItem={renderVersion}
+        ListEmptyComponent={<Text style={styles.emptyText}>No versions found.</Text>}
+      />
+
+      <Portal>
+        <Dialog visible={!!comparison} onDismiss={() => setComparison(null)} style={styles.dialog}>
+          <Dialog.Title>
+            Version {comparison?.base.document.version} → {comparison?.version.version}
+          </Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.diffContent}>
+              <Text style={styles.diffSummary}>
+                {comparison && PlanVersionDiff.describeSummary(comparison.diff.summary)}
+              </Text>
+              {comparison?.diff.summary.affectsAssignments && (
+                <Text style={styles.warningText}>
+                  Players assigned to changed or removed sessions will need to be reassigned.
+                </Text>
+              )}
+              {comparison?.diff.weeks
+                .filter(week => week.status !== 'unchanged')
+                .map(renderDiffWeek)}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setComparison(null)}>Close</Button>
+            <Button onPress={handleRollback} loading={rollingBack} disabled={rollingBack}>
+              Roll Back
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  loadingText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.md,
+  },
+  summary: {
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  planTitle: {
+    ...TEXT_STYLES.h3,
+    marginBottom: SPACING.xs,
+  },
+  list: {
+    flex: 1,
+    padding: SPACING.sm,
+  },
+  versionCard: {
+    marginBottom: SPACING.md,
+    borderRadius: 12,
+  },
+  currentCard: {
+    borderWidth: 1,
+    borderColor: COLORS.success,
+  },
+  versionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.xs,
+  },
+  versionTitle: {
+    ...TEXT_STYLES.h4,
+  },
+  currentChip: {
+    backgroundColor: COLORS.successAlpha,
+  },
+  sessionMeta: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+  },
+  emptyText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.xl,
+  },
+  dialog: {
+    maxHeight: '85%',
+  },
+  diffContent: {
+    paddingVertical: SPACING.sm,
+  },
+  diffSummary: {
+    ...TEXT_STYLES.body,
+    fontWeight: '500',
+    marginBottom: SPACING.sm,
+  },
+  warningText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.warningDark,
+    marginBottom: SPACING.sm,
+  },
+  diffWeek: {
+    paddingVertical: SPACING.sm,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.borderLight,
+  },
+  diffWeekHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  diffWeekTitle: {
+    ...TEXT_STYLES.bodySmall,
+    fontWeight: '600',
+    flex: 1,
+  },
+  diffSession: {
+    marginTop: SPACING.xs,
+    paddingLeft: SPACING.sm,
+  },
+  changeText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.text,
+    paddingLeft: SPACING.sm,
+  },
+  statusChip: {
+    marginLeft: SPACING.sm,
+  },
+  addedChip: {
+    backgroundColor: COLORS.successAlpha,
+  },
+  removedChip: {
+    backgroundColor: COLORS.errorAlpha,
+  },
+  changedChip: {
+    backgroundColor: COLORS.warningAlpha,
+  },
+});
+
+export default PlanVersionHistoryScreen;
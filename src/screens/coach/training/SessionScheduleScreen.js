@@ -36,6 +36,9 @@ import { COLORS } from '../../styles/colors';
 import { SPACING } from '../../styles/spacing';
 import { TEXT_STYLES } from '../../styles/textStyles';
 import AIService from '../../../services/AIService';
+import SessionService from '../../../services/SessionService';
+import DocumentProcessor from '../../../services/DocumentProcessor';
+import SessionLoadDialog from '../../../components/coach/SessionLoadDialog';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -317,10 +320,13 @@ const SessionScheduleScreen = ({ navigation, route }) => {
   const [activeTab, setActiveTab] = useState('overview');
   const [completedDrills, setCompletedDrills] = useState(new Set());
   const [sessionNotes, setSessionNotes] = useState('');
-  const [sessionStarted, setSessionStarted] = useState(false);
+  const [sessionStarted, setSessionStarted] = useState(!!params.startSession);
   const [sessionProgress, setSessionProgress] = useState(0);
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
+  // Athletes asked for their RPE while the end-of-session dialog is open
+  const [loadDialogAthletes, setLoadDialogAthletes] = useState(null);
+  const [savingLoad, setSavingLoad] = useState(false);
   // AI Enhancement States
   const [showImproved, setShowImproved] = useState(false);
   const [improvedContent, setImprovedContent] = useState(null);
@@ -388,11 +394,7 @@ const getRealtimeAdvice = async () => {
           { text: 'Continue Training', style: 'cancel' },
           { 
             text: 'End Session', 
-            onPress: () => {
-              setSessionStarted(false);
-              setSnackbarMessage('Training session ended');
-              setSnackbarVisible(true);
-            }
+            onPress: async () => setLoadDialogAthletes(await loadSessionAthletes())
           }
         ]
       );
@@ -403,6 +405,47 @@ const getRealtimeAdvice = async () => {
     }
   };
 
+  // The plan's assigned athletes; sessions opened from the upcoming list
+  // also carry them as players
+  const loadSessionAthletes = async () => {
+    if (!session.sourcePlan) return session.players || [];
+
+    try {
+      const plans = await DocumentProcessor.getCurrentTrainingPlans();
+      const plan = plans.find(item => item.id === session.sourcePlan);
+      return plan?.assignedAthletes || session.players || [];
+    } catch (error) {
+      console.error('Error loading plan athletes:', error);
+      return session.players || [];
+    }
+  };
+
+  const handleEndSession = async ({ duration, athleteLoads }) => {
+    try {
+      setSavingLoad(true);
+      await SessionService.completeSession(session.id, {
+        title: session.title,
+        planId: session.sourcePlan || null,
+        duration,
+        athleteLoads,
+        completedDrills: Array.from(completedDrills),
+        notes: sessionNotes
+      });
+
+      setLoadDialogAthletes(null);
+      setSessionStarted(false);
+      setSnackbarMessage(athleteLoads.length > 0
+        ? `Training session ended - load logged for ${athleteLoads.length} athlete(s)`
+        : 'Training session ended');
+      setSnackbarVisible(true);
+    } catch (error) {
+      console.error('Error completing session:', error);
+      Alert.alert('Session Not Saved', error.message || 'Could not save the completed session');
+    } finally {
+      setSavingLoad(false);
+    }
+  };
+
   const handleDrillComplete = (drillId) => {
     const newCompleted = new Set(completedDrills);
     if (newCompleted.has(drillId)) {
@@ -443,7 +486,9 @@ const handleImproveSession = async () => {
     if (enhanced && enhanced.enhancedSession) {
       setImprovedContent(enhanced);
       setShowImproved(true);
-      setSnackbarMessage('Session enhanced with AI successfully! 🚀');
+      setSnackbarMessage(enhanced.aiOutput?.fallback
+        ? `Session improved with rule-based suggestions${enhanced.aiOutput.failure ? ' - AI output was not usable' : ''}`
+        : 'Session enhanced with AI successfully! 🚀');
       setSnackbarVisible(true);
     } else {
       throw new Error('No enhancement data received');
@@ -606,11 +651,16 @@ const handleImproveSession = async () => {
       <Card style={styles.sectionCard}>
         <Card.Content>
           <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: spacing.md }}>
-            <Icon name="auto-awesome" size={24} color="#FFD700" />
+            <Icon name={improvedContent.aiOutput?.fallback ? 'rule' : 'auto-awesome'} size={24} color="#FFD700" />
             <Text style={[textStyles.h3, { marginLeft: spacing.sm, color: "#FFD700" }]}>
-              AI Enhancement Applied
+              {improvedContent.aiOutput?.fallback ? 'Rule-Based Suggestions Applied' : 'AI Enhancement Applied'}
             </Text>
           </View>
+          {improvedContent.aiOutput?.summary && (
+            <Text style={[textStyles.caption, { marginBottom: spacing.sm }]}>
+              {improvedContent.aiOutput.summary}
+            </Text>
+          )}
           <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
             {improvedContent.improvements.map((improvement, index) => (
               <Chip key={index} style={[styles.chip, { backgroundColor: colors.success + '20' }]} mode="outlined">
@@ -1002,6 +1052,15 @@ const renderEnhancementToggle = () => (
         loading={improving}
       />
 
+      <SessionLoadDialog
+        visible={loadDialogAthletes !== null}
+        athletes={loadDialogAthletes || []}
+        defaultDuration={parseInt(session.duration, 10) || null}
+        saving={savingLoad}
+        onSubmit={handleEndSession}
+        onDismiss={() => setLoadDialogAthletes(null)}
+      />
+
       {/* Success Snackbar */}
       <Portal>
         <Snackbar
@@ -145,7 +145,7 @@ const SessionScheduler = ({ navigation }) => {
       console.log('Initializing session data...');
 
       // Load training plans
-      const plans = await DocumentProcessor.getTrainingPlans();
+      const plans = await DocumentProcessor.getCurrentTrainingPlans();
       setTrainingPlans(plans);
       console.log('Loaded training plans:', plans.length);
 
@@ -164,8 +164,8 @@ const SessionScheduler = ({ navigation }) => {
             if (sourceDoc) {
               console.log('Found source document for plan:', plan.title);
               
-              // Extract sessions from the document
-              const extractionResult = await SessionExtractor.extractSessionsFromDocument(sourceDoc, plan);
+              // Load sessions for the document (cached after the first extraction)
+              const extractionResult = await SessionExtractor.getSessionsForPlan(sourceDoc, plan);
               
               if (extractionResult && extractionResult.sessions) {
                 // Convert weekly sessions to individual daily sessions
@@ -344,7 +344,7 @@ const SessionScheduler = ({ navigation }) => {
     }
   };
 
-  const handleSessionPress = (session) => {
+  const handleSessionPress = (session, startSession = false) => {
     // Ensure we have all required data for SessionScheduleScreen
     const sessionDataForNavigation = {
       ...session,
@@ -363,7 +363,8 @@ const SessionScheduler = ({ navigation }) => {
     navigation.navigate('SessionScheduleScreen', {
       sessionData: sessionDataForNavigation,
       planTitle: session.planTitle || 'Training Session',
-      academyName: session.academyName || 'Training Academy'
+      academyName: session.academyName || 'Training Academy',
+      startSession
     });
   };
 
@@ -375,12 +376,7 @@ const SessionScheduler = ({ navigation }) => {
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Start',
-          onPress: () => {
-            navigation.navigate('ActiveSession', { 
-              sessionId: session.id,
-              sessionData: session 
-            });
-          }
+          onPress: () => handleSessionPress(session, true)
         }
       ]
     );
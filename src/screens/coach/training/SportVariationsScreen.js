@@ -0,0 +1,368 @@
+//src/screens/coach/training/SportVariationsScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Alert,
+  ScrollView,
+} from 'react-native';
+import {
+  Card,
+  Button,
+  Switch,
+  ActivityIndicator,
+  Chip,
+} from 'react-native-paper';
+import DocumentProcessor from '../../../services/DocumentProcessor';
+import AIService from '../../../services/AIService';
+import PlanTranslator from '../../../services/PlanTranslator';
+import SportOntology from '../../../services/SportOntology';
+import { COLORS, SPACING, TEXT_STYLES } from '../../../styles/themes';
+
+const SportVariationsScreen = ({ navigation, route }) => {
+  const { planId } = route.params || {};
+
+  const [loading, setLoading] = useState(true);
+  const [plan, setPlan] = useState(null);
+  const [sourceSport, setSourceSport] = useState(null);
+  const [selectedSports, setSelectedSports] = useState([]);
+  const [useModel, setUseModel] = useState(false);
+  const [translating, setTranslating] = useState(false);
+  const [variations, setVariations] = useState([]);
+  const [activeSport, setActiveSport] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const modelAvailable = AIService.canUseModelTranslation();
+
+  useEffect(() => {
+    if (!planId) {
+      Alert.alert('Error', 'No plan selected');
+      navigation.goBack();
+      return;
+    }
+
+    loadPlan();
+  }, [planId]);
+
+  const loadPlan = async () => {
+    try {
+      setLoading(true);
+      const plans = await DocumentProcessor.getTrainingPlans();
+      const original = plans.find(item => item.id === planId);
+      if (!original) {
+        throw new Error('Plan not found');
+      }
+
+      const weeks = await DocumentProcessor.getPlanWeeksForExport(original);
+      const source = PlanTranslator.resolveSourceSport(original, weeks);
+      setPlan(original);
+      setSourceSport(source);
+      setSelectedSports(SportOntology.list().map(sport => sport.code).filter(code => code !== source));
+    } catch (error) {
+      console.error('Failed to load plan for variations:', error);
+      Alert.alert('Plan Unavailable', error.message || 'Could not load this plan.', [
+        { text: 'Go Back', onPress: () => navigation.goBack() }
+      ]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSport = (code) => {
+    setSelectedSports(current => current.includes(code)
+      ? current.filter(item => item !== code)
+      : [...current, code]);
+  };
+
+  const handleTranslate = async () => {
+    try {
+      setTranslating(true);
+      const result = await DocumentProcessor.previewSportVariations(planId, selectedSports, { useModel });
+      setVariations(result.variations);
+      setActiveSport(result.variations[0]?.plan.translation.targetSport || null);
+    } catch (error) {
+      Alert.alert('Translation Failed', error.message || 'Could not translate this plan.');
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const saved = await DocumentProcessor.saveSportVariations(variations.map(variation => variation.plan));
+      Alert.alert(
+        'Variations Saved',
+        `${saved.length} plan${saved.length === 1 ? '' : 's'} added to your library.`,
+        [{ text: 'OK', onPress: () => navigation.navigate('TrainingPlanLibrary') }]
+      );
+    } catch (error) {
+      Alert.alert('Save Failed', error.message || 'Could not save the variations.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const activeVariation = variations.find(variation => variation.plan.translation.targetSport === activeSport);
+
+  const renderColumn = (session, style) => (
+    <View style={[styles.column, style]}>
+      <Text style={styles.sessionTitle}>{session.title || 'Untitled session'}</Text>
+      {session.focus.length > 0 && (
+        <Text style={styles.sessionMeta}>{session.focus.join(', ')}</Text>
+      )}
+      {session.drills.map((drill, index) => (
+        <Text key={`${drill.name}-${index}`} style={styles.drillText}>
+          • {drill.name}{drill.concept ? ` (${drill.concept})` : ''}
+        </Text>
+      ))}
+      {session.equipment.length > 0 && (
+        <Text style={styles.equipmentText}>Equipment: {session.equipment.join(', ')}</Text>
+      )}
+    </View>
+  );
+
+  const renderWeek = (week) => (
+    <Card key={week.weekNumber} style={styles.weekCard}>
+      <Card.Content>
+        <Text style={styles.weekTitle}>Week {week.weekNumber}: {week.translated.title}</Text>
+        {week.sessions.map(session => (
+          <View key={session.key} style={styles.sessionRow}>
+            <Text style={styles.sessionMeta}>
+              {[session.day, session.time, session.duration].filter(Boolean).join(' • ')}
+            </Text>
+            <View style={styles.columns}>
+              {renderColumn(session.original, styles.originalColumn)}
+              {renderColumn(session.translated, styles.translatedColumn)}
+            </View>
+          </View>
+        ))}
+      </Card.Content>
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+        <Text style={styles.loadingText}>Loading plan...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.planTitle} numberOfLines={1}>{plan?.title}</Text>
+        <Text style={styles.sessionMeta}>
+          {SportOntology.get(sourceSport)?.name} plan • pick the sports to translate it to
+        </Text>
+        <View style={styles.chipRow}>
+          {SportOntology.list()
+            .filter(sport => sport.code !== sourceSport)
+            .map(sport => (
+              <Chip
+                key={sport.code}
+                selected={selectedSports.includes(sport.code)}
+                onPress={() => toggleSport(sport.code)}
+                style={styles.sportChip}
+              >
+                {sport.name}
+              </Chip>
+            ))}
+        </View>
+        {modelAvailable && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Rewrite drill descriptions with AI</Text>
+            <Switch value={useModel} onValueChange={setUseModel} />
+          </View>
+        )}
+        <Button
+          mode="contained"
+          onPress={handleTranslate}
+          loading={translating}
+          disabled={translating || selectedSports.length === 0}
+        >
+          Translate
+        </Button>
+      </View>
+
+      {variations.length > 0 && (
+        <View style={styles.tabRow}>
+          {variations.map(variation => (
+            <Chip
+              key={variation.plan.translation.targetSport}
+              compact
+              selected={variation.plan.translation.targetSport === activeSport}
+              onPress={() => setActiveSport(variation.plan.translation.targetSport)}
+              style={styles.sportChip}
+            >
+              {SportOntology.get(variation.plan.translation.targetSport)?.name}
+            </Chip>
+          ))}
+        </View>
+      )}
+
+      <ScrollView style={styles.list}>
+        {activeVariation ? (
+          <>
+            <Text style={styles.sessionMeta}>
+              {activeVariation.plan.translation.drillsMapped} drills swapped •{' '}
+              {activeVariation.plan.translation.drillsKept} kept •{' '}
+              {activeVariation.method === 'model' ? 'AI-assisted' : 'rule-based'}
+            </Text>
+            {activeVariation.warnings.map(warning => (
+              <Text key={warning} style={styles.warningText}>{warning}</Text>
+            ))}
+            <View style={styles.columns}>
+              <Text style={[styles.columnHeader, styles.originalColumn]}>
+                {SportOntology.get(sourceSport)?.name}
+              </Text>
+              <Text style={[styles.columnHeader, styles.translatedColumn]}>
+                {SportOntology.get(activeSport)?.name}
+              </Text>
+            </View>
+            {activeVariation.comparison.map(renderWeek)}
+          </>
+        ) : (
+          <Text style={styles.emptyText}>Translated sessions will appear here.</Text>
+        )}
+      </ScrollView>
+
+      {variations.length > 0 && (
+        <View style={styles.footer}>
+          <Button mode="contained" onPress={handleSave} loading={saving} disabled={saving}>
+            Save {variations.length} Plan{variations.length === 1 ? '' : 's'}
+          </Button>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  loadingText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.md,
+  },
+  summary: {
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  planTitle: {
+    ...TEXT_STYLES.h3,
+    marginBottom: SPACING.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: SPACING.sm,
+  },
+  tabRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: SPACING.sm,
+    paddingTop: SPACING.sm,
+  },
+  sportChip: {
+    marginRight: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.sm,
+  },
+  switchLabel: {
+    ...TEXT_STYLES.bodySmall,
+  },
+  list: {
+    flex: 1,
+    padding: SPACING.sm,
+  },
+  weekCard: {
+    marginBottom: SPACING.md,
+    borderRadius: 12,
+  },
+  weekTitle: {
+    ...TEXT_STYLES.h4,
+    marginBottom: SPACING.xs,
+  },
+  sessionRow: {
+    paddingVertical: SPACING.sm,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.borderLight,
+  },
+  columns: {
+    flexDirection: 'row',
+    marginTop: SPACING.xs,
+  },
+  column: {
+    flex: 1,
+    padding: SPACING.xs,
+    borderRadius: 8,
+  },
+  originalColumn: {
+    marginRight: SPACING.xs,
+  },
+  translatedColumn: {
+    backgroundColor: COLORS.successAlpha,
+  },
+  columnHeader: {
+    ...TEXT_STYLES.bodySmall,
+    flex: 1,
+    fontWeight: '600',
+    paddingHorizontal: SPACING.xs,
+  },
+  sessionTitle: {
+    ...TEXT_STYLES.bodySmall,
+    fontWeight: '600',
+  },
+  sessionMeta: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+  },
+  drillText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.text,
+  },
+  equipmentText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+  },
+  warningText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.warningDark,
+    marginTop: SPACING.xs,
+  },
+  emptyText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.xl,
+  },
+  footer: {
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+});
+
+export default SportVariationsScreen;
@@ -12,6 +12,7 @@ import {
   FlatList,
   Share,
   ActivityIndicator,
+  Platform,
 } from 'react-native';
 import {
   Card,
@@ -28,9 +29,12 @@ import {
   Avatar,
   List,
   Snackbar,
+  TextInput,
 } from 'react-native-paper';
 import { LinearGradient } from '../../../components/shared/LinearGradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
 
 // Design system imports
 import { COLORS } from '../../../styles/colors';
@@ -38,8 +42,13 @@ import { SPACING } from '../../../styles/spacing';
 import { TEXT_STYLES } from '../../../styles/textStyles';
 import DocumentProcessor from '../../../services/DocumentProcessor';
 import SessionExtractor from '../../../services/SessionExtractor'; 
+import ExtractionProvenance from '../../../services/ExtractionProvenance';
+import Periodization, { DEFAULT_MODEL } from '../../../services/Periodization';
 import DocumentViewer from '../../shared/DocumentViewer';
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
+
+const MESOCYCLE_COLORS = [COLORS.primary, COLORS.secondary, COLORS.accent, COLORS.success];
+const COMPETITION_PRIORITIES = ['A', 'B', 'C'];
 const TrainingPlanDetails = ({ navigation, route }) => {
   const { planId } = route.params;
   
@@ -67,6 +76,8 @@ const TrainingPlanDetails = ({ navigation, route }) => {
   const [loadingDocs, setLoadingDocs] = useState(true);
   const [extractedSessions, setExtractedSessions] = useState([]);
   const [loadingSessions, setLoadingSessions] = useState(false);
+  const [competitionModalVisible, setCompetitionModalVisible] = useState(false);
+  const [competitionDraft, setCompetitionDraft] = useState({ name: '', date: '', priority: 'A' });
 
   // Difficulty colors mapping
   const difficultyColors = {
@@ -264,6 +275,95 @@ const getCreatorInitials = (plan) => {
     }
   };
 
+  const shareExportedFile = async (exported) => {
+    if (Platform.OS === 'web') {
+      const blob = new Blob([exported.content], { type: exported.mimeType });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exported.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } else {
+      // Share a real file so the receiving app can open it as a plan
+      if (!(await Sharing.isAvailableAsync())) {
+        throw new Error('Sharing files is not available on this device.');
+      }
+      const fileUri = `${FileSystem.cacheDirectory}${exported.fileName}`;
+      await FileSystem.writeAsStringAsync(fileUri, exported.content, {
+        encoding: FileSystem.EncodingType.UTF8,
+      });
+      await Sharing.shareAsync(fileUri, {
+        mimeType: exported.mimeType,
+        dialogTitle: exported.fileName,
+      });
+    }
+  };
+
+  const handleExportPlan = async () => {
+    try {
+      const exported = await DocumentProcessor.exportTrainingPlan(plan.id);
+      await shareExportedFile(exported);
+
+      setSnackbarMessage(
+        exported.warnings.length > 0
+          ? `Plan exported with ${exported.warnings.length} warning(s)`
+          : 'Plan exported successfully'
+      );
+      setSnackbarVisible(true);
+    } catch (error) {
+      console.error('Export error:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export this training plan.');
+    }
+  };
+
+  const handleExportCalendar = async () => {
+    try {
+      const exported = await DocumentProcessor.exportTrainingPlanCalendar(plan.id);
+      await shareExportedFile(exported);
+
+      setSnackbarMessage(`Calendar exported with ${exported.sessionsCount} sessions`);
+      setSnackbarVisible(true);
+    } catch (error) {
+      console.error('Calendar export error:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export this schedule as a calendar.');
+    }
+  };
+
+  const savePeriodization = async (changes) => {
+    try {
+      const current = plan.periodization || { model: DEFAULT_MODEL, competitions: [] };
+      const updatedPlan = await DocumentProcessor.updatePlanPeriodization(plan.id, { ...current, ...changes });
+      setPlan(updatedPlan);
+    } catch (error) {
+      console.error('Periodization update error:', error);
+      Alert.alert('Update Failed', error.message || 'Could not update the periodization for this plan.');
+    }
+  };
+
+  const handleAddCompetition = async () => {
+    const name = competitionDraft.name.trim();
+    if (!name || !/^\d{4}-\d{2}-\d{2}$/.test(competitionDraft.date.trim())) {
+      Alert.alert('Competition', 'Enter a name and a date as YYYY-MM-DD.');
+      return;
+    }
+
+    await savePeriodization({
+      competitions: [
+        ...(plan.periodization?.competitions || []),
+        { name, date: competitionDraft.date.trim(), priority: competitionDraft.priority }
+      ]
+    });
+    setCompetitionModalVisible(false);
+    setCompetitionDraft({ name: '', date: '', priority: 'A' });
+  };
+
+  const handleRemoveCompetition = (index) => {
+    const competitions = [...(plan.periodization?.competitions || [])];
+    competitions.splice(index, 1);
+    savePeriodization({ competitions });
+  };
+
   const handleSessionPress = (session) => {
     setSelectedSession(session);
     setSessionModalVisible(true);
@@ -481,7 +581,7 @@ const handleDocumentPress = (document) => {
     type: document.type,
     size: document.size,
     uploadedAt: document.uploadedAt,
-    webFileData: document.webFileData,
+    // The viewer loads the stored file bytes itself
     file: document.file // Include original file object if available
   };
   
@@ -559,6 +659,7 @@ const handleDailySessionPress = (dailySession, weekSession) => {
       ...dailySession,
       weekData: weekSession,
       planTitle: plan.title,
+      sourcePlan: plan.id,
       academyName: dailySession.academyName || plan.title
     },
     planTitle: plan.title,
@@ -611,7 +712,7 @@ const loadSessionsFromDocument = async () => {
     const sourceDoc = documents.find(doc => doc.id === plan.sourceDocument);
     
     if (sourceDoc) {
-      const extractionResult = await SessionExtractor.extractSessionsFromDocument(sourceDoc, plan);
+      const extractionResult = await SessionExtractor.getSessionsForPlan(sourceDoc, plan);
       if (extractionResult && extractionResult.sessions) {
         setExtractedSessions(extractionResult.sessions);
       }
@@ -638,33 +739,9 @@ const processDocumentAsPlan = (document) => {
   });
 };
 
-const handleGenerateVariations = async () => {
-  try {
-    Alert.alert(
-      'Generate Variations',
-      'Create training plans for other sports based on this plan?',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Generate',
-          onPress: async () => {
-            setSnackbarMessage('Generating AI variations...');
-            setSnackbarVisible(true);
-            
-            const variations = await DocumentProcessor.generateSportVariations(
-              plan.id,
-              ['basketball', 'tennis', 'volleyball']
-            );
-            
-            setSnackbarMessage(`Generated ${variations.length} sport variations!`);
-            setSnackbarVisible(true);
-          }
-        }
-      ]
-    );
-  } catch (error) {
-    Alert.alert('Generation Failed', error.message);
-  }
+// Preview and pick sports before anything is saved
+const handleGenerateVariations = () => {
+  navigation.navigate('SportVariations', { planId: plan.id });
 };
 
 const showAIInsights = () => {
@@ -853,6 +930,118 @@ const fabConfigs = {
   );
 };
 
+  // Preview of the cycles generated schedules will follow; week 1 starts
+  // on the same day a schedule generated now would
+  const renderPeriodization = () => {
+    const settings = plan.periodization || { model: DEFAULT_MODEL, competitions: [] };
+    const preview = Periodization.buildPlan({
+      model: settings.model,
+      competitions: settings.competitions,
+      deloadEvery: settings.deloadEvery,
+      weeksCount: Periodization.weeksFromDuration(plan.duration)
+    });
+    const mesocycleColors = Object.fromEntries(
+      preview.mesocycles.map((mesocycle, index) => [mesocycle.name, MESOCYCLE_COLORS[index % MESOCYCLE_COLORS.length]])
+    );
+
+    return (
+      <Card style={styles.sectionCard}>
+        <Card.Content>
+          <Text style={[TEXT_STYLES.h3, { marginBottom: SPACING.xs }]}>
+            Periodization
+          </Text>
+          <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, marginBottom: SPACING.sm }]}>
+            {preview.macrocycle.goal} · {preview.macrocycle.toWeek} weeks from {preview.macrocycle.startDate}
+          </Text>
+
+          <View style={styles.daysContainer}>
+            {Periodization.list().map(model => (
+              <Chip
+                key={model.id}
+                mode={model.id === preview.model ? 'flat' : 'outlined'}
+                selected={model.id === preview.model}
+                onPress={() => savePeriodization({ model: model.id })}
+                style={styles.tagChip}
+              >
+                {model.name}
+              </Chip>
+            ))}
+          </View>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginVertical: SPACING.sm }}>
+            <View style={styles.timelineRow}>
+              {preview.microcycles.map(micro => (
+                <View key={micro.week} style={styles.timelineWeek}>
+                  <Text style={styles.timelineMarker}>
+                    {micro.kind === 'competition' ? '🏆' : micro.kind === 'deload' ? 'D' : micro.kind === 'taper' ? 'T' : ' '}
+                  </Text>
+                  <View style={styles.timelineTrack}>
+                    <View
+                      style={[
+                        styles.timelineBar,
+                        {
+                          height: `${Math.min(100, Math.round(micro.volume * 80))}%`,
+                          backgroundColor: mesocycleColors[micro.mesocycle],
+                          opacity: micro.kind === 'loading' || micro.kind === 'competition' ? 1 : 0.5
+                        }
+                      ]}
+                    />
+                  </View>
+                  <Text style={styles.timelineLabel}>{micro.intensity}%</Text>
+                  <Text style={styles.timelineLabel}>W{micro.week}</Text>
+                </View>
+              ))}
+            </View>
+          </ScrollView>
+
+          {preview.mesocycles.map(mesocycle => (
+            <View key={mesocycle.name} style={styles.scheduleInfo}>
+              <View style={[styles.timelineSwatch, { backgroundColor: mesocycleColors[mesocycle.name] }]} />
+              <Text style={[TEXT_STYLES.body2, { marginLeft: SPACING.sm, flex: 1 }]}>
+                {mesocycle.name} (weeks {mesocycle.fromWeek}-{mesocycle.toWeek}): {mesocycle.focus}
+              </Text>
+            </View>
+          ))}
+          <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, marginBottom: SPACING.sm }]}>
+            Bar height is weekly volume, the percentage is target intensity. D = deload, T = taper.
+          </Text>
+
+          <Divider style={{ marginVertical: SPACING.sm }} />
+          <Text style={[TEXT_STYLES.subtitle1, { fontWeight: 'bold', marginBottom: SPACING.xs }]}>
+            Competitions
+          </Text>
+          {settings.competitions.length === 0 && (
+            <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary }]}>
+              Add a competition to taper the weeks before it.
+            </Text>
+          )}
+          {settings.competitions.map((competition, index) => {
+            const outside = preview.ignoredCompetitions.some(item => item.date === competition.date && item.name === competition.name);
+            return (
+              <View key={`${competition.date}_${index}`} style={styles.scheduleInfo}>
+                <Chip mode="flat" compact style={styles.dayChip} textStyle={{ fontSize: 10 }}>
+                  {competition.priority}
+                </Chip>
+                <Text style={[TEXT_STYLES.body2, { flex: 1, marginLeft: SPACING.sm }]}>
+                  {competition.name} · {competition.date}{outside ? ' (outside this plan)' : ''}
+                </Text>
+                <IconButton icon="close" size={18} onPress={() => handleRemoveCompetition(index)} />
+              </View>
+            );
+          })}
+          <Button
+            mode="outlined"
+            icon="emoji-events"
+            onPress={() => setCompetitionModalVisible(true)}
+            style={{ marginTop: SPACING.sm }}
+          >
+            Add Competition
+          </Button>
+        </Card.Content>
+      </Card>
+    );
+  };
+
   const renderOverview = () => (
     <View style={{ padding: SPACING.md }}>
     {/* Document Info Section - Only in Overview tab */}
@@ -1012,6 +1201,9 @@ const fabConfigs = {
         </Card>
       )}
 
+      {/* Periodization */}
+      {renderPeriodization()}
+
       {/* Creator Info - Updated with profile picture */}
       <Card style={styles.sectionCard}>
         <Card.Content>
@@ -1279,12 +1471,12 @@ const renderSessions = () => {
         <View style={styles.aiScheduleHeader}>
           <Icon name="schedule" size={24} color="#2196F3" />
           <Text style={[TEXT_STYLES.subtitle1, { marginLeft: SPACING.sm, fontWeight: 'bold' }]}>
-            AI-Optimized Schedule
+            {extractedSessions[0].optimizedSchedule.aiOutput?.fallback ? 'Optimized Schedule' : 'AI-Optimized Schedule'}
           </Text>
         </View>
         
         <Text style={[TEXT_STYLES.body2, { color: COLORS.textSecondary, marginVertical: SPACING.sm }]}>
-          Smart scheduling based on progressive training principles
+          {extractedSessions[0].optimizedSchedule.aiOutput?.summary || 'Smart scheduling based on progressive training principles'}
         </Text>
         
         <View style={styles.schedulePreview}>
@@ -1367,6 +1559,19 @@ const renderSessions = () => {
                     </Text>
                   )}
 
+                  {weekSession.aiOutput?.summary && (
+                    <View style={[styles.sessionMetaInfo, { marginTop: SPACING.xs }]}>
+                      <Icon
+                        name={weekSession.aiOutput.fallback ? 'rule' : 'auto-awesome'}
+                        size={14}
+                        color={weekSession.aiOutput.failure ? '#FF9800' : COLORS.textSecondary}
+                      />
+                      <Text style={[TEXT_STYLES.caption, { marginLeft: 4, color: COLORS.textSecondary }]}>
+                        {weekSession.aiOutput.summary}
+                      </Text>
+                    </View>
+                  )}
+
                   {expandedSessions[weekSession.id] && (
                     <View style={{ marginTop: SPACING.md }}>
                       <Text style={[TEXT_STYLES.subtitle2, { fontWeight: 'bold', marginBottom: SPACING.sm }]}>
@@ -1411,6 +1616,16 @@ const renderSessions = () => {
                                   ))}
                                 </View>
                               )}
+
+                              {/* Warn before content the extractor made up reaches players */}
+                              {ExtractionProvenance.getSessionFlag(dailySession) && (
+                                <View style={styles.sessionMetaInfo}>
+                                  <Icon name="warning" size={14} color={COLORS.warning} />
+                                  <Text style={[TEXT_STYLES.caption, { marginLeft: 4, color: COLORS.warning }]}>
+                                    {ExtractionProvenance.getSessionFlag(dailySession).label}
+                                  </Text>
+                                </View>
+                              )}
                             </View>
                             
                             <View style={styles.sessionActions}>
@@ -1710,6 +1925,26 @@ const renderSessions = () => {
                 size={24}
                 onPress={handleSharePlan}
               />
+              <IconButton
+                icon="file-download"
+                iconColor="white"
+                size={24}
+                onPress={handleExportPlan}
+              />
+              <IconButton
+                icon="event"
+                iconColor="white"
+                size={24}
+                onPress={handleExportCalendar}
+              />
+              {plan.sourceDocument && (
+                <IconButton
+                  icon="history"
+                  iconColor="white"
+                  size={24}
+                  onPress={() => navigation.navigate('PlanVersionHistory', { documentId: plan.sourceDocument })}
+                />
+              )}
               <IconButton
                 icon="edit"
                 iconColor="white"
@@ -1837,6 +2072,65 @@ const renderSessions = () => {
   </Modal>
 </Portal>
 
+      {/* Competition Modal */}
+      <Portal>
+        <Modal
+          visible={competitionModalVisible}
+          onDismiss={() => setCompetitionModalVisible(false)}
+          contentContainerStyle={styles.modalContent}
+        >
+          <Text style={[TEXT_STYLES.h3, { marginBottom: SPACING.md }]}>
+            Add Competition
+          </Text>
+          <TextInput
+            mode="outlined"
+            label="Name"
+            value={competitionDraft.name}
+            onChangeText={name => setCompetitionDraft(draft => ({ ...draft, name }))}
+            style={{ marginBottom: SPACING.sm }}
+          />
+          <TextInput
+            mode="outlined"
+            label="Date (YYYY-MM-DD)"
+            value={competitionDraft.date}
+            onChangeText={date => setCompetitionDraft(draft => ({ ...draft, date }))}
+            style={{ marginBottom: SPACING.sm }}
+          />
+          <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary, marginBottom: SPACING.xs }]}>
+            Priority: A tapers two weeks, B one week, C none
+          </Text>
+          <View style={[styles.daysContainer, { marginBottom: SPACING.md }]}>
+            {COMPETITION_PRIORITIES.map(priority => (
+              <Chip
+                key={priority}
+                mode={competitionDraft.priority === priority ? 'flat' : 'outlined'}
+                selected={competitionDraft.priority === priority}
+                onPress={() => setCompetitionDraft(draft => ({ ...draft, priority }))}
+                style={styles.tagChip}
+              >
+                {priority}
+              </Chip>
+            ))}
+          </View>
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+            <Button
+              mode="outlined"
+              onPress={() => setCompetitionModalVisible(false)}
+              style={{ flex: 1, marginRight: SPACING.sm }}
+            >
+              Cancel
+            </Button>
+            <Button
+              mode="contained"
+              onPress={handleAddCompetition}
+              style={{ flex: 1, marginLeft: SPACING.sm }}
+            >
+              Add
+            </Button>
+          </View>
+        </Modal>
+      </Portal>
+
       {/* Session Modal */}
       <Portal>
         <Modal
@@ -1989,6 +2283,41 @@ const styles = {
     flexDirection: 'row',
     alignItems: 'center',
   },
+  timelineRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  timelineWeek: {
+    alignItems: 'center',
+    width: 36,
+  },
+  timelineMarker: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: COLORS.textSecondary,
+    height: 16,
+  },
+  timelineTrack: {
+    height: 64,
+    width: 18,
+    justifyContent: 'flex-end',
+    backgroundColor: COLORS.border,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  timelineBar: {
+    width: '100%',
+    borderRadius: 4,
+  },
+  timelineLabel: {
+    fontSize: 10,
+    color: COLORS.textSecondary,
+  },
+  timelineSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+  },
   creatorDetails: {
     marginLeft: SPACING.md,
   },
@@ -10,6 +10,7 @@ import {
   TouchableOpacity,
   FlatList,
   ActivityIndicator,
+  Platform,
 } from 'react-native';
 import { 
   Card,
@@ -39,6 +40,8 @@ import { TEXT_STYLES } from '../../../styles/textStyles';
 import { TYPOGRAPHY } from '../../../styles/typography';
 import { LAYOUT } from '../../../styles/layout';
 import DocumentProcessor from '../../../services/DocumentProcessor';
+import PlanDatabase from '../../../services/PlanDatabase';
+import SemanticIndex from '../../../services/SemanticIndex';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -60,6 +63,9 @@ const TrainingPlanLibrary = ({ navigation, route }) => {
   const [viewMode, setViewMode] = useState('grid');
   const [plans, setPlans] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [contentResults, setContentResults] = useState([]);
+  const [pendingReviewPlans, setPendingReviewPlans] = useState([]);
+  const [storageFallback, setStorageFallback] = useState(null);
   
   // Success message state
   const [snackbarVisible, setSnackbarVisible] = useState(false);
@@ -99,8 +105,14 @@ const TrainingPlanLibrary = ({ navigation, route }) => {
 const loadTrainingPlans = useCallback(async () => {
   try {
     setLoading(true);
-    const realPlans = await DocumentProcessor.getTrainingPlans();
+    const realPlans = await DocumentProcessor.getCurrentTrainingPlans();
     const storedDocuments = await DocumentProcessor.getStoredDocuments();
+    setStorageFallback(await PlanDatabase.getFallbackReason());
+    const awaitingReview = await DocumentProcessor.getPlansAwaitingReview();
+    setPendingReviewPlans(awaitingReview.map(plan => ({
+      ...plan,
+      originalName: storedDocuments.find(doc => doc.id === plan.sourceDocument)?.originalName || null,
+    })));
     
     // Enhance plans with proper structure and resolve document names
     const enhancedPlans = realPlans.map(plan => {
@@ -214,6 +226,42 @@ const handleCreatePlan = useCallback(() => {
     });
   }, [plans, searchQuery, selectedCategory]);
 
+  // Sessions, drills and document passages that match the search by meaning,
+  // e.g. "small-sided pressing game for U12"
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 3) {
+      setContentResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await SemanticIndex.search(query, { limit: 8 });
+        if (!cancelled) setContentResults(results);
+      } catch (error) {
+        console.warn('Semantic search failed:', error.message);
+        if (!cancelled) setContentResults([]);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  const handleContentResultPress = useCallback((result) => {
+    const planId = result.meta.planId ||
+      plans.find(plan => plan.sourceDocument && plan.sourceDocument === result.meta.documentId)?.id;
+    if (planId) {
+      navigation.navigate('TrainingPlanDetails', { planId });
+    } else {
+      Alert.alert(result.title, result.snippet);
+    }
+  }, [plans, navigation]);
+
   // Show loading state - MOVED AFTER ALL HOOKS
   if (loading) {
     return (
@@ -396,6 +444,102 @@ const renderPlanCard = ({ item: plan, index }) => {
   );
 };
 
+  const renderContentResults = () => {
+    if (contentResults.length === 0) return null;
+
+    const kindIcons = { session: 'event', drill: 'sports', exercise: 'fitness-center', document: 'description' };
+
+    return (
+      <Card style={{ marginHorizontal: SPACING.md, marginBottom: SPACING.md }}>
+        <Card.Content>
+          <Text style={[TEXT_STYLES.h3, { marginBottom: SPACING.sm }]}>
+            Sessions, drills & documents
+          </Text>
+          {contentResults.map(result => (
+            <TouchableOpacity
+              key={result.id}
+              onPress={() => handleContentResultPress(result)}
+              style={{ flexDirection: 'row', alignItems: 'flex-start', paddingVertical: SPACING.sm }}
+            >
+              <Icon name={kindIcons[result.kind] || 'search'} size={20} color={COLORS.primary} />
+              <View style={{ flex: 1, marginLeft: SPACING.sm }}>
+                <Text style={[TEXT_STYLES.body1, { fontWeight: '600' }]} numberOfLines={1}>
+                  {result.title}
+                </Text>
+                <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary }]} numberOfLines={2}>
+                  {[result.meta.planTitle, result.meta.ageGroup, result.meta.weekNumber && `Week ${result.meta.weekNumber}`]
+                    .filter(Boolean).join(' · ')}
+                  {result.snippet && result.snippet !== result.title ? `\n${result.snippet}` : ''}
+                </Text>
+              </View>
+              <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary }]}>
+                {Math.round(result.similarity * 100)}%
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  // Plans kept in AsyncStorage share a small quota with the rest of the
+  // app, so the coach should know before uploading large documents
+  const renderStorageWarning = () => {
+    if (!storageFallback) return null;
+
+    return (
+      <Surface style={{
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: SPACING.md,
+        marginBottom: SPACING.md,
+        padding: SPACING.sm,
+        borderRadius: 8,
+        backgroundColor: COLORS.warning + '20',
+      }}>
+        <Icon name="warning" size={20} color={COLORS.warning} />
+        <Text style={[TEXT_STYLES.caption, { flex: 1, marginLeft: SPACING.sm, color: COLORS.text }]}>
+          {Platform.OS === 'web'
+            ? 'This browser cannot use the plan database, so documents and plans are kept in browser storage, which fills up quickly. Use a current Chrome or Edge, or serve the app with the headers from the README.'
+            : 'The plan database could not be opened, so documents and plans are kept in app storage, which fills up quickly.'}
+        </Text>
+      </Surface>
+    );
+  };
+
+  // Extracted plans stay out of the library until the coach reviews them
+  const renderPendingReviews = () => {
+    if (pendingReviewPlans.length === 0) return null;
+
+    return (
+      <Card style={{ marginHorizontal: SPACING.md, marginBottom: SPACING.md }}>
+        <Card.Content>
+          <Text style={[TEXT_STYLES.h3, { marginBottom: SPACING.sm }]}>
+            Waiting for review
+          </Text>
+          {pendingReviewPlans.map(plan => (
+            <TouchableOpacity
+              key={plan.id}
+              onPress={() => navigation.navigate('ExtractionReview', { planId: plan.id })}
+              style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: SPACING.sm }}
+            >
+              <Icon name="rate-review" size={20} color={COLORS.primary} />
+              <View style={{ flex: 1, marginLeft: SPACING.sm }}>
+                <Text style={[TEXT_STYLES.body1, { fontWeight: '600' }]} numberOfLines={1}>
+                  {plan.title}
+                </Text>
+                <Text style={[TEXT_STYLES.caption, { color: COLORS.textSecondary }]} numberOfLines={1}>
+                  {plan.originalName || 'Uploaded document'} · {plan.sessionsCount} sessions
+                </Text>
+              </View>
+              <Icon name="chevron-right" size={20} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+          ))}
+        </Card.Content>
+      </Card>
+    );
+  };
+
   const renderCategoryChip = ({ item: category }) => (
     <Chip
       mode={selectedCategory === category.key ? 'flat' : 'outlined'}
@@ -484,6 +628,13 @@ const renderPlanCard = ({ item: plan, index }) => {
         data={filteredPlans}
         renderItem={renderPlanCard}
         keyExtractor={item => item.id}
+        ListHeaderComponent={
+          <>
+            {renderStorageWarning()}
+            {renderPendingReviews()}
+            {renderContentResults()}
+          </>
+        }
         contentContainerStyle={{ paddingBottom: 100 }}
         refreshControl={
           <RefreshControl
@@ -15,15 +15,30 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS } from '../../../styles/colors';
+import { useChatWithAuth } from '../../../hooks/useChatWithAuth';
+import ChatService from '../../../services/ChatService';
+import ModerationService, { REPORT_REASONS, REPORT_STATUS } from '../../../services/ModerationService';
+
+const REPORT_STATUS_LABELS = {
+  [REPORT_STATUS.OPEN]: 'Submitted',
+  [REPORT_STATUS.IN_REVIEW]: 'Under Review',
+  [REPORT_STATUS.RESOLVED]: 'Resolved',
+  [REPORT_STATUS.DISMISSED]: 'Closed',
+};
 
 const ChildProtection = ({ navigation }) => {
+  const { currentFirebaseUser, authReady, getBlockedUsers, unblockUser } = useChatWithAuth();
   const [loading, setLoading] = useState(false);
   const [showReportModal, setShowReportModal] = useState(false);
   const [showBlockModal, setShowBlockModal] = useState(false);
+  const [showLinkModal, setShowLinkModal] = useState(false);
+  const [childQuery, setChildQuery] = useState('');
+  const [childResults, setChildResults] = useState([]);
+  const [searchingChildren, setSearchingChildren] = useState(false);
   const [reportDetails, setReportDetails] = useState({
     type: '',
     description: '',
-    incident: '',
+    childId: null,
   });
 
   // Protection Settings State
@@ -74,17 +89,12 @@ const ChildProtection = ({ navigation }) => {
     },
   });
 
-  // Mock data for blocked users and reported incidents
-  const [blockedUsers, setBlockedUsers] = useState([
-    { id: '1', name: 'Blocked User 1', type: 'Parent', reason: 'Inappropriate behavior', date: '2024-01-15' },
-    { id: '2', name: 'Blocked User 2', type: 'Coach', reason: 'Reported by parent', date: '2024-01-10' },
-  ]);
-
-  const [recentReports, setRecentReports] = useState([
-    { id: '1', type: 'Inappropriate Message', status: 'Under Review', date: '2024-01-20', resolved: false },
-    { id: '2', type: 'Unsafe Behavior', status: 'Resolved', date: '2024-01-18', resolved: true },
-    { id: '3', type: 'Privacy Violation', status: 'Investigating', date: '2024-01-15', resolved: false },
-  ]);
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [recentReports, setRecentReports] = useState([]);
+  const [linkedChildren, setLinkedChildren] = useState([]);
+  const [mirroredChats, setMirroredChats] = useState([]);
+  const [sentLinkRequests, setSentLinkRequests] = useState([]);
+  const [linkRequestsToConfirm, setLinkRequestsToConfirm] = useState([]);
 
   const [emergencyContacts, setEmergencyContacts] = useState([
     { id: '1', name: 'Primary Guardian', phone: '+1 (555) 123-4567', relationship: 'Parent' },
@@ -92,14 +102,63 @@ const ChildProtection = ({ navigation }) => {
     { id: '3', name: 'Emergency Contact', phone: '+1 (555) 456-7890', relationship: 'Relative' },
   ]);
 
-  const reportTypes = [
-    'Inappropriate Message',
-    'Unsafe Behavior',
-    'Privacy Violation',
-    'Bullying/Harassment',
-    'Physical Concern',
-    'Other Safety Issue',
-  ];
+  useEffect(() => {
+    if (authReady && currentFirebaseUser) {
+      loadSafetyData();
+    }
+  }, [authReady, currentFirebaseUser]);
+
+  const loadSafetyData = async () => {
+    const uid = currentFirebaseUser.uid;
+
+    try {
+      const [blocked, reports, children, chats, sent, addressed, moderated] = await Promise.all([
+        getBlockedUsers(),
+        ModerationService.getMyReports(uid),
+        ChatService.getLinkedChildren(uid),
+        ChatService.getMirroredChats(uid).catch(() => []),
+        ChatService.getGuardianLinkRequests(uid, 'guardianId'),
+        ChatService.getGuardianLinkRequests(uid, 'childId'),
+        ChatService.getPendingGuardianLinkRequests(),
+      ]);
+
+      setBlockedUsers(blocked.map(entry => ({
+        id: entry.userId,
+        name: entry.name || 'Unknown user',
+        reason: entry.reason || 'Blocked from chat',
+        date: (entry.blockedAt || '').split('T')[0],
+        pending: !!entry.pending,
+      })));
+
+      setRecentReports(reports.map(report => ({
+        id: report.id,
+        type: REPORT_REASONS.find(r => r.id === report.reason)?.label || report.reason,
+        status: report.pending ? 'Waiting to send' : REPORT_STATUS_LABELS[report.status] || report.status,
+        date: (report.createdAt || '').split('T')[0],
+        resolved: report.status === REPORT_STATUS.RESOLVED || report.status === REPORT_STATUS.DISMISSED,
+      })));
+
+      setLinkedChildren(children);
+      setMirroredChats(chats);
+      setSentLinkRequests(sent);
+      // Requests naming this account as the child, and every pending one
+      // for moderators
+      setLinkRequestsToConfirm([...new Map([...addressed, ...moderated].map(request => [request.id, request])).values()]);
+
+      // The oversight switch reflects the mirror rule stored on the links
+      if (children.length > 0) {
+        setProtectionSettings(prev => ({
+          ...prev,
+          contentMonitoring: {
+            ...prev.contentMonitoring,
+            parentalOversight: children.every(child => child.mirrorChats),
+          },
+        }));
+      }
+    } catch (error) {
+      console.error('Error loading safety data:', error);
+    }
+  };
 
   const handleSettingChange = (category, setting, value) => {
     setProtectionSettings(prev => ({
@@ -109,6 +168,117 @@ const ChildProtection = ({ navigation }) => {
         [setting]: value,
       }
     }));
+
+    if (category === 'contentMonitoring' && setting === 'parentalOversight') {
+      updateChatMirror(value);
+    }
+  };
+
+  const updateChatMirror = async (enabled) => {
+    if (linkedChildren.length === 0) return;
+
+    try {
+      await Promise.all(linkedChildren.map(child =>
+        ChatService.setGuardianMirror(child.childId, currentFirebaseUser.uid, enabled)
+      ));
+      setLinkedChildren(prev => prev.map(child => ({ ...child, mirrorChats: enabled })));
+      setMirroredChats(enabled ? await ChatService.getMirroredChats(currentFirebaseUser.uid) : []);
+    } catch (error) {
+      setProtectionSettings(prev => ({
+        ...prev,
+        contentMonitoring: { ...prev.contentMonitoring, parentalOversight: !enabled },
+      }));
+      Alert.alert('Error', error.message || 'Failed to update parental oversight.');
+    }
+  };
+
+  const handleUnblock = (item) => {
+    Alert.alert(
+      `Unblock ${item.name}?`,
+      'They will be able to message you again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unblock',
+          onPress: async () => {
+            try {
+              await unblockUser(item.id);
+              setBlockedUsers(prev => prev.filter(user => user.id !== item.id));
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to unblock user.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const searchChildren = async () => {
+    if (childQuery.trim().length < 2) return;
+
+    setSearchingChildren(true);
+    try {
+      const result = await ChatService.searchUsers(childQuery, currentFirebaseUser.uid);
+      setChildResults(result.users || []);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to search accounts. Please try again.');
+    } finally {
+      setSearchingChildren(false);
+    }
+  };
+
+  const closeLinkModal = () => {
+    setShowLinkModal(false);
+    setChildQuery('');
+    setChildResults([]);
+  };
+
+  const requestChildLink = async (child) => {
+    const childName = [child.firstName, child.lastName].filter(Boolean).join(' ') || child.username || 'this account';
+
+    setLoading(true);
+    try {
+      const result = await ChatService.requestGuardianLink(child.id, {
+        guardianName: currentFirebaseUser.displayName || '',
+        childName,
+      });
+      setSentLinkRequests(prev => [result.request, ...prev.filter(request => request.id !== result.request.id)]);
+      closeLinkModal();
+
+      Alert.alert(
+        'Request Sent',
+        `${childName} needs to approve the link in their Parental Controls before you can oversee their account. A moderator can also confirm it.`,
+        [{ text: 'OK' }]
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to send the link request.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const respondToLinkRequest = (item, approve) => {
+    Alert.alert(
+      approve ? 'Approve guardian link?' : 'Decline guardian link?',
+      approve
+        ? `${item.guardianName || 'This guardian'} will be able to oversee ${item.childName || 'the child'}'s chats and safety records.`
+        : `${item.guardianName || 'This guardian'} will not be linked.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: approve ? 'Approve' : 'Decline',
+          style: approve ? 'default' : 'destructive',
+          onPress: async () => {
+            try {
+              await ChatService.respondToGuardianLinkRequest(item.id, approve);
+              setLinkRequestsToConfirm(prev => prev.filter(request => request.id !== item.id));
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to answer the request.');
+            }
+          }
+        }
+      ]
+    );
   };
 
   const handleQuickReport = (type) => {
@@ -121,27 +291,34 @@ const ChildProtection = ({ navigation }) => {
       Alert.alert('Error', 'Please provide all required information.');
       return;
     }
+    if (!currentFirebaseUser) {
+      Alert.alert('Error', 'Please sign in to submit a report.');
+      return;
+    }
 
     setLoading(true);
     try {
-      // API call to submit report
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const result = await ModerationService.reportIncident(currentFirebaseUser.uid, {
+        reason: reportDetails.type,
+        details: reportDetails.description,
+        childId: reportDetails.childId || (linkedChildren.length === 1 ? linkedChildren[0].childId : null),
+      });
       
-      const newReport = {
-        id: Date.now().toString(),
-        type: reportDetails.type,
-        status: 'Under Review',
-        date: new Date().toISOString().split('T')[0],
+      setRecentReports(prev => [{
+        id: result.report.id,
+        type: REPORT_REASONS.find(r => r.id === reportDetails.type)?.label || reportDetails.type,
+        status: result.queued ? 'Waiting to send' : REPORT_STATUS_LABELS[REPORT_STATUS.OPEN],
+        date: result.report.createdAt.split('T')[0],
         resolved: false,
-      };
-      
-      setRecentReports(prev => [newReport, ...prev]);
-      setReportDetails({ type: '', description: '', incident: '' });
+      }, ...prev]);
+      setReportDetails({ type: '', description: '', childId: null });
       setShowReportModal(false);
       
       Alert.alert(
         'Report Submitted',
-        'Your safety report has been submitted and will be reviewed within 24 hours. You will receive updates on the investigation.',
+        result.queued
+          ? 'You are offline. Your report will be sent to our moderators as soon as you are connected.'
+          : 'Your safety report has been sent to our moderation team and will be reviewed as a priority.',
         [{ text: 'OK' }]
       );
     } catch (error) {
@@ -234,15 +411,94 @@ const ChildProtection = ({ navigation }) => {
     <View style={styles.listItem}>
       <View style={styles.listItemContent}>
         <Text style={styles.listItemTitle}>{item.name}</Text>
-        <Text style={styles.listItemSubtitle}>{item.type} • {item.reason}</Text>
-        <Text style={styles.listItemDate}>Blocked on {item.date}</Text>
+        <Text style={styles.listItemSubtitle}>{item.reason}</Text>
+        <Text style={styles.listItemDate}>
+          Blocked on {item.date}{item.pending ? ' • syncing' : ''}
+        </Text>
       </View>
-      <TouchableOpacity style={styles.unblockButton}>
+      <TouchableOpacity style={styles.unblockButton} onPress={() => handleUnblock(item)}>
         <Text style={styles.unblockButtonText}>Unblock</Text>
       </TouchableOpacity>
     </View>
   );
 
+  const renderMirroredChat = ({ item }) => {
+    const childNames = linkedChildren
+      .filter(child => item.childIds.includes(child.childId))
+      .map(child => child.child?.firstName || 'Your child')
+      .join(', ');
+
+    return (
+      <TouchableOpacity
+        style={styles.listItem}
+        onPress={() => navigation.navigate('CoachChat', { chatId: item.id, chatName: item.displayName, mirror: true })}
+      >
+        <View style={styles.listItemContent}>
+          <Text style={styles.listItemTitle}>{item.displayName}</Text>
+          <Text style={styles.listItemSubtitle}>{childNames} • {item.participants.length} participants</Text>
+          {item.lastMessage?.text ? (
+            <Text style={styles.listItemDate} numberOfLines={1}>{item.lastMessage.text}</Text>
+          ) : null}
+        </View>
+        <Ionicons name="eye-outline" size={20} color={COLORS.gray} />
+      </TouchableOpacity>
+    );
+  };
+
+  const renderLinkedChild = ({ item }) => (
+    <View style={styles.listItem}>
+      <View style={styles.listItemContent}>
+        <Text style={styles.listItemTitle}>
+          {[item.child?.firstName, item.child?.lastName].filter(Boolean).join(' ') || 'Linked child'}
+        </Text>
+        <Text style={styles.listItemSubtitle}>
+          {item.mirrorChats ? 'Chats mirrored to you' : 'Chat mirroring off'}
+        </Text>
+      </View>
+      <Ionicons name="shield-checkmark-outline" size={20} color={COLORS.primary} />
+    </View>
+  );
+
+  const renderSentLinkRequest = ({ item }) => (
+    <View style={styles.listItem}>
+      <View style={styles.listItemContent}>
+        <Text style={styles.listItemTitle}>{item.childName || 'Child account'}</Text>
+        <Text style={styles.listItemDate}>Requested on {(item.createdAt || '').split('T')[0]}</Text>
+      </View>
+      <View style={styles.statusBadge}>
+        <Text style={styles.statusBadgeText}>Waiting for approval</Text>
+      </View>
+    </View>
+  );
+
+  const renderLinkRequestToConfirm = ({ item }) => (
+    <View style={styles.listItem}>
+      <View style={styles.listItemContent}>
+        <Text style={styles.listItemTitle}>{item.guardianName || 'A guardian'}</Text>
+        <Text style={styles.listItemSubtitle}>Wants to link to {item.childName || 'a child account'}</Text>
+        <Text style={styles.listItemDate}>Requested on {(item.createdAt || '').split('T')[0]}</Text>
+      </View>
+      <TouchableOpacity style={styles.unblockButton} onPress={() => respondToLinkRequest(item, false)}>
+        <Text style={styles.unblockButtonText}>Decline</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.approveButton} onPress={() => respondToLinkRequest(item, true)}>
+        <Text style={styles.approveButtonText}>Approve</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderChildResult = ({ item }) => (
+    <TouchableOpacity style={styles.listItem} onPress={() => requestChildLink(item)} disabled={loading}>
+      <View style={styles.listItemContent}>
+        <Text style={styles.listItemTitle}>
+          {[item.firstName, item.lastName].filter(Boolean).join(' ') || item.username}
+        </Text>
+        {item.username ? <Text style={styles.listItemSubtitle}>@{item.username}</Text> : null}
+      </View>
+      <Ionicons name="link-outline" size={20} color={COLORS.primary} />
+    </TouchableOpacity>
+  );
+
   const renderReport = ({ item }) => (
     <View style={styles.listItem}>
       <View style={styles.listItemContent}>
@@ -312,13 +568,13 @@ const ChildProtection = ({ navigation }) => {
         {/* Quick Report Buttons */}
         <ProtectionSection title="Quick Report Issues" icon="flag-outline">
           <View style={styles.reportButtonsGrid}>
-            {reportTypes.map((type, index) => (
+            {REPORT_REASONS.map((reason) => (
               <TouchableOpacity
-                key={index}
+                key={reason.id}
                 style={styles.reportTypeButton}
-                onPress={() => handleQuickReport(type)}
+                onPress={() => handleQuickReport(reason.id)}
               >
-                <Text style={styles.reportTypeText}>{type}</Text>
+                <Text style={styles.reportTypeText}>{reason.label}</Text>
               </TouchableOpacity>
             ))}
           </View>
@@ -366,7 +622,7 @@ const ChildProtection = ({ navigation }) => {
         <ProtectionSection title="Content Monitoring" icon="eye-outline" critical={true}>
           <SettingRow
             title="Parental Oversight"
-            description="Allow parents to review child's interactions"
+            description="Read-only access to every chat your under-18 children are in"
             value={protectionSettings.contentMonitoring.parentalOversight}
             onValueChange={handleSettingChange}
             category="contentMonitoring"
@@ -400,6 +656,55 @@ const ChildProtection = ({ navigation }) => {
           />
         </ProtectionSection>
 
+        {/* Chats visible through parental oversight */}
+        {protectionSettings.contentMonitoring.parentalOversight && linkedChildren.length > 0 && (
+          <ProtectionSection title="Monitored Chats" icon="chatbubbles-outline">
+            <FlatList
+              data={mirroredChats}
+              renderItem={renderMirroredChat}
+              keyExtractor={(item) => item.id}
+              scrollEnabled={false}
+              ListEmptyComponent={
+                <Text style={styles.emptyText}>No chats to review</Text>
+              }
+            />
+          </ProtectionSection>
+        )}
+
+        {/* Linked children and pending link requests */}
+        <ProtectionSection title="Linked Children" icon="people-circle-outline">
+          <FlatList
+            data={linkedChildren}
+            renderItem={renderLinkedChild}
+            keyExtractor={(item) => item.childId}
+            scrollEnabled={false}
+            ListEmptyComponent={
+              sentLinkRequests.length === 0 ? <Text style={styles.emptyText}>No linked children</Text> : null
+            }
+          />
+          <FlatList
+            data={sentLinkRequests}
+            renderItem={renderSentLinkRequest}
+            keyExtractor={(item) => item.id}
+            scrollEnabled={false}
+          />
+          <TouchableOpacity style={styles.addContactButton} onPress={() => setShowLinkModal(true)}>
+            <Ionicons name="link-outline" size={20} color={COLORS.primary} />
+            <Text style={styles.addContactText}>Link a Child Account</Text>
+          </TouchableOpacity>
+        </ProtectionSection>
+
+        {linkRequestsToConfirm.length > 0 && (
+          <ProtectionSection title="Guardian Link Requests" icon="shield-checkmark-outline" critical={true}>
+            <FlatList
+              data={linkRequestsToConfirm}
+              renderItem={renderLinkRequestToConfirm}
+              keyExtractor={(item) => item.id}
+              scrollEnabled={false}
+            />
+          </ProtectionSection>
+        )}
+
         {/* Interaction Controls */}
         <ProtectionSection title="Interaction Controls" icon="people-outline" critical={true}>
           <SettingRow
@@ -505,25 +810,50 @@ const ChildProtection = ({ navigation }) => {
             
             <Text style={styles.inputLabel}>Report Type *</Text>
             <View style={styles.reportTypeContainer}>
-              {reportTypes.map((type, index) => (
+              {REPORT_REASONS.map((reason) => (
                 <TouchableOpacity
-                  key={index}
+                  key={reason.id}
                   style={[
                     styles.reportTypeOption,
-                    reportDetails.type === type && styles.selectedReportType
+                    reportDetails.type === reason.id && styles.selectedReportType
                   ]}
-                  onPress={() => setReportDetails({...reportDetails, type})}
+                  onPress={() => setReportDetails({...reportDetails, type: reason.id})}
                 >
                   <Text style={[
                     styles.reportTypeOptionText,
-                    reportDetails.type === type && styles.selectedReportTypeText
+                    reportDetails.type === reason.id && styles.selectedReportTypeText
                   ]}>
-                    {type}
+                    {reason.label}
                   </Text>
                 </TouchableOpacity>
               ))}
             </View>
 
+            {linkedChildren.length > 1 && (
+              <>
+                <Text style={styles.inputLabel}>Which child is this about?</Text>
+                <View style={styles.reportTypeContainer}>
+                  {linkedChildren.map((child) => (
+                    <TouchableOpacity
+                      key={child.childId}
+                      style={[
+                        styles.reportTypeOption,
+                        reportDetails.childId === child.childId && styles.selectedReportType
+                      ]}
+                      onPress={() => setReportDetails({...reportDetails, childId: child.childId})}
+                    >
+                      <Text style={[
+                        styles.reportTypeOptionText,
+                        reportDetails.childId === child.childId && styles.selectedReportTypeText
+                      ]}>
+                        {child.child?.firstName || 'Child'}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+
             <Text style={styles.inputLabel}>Description *</Text>
             <TextInput
               style={styles.textArea}
@@ -557,6 +887,58 @@ const ChildProtection = ({ navigation }) => {
           </View>
         </View>
       </Modal>
+
+      {/* Link Child Modal */}
+      <Modal
+        visible={showLinkModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={closeLinkModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Link a Child Account</Text>
+            <Text style={styles.modalSubtitle}>
+              The child, or one of our moderators, must approve the link before it takes effect.
+            </Text>
+
+            <Text style={styles.inputLabel}>Child's name, username or email</Text>
+            <TextInput
+              style={styles.searchInput}
+              value={childQuery}
+              onChangeText={setChildQuery}
+              onSubmitEditing={searchChildren}
+              placeholder="Search accounts..."
+              autoCapitalize="none"
+              returnKeyType="search"
+            />
+
+            {searchingChildren ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <FlatList
+                data={childResults}
+                renderItem={renderChildResult}
+                keyExtractor={(item) => item.id}
+                style={styles.searchResults}
+              />
+            )}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalButton} onPress={closeLinkModal}>
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.submitButton]}
+                onPress={searchChildren}
+                disabled={searchingChildren}
+              >
+                <Text style={[styles.modalButtonText, styles.submitButtonText]}>Search</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -761,6 +1143,18 @@ const styles = StyleSheet.create({
     color: COLORS.primary,
     fontWeight: '500',
   },
+  approveButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginLeft: 8,
+    backgroundColor: COLORS.primary,
+    borderRadius: 6,
+  },
+  approveButtonText: {
+    fontSize: 12,
+    color: COLORS.white,
+    fontWeight: '500',
+  },
   callButton: {
     padding: 8,
     backgroundColor: COLORS.primary + '10',
@@ -884,6 +1278,18 @@ const styles = StyleSheet.create({
     height: 100,
     marginBottom: 20,
   },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  searchResults: {
+    maxHeight: 240,
+    marginBottom: 20,
+  },
   modalButtons: {
     flexDirection: 'row',
     gap: 10,
@@ -27,6 +27,7 @@ import { BlurView } from '../../../components/shared/BlurView';
 import { LinearGradient } from '../../../components/shared/BlurView';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
+import CoachingAssistant from '../../../services/CoachingAssistant';
 
 // Design system imports
 import { COLORS, SPACING, TEXT_STYLES } from '../styles/theme';
@@ -98,16 +99,28 @@ const AICoachChat = ({ navigation }) => {
     setMessages([welcomeMessage]);
   };
 
+  const toChatMessage = (stored) => ({
+    id: stored.id,
+    text: stored.text,
+    isAI: stored.role === 'assistant',
+    timestamp: new Date(stored.createdAt),
+    citations: stored.citations || [],
+    aiOutput: stored.aiOutput || null,
+    points: 0,
+  });
+
+  // The conversation is stored per player so follow-up questions keep
+  // their context between visits
   const loadPreviousMessages = async () => {
     try {
-      // Simulate loading previous messages
       setRefreshing(true);
-      // In real app, load from AsyncStorage or API
-      setTimeout(() => {
-        setRefreshing(false);
-      }, 1000);
+      const stored = await CoachingAssistant.getConversation(user?.id);
+      if (stored.length > 0) {
+        setMessages(prev => [prev[0], ...stored.map(toChatMessage)]);
+      }
     } catch (error) {
       console.error('Error loading messages:', error);
+    } finally {
       setRefreshing(false);
     }
   };
@@ -140,70 +153,44 @@ const AICoachChat = ({ navigation }) => {
     }, 100);
 
     try {
-      // Simulate AI response
-      setTimeout(() => {
-        const aiResponse = generateAIResponse(messageText, selectedCategory);
-        const aiMessage = {
-          id: Date.now() + 1,
-          text: aiResponse.text,
-          isAI: true,
-          timestamp: new Date(),
-          category: selectedCategory,
-          points: aiResponse.points,
-          achievement: aiResponse.achievement,
-        };
+      const { assistantMessage } = await CoachingAssistant.ask(user?.id, messageText, {
+        athleteId: user?.id,
+        sport: user?.sport,
+        ageGroup: user?.ageGroup,
+        topic: selectedCategory,
+      });
+      const reward = categoryRewards[selectedCategory] || categoryRewards.general;
+      const aiMessage = {
+        ...toChatMessage(assistantMessage),
+        category: selectedCategory,
+        points: reward.points,
+        achievement: reward.achievement,
+      };
 
-        setMessages(prev => [...prev, aiMessage]);
-        setIsTyping(false);
-        
-        if (aiResponse.points > 0) {
-          setTotalPoints(prev => prev + aiResponse.points);
-        }
+      setMessages(prev => [...prev, aiMessage]);
+      setTotalPoints(prev => prev + reward.points);
 
-        if (aiResponse.achievement) {
-          showAchievement(aiResponse.achievement);
-        }
+      if (reward.achievement) {
+        showAchievement(reward.achievement);
+      }
 
-        setTimeout(() => {
-          scrollViewRef.current?.scrollToEnd({ animated: true });
-        }, 100);
-      }, 1500);
+      setTimeout(() => {
+        scrollViewRef.current?.scrollToEnd({ animated: true });
+      }, 100);
     } catch (error) {
-      setIsTyping(false);
       Alert.alert('Error', 'Failed to get AI response. Please try again.');
+    } finally {
+      setIsTyping(false);
     }
   };
 
-  const generateAIResponse = (message, category) => {
-    const responses = {
-      training: {
-        text: "Great question about training! 💪 Based on your profile, I recommend focusing on progressive overload this week. Start with 3 sets of compound exercises, increase intensity by 5-10%. Remember to warm up properly and maintain good form. Would you like me to create a detailed weekly plan?",
-        points: 25,
-        achievement: null,
-      },
-      nutrition: {
-        text: "Excellent nutrition question! 🥗 For optimal performance, focus on eating protein within 30 minutes post-workout. Include complex carbs 2-3 hours before training. Stay hydrated with 2-3L water daily. Need specific meal suggestions for your sport?",
-        points: 20,
-        achievement: "Nutrition Enthusiast",
-      },
-      recovery: {
-        text: "Recovery is crucial for progress! 🧘‍♂️ Ensure 7-9 hours of quality sleep, incorporate active recovery days, and try contrast showers. Foam rolling for 10-15 minutes daily can significantly improve muscle recovery. What specific recovery challenges are you facing?",
-        points: 30,
-        achievement: null,
-      },
-      mental: {
-        text: "Mental preparation is key! 🧠 Try visualization techniques before training - spend 5 minutes imagining successful performance. Practice deep breathing exercises and positive self-talk. Confidence comes from preparation. Would you like specific mental exercises for your sport?",
-        points: 35,
-        achievement: "Mental Warrior",
-      },
-      general: {
-        text: "I'm here to help you become the best athlete you can be! 🌟 Whether it's training techniques, nutrition advice, recovery strategies, or mental preparation - just ask. What's your biggest challenge right now?",
-        points: 15,
-        achievement: null,
-      },
-    };
-
-    return responses[category] || responses.general;
+  // Points for asking, by category
+  const categoryRewards = {
+    training: { points: 25, achievement: null },
+    nutrition: { points: 20, achievement: "Nutrition Enthusiast" },
+    recovery: { points: 30, achievement: null },
+    mental: { points: 35, achievement: "Mental Warrior" },
+    general: { points: 15, achievement: null },
   };
 
   const showAchievement = (achievement) => {
@@ -250,6 +237,19 @@ const AICoachChat = ({ navigation }) => {
           ]}>
             {message.text}
           </Text>
+
+          {message.citations?.length > 0 && (
+            <View style={styles.citationsContainer}>
+              {message.citations.map(citation => (
+                <TouchableOpacity
+                  key={`${message.id}_${citation.number}`}
+                  onPress={() => Alert.alert(citation.label, citation.snippet)}
+                >
+                  <Text style={styles.citationText}>[{citation.number}] {citation.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
           
           {message.points > 0 && (
             <View style={styles.pointsContainer}>
@@ -542,6 +542,17 @@ const styles = StyleSheet.create({
   userMessageText: {
     color: '#fff',
   },
+  citationsContainer: {
+    marginTop: SPACING.xs,
+    paddingTop: SPACING.xs,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(0, 0, 0, 0.1)',
+  },
+  citationText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.primary,
+    marginTop: 2,
+  },
   pointsContainer: {
     flexDirection: 'row',
     alignItems: 'center',
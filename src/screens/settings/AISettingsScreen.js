@@ -9,9 +9,11 @@ import {
   TextInput,
   TouchableOpacity,
   ActivityIndicator,
+  Share,
 } from 'react-native';
 import { Card, Button, Chip, Surface, Switch, Divider, SegmentedButtons } from 'react-native-paper';
 import AIService from '../../services/AIService';
+import AIUsage from '../../services/AIUsage';
 import TensorFlowService from '../../services/TensorFlowService';
 import { COLORS, SPACING, TEXT_STYLES } from '../../styles/themes';
 
@@ -25,13 +27,18 @@ const AISettingsScreen = ({ navigation }) => {
   const [aiStatus, setAiStatus] = useState({
     overall: null,
     tensorflow: null,
-    huggingface: null,
+    languageModel: null,
     ruleBased: null
   });
   
   const [usageStats, setUsageStats] = useState(null);
+  const [aiUsage, setAiUsage] = useState(null);
+  const [budgetForm, setBudgetForm] = useState({ dailyRequests: '', dailyTokens: '' });
   const [servicePriority, setServicePriority] = useState('tensorflow_first');
-  const [availableModels, setAvailableModels] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [activeProvider, setActiveProvider] = useState('huggingface');
+  const [providerForm, setProviderForm] = useState({});
+  const [checkingProvider, setCheckingProvider] = useState(false);
   const [isEditingKey, setIsEditingKey] = useState(false);
   const [storedApiKey, setStoredApiKey] = useState('');
   const [tensorflowStatus, setTensorflowStatus] = useState({
@@ -43,8 +50,10 @@ const AISettingsScreen = ({ navigation }) => {
 
   useEffect(() => {
     loadStoredApiKey();
+    loadProviders();
     loadAllServiceStatus();
     loadUsageStats();
+    loadAIUsage();
     loadServicePriority();
   }, []);
 
@@ -70,7 +79,7 @@ const AISettingsScreen = ({ navigation }) => {
       
       const aiServiceStatus = AIService.getApiStatus();
       const tfStatus = TensorFlowService.getStatus();
-      const models = await checkAvailableHuggingFaceModels();
+      const languageModel = aiServiceStatus.languageModel;
       
       setAiStatus({
         overall: {
@@ -90,12 +99,17 @@ const AISettingsScreen = ({ navigation }) => {
           capabilities: tfStatus.capabilities,
           performance: tfStatus.performance
         },
-        huggingface: {
-          available: aiServiceStatus.hasApiKey && aiServiceStatus.isOnline,
-          status: aiServiceStatus.isOnline ? 'online' : aiServiceStatus.hasApiKey ? 'offline' : 'no_key',
-          provider: aiServiceStatus.provider,
-          isSecondary: true,
-          modelsAvailable: models.length
+        languageModel: {
+          available: languageModel.available,
+          status: languageModel.available ? 'online'
+            : !languageModel.generative ? 'disabled'
+            : languageModel.checkedAt ? 'offline' : 'not_checked',
+          providerName: languageModel.providerName,
+          model: languageModel.model,
+          streaming: languageModel.streaming,
+          latencyMs: languageModel.latencyMs,
+          error: languageModel.error,
+          isSecondary: true
         },
         ruleBased: {
           available: true,
@@ -106,7 +120,6 @@ const AISettingsScreen = ({ navigation }) => {
       });
       
       setTensorflowStatus(tfStatus);
-      setAvailableModels(models);
       
       console.log('AI service status loaded:', aiServiceStatus);
       
@@ -120,12 +133,104 @@ const AISettingsScreen = ({ navigation }) => {
           aiCapability: 'minimal'
         },
         tensorflow: { available: false, status: 'error', isPrimary: true },
-        huggingface: { available: false, status: 'error', isSecondary: true },
+        languageModel: { available: false, status: 'error', isSecondary: true },
         ruleBased: { available: true, status: 'ready', isFallback: true }
       });
     }
   };
 
+  const formFromConfig = (config = {}) => ({
+    model: config.model || '',
+    baseUrl: config.baseUrl || '',
+    timeout: String(Math.round((config.timeout || 0) / 1000)),
+    stream: !!config.stream,
+    apiKey: '',
+    hasApiKey: !!config.hasApiKey
+  });
+
+  const loadProviders = () => {
+    const list = AIService.getLanguageModelProviders();
+    const active = list.find(provider => provider.active) || list[0];
+    
+    setProviders(list);
+    setActiveProvider(active.id);
+    setProviderForm(formFromConfig(active.config));
+  };
+
+  const selectedProvider = providers.find(provider => provider.id === activeProvider);
+
+  const describeHealth = (provider, health) => {
+    if (!provider?.generative) {
+      return 'Language model disabled. Plans are enhanced with TensorFlow and built-in rules.';
+    }
+    return health.available
+      ? `${provider.name} is responding with ${health.model} (${health.latencyMs}ms).`
+      : `${provider.name} is not responding: ${health.error}`;
+  };
+
+  const handleProviderChange = async (providerId) => {
+    const provider = providers.find(item => item.id === providerId);
+    setActiveProvider(providerId);
+    setProviderForm(formFromConfig(provider?.config));
+    
+    setCheckingProvider(true);
+    try {
+      const health = await AIService.setLanguageModelProvider(providerId);
+      if (provider?.generative && !health.available) {
+        Alert.alert('Provider Selected', describeHealth(provider, health));
+      }
+    } catch (error) {
+      Alert.alert('Error', `Could not switch provider: ${error.message}`);
+    } finally {
+      setCheckingProvider(false);
+      loadProviders();
+      await loadAllServiceStatus();
+    }
+  };
+
+  const handleSaveProvider = async () => {
+    const timeoutSeconds = Number(providerForm.timeout);
+    if (!providerForm.model.trim() || !(timeoutSeconds > 0)) {
+      Alert.alert('Error', 'Enter a model name and a timeout in seconds');
+      return;
+    }
+
+    const config = {
+      model: providerForm.model.trim(),
+      timeout: timeoutSeconds * 1000,
+      stream: providerForm.stream
+    };
+    if (activeProvider === 'openai_compatible') {
+      config.baseUrl = providerForm.baseUrl.trim();
+      if (providerForm.apiKey.trim()) {
+        config.apiKey = providerForm.apiKey.trim();
+      }
+    }
+
+    setCheckingProvider(true);
+    try {
+      const health = await AIService.configureLanguageModelProvider(activeProvider, config);
+      Alert.alert(health.available ? 'Provider Ready' : 'Saved', describeHealth(selectedProvider, health));
+    } catch (error) {
+      Alert.alert('Error', `Could not save provider settings: ${error.message}`);
+    } finally {
+      setCheckingProvider(false);
+      loadProviders();
+      await loadAllServiceStatus();
+    }
+  };
+
+  const handleClearProviderKey = async () => {
+    setCheckingProvider(true);
+    try {
+      await AIService.configureLanguageModelProvider(activeProvider, { apiKey: null });
+    } finally {
+      setCheckingProvider(false);
+      loadProviders();
+      await loadAllServiceStatus();
+    }
+  };
+
   const handleUpdateApiKey = async () => {
     if (!apiKey.trim()) {
       Alert.alert('Error', 'Please enter a valid Hugging Face API key');
@@ -202,34 +307,6 @@ const AISettingsScreen = ({ navigation }) => {
 
   const validation = validateApiKey(apiKey);
 
-  const checkAvailableHuggingFaceModels = async () => {
-    const testModels = [
-      'microsoft/DialoGPT-small',
-      'facebook/blenderbot-400M-distill',
-      'distilbert-base-uncased-finetuned-sst-2-english',
-      'sentence-transformers/all-MiniLM-L6-v2',
-      'gpt2',
-      'facebook/bart-large-cnn',
-      'facebook/blenderbot-400M-distill'
-    ];
-    
-    const availableModels = [];
-    
-    testModels.forEach(model => {
-      availableModels.push({
-        name: model,
-        type: model.includes('DialoGPT') ? 'conversation' : 
-              model.includes('blenderbot') ? 'conversation' :
-              model.includes('bart') ? 'summarization' :
-              model.includes('sentence') ? 'embedding' :
-              'text_generation',
-        available: true
-      });
-    });
-    
-    return availableModels;
-  };
-
   const loadUsageStats = async () => {
     try {
       const aiStats = AIService.usageStats || {
@@ -275,21 +352,28 @@ const AISettingsScreen = ({ navigation }) => {
       
       if (tfDiagnostics.tfReady && tfDiagnostics.systemHealth !== 'error') {
         testResults.push(`✅ TensorFlow (Primary AI): ${tfDiagnostics.systemHealth}\n   Backend: ${tfDiagnostics.currentBackend}\n   Performance: ${tfDiagnostics.performance}ms\n   Models: ${tfDiagnostics.modelsLoaded}`);
+        
+        const classifier = tfDiagnostics.textClassifier;
+        if (classifier?.evaluation) {
+          testResults.push(`✅ Text Classifier: v${classifier.version}\n   Held-out accuracy: ${Math.round(classifier.evaluation.accuracy * 100)}% on ${classifier.evaluation.testExamples} examples\n   Macro F1: ${classifier.evaluation.macroF1}`);
+        } else {
+          testResults.push(`⚠️ Text Classifier: Not trained\n   Status: Using keyword rules`);
+        }
       } else {
         testResults.push(`❌ TensorFlow (Primary AI): Failed\n   Error: ${tfDiagnostics.error || 'Not ready'}`);
       }
       
-      if (apiKey.trim() || aiStatus.huggingface.available) {
-        console.log('Testing HuggingFace as secondary AI service...');
-        const hfResult = await testHuggingFaceWithAvailableModel();
+      if (selectedProvider?.generative) {
+        console.log(`Testing ${selectedProvider.name} as secondary AI service...`);
+        const health = await AIService.checkLanguageModel();
         
-        if (hfResult.success) {
-          testResults.push(`✅ HuggingFace (Secondary AI): Working\n   Model: ${hfResult.model}\n   Response time: Good`);
+        if (health.available) {
+          testResults.push(`✅ ${selectedProvider.name} (Secondary AI): Working\n   Model: ${health.model}\n   Response time: ${health.latencyMs}ms`);
         } else {
-          testResults.push(`❌ HuggingFace (Secondary AI): Failed\n   Error: ${hfResult.error}`);
+          testResults.push(`❌ ${selectedProvider.name} (Secondary AI): Failed\n   Error: ${health.error}`);
         }
       } else {
-        testResults.push(`⚠️ HuggingFace (Secondary AI): No API key\n   Status: Available when API key provided`);
+        testResults.push(`⚠️ Language Model (Secondary AI): Disabled\n   Status: Pick a provider to enable text generation`);
       }
       
       testResults.push(`✅ Rule-Based (Fallback): Always ready\n   Capabilities: Session enhancement, recommendations\n   Speed: Instant`);
@@ -308,23 +392,6 @@ const AISettingsScreen = ({ navigation }) => {
     }
   };
 
-  const testHuggingFaceWithAvailableModel = async () => {
-    try {
-      const testModel = 'microsoft/DialoGPT-small';
-      const result = await AIService.testConnection(testModel, apiKey);
-      return {
-        success: true,
-        model: testModel,
-        response: result.response || 'Connection successful'
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  };
-
   const handleCancelEdit = () => {
     Alert.alert(
       'Cancel Changes',
@@ -432,6 +499,66 @@ const AISettingsScreen = ({ navigation }) => {
     }
   };
 
+  const loadAIUsage = async () => {
+    try {
+      const summary = await AIUsage.getSummary();
+      setAiUsage(summary);
+      setBudgetForm({
+        dailyRequests: String(summary.budget.dailyRequests),
+        dailyTokens: String(summary.budget.dailyTokens)
+      });
+    } catch (error) {
+      console.error('Error loading AI usage:', error);
+    }
+  };
+
+  const handleRequestModeChange = async (mode) => {
+    try {
+      await AIService.setRequestMode(mode);
+      await loadAIUsage();
+      await loadAllServiceStatus();
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleSaveBudget = async () => {
+    await AIUsage.setBudget(budgetForm);
+    await loadAIUsage();
+    Alert.alert('Budget Saved', 'Daily limits apply from the next request. 0 means no limit.');
+  };
+
+  const handleClearCache = async () => {
+    await AIUsage.clearCache();
+    await loadAIUsage();
+  };
+
+  const handleExportRecordings = async () => {
+    try {
+      await Share.share({ message: await AIUsage.exportRecordings(), title: 'AI recordings' });
+    } catch (error) {
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  const handleClearRecordings = () => {
+    Alert.alert(
+      'Clear Recordings',
+      'Replay mode will have nothing to answer with until new replies are recorded. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await AIUsage.clearRecordings();
+            await loadAIUsage();
+          }
+        }
+      ]
+    );
+  };
+
   const handleResetStats = () => {
     Alert.alert(
       'Reset All Statistics',
@@ -465,6 +592,7 @@ const AISettingsScreen = ({ navigation }) => {
         return '#FF9800';
       case 'error':
       case 'no_key':
+      case 'not_checked':
         return '#F44336';
       default:
         return '#9E9E9E';
@@ -525,8 +653,8 @@ const AISettingsScreen = ({ navigation }) => {
                   icon: 'scale-balance'
                 },
                 {
-                  value: 'huggingface_first',
-                  label: 'HF First',
+                  value: 'llm_first',
+                  label: 'Model First',
                   icon: 'cloud'
                 }
               ]}
@@ -569,32 +697,38 @@ const AISettingsScreen = ({ navigation }) => {
             </Card.Content>
           </Card>
 
-          {/* HuggingFace Service - Secondary AI */}
+          {/* Language Model Provider - Secondary AI */}
           <Card style={[styles.serviceCard, { borderLeftWidth: 4, borderLeftColor: '#FF9800' }]}>
             <Card.Content>
               <View style={styles.serviceHeader}>
                 <View style={{ flex: 1 }}>
-                  <Text style={styles.serviceTitle}>🤗 Hugging Face</Text>
+                  <Text style={styles.serviceTitle}>💬 {aiStatus.languageModel?.providerName || 'Language Model'}</Text>
                   <Text style={[styles.serviceDescription, { fontWeight: 'bold', color: '#FF9800' }]}>
                     SECONDARY AI ENGINE
                   </Text>
                 </View>
                 <Chip
-                  style={[styles.serviceStatus, { backgroundColor: getStatusColor(aiStatus.huggingface?.status) }]}
+                  style={[styles.serviceStatus, { backgroundColor: getStatusColor(aiStatus.languageModel?.status) }]}
                   textStyle={{ color: 'white', fontSize: 10 }}
                 >
-                  {aiStatus.huggingface?.status || 'No Key'}
+                  {aiStatus.languageModel?.status || 'Unknown'}
                 </Chip>
               </View>
               
               <Text style={styles.serviceDescription}>
-                Advanced online AI models for enhanced capabilities
+                {selectedProvider?.description || 'Text generation for session enhancement and coaching tips'}
               </Text>
               
               <View style={styles.serviceStats}>
-                <Text style={styles.statItem}>Models Available: {aiStatus.huggingface?.modelsAvailable || 0}</Text>
-                <Text style={styles.statItem}>Status: {aiStatus.huggingface?.available ? 'Online Enhancement Ready' : 'Requires API Key'}</Text>
+                <Text style={styles.statItem}>Model: {aiStatus.languageModel?.model || 'None'}</Text>
+                {aiStatus.languageModel?.latencyMs != null && (
+                  <Text style={styles.statItem}>Latency: {aiStatus.languageModel.latencyMs}ms</Text>
+                )}
+                <Text style={styles.statItem}>Streaming: {aiStatus.languageModel?.streaming ? 'On' : 'Off'}</Text>
               </View>
+              {aiStatus.languageModel?.error && aiStatus.languageModel.status !== 'disabled' && (
+                <Text style={[styles.statItem, { color: '#F44336' }]}>{aiStatus.languageModel.error}</Text>
+              )}
             </Card.Content>
           </Card>
 
@@ -632,130 +766,232 @@ const AISettingsScreen = ({ navigation }) => {
 
           <Divider style={styles.divider} />
 
-          {/* HuggingFace API Configuration */}
-          <Text style={styles.label}>Hugging Face API Key (Optional)</Text>
+          {/* Language Model Provider Selection */}
+          <Text style={styles.label}>Language Model Provider</Text>
           <Text style={styles.helper}>
-            Enables advanced online AI features. Get your key from huggingface.co/settings/tokens
+            Where text generation runs. A self-hosted llama.cpp or Ollama server keeps plans on your own network.
           </Text>
           
-          <View style={styles.inputContainer}>
-            <TextInput
-              style={[styles.input, isEditingKey && styles.inputEditing]}
-              placeholder="hf_xxxxxxxxxxxxxxxxxxxxx"
-              value={apiKey}
-              onChangeText={setApiKey}
-              secureTextEntry={!showKey}
-              autoCapitalize="none"
-              autoCorrect={false}
-              editable={isEditingKey || !storedApiKey}
-            />
-            
-            <TouchableOpacity
-              style={styles.eyeButton}
-              onPress={() => setShowKey(!showKey)}
-            >
-              <Text>{showKey ? '👁️' : '👁️‍🗨️'}</Text>
-            </TouchableOpacity>
+          <SegmentedButtons
+            value={activeProvider}
+            onValueChange={handleProviderChange}
+            buttons={providers.map(provider => ({
+              value: provider.id,
+              label: provider.id === 'openai_compatible' ? 'Self-hosted' : provider.id === 'rule_based' ? 'Rules' : provider.name,
+              disabled: checkingProvider
+            }))}
+            style={styles.segmentedButtons}
+          />
+
+          {selectedProvider?.generative && (
+            <View style={styles.providerForm}>
+              {activeProvider === 'openai_compatible' && (
+                <>
+                  <Text style={styles.fieldLabel}>Base URL</Text>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="http://192.168.1.20:11434/v1"
+                    value={providerForm.baseUrl}
+                    onChangeText={baseUrl => setProviderForm(form => ({ ...form, baseUrl }))}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </>
+              )}
+
+              <Text style={styles.fieldLabel}>Model</Text>
+              <TextInput
+                style={styles.input}
+                placeholder={activeProvider === 'openai_compatible' ? 'llama3.2' : 'distilgpt2'}
+                value={providerForm.model}
+                onChangeText={model => setProviderForm(form => ({ ...form, model }))}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <Text style={styles.fieldLabel}>Timeout (seconds)</Text>
+              <TextInput
+                style={styles.input}
+                value={providerForm.timeout}
+                onChangeText={timeout => setProviderForm(form => ({ ...form, timeout }))}
+                keyboardType="numeric"
+              />
+
+              {activeProvider === 'openai_compatible' && (
+                <>
+                  <Text style={styles.fieldLabel}>API Key (Optional)</Text>
+                  <TextInput
+                    style={styles.input}
+                    placeholder={providerForm.hasApiKey ? 'Stored - enter a new key to replace it' : 'Only if the server requires one'}
+                    value={providerForm.apiKey}
+                    onChangeText={value => setProviderForm(form => ({ ...form, apiKey: value }))}
+                    secureTextEntry
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  {providerForm.hasApiKey && (
+                    <Button mode="text" compact onPress={handleClearProviderKey} disabled={checkingProvider}>
+                      Remove Stored Key
+                    </Button>
+                  )}
+                </>
+              )}
+
+              {selectedProvider.streaming && (
+                <View style={styles.switchRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.fieldLabel}>Stream Responses</Text>
+                    <Text style={styles.helper}>Shows replies as they are written (web only)</Text>
+                  </View>
+                  <Switch
+                    value={providerForm.stream}
+                    onValueChange={stream => setProviderForm(form => ({ ...form, stream }))}
+                  />
+                </View>
+              )}
+
+              <Button
+                mode="contained"
+                onPress={handleSaveProvider}
+                loading={checkingProvider}
+                disabled={checkingProvider}
+                style={styles.saveButton}
+              >
+                Save & Check Connection
+              </Button>
+            </View>
+          )}
+
+          <Divider style={styles.divider} />
+
+          {/* HuggingFace API Configuration */}
+          {activeProvider === 'huggingface' && (
+            <>
+              <Text style={styles.label}>Hugging Face API Key (Optional)</Text>
+              <Text style={styles.helper}>
+                Enables advanced online AI features. Get your key from huggingface.co/settings/tokens
+              </Text>
+          
+              <View style={styles.inputContainer}>
+                <TextInput
+                  style={[styles.input, isEditingKey && styles.inputEditing]}
+                  placeholder="hf_xxxxxxxxxxxxxxxxxxxxx"
+                  value={apiKey}
+                  onChangeText={setApiKey}
+                  secureTextEntry={!showKey}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={isEditingKey || !storedApiKey}
+                />
             
-            {storedApiKey && (
-              <View style={styles.buttonGroup}>
                 <TouchableOpacity
-                  style={styles.editButton}
-                  onPress={() => {
-                    if (isEditingKey && apiKey !== storedApiKey) {
-                      handleCancelEdit();
-                    } else {
-                      setIsEditingKey(!isEditingKey);
-                    }
-                  }}
+                  style={styles.eyeButton}
+                  onPress={() => setShowKey(!showKey)}
                 >
-                  <Text>{isEditingKey ? '❌' : '✏️'}</Text>
+                  <Text>{showKey ? '👁️' : '👁️‍🗨️'}</Text>
                 </TouchableOpacity>
+            
+                {storedApiKey && (
+                  <View style={styles.buttonGroup}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => {
+                        if (isEditingKey && apiKey !== storedApiKey) {
+                          handleCancelEdit();
+                        } else {
+                          setIsEditingKey(!isEditingKey);
+                        }
+                      }}
+                    >
+                      <Text>{isEditingKey ? '❌' : '✏️'}</Text>
+                    </TouchableOpacity>
                 
-                {isEditingKey && (
-                  <TouchableOpacity
-                    style={[styles.editButton, styles.saveEditButton]}
-                    onPress={handleUpdateApiKey}
-                    disabled={loading || apiKey === storedApiKey}
-                  >
-                    <Text>💾</Text>
-                  </TouchableOpacity>
+                    {isEditingKey && (
+                      <TouchableOpacity
+                        style={[styles.editButton, styles.saveEditButton]}
+                        onPress={handleUpdateApiKey}
+                        disabled={loading || apiKey === storedApiKey}
+                      >
+                        <Text>💾</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
                 )}
               </View>
-            )}
-          </View>
 
-          {/* Key validation feedback */}
-          {apiKey && isEditingKey && (
-            <View style={styles.validationContainer}>
-              <Text style={[
-                styles.validationText,
-                { color: validation.valid ? '#4CAF50' : '#F44336' }
-              ]}>
-                {validation.valid ? '✅' : '❌'} {validation.message}
-              </Text>
-            </View>
-          )}
+              {/* Key validation feedback */}
+              {apiKey && isEditingKey && (
+                <View style={styles.validationContainer}>
+                  <Text style={[
+                    styles.validationText,
+                    { color: validation.valid ? '#4CAF50' : '#F44336' }
+                  ]}>
+                    {validation.valid ? '✅' : '❌'} {validation.message}
+                  </Text>
+                </View>
+              )}
 
-          {/* Key status display */}
-          {storedApiKey && (
-            <View style={styles.keyStatusContainer}>
-              <Text style={styles.keyStatusText}>
-                Key Status: {isEditingKey ? 'Editing' : 'Stored'}
-              </Text>
-              <Text style={styles.keyInfoText}>
-                Length: {storedApiKey.length} characters
-              </Text>
-              <Text style={styles.keyInfoText}>
-                Last 4: ...{storedApiKey.slice(-4)}
-              </Text>
-            </View>
-          )}
+              {/* Key status display */}
+              {storedApiKey && (
+                <View style={styles.keyStatusContainer}>
+                  <Text style={styles.keyStatusText}>
+                    Key Status: {isEditingKey ? 'Editing' : 'Stored'}
+                  </Text>
+                  <Text style={styles.keyInfoText}>
+                    Length: {storedApiKey.length} characters
+                  </Text>
+                  <Text style={styles.keyInfoText}>
+                    Last 4: ...{storedApiKey.slice(-4)}
+                  </Text>
+                </View>
+              )}
 
-          {/* Dynamic Action Buttons */}
-          <View style={styles.actionButtonsContainer}>
-            {storedApiKey ? (
-              isEditingKey ? (
-                <View>
+              {/* Dynamic Action Buttons */}
+              <View style={styles.actionButtonsContainer}>
+                {storedApiKey ? (
+                  isEditingKey ? (
+                    <View>
+                      <Button
+                        mode="contained"
+                        onPress={handleUpdateApiKey}
+                        loading={loading}
+                        disabled={loading || !validation.valid || apiKey === storedApiKey}
+                        style={styles.saveButton}
+                      >
+                        Save Changes
+                      </Button>
+                      <Button
+                        mode="outlined"
+                        onPress={() => handleCancelEdit()}
+                        disabled={loading}
+                        style={styles.cancelButton}
+                      >
+                        Cancel
+                      </Button>
+                    </View>
+                  ) : (
+                    <Button
+                      mode="outlined"
+                      onPress={handleClearApiKey}
+                      style={styles.clearButton}
+                    >
+                      Remove API Key
+                    </Button>
+                  )
+                ) : (
                   <Button
                     mode="contained"
-                    onPress={handleUpdateApiKey}
+                    onPress={handleSaveApiKey}
                     loading={loading}
-                    disabled={loading || !validation.valid || apiKey === storedApiKey}
+                    disabled={loading || !validation.valid}
                     style={styles.saveButton}
                   >
-                    Save Changes
-                  </Button>
-                  <Button
-                    mode="outlined"
-                    onPress={() => handleCancelEdit()}
-                    disabled={loading}
-                    style={styles.cancelButton}
-                  >
-                    Cancel
+                    Save API Key
                   </Button>
-                </View>
-              ) : (
-                <Button
-                  mode="outlined"
-                  onPress={handleClearApiKey}
-                  style={styles.clearButton}
-                >
-                  Remove API Key
-                </Button>
-              )
-            ) : (
-              <Button
-                mode="contained"
-                onPress={handleSaveApiKey}
-                loading={loading}
-                disabled={loading || !validation.valid}
-                style={styles.saveButton}
-              >
-                Save API Key
-              </Button>
-            )}
-          </View>
+                )}
+              </View>
+            </>
+          )}
 
           {/* Test All Services Button */}
           <Button
@@ -794,7 +1030,7 @@ const AISettingsScreen = ({ navigation }) => {
               </View>
               
               <View style={styles.statRow}>
-                <Text style={styles.statLabel}>HuggingFace Requests</Text>
+                <Text style={styles.statLabel}>Language Model Requests</Text>
                 <Text style={styles.statValue}>{usageStats?.huggingface?.totalRequests || 0}</Text>
               </View>
               
@@ -814,6 +1050,116 @@ const AISettingsScreen = ({ navigation }) => {
             </Card.Content>
           </Card>
 
+          {/* Language model budget, response cache and record/replay */}
+          <Card style={styles.statsCard}>
+            <Card.Content>
+              <View style={styles.statsHeader}>
+                <Text style={styles.statsTitle}>💰 Budget, Cache & Replay</Text>
+                <Button mode="text" compact onPress={loadAIUsage}>
+                  Refresh
+                </Button>
+              </View>
+
+              <View style={styles.statRow}>
+                <Text style={styles.statLabel}>Requests Today</Text>
+                <Text style={styles.statValue}>
+                  {aiUsage?.today.requests || 0}{aiUsage?.budget.dailyRequests ? ` / ${aiUsage.budget.dailyRequests}` : ''}
+                </Text>
+              </View>
+
+              <View style={styles.statRow}>
+                <Text style={styles.statLabel}>Tokens Today</Text>
+                <Text style={styles.statValue}>
+                  {aiUsage?.today.tokens || 0}{aiUsage?.budget.dailyTokens ? ` / ${aiUsage.budget.dailyTokens}` : ''}
+                </Text>
+              </View>
+
+              <View style={styles.statRow}>
+                <Text style={styles.statLabel}>Cached Answers Today</Text>
+                <Text style={styles.statValue}>{aiUsage?.today.cachedHits || 0}</Text>
+              </View>
+
+              <View style={styles.budgetRow}>
+                <View style={styles.budgetField}>
+                  <Text style={styles.fieldLabel}>Daily Requests</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={budgetForm.dailyRequests}
+                    onChangeText={dailyRequests => setBudgetForm(form => ({ ...form, dailyRequests }))}
+                    keyboardType="numeric"
+                  />
+                </View>
+                <View style={styles.budgetField}>
+                  <Text style={styles.fieldLabel}>Daily Tokens</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={budgetForm.dailyTokens}
+                    onChangeText={dailyTokens => setBudgetForm(form => ({ ...form, dailyTokens }))}
+                    keyboardType="numeric"
+                  />
+                </View>
+              </View>
+              <Text style={styles.helper}>
+                Background jobs stop at 80% of the budget so your own requests still get answers.
+              </Text>
+              <Button mode="outlined" compact onPress={handleSaveBudget} style={styles.usageButton}>
+                Save Limits
+              </Button>
+
+              <View style={styles.statRow}>
+                <Text style={styles.statLabel}>Cached Replies</Text>
+                <Text style={styles.statValue}>
+                  {aiUsage?.cache.entries || 0} ({aiUsage?.cache.hits || 0} reused)
+                </Text>
+              </View>
+              <Button mode="text" compact onPress={handleClearCache} textColor="#FF9800">
+                Clear Cache
+              </Button>
+
+              <Text style={styles.fieldLabel}>Request Mode</Text>
+              <SegmentedButtons
+                value={aiUsage?.mode || 'live'}
+                onValueChange={handleRequestModeChange}
+                buttons={[
+                  { value: 'live', label: 'Live' },
+                  { value: 'record', label: 'Record' },
+                  { value: 'replay', label: 'Replay' }
+                ]}
+                style={styles.segmentedButtons}
+              />
+              <Text style={styles.helper}>
+                {aiUsage?.mode === 'replay'
+                  ? 'Answers come only from recorded replies; nothing is sent to the model.'
+                  : aiUsage?.mode === 'record'
+                    ? 'Every model reply is saved so the same flows can be replayed offline.'
+                    : 'Requests go to the selected language model.'}
+              </Text>
+
+              <View style={styles.statRow}>
+                <Text style={styles.statLabel}>Recorded Replies</Text>
+                <Text style={styles.statValue}>{aiUsage?.recordings || 0}</Text>
+              </View>
+              <View style={styles.usageActions}>
+                <Button mode="text" compact onPress={handleExportRecordings} disabled={!aiUsage?.recordings}>
+                  Export
+                </Button>
+                <Button mode="text" compact onPress={handleClearRecordings} disabled={!aiUsage?.recordings} textColor="#FF9800">
+                  Clear
+                </Button>
+              </View>
+
+              <Text style={styles.fieldLabel}>Last 7 Days</Text>
+              {aiUsage?.history.map(day => (
+                <View key={day.day} style={styles.statRow}>
+                  <Text style={styles.statLabel}>{day.day}</Text>
+                  <Text style={styles.statLabel}>
+                    {day.requests} requests · {day.tokens} tokens · {day.cachedHits} cached
+                  </Text>
+                </View>
+              ))}
+            </Card.Content>
+          </Card>
+
           {/* Service Capabilities */}
           <Card style={styles.infoCard}>
             <Card.Content>
@@ -828,11 +1174,11 @@ const AISettingsScreen = ({ navigation }) => {
               </View>
               
               <View style={styles.capabilitySection}>
-                <Text style={styles.capabilityTitle}>Hugging Face (Online)</Text>
+                <Text style={styles.capabilityTitle}>Language Model (Hugging Face or Self-hosted)</Text>
                 <Text style={styles.capabilityText}>• Advanced text generation</Text>
                 <Text style={styles.capabilityText}>• Sophisticated conversation AI</Text>
-                <Text style={styles.capabilityText}>• Document summarization</Text>
-                <Text style={styles.capabilityText}>• Requires internet connection</Text>
+                <Text style={styles.capabilityText}>• Drill rewriting for sport variations</Text>
+                <Text style={styles.capabilityText}>• Needs a reachable model server</Text>
               </View>
               
               <View style={styles.capabilitySection}>
@@ -1002,6 +1348,21 @@ const styles = StyleSheet.create({
   actionButtonsContainer: {
     marginTop: SPACING.md,
   },
+  providerForm: {
+    marginTop: SPACING.md,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: COLORS.textPrimary,
+    marginTop: SPACING.sm,
+    marginBottom: SPACING.xs,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: SPACING.sm,
+  },
   saveButton: {
     marginTop: SPACING.md,
     backgroundColor: COLORS.primary,
@@ -1047,6 +1408,22 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: COLORS.textPrimary,
   },
+  budgetRow: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+    marginTop: SPACING.sm,
+  },
+  budgetField: {
+    flex: 1,
+  },
+  usageButton: {
+    alignSelf: 'flex-start',
+    marginVertical: SPACING.sm,
+  },
+  usageActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
   infoCard: {
     marginTop: SPACING.lg,
     backgroundColor: '#E3F2FD',
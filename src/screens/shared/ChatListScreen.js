@@ -35,9 +35,18 @@ import { SPACING } from '../../styles/layout';
 import { TEXT_STYLES } from '../../styles/typography';
 import { useChatWithAuth } from '../../hooks/useChatWithAuth'; // Use the hook instead of direct service
 import ChatService from '../../services/ChatService'; // Still needed for event listeners
+import ModerationService from '../../services/ModerationService';
 
 const { width, height } = Dimensions.get('window');
 
+// Shown for attachment messages sent without a caption
+const MEDIA_PREVIEWS = {
+  audio: '🎤 Voice message',
+  video: '🎬 Video clip',
+  image: '📷 Photo',
+  file: '📎 Attachment'
+};
+
 const ChatListScreen = ({ navigation }) => {
   const { user } = useSelector(state => state.auth);
   const dispatch = useDispatch();
@@ -343,6 +352,9 @@ const ChatListScreen = ({ navigation }) => {
       case 'archived':
         setSelectedFilter('archived');
         break;
+      case 'moderation':
+        navigation.navigate('ContentModerationQueue');
+        break;
       case 'help':
         Alert.alert('Help', 'Help functionality coming soon!');
         break;
@@ -492,7 +504,7 @@ const handleSearchBlur = () => {
                 ]}
                 numberOfLines={2}>
                 {item.lastMessage ? 
-                  `${item.lastMessage.senderId === currentFirebaseUser?.uid ? 'You: ' : ''}${item.lastMessage.text}` :
+                  `${item.lastMessage.senderId === currentFirebaseUser?.uid ? 'You: ' : ''}${item.lastMessage.text || MEDIA_PREVIEWS[item.lastMessage.type] || ''}` :
                   'No messages yet'
                 }
               </Text>
@@ -567,9 +579,8 @@ const handleSearchBlur = () => {
                 icon="magnify"
                 iconColor="white"
                 size={24}
-                onPress={() => {
-                  // Focus search bar - will be handled by search bar ref
-                }}
+                onPress={() => navigation.navigate('MessageSearch')}
+                disabled={!authReady || !currentFirebaseUser}
               />
               <Menu
                 visible={showMoreMenu}
@@ -593,6 +604,13 @@ const handleSearchBlur = () => {
                   title="Archived Chats"
                   leadingIcon="archive"
                 />
+                {ModerationService.canModerate(user) && (
+                  <Menu.Item 
+                    onPress={() => handleMoreMenuOption('moderation')} 
+                    title="Content Review"
+                    leadingIcon="flag"
+                  />
+                )}
                 <Menu.Item 
                   onPress={() => handleMoreMenuOption('help')} 
                   title="Help & Support"
@@ -11,7 +11,8 @@ import {
   TouchableOpacity,
   Dimensions,
   RefreshControl,
-  StatusBar
+  StatusBar,
+  Image
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
 import {
@@ -27,16 +28,25 @@ import {
   Surface,
   Chip,
   FAB,
-  ProgressBar
+  ProgressBar,
+  Searchbar
 } from 'react-native-paper';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
 import { COLORS } from '../../styles/colors';
 import { SPACING } from '../../styles/layout';
 import { TEXT_STYLES } from '../../styles/typography';
 import { useChatWithAuth } from '../../hooks/useChatWithAuth'; // Use the hook instead of direct service
 import ChatService from '../../services/ChatService'; // Still needed for event listeners
+import ModerationService, { REPORT_REASONS } from '../../services/ModerationService';
+import ChatMedia, { VIDEO_CLIP_MAX_MS } from '../../services/ChatMedia';
+import VoiceNotePlayer, { formatDuration } from '../../components/chat/VoiceNotePlayer';
+import VoiceRecorder from '../../components/chat/VoiceRecorder';
+import VideoClipTrimmer from '../../components/chat/VideoClipTrimmer';
+import VideoClipPlayer from '../../components/chat/VideoClipPlayer';
 
 const { width, height } = Dimensions.get('window');
 
@@ -53,12 +63,22 @@ const ChatScreen = ({ navigation, route }) => {
     subscribeToTyping,
     markMessagesAsRead,
     addMessageReaction,
+    sendAttachmentMessage,
+    retryAttachmentMessage,
+    discardAttachmentMessage,
+    blockUser,
+    searchMessages,
+    getMessageContext,
+    pinMessage,
+    unpinMessage,
     authReady,
     currentFirebaseUser
   } = useChatWithAuth();
   
   // Navigation params
-  const { chatId, chatPartner, chatName } = route.params || {};
+  // mirror: a guardian viewing a child's chat read-only
+  // focusMessageId: a search result or pin to show in context
+  const { chatId, chatPartner, chatName, mirror, focusMessageId, focusRequestedAt } = route.params || {};
   
   // State management
   const [message, setMessage] = useState('');
@@ -73,9 +93,21 @@ const ChatScreen = ({ navigation, route }) => {
   const [showScrollToBottom, setShowScrollToBottom] = useState(false);
   const [attachmentModal, setAttachmentModal] = useState(false);
   const [reactionModal, setReactionModal] = useState({ visible: false, messageId: null });
+  const [reportModal, setReportModal] = useState({ visible: false, message: null, userId: null, reason: null, details: '' });
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [recordingVoice, setRecordingVoice] = useState(false);
+  const [clipDraft, setClipDraft] = useState(null);
+  const [playingClip, setPlayingClip] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [viewingContext, setViewingContext] = useState(false);
+  const [pinIndex, setPinIndex] = useState(0);
+  const [searchModal, setSearchModal] = useState({ visible: false, query: '', attachmentType: null, results: [] });
   const [lastMessageId, setLastMessageId] = useState(null);
   const [hasMoreMessages, setHasMoreMessages] = useState(true);
+
+  // Guardian mirrors, announcement channels for members and channels the
+  // user has left are shown without the composer
+  const readOnly = !!mirror || (!!chat && !ChatService.canPost(chat, currentFirebaseUser?.uid));
   
   // Refs
   const flatListRef = useRef(null);
@@ -84,6 +116,10 @@ const ChatScreen = ({ navigation, route }) => {
   const scrollOffsetY = useRef(new Animated.Value(0)).current;
   const unsubscribeMessagesRef = useRef(null);
   const unsubscribeTypingRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  const latestMessagesRef = useRef(null);
+  const viewingContextRef = useRef(false);
+  const highlightTimeoutRef = useRef(null);
 
   // Initialize chat data - wait for auth to be ready
   useEffect(() => {
@@ -97,16 +133,49 @@ const ChatScreen = ({ navigation, route }) => {
     };
   }, [chatId, authReady, currentFirebaseUser]);
 
-  // Network status listener
+  // Network status and local message updates (queued attachments)
   useEffect(() => {
     const unsubscribe = ChatService.addEventListener((event) => {
       if (event.type === 'networkStatusChanged') {
         setIsOnline(event.data.isOnline);
+        return;
+      }
+      if (event.type === 'chatUpdated') {
+        if (event.data.chat?.id === chatId) setChat(event.data.chat);
+        return;
+      }
+
+      if (event.data?.chatId !== chatId) return;
+
+      switch (event.type) {
+        case 'messageSent':
+          setMessages(prev => prev.some(m => m.id === event.data.message.id)
+            ? prev
+            : [...prev, event.data.message]);
+          break;
+        case 'messageUpdated':
+          setMessages(prev => prev.map(m => m.id === event.data.messageId ? { ...m, ...event.data.updates } : m));
+          break;
+        case 'messageStatusUpdated':
+          setMessages(prev => prev.map(m => m.id === event.data.messageId ? { ...m, status: event.data.status } : m));
+          break;
+        case 'messageDeleted':
+          setMessages(prev => prev.filter(m => m.id !== event.data.messageId));
+          break;
+        case 'attachmentProgress':
+          setUploadProgress(Math.round(event.data.progress || 0));
+          setMessages(prev => prev.map(m => m.id !== event.data.messageId ? m : {
+            ...m,
+            attachments: (m.attachments || []).map(a => a.id === event.data.attachmentId
+              ? { ...a, status: event.data.status, progress: event.data.progress }
+              : a)
+          }));
+          break;
       }
     });
 
     return unsubscribe;
-  }, []);
+  }, [chatId]);
 
   const initializeChat = async () => {
     if (!authReady || !currentFirebaseUser) {
@@ -123,6 +192,8 @@ const ChatScreen = ({ navigation, route }) => {
         return;
       }
 
+      setChat(await ChatService.getChat(chatId));
+
       // Load messages
       await loadMessages(true);
       
@@ -132,8 +203,10 @@ const ChatScreen = ({ navigation, route }) => {
       // Subscribe to typing indicators
       subscribeToTypingIndicators();
       
-      // Mark messages as read
-      markChatMessagesAsRead();
+      // Mark messages as read; a mirroring guardian leaves read receipts alone
+      if (!mirror) {
+        markChatMessagesAsRead();
+      }
       
     } catch (error) {
       console.error('Error initializing chat:', error);
@@ -185,6 +258,11 @@ const ChatScreen = ({ navigation, route }) => {
 
     // Use the hook's subscribeToChat method instead of direct ChatService call
     unsubscribeMessagesRef.current = subscribeToChat(chatId, (newMessages) => {
+      // While an older message is shown in context the list is left alone;
+      // returning to the latest messages uses this snapshot
+      latestMessagesRef.current = newMessages;
+      if (viewingContextRef.current) return;
+
       setMessages(newMessages);
       
       // Auto-scroll to bottom for new messages from current user or if already at bottom
@@ -196,7 +274,9 @@ const ChatScreen = ({ navigation, route }) => {
       }
       
       // Mark new messages as read
-      markChatMessagesAsRead();
+      if (!mirror) {
+        markChatMessagesAsRead();
+      }
     });
   };
 
@@ -254,10 +334,84 @@ const ChatScreen = ({ navigation, route }) => {
     if (typingTimeoutRef.current) {
       clearTimeout(typingTimeoutRef.current);
     }
+    if (highlightTimeoutRef.current) {
+      clearTimeout(highlightTimeoutRef.current);
+    }
+  };
+
+  // Opened from a search result or a pin
+  useEffect(() => {
+    if (focusMessageId && !loading) {
+      jumpToMessage(focusMessageId);
+    }
+  }, [focusMessageId, focusRequestedAt, loading]);
+
+  useEffect(() => {
+    const messageId = pendingScrollRef.current;
+    if (!messageId) return;
+
+    const index = messages.findIndex(m => m.id === messageId);
+    if (index < 0) return;
+
+    pendingScrollRef.current = null;
+    setTimeout(() => {
+      flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+    }, 100);
+  }, [messages]);
+
+  // Scrolls to a message, loading the messages around it when it is older
+  // than the ones on screen, and highlights it for a moment
+  const jumpToMessage = async (messageId) => {
+    if (!messages.some(m => m.id === messageId)) {
+      try {
+        const context = await getMessageContext(chatId, messageId);
+        if (!context.found) {
+          Alert.alert('Message Unavailable', 'This message could not be loaded. It may have been deleted, or you may be offline.');
+          return;
+        }
+
+        viewingContextRef.current = true;
+        setViewingContext(true);
+        setHasMoreMessages(context.hasOlder);
+        setMessages(context.messages);
+      } catch (error) {
+        console.error('Error loading message context:', error);
+        return;
+      }
+    }
+
+    pendingScrollRef.current = messageId;
+    setMessages(prev => [...prev]);
+
+    setHighlightedMessageId(messageId);
+    clearTimeout(highlightTimeoutRef.current);
+    highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageId(null), 2500);
+  };
+
+  const returnToLatest = async () => {
+    viewingContextRef.current = false;
+    setViewingContext(false);
+
+    if (latestMessagesRef.current) {
+      setMessages(latestMessagesRef.current);
+    } else {
+      await loadMessages(true);
+    }
+    scrollToBottom(false);
+  };
+
+  // Item heights vary, so scrollToIndex can fail for rows not yet measured;
+  // jump close by estimate and try again once they have rendered
+  const handleScrollToIndexFailed = ({ index, averageItemLength }) => {
+    flatListRef.current?.scrollToOffset({ offset: averageItemLength * index, animated: false });
+    setTimeout(() => {
+      flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+    }, 200);
   };
 
   const sendMessage = async () => {
     if (!message.trim() || sending) return;
+    if (viewingContextRef.current) returnToLatest();
     
     if (!authReady || !currentFirebaseUser) {
       Alert.alert('Authentication Required', 'Please wait for authentication to complete');
@@ -361,13 +515,28 @@ const ChatScreen = ({ navigation, route }) => {
   };
 
   const handleMessageLongPress = (message) => {
-    const options = ['Copy', 'Reply'];
+    if (message.removed) return;
+
+    const options = readOnly ? ['Copy'] : ['Copy', 'Reply'];
     
     if (message.senderId === currentFirebaseUser?.uid) {
       options.push('Delete');
+    } else if (message.type !== 'system') {
+      options.push('Report');
+    }
+
+    if (message.status === 'failed' && message.attachments?.some(a => !a.url)) {
+      options.push('Retry Upload', 'Discard');
     }
     
-    options.push('Add Reaction', 'Cancel');
+    if (!readOnly) {
+      options.push('Add Reaction');
+    }
+
+    if (!mirror && message.type !== 'system' && ChatService.canPinMessages(chat, currentFirebaseUser?.uid)) {
+      options.push(isPinned(message.id) ? 'Unpin' : 'Pin');
+    }
+    options.push('Cancel');
     
     Alert.alert('Message Options', '', [
       ...options.slice(0, -1).map(option => ({
@@ -393,6 +562,99 @@ const ChatScreen = ({ navigation, route }) => {
       case 'Add Reaction':
         setReactionModal({ visible: true, messageId: message.id });
         break;
+      case 'Retry Upload':
+        await retryAttachmentMessage(message.id);
+        break;
+      case 'Discard':
+        await discardAttachmentMessage(message.id);
+        break;
+      case 'Report':
+        setReportModal({ visible: true, message, userId: message.senderId, reason: null, details: '' });
+        break;
+      case 'Pin':
+      case 'Unpin':
+        await togglePin(message.id, message);
+        break;
+    }
+  };
+
+  const pinnedMessages = ChatService.getPinnedMessages(chat);
+  const currentPin = pinnedMessages[pinIndex % Math.max(pinnedMessages.length, 1)];
+
+  const isPinned = (messageId) => pinnedMessages.some(pin => pin.messageId === messageId);
+
+  const togglePin = async (messageId, pinnedMessage = null) => {
+    try {
+      const updated = isPinned(messageId)
+        ? await unpinMessage(chatId, messageId)
+        : await pinMessage(chatId, pinnedMessage);
+      setChat(updated);
+      setPinIndex(0);
+    } catch (error) {
+      Alert.alert('Pinned Messages', error.message || 'Could not update pinned messages');
+    }
+  };
+
+  // Tapping the bar shows the pinned message and moves on to the next one
+  const handlePinnedPress = () => {
+    if (!currentPin) return;
+    jumpToMessage(currentPin.messageId);
+    setPinIndex(index => (index + 1) % pinnedMessages.length);
+  };
+
+  const pinPreview = (pin) => {
+    if (pin.text) return pin.text;
+    switch (pin.type) {
+      case 'audio': return 'Voice message';
+      case 'video': return 'Video clip';
+      case 'image': return 'Photo';
+      default: return pin.attachmentName || 'Attachment';
+    }
+  };
+
+  const runChatSearch = async (query, attachmentType) => {
+    setSearchModal(prev => ({ ...prev, query, attachmentType }));
+    if (!query.trim() && !attachmentType) {
+      setSearchModal(prev => ({ ...prev, results: [] }));
+      return;
+    }
+
+    try {
+      const result = await searchMessages(query, { chatId, attachmentType });
+      setSearchModal(prev => prev.query === query && prev.attachmentType === attachmentType
+        ? { ...prev, results: result.results }
+        : prev);
+    } catch (error) {
+      console.error('Error searching chat:', error);
+    }
+  };
+
+  const openSearchResult = (messageId) => {
+    setSearchModal({ visible: false, query: '', attachmentType: null, results: [] });
+    jumpToMessage(messageId);
+  };
+
+  const submitReport = async () => {
+    const { message: reportedMessage, userId, reason, details } = reportModal;
+    if (!reason) {
+      Alert.alert('Report', 'Please choose a reason.');
+      return;
+    }
+
+    try {
+      const result = reportedMessage
+        ? await ModerationService.reportMessage(currentFirebaseUser.uid, reportedMessage, { reason, details })
+        : await ModerationService.reportUser(currentFirebaseUser.uid, userId, { reason, details, chatId });
+
+      setReportModal({ visible: false, message: null, userId: null, reason: null, details: '' });
+      Alert.alert(
+        'Report Sent',
+        result.queued
+          ? 'Your report will be sent to our moderators when you are back online.'
+          : 'Thank you. Our moderators will review it.'
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to send report');
     }
   };
 
@@ -415,25 +677,186 @@ const ChatScreen = ({ navigation, route }) => {
     }
   };
 
-  const handleAttachment = (type) => {
+  const handleAttachment = async (type) => {
     setAttachmentModal(false);
     
-    switch (type) {
-      case 'camera':
-        // TODO: Open camera
-        break;
-      case 'gallery':
-        // TODO: Open gallery
-        break;
-      case 'document':
-        // TODO: Open document picker
-        break;
-      case 'location':
-        // TODO: Share location
-        break;
+    try {
+      let files = [];
+
+      switch (type) {
+        case 'camera': {
+          const permission = await ImagePicker.requestCameraPermissionsAsync();
+          if (!permission.granted) {
+            Alert.alert('Permission Required', 'Camera access is needed to take photos and clips');
+            return;
+          }
+          const result = await ImagePicker.launchCameraAsync({
+            mediaTypes: ['images', 'videos'],
+            videoMaxDuration: VIDEO_CLIP_MAX_MS / 1000
+          });
+          if (!result.canceled) files = result.assets;
+          break;
+        }
+        case 'gallery': {
+          const result = await ImagePicker.launchImageLibraryAsync({
+            mediaTypes: ['images', 'videos'],
+            allowsMultipleSelection: true,
+            selectionLimit: 5
+          });
+          if (!result.canceled) files = result.assets;
+          break;
+        }
+        case 'document': {
+          const result = await DocumentPicker.getDocumentAsync({
+            type: ['application/pdf', 'image/*', 'video/*'],
+            multiple: true,
+            copyToCacheDirectory: true
+          });
+          if (!result.canceled) files = result.assets;
+          break;
+        }
+        case 'location':
+          // TODO: Share location
+          break;
+      }
+
+      // A single video from the camera or gallery goes through the clip
+      // trimmer first; documents are sent as they are
+      if (files.length === 1 && type !== 'document' && ChatMedia.kindOf(files[0]) === 'video') {
+        setClipDraft(files[0]);
+      } else if (files.length > 0) {
+        await sendAttachments(files);
+      }
+    } catch (error) {
+      console.error('Error picking attachment:', error);
+      Alert.alert('Error', error.message || 'Could not attach the file');
     }
   };
 
+  // Attachments are compressed and staged on the device, then shown in the
+  // thread right away; they upload in the background, offline or not
+  const sendAttachments = async (files) => {
+    if (!authReady || !currentFirebaseUser) {
+      Alert.alert('Authentication Required', 'Please wait for authentication to complete');
+      return;
+    }
+    if (viewingContextRef.current) returnToLatest();
+
+    const caption = message.trim();
+
+    try {
+      setSending(true);
+      setMessage('');
+
+      const result = await sendAttachmentMessage(chatId, files, {
+        text: caption,
+        metadata: {
+          senderName: `${user?.firstName} ${user?.lastName}`.trim(),
+          senderAvatar: user?.profileImage || ''
+        }
+      });
+
+      if (result.success) {
+        scrollToBottom();
+      }
+    } catch (error) {
+      console.error('Error sending attachments:', error);
+      Alert.alert('Attachment Not Sent', error.message || 'Failed to send attachment');
+      setMessage(caption);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const sendVoiceNote = async (file) => {
+    setRecordingVoice(false);
+    await sendAttachments([file]);
+  };
+
+  const sendVideoClip = async (file) => {
+    await sendAttachments([file]);
+    setClipDraft(null);
+  };
+
+  const renderAttachmentStatus = (attachment) => (
+    attachment.status === 'failed' ? (
+      <Icon name="error-outline" size={28} color={COLORS.error} />
+    ) : attachment.status === 'uploading' ? (
+      <Text style={styles.attachmentProgressText}>{Math.round(attachment.progress || 0)}%</Text>
+    ) : (
+      <Icon name="cloud-upload" size={28} color="white" />
+    )
+  );
+
+  const renderAttachments = (item, isMe) => (
+    <View style={styles.attachmentsContainer}>
+      {item.attachments.map(attachment => {
+        const pending = !attachment.url;
+        const preview = attachment.kind === 'image' && attachment.url ? attachment.url : attachment.thumbnail;
+
+        if (attachment.kind === 'audio') {
+          return (
+            <View key={attachment.id || attachment.url} style={styles.voiceNoteItem}>
+              <VoiceNotePlayer attachment={attachment} isMe={isMe} />
+              {pending && (
+                <Text style={[styles.attachmentName, isMe ? styles.myMessageTime : styles.otherMessageTime]}>
+                  {attachment.status === 'failed' ? 'Upload failed'
+                    : attachment.status === 'uploading' ? `Uploading ${Math.round(attachment.progress || 0)}%`
+                    : 'Waiting to upload'}
+                </Text>
+              )}
+            </View>
+          );
+        }
+
+        const playable = attachment.kind === 'video' && !!(attachment.url || ChatMedia.playableUri(attachment.localUri));
+
+        return (
+          <TouchableOpacity
+            key={attachment.id || attachment.url}
+            style={styles.attachmentItem}
+            disabled={!playable}
+            onPress={() => setPlayingClip(attachment)}
+            onLongPress={() => handleMessageLongPress(item)}>
+            {preview ? (
+              <Image source={{ uri: preview }} style={styles.attachmentThumbnail} />
+            ) : (
+              <View style={[styles.attachmentThumbnail, styles.attachmentFileIcon]}>
+                <Icon
+                  name={attachment.kind === 'video' ? 'videocam' : 'insert-drive-file'}
+                  size={32}
+                  color={isMe ? 'white' : COLORS.primary}
+                />
+              </View>
+            )}
+
+            {attachment.kind === 'video' && preview && (
+              <View style={styles.attachmentOverlay}>
+                <Icon name="play-circle-outline" size={32} color="white" />
+              </View>
+            )}
+
+            {attachment.kind === 'video' && !!attachment.duration && (
+              <Text style={styles.clipDuration}>{formatDuration(attachment.duration)}</Text>
+            )}
+
+            {pending && (
+              <View style={styles.attachmentOverlay}>
+                {renderAttachmentStatus(attachment)}
+              </View>
+            )}
+
+            <Text
+              numberOfLines={1}
+              style={[styles.attachmentName, isMe ? styles.myMessageTime : styles.otherMessageTime]}>
+              {attachment.name}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
   const handleVoiceCall = () => {
     Alert.alert('Voice Call', 'Voice calling feature coming soon!');
   };
@@ -442,13 +865,53 @@ const ChatScreen = ({ navigation, route }) => {
     Alert.alert('Video Call', 'Video calling feature coming soon!');
   };
 
-  const handleMoreActions = () => {
-    Alert.alert('Chat Options', '', [
-      { text: 'View Profile', onPress: () => navigation.navigate('Profile', { userId: partner?.id }) },
-      { text: 'Mute Chat', onPress: () => {} },
-      { text: 'Block User', onPress: () => {}, style: 'destructive' },
-      { text: 'Cancel', style: 'cancel' }
-    ]);
+  // Set once as the header button, so the chat is looked up here rather
+  // than read from state
+  const handleMoreActions = async () => {
+    const currentChat = await ChatService.getChat(chatId);
+    const uid = currentFirebaseUser?.uid;
+    const partnerId = partner?.id || (currentChat?.type === 'individual'
+      ? currentChat.participants.find(id => id !== uid)
+      : null);
+
+    const options = [
+      { text: 'View Profile', onPress: () => navigation.navigate('Profile', { userId: partnerId }) },
+      { text: 'Search in Chat', onPress: () => setSearchModal(prev => ({ ...prev, visible: true })) },
+      { text: 'Mute Chat', onPress: () => {} }
+    ];
+
+    if (partnerId && currentChat?.participants?.includes(uid)) {
+      options.push(
+        { text: 'Report User', onPress: () => setReportModal({ visible: true, message: null, userId: partnerId, reason: null, details: '' }) },
+        { text: 'Block User', onPress: () => confirmBlock(partnerId), style: 'destructive' }
+      );
+    }
+
+    Alert.alert('Chat Options', '', [...options, { text: 'Cancel', style: 'cancel' }]);
+  };
+
+  const confirmBlock = (partnerId) => {
+    const name = partner?.name || chatName || 'this user';
+
+    Alert.alert(
+      `Block ${name}?`,
+      'They will not be able to message you and their messages will be hidden. You can unblock them later.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Block',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await blockUser(partnerId, { name });
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to block user');
+            }
+          }
+        }
+      ]
+    );
   };
 
   const formatTime = (timestamp) => {
@@ -496,7 +959,8 @@ const ChatScreen = ({ navigation, route }) => {
           <View style={[
             styles.messageBubble,
             isMe ? styles.myMessage : styles.otherMessage,
-            !showAvatar && !isMe && styles.messageWithoutAvatar
+            !showAvatar && !isMe && styles.messageWithoutAvatar,
+            item.id === highlightedMessageId && styles.highlightedMessage
           ]}>
             {!isMe && !isConsecutive && (
               <Text style={styles.senderName}>
@@ -504,12 +968,22 @@ const ChatScreen = ({ navigation, route }) => {
               </Text>
             )}
             
-            <Text style={[
-              styles.messageText,
-              isMe ? styles.myMessageText : styles.otherMessageText
-            ]}>
-              {item.text}
-            </Text>
+            {item.removed && (
+              <Text style={[styles.messageText, styles.removedMessageText]}>
+                This message was removed by a moderator
+              </Text>
+            )}
+
+            {item.attachments?.length > 0 && renderAttachments(item, isMe)}
+
+            {!!item.text && (
+              <Text style={[
+                styles.messageText,
+                isMe ? styles.myMessageText : styles.otherMessageText
+              ]}>
+                {item.text}
+              </Text>
+            )}
             
             {/* Message reactions */}
             {item.reactions && Object.keys(item.reactions).length > 0 && (
@@ -616,7 +1090,7 @@ const ChatScreen = ({ navigation, route }) => {
         <Surface style={styles.connectionBanner}>
           <Icon name="wifi-off" size={16} color={COLORS.error} />
           <Text style={styles.connectionText}>
-            No internet connection. Messages will be sent when connected.
+            No internet connection. Messages and attachments will be sent when connected.
           </Text>
         </Surface>
       );
@@ -692,6 +1166,102 @@ const ChatScreen = ({ navigation, route }) => {
     </Portal>
   );
 
+  const renderReportModal = () => (
+    <Portal>
+      <Modal
+        visible={reportModal.visible}
+        onDismiss={() => setReportModal({ visible: false, message: null, userId: null, reason: null, details: '' })}
+        contentContainerStyle={styles.reactionModalContainer}>
+        <Surface style={styles.reactionModal}>
+          <Text style={styles.reactionModalTitle}>
+            {reportModal.message ? 'Report message' : 'Report user'}
+          </Text>
+
+          <View style={styles.reportReasons}>
+            {REPORT_REASONS.map((reason) => (
+              <Chip
+                key={reason.id}
+                selected={reportModal.reason === reason.id}
+                onPress={() => setReportModal(prev => ({ ...prev, reason: reason.id }))}
+                style={styles.reportReasonChip}>
+                {reason.label}
+              </Chip>
+            ))}
+          </View>
+
+          <TextInput
+            value={reportModal.details}
+            onChangeText={(text) => setReportModal(prev => ({ ...prev, details: text }))}
+            placeholder="Anything our moderators should know (optional)"
+            mode="outlined"
+            multiline
+            style={styles.reportDetailsInput}
+          />
+
+          <Button mode="contained" onPress={submitReport} disabled={!reportModal.reason}>
+            Send Report
+          </Button>
+        </Surface>
+      </Modal>
+    </Portal>
+  );
+
+  const renderSearchModal = () => (
+    <Portal>
+      <Modal
+        visible={searchModal.visible}
+        onDismiss={() => setSearchModal({ visible: false, query: '', attachmentType: null, results: [] })}
+        contentContainerStyle={styles.reactionModalContainer}>
+        <Surface style={[styles.reactionModal, styles.searchModal]}>
+          <Searchbar
+            placeholder="Search in this chat"
+            value={searchModal.query}
+            onChangeText={(text) => runChatSearch(text, searchModal.attachmentType)}
+            autoFocus
+          />
+
+          <View style={styles.reportReasons}>
+            {[
+              { id: 'image', label: 'Photos' },
+              { id: 'video', label: 'Videos' },
+              { id: 'audio', label: 'Voice' },
+              { id: 'file', label: 'Files' }
+            ].map(filter => (
+              <Chip
+                key={filter.id}
+                selected={searchModal.attachmentType === filter.id}
+                onPress={() => runChatSearch(
+                  searchModal.query,
+                  searchModal.attachmentType === filter.id ? null : filter.id
+                )}
+                style={styles.reportReasonChip}>
+                {filter.label}
+              </Chip>
+            ))}
+          </View>
+
+          <FlatList
+            data={searchModal.results}
+            keyExtractor={item => item.messageId}
+            keyboardShouldPersistTaps="handled"
+            style={styles.searchResults}
+            renderItem={({ item }) => (
+              <TouchableOpacity style={styles.searchResult} onPress={() => openSearchResult(item.messageId)}>
+                <Text style={styles.searchResultMeta}>
+                  {item.senderId === currentFirebaseUser?.uid ? 'You' : item.senderName || 'Unknown User'} · {formatTime(item.timestamp)}
+                </Text>
+                <Text numberOfLines={2}>{item.snippet || pinPreview({ type: item.type })}</Text>
+              </TouchableOpacity>
+            )}
+            ListEmptyComponent={() => (searchModal.query.trim() || searchModal.attachmentType) ? (
+              <Text style={styles.searchEmpty}>No messages found</Text>
+            ) : null}
+          />
+        </Surface>
+      </Modal>
+    </Portal>
+  );
+
   // Show loading screen while authentication is not ready
   if (!authReady) {
     return (
@@ -739,6 +1309,31 @@ const ChatScreen = ({ navigation, route }) => {
       
       {renderConnectionStatus()}
 
+      {/* Pinned messages */}
+      {currentPin && (
+        <TouchableOpacity style={styles.pinnedBar} onPress={handlePinnedPress} activeOpacity={0.8}>
+          <Icon name="push-pin" size={18} color={COLORS.primary} />
+          <View style={styles.pinnedContent}>
+            <Text style={styles.pinnedLabel}>
+              {pinnedMessages.length > 1
+                ? `Pinned message ${(pinIndex % pinnedMessages.length) + 1} of ${pinnedMessages.length}`
+                : 'Pinned message'}
+            </Text>
+            <Text style={styles.pinnedText} numberOfLines={1}>
+              {currentPin.senderName ? `${currentPin.senderName}: ` : ''}{pinPreview(currentPin)}
+            </Text>
+          </View>
+          {!mirror && ChatService.canPinMessages(chat, currentFirebaseUser?.uid) && (
+            <IconButton
+              icon="close"
+              size={18}
+              iconColor={COLORS.textSecondary}
+              onPress={() => togglePin(currentPin.messageId)}
+            />
+          )}
+        </TouchableOpacity>
+      )}
+
       {/* Messages List */}
       <FlatList
         ref={flatListRef}
@@ -752,6 +1347,7 @@ const ChatScreen = ({ navigation, route }) => {
         ]}
         showsVerticalScrollIndicator={false}
         onScroll={handleScroll}
+        onScrollToIndexFailed={handleScrollToIndexFailed}
         scrollEventThrottle={16}
         refreshControl={
           <RefreshControl
@@ -774,11 +1370,11 @@ const ChatScreen = ({ navigation, route }) => {
       />
 
       {/* Scroll to bottom button */}
-      {showScrollToBottom && (
+      {(showScrollToBottom || viewingContext) && (
         <FAB
           icon="keyboard-arrow-down"
           style={styles.scrollToBottomFAB}
-          onPress={() => scrollToBottom()}
+          onPress={() => viewingContext ? returnToLatest() : scrollToBottom()}
           size="small"
         />
       )}
@@ -792,54 +1388,79 @@ const ChatScreen = ({ navigation, route }) => {
       )}
 
       {/* Message Input */}
-      <Surface style={styles.inputContainer} elevation={8}>
-        <View style={styles.inputRow}>
-          <IconButton
-            icon="attach-file"
-            size={24}
-            iconColor={COLORS.primary}
-            onPress={() => setAttachmentModal(true)}
-            disabled={!authReady || !currentFirebaseUser}
-          />
+      {readOnly ? (
+        <Surface style={styles.readOnlyBanner} elevation={8}>
+          <Icon name={mirror ? 'visibility' : 'lock-outline'} size={16} color={COLORS.textSecondary} />
+          <Text style={styles.readOnlyText}>
+            {mirror
+              ? 'Guardian view. You can read this chat but not send messages.'
+              : chat?.announcementOnly && !chat.archived
+                ? 'Only coaches and admins can post in this announcement channel.'
+                : 'You can no longer send messages in this chat.'}
+          </Text>
+        </Surface>
+      ) : (
+        <Surface style={styles.inputContainer} elevation={8}>
+          {recordingVoice ? (
+            <VoiceRecorder onSend={sendVoiceNote} onCancel={() => setRecordingVoice(false)} />
+          ) : (
+            <View style={styles.inputRow}>
+              <IconButton
+                icon="attach-file"
+                size={24}
+                iconColor={COLORS.primary}
+                onPress={() => setAttachmentModal(true)}
+                disabled={!authReady || !currentFirebaseUser}
+              />
           
-          <TextInput
-            ref={messageInputRef}
-            value={message}
-            onChangeText={handleTyping}
-            placeholder="Type your message..."
-            mode="outlined"
-            multiline
-            maxLength={4000}
-            style={styles.messageInput}
-            contentStyle={styles.inputContent}
-            outlineStyle={styles.inputOutline}
-            onFocus={() => scrollToBottom()}
-            editable={authReady && currentFirebaseUser}
-          />
+              <TextInput
+                ref={messageInputRef}
+                value={message}
+                onChangeText={handleTyping}
+                placeholder="Type your message..."
+                mode="outlined"
+                multiline
+                maxLength={4000}
+                style={styles.messageInput}
+                contentStyle={styles.inputContent}
+                outlineStyle={styles.inputOutline}
+                onFocus={() => scrollToBottom()}
+                editable={authReady && currentFirebaseUser}
+              />
           
-          {message.trim() ? (
-            <IconButton
-              icon="send"
-              size={24}
-              iconColor="white"
-              style={[styles.sendButton, { backgroundColor: COLORS.primary }]}
-              onPress={sendMessage}
-              disabled={sending || !authReady || !currentFirebaseUser}
-            />
-          ) : (
-            <IconButton
-              icon="mic"
-              size={24}
-              iconColor={COLORS.primary}
-              onPress={() => Alert.alert('Voice Message', 'Voice messages coming soon!')}
-              disabled={!authReady || !currentFirebaseUser}
-            />
+              {message.trim() ? (
+                <IconButton
+                  icon="send"
+                  size={24}
+                  iconColor="white"
+                  style={[styles.sendButton, { backgroundColor: COLORS.primary }]}
+                  onPress={sendMessage}
+                  disabled={sending || !authReady || !currentFirebaseUser}
+                />
+              ) : (
+                <IconButton
+                  icon="mic"
+                  size={24}
+                  iconColor={COLORS.primary}
+                  onPress={() => setRecordingVoice(true)}
+                  disabled={sending || !authReady || !currentFirebaseUser}
+                />
+              )}
+            </View>
           )}
-        </View>
-      </Surface>
+        </Surface>
+      )}
 
       {renderAttachmentModal()}
       {renderReactionModal()}
+      {renderReportModal()}
+      {renderSearchModal()}
+      {clipDraft && (
+        <VideoClipTrimmer file={clipDraft} onSend={sendVideoClip} onCancel={() => setClipDraft(null)} />
+      )}
+      {playingClip && (
+        <VideoClipPlayer attachment={playingClip} onDismiss={() => setPlayingClip(null)} />
+      )}
     </KeyboardAvoidingView>
   );
 };
@@ -944,6 +1565,56 @@ const styles = StyleSheet.create({
     paddingHorizontal: SPACING.md,
     borderRadius: 20,
   },
+  highlightedMessage: {
+    borderWidth: 2,
+    borderColor: COLORS.accent,
+  },
+  pinnedBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: SPACING.md,
+    minHeight: 48,
+    backgroundColor: COLORS.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  pinnedContent: {
+    flex: 1,
+    marginLeft: SPACING.sm,
+    paddingVertical: SPACING.xs,
+  },
+  pinnedLabel: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  pinnedText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.text,
+  },
+  searchModal: {
+    alignSelf: 'stretch',
+    marginHorizontal: SPACING.md,
+    maxHeight: '80%',
+  },
+  searchResults: {
+    marginTop: SPACING.sm,
+  },
+  searchResult: {
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  searchResultMeta: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.primary,
+  },
+  searchEmpty: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    paddingVertical: SPACING.md,
+  },
   messageWithoutAvatar: {
     marginLeft: 40,
   },
@@ -973,9 +1644,66 @@ const styles = StyleSheet.create({
   myMessageText: {
     color: 'white',
   },
+  removedMessageText: {
+    fontStyle: 'italic',
+    color: COLORS.textSecondary,
+  },
   otherMessageText: {
     color: COLORS.text,
   },
+  attachmentsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: SPACING.xs,
+  },
+  attachmentItem: {
+    width: 120,
+    marginRight: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  attachmentThumbnail: {
+    width: 120,
+    height: 120,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.1)',
+  },
+  attachmentFileIcon: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  attachmentOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: 120,
+    height: 120,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.35)',
+  },
+  clipDuration: {
+    position: 'absolute',
+    top: 98,
+    right: 6,
+    paddingHorizontal: 4,
+    borderRadius: 4,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    color: 'white',
+    fontSize: 11,
+  },
+  voiceNoteItem: {
+    marginBottom: SPACING.xs,
+  },
+  attachmentProgressText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  attachmentName: {
+    ...TEXT_STYLES.caption,
+    fontSize: 10,
+    marginTop: 2,
+  },
   messageFooter: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1143,6 +1871,31 @@ const styles = StyleSheet.create({
   reactionEmoji: {
     fontSize: 24,
   },
+  reportReasons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: SPACING.md,
+  },
+  reportReasonChip: {
+    marginRight: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  reportDetailsInput: {
+    marginBottom: SPACING.md,
+    maxHeight: 120,
+  },
+  readOnlyBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+  },
+  readOnlyText: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+    marginLeft: SPACING.sm,
+    flex: 1,
+  },
 });
 
 export default ChatScreen;
\ No newline at end of file
@@ -647,8 +647,7 @@ const loadDocumentContent = async () => {
 
   const loadWebDocument = async () => {
   try {
-    const documents = await DocumentProcessor.getStoredDocuments();
-    const storedDoc = documents.find(doc => doc.id === document.id);
+    const storedDoc = await DocumentProcessor.getStoredDocument(document.id);
     
     if (!storedDoc) {
       throw new Error('Document not found in storage');
@@ -657,7 +656,7 @@ const loadDocumentContent = async () => {
     setProcessingProgress(0.6);
 
     // Check if we have web file data
-    if (storedDoc.webFileData && Array.isArray(storedDoc.webFileData)) {
+    if (storedDoc.webFileData && storedDoc.webFileData.length > 0) {
       const documentFormat = getDocumentFormat(document);
       
       if (['text', 'csv'].includes(documentFormat)) {
@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ScrollView
+} from 'react-native';
+import {
+  Text,
+  Searchbar,
+  Chip,
+  Menu,
+  Divider,
+  ActivityIndicator
+} from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { COLORS } from '../../styles/colors';
+import { SPACING } from '../../styles/layout';
+import { TEXT_STYLES } from '../../styles/typography';
+import { useChatWithAuth } from '../../hooks/useChatWithAuth';
+import ChatService from '../../services/ChatService';
+import MessageSearch from '../../services/MessageSearch';
+
+const SEARCH_DELAY = 250;
+
+const DATE_RANGES = [
+  { id: 'all', label: 'Any time', days: null },
+  { id: 'week', label: 'Past week', days: 7 },
+  { id: 'month', label: 'Past month', days: 30 },
+  { id: 'year', label: 'Past year', days: 365 }
+];
+
+const ATTACHMENT_FILTERS = [
+  { id: null, label: 'All', icon: 'chat' },
+  { id: 'image', label: 'Photos', icon: 'photo' },
+  { id: 'video', label: 'Videos', icon: 'videocam' },
+  { id: 'audio', label: 'Voice', icon: 'mic' },
+  { id: 'file', label: 'Files', icon: 'insert-drive-file' }
+];
+
+const KIND_ICONS = { image: 'photo', video: 'videocam', audio: 'mic', file: 'insert-drive-file' };
+
+// Searches the messages stored on this device across all chats. Opening a
+// result shows the message in its chat.
+const MessageSearchScreen = ({ navigation, route }) => {
+  const { searchMessages, authReady, currentFirebaseUser } = useChatWithAuth();
+
+  const [query, setQuery] = useState('');
+  const [chatFilter, setChatFilter] = useState(
+    route.params?.chatId ? { id: route.params.chatId, name: route.params.chatName || 'This chat' } : null
+  );
+  const [senderFilter, setSenderFilter] = useState(null);
+  const [dateRange, setDateRange] = useState('all');
+  const [attachmentType, setAttachmentType] = useState(null);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [chats, setChats] = useState([]);
+  const [senders, setSenders] = useState([]);
+  const [menu, setMenu] = useState(null);
+  const searchTimeoutRef = useRef(null);
+
+  const hasFilters = !!(chatFilter || senderFilter || attachmentType || dateRange !== 'all');
+
+  useEffect(() => {
+    ChatService.getCachedChatList().then(cachedChats => {
+      setChats(cachedChats.map(chat => ({ id: chat.id, name: chat.displayName || chat.name || 'Chat' })));
+    });
+  }, []);
+
+  useEffect(() => {
+    clearTimeout(searchTimeoutRef.current);
+
+    if (!query.trim() && !hasFilters) {
+      setResults([]);
+      setTotal(0);
+      return;
+    }
+
+    searchTimeoutRef.current = setTimeout(runSearch, SEARCH_DELAY);
+    return () => clearTimeout(searchTimeoutRef.current);
+  }, [query, chatFilter, senderFilter, dateRange, attachmentType, authReady, currentFirebaseUser]);
+
+  const runSearch = async () => {
+    if (!authReady || !currentFirebaseUser) return;
+
+    const days = DATE_RANGES.find(range => range.id === dateRange)?.days;
+
+    try {
+      setSearching(true);
+      const result = await searchMessages(query, {
+        chatId: chatFilter?.id,
+        senderId: senderFilter?.id,
+        from: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null,
+        attachmentType
+      });
+
+      setResults(result.results);
+      setTotal(result.total);
+
+      // Sender choices come from what the current search turns up
+      if (!senderFilter) {
+        const found = new Map();
+        result.results.forEach(item => {
+          if (item.senderId && !found.has(item.senderId)) {
+            found.set(item.senderId, {
+              id: item.senderId,
+              name: item.senderId === currentFirebaseUser.uid ? 'You' : item.senderName || 'Unknown User'
+            });
+          }
+        });
+        setSenders([...found.values()]);
+      }
+    } catch (error) {
+      console.error('Error searching messages:', error);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const openResult = (item) => {
+    navigation.navigate('Chat', {
+      chatId: item.chatId,
+      chatName: item.chatName,
+      focusMessageId: item.messageId,
+      focusRequestedAt: Date.now()
+    });
+  };
+
+  const formatDate = (timestamp) => {
+    const date = new Date(timestamp);
+    const now = new Date();
+    if (date.toDateString() === now.toDateString()) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], {
+      day: 'numeric',
+      month: 'short',
+      year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric'
+    });
+  };
+
+  // Splits the snippet so matched words can be drawn in bold
+  const highlight = (snippet, terms) => {
+    if (!terms?.length) return [{ text: snippet, match: false }];
+
+    const folded = MessageSearch.fold(snippet);
+    const marks = new Array(snippet.length).fill(false);
+    terms.forEach(term => {
+      let index = folded.indexOf(term);
+      while (index >= 0) {
+        for (let i = index; i < index + term.length; i++) marks[i] = true;
+        index = folded.indexOf(term, index + term.length);
+      }
+    });
+
+    const parts = [];
+    marks.forEach((match, i) => {
+      const last = parts[parts.length - 1];
+      if (last && last.match === match) {
+        last.text += snippet[i];
+      } else {
+        parts.push({ text: snippet[i], match });
+      }
+    });
+    return parts;
+  };
+
+  const renderFilterMenu = (key, label, icon, options, selected, onSelect) => (
+    <Menu
+      visible={menu === key}
+      onDismiss={() => setMenu(null)}
+      anchor={
+        <Chip
+          icon={icon}
+          selected={!!selected}
+          onPress={() => setMenu(key)}
+          onClose={selected ? () => onSelect(null) : undefined}
+          style={styles.filterChip}>
+          {selected ? selected.name : label}
+        </Chip>
+      }>
+      {options.length === 0 ? (
+        <Menu.Item title="Nothing to choose yet" disabled />
+      ) : (
+        options.map(option => (
+          <Menu.Item
+            key={option.id}
+            title={option.name}
+            onPress={() => {
+              onSelect(option);
+              setMenu(null);
+            }}
+          />
+        ))
+      )}
+    </Menu>
+  );
+
+  const renderResult = ({ item }) => (
+    <TouchableOpacity style={styles.resultItem} onPress={() => openResult(item)}>
+      <View style={styles.resultHeader}>
+        <Text style={styles.resultChat} numberOfLines={1}>{item.chatName}</Text>
+        <Text style={styles.resultDate}>{formatDate(item.timestamp)}</Text>
+      </View>
+      <Text style={styles.resultSender} numberOfLines={1}>
+        {item.senderId === currentFirebaseUser?.uid ? 'You' : item.senderName || 'Unknown User'}
+      </Text>
+      <View style={styles.resultBody}>
+        {item.kinds.map(kind => (
+          <Icon key={kind} name={KIND_ICONS[kind] || 'attach-file'} size={16} color={COLORS.textSecondary} style={styles.resultKind} />
+        ))}
+        <Text style={styles.resultSnippet} numberOfLines={2}>
+          {highlight(item.snippet, item.terms).map((part, index) => (
+            <Text key={index} style={part.match && styles.resultMatch}>{part.text}</Text>
+          ))}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Searchbar
+        placeholder={chatFilter ? `Search in ${chatFilter.name}` : 'Search messages'}
+        value={query}
+        onChangeText={setQuery}
+        autoFocus
+        style={styles.searchBar}
+      />
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterRow}>
+        {renderFilterMenu('chat', 'Chat', 'forum', chats, chatFilter, setChatFilter)}
+        {renderFilterMenu('sender', 'From', 'person', senders, senderFilter, setSenderFilter)}
+        {renderFilterMenu(
+          'date',
+          'Any time',
+          'event',
+          DATE_RANGES.map(range => ({ id: range.id, name: range.label })),
+          dateRange !== 'all' ? { name: DATE_RANGES.find(range => range.id === dateRange).label } : null,
+          option => setDateRange(option?.id || 'all')
+        )}
+      </ScrollView>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterRow}>
+        {ATTACHMENT_FILTERS.map(filter => (
+          <Chip
+            key={filter.label}
+            icon={filter.icon}
+            selected={attachmentType === filter.id}
+            onPress={() => setAttachmentType(filter.id)}
+            style={styles.filterChip}>
+            {filter.label}
+          </Chip>
+        ))}
+      </ScrollView>
+
+      <Divider />
+
+      {searching && results.length === 0 ? (
+        <ActivityIndicator style={styles.loading} color={COLORS.primary} />
+      ) : (
+        <FlatList
+          data={results}
+          renderItem={renderResult}
+          keyExtractor={item => item.messageId}
+          keyboardShouldPersistTaps="handled"
+          ItemSeparatorComponent={Divider}
+          ListHeaderComponent={results.length > 0 ? (
+            <Text style={styles.resultCount}>
+              {total > results.length ? `Showing ${results.length} of ${total} messages` : `${total} message${total === 1 ? '' : 's'}`}
+            </Text>
+          ) : null}
+          ListEmptyComponent={() => (
+            <View style={styles.emptyState}>
+              <Icon name="search" size={56} color={COLORS.textSecondary} />
+              <Text style={styles.emptyText}>
+                {query.trim() || hasFilters
+                  ? 'No messages found'
+                  : 'Search the messages saved on this device. Older messages appear once you have opened their chat.'}
+              </Text>
+            </View>
+          )}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  searchBar: {
+    margin: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  filterRow: {
+    paddingHorizontal: SPACING.md,
+    paddingBottom: SPACING.sm,
+  },
+  filterChip: {
+    marginRight: SPACING.sm,
+  },
+  loading: {
+    marginTop: SPACING.xl,
+  },
+  resultCount: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+  },
+  resultItem: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    backgroundColor: COLORS.surface,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  resultChat: {
+    ...TEXT_STYLES.body,
+    fontWeight: '600',
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  resultDate: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.textSecondary,
+  },
+  resultSender: {
+    ...TEXT_STYLES.caption,
+    color: COLORS.primary,
+    marginTop: 2,
+  },
+  resultBody: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 2,
+  },
+  resultKind: {
+    marginRight: 4,
+    marginTop: 2,
+  },
+  resultSnippet: {
+    ...TEXT_STYLES.body,
+    color: COLORS.text,
+    flex: 1,
+  },
+  resultMatch: {
+    fontWeight: 'bold',
+    backgroundColor: 'rgba(241, 143, 1, 0.2)',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: SPACING.xl,
+  },
+  emptyText: {
+    ...TEXT_STYLES.body,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.md,
+  },
+});
+
+export default MessageSearchScreen;
@@ -26,6 +26,7 @@ import {
 import { useSelector, useDispatch } from 'react-redux';
 import LinearGradient from 'react-native-linear-gradient';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import InjuryManagement from '../../../services/InjuryManagement';
 
 // Design system constants
 const COLORS = {
@@ -255,14 +256,41 @@ const InjuryReporting = ({ navigation, route }) => {
     }
   };
 
-  const submitInjuryReport = () => {
+  // Labels carry an emoji prefix
+  const plainLabel = (options, id) => options.find(option => option.id === id)?.label.replace(/^\S+\s/, '') || id;
+
+  const submitInjuryReport = async () => {
+    let record;
+    try {
+      record = await InjuryManagement.reportInjury({
+        athleteId: user.id,
+        athleteName: user.name || null,
+        bodyRegion: injuryReport.bodyPart,
+        bodyPart: plainLabel(bodyParts, injuryReport.bodyPart),
+        injuryType: plainLabel(injuryTypes, injuryReport.injuryType),
+        severity: injuryReport.severity,
+        // Someone who cannot carry on rests until the coach moves them on
+        stage: injuryReport.canContinueTraining === false ? 'rest' : undefined,
+        description: [
+          injuryReport.description,
+          injuryReport.activityAtTime && `Activity: ${injuryReport.activityAtTime}`,
+          injuryReport.symptoms.length > 0 && `Symptoms: ${injuryReport.symptoms.join(', ')}`,
+          `Pain level: ${injuryReport.painLevel}/10`
+        ].filter(Boolean).join('\n'),
+      }, { id: user.id, name: user.name, role: 'athlete' });
+    } catch (error) {
+      Alert.alert('Report Not Saved', error.message);
+      return;
+    }
+
     const reportData = {
       ...injuryReport,
       id: Date.now().toString(),
       userId: user.id,
       sessionId,
       exerciseId,
-      reportedAt: new Date().toISOString(),
+      injuryId: record.id,
+      reportedAt: record.createdAt,
       status: 'reported',
     };
 
@@ -273,7 +301,9 @@ const InjuryReporting = ({ navigation, route }) => {
 
     Alert.alert(
       '✅ Report Submitted',
-      'Your injury report has been submitted successfully. Your coach and medical team have been notified.',
+      `${InjuryManagement.isShared(record.id)
+        ? 'Your injury report has been shared with your coach and medical team.'
+        : 'Your injury report is saved on this device and will be shared with your coach and medical team once you are back online.'} Until you are cleared, your sessions will skip: ${InjuryManagement.describeRestrictions([record])}.`,
       [
         {
           text: 'View Reports',
@@ -861,7 +891,7 @@ const InjuryReporting = ({ navigation, route }) => {
           
           <View style={{ marginBottom: SPACING.sm }}>
             <Text style={[TEXT_STYLES.body]}>
-              • Your coach will be notified immediately
+              • Your coach will see the report in their injury list
             </Text>
           </View>
           <View style={{ marginBottom: SPACING.sm }}>
@@ -0,0 +1,432 @@
+//src/services/AIContracts.js
+import PlatformUtils from '../utils/PlatformUtils';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Why a task ended up on fallback output; screens show these to coaches
+export const AI_FAILURE_REASONS = {
+  PROVIDER_UNAVAILABLE: 'provider_unavailable',
+  PROVIDER_ERROR: 'provider_error',
+  TIMEOUT: 'timeout',
+  EMPTY_RESPONSE: 'empty_response',
+  NO_JSON: 'no_json',
+  INVALID_JSON: 'invalid_json',
+  SCHEMA_MISMATCH: 'schema_mismatch',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  REPLAY_MISS: 'replay_miss'
+};
+
+const FAILURE_LABELS = {
+  provider_unavailable: 'no AI service is available',
+  provider_error: 'the AI service returned an error',
+  timeout: 'the language model took too long to answer',
+  empty_response: 'the language model returned nothing',
+  no_json: 'the reply was not in the expected format',
+  invalid_json: 'the reply was not valid JSON',
+  schema_mismatch: 'the reply did not match the expected fields',
+  budget_exceeded: 'today\'s AI budget is used up',
+  replay_miss: 'no recorded reply for this request'
+};
+
+const stringList = (maxItems, maxLength = 240) => ({
+  type: 'array',
+  maxItems,
+  items: { type: 'string', minLength: 3, maxLength }
+});
+
+// One contract per AI task: the JSON schema the model must answer with, an
+// example that goes into the prompt, and checks a schema cannot express
+const CONTRACTS = {
+  session_improvement: {
+    maxAttempts: 2,
+    schema: {
+      type: 'object',
+      required: ['description', 'structure', 'drills', 'safety', 'progression', 'coachingTips'],
+      properties: {
+        description: { type: 'string', minLength: 10, maxLength: 600 },
+        structure: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 8,
+          items: {
+            type: 'object',
+            required: ['phase', 'minutes', 'activity'],
+            properties: {
+              phase: { type: 'string', minLength: 2, maxLength: 60 },
+              minutes: { type: 'integer', minimum: 1, maximum: 240 },
+              activity: { type: 'string', minLength: 3, maxLength: 240 }
+            }
+          }
+        },
+        drills: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 8,
+          items: {
+            type: 'object',
+            required: ['name', 'description'],
+            properties: {
+              name: { type: 'string', minLength: 3, maxLength: 80 },
+              minutes: { type: 'integer', minimum: 1, maximum: 120 },
+              description: { type: 'string', minLength: 3, maxLength: 300 }
+            }
+          }
+        },
+        safety: stringList(6),
+        progression: stringList(6),
+        equipment: stringList(10, 80),
+        coachingTips: stringList(6),
+        improvements: stringList(6, 120)
+      }
+    },
+    example: {
+      description: 'Technical passing session with a small-sided game finish',
+      structure: [
+        { phase: 'Warm-up', minutes: 10, activity: 'Dynamic stretching and rondo activation' },
+        { phase: 'Main', minutes: 40, activity: 'Passing patterns in triangles' }
+      ],
+      drills: [{ name: 'Triangle passing', minutes: 15, description: 'Pass and follow in groups of three' }],
+      safety: ['Check the pitch surface before starting'],
+      progression: ['Limit to two touches once passing is accurate'],
+      equipment: ['balls', 'cones'],
+      coachingTips: ['Praise the weight of pass, not just accuracy'],
+      improvements: ['Added a structured warm-up']
+    },
+    // Phases should roughly fill the session the coach planned
+    check(value, context = {}) {
+      const total = value.structure.reduce((sum, phase) => sum + phase.minutes, 0);
+      const planned = Number(context.duration) || 0;
+      if (planned > 0 && Math.abs(total - planned) > planned * 0.25) {
+        return [{ path: 'structure', message: `phases add up to ${total} minutes but the session is ${planned} minutes` }];
+      }
+      return [];
+    }
+  },
+
+  schedule_generation: {
+    maxAttempts: 2,
+    schema: {
+      type: 'object',
+      required: ['sessions', 'phases'],
+      properties: {
+        sessions: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 7,
+          items: {
+            type: 'object',
+            required: ['day', 'time', 'type'],
+            properties: {
+              day: { type: 'string', enum: DAYS },
+              time: { type: 'string', pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$' },
+              type: { type: 'string', enum: ['technique', 'conditioning', 'tactical', 'strength', 'recovery', 'match_play'] }
+            }
+          }
+        },
+        phases: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 6,
+          items: {
+            type: 'object',
+            required: ['name', 'fromWeek', 'toWeek', 'intensity'],
+            properties: {
+              name: { type: 'string', minLength: 2, maxLength: 60 },
+              fromWeek: { type: 'integer', minimum: 1, maximum: 52 },
+              toWeek: { type: 'integer', minimum: 1, maximum: 52 },
+              focus: { type: 'string', maxLength: 120 },
+              intensity: { type: 'string', enum: ['low', 'moderate', 'high', 'very_high'] }
+            }
+          }
+        }
+      }
+    },
+    example: {
+      sessions: [
+        { day: 'monday', time: '16:00', type: 'technique' },
+        { day: 'thursday', time: '16:00', type: 'tactical' }
+      ],
+      phases: [
+        { name: 'Foundation', fromWeek: 1, toWeek: 4, focus: 'ball mastery', intensity: 'moderate' },
+        { name: 'Development', fromWeek: 5, toWeek: 12, focus: 'team play', intensity: 'high' }
+      ]
+    },
+    // Sessions must fall on days the coach can train and phases must be in order
+    check(value, context = {}) {
+      const errors = [];
+      const availableDays = (context.availableDays || []).map(day => day.toLowerCase());
+
+      value.sessions.forEach((session, index) => {
+        if (availableDays.length > 0 && !availableDays.includes(session.day)) {
+          errors.push({ path: `sessions[${index}].day`, message: `${session.day} is not one of the available days (${availableDays.join(', ')})` });
+        }
+      });
+      value.phases.forEach((phase, index) => {
+        if (phase.toWeek < phase.fromWeek) {
+          errors.push({ path: `phases[${index}]`, message: 'toWeek is before fromWeek' });
+        }
+        if (context.weeksCount && phase.fromWeek > context.weeksCount) {
+          errors.push({ path: `phases[${index}].fromWeek`, message: `the program only has ${context.weeksCount} weeks` });
+        }
+      });
+
+      return errors;
+    }
+  },
+
+  week_enhancement: {
+    maxAttempts: 2,
+    schema: {
+      type: 'object',
+      required: ['ageModifications', 'skillProgression', 'safetyTips', 'engagementTechniques', 'assessmentMethods'],
+      properties: {
+        ageModifications: stringList(6),
+        skillProgression: stringList(6),
+        safetyTips: stringList(6),
+        engagementTechniques: stringList(6),
+        assessmentMethods: stringList(6),
+        equipmentTips: stringList(6),
+        individualAdaptations: stringList(6)
+      }
+    },
+    example: {
+      ageModifications: ['Shorten drills to 8 minutes for under-10s'],
+      skillProgression: ['Move from unopposed to 1v1 passing by mid-week'],
+      safetyTips: ['Include a 10 minute dynamic warm-up'],
+      engagementTechniques: ['Finish with a scoring game'],
+      assessmentMethods: ['Count completed passes out of ten']
+    }
+  },
+
+  assistant_answer: {
+    maxAttempts: 2,
+    schema: {
+      type: 'object',
+      required: ['answer', 'citations'],
+      properties: {
+        answer: { type: 'string', minLength: 10, maxLength: 1500 },
+        citations: {
+          type: 'array',
+          maxItems: 8,
+          items: { type: 'integer', minimum: 1, maximum: 20 }
+        }
+      }
+    },
+    example: {
+      answer: 'Your plan starts week 3 with a 4v4 pressing game [1]. For U12s keep it under 60 minutes [2].',
+      citations: [1, 2]
+    },
+    // Only sources that were in the prompt can be cited
+    check(value, context = {}) {
+      const sourceCount = context.sourceCount || 0;
+      const cited = [...value.citations, ...[...value.answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]))];
+      return cited
+        .filter(number => number > sourceCount)
+        .map(number => ({ path: 'citations', message: `source [${number}] does not exist; there are ${sourceCount} sources` }));
+    }
+  }
+};
+
+// Output contracts for AIService's language model tasks. Model replies are
+// parsed as JSON, validated against the task's schema and, when they fail,
+// sent back once with the errors so the model can repair them.
+class AIContracts {
+  get(task) {
+    const contract = CONTRACTS[task];
+    if (!contract) {
+      throw PlatformUtils.createError(`No output contract for AI task "${task}"`, [], 'ai_contract_error', { task });
+    }
+    return contract;
+  }
+
+  list() {
+    return Object.keys(CONTRACTS);
+  }
+
+  buildPrompt(task, instructions) {
+    const contract = this.get(task);
+    return `${instructions}
+
+Respond with a single JSON object and nothing else. It must match this JSON schema:
+${JSON.stringify(contract.schema)}
+
+Example of the expected shape:
+${JSON.stringify(contract.example)}`;
+  }
+
+  buildRepairPrompt(task, instructions, previousText, failure) {
+    const problems = failure.errors.length > 0
+      ? failure.errors.slice(0, 8).map(error => `- ${error.path || 'reply'}: ${error.message}`).join('\n')
+      : `- ${failure.message}`;
+
+    return `${this.buildPrompt(task, instructions)}
+
+Your previous reply was rejected:
+${String(previousText || '').substring(0, 1500)}
+
+Problems:
+${problems}
+
+Reply again with corrected JSON only.`;
+  }
+
+  // { ok: true, value } or { ok: false, failure: { reason, message, errors } }
+  parse(task, text, context = {}) {
+    const contract = this.get(task);
+
+    if (!String(text || '').trim()) {
+      return this.fail(AI_FAILURE_REASONS.EMPTY_RESPONSE, 'The model returned an empty reply');
+    }
+
+    const json = this.extractJson(text);
+    if (!json) {
+      return this.fail(AI_FAILURE_REASONS.NO_JSON, 'The reply did not contain a JSON object');
+    }
+
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      return this.fail(AI_FAILURE_REASONS.INVALID_JSON, `The JSON could not be parsed: ${error.message}`);
+    }
+
+    const errors = this.validate(contract.schema, value);
+    if (errors.length === 0 && contract.check) {
+      errors.push(...contract.check(value, context));
+    }
+    if (errors.length > 0) {
+      return this.fail(AI_FAILURE_REASONS.SCHEMA_MISMATCH, `${errors.length} field(s) did not match the expected format`, errors);
+    }
+
+    return { ok: true, value };
+  }
+
+  // The first balanced {...} in the reply, ignoring code fences and any
+  // chatter around it
+  extractJson(text) {
+    const source = String(text).replace(/```(?:json)?/gi, '');
+    const start = source.indexOf('{');
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let index = start; index < source.length; index++) {
+      const char = source[index];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) {
+        return source.substring(start, index + 1);
+      }
+    }
+
+    return null;
+  }
+
+  // The subset of JSON schema the contracts use: type, required,
+  // properties, items, enum, pattern and length/range limits
+  validate(schema, value, path = '') {
+    const errors = [];
+    const at = path || 'reply';
+
+    if (!this.matchesType(schema.type, value)) {
+      return [{ path: at, message: `expected ${schema.type}` }];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `"${value}" is not in the expected format` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+
+    if (schema.type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: at, message: `needs at least ${schema.minItems} item(s)` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: at, message: `allows at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(schema.items, item, `${path}[${index}]`)));
+      }
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...this.validate(propertySchema, value[key], path ? `${path}.${key}` : key));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'string': return typeof value === 'string';
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      default: return true;
+    }
+  }
+
+  fail(reason, message, errors = []) {
+    return { ok: false, failure: { reason, message, errors } };
+  }
+
+  // Provider errors (see LLMProviders) mapped onto failure reasons
+  reasonForError(error) {
+    if (error?.errorType === 'llm_timeout') return AI_FAILURE_REASONS.TIMEOUT;
+    if (error?.errorType === 'llm_not_generative') return AI_FAILURE_REASONS.PROVIDER_UNAVAILABLE;
+    if (error?.errorType === 'ai_budget_exceeded') return AI_FAILURE_REASONS.BUDGET_EXCEEDED;
+    if (error?.errorType === 'ai_replay_miss') return AI_FAILURE_REASONS.REPLAY_MISS;
+    return error?.metadata?.reason || AI_FAILURE_REASONS.PROVIDER_ERROR;
+  }
+
+  // What the coach sees next to AI output, e.g.
+  // "Rule-based suggestions (the reply did not match the expected fields)"
+  describeOutcome(aiOutput) {
+    if (!aiOutput) return null;
+    if (aiOutput.source === 'language_model') {
+      return `Generated by ${aiOutput.providerName || 'the language model'}${aiOutput.model ? ` (${aiOutput.model})` : ''}`;
+    }
+    if (aiOutput.source === 'tensorflow') {
+      return 'Generated by the on-device TensorFlow model';
+    }
+
+    const reason = aiOutput.failure ? FAILURE_LABELS[aiOutput.failure.reason] || aiOutput.failure.message : null;
+    return reason ? `Rule-based suggestions (${reason})` : 'Rule-based suggestions';
+  }
+}
+
+export default new AIContracts();
@@ -1,27 +1,36 @@
 //src/services/AIService.js
 import axios from 'axios';
-import { HfInference } from '@huggingface/inference';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import TensorFlowService from './TensorFlowService';
+import SportOntology from './SportOntology';
+import PlanTranslator from './PlanTranslator';
+import LLMProviders from './LLMProviders';
+import LoadManagement from './LoadManagement';
+import InjuryManagement from './InjuryManagement';
+import Periodization from './Periodization';
+import AIContracts, { AI_FAILURE_REASONS } from './AIContracts';
+import AIUsage from './AIUsage';
+import HuggingFaceProvider from './llm/HuggingFaceProvider';
 import SecureStorage from '../utils/SecureStorage';
+import PlatformUtils from '../utils/PlatformUtils';
 
 class AIService {
   constructor() {
     this.initialized = false;
     this.apiKey = null;
-    this.hfInference = null;
     this.isOnline = false;
     this.fallbackMode = true;
-    this.rateLimitCounter = 0;
     this.rateLimitReset = null;
-    this.requestQueue = [];
+    // One lane per AIUsage priority; interactive requests are always taken first
+    this.requestQueues = { interactive: [], batch: [] };
     this.isProcessingQueue = false;
     
     // NEW: Multi-service architecture
-    this.servicePriority = 'tensorflow_first'; // tensorflow_first, huggingface_first, balanced
+    this.servicePriority = 'tensorflow_first'; // tensorflow_first, llm_first, balanced
     this.serviceStatus = {
       tensorflow: { available: false, initialized: false },
-      huggingface: { available: false, initialized: false },
+      // Whichever LLMProviders provider is selected in AI settings
+      llm: { available: false, initialized: false },
       ruleBased: { available: true, initialized: true }
     };
     
@@ -30,13 +39,11 @@ class AIService {
 
 // Emergency fix: Replace your models object in AIService.js with these models that might still work
 
+    // Text generation models are configured per provider in LLMProviders
     this.models = {
-      // Try smaller, more reliable models
-      textGeneration: 'distilgpt2',
       conversation: 'microsoft/DialoGPT-medium', 
       
       // Backup options that often have providers available
-      textGenerationBackup: 'gpt2-medium',
       conversationBackup: 'facebook/blenderbot_small-90M',
       
       // These typically still work during outages
@@ -81,6 +88,9 @@ class AIService {
       }
     };
     
+    // Sports with an ontology pack but no entry above (tennis, volleyball)
+    SportOntology.extendKnowledge(this.sportsKnowledge);
+    
     this.offlineCapabilities = {
       planEnhancement: true,
       sessionPersonalization: true,
@@ -98,18 +108,17 @@ async initialize() {
     
     // Load stored settings and service priority
     await this.loadStoredSettings();
+    // The request mode decides whether the language model counts as available
+    await AIUsage.load();
     
     // PRIORITY 1: Initialize TensorFlow service first (always available)
     console.log('AIService: Initializing TensorFlow as primary service...');
     await this.initializeTensorFlowService();
     
-    // PRIORITY 2: Initialize HuggingFace if API key exists
-    if (this.apiKey) {
-      console.log('AIService: Initializing HuggingFace as secondary service...');
-      await this.initializeHuggingFaceService();
-    } else {
-      console.log('AIService: No HuggingFace API key found, skipping online AI');
-    }
+    // PRIORITY 2: The selected language model provider (Hugging Face needs
+    // an API key, a local OpenAI-compatible server does not)
+    console.log('AIService: Initializing language model provider as secondary service...');
+    await this.initializeLanguageModel();
     
     // PRIORITY 3: Rule-based is always available as fallback
     this.serviceStatus.ruleBased = { available: true, initialized: true };
@@ -173,135 +182,87 @@ async initializeTensorFlowService() {
   }
 }
 
-  // UPDATED: Better HuggingFace initialization
-  async initializeHuggingFaceService() {
+  async initializeLanguageModel() {
     try {
-      console.log('AIService: Initializing HuggingFace service...');
+      await LLMProviders.load();
+      await LLMProviders.configure('huggingface', { apiKey: this.apiKey }, { persist: false });
       
-      if (this.apiKey) {
-        this.hfInference = new HfInference(this.apiKey);
-        const isValid = await this.validateHuggingFaceConnection();
-        
-        this.serviceStatus.huggingface = {
-          available: isValid,
-          initialized: isValid,
-          hasApiKey: true
-        };
-        
-        if (isValid) {
-          this.isOnline = true;
-          this.fallbackMode = false;
-          console.log('AIService: HuggingFace service ready');
-        }
-      }
+      return await this.checkLanguageModel();
     } catch (error) {
-      console.error('AIService: HuggingFace initialization failed:', error);
-      this.serviceStatus.huggingface = { available: false, initialized: false };
+      console.error('AIService: Language model initialization failed:', error);
+      this.serviceStatus.llm = { available: false, initialized: false, error: error.message };
+      return this.serviceStatus.llm;
     }
   }
 
-  // NEW: Validate HuggingFace with reliable models
-// Replace your validateHuggingFaceConnection method with this improved version:
-async validateHuggingFaceConnection() {
-  try {
-    console.log('AIService: Validating HuggingFace as secondary AI service...');
-    
-    // Check if it's a widespread infrastructure issue
-    let allModelsFailedWithNoProvider = true;
-    let providerAvailable = false;
-    
-    // Try primary model first
-    const primaryModel = this.models.textGeneration;
-    let response = await this.testModelConnection(primaryModel);
-    
-    if (response.success) {
-      this.usageStats.successfulRequests++;
-      await this.saveSettings();
-      console.log(`AIService: HuggingFace validated with ${primaryModel}`);
-      return true;
-    } else if (!response.error?.includes('No Inference Provider')) {
-      allModelsFailedWithNoProvider = false;
-    }
-    
-    console.log(`AIService: Primary model ${primaryModel} failed, trying backup...`);
-    
-    // Try backup models
-    const modelsToTry = [
-      'distilgpt2',
-      'facebook/blenderbot_small-90M', 
-      'distilbert-base-uncased-finetuned-sst-2-english',
-      'sshleifer/distilbart-cnn-12-6'
-    ];
+  // Health-checks a provider (the selected one by default) and refreshes the
+  // service status requests are routed on
+  async checkLanguageModel(providerId) {
+    const provider = LLMProviders.get(providerId) || LLMProviders.getActive();
+    console.log(`AIService: Checking ${provider.name}...`);
     
-    for (const model of modelsToTry) {
-      response = await this.testModelConnection(model);
-      
-      if (response.success) {
-        // Update to use working model
-        this.models.textGeneration = model;
-        this.usageStats.successfulRequests++;
-        await this.saveSettings();
-        console.log(`AIService: HuggingFace validated with working model: ${model}`);
-        return true;
-      } else if (!response.error?.includes('No Inference Provider')) {
-        allModelsFailedWithNoProvider = false;
-      }
+    const health = await LLMProviders.checkHealth(provider.id);
+    if (health.available && provider.generative) {
+      console.log(`AIService: ${provider.name} ready${health.switchedFrom ? ` (switched to ${health.model})` : ''}`);
+    } else if (provider.generative) {
+      console.warn(`AIService: ${provider.name} unavailable:`, health.error);
     }
     
-    // If all models failed due to no providers, it's infrastructure issue
-    if (allModelsFailedWithNoProvider) {
-      console.log('AIService: HuggingFace infrastructure issue detected - no providers available');
-      console.log('AIService: This is temporary and will resolve when HF infrastructure recovers');
-      
-      // Still mark as "available" but with infrastructure warning
-      this.serviceStatus.huggingface = {
-        available: false,
-        initialized: true,
-        hasApiKey: true,
-        infrastructureIssue: true,
-        status: 'provider_outage',
-        message: 'HuggingFace inference providers temporarily unavailable'
-      };
-      
-      return false; // But continue with TensorFlow
+    this.updateLanguageModelStatus();
+    return health;
+  }
+
+  updateLanguageModelStatus() {
+    const status = LLMProviders.getStatus();
+    
+    // Replay mode answers from recordings, so flows take their model path
+    const replaying = AIUsage.isReplaying();
+    this.serviceStatus.llm = {
+      available: status.available || replaying,
+      initialized: !!status.checkedAt || replaying,
+      provider: status.provider,
+      providerName: status.providerName,
+      model: status.model,
+      streaming: status.streaming,
+      latencyMs: status.latencyMs,
+      error: status.error,
+      infrastructureIssue: status.errorType === 'llm_provider_outage'
+    };
+    this.isOnline = status.available || replaying;
+    if (this.isOnline) {
+      this.fallbackMode = false;
     }
     
-    console.warn('AIService: All HuggingFace models failed validation');
-    return false;
-    
-  } catch (error) {
-    console.warn('AIService: HuggingFace validation failed:', error.message);
-    this.handleAPIError(error);
-    return false;
+    return this.serviceStatus.llm;
   }
-}
 
-// Add this helper method:
-async testModelConnection(modelName) {
-  try {
-    const response = await this.hfInference.textGeneration({
-      model: modelName,
-      inputs: 'Hello',
-      parameters: {
-        max_length: 15,
-        temperature: 0.1,
-        do_sample: false
-      }
-    });
-    
-    if (response && (response.generated_text !== undefined || response[0]?.generated_text !== undefined)) {
-      return { 
-        success: true, 
-        model: modelName, 
-        response: response.generated_text || response[0]?.generated_text 
-      };
+  canGenerate() {
+    return AIUsage.isReplaying() || LLMProviders.canGenerate();
+  }
+
+  async setRequestMode(mode) {
+    await AIUsage.setMode(mode);
+    return this.updateLanguageModelStatus();
+  }
+
+  getLanguageModelProviders() {
+    return LLMProviders.list();
+  }
+
+  async setLanguageModelProvider(providerId) {
+    await LLMProviders.setActive(providerId);
+    return this.checkLanguageModel(providerId);
+  }
+
+  // config: { model, timeout, stream, baseUrl, apiKey, systemPrompt }
+  async configureLanguageModelProvider(providerId, config) {
+    await LLMProviders.configure(providerId, config);
+    if (providerId === LLMProviders.activeId) {
+      return this.checkLanguageModel(providerId);
     }
-    
-    return { success: false, error: 'No valid response from model' };
-  } catch (error) {
-    return { success: false, error: error.message };
+    this.updateLanguageModelStatus();
+    return LLMProviders.getHealth(providerId);
   }
-}
 
 getBestServiceForTask(task) {
   const primaryService = this.getPrimaryService();
@@ -313,13 +274,13 @@ getBestServiceForTask(task) {
       case 'schedule_optimization':
       case 'text_classification':
         // TensorFlow is better for these structured tasks
-        return this.serviceStatus.tensorflow.available ? 'tensorflow' : 'huggingface';
+        return this.serviceStatus.tensorflow.available ? 'tensorflow' : 'llm';
       
       case 'text_generation':
       case 'conversation':
       case 'creative_content':
-        // HuggingFace is better for generative tasks
-        return this.serviceStatus.huggingface.available ? 'huggingface' : 'tensorflow';
+        // Language models are better for generative tasks
+        return this.serviceStatus.llm.available ? 'llm' : 'tensorflow';
       
       case 'coaching_tips':
       case 'basic_analysis':
@@ -355,21 +316,21 @@ console.log('AIService: Verification - key length:', storedKey?.length);
     switch (this.servicePriority) {
       case 'tensorflow_first':
         if (this.serviceStatus.tensorflow.available) return 'tensorflow';
-        if (this.serviceStatus.huggingface.available) return 'huggingface';
+        if (this.serviceStatus.llm.available) return 'llm';
         return 'ruleBased';
       
-      case 'huggingface_first':
-        if (this.serviceStatus.huggingface.available) return 'huggingface';
+      case 'llm_first':
+        if (this.serviceStatus.llm.available) return 'llm';
         if (this.serviceStatus.tensorflow.available) return 'tensorflow';
         return 'ruleBased';
       
       case 'balanced':
         // Use the best service for the task
-        if (this.serviceStatus.tensorflow.available && this.serviceStatus.huggingface.available) {
+        if (this.serviceStatus.tensorflow.available && this.serviceStatus.llm.available) {
           return 'balanced'; // Will choose per task
         }
         if (this.serviceStatus.tensorflow.available) return 'tensorflow';
-        if (this.serviceStatus.huggingface.available) return 'huggingface';
+        if (this.serviceStatus.llm.available) return 'llm';
         return 'ruleBased';
       
       default:
@@ -386,11 +347,11 @@ console.log('AIService: Verification - key length:', storedKey?.length);
       switch (task) {
         case 'session_enhancement':
         case 'schedule_optimization':
-          return this.serviceStatus.tensorflow.available ? 'tensorflow' : 'huggingface';
+          return this.serviceStatus.tensorflow.available ? 'tensorflow' : 'llm';
         
         case 'text_generation':
         case 'conversation':
-          return this.serviceStatus.huggingface.available ? 'huggingface' : 'tensorflow';
+          return this.serviceStatus.llm.available ? 'llm' : 'tensorflow';
         
         default:
           return this.serviceStatus.tensorflow.available ? 'tensorflow' : 'ruleBased';
@@ -425,7 +386,8 @@ async loadStoredSettings() {
       successfulRequests: 0,
       failedRequests: 0
     };
-    this.servicePriority = settings[2][1] || 'tensorflow_first';
+    // 'huggingface_first' predates provider selection
+    this.servicePriority = settings[2][1] === 'huggingface_first' ? 'llm_first' : settings[2][1] || 'tensorflow_first';
     
     console.log(`AIService: Settings loaded. API key: ${apiKey ? 'Present' : 'Not found'}`);
     
@@ -453,34 +415,9 @@ async loadStoredSettings() {
   }
 
   async validateConnection() {
-    try {
-      console.log('AIService: Validating connection...');
-      
-      const response = await this.hfInference.textGeneration({
-        model: this.models.textGeneration,
-        inputs: 'Test connection',
-        parameters: {
-          max_length: 20,
-          temperature: 0.1
-        }
-      });
-      
-      if (response && response.generated_text) {
-        this.isOnline = true;
-        this.fallbackMode = false;
-        console.log('AIService: Connection validated');
-        
-        this.usageStats.successfulRequests++;
-        await this.saveSettings();
-        
-        return true;
-      }
-      
-    } catch (error) {
-      console.warn('AIService: Connection validation failed:', error.message);
-      this.handleAPIError(error);
-      return false;
-    }
+    console.log('AIService: Validating connection...');
+    const health = await this.checkLanguageModel();
+    return health.available;
   }
 
 // Replace your setApiKey method in AIService.js with this version that has proper debugging:
@@ -526,23 +463,19 @@ async setApiKey(apiKey, testModel = null) {
       
       if (keysMatch) {
         this.apiKey = trimmedKey;
-        this.serviceStatus.huggingface = { 
-          available: true, 
-          initialized: true, 
-          hasApiKey: true,
-          lastValidated: new Date().toISOString()
-        };
-        
+        await LLMProviders.configure('huggingface', { apiKey: trimmedKey }, { persist: false });
         console.log('AIService: Key stored successfully');
-        console.log('AIService: Service status updated:', {
-          available: true,
-          initialized: true,
-          hasApiKey: true
-        });
+        
+        // Only checked now if Hugging Face is the selected provider
+        const health = LLMProviders.activeId === 'huggingface'
+          ? await this.checkLanguageModel('huggingface')
+          : null;
         
         return { 
           success: true, 
-          message: 'API key stored successfully! (Validation skipped for testing)'
+          message: health && !health.available
+            ? `API key stored, but Hugging Face is not responding yet: ${health.error}`
+            : 'API key stored successfully!'
         };
       } else {
         console.log('AIService: Storage verification failed - keys do not match');
@@ -564,27 +497,14 @@ async setApiKey(apiKey, testModel = null) {
   // NEW: Test connection with specific model
   async testConnection(modelName, apiKey) {
     try {
-      const testInference = new HfInference(apiKey);
+      const config = { ...HuggingFaceProvider.defaults, apiKey, model: modelName };
+      const response = await HuggingFaceProvider.complete({ prompt: 'Test', maxTokens: 10, temperature: 0 }, config);
       
-      const response = await testInference.textGeneration({
+      return {
+        success: true,
         model: modelName,
-        inputs: 'Test',
-        parameters: {
-          max_length: 10,
-          temperature: 0.1,
-          do_sample: false
-        }
-      });
-      
-      if (response && (response.generated_text !== undefined || response[0]?.generated_text !== undefined)) {
-        return {
-          success: true,
-          model: modelName,
-          response: response.generated_text || response[0]?.generated_text || 'Success'
-        };
-      }
-      
-      return { success: false, error: 'No valid response received' };
+        response: response.text || 'Success'
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -598,12 +518,8 @@ async clearApiKey() {
     await AsyncStorage.removeItem('huggingface_api_key');
     
     this.apiKey = null;
-    this.hfInference = null;
-    this.serviceStatus.huggingface = { 
-      available: false, 
-      initialized: false, 
-      hasApiKey: false 
-    };
+    await LLMProviders.configure('huggingface', { apiKey: null }, { persist: false });
+    this.updateLanguageModelStatus();
     
     console.log('AIService: API key cleared successfully');
     return { success: true, message: 'API key cleared. Using TensorFlow-only mode.' };
@@ -735,6 +651,7 @@ getApiStatus() {
     isOnline: this.isOnline,
     mode: this.fallbackMode ? 'offline-first' : 'hybrid',
     provider: this.getProviderInfo(),
+    languageModel: LLMProviders.getStatus(),
     services: this.serviceStatus,
     primaryService: primaryService,
     servicePriority: this.servicePriority,
@@ -744,7 +661,7 @@ getApiStatus() {
     
     // NEW: Infrastructure status info
     infrastructureStatus: {
-      huggingfaceOutage: this.serviceStatus.huggingface?.infrastructureIssue || false,
+      languageModelOutage: this.serviceStatus.llm?.infrastructureIssue || false,
       tensorflowHealthy: this.serviceStatus.tensorflow?.available || false,
       fallbackAvailable: this.serviceStatus.ruleBased?.available || false
     }
@@ -755,7 +672,7 @@ getApiStatus() {
   getProviderInfo() {
     const providers = [];
     if (this.serviceStatus.tensorflow.available) providers.push('tensorflow');
-    if (this.serviceStatus.huggingface.available) providers.push('huggingface');
+    if (this.serviceStatus.llm.available) providers.push(this.serviceStatus.llm.providerName);
     if (this.serviceStatus.ruleBased.available) providers.push('rule-based');
     return providers.join(' + ');
   }
@@ -764,7 +681,7 @@ getApiStatus() {
   getServiceSummary() {
     return {
       tensorflow: this.serviceStatus.tensorflow.available,
-      huggingface: this.serviceStatus.huggingface.available,
+      llm: this.serviceStatus.llm.available,
       ruleBased: this.serviceStatus.ruleBased.available,
       total: Object.values(this.serviceStatus).filter(s => s.available).length
     };
@@ -780,7 +697,7 @@ getApiStatus() {
       capabilities.offlineAI = true;
     }
     
-    if (this.serviceStatus.huggingface.available) {
+    if (this.serviceStatus.llm.available) {
       capabilities.advancedAI = true;
       capabilities.textGeneration = true;
       capabilities.conversationAI = true;
@@ -969,69 +886,162 @@ async generateOptimalSchedule(trainingPlan, preferences = {}) {
     await this.initialize();
   }
 
+  let schedule;
   try {
     console.log('AIService: Generating optimal schedule...');
     
     if (this.isOnline && !this.fallbackMode) {
-      return await this.generateScheduleWithAI(trainingPlan, preferences);
+      schedule = await this.generateScheduleWithAI(trainingPlan, preferences);
     } else {
-      return await this.generateScheduleWithFallback(trainingPlan, preferences);
+      schedule = await this.generateScheduleWithFallback(trainingPlan, preferences,
+        this.createAIFailure(AI_FAILURE_REASONS.PROVIDER_UNAVAILABLE, 'AI is offline'));
     }
   } catch (error) {
     console.error('AIService: Schedule generation failed:', error);
-    return await this.generateScheduleWithFallback(trainingPlan, preferences);
+    schedule = await this.generateScheduleWithFallback(trainingPlan, preferences, this.failureFromError(error));
   }
+
+  const loaded = await this.applyAthleteLoad(schedule, preferences.athleteIds);
+  return await this.applyAthleteRestrictions(loaded, preferences.athleteIds);
 }
 
-async generateScheduleWithAI(trainingPlan, preferences) {
+// Intensity above follows the week number only; athletes whose recent
+// load flags them as overreaching get individual targets for the coming week
+async applyAthleteLoad(schedule, athleteIds) {
+  if (!athleteIds?.length) return schedule;
+
   try {
-    const prompt = this.createSchedulePrompt(trainingPlan, preferences);
-    
-    const response = await this.queueRequest({
-      model: this.models.planGeneration,
-      inputs: prompt,
-      parameters: {
-        max_length: 300,
-        temperature: 0.6,
-        do_sample: true,
-        top_p: 0.8
-      }
-    });
+    const loadStatus = await LoadManagement.getTeamStatus(athleteIds);
+    return {
+      ...schedule,
+      sessions: LoadManagement.adjustSchedule(schedule.sessions, loadStatus),
+      loadStatus
+    };
+  } catch (error) {
+    console.warn('AIService: Could not apply athlete load to schedule:', error);
+    return schedule;
+  }
+}
 
-    const schedule = this.parseScheduleResponse(response.generated_text, trainingPlan, preferences);
-    
+// Athletes with an active injury get the drills they must skip per session,
+// and the coach gets an alert for every athlete the schedule conflicts with
+async applyAthleteRestrictions(schedule, athleteIds) {
+  if (!athleteIds?.length) return schedule;
+
+  try {
+    const restrictions = await InjuryManagement.getActiveRestrictions(athleteIds);
+    if (Object.keys(restrictions).length === 0) return schedule;
+
+    const conflicts = await InjuryManagement.findConflicts(schedule.sessions, athleteIds);
+    await InjuryManagement.raiseConflictAlerts(conflicts, { planId: schedule.planId, planTitle: schedule.planTitle });
     return {
       ...schedule,
+      sessions: InjuryManagement.applyToSchedule(schedule.sessions, restrictions),
+      restrictionConflicts: conflicts
+    };
+  } catch (error) {
+    console.warn('AIService: Could not apply injury restrictions to schedule:', error);
+    return schedule;
+  }
+}
+
+// userProfile.athleteId pulls in that athlete's active injury records
+// unless the caller passed injuries explicitly
+async withActiveInjuries(userProfile) {
+  if (userProfile.injuries || userProfile.athleteId == null) return userProfile;
+
+  try {
+    const injuries = await InjuryManagement.getActiveInjuries(userProfile.athleteId);
+    return injuries.length > 0 ? { ...userProfile, injuries } : userProfile;
+  } catch (error) {
+    console.warn('AIService: Could not load injury records:', error);
+    return userProfile;
+  }
+}
+
+// The model proposes a weekly pattern and phases; the week-by-week
+// sessions are expanded locally so dates and durations stay consistent
+async generateScheduleWithAI(trainingPlan, preferences) {
+  const prefs = this.resolveSchedulePreferences(preferences);
+  const periodization = this.buildPeriodization(trainingPlan, prefs);
+
+  try {
+    const { value, aiOutput } = await this.runContract(
+      'schedule_generation',
+      this.createSchedulePrompt(trainingPlan, prefs, periodization),
+      { maxTokens: 400, temperature: 0.4, topP: 0.8 },
+      { availableDays: prefs.availableDays, weeksCount: prefs.weeksCount }
+    );
+
+    const sessions = this.expandScheduleContract(value, trainingPlan, prefs, periodization);
+
+    return {
+      planId: trainingPlan.id,
+      planTitle: trainingPlan.title,
+      sessions,
+      phases: value.phases,
+      periodization,
+      weeks: Periodization.summarizeWeeks(periodization, sessions),
+      totalSessions: sessions.length,
+      totalWeeks: prefs.weeksCount,
+      generatedAt: new Date().toISOString(),
+      preferences: prefs,
       aiGenerated: true,
-      aiProvider: 'huggingface',
-      confidence: this.calculateConfidence(response.generated_text)
+      aiProvider: aiOutput.provider,
+      // A reply that needed repairing is trusted a little less
+      confidence: aiOutput.attempts > 1 ? 0.8 : 0.9,
+      scheduleType: 'ai_weekly_pattern',
+      aiOutput
     };
 
   } catch (error) {
     console.warn('AI schedule generation failed, using fallback:', error);
-    return await this.generateScheduleWithFallback(trainingPlan, preferences);
+    return await this.generateScheduleWithFallback(trainingPlan, preferences, this.failureFromError(error));
   }
 }
 
-async generateScheduleWithFallback(trainingPlan, preferences = {}) {
-  console.log('AIService: Using fallback schedule generation');
-  
+resolveSchedulePreferences(preferences = {}) {
   const defaultPreferences = {
     availableDays: ['monday', 'wednesday', 'friday'],
     preferredTime: '16:00',
     sessionDuration: 90,
     intensity: 'moderate',
     weeksCount: 12,
-    sessionsPerWeek: 3
+    sessionsPerWeek: 3,
+    periodization: null,
+    competitions: []
   };
 
-  const prefs = { ...defaultPreferences, ...preferences };
-  const schedule = this.createOptimalSessionSchedule(trainingPlan, prefs);
+  return { ...defaultPreferences, ...preferences };
+}
+
+// preferences.periodization and .competitions override what the coach
+// saved on the plan
+buildPeriodization(trainingPlan, preferences) {
+  const saved = trainingPlan.periodization || {};
+  return Periodization.buildPlan({
+    model: preferences.periodization || saved.model,
+    competitions: preferences.competitions?.length ? preferences.competitions : saved.competitions || [],
+    weeksCount: preferences.weeksCount,
+    startDate: preferences.startDate,
+    intensity: preferences.intensity,
+    deloadEvery: saved.deloadEvery
+  });
+}
+
+async generateScheduleWithFallback(trainingPlan, preferences = {}, failure = null) {
+  console.log('AIService: Using fallback schedule generation');
+  
+  const prefs = this.resolveSchedulePreferences(preferences);
+  const periodization = this.buildPeriodization(trainingPlan, prefs);
+  const schedule = this.createOptimalSessionSchedule(trainingPlan, prefs, periodization);
   
   return {
     planId: trainingPlan.id,
     planTitle: trainingPlan.title,
     sessions: schedule,
+    periodization,
+    weeks: Periodization.summarizeWeeks(periodization, schedule),
     totalSessions: schedule.length,
     totalWeeks: prefs.weeksCount,
     generatedAt: new Date().toISOString(),
@@ -1039,151 +1049,94 @@ async generateScheduleWithFallback(trainingPlan, preferences = {}) {
     aiGenerated: true,
     aiProvider: 'intelligent_fallback',
     confidence: 0.85,
-    scheduleType: 'optimized_progression'
+    scheduleType: 'optimized_progression',
+    aiOutput: this.createAIOutput('schedule_generation', { source: 'rules', failure })
   };
 }
 
-createSchedulePrompt(trainingPlan, preferences) {
+createSchedulePrompt(trainingPlan, preferences, periodization) {
   const sport = trainingPlan.category || 'general fitness';
   const duration = preferences.sessionDuration || 90;
   const days = preferences.availableDays || ['monday', 'wednesday', 'friday'];
+  const phases = periodization.mesocycles
+    .map(mesocycle => `${mesocycle.name} (weeks ${mesocycle.fromWeek}-${mesocycle.toWeek}): ${mesocycle.focus}`)
+    .join('; ');
+  const competitions = periodization.competitions
+    .map(competition => `${competition.name} in week ${competition.week} (priority ${competition.priority})`)
+    .join('; ') || 'none';
   
   return `Create an optimal training schedule for a ${sport} program:
 
 PROGRAM DETAILS:
 - Title: ${trainingPlan.title}
-- Duration: ${trainingPlan.duration || '12 weeks'}
+- Duration: ${preferences.weeksCount || 12} weeks
 - Difficulty: ${trainingPlan.difficulty || 'intermediate'}
 - Sessions per week: ${days.length}
 
 PREFERENCES:
 - Available days: ${days.join(', ')}
+- Preferred time: ${preferences.preferredTime || '16:00'}
 - Session duration: ${duration} minutes
 - Intensity: ${preferences.intensity || 'moderate'}
 
-Provide a structured weekly schedule with:
-1. Progressive intensity
-2. Proper recovery periods
-3. Skill development phases
-4. Performance peaks
+PERIODIZATION (${periodization.modelName}):
+- Phases: ${phases}
+- Competitions: ${competitions}
 
-Focus on sustainable long-term development.`;
+Give the weekly pattern of sessions (only on the available days) and the
+phases that cover weeks 1 to ${preferences.weeksCount || 12}, with progressive
+intensity, recovery periods and a performance peak.`;
 }
 
-parseScheduleResponse(response, trainingPlan, preferences) {
-  // Parse AI response and create schedule structure
-  const lines = response.split('\n').filter(line => line.trim());
+// Deload and taper weeks from the periodization still apply to the
+// model's pattern, so a competition is never approached at full load
+expandScheduleContract(contract, trainingPlan, preferences, periodization) {
   const sessions = [];
-  
-  // If AI response parsing fails, fall back to structured generation
-  if (lines.length < 5) {
-    return this.createOptimalSessionSchedule(trainingPlan, preferences);
-  }
-  
-  // Try to extract schedule information from AI response
-  let currentWeek = 1;
-  let sessionId = 1;
-  
-  lines.forEach(line => {
-    const weekMatch = line.match(/week\s*(\d+)/i);
-    if (weekMatch) {
-      currentWeek = parseInt(weekMatch[1]);
-    }
-    
-    // Look for day and time information
-    const dayMatch = line.match(/(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i);
-    const timeMatch = line.match(/(\d{1,2}):(\d{2})/);
-    
-    if (dayMatch && currentWeek <= 12) {
-      sessions.push({
-        id: `optimal_${sessionId++}_${Date.now()}`,
-        week: currentWeek,
-        day: dayMatch[1].toLowerCase(),
-        date: this.calculateOptimalDate(currentWeek, dayMatch[1]),
-        time: timeMatch ? timeMatch[0] : preferences.preferredTime || '16:00',
-        duration: preferences.sessionDuration || 90,
-        type: this.getSessionType(currentWeek, sessions.length % 3),
-        intensity: this.calculateProgressiveIntensity(currentWeek, preferences.intensity),
-        focus: this.getWeeklyFocus(currentWeek, trainingPlan.category),
-        aiSuggested: true
-      });
-    }
-  });
-  
-  // If no sessions extracted from AI, use fallback generation
-  if (sessions.length === 0) {
-    return this.createOptimalSessionSchedule(trainingPlan, preferences);
-  }
-  
-  return sessions;
-}
+  const { weeksCount = 12 } = preferences;
+  const pattern = [...contract.sessions].sort((a, b) =>
+    this.weekdayIndex(a.day) - this.weekdayIndex(b.day) || a.time.localeCompare(b.time));
 
-createOptimalSessionSchedule(trainingPlan, preferences) {
-  const sessions = [];
-  const { availableDays, preferredTime, sessionDuration, weeksCount = 12 } = preferences;
-  
   for (let week = 1; week <= weeksCount; week++) {
-    availableDays.forEach((day, dayIndex) => {
-      const sessionDate = this.calculateOptimalDate(week, day);
-      
-      sessions.push({
-        id: `optimal_${week}_${dayIndex}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-        week: week,
-        day: day.toLowerCase(),
-        date: sessionDate,
-        time: preferredTime,
-        duration: sessionDuration,
-        type: this.getSessionType(week, dayIndex),
-        intensity: this.calculateProgressiveIntensity(week, preferences.intensity),
-        focus: this.getWeeklyFocus(week, trainingPlan.category),
-        phase: this.getTrainingPhase(week, weeksCount),
+    const phase = contract.phases.find(item => week >= item.fromWeek && week <= item.toWeek) ||
+      contract.phases[contract.phases.length - 1];
+
+    pattern.forEach((slot, index) => {
+      sessions.push(Periodization.applyMicrocycle({
+        id: `optimal_${week}_${index}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        week,
+        day: slot.day,
+        date: Periodization.dateFor(periodization.macrocycle.startDate, week, slot.day),
+        time: slot.time.padStart(5, '0'),
+        duration: preferences.sessionDuration,
+        type: slot.type,
+        intensity: this.calculateProgressiveIntensity(week, phase.intensity),
+        focus: phase.focus ? [phase.focus] : this.getWeeklyFocus(week, trainingPlan.category),
+        phase: phase.name.toLowerCase(),
         objectives: this.getWeeklyObjectives(week, trainingPlan.category),
         equipment: this.getSessionEquipment(trainingPlan.category),
-        aiOptimized: true
-      });
+        aiOptimized: true,
+        aiSuggested: true
+      }, periodization));
     });
   }
-  
+
   return sessions;
 }
 
-calculateOptimalDate(weekNumber, dayName) {
-  const today = new Date();
-  const dayIndex = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
-    .indexOf(dayName.toLowerCase());
-  
-  // Start from next Monday if today is weekend, otherwise start from today
-  const startDate = new Date(today);
-  const currentDay = startDate.getDay();
-  
-  if (currentDay === 0 || currentDay === 6) { // Sunday or Saturday
-    const daysUntilMonday = currentDay === 0 ? 1 : 2;
-    startDate.setDate(startDate.getDate() + daysUntilMonday);
-  }
-  
-  // Calculate target date for this week and day
-  const targetDate = new Date(startDate);
-  targetDate.setDate(startDate.getDate() + (weekNumber - 1) * 7);
-  
-  // Adjust to correct day of week
-  const targetDay = targetDate.getDay();
-  const daysToAdd = (dayIndex - targetDay + 7) % 7;
-  targetDate.setDate(targetDate.getDate() + daysToAdd);
-  
-  return targetDate.toISOString().split('T')[0];
+weekdayIndex(day) {
+  return ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].indexOf(day);
 }
 
-getSessionType(week, dayIndex) {
-  const types = ['technique', 'conditioning', 'tactical', 'strength', 'recovery'];
-  
-  // Progressive session type selection based on week
-  if (week <= 4) {
-    return ['technique', 'conditioning', 'technique'][dayIndex % 3];
-  } else if (week <= 8) {
-    return ['tactical', 'strength', 'technique'][dayIndex % 3];
-  } else {
-    return ['tactical', 'conditioning', 'strength'][dayIndex % 3];
-  }
+createOptimalSessionSchedule(trainingPlan, preferences, periodization = this.buildPeriodization(trainingPlan, preferences)) {
+  const mesocycles = Object.fromEntries(periodization.mesocycles.map(mesocycle => [mesocycle.name, mesocycle]));
+
+  return Periodization.buildSessions(periodization, preferences).map(session => ({
+    ...session,
+    focus: [mesocycles[session.mesocycle].focus.toLowerCase(), ...this.getWeeklyFocus(session.week, trainingPlan.category)].slice(0, 2),
+    objectives: this.getWeeklyObjectives(session.week, trainingPlan.category),
+    equipment: this.getSessionEquipment(trainingPlan.category),
+    aiOptimized: true
+  }));
 }
 
 calculateProgressiveIntensity(week, baseIntensity) {
@@ -1262,15 +1215,6 @@ getWeeklyFocus(week, sport) {
   return focuses[week] || ['general training', 'skill development'];
 }
 
-getTrainingPhase(week, totalWeeks) {
-  const phaseLength = Math.floor(totalWeeks / 4);
-  
-  if (week <= phaseLength) return 'foundation';
-  if (week <= phaseLength * 2) return 'development';
-  if (week <= phaseLength * 3) return 'intensification';
-  return 'peaking';
-}
-
 getWeeklyObjectives(week, sport) {
   const baseObjectives = {
     1: ['Establish baseline fitness', 'Learn fundamental movements'],
@@ -1304,10 +1248,11 @@ getSessionEquipment(sport) {
 
 // 2. Add this method to AIService.js to support single session improvement
 
-async improveSingleSession(sessionData, userProfile = {}) {
+async improveSingleSession(sessionData, profile = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
+    const userProfile = await this.withActiveInjuries(profile);
 
     try {
       console.log('AIService: Improving single session with service routing');
@@ -1317,15 +1262,16 @@ async improveSingleSession(sessionData, userProfile = {}) {
         case 'tensorflow':
           return await this.improveSingleSessionWithTensorFlow(sessionData, userProfile);
         
-        case 'huggingface':
-          return await this.improveSingleSessionWithHuggingFace(sessionData, userProfile);
+        case 'llm':
+          return await this.improveSingleSessionWithLanguageModel(sessionData, userProfile);
         
         default:
-          return await this.improveSingleSessionWithFallback(sessionData, userProfile);
+          return await this.improveSingleSessionWithFallback(sessionData, userProfile,
+            this.createAIFailure(AI_FAILURE_REASONS.PROVIDER_UNAVAILABLE, 'No AI service is available'));
       }
     } catch (error) {
       console.error('AIService: Single session improvement error:', error);
-      return await this.improveSingleSessionWithFallback(sessionData, userProfile);
+      return await this.improveSingleSessionWithFallback(sessionData, userProfile, this.failureFromError(error));
     }
   }
 
@@ -1347,7 +1293,8 @@ async improveSingleSession(sessionData, userProfile = {}) {
           enhancedAt: new Date().toISOString()
         },
         improvements: tfResult.improvements || [],
-        confidence: tfResult.confidence || 0.85
+        confidence: tfResult.confidence || 0.85,
+        aiOutput: this.createAIOutput('session_improvement', { source: 'tensorflow' })
       };
       
     } catch (error) {
@@ -1405,14 +1352,13 @@ getBasicEquipment(sport) {
   return equipment[sport] || equipment.general;
 }
 
-// Also add this method if it's missing:
-async improveSingleSessionWithHuggingFace(sessionData, userProfile) {
-  try {
-    const prompt = `As an expert sports coach, enhance this training session:
+async improveSingleSessionWithLanguageModel(sessionData, userProfile) {
+  const duration = sessionData.duration || 90;
+  const prompt = `As an expert sports coach, enhance this training session:
 
 SESSION DETAILS:
 Title: ${sessionData.title}
-Duration: ${sessionData.duration} minutes
+Duration: ${duration} minutes
 Sport: ${sessionData.sport || 'General'}
 Age Group: ${sessionData.ageGroup || 'Youth'}
 Participants: ${sessionData.participants || 15}
@@ -1422,91 +1368,46 @@ ${sessionData.rawContent || sessionData.documentContent || 'Basic training sessi
 
 FOCUS AREAS: ${sessionData.focus?.join(', ') || 'General fitness'}
 
-Please provide:
-1. Enhanced session structure
-2. Specific drill improvements
-3. Safety considerations
-4. Progression tips
-5. Equipment alternatives
-
-Make it actionable and age-appropriate.`;
+Give a session structure whose phases add up to about ${duration} minutes,
+specific drills, safety considerations, progression tips, equipment and
+coaching tips. Make it actionable and age-appropriate.`;
 
-    const response = await this.queueRequest({
-      model: this.models.textGeneration,
-      inputs: prompt,
-      parameters: {
-        max_length: 400,
-        temperature: 0.7,
-        do_sample: true,
-        top_p: 0.9
-      }
-    });
-
-    const enhancements = this.parseSessionImprovements(response.generated_text);
-    
-    return {
-      originalSession: sessionData,
-      enhancedSession: {
-        ...sessionData,
-        title: sessionData.title + ' (AI Enhanced)',
-        description: enhancements.description || sessionData.description,
-        structure: enhancements.structure || [],
-        drills: enhancements.drills || sessionData.drills || [],
-        safety: enhancements.safety || [],
-        progression: enhancements.progression || [],
-        equipment: enhancements.equipment || sessionData.equipment || [],
-        coachingTips: enhancements.coachingTips || [],
-        aiEnhanced: true,
-        enhancedAt: new Date().toISOString()
-      },
-      improvements: enhancements.improvements || [],
-      confidence: this.calculateConfidence(response.generated_text)
-    };
-
-  } catch (error) {
-    throw error;
-  }
-}
+  const { value, aiOutput } = await this.runContract(
+    'session_improvement',
+    prompt,
+    { maxTokens: 700, temperature: 0.5, topP: 0.9 },
+    { duration }
+  );
 
-parseSessionImprovements(response) {
-  const improvements = {
-    description: '',
-    structure: [],
-    drills: [],
-    safety: [],
-    progression: [],
-    equipment: [],
-    coachingTips: [],
-    improvements: []
+  return {
+    originalSession: sessionData,
+    enhancedSession: {
+      ...sessionData,
+      title: sessionData.title + ' (AI Enhanced)',
+      description: value.description,
+      structure: value.structure.map(phase => `${phase.phase} (${phase.minutes} min): ${phase.activity}`),
+      drills: value.drills.map((drill, index) => ({
+        id: `drill_${index}`,
+        name: drill.name,
+        duration: drill.minutes || null,
+        description: drill.description,
+        equipment: value.equipment || []
+      })),
+      safety: value.safety,
+      progression: value.progression,
+      equipment: value.equipment?.length > 0 ? value.equipment : sessionData.equipment || [],
+      coachingTips: value.coachingTips,
+      aiEnhanced: true,
+      enhancementMethod: 'language_model',
+      enhancedAt: new Date().toISOString()
+    },
+    improvements: value.improvements?.length > 0 ? value.improvements : ['Restructured session with AI suggestions'],
+    confidence: aiOutput.attempts > 1 ? 0.8 : 0.9,
+    aiOutput
   };
-
-  const lines = response.split('\n').filter(line => line.trim());
-  let currentSection = null;
-
-  lines.forEach(line => {
-    const cleanLine = line.trim();
-    
-    if (cleanLine.toLowerCase().includes('structure')) {
-      currentSection = 'structure';
-    } else if (cleanLine.toLowerCase().includes('drill') || cleanLine.toLowerCase().includes('exercise')) {
-      currentSection = 'drills';
-    } else if (cleanLine.toLowerCase().includes('safety')) {
-      currentSection = 'safety';
-    } else if (cleanLine.toLowerCase().includes('progression') || cleanLine.toLowerCase().includes('advance')) {
-      currentSection = 'progression';
-    } else if (cleanLine.toLowerCase().includes('equipment')) {
-      currentSection = 'equipment';
-    } else if (cleanLine.toLowerCase().includes('tip') || cleanLine.toLowerCase().includes('coach')) {
-      currentSection = 'coachingTips';
-    } else if (currentSection && cleanLine.length > 10) {
-      improvements[currentSection].push(cleanLine);
-    }
-  });
-
-  return improvements;
 }
 
-async improveSingleSessionWithFallback(sessionData, userProfile) {
+async improveSingleSessionWithFallback(sessionData, userProfile, failure = null) {
   console.log('AIService: Using fallback session improvement');
   
   const sport = sessionData.sport?.toLowerCase() || 'general';
@@ -1565,16 +1466,18 @@ async improveSingleSessionWithFallback(sessionData, userProfile) {
       'Provided progression guidelines',
       'Added coaching tips for better engagement'
     ],
-    confidence: 0.85
+    confidence: 0.85,
+    aiOutput: this.createAIOutput('session_improvement', { source: 'rules', failure })
   };
 }
 
   // ============= SESSION ENHANCEMENT =============
 
-async enhanceExtractedSessions(sessions, userProfile = {}) {
+async enhanceExtractedSessions(sessions, profile = {}) {
   if (!this.initialized) {
     await this.initialize();
   }
+  const userProfile = await this.withActiveInjuries(profile);
 
   try {
     console.log('AIService: Enhancing sessions with intelligent service routing');
@@ -1587,18 +1490,19 @@ async enhanceExtractedSessions(sessions, userProfile = {}) {
         console.log('AIService: Enhancing with TensorFlow (primary offline AI)');
         return await this.enhanceWithTensorFlow(sessions, userProfile);
       
-      case 'huggingface':
-        console.log('AIService: Enhancing with HuggingFace (secondary online AI)');
-        return await this.enhanceWithHuggingFace(sessions, userProfile);
+      case 'llm':
+        console.log('AIService: Enhancing with language model (secondary AI)');
+        return await this.enhanceWithLanguageModel(sessions, userProfile);
       
       default:
         console.log('AIService: Enhancing with rule-based algorithms (fallback)');
-        return await this.enhanceWithAdvancedFallback(sessions, userProfile);
+        return await this.enhanceWithAdvancedFallback(sessions, userProfile,
+          this.createAIFailure(AI_FAILURE_REASONS.PROVIDER_UNAVAILABLE, 'No AI service is available'));
     }
   } catch (error) {
     console.error('AIService: Session enhancement error:', error);
     console.log('AIService: Falling back to rule-based enhancement');
-    return await this.enhanceWithAdvancedFallback(sessions, userProfile);
+    return await this.enhanceWithAdvancedFallback(sessions, userProfile, this.failureFromError(error));
   }
 }
 
@@ -1618,6 +1522,7 @@ async enhanceExtractedSessions(sessions, userProfile = {}) {
           aiProvider: 'tensorflow',
           aiConfidence: tfEnhancement.confidence,
           aiEnhancements: tfEnhancement.improvements,
+          aiOutput: this.createAIOutput('week_enhancement', { source: 'tensorflow' }),
           dailySessions: weekSession.dailySessions.map(session => 
             this.applyTensorFlowEnhancements(session, tfEnhancement, userProfile)
           ),
@@ -1628,7 +1533,7 @@ async enhanceExtractedSessions(sessions, userProfile = {}) {
         
       } catch (error) {
         console.warn(`TensorFlow enhancement failed for week ${weekSession.weekNumber}, using fallback:`, error);
-        const fallbackEnhanced = await this.enhanceWeekWithAdvancedFallback(weekSession, userProfile);
+        const fallbackEnhanced = await this.enhanceWeekWithAdvancedFallback(weekSession, userProfile, this.failureFromError(error));
         enhancedSessions.push(fallbackEnhanced);
       }
     }
@@ -1659,8 +1564,8 @@ async enhanceExtractedSessions(sessions, userProfile = {}) {
     };
   }
 
-  async enhanceWithHuggingFace(sessions, userProfile) {
-    console.log('AIService: Using Hugging Face for enhancement');
+  async enhanceWithLanguageModel(sessions, userProfile) {
+    console.log(`AIService: Using ${this.serviceStatus.llm.providerName} for enhancement`);
     
     const enhancedSessions = [];
     const batchSize = 3;
@@ -1670,29 +1575,28 @@ async enhanceExtractedSessions(sessions, userProfile = {}) {
       const batchPromises = batch.map(async (weekSession) => {
         
         try {
-          const prompt = this.createAdvancedTrainingPrompt(weekSession, userProfile);
-          
-          const aiResponse = await this.queueRequest({
-            model: this.models.textGeneration,
-            inputs: prompt,
-            parameters: {
-              max_length: 300,
-              temperature: 0.7,
-              do_sample: true,
-              top_p: 0.9,
-              repetition_penalty: 1.1
-            }
-          });
-
-          const aiEnhancements = this.parseTrainingResponse(aiResponse.generated_text);
+          const { value, aiOutput } = await this.runContract(
+            'week_enhancement',
+            this.createAdvancedTrainingPrompt(weekSession, userProfile),
+            { maxTokens: 500, temperature: 0.5, topP: 0.9 },
+            {},
+            { priority: 'batch' }
+          );
+
+          const aiEnhancements = {
+            equipmentTips: [],
+            individualAdaptations: [],
+            ...value
+          };
           
           return {
             ...weekSession,
             aiEnhanced: true,
-            aiProvider: 'huggingface',
-            aiModel: this.models.textGeneration,
-            aiConfidence: this.calculateConfidence(aiResponse.generated_text),
+            aiProvider: aiOutput.provider,
+            aiModel: aiOutput.model,
+            aiConfidence: aiOutput.attempts > 1 ? 0.8 : 0.9,
             aiEnhancements: aiEnhancements,
+            aiOutput,
             dailySessions: weekSession.dailySessions.map(session => 
               this.applyAIEnhancements(session, aiEnhancements, userProfile)
             ),
@@ -1700,8 +1604,8 @@ async enhanceExtractedSessions(sessions, userProfile = {}) {
           };
           
         } catch (error) {
-          console.warn(`HF enhancement failed for week ${weekSession.weekNumber}:`, error);
-          return await this.enhanceWeekWithAdvancedFallback(weekSession, userProfile);
+          console.warn(`Language model enhancement failed for week ${weekSession.weekNumber}:`, error);
+          return await this.enhanceWeekWithAdvancedFallback(weekSession, userProfile, this.failureFromError(error));
         }
       });
       
@@ -1738,60 +1642,11 @@ PLAYER CONTEXT:
 - Sport: ${sport}
 - Key Skills: ${sportsData.keySkills.join(', ')}
 
-PROVIDE ENHANCEMENTS FOR:
-1. Age-Appropriate Modifications
-2. Progressive Skill Development
-3. Safety Considerations
-4. Engagement Techniques
-5. Assessment Methods
-
+Give age-appropriate modifications, progressive skill development steps,
+safety considerations, engagement techniques and assessment methods.
 Be specific and actionable.`;
   }
 
-  parseTrainingResponse(response) {
-    try {
-      const enhancements = {
-        ageModifications: [],
-        skillProgression: [],
-        safetyTips: [],
-        engagementTechniques: [],
-        assessmentMethods: [],
-        equipmentTips: [],
-        individualAdaptations: []
-      };
-
-      const sections = response.split('\n').filter(line => line.trim());
-      let currentSection = null;
-
-      sections.forEach(line => {
-        const cleanLine = line.trim();
-        
-        if (cleanLine.toLowerCase().includes('age') || cleanLine.toLowerCase().includes('modification')) {
-          currentSection = 'ageModifications';
-        } else if (cleanLine.toLowerCase().includes('skill') || cleanLine.toLowerCase().includes('progress')) {
-          currentSection = 'skillProgression';
-        } else if (cleanLine.toLowerCase().includes('safety') || cleanLine.toLowerCase().includes('injury')) {
-          currentSection = 'safetyTips';
-        } else if (cleanLine.toLowerCase().includes('engagement') || cleanLine.toLowerCase().includes('motivat')) {
-          currentSection = 'engagementTechniques';
-        } else if (cleanLine.toLowerCase().includes('assess') || cleanLine.toLowerCase().includes('measure')) {
-          currentSection = 'assessmentMethods';
-        } else if (cleanLine.toLowerCase().includes('equipment')) {
-          currentSection = 'equipmentTips';
-        } else if (cleanLine.toLowerCase().includes('individual') || cleanLine.toLowerCase().includes('adapt')) {
-          currentSection = 'individualAdaptations';
-        } else if (currentSection && cleanLine.length > 10) {
-          enhancements[currentSection].push(cleanLine);
-        }
-      });
-
-      return enhancements;
-    } catch (error) {
-      console.warn('Failed to parse AI response:', error);
-      return { general: [response.substring(0, 200)] };
-    }
-  }
-
   applyAIEnhancements(session, aiEnhancements, userProfile) {
     const enhanced = {
       ...session,
@@ -1831,7 +1686,7 @@ Be specific and actionable.`;
 
   // ============= ADVANCED FALLBACK =============
 
-  async enhanceWithAdvancedFallback(sessions, userProfile) {
+  async enhanceWithAdvancedFallback(sessions, userProfile, failure = null) {
     console.log('AIService: Using intelligent fallback enhancement');
     
     return sessions.map(weekSession => ({
@@ -1843,11 +1698,12 @@ Be specific and actionable.`;
       dailySessions: weekSession.dailySessions.map(session => 
         this.personalizeSessionAdvanced(session, userProfile, weekSession.weekNumber)
       ),
-      aiEnhancements: this.generateFallbackEnhancements(weekSession, userProfile)
+      aiEnhancements: this.generateFallbackEnhancements(weekSession, userProfile),
+      aiOutput: this.createAIOutput('week_enhancement', { source: 'rules', failure })
     }));
   }
 
-  async enhanceWeekWithAdvancedFallback(weekSession, userProfile) {
+  async enhanceWeekWithAdvancedFallback(weekSession, userProfile, failure = null) {
     return {
       ...weekSession,
       aiEnhanced: true,
@@ -1857,7 +1713,8 @@ Be specific and actionable.`;
       dailySessions: weekSession.dailySessions.map(session => 
         this.personalizeSessionAdvanced(session, userProfile, weekSession.weekNumber)
       ),
-      aiEnhancements: this.generateFallbackEnhancements(weekSession, userProfile)
+      aiEnhancements: this.generateFallbackEnhancements(weekSession, userProfile),
+      aiOutput: this.createAIOutput('week_enhancement', { source: 'rules', failure })
     };
   }
 
@@ -1891,7 +1748,8 @@ Be specific and actionable.`;
 
     if (injuries.length > 0) {
       enhancedSession.injuryModifications = this.generateInjuryModifications(injuries, sport);
-      modifications.push(`Modified for ${injuries.join(', ')} considerations`);
+      const injuryLabels = injuries.map(injury => typeof injury === 'string' ? injury : InjuryManagement.describeInjury(injury));
+      modifications.push(`Modified for ${injuryLabels.join(', ')} considerations`);
     }
 
     const weeklySkillFocus = sportsData.keySkills[weekNumber % sportsData.keySkills.length];
@@ -1918,42 +1776,10 @@ Be specific and actionable.`;
     return enhancedSession;
   }
 
+  // injuries: body-part names or InjuryManagement records; records carry
+  // their return-to-play stage, so the advice follows the athlete's recovery
   generateInjuryModifications(injuries, sport) {
-    const modifications = {};
-    
-    injuries.forEach(injury => {
-      switch (injury.toLowerCase()) {
-        case 'knee':
-          modifications.knee = [
-            'Avoid deep lunges and sharp direction changes',
-            'Focus on straight-line movements',
-            'Include knee strengthening exercises'
-          ];
-          break;
-        case 'ankle':
-          modifications.ankle = [
-            'Minimize jumping and landing exercises',
-            'Emphasize balance and stability work',
-            'Include proprioception exercises'
-          ];
-          break;
-        case 'shoulder':
-          modifications.shoulder = [
-            'Limit overhead movements',
-            'Focus on pain-free range of motion',
-            'Include gentle stretching'
-          ];
-          break;
-        default:
-          modifications.general = [
-            'Monitor pain levels throughout',
-            'Modify intensity based on comfort',
-            'Consult medical team for clearance'
-          ];
-      }
-    });
-    
-    return modifications;
+    return InjuryManagement.describeModifications(injuries);
   }
 
   generateGameElements(session, sport, ageGroup) {
@@ -2103,12 +1929,192 @@ Be specific and actionable.`;
     };
   }
 
+  // ============= PLAN TRANSLATION =============
+
+  // Translates a plan's weeks to another sport. The rule-based ontology
+  // mapping always runs; when a language model is connected it rewrites
+  // each mapped drill's description, and anything it gets wrong falls back
+  // to the rule-based text.
+  async generatePlanVariations(originalPlan, targetSport, options = {}) {
+    const useModel = options.useModel !== false && this.canUseModelTranslation();
+    const modelDrills = new Map();
+
+    const result = await PlanTranslator.translatePlan(originalPlan, options.weeks || originalPlan.structuredWeeks || [], targetSport, {
+      sourceSport: options.sourceSport,
+      refineDrill: useModel
+        ? (drill, context) => this.refineDrillWithModel(drill, context, modelDrills)
+        : null
+    });
+
+    return {
+      ...result,
+      method: result.plan.translation.method,
+      modelAvailable: this.canUseModelTranslation()
+    };
+  }
+
+  canUseModelTranslation() {
+    return this.isOnline && !!this.serviceStatus.llm?.available;
+  }
+
+  async refineDrillWithModel(drill, context, cache) {
+    const key = `${context.targetSport}:${drill.name}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const sourceName = SportOntology.get(context.sourceSport).name;
+    const targetName = SportOntology.get(context.targetSport).name;
+    const prompt = `Adapt a ${sourceName} training drill for ${targetName} players.
+${sourceName} drill: ${context.original.name} - ${context.original.description || context.original.name}
+${targetName} drill: ${drill.name} -`;
+
+    const response = await this.queueRequest({
+      prompt,
+      maxTokens: 60,
+      temperature: 0.5
+    }, { priority: 'batch' });
+
+    const generated = String(response?.text || '').replace(prompt, '');
+    const description = generated.split('\n').map(line => line.trim()).find(Boolean) || '';
+
+    // Rejected unless it reads like a sentence about the target sport only
+    const valid = description.length >= 15 &&
+      description.length <= 240 &&
+      SportOntology.foreignTerms(description, context.sourceSport, context.targetSport).length === 0;
+
+    const refined = valid ? description : null;
+    cache.set(key, refined);
+    return refined;
+  }
+
   // ============= REQUEST MANAGEMENT =============
 
-  async queueRequest(requestParams) {
+  // Runs a task whose reply must match its AIContracts schema. A rejected
+  // reply goes back to the model with the validation errors; once the
+  // attempts run out the thrown error carries the failure reason so the
+  // caller can fall back and tell the coach why.
+  // requestOptions go to queueRequest (priority, userId).
+  async runContract(task, instructions, requestParams = {}, context = {}, requestOptions = {}) {
+    const contract = AIContracts.get(task);
+
+    if (!this.canGenerate()) {
+      throw this.createContractError(task, this.createAIFailure(
+        AI_FAILURE_REASONS.PROVIDER_UNAVAILABLE,
+        'No language model is connected'
+      ), 0);
+    }
+
+    let prompt = AIContracts.buildPrompt(task, instructions);
+    let failure = null;
+
+    for (let attempt = 1; attempt <= contract.maxAttempts; attempt++) {
+      let response;
+      try {
+        response = await this.queueRequest({ ...requestParams, prompt, format: 'json' }, requestOptions);
+      } catch (error) {
+        throw this.createContractError(task, this.failureFromError(error), attempt);
+      }
+
+      const result = AIContracts.parse(task, response.text, context);
+      if (result.ok) {
+        return {
+          value: result.value,
+          aiOutput: this.createAIOutput(task, {
+            source: 'language_model',
+            provider: response.provider,
+            model: response.model,
+            attempts: attempt,
+            cached: !!response.cached
+          })
+        };
+      }
+
+      await AIUsage.evict(response.cacheKey);
+      failure = result.failure;
+      console.warn(`AIService: ${task} reply rejected (attempt ${attempt}): ${failure.reason}`, failure.errors);
+      prompt = AIContracts.buildRepairPrompt(task, instructions, response.text, failure);
+    }
+
+    throw this.createContractError(task, failure, contract.maxAttempts);
+  }
+
+  createContractError(task, failure, attempts) {
+    return PlatformUtils.createError(`AI output for ${task} was not usable: ${failure.message}`, [
+      'Rule-based suggestions were used instead',
+      'A larger or instruction-tuned model follows the output format more reliably'
+    ], 'ai_contract_failure', { task, attempts, ...failure });
+  }
+
+  createAIFailure(reason, message, errors = []) {
+    return { reason, message, errors };
+  }
+
+  failureFromError(error) {
+    if (error?.errorType === 'ai_contract_failure') {
+      const { reason, errors = [] } = error.metadata;
+      return this.createAIFailure(reason, error.message, errors);
+    }
+    return this.createAIFailure(AIContracts.reasonForError(error), error?.message || 'Unknown error');
+  }
+
+  // Attached to every task result so screens can tell model output from
+  // fallback output: source is 'language_model', 'tensorflow' or 'rules'
+  createAIOutput(task, details = {}) {
+    const source = details.source || 'rules';
+    const provider = details.provider ? LLMProviders.get(details.provider) : null;
+    const aiOutput = {
+      task,
+      source,
+      fallback: source === 'rules',
+      provider: details.provider || null,
+      providerName: provider?.name || null,
+      model: details.model || null,
+      attempts: details.attempts || 0,
+      cached: !!details.cached,
+      failure: details.failure || null,
+      generatedAt: new Date().toISOString()
+    };
+
+    return { ...aiOutput, summary: AIContracts.describeOutcome(aiOutput) };
+  }
+
+  // requestParams: { prompt, maxTokens, temperature, topP, stop, format }, sent to
+  // the selected provider. options.onToken streams the reply where the
+  // provider supports it; options.priority is 'interactive' (default) or
+  // 'batch'; options.userId is charged for the request (default: the signed-in
+  // user); options.cache: false always asks the model.
+  async queueRequest(requestParams, options = {}) {
+    await AIUsage.load();
+    const priority = options.priority === 'batch' ? 'batch' : 'interactive';
+    const userId = options.userId || await AIUsage.currentUser();
+
+    if (AIUsage.isReplaying()) {
+      const replayed = await AIUsage.replay(requestParams);
+      options.onToken?.(replayed.text, replayed.text);
+      return replayed;
+    }
+
+    const provider = options.provider || LLMProviders.getStatus().provider;
+    const target = { provider, model: LLMProviders.getConfig(provider)?.model || null };
+
+    if (options.cache !== false) {
+      const cached = await AIUsage.getCached(requestParams, target);
+      if (cached) {
+        this.usageStats.cachedResponses = (this.usageStats.cachedResponses || 0) + 1;
+        await AIUsage.recordUsage(userId, { cached: true, priority });
+        options.onToken?.(cached.text, cached.text);
+        return cached;
+      }
+    }
+
+    await AIUsage.checkBudget(userId, requestParams, priority);
+
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({
+      this.requestQueues[priority].push({
         params: requestParams,
+        options,
+        userId,
+        priority,
+        target,
         resolve,
         reject,
         timestamp: Date.now()
@@ -2120,27 +2126,45 @@ Be specific and actionable.`;
     });
   }
 
+  nextRequest() {
+    return this.requestQueues.interactive.shift() || this.requestQueues.batch.shift() || null;
+  }
+
+  getQueueLength() {
+    return this.requestQueues.interactive.length + this.requestQueues.batch.length;
+  }
+
   async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) {
+    if (this.isProcessingQueue || this.getQueueLength() === 0) {
       return;
     }
 
     this.isProcessingQueue = true;
 
-    while (this.requestQueue.length > 0) {
-      const request = this.requestQueue.shift();
-      
+    let request;
+    while ((request = this.nextRequest())) {
       try {
-        if (this.rateLimitCounter >= 100 && this.rateLimitReset && Date.now() < this.rateLimitReset) {
+        if (this.rateLimitReset && Date.now() < this.rateLimitReset) {
           const waitTime = this.rateLimitReset - Date.now();
           console.log(`Rate limit reached, waiting ${waitTime}ms`);
           await this.delay(waitTime);
         }
 
-        const response = await this.hfInference.textGeneration(request.params);
-        this.rateLimitCounter++;
+        const response = await LLMProviders.generate(request.params, request.options);
         this.usageStats.totalRequests++;
-        request.resolve(response);
+
+        await AIUsage.recordUsage(request.userId, {
+          tokens: AIUsage.tokensFor(request.params, response),
+          priority: request.priority
+        });
+        const cacheKey = request.options.cache !== false
+          ? await AIUsage.store(request.params, request.target, response)
+          : null;
+        if (AIUsage.getMode() === 'record') {
+          await AIUsage.saveRecording(request.params, response);
+        }
+
+        request.resolve({ ...response, cacheKey });
 
         await this.delay(500);
 
@@ -2187,7 +2211,7 @@ Be specific and actionable.`;
 
   startQueueProcessor() {
     setInterval(() => {
-      if (this.requestQueue.length > 0 && !this.isProcessingQueue) {
+      if (this.getQueueLength() > 0 && !this.isProcessingQueue) {
         this.processQueue();
       }
     }, 2000);
@@ -2201,10 +2225,15 @@ Be specific and actionable.`;
       isOnline: this.isOnline,
       fallbackMode: this.fallbackMode,
       hasApiKey: !!this.apiKey,
-      queueLength: this.requestQueue.length,
+      languageModel: LLMProviders.getStatus(),
+      queueLength: this.getQueueLength(),
+      queues: {
+        interactive: this.requestQueues.interactive.length,
+        batch: this.requestQueues.batch.length
+      },
+      requestMode: AIUsage.getMode(),
       usageStats: this.usageStats,
       rateLimitStatus: {
-        current: this.rateLimitCounter,
         resetTime: this.rateLimitReset
       },
       capabilities: this.offlineCapabilities,
@@ -2225,9 +2254,8 @@ Be specific and actionable.`;
     try {
       await AsyncStorage.removeItem('huggingface_api_key');
       this.apiKey = null;
-      this.hfInference = null;
-      this.isOnline = false;
-      this.fallbackMode = true;
+      await LLMProviders.configure('huggingface', { apiKey: null }, { persist: false });
+      this.updateLanguageModelStatus();
       return { success: true, message: 'API key cleared' };
     } catch (error) {
       return { success: false, error: error.message };
@@ -0,0 +1,375 @@
+//src/services/AIUsage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlatformUtils from '../utils/PlatformUtils';
+import { STORAGE_KEYS } from '../utils/constants';
+
+const CACHE_KEY = 'ai_response_cache';
+const LEDGER_KEY = 'ai_usage_ledger';
+const RECORDINGS_KEY = 'ai_replay_recordings';
+
+// live: requests go to the provider. record: same, and every reply is kept
+// as a recording. replay: replies come only from recordings, never the network.
+export const AI_MODES = ['live', 'record', 'replay'];
+
+// Interactive requests (a coach waiting on a screen) run before batch jobs
+export const AI_PRIORITIES = ['interactive', 'batch'];
+
+// Per user per day; 0 means no limit
+const DEFAULT_BUDGET = { dailyRequests: 300, dailyTokens: 150000 };
+// Batch jobs stop at this share of the budget so the rest stays available
+// for interactive requests
+const BATCH_SHARE = 0.8;
+
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+const LEDGER_DAYS = 30;
+// Rough estimate for providers that do not report token usage
+const CHARS_PER_TOKEN = 4;
+
+// Request parameters that change the reply; anything else (callbacks,
+// priority) is left out of cache and recording keys
+const KEY_PARAMS = ['prompt', 'maxTokens', 'temperature', 'topP', 'stop', 'format'];
+
+// Response cache, daily budgets and record/replay for language model
+// requests made through AIService.queueRequest. Cached replies are keyed on
+// the request parameters plus provider and model; recordings leave provider
+// and model out so a recording replays on any configuration.
+class AIUsage {
+  constructor() {
+    this.cache = null;
+    this.ledger = null;
+    this.recordings = null;
+    this.loadPromise = null;
+  }
+
+  async load() {
+    if (this.ledger) return;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const [cache, ledger, recordings] = await AsyncStorage.multiGet([CACHE_KEY, LEDGER_KEY, RECORDINGS_KEY]);
+          this.cache = cache[1] ? JSON.parse(cache[1]) : {};
+          this.ledger = ledger[1] ? JSON.parse(ledger[1]) : { mode: 'live', budget: { ...DEFAULT_BUDGET }, users: {} };
+          this.recordings = recordings[1] ? JSON.parse(recordings[1]) : {};
+        } catch (error) {
+          console.error('Error loading AI usage data:', error);
+          this.cache = {};
+          this.ledger = { mode: 'live', budget: { ...DEFAULT_BUDGET }, users: {} };
+          this.recordings = {};
+        } finally {
+          this.loadPromise = null;
+        }
+      })();
+    }
+    await this.loadPromise;
+  }
+
+  async save(key, value) {
+    try {
+      await AsyncStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`Could not save ${key}:`, error.message);
+    }
+  }
+
+  // The signed-in user, or 'local' before sign-in. Read on every request so
+  // a user switch is charged to the right budget.
+  async currentUser() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA);
+      const user = stored ? JSON.parse(stored) : null;
+      return user?.id ? String(user.id) : 'local';
+    } catch (error) {
+      return 'local';
+    }
+  }
+
+  // Mode
+
+  getMode() {
+    return this.ledger?.mode || 'live';
+  }
+
+  isReplaying() {
+    return this.getMode() === 'replay';
+  }
+
+  async setMode(mode) {
+    if (!AI_MODES.includes(mode)) {
+      throw PlatformUtils.createError(`Unknown AI mode "${mode}"`, [`Use one of ${AI_MODES.join(', ')}`], 'validation');
+    }
+    await this.load();
+    this.ledger.mode = mode;
+    await this.save(LEDGER_KEY, this.ledger);
+    PlatformUtils.logDebugInfo('AI request mode changed', { mode });
+  }
+
+  // Cache
+
+  // target: { provider, model } the request is sent to
+  cacheKey(params, target) {
+    return this.hash(JSON.stringify([target?.provider || null, target?.model || null, ...this.keyParams(params)]));
+  }
+
+  replayKey(params) {
+    return this.hash(JSON.stringify(this.keyParams(params)));
+  }
+
+  keyParams(params) {
+    return KEY_PARAMS.map(name => params[name] === undefined ? null : params[name]);
+  }
+
+  async getCached(params, target) {
+    await this.load();
+    const key = this.cacheKey(params, target);
+    const entry = this.cache[key];
+    if (!entry) return null;
+
+    if (Date.now() - new Date(entry.storedAt).getTime() > CACHE_TTL_MS) {
+      delete this.cache[key];
+      return null;
+    }
+
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastUsedAt = new Date().toISOString();
+    this.save(CACHE_KEY, this.cache);
+    return { ...entry.response, cached: true, cacheKey: key };
+  }
+
+  async store(params, target, response) {
+    await this.load();
+    const key = this.cacheKey(params, target);
+    const now = new Date().toISOString();
+    this.cache[key] = {
+      response: this.storedResponse(response),
+      storedAt: now,
+      lastUsedAt: now,
+      hits: 0
+    };
+
+    // Least recently used entries go first
+    const keys = Object.keys(this.cache);
+    if (keys.length > MAX_CACHE_ENTRIES) {
+      keys
+        .sort((a, b) => this.cache[a].lastUsedAt.localeCompare(this.cache[b].lastUsedAt))
+        .slice(0, keys.length - MAX_CACHE_ENTRIES)
+        .forEach(oldKey => delete this.cache[oldKey]);
+    }
+
+    await this.save(CACHE_KEY, this.cache);
+    return key;
+  }
+
+  // A reply that turned out unusable (e.g. rejected by its contract) must
+  // not be served again
+  async evict(key) {
+    await this.load();
+    if (key && this.cache[key]) {
+      delete this.cache[key];
+      await this.save(CACHE_KEY, this.cache);
+    }
+  }
+
+  async clearCache() {
+    await this.load();
+    this.cache = {};
+    await this.save(CACHE_KEY, this.cache);
+  }
+
+  storedResponse(response) {
+    return {
+      text: response.text,
+      model: response.model || null,
+      provider: response.provider || null,
+      usage: response.usage || null
+    };
+  }
+
+  // Budgets
+
+  getBudget() {
+    return { ...DEFAULT_BUDGET, ...this.ledger?.budget };
+  }
+
+  async setBudget(changes) {
+    await this.load();
+    const budget = this.getBudget();
+    ['dailyRequests', 'dailyTokens'].forEach(name => {
+      if (changes[name] !== undefined) {
+        budget[name] = Math.max(0, Math.round(Number(changes[name]) || 0));
+      }
+    });
+    this.ledger.budget = budget;
+    await this.save(LEDGER_KEY, this.ledger);
+    return budget;
+  }
+
+  // Throws ai_budget_exceeded when the request would go over today's
+  // budget; batch requests only get BATCH_SHARE of it
+  async checkBudget(userId, params, priority = 'interactive') {
+    await this.load();
+    const budget = this.getBudget();
+    const today = this.getDay(userId);
+    const share = priority === 'batch' ? BATCH_SHARE : 1;
+    const tokens = this.estimateTokens(params.prompt) + (Number(params.maxTokens) || 0);
+
+    const overRequests = budget.dailyRequests > 0 && today.requests + 1 > budget.dailyRequests * share;
+    const overTokens = budget.dailyTokens > 0 && today.tokens + tokens > budget.dailyTokens * share;
+    if (!overRequests && !overTokens) return;
+
+    throw PlatformUtils.createError(
+      priority === 'batch'
+        ? 'Background AI requests are paused for today to keep budget for your own requests'
+        : 'Today\'s AI budget is used up',
+      [
+        'Rule-based suggestions are used until the budget resets at midnight',
+        'The daily limits can be raised in AI settings'
+      ],
+      'ai_budget_exceeded',
+      { userId, priority, requests: today.requests, tokens: today.tokens, budget }
+    );
+  }
+
+  async recordUsage(userId, { tokens = 0, cached = false, priority = 'interactive' } = {}) {
+    await this.load();
+    const day = this.getDay(userId);
+    if (cached) {
+      day.cachedHits += 1;
+    } else {
+      day.requests += 1;
+      day.tokens += tokens;
+      if (priority === 'batch') day.batchRequests += 1;
+    }
+
+    this.pruneLedger();
+    await this.save(LEDGER_KEY, this.ledger);
+  }
+
+  // Provider-reported usage where available, otherwise estimated
+  tokensFor(params, response) {
+    return response.usage?.total_tokens ||
+      this.estimateTokens(params.prompt) + this.estimateTokens(response.text);
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+  }
+
+  getDay(userId, date = new Date()) {
+    const users = this.ledger.users;
+    const key = this.dayKey(date);
+    users[userId] = users[userId] || {};
+    users[userId][key] = users[userId][key] || { requests: 0, tokens: 0, cachedHits: 0, batchRequests: 0 };
+    return users[userId][key];
+  }
+
+  pruneLedger() {
+    const cutoff = this.dayKey(new Date(Date.now() - LEDGER_DAYS * 24 * 60 * 60 * 1000));
+    Object.values(this.ledger.users).forEach(days => {
+      Object.keys(days).forEach(day => {
+        if (day < cutoff) delete days[day];
+      });
+    });
+  }
+
+  // Record / replay
+
+  async saveRecording(params, response) {
+    await this.load();
+    this.recordings[this.replayKey(params)] = {
+      prompt: String(params.prompt || '').substring(0, 200),
+      response: this.storedResponse(response),
+      recordedAt: new Date().toISOString()
+    };
+    await this.save(RECORDINGS_KEY, this.recordings);
+  }
+
+  // Throws ai_replay_miss when the request was never recorded, so a replayed
+  // flow fails the same way every time instead of reaching the network
+  async replay(params) {
+    await this.load();
+    const recording = this.recordings[this.replayKey(params)];
+    if (!recording) {
+      throw PlatformUtils.createError('No recorded reply for this AI request', [
+        'Run the flow once in record mode to capture its replies',
+        'Switch back to live mode to use the language model'
+      ], 'ai_replay_miss', { prompt: String(params.prompt || '').substring(0, 200) });
+    }
+    return { ...recording.response, replayed: true };
+  }
+
+  async exportRecordings() {
+    await this.load();
+    return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), recordings: this.recordings });
+  }
+
+  // Recordings from exportRecordings(), e.g. fixtures for a test run
+  async importRecordings(json, { replace = false } = {}) {
+    await this.load();
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data.recordings !== 'object') {
+      throw PlatformUtils.createError('Not an AI recordings file', ['Export recordings from AI settings in record mode'], 'validation');
+    }
+
+    this.recordings = replace ? { ...data.recordings } : { ...this.recordings, ...data.recordings };
+    await this.save(RECORDINGS_KEY, this.recordings);
+    return Object.keys(this.recordings).length;
+  }
+
+  async clearRecordings() {
+    await this.load();
+    this.recordings = {};
+    await this.save(RECORDINGS_KEY, this.recordings);
+  }
+
+  // Summary
+
+  async getSummary(userId) {
+    await this.load();
+    const id = userId || await this.currentUser();
+    const budget = this.getBudget();
+    const today = { ...this.getDay(id) };
+    const cacheEntries = Object.values(this.cache);
+
+    const history = Array.from({ length: 7 }, (_, index) => {
+      const date = new Date(Date.now() - (6 - index) * 24 * 60 * 60 * 1000);
+      const day = this.ledger.users[id]?.[this.dayKey(date)];
+      return { day: this.dayKey(date), requests: day?.requests || 0, tokens: day?.tokens || 0, cachedHits: day?.cachedHits || 0 };
+    });
+
+    return {
+      userId: id,
+      mode: this.getMode(),
+      budget,
+      today,
+      remaining: {
+        requests: budget.dailyRequests > 0 ? Math.max(0, budget.dailyRequests - today.requests) : null,
+        tokens: budget.dailyTokens > 0 ? Math.max(0, budget.dailyTokens - today.tokens) : null
+      },
+      cache: {
+        entries: cacheEntries.length,
+        hits: cacheEntries.reduce((sum, entry) => sum + (entry.hits || 0), 0)
+      },
+      recordings: Object.keys(this.recordings).length,
+      history
+    };
+  }
+
+  dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  // FNV-1a over the serialized request, with the length to make collisions
+  // between different prompts even less likely
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16)}_${text.length}`;
+  }
+}
+
+export default new AIUsage();
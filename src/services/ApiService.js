@@ -41,6 +41,19 @@ class ApiService {
     AsyncStorage.removeItem('user_data');
   }
 
+  // Generic requests, for services that build their own endpoint paths
+  get(url, params) {
+    return this.api.get(url, params);
+  }
+
+  post(url, data) {
+    return this.api.post(url, data);
+  }
+
+  put(url, data) {
+    return this.api.put(url, data);
+  }
+
   // Auth endpoints
   login(credentials) {
     return this.api.post('/auth/login', credentials);
@@ -0,0 +1,209 @@
+//src/services/AthleteRecords.js
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { auth, db } from '../config/firebase.config';
+
+const STORAGE_KEY = 'athlete_record_audiences';
+const GUARDIAN_LINKS_COLLECTION = 'guardian_links';
+// The web SDK holds writes until it is back online; stop waiting and retry
+// on the next sync instead
+const REMOTE_TIMEOUT_MS = 10000;
+
+// Firestore access for records kept about one athlete. The rules let the
+// athlete and the coaches listed in a record's coachIds read it, and for
+// some collections the guardians in guardianIds too, so every record
+// carries those lists and every query takes a form the rules can check:
+// the signed-in user's own records, or those naming them as coach or
+// guardian. Nothing else links coaches to athletes, so coachIds is learned
+// from the records: a coach who writes one joins it, and each device
+// remembers who it has seen on an athlete's records for the next record it
+// writes. Guardians come from the athlete's guardian link, which only the
+// athlete's own device reads; coaches' devices learn them the same way.
+class AthleteRecords {
+  constructor() {
+    this.audiences = null;
+    this.guardianLinks = new Map();
+    this.loadPromise = null;
+  }
+
+  async load() {
+    if (this.audiences) return this.audiences;
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(STORAGE_KEY);
+        this.audiences = stored ? JSON.parse(stored) : {};
+      } catch (error) {
+        console.error('Error loading record audiences:', error);
+        this.audiences = {};
+      } finally {
+        this.loadPromise = null;
+      }
+      return this.audiences;
+    })();
+
+    return this.loadPromise;
+  }
+
+  async persist() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.audiences));
+    } catch (error) {
+      console.warn('Could not save record audiences:', error.message);
+    }
+  }
+
+  // The signed-in Firebase user, the identity the rules check
+  currentUserId() {
+    return auth?.currentUser?.uid || null;
+  }
+
+  // coachIds for a new or changed record about athleteId: those already on
+  // it, those seen on the athlete's other records, and the signed-in user
+  // unless they are the athlete
+  async audienceFor(athleteId, existing = null) {
+    const id = String(athleteId);
+    const known = (await this.load())[id];
+    const userId = this.currentUserId();
+
+    return {
+      coachIds: this.union(existing?.coachIds, known?.coachIds, userId && userId !== id ? [userId] : [])
+    };
+  }
+
+  // guardianIds for a new or changed record about athleteId
+  async guardiansFor(athleteId, existing = null) {
+    const id = String(athleteId);
+    const known = (await this.load())[id];
+    const linked = this.currentUserId() === id ? await this.getGuardianIds(id) : [];
+
+    return {
+      guardianIds: this.union(existing?.guardianIds, known?.guardianIds, linked)
+    };
+  }
+
+  // Guardians on the athlete's guardian_links document; none while offline
+  async getGuardianIds(athleteId) {
+    if (this.guardianLinks.has(athleteId)) return this.guardianLinks.get(athleteId);
+    if (!db) return [];
+
+    try {
+      let link = null;
+      if (Platform.OS === 'web') {
+        const { doc, getDoc } = require('firebase/firestore');
+        const linkDoc = await getDoc(doc(db, GUARDIAN_LINKS_COLLECTION, athleteId));
+        if (linkDoc.exists()) link = linkDoc.data();
+      } else {
+        const linkDoc = await db.collection(GUARDIAN_LINKS_COLLECTION).doc(athleteId).get();
+        if (linkDoc.exists) link = linkDoc.data();
+      }
+
+      const guardianIds = link?.guardianIds || [];
+      this.guardianLinks.set(athleteId, guardianIds);
+      return guardianIds;
+    } catch (error) {
+      console.warn('Guardian link lookup failed:', error.message);
+      return [];
+    }
+  }
+
+  // The athlete's guardian link changed; read it again on the next record
+  forgetGuardians(athleteId) {
+    this.guardianLinks.delete(String(athleteId));
+  }
+
+  async remember(records) {
+    const audiences = await this.load();
+    let changed = false;
+
+    records.forEach(record => {
+      if (record?.athleteId == null) return;
+      const known = audiences[record.athleteId] || {};
+      const coachIds = this.union(known.coachIds, record.coachIds);
+      const guardianIds = this.union(known.guardianIds, record.guardianIds);
+      if (coachIds.length !== (known.coachIds || []).length || guardianIds.length !== (known.guardianIds || []).length) {
+        audiences[record.athleteId] = { coachIds, guardianIds };
+        changed = true;
+      }
+    });
+
+    if (changed) await this.persist();
+  }
+
+  union(...lists) {
+    return [...new Set(lists.flatMap(list => list || []).map(String))];
+  }
+
+  // Every record of the collection the signed-in user may read; guardians
+  // only for collections whose rules admit them. complete is false when a
+  // query was capped at max and may have left records out.
+  async query(collectionName, max, { guardians = false } = {}) {
+    if (!db) throw new Error('Firestore is not available');
+    const userId = this.currentUserId();
+    if (!userId) throw new Error('Sign in to sync shared records');
+
+    const results = await Promise.all([
+      this.runQuery(collectionName, 'athleteId', '==', userId, max),
+      this.runQuery(collectionName, 'coachIds', 'array-contains', userId, max),
+      ...(guardians ? [this.runQuery(collectionName, 'guardianIds', 'array-contains', userId, max)] : [])
+    ]);
+    const records = [...new Map(results.flat().map(record => [record.id, record])).values()];
+
+    await this.remember(records);
+    return { records, complete: results.every(result => result.length < max) };
+  }
+
+  async runQuery(collectionName, field, operator, value, max) {
+    if (Platform.OS === 'web') {
+      const { collection, query, where, limit, getDocs } = require('firebase/firestore');
+      const snapshot = await getDocs(query(collection(db, collectionName), where(field, operator, value), limit(max)));
+      return snapshot.docs.map(doc => doc.data());
+    }
+
+    const snapshot = await db.collection(collectionName).where(field, operator, value).limit(max).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // record null to delete
+  async write(collectionName, id, record) {
+    if (!db) throw new Error('Firestore is not available');
+
+    // Firestore rejects undefined fields
+    const data = record ? JSON.parse(JSON.stringify(record)) : null;
+    let write;
+    if (Platform.OS === 'web') {
+      const { doc, setDoc, deleteDoc } = require('firebase/firestore');
+      const ref = doc(db, collectionName, id);
+      write = data ? setDoc(ref, data) : deleteDoc(ref);
+    } else {
+      const ref = db.collection(collectionName).doc(id);
+      write = data ? ref.set(data) : ref.delete();
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Firestore did not confirm the change in time')), REMOTE_TIMEOUT_MS);
+    });
+    try {
+      await Promise.race([write, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (data) await this.remember([data]);
+  }
+
+  // Refused by the rules: sending the change again cannot succeed
+  isRejected(error) {
+    return String(error?.code || '').includes('permission-denied');
+  }
+
+  async clear() {
+    this.audiences = {};
+    this.guardianLinks.clear();
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+export default new AthleteRecords();
@@ -0,0 +1,59 @@
+//src/services/AttachmentStore.js
+
+const DB_NAME = 'chat_attachments';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+
+// Web-only IndexedDB store for the bytes of attachments waiting to upload.
+// Object URLs die with the page, so queued uploads keep their file here and
+// rebuild the Blob when the upload resumes after a reload or in a new tab.
+class AttachmentStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async put(id, blob) {
+    await this.run('readwrite', store => store.put(blob, id));
+  }
+
+  // The stored Blob, or null when it is gone (storage cleared by the user)
+  async get(id) {
+    return (await this.run('readonly', store => store.get(id))) || null;
+  }
+
+  async remove(id) {
+    await this.run('readwrite', store => store.delete(id));
+  }
+}
+
+export default new AttachmentStore();
@@ -0,0 +1,546 @@
+//src/services/CalendarInterchange.js
+import PlatformUtils from '../utils/PlatformUtils';
+
+// iCalendar (RFC 5545) import and export. Many clubs publish their season as
+// a calendar file; its events become dated sessions, and any plan's schedule
+// can be written back out as a feed parents subscribe to.
+export const CALENDAR_FORMAT_ID = 'icalendar';
+export const CALENDAR_MIME_TYPE = 'text/calendar';
+export const CALENDAR_FILE_EXTENSION = '.ics';
+
+const PRODUCT_ID = '-//Acceilla//Training Plans//EN';
+
+// Indexed like Date.getDay()
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Rules without COUNT or UNTIL are expanded this far past their first event
+const RECURRENCE_HORIZON_DAYS = 365;
+// Stops a daily rule with a distant UNTIL from flooding the plan
+const MAX_OCCURRENCES = 500;
+// Matches the week limit of the plan interchange schema
+const MAX_WEEKS = 52;
+
+// Content lines longer than this are folded (the CRLF is not counted)
+const MAX_LINE_OCTETS = 75;
+
+const DEFAULT_DURATION = 90;
+const DEFAULT_TIME = '08:00';
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+class CalendarInterchange {
+  isCalendarFile(text) {
+    return /BEGIN:VCALENDAR/i.test(String(text || ''));
+  }
+
+  // Parse raw .ics text into { name, events, warnings }. Events keep their
+  // properties as { name, params, value } so recurrence can be expanded later.
+  parse(icsText) {
+    const text = String(icsText || '').replace(/^\uFEFF/, '');
+
+    if (!this.isCalendarFile(text)) {
+      throw PlatformUtils.createError('File is not an iCalendar file', [
+        'Export the calendar again as an .ics file',
+        'Check that the file starts with BEGIN:VCALENDAR'
+      ], 'calendar_import_error');
+    }
+
+    const calendar = { name: null, events: [], warnings: [] };
+    const stack = [];
+    let current = null;
+
+    this.unfold(text).forEach(line => {
+      const property = this.parseProperty(line);
+      if (!property) return;
+
+      if (property.name === 'BEGIN') {
+        stack.push(property.value.toUpperCase());
+        if (property.value.toUpperCase() === 'VEVENT') current = { EXDATE: [], RDATE: [] };
+        return;
+      }
+
+      if (property.name === 'END') {
+        if (stack.pop() === 'VEVENT' && current) {
+          calendar.events.push(current);
+          current = null;
+        }
+        return;
+      }
+
+      // Properties of nested components (VALARM, VTIMEZONE) are not needed
+      const component = stack[stack.length - 1];
+      if (component === 'VEVENT' && current) {
+        if (property.name === 'EXDATE' || property.name === 'RDATE') {
+          current[property.name].push(property);
+        } else {
+          current[property.name] = property;
+        }
+      } else if (component === 'VCALENDAR' && property.name === 'X-WR-CALNAME') {
+        calendar.name = this.unescapeText(property.value);
+      }
+    });
+
+    if (calendar.events.length === 0) {
+      throw PlatformUtils.createError('Calendar contains no events', [
+        'Check that the calendar was exported with its events',
+        'Some calendar apps export only free/busy data'
+      ], 'calendar_import_error');
+    }
+
+    return calendar;
+  }
+
+  unfold(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim());
+  }
+
+  // NAME;PARAM=value;PARAM="quoted:value":property value
+  parseProperty(line) {
+    const colon = this.indexOutsideQuotes(line, ':');
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = this.splitOutsideQuotes(line.substring(0, colon), ';');
+    const params = {};
+    paramParts.forEach(part => {
+      const equals = part.indexOf('=');
+      if (equals === -1) return;
+      params[part.substring(0, equals).toUpperCase()] = part.substring(equals + 1).replace(/^"|"$/g, '');
+    });
+
+    return { name: name.trim().toUpperCase(), params, value: line.substring(colon + 1) };
+  }
+
+  indexOutsideQuotes(value, separator) {
+    let quoted = false;
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '"') quoted = !quoted;
+      else if (value[i] === separator && !quoted) return i;
+    }
+    return -1;
+  }
+
+  splitOutsideQuotes(value, separator) {
+    const parts = [];
+    let rest = value;
+    let index = this.indexOutsideQuotes(rest, separator);
+
+    while (index !== -1) {
+      parts.push(rest.substring(0, index));
+      rest = rest.substring(index + 1);
+      index = this.indexOutsideQuotes(rest, separator);
+    }
+    parts.push(rest);
+
+    return parts;
+  }
+
+  unescapeText(value) {
+    return String(value || '').replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // UTC values (trailing Z) are converted to device time. Floating and TZID
+  // values are kept as wall-clock time, which is what the club published.
+  parseDateTime(value) {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0)];
+
+    return {
+      date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts),
+      allDay: hours === undefined
+    };
+  }
+
+  parseDateList(properties) {
+    return properties
+      .flatMap(property => property.value.split(','))
+      .map(value => this.parseDateTime(value))
+      .filter(Boolean)
+      .map(parsed => parsed.date);
+  }
+
+  // ISO 8601 duration as used by DURATION, e.g. PT1H30M or P1D; returns minutes
+  parseDuration(value) {
+    const match = String(value || '').trim().match(/^[+-]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+    return weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes + Math.round(seconds / 60);
+  }
+
+  parseRecurrenceRule(value) {
+    const rule = {};
+    String(value || '').split(';').forEach(part => {
+      const [key, ruleValue] = part.split('=');
+      if (key && ruleValue !== undefined) rule[key.toUpperCase()] = ruleValue.toUpperCase();
+    });
+
+    return {
+      freq: rule.FREQ,
+      interval: Math.max(1, parseInt(rule.INTERVAL || '1', 10)),
+      count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+      until: this.parseUntil(rule.UNTIL),
+      byDay: rule.BYDAY
+        ? rule.BYDAY.split(',').map(day => ({ ordinal: day.slice(0, -2), weekday: RRULE_DAYS[day.slice(-2)] }))
+        : [],
+      // Parts that change which dates match; only BYDAY on weekly rules is understood
+      unsupported: ['BYSETPOS', 'BYMONTH', 'BYMONTHDAY', 'BYYEARDAY', 'BYWEEKNO', 'BYHOUR'].filter(key => rule[key]),
+      raw: value
+    };
+  }
+
+  // A date-only UNTIL still includes events later that day
+  parseUntil(value) {
+    const until = value ? this.parseDateTime(value) : null;
+    if (!until) return null;
+    return until.allDay ? new Date(this.addDays(until.date, 1).getTime() - 1) : until.date;
+  }
+
+  // Start dates of every occurrence of an event, before EXDATEs are removed
+  expandRecurrence(start, rule, warnings, summary) {
+    if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(rule.freq) || rule.unsupported.length > 0 ||
+        (rule.freq !== 'WEEKLY' && rule.byDay.length > 0) || rule.byDay.some(day => day.ordinal)) {
+      warnings.push(`"${summary}" uses a repeat rule that is not supported (${rule.raw}); only its first date was imported`);
+      return [start];
+    }
+
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const until = rule.until || this.addDays(start, rule.count ? MAX_OCCURRENCES * 31 : RECURRENCE_HORIZON_DAYS);
+    const occurrences = [];
+
+    if (rule.freq === 'DAILY') {
+      for (let date = start; date <= until && occurrences.length < limit; date = this.addDays(date, rule.interval)) {
+        occurrences.push(date);
+      }
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (the RFC 5545 default for WKST)
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getDay()];
+      const offsets = [...new Set(weekdays.map(weekday => (weekday + 6) % 7))].sort((a, b) => a - b);
+
+      for (let week = this.startOfWeek(start, true); week <= until && occurrences.length < limit; week = this.addDays(week, 7 * rule.interval)) {
+        for (const offset of offsets) {
+          const date = this.addDays(week, offset);
+          if (date < start) continue;
+          if (date > until || occurrences.length >= limit) break;
+          occurrences.push(date);
+        }
+      }
+    } else {
+      // Months without the start day (e.g. the 31st) are skipped, as RFC 5545 requires
+      for (let step = 0; occurrences.length < limit; step += rule.interval) {
+        const date = new Date(start.getFullYear(), start.getMonth() + step, start.getDate(), start.getHours(), start.getMinutes());
+        if (date > until) break;
+        if (date.getDate() === start.getDate()) occurrences.push(date);
+      }
+    }
+
+    if (occurrences.length >= MAX_OCCURRENCES) {
+      warnings.push(`"${summary}" repeats more than ${MAX_OCCURRENCES} times; later dates were not imported`);
+    }
+
+    return occurrences;
+  }
+
+  // Flatten the calendar into single occurrences, applying EXDATEs, RDATEs,
+  // moved occurrences (RECURRENCE-ID) and cancellations
+  expandEvents(calendar) {
+    const warnings = [...calendar.warnings];
+    const overrides = new Map();
+    const masters = [];
+
+    calendar.events.forEach(event => {
+      if (!this.parseDateTime(event.DTSTART?.value)) {
+        warnings.push(`Skipped "${this.unescapeText(event.SUMMARY?.value) || 'Untitled event'}": it has no valid start date`);
+        return;
+      }
+
+      if (event['RECURRENCE-ID']) {
+        const key = `${event.UID?.value}|${this.parseDateTime(event['RECURRENCE-ID'].value)?.date.getTime()}`;
+        overrides.set(key, event);
+      } else {
+        masters.push(event);
+      }
+    });
+
+    const occurrences = masters.flatMap((event, eventIndex) => {
+      const start = this.parseDateTime(event.DTSTART.value);
+      const summary = this.unescapeText(event.SUMMARY?.value) || 'Training Session';
+      const rule = event.RRULE ? this.parseRecurrenceRule(event.RRULE.value) : null;
+      const excluded = new Set(this.parseDateList(event.EXDATE).map(date => date.getTime()));
+
+      const dates = [
+        ...(rule ? this.expandRecurrence(start.date, rule, warnings, summary) : [start.date]),
+        ...this.parseDateList(event.RDATE)
+      ].filter(date => !excluded.has(date.getTime()));
+
+      return dates.map(date => {
+        const override = overrides.get(`${event.UID?.value}|${date.getTime()}`);
+        return this.toOccurrence(override || event, override ? null : date, eventIndex, rule);
+      });
+    });
+
+    return {
+      occurrences: occurrences
+        .filter(occurrence => occurrence && occurrence.status !== 'CANCELLED')
+        .sort((a, b) => a.start - b.start),
+      warnings
+    };
+  }
+
+  toOccurrence(event, date, eventIndex, rule) {
+    const start = this.parseDateTime(event.DTSTART.value);
+    const end = this.parseDateTime(event.DTEND?.value);
+    const startDate = date || start.date;
+
+    let duration = this.parseDuration(event.DURATION?.value);
+    if (duration === null && end && !start.allDay) {
+      duration = Math.round((end.date - start.date) / MS_PER_MINUTE);
+    }
+
+    return {
+      uid: event.UID?.value || `event_${eventIndex}`,
+      summary: this.unescapeText(event.SUMMARY?.value).trim() || 'Training Session',
+      description: this.unescapeText(event.DESCRIPTION?.value).trim(),
+      location: this.unescapeText(event.LOCATION?.value).trim(),
+      categories: event.CATEGORIES
+        ? this.splitOutsideQuotes(event.CATEGORIES.value, ',').map(category => this.unescapeText(category).trim()).filter(Boolean)
+        : [],
+      status: (event.STATUS?.value || '').toUpperCase(),
+      start: startDate,
+      allDay: start.allDay,
+      // Multi-day events (tournaments, camps) keep the default session length
+      duration: duration > 0 && duration < 24 * 60 ? duration : DEFAULT_DURATION,
+      recurrenceRule: rule ? rule.raw : null
+    };
+  }
+
+  // Convert a parsed calendar into the week/dailySessions shape produced by
+  // SessionExtractor. Weeks are counted from the Monday of the first event.
+  importWeeks(calendar, details = {}) {
+    const { occurrences, warnings } = this.expandEvents(calendar);
+
+    if (occurrences.length === 0) {
+      throw PlatformUtils.createError('Calendar contains no upcoming sessions', [
+        'All events in the file were cancelled or excluded',
+        'Check the date range exported from your calendar app'
+      ], 'calendar_import_error');
+    }
+
+    const firstWeek = this.startOfWeek(occurrences[0].start);
+    const academyName = details.academyName || calendar.name || 'Training Academy';
+    const weekMap = new Map();
+    let droppedCount = 0;
+
+    occurrences.forEach(occurrence => {
+      // Rounded because a daylight saving change makes a week 1 hour short or long
+      const weekNumber = Math.round((this.startOfWeek(occurrence.start) - firstWeek) / (7 * MS_PER_DAY)) + 1;
+      if (weekNumber > MAX_WEEKS) {
+        droppedCount++;
+        return;
+      }
+
+      if (!weekMap.has(weekNumber)) weekMap.set(weekNumber, []);
+      weekMap.get(weekNumber).push(occurrence);
+    });
+
+    if (droppedCount > 0) {
+      warnings.push(`${droppedCount} event(s) more than ${MAX_WEEKS} weeks after the first one were not imported`);
+    }
+
+    const weeks = Array.from(weekMap.entries()).map(([weekNumber, weekOccurrences]) => {
+      const weekStart = this.addDays(firstWeek, (weekNumber - 1) * 7);
+      const dailySessions = weekOccurrences.map((occurrence, index) =>
+        this.toSession(occurrence, weekNumber, index + 1, academyName, details)
+      );
+
+      return {
+        id: `week_${weekNumber}_ics_${Date.now()}`,
+        weekNumber,
+        title: `Week ${weekNumber}`,
+        description: `Week of ${this.formatDate(weekStart)}`,
+        dailySessions,
+        totalDuration: dailySessions.reduce((sum, session) => sum + session.duration, 0),
+        focus: [...new Set(dailySessions.flatMap(session => session.focus))],
+        notes: [],
+        academyName,
+        sport: details.sport || 'general',
+        startDate: this.formatDate(weekStart)
+      };
+    });
+
+    return { weeks, warnings, occurrenceCount: occurrences.length - droppedCount };
+  }
+
+  toSession(occurrence, weekNumber, dayNumber, academyName, details) {
+    const descriptionLines = occurrence.description.split('\n').map(line => line.trim()).filter(Boolean);
+
+    return {
+      id: `session_${weekNumber}_${dayNumber}_ics_${Date.now()}`,
+      weekNumber,
+      dayNumber,
+      title: occurrence.summary,
+      day: DAY_NAMES[occurrence.start.getDay()],
+      date: this.formatDate(occurrence.start),
+      time: occurrence.allDay ? DEFAULT_TIME : this.formatTime(occurrence.start),
+      allDay: occurrence.allDay,
+      duration: occurrence.duration,
+      location: occurrence.location || 'Training Field',
+      type: occurrence.categories[0] || 'Team Training',
+      participants: 15,
+      status: 'scheduled',
+      academyName,
+      sport: details.sport || 'general',
+      ageGroup: details.ageGroup || 'Youth',
+      difficulty: details.difficulty || 'intermediate',
+      activities: descriptionLines,
+      drills: [],
+      objectives: [],
+      equipment: [],
+      notes: occurrence.description,
+      rawContent: occurrence.description,
+      documentContent: occurrence.description,
+      completionRate: 0,
+      focus: occurrence.categories,
+      week: `Week ${weekNumber}`,
+      weekDescription: '',
+      calendarEvent: {
+        uid: occurrence.uid,
+        recurrenceRule: occurrence.recurrenceRule
+      }
+    };
+  }
+
+  // Write a schedule from createOptimalSessionSchedule as an .ics feed.
+  // UIDs depend only on plan, week and day so a re-exported feed updates the
+  // events subscribers already have instead of adding duplicates.
+  exportSchedule(trainingPlan, sessions, details = {}) {
+    const stamp = this.formatUTC(new Date());
+    const title = trainingPlan.title || 'Training Plan';
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(title)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+      'X-PUBLISHED-TTL:PT12H'
+    ];
+
+    (sessions || []).forEach(session => {
+      const start = this.toDateTimeValue(session.date, session.time);
+      if (!start) return;
+
+      const focus = Array.isArray(session.focus) ? session.focus.join(', ') : session.focus;
+      const description = [
+        focus && `Focus: ${focus}`,
+        typeof session.intensity === 'number' && `Intensity: ${session.intensity}%`,
+        details.description
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${this.escapeText(`${trainingPlan.id}-w${session.week}-${session.day}`)}@acceilla`,
+        `DTSTAMP:${stamp}`,
+        // Floating local time: the session happens at the club's wall-clock time
+        `DTSTART:${start}`,
+        `DURATION:PT${Math.max(1, Math.round(Number(session.duration) || DEFAULT_DURATION))}M`,
+        `SUMMARY:${this.escapeText(`${title} - Week ${session.week}${session.type ? ` (${this.capitalize(session.type)})` : ''}`)}`
+      );
+
+      if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+      if (details.location) lines.push(`LOCATION:${this.escapeText(details.location)}`);
+      if (session.type) lines.push(`CATEGORIES:${this.escapeText(this.capitalize(session.type))}`);
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  // Continuation lines start with a space, which counts towards the limit
+  fold(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = this.octetLength(char);
+      if (octets + size > MAX_LINE_OCTETS) {
+        chunks.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n');
+  }
+
+  octetLength(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+  }
+
+  // Helpers
+  toDateTimeValue(date, time) {
+    const dateMatch = String(date || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!dateMatch) return null;
+
+    const timeMatch = String(time || DEFAULT_TIME).match(/^(\d{1,2}):(\d{2})$/);
+    const [hours, minutes] = timeMatch ? [timeMatch[1].padStart(2, '0'), timeMatch[2]] : DEFAULT_TIME.split(':');
+
+    return `${dateMatch[1]}${dateMatch[2]}${dateMatch[3]}T${hours}${minutes}00`;
+  }
+
+  formatUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  formatTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  // Keeps the wall-clock time across daylight saving changes
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes(), date.getSeconds());
+  }
+
+  startOfWeek(date, keepTime = false) {
+    const monday = this.addDays(date, -((date.getDay() + 6) % 7));
+    if (!keepTime) monday.setHours(0, 0, 0, 0);
+    return monday;
+  }
+
+  capitalize(value) {
+    const text = String(value || '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+export default new CalendarInterchange();
@@ -0,0 +1,412 @@
+//src/services/ChatMedia.js
+import PlatformUtils from '../utils/PlatformUtils';
+import AttachmentStore from './AttachmentStore';
+
+const STAGING_DIR = 'chat_attachments/';
+// Staged copies on web live in AttachmentStore under this URI scheme
+const WEB_STAGING_PREFIX = `indexeddb://${STAGING_DIR}`;
+
+// Images larger than this on their long edge are scaled down before upload
+const IMAGE_MAX_EDGE = 1600;
+const IMAGE_QUALITY = 0.7;
+const THUMBNAIL_EDGE = 240;
+// Thumbnails travel inside the message as data URIs, so they must stay small
+const MAX_THUMBNAIL_BYTES = 60 * 1024;
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'heic', 'heif', 'webp', 'gif'];
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'm4v', '3gp', 'webm'];
+const AUDIO_EXTENSIONS = ['m4a', 'aac', 'mp3', 'wav', 'caf', 'ogg'];
+
+export const VOICE_NOTE_MAX_MS = 5 * 60 * 1000;
+export const VIDEO_CLIP_MAX_MS = 60 * 1000;
+
+// Voice note waveforms are stored on the message as bar heights from 0-100.
+// Recorder metering is in dBFS; anything below the floor counts as silence.
+const WAVEFORM_BARS = 40;
+const METERING_FLOOR_DB = -60;
+
+// Client-side preparation of chat attachments: compression, thumbnails and a
+// local staging copy that survives until the upload has finished. Everything
+// degrades to a no-op when the native modules are missing (web, Expo Go), in
+// which case the original file is sent as picked.
+class ChatMedia {
+  constructor() {
+    this.compressor = undefined;
+    this.fileSystem = undefined;
+    this.trimmer = undefined;
+    // Object URLs for files staged on web during this page load
+    this.previewUris = new Map();
+  }
+
+  async getCompressor() {
+    if (this.compressor === undefined) {
+      this.compressor = await PlatformUtils.loadMediaCompressor();
+    }
+    return this.compressor;
+  }
+
+  async getFileSystem() {
+    if (this.fileSystem === undefined) {
+      this.fileSystem = await PlatformUtils.loadFileSystem();
+    }
+    return this.fileSystem;
+  }
+
+  async getTrimmer() {
+    if (this.trimmer === undefined) {
+      this.trimmer = await PlatformUtils.loadVideoTrimmer();
+    }
+    return this.trimmer;
+  }
+
+  // image | video | audio | file
+  kindOf(file) {
+    const type = (file.type || file.mimeType || '').toLowerCase();
+    if (type.startsWith('image')) return 'image';
+    if (type.startsWith('video')) return 'video';
+    if (type.startsWith('audio')) return 'audio';
+
+    const extension = (file.name || file.uri || '').split('?')[0].split('.').pop().toLowerCase();
+    if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    return 'file';
+  }
+
+  // Accepts picker results from expo-image-picker and expo-document-picker
+  // as well as plain { uri, name, type, size } objects
+  normalize(file) {
+    const uri = file.uri || file.fileCopyUri;
+    const name = file.name || file.fileName || uri?.split('/').pop() || `attachment_${Date.now()}`;
+    const normalized = {
+      uri,
+      name,
+      type: file.type && file.type.includes('/') ? file.type : (file.mimeType || null),
+      size: file.size ?? file.fileSize ?? null,
+      width: file.width || null,
+      height: file.height || null,
+      duration: file.duration || null,
+      waveform: file.waveform || null,
+      trim: file.trim || null,
+      posterTime: file.posterTime ?? null
+    };
+    normalized.kind = this.kindOf({ ...normalized, type: normalized.type || file.type });
+    if (!normalized.type) {
+      normalized.type = normalized.kind === 'image' ? 'image/jpeg'
+        : normalized.kind === 'video' ? 'video/mp4'
+        : normalized.kind === 'audio' ? 'audio/mp4'
+        : 'application/octet-stream';
+    }
+    return normalized;
+  }
+
+  async getSize(uri) {
+    const fileSystem = await this.getFileSystem();
+    if (!fileSystem || !uri) return null;
+
+    try {
+      const info = await fileSystem.getInfoAsync(uri, { size: true });
+      return info.exists ? info.size : null;
+    } catch (error) {
+      console.warn('Could not read attachment size:', error.message);
+      return null;
+    }
+  }
+
+  // Returns the file to upload; the original is returned untouched when it
+  // cannot be compressed or compression would not make it smaller
+  async compress(file, onProgress = null) {
+    const normalized = this.normalize(file);
+    if (normalized.kind === 'file' || normalized.kind === 'audio') return normalized;
+
+    const compressor = await this.getCompressor();
+    if (!compressor) return normalized;
+
+    try {
+      let uri;
+      if (normalized.kind === 'image') {
+        uri = await compressor.Image.compress(normalized.uri, {
+          compressionMethod: 'manual',
+          maxWidth: IMAGE_MAX_EDGE,
+          maxHeight: IMAGE_MAX_EDGE,
+          quality: IMAGE_QUALITY,
+          output: 'jpg'
+        });
+      } else {
+        uri = await compressor.Video.compress(
+          normalized.uri,
+          { compressionMethod: 'auto' },
+          progress => onProgress && onProgress(progress * 100)
+        );
+      }
+
+      const size = await this.getSize(uri);
+      const originalSize = normalized.size ?? await this.getSize(normalized.uri);
+      if (!size || (originalSize && size >= originalSize)) {
+        return { ...normalized, size: originalSize };
+      }
+
+      return {
+        ...normalized,
+        uri,
+        size,
+        type: normalized.kind === 'image' ? 'image/jpeg' : 'video/mp4',
+        name: normalized.kind === 'image' ? normalized.name.replace(/\.\w+$/, '') + '.jpg' : normalized.name,
+        compressed: true,
+        originalSize
+      };
+    } catch (error) {
+      console.warn('Attachment compression failed, sending original:', error.message);
+      return normalized;
+    }
+  }
+
+  // Small preview shown in the thread while the upload is pending and kept
+  // on the message afterwards. Videos use the chosen poster frame when the
+  // trimmer is available. Documents and voice notes get no thumbnail.
+  async createThumbnail(file) {
+    const compressor = await this.getCompressor();
+    const fileSystem = await this.getFileSystem();
+    if (!compressor || !fileSystem || file.kind === 'file' || file.kind === 'audio') return null;
+
+    try {
+      let source = file.uri;
+      if (file.kind === 'video') {
+        source = await this.createPosterFrame(file)
+          || this.toFileUri((await compressor.createVideoThumbnail(file.uri)).path);
+      }
+
+      const thumbnailUri = await compressor.Image.compress(source, {
+        compressionMethod: 'manual',
+        maxWidth: THUMBNAIL_EDGE,
+        maxHeight: THUMBNAIL_EDGE,
+        quality: 0.5,
+        output: 'jpg'
+      });
+      const base64 = await fileSystem.readAsStringAsync(thumbnailUri, { encoding: 'base64' });
+      if (base64.length > MAX_THUMBNAIL_BYTES) return null;
+
+      return `data:image/jpeg;base64,${base64}`;
+    } catch (error) {
+      console.warn('Could not create attachment thumbnail:', error.message);
+      return null;
+    }
+  }
+
+  // posterTime is in milliseconds from the start of the clip as sent
+  async createPosterFrame(file) {
+    const trimmer = await this.getTrimmer();
+    if (!trimmer || file.posterTime == null) return null;
+
+    try {
+      const frame = await trimmer.getFrameAt(file.uri, {
+        time: (file.trim?.start || 0) + file.posterTime,
+        format: 'jpeg',
+        maxWidth: THUMBNAIL_EDGE * 2
+      });
+      return this.toFileUri(frame.outputPath);
+    } catch (error) {
+      console.warn('Could not grab poster frame:', error.message);
+      return null;
+    }
+  }
+
+  toFileUri(path) {
+    return path.startsWith('file://') ? path : `file://${path}`;
+  }
+
+  // Cuts a video down to [startMs, endMs). Without the native trimmer (web,
+  // Expo Go) the whole file is sent with a trim window that players respect,
+  // so only videos within the clip limit are accepted there.
+  async trimVideo(file, startMs, endMs) {
+    const normalized = this.normalize(file);
+    const start = Math.max(0, Math.round(startMs));
+    const end = Math.round(endMs);
+
+    if (end <= start) throw new Error('The clip must be longer than zero seconds');
+    if (end - start > VIDEO_CLIP_MAX_MS) {
+      throw PlatformUtils.createError(
+        `Clips can be up to ${VIDEO_CLIP_MAX_MS / 1000} seconds long`,
+        ['Move the start or end handle to shorten the clip'],
+        'clip_too_long',
+        { duration: end - start, maxDuration: VIDEO_CLIP_MAX_MS }
+      );
+    }
+
+    if (start === 0 && normalized.duration && end >= normalized.duration) {
+      return normalized;
+    }
+
+    const trimmer = await this.getTrimmer();
+    if (trimmer) {
+      try {
+        const result = await trimmer.trim(normalized.uri, {
+          type: 'video',
+          outputExt: 'mp4',
+          startTime: start,
+          endTime: end
+        });
+        if (result.success) {
+          return {
+            ...normalized,
+            uri: this.toFileUri(result.outputPath),
+            name: normalized.name.replace(/\.\w+$/, '') + '_clip.mp4',
+            type: 'video/mp4',
+            size: null,
+            duration: result.duration,
+            trim: null
+          };
+        }
+      } catch (error) {
+        console.warn('Video trim failed, sending with a playback window:', error.message);
+      }
+    }
+
+    if (!normalized.duration || normalized.duration > VIDEO_CLIP_MAX_MS) {
+      throw PlatformUtils.createError(
+        `Videos can only be cut on the mobile app; send one up to ${VIDEO_CLIP_MAX_MS / 1000} seconds long`,
+        ['Trim the video in your gallery or camera app first', 'Send it from the mobile app instead'],
+        'clip_too_long',
+        { duration: normalized.duration, maxDuration: VIDEO_CLIP_MAX_MS }
+      );
+    }
+
+    return { ...normalized, duration: end - start, trim: { start, end } };
+  }
+
+  // Recorder metering (dBFS) as a level from 0 to 1
+  meteringLevel(db) {
+    return Math.min(1, Math.max(0, (db - METERING_FLOOR_DB) / -METERING_FLOOR_DB));
+  }
+
+  // Reduces recorder metering samples (dBFS, one per status update) to a
+  // fixed number of bars for the voice note preview
+  buildWaveform(samples, bars = WAVEFORM_BARS) {
+    const levels = (samples || [])
+      .filter(sample => typeof sample === 'number' && !Number.isNaN(sample))
+      .map(db => this.meteringLevel(db));
+    if (levels.length === 0) return null;
+
+    const waveform = [];
+    for (let i = 0; i < bars; i++) {
+      const from = Math.floor((i * levels.length) / bars);
+      const to = Math.max(from + 1, Math.floor(((i + 1) * levels.length) / bars));
+      const bucket = levels.slice(from, to);
+      const peak = bucket.length ? Math.max(...bucket) : 0;
+      waveform.push(Math.max(4, Math.round(peak * 100)));
+    }
+    return waveform;
+  }
+
+  // Copies the file into app storage so the queued upload does not depend on
+  // picker or compressor cache files, which the OS may clear. On web the
+  // bytes go to IndexedDB, because the picked blob: URL does not outlive the
+  // page.
+  async stage(file, attachmentId) {
+    const fileSystem = await this.getFileSystem();
+    if (!fileSystem || !fileSystem.documentDirectory) {
+      if (!AttachmentStore.isAvailable()) return file.uri;
+
+      const blob = await (await fetch(file.uri)).blob();
+      await AttachmentStore.put(attachmentId, blob);
+      const uri = `${WEB_STAGING_PREFIX}${attachmentId}`;
+      this.previewUris.set(uri, file.uri);
+      return uri;
+    }
+
+    const directory = fileSystem.documentDirectory + STAGING_DIR;
+    const safeName = file.name.replace(/[^\w.-]/g, '_');
+    const target = `${directory}${attachmentId}_${safeName}`;
+
+    await fileSystem.makeDirectoryAsync(directory, { intermediates: true }).catch(() => {});
+    await fileSystem.copyAsync({ from: file.uri, to: target });
+    return target;
+  }
+
+  isWebStaged(uri) {
+    return typeof uri === 'string' && uri.startsWith(WEB_STAGING_PREFIX);
+  }
+
+  // The staged file as a Blob, for uploads on web
+  async readBlob(uri) {
+    if (!this.isWebStaged(uri)) {
+      return (await fetch(uri)).blob();
+    }
+
+    const blob = await AttachmentStore.get(uri.slice(WEB_STAGING_PREFIX.length));
+    if (!blob) {
+      throw PlatformUtils.createError(
+        'This attachment is no longer stored in the browser',
+        ['Attach the file again'],
+        'attachment_missing',
+        { uri }
+      );
+    }
+    return blob;
+  }
+
+  // A URI players can load. Files staged on web only have one until the
+  // page is reloaded; after that they play once uploaded.
+  playableUri(uri) {
+    return this.isWebStaged(uri) ? this.previewUris.get(uri) || null : uri || null;
+  }
+
+  async discard(uri) {
+    if (this.isWebStaged(uri)) {
+      this.previewUris.delete(uri);
+      try {
+        await AttachmentStore.remove(uri.slice(WEB_STAGING_PREFIX.length));
+      } catch (error) {
+        console.warn('Could not remove staged attachment:', error.message);
+      }
+      return;
+    }
+
+    const fileSystem = await this.getFileSystem();
+    if (!fileSystem || !uri || !uri.includes(STAGING_DIR)) return;
+
+    try {
+      await fileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      console.warn('Could not remove staged attachment:', error.message);
+    }
+  }
+
+  // Prepares a picked file for the attachment queue: compress, check the
+  // size limit, build the thumbnail and stage a local copy
+  async prepare(file, attachmentId, maxSize, onProgress = null) {
+    const compressed = await this.compress(file, onProgress);
+    const size = compressed.size ?? await this.getSize(compressed.uri);
+
+    if (size && size > maxSize) {
+      throw PlatformUtils.createError(
+        `${compressed.name} is ${(size / 1024 / 1024).toFixed(1)}MB after compression (limit ${Math.round(maxSize / 1024 / 1024)}MB)`,
+        ['Trim the clip or send a shorter video', 'Share large files through a link instead'],
+        'attachment_too_large',
+        { size, maxSize }
+      );
+    }
+
+    const thumbnail = await this.createThumbnail(compressed);
+    const localUri = await this.stage(compressed, attachmentId);
+
+    return {
+      id: attachmentId,
+      name: compressed.name,
+      type: compressed.type,
+      kind: compressed.kind,
+      size,
+      originalSize: compressed.originalSize || null,
+      width: compressed.width,
+      height: compressed.height,
+      duration: compressed.duration,
+      waveform: compressed.waveform,
+      trim: compressed.trim,
+      thumbnail,
+      localUri,
+      url: null
+    };
+  }
+}
+
+export default new ChatMedia();
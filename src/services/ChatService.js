@@ -5,6 +5,9 @@ import NetInfo from '@react-native-community/netinfo';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import FirebaseService from './FirebaseService';
 import PasswordSecurityService from './PasswordSecurityService';
+import ChatMedia from './ChatMedia';
+import MessageSearch from './MessageSearch';
+import AthleteRecords from './AthleteRecords';
 //import AuthDebugUtility, { debugAuth, debugAll } from '../utils/AuthDebugUtility';
 // Constants
 const STORAGE_KEYS = {
@@ -12,6 +15,7 @@ const STORAGE_KEYS = {
   CHAT_MESSAGES: '@acceilla:chat_messages_',
   CHAT_DRAFTS: '@acceilla:chat_drafts',
   OFFLINE_MESSAGE_QUEUE: '@acceilla:offline_message_queue',
+  ATTACHMENT_QUEUE: '@acceilla:attachment_queue',
   CHAT_SETTINGS: '@acceilla:chat_settings',
   BLOCKED_USERS: '@acceilla:blocked_users'
 };
@@ -33,6 +37,20 @@ const MESSAGE_STATUS = {
   FAILED: 'failed'
 };
 
+// Channel roles, highest first
+const MEMBER_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+const ATTACHMENT_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  UPLOADED: 'uploaded',
+  FAILED: 'failed'
+};
+
 const CHAT_TYPES = {
   INDIVIDUAL: 'individual',
   GROUP: 'group',
@@ -41,9 +59,13 @@ const CHAT_TYPES = {
 };
 
 const MAX_MESSAGE_LENGTH = 4000;
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB, checked after compression
+const MAX_UPLOAD_ATTEMPTS = 6;
+const UPLOAD_RETRY_DELAY = 5000; // doubled after each failed attempt
 const TYPING_TIMEOUT = 3000; // 3 seconds
 const MESSAGE_BATCH_SIZE = 50;
+const MAX_PINNED_MESSAGES = 10;
+const MESSAGE_CONTEXT_RADIUS = 25;
 
 class ChatService {
   constructor() {
@@ -55,6 +77,11 @@ class ChatService {
     this.activeListeners = new Map();
     this.typingTimeouts = new Map();
     this.messageQueue = [];
+    this.attachmentQueue = null;
+    this.attachmentQueuePromise = null;
+    this.activeUploads = new Map();
+    this.blockedUsers = null;
+    this.guardianLinks = new Map();
     this.isOnline = true;
     this.isInitialized = false;
     this.allowAnonymousMessaging = false;
@@ -428,7 +455,14 @@ async signInToFirebase(email, password) {
       const wasOnline = this.isOnline;
       this.isOnline = state.isConnected ?? false;
       
+      if (wasOnline && !this.isOnline) {
+        // Hold in-flight uploads so they continue from where they stopped
+        this.activeUploads.forEach(task => task.pause());
+      }
+
       if (!wasOnline && this.isOnline) {
+        this.activeUploads.forEach(task => task.resume());
+
         // Process pending messages when back online
         setTimeout(() => {
           this.processPendingMessages();
@@ -447,6 +481,9 @@ async signInToFirebase(email, password) {
         const cachedChats = JSON.parse(chatListJson);
         this.emitEvent('chatsLoaded', { chats: cachedChats, source: 'cache' });
       }
+
+      await this.loadAttachmentQueue();
+      await this.loadBlockedUsers();
     } catch (error) {
       console.warn('Failed to load cached chat data:', error);
     }
@@ -582,8 +619,13 @@ async mapCustomUserIdToFirebaseUid(customUserId) {
   // Enrich chat data with user information
   async enrichChatListWithUserData(chats, currentUserId) {
     try {
+      await this.loadBlockedUsers();
+      const blockedIds = this.getBlockedIds(currentUserId);
+      const visibleChats = chats.filter(chat => chat.type !== CHAT_TYPES.INDIVIDUAL ||
+        !chat.participants.some(id => blockedIds.includes(id)));
+
       const enrichedChats = await Promise.all(
-        chats.map(async (chat) => {
+        visibleChats.map(async (chat) => {
           try {
             // Get participant info (excluding current user for individual chats)
             const otherParticipants = chat.participants.filter(id => id !== currentUserId);
@@ -597,8 +639,8 @@ async mapCustomUserIdToFirebaseUid(customUserId) {
                 chatName = `${otherUser.firstName} ${otherUser.lastName}`.trim();
                 chatAvatar = otherUser.profileImage || '';
               }
-            } else if (chat.type === CHAT_TYPES.GROUP && !chatName) {
-              // For group chats without names, create a name from participants
+            } else if (chat.type !== CHAT_TYPES.INDIVIDUAL && !chatName) {
+              // For channels without names, create a name from participants
               const participantNames = await Promise.all(
                 otherParticipants.slice(0, 3).map(async (id) => {
                   const user = await this.getUserInfo(id);
@@ -616,7 +658,9 @@ async mapCustomUserIdToFirebaseUid(customUserId) {
               displayName: chatName,
               displayAvatar: chatAvatar,
               participantCount: chat.participants.length,
-              unreadCount: chat.unreadCounts?.[currentUserId] || 0
+              unreadCount: chat.unreadCounts?.[currentUserId] || 0,
+              memberRole: this.getMemberRole(chat, currentUserId),
+              canPost: this.canPost(chat, currentUserId)
             };
             
           } catch (error) {
@@ -1015,8 +1059,11 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
     try {
       console.log('💬 Creating/getting chat for participants:', participants);
       
-      if (!participants || participants.length < 2) {
-        throw new Error('At least 2 participants required');
+      const isChannel = chatType !== CHAT_TYPES.INDIVIDUAL;
+
+      // Channels can start with just their owner and grow through invites
+      if (!participants || participants.length < (isChannel ? 1 : 2)) {
+        throw new Error(isChannel ? 'A channel needs an owner' : 'At least 2 participants required');
       }
 
       // Sort participants for consistent chat ID generation
@@ -1030,8 +1077,13 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
         }
       }
 
+      const creatorId = this.auth.currentUser?.uid;
+      if (chatType === CHAT_TYPES.INDIVIDUAL && creatorId && participants.includes(creatorId)) {
+        await this.assertNotBlocked(creatorId, participants.find(id => id !== creatorId));
+      }
+
       // Create new chat
-      const newChat = {
+      let newChat = {
         id: this.generateChatId(),
         participants: sortedParticipants,
         type: chatType,
@@ -1048,11 +1100,20 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
         }
       };
 
+      if (isChannel) {
+        Object.assign(newChat, this.buildChannelFields(sortedParticipants, {
+          ...chatData,
+          ownerId: chatData.ownerId || this.auth.currentUser?.uid || participants[0]
+        }));
+      }
+
       // Initialize unread counts
       participants.forEach(participantId => {
         newChat.unreadCounts[participantId] = 0;
       });
 
+      newChat = await this.withGuardianObservers(newChat);
+
       if (this.isOnline) {
         try {
           // Save to Firebase
@@ -1157,18 +1218,1047 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
         chatData.updatedAt = this.firestore.FieldValue.serverTimestamp();
       }
 
-      if (this.isWeb) {
-        const { doc, setDoc } = require('firebase/firestore');
-        const chatDocRef = doc(this.firestore, 'chats', chat.id);
-        await setDoc(chatDocRef, chatData);
-      } else {
-        await this.firestore.collection('chats').doc(chat.id).set(chatData);
-      }
-      
-    } catch (error) {
-      console.error('Error saving chat to Firebase:', error);
-      throw error;
+      if (this.isWeb) {
+        const { doc, setDoc } = require('firebase/firestore');
+        const chatDocRef = doc(this.firestore, 'chats', chat.id);
+        await setDoc(chatDocRef, chatData);
+      } else {
+        await this.firestore.collection('chats').doc(chat.id).set(chatData);
+      }
+      
+    } catch (error) {
+      console.error('Error saving chat to Firebase:', error);
+      throw error;
+    }
+  }
+
+  // ===== CHANNEL METHODS =====
+  // Group, team and academy chats keep a members map of
+  // { role, joinedAt, addedBy, source } beside the flat participants array
+  // that queries use. Each channel has one owner; admins can manage members
+  // and post in announcement-only channels.
+
+  buildChannelFields(participants, chatData) {
+    const ownerId = chatData.ownerId || participants[0];
+    const adminIds = chatData.adminIds || [];
+    const now = new Date().toISOString();
+    const members = {};
+
+    participants.forEach(id => {
+      members[id] = {
+        role: id === ownerId ? MEMBER_ROLES.OWNER
+          : adminIds.includes(id) ? MEMBER_ROLES.ADMIN
+          : MEMBER_ROLES.MEMBER,
+        joinedAt: now,
+        addedBy: ownerId,
+        source: id === ownerId ? 'owner' : (chatData.source || 'manual')
+      };
+    });
+
+    return {
+      ownerId,
+      members,
+      invites: {},
+      invitedIds: [],
+      announcementOnly: !!chatData.announcementOnly,
+      teamId: chatData.teamId || null,
+      channelKind: chatData.channelKind || null,
+      archived: false
+    };
+  }
+
+  // Create a multi-member channel owned by ownerId
+  async createChannel(ownerId, options = {}) {
+    const {
+      type = CHAT_TYPES.GROUP,
+      name,
+      memberIds = [],
+      ...chatData
+    } = options;
+
+    if (type === CHAT_TYPES.INDIVIDUAL) {
+      throw new Error('Use createOrGetChat for one-to-one chats');
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Channel name is required');
+    }
+
+    const participants = [...new Set([ownerId, ...memberIds.filter(Boolean)])];
+    return await this.createOrGetChat(participants, type, { ...chatData, name: name.trim(), ownerId });
+  }
+
+  async getChat(chatId) {
+    if (this.isOnline) {
+      try {
+        if (this.isWeb) {
+          const { doc, getDoc } = require('firebase/firestore');
+          const chatDoc = await getDoc(doc(this.firestore, 'chats', chatId));
+          if (chatDoc.exists()) return { id: chatDoc.id, ...chatDoc.data() };
+        } else {
+          const chatDoc = await this.firestore.collection('chats').doc(chatId).get();
+          if (chatDoc.exists) return { id: chatDoc.id, ...chatDoc.data() };
+        }
+      } catch (error) {
+        console.warn('Firebase chat lookup failed, using cache:', error.message);
+      }
+    }
+
+    const cachedChats = await this.getCachedChatList();
+    return cachedChats.find(chat => chat.id === chatId) || null;
+  }
+
+  getMemberRole(chat, userId) {
+    return chat?.members?.[userId]?.role || null;
+  }
+
+  canManageChannel(chat, userId) {
+    const role = this.getMemberRole(chat, userId);
+    return role === MEMBER_ROLES.OWNER || role === MEMBER_ROLES.ADMIN;
+  }
+
+  // Guardians mirroring a child's chats are observers, not participants, so
+  // this also keeps the mirror read-only
+  canPost(chat, userId) {
+    if (!chat) return true;
+    if (!chat.participants?.includes(userId)) return false;
+    if (chat.type === CHAT_TYPES.INDIVIDUAL) return true;
+    if (chat.archived) return false;
+    return !chat.announcementOnly || this.canManageChannel(chat, userId);
+  }
+
+  // Checked against the cached chat so it also works offline. One-to-one
+  // chats are also refused when either side has blocked the other.
+  async assertCanPost(chatId, senderId) {
+    const cachedChats = await this.getCachedChatList();
+    const chat = cachedChats.find(c => c.id === chatId) || (this.isOnline ? await this.getChat(chatId) : null);
+    if (!chat) return;
+
+    if (!this.canPost(chat, senderId)) {
+      if (chat.observers?.[senderId]) {
+        throw new Error('Guardian view is read-only');
+      }
+      throw new Error(chat.announcementOnly && chat.participants?.includes(senderId)
+        ? 'Only coaches and admins can post in this announcement channel'
+        : 'You are not a member of this channel');
+    }
+
+    if (chat.type === CHAT_TYPES.INDIVIDUAL) {
+      const recipientId = chat.participants.find(id => id !== senderId);
+      if (recipientId) await this.assertNotBlocked(senderId, recipientId);
+    }
+  }
+
+  async requireChannel(chatId, actorId, roles = null) {
+    const chat = await this.getChat(chatId);
+    if (!chat || chat.type === CHAT_TYPES.INDIVIDUAL) {
+      throw new Error('Channel not found');
+    }
+    if (roles && !roles.includes(this.getMemberRole(chat, actorId))) {
+      throw new Error('You do not have permission to manage this channel');
+    }
+    return chat;
+  }
+
+  // Member additions as channel updates; invites for the same users are cleared
+  membershipAdditions(chat, userIds, addedBy, source) {
+    const now = new Date().toISOString();
+    const members = { ...(chat.members || {}) };
+    const invites = { ...(chat.invites || {}) };
+    const unreadCounts = { ...(chat.unreadCounts || {}) };
+
+    userIds.forEach(id => {
+      members[id] = { role: MEMBER_ROLES.MEMBER, joinedAt: now, addedBy, source };
+      unreadCounts[id] = 0;
+      delete invites[id];
+    });
+
+    return {
+      participants: [...new Set([...chat.participants, ...userIds])].sort(),
+      members,
+      invites,
+      invitedIds: (chat.invitedIds || []).filter(id => !userIds.includes(id)),
+      unreadCounts
+    };
+  }
+
+  membershipRemovals(chat, userIds) {
+    const members = { ...(chat.members || {}) };
+    const unreadCounts = { ...(chat.unreadCounts || {}) };
+
+    userIds.forEach(id => {
+      delete members[id];
+      delete unreadCounts[id];
+    });
+
+    return {
+      participants: chat.participants.filter(id => !userIds.includes(id)),
+      members,
+      unreadCounts
+    };
+  }
+
+  async addMembers(chatId, actorId, userIds, source = 'manual') {
+    const chat = await this.requireChannel(chatId, actorId, [MEMBER_ROLES.OWNER, MEMBER_ROLES.ADMIN]);
+    const added = [...new Set(userIds)].filter(id => id && !chat.participants.includes(id));
+    if (added.length === 0) return { success: true, chat, added };
+
+    const updated = await this.saveChannelChanges(chat, this.membershipAdditions(chat, added, actorId, source));
+    await this.postSystemMessage(chatId, actorId, `${await this.describeMembers(added)} added`, 'members_added', { userIds: added });
+
+    return { success: true, chat: updated, added };
+  }
+
+  async removeMember(chatId, actorId, userId) {
+    const chat = await this.requireChannel(chatId, actorId, [MEMBER_ROLES.OWNER, MEMBER_ROLES.ADMIN]);
+    const targetRole = this.getMemberRole(chat, userId);
+
+    if (!targetRole) throw new Error('User is not a member of this channel');
+    if (targetRole === MEMBER_ROLES.OWNER) throw new Error('The channel owner cannot be removed');
+    if (targetRole === MEMBER_ROLES.ADMIN && this.getMemberRole(chat, actorId) !== MEMBER_ROLES.OWNER) {
+      throw new Error('Only the owner can remove an admin');
+    }
+
+    const updated = await this.saveChannelChanges(chat, this.membershipRemovals(chat, [userId]));
+    await this.postSystemMessage(chatId, actorId, `${await this.describeMembers([userId])} removed`, 'member_removed', { userIds: [userId] });
+
+    return { success: true, chat: updated };
+  }
+
+  // An owner who leaves hands the channel to the longest-serving admin, or
+  // failing that the longest-serving member; a channel left empty is archived
+  async leaveChannel(chatId, userId) {
+    const chat = await this.requireChannel(chatId, userId, Object.values(MEMBER_ROLES));
+    const updates = this.membershipRemovals(chat, [userId]);
+
+    if (this.getMemberRole(chat, userId) === MEMBER_ROLES.OWNER) {
+      const byTenure = Object.entries(updates.members)
+        .sort(([, a], [, b]) => String(a.joinedAt).localeCompare(String(b.joinedAt)));
+      const successor = byTenure.find(([, member]) => member.role === MEMBER_ROLES.ADMIN) || byTenure[0];
+
+      if (successor) {
+        updates.members[successor[0]] = { ...successor[1], role: MEMBER_ROLES.OWNER };
+        updates.ownerId = successor[0];
+      } else {
+        updates.ownerId = null;
+        updates.archived = true;
+      }
+    }
+
+    const updated = await this.saveChannelChanges(chat, updates);
+    if (!updated.archived) {
+      await this.postSystemMessage(chatId, userId, `${await this.describeMembers([userId])} left`, 'member_left', { userIds: [userId] });
+    }
+
+    return { success: true, chat: updated };
+  }
+
+  // Owner only. Passing MEMBER_ROLES.OWNER transfers ownership and makes the
+  // previous owner an admin.
+  async setMemberRole(chatId, actorId, userId, role) {
+    if (!Object.values(MEMBER_ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const chat = await this.requireChannel(chatId, actorId, [MEMBER_ROLES.OWNER]);
+    if (!chat.members?.[userId]) throw new Error('User is not a member of this channel');
+    if (userId === actorId) throw new Error('Transfer ownership to another member instead');
+
+    const members = { ...chat.members, [userId]: { ...chat.members[userId], role } };
+    const updates = { members };
+
+    if (role === MEMBER_ROLES.OWNER) {
+      members[actorId] = { ...chat.members[actorId], role: MEMBER_ROLES.ADMIN };
+      updates.ownerId = userId;
+    }
+
+    const updated = await this.saveChannelChanges(chat, updates);
+    await this.postSystemMessage(
+      chatId,
+      actorId,
+      `${await this.describeMembers([userId])} is now ${role === MEMBER_ROLES.OWNER ? 'the owner' : `a${role === MEMBER_ROLES.ADMIN ? 'n' : ''} ${role}`}`,
+      'role_changed',
+      { userIds: [userId], role }
+    );
+
+    return { success: true, chat: updated };
+  }
+
+  async inviteMembers(chatId, actorId, userIds) {
+    const chat = await this.requireChannel(chatId, actorId, [MEMBER_ROLES.OWNER, MEMBER_ROLES.ADMIN]);
+    const invited = [...new Set(userIds)]
+      .filter(id => id && !chat.participants.includes(id) && !chat.invites?.[id]);
+    if (invited.length === 0) return { success: true, chat, invited };
+
+    const invites = { ...(chat.invites || {}) };
+    const invitedAt = new Date().toISOString();
+    invited.forEach(id => {
+      invites[id] = { invitedBy: actorId, invitedAt };
+    });
+
+    const updated = await this.saveChannelChanges(chat, {
+      invites,
+      invitedIds: [...(chat.invitedIds || []), ...invited]
+    });
+    this.emitEvent('channelInvitesSent', { chatId, userIds: invited });
+
+    return { success: true, chat: updated, invited };
+  }
+
+  async respondToInvite(chatId, userId, accept = true) {
+    const chat = await this.getChat(chatId);
+    const invite = chat?.invites?.[userId];
+    if (!invite) throw new Error('No pending invite for this channel');
+
+    let updates;
+    if (accept) {
+      updates = this.membershipAdditions(chat, [userId], invite.invitedBy, 'invite');
+    } else {
+      const invites = { ...chat.invites };
+      delete invites[userId];
+      updates = { invites, invitedIds: (chat.invitedIds || []).filter(id => id !== userId) };
+    }
+
+    const updated = await this.saveChannelChanges(chat, updates);
+    if (accept) {
+      await this.postSystemMessage(chatId, userId, `${await this.describeMembers([userId])} joined`, 'member_joined', { userIds: [userId] });
+    }
+
+    return { success: true, chat: updated, joined: accept };
+  }
+
+  async getPendingInvites(userId) {
+    if (this.isOnline) {
+      try {
+        let snapshot;
+        if (this.isWeb) {
+          const { collection, query, where, getDocs } = require('firebase/firestore');
+          snapshot = await getDocs(query(collection(this.firestore, 'chats'), where('invitedIds', 'array-contains', userId)));
+        } else {
+          snapshot = await this.firestore.collection('chats').where('invitedIds', 'array-contains', userId).get();
+        }
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      } catch (error) {
+        console.warn('Firebase invite lookup failed, using cache:', error.message);
+      }
+    }
+
+    const cachedChats = await this.getCachedChatList();
+    return cachedChats.filter(chat => chat.invitedIds?.includes(userId));
+  }
+
+  async updateChannel(chatId, actorId, changes) {
+    const chat = await this.requireChannel(chatId, actorId, [MEMBER_ROLES.OWNER, MEMBER_ROLES.ADMIN]);
+    const updates = {};
+
+    ['name', 'description', 'avatar'].forEach(field => {
+      if (typeof changes[field] === 'string') updates[field] = changes[field].trim();
+    });
+    if (typeof changes.announcementOnly === 'boolean') {
+      updates.announcementOnly = changes.announcementOnly;
+    }
+    if (updates.name === '') throw new Error('Channel name is required');
+
+    const updated = await this.saveChannelChanges(chat, updates);
+    return { success: true, chat: updated };
+  }
+
+  // Write channel updates to Firebase, or queue them when offline, and keep
+  // the cached chat list in step
+  async saveChannelChanges(chat, changes) {
+    const updates = await this.withGuardianObservers(changes);
+    const updated = { ...chat, ...updates, updatedAt: new Date().toISOString() };
+
+    let queued = !this.isOnline;
+    if (this.isOnline) {
+      try {
+        await this.updateChatInFirebase(chat.id, updates);
+      } catch (error) {
+        console.warn('Failed to update channel in Firebase, queued:', error.message);
+        queued = true;
+      }
+    }
+    if (queued) {
+      await this.queueChatOperation('UPDATE_CHAT', { id: chat.id, updates });
+    }
+
+    await this.updateChatInCache(updated);
+    this.emitEvent('chatUpdated', { chat: updated, queued });
+
+    return updated;
+  }
+
+  async updateChatInFirebase(chatId, updates) {
+    if (this.isWeb) {
+      const { doc, updateDoc, serverTimestamp } = require('firebase/firestore');
+      await updateDoc(doc(this.firestore, 'chats', chatId), { ...updates, updatedAt: serverTimestamp() });
+    } else {
+      await this.firestore.collection('chats').doc(chatId).update({
+        ...updates,
+        updatedAt: this.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  }
+
+  async postSystemMessage(chatId, actorId, text, event, details = {}) {
+    try {
+      await this.sendMessage(chatId, {
+        senderId: actorId,
+        text,
+        type: MESSAGE_TYPES.SYSTEM,
+        metadata: { event, ...details }
+      });
+    } catch (error) {
+      console.warn('Failed to post channel notice:', error.message);
+    }
+  }
+
+  async describeMembers(userIds) {
+    if (userIds.length > 3) return `${userIds.length} members`;
+
+    const names = await Promise.all(userIds.map(async (id) => {
+      const user = await this.getUserInfo(id);
+      return user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email || 'A member' : 'A member';
+    }));
+    return names.join(', ');
+  }
+
+  // ===== ROSTER CHANNELS =====
+
+  // Keep a team's chat and announcement channels in line with its roster.
+  // team: { id, name, type?: 'team' | 'academy', members: [ids or player objects] }.
+  // Only members who joined from the roster are removed when they leave it,
+  // so staff added by hand stay.
+  async syncTeamChannels(coachId, team) {
+    if (!team?.id || !team.name) {
+      throw new Error('Team id and name are required');
+    }
+
+    const memberIds = [...new Set((team.members || [])
+      .map(member => typeof member === 'object' ? (member.firebaseUid || member.userId || member.id) : member)
+      .filter(Boolean)
+      .map(String))]
+      .filter(id => id !== coachId);
+    const type = team.type === CHAT_TYPES.ACADEMY ? CHAT_TYPES.ACADEMY : CHAT_TYPES.TEAM;
+
+    const chat = await this.syncRosterChannel(coachId, team, memberIds, {
+      type,
+      channelKind: 'chat',
+      name: team.name,
+      announcementOnly: false
+    });
+    const announcements = await this.syncRosterChannel(coachId, team, memberIds, {
+      type,
+      channelKind: 'announcements',
+      name: `${team.name} Announcements`,
+      description: `Announcements from ${team.name} coaches`,
+      announcementOnly: true
+    });
+
+    return { success: true, chat, announcements };
+  }
+
+  async syncRosterChannel(coachId, team, memberIds, options) {
+    const channel = await this.findTeamChannel(String(team.id), options.channelKind);
+
+    if (!channel) {
+      const result = await this.createChannel(coachId, {
+        ...options,
+        teamId: String(team.id),
+        memberIds,
+        source: 'roster'
+      });
+      return result.chat;
+    }
+
+    // Assistant coaches and players see the channel but do not reshape it
+    if (!this.canManageChannel(channel, coachId)) return channel;
+
+    const joined = memberIds.filter(id => !channel.participants.includes(id));
+    const departed = channel.participants.filter(id =>
+      !memberIds.includes(id) &&
+      channel.members?.[id]?.source === 'roster' &&
+      channel.members[id].role === MEMBER_ROLES.MEMBER
+    );
+    if (joined.length === 0 && departed.length === 0) return channel;
+
+    const afterJoin = { ...channel, ...this.membershipAdditions(channel, joined, coachId, 'roster') };
+    const updated = await this.saveChannelChanges(channel, {
+      ...this.membershipAdditions(channel, joined, coachId, 'roster'),
+      ...this.membershipRemovals(afterJoin, departed)
+    });
+
+    await this.postSystemMessage(
+      channel.id,
+      coachId,
+      `Roster updated: ${joined.length} joined, ${departed.length} left`,
+      'roster_synced',
+      { joined, departed }
+    );
+
+    return updated;
+  }
+
+  // Announcement channels the user can post in
+  async getAnnouncementChannels(userId) {
+    const result = await this.getChatList(userId);
+    return (result.chats || []).filter(chat =>
+      chat.announcementOnly && !chat.archived && this.canManageChannel(chat, userId)
+    );
+  }
+
+  async findTeamChannel(teamId, channelKind) {
+    if (this.isOnline) {
+      try {
+        let snapshot;
+        if (this.isWeb) {
+          const { collection, query, where, limit, getDocs } = require('firebase/firestore');
+          snapshot = await getDocs(query(
+            collection(this.firestore, 'chats'),
+            where('teamId', '==', teamId),
+            where('channelKind', '==', channelKind),
+            limit(1)
+          ));
+        } else {
+          snapshot = await this.firestore
+            .collection('chats')
+            .where('teamId', '==', teamId)
+            .where('channelKind', '==', channelKind)
+            .limit(1)
+            .get();
+        }
+        if (!snapshot.empty) {
+          const doc = snapshot.docs[0];
+          return { id: doc.id, ...doc.data() };
+        }
+        return null;
+      } catch (error) {
+        console.warn('Firebase team channel lookup failed, using cache:', error.message);
+      }
+    }
+
+    const cachedChats = await this.getCachedChatList();
+    return cachedChats.find(chat => chat.teamId === teamId && chat.channelKind === channelKind) || null;
+  }
+
+  // ===== BLOCKING =====
+  // Blocks are kept per account under STORAGE_KEYS.BLOCKED_USERS and mirrored
+  // to blocks/{blockerId}_{blockedId}, which is what lets the blocked user's
+  // device refuse to send. Messages from blocked users are hidden and
+  // one-to-one chats with them drop out of the chat list.
+
+  async loadBlockedUsers() {
+    if (this.blockedUsers) return this.blockedUsers;
+
+    try {
+      const blockedJson = await AsyncStorage.getItem(STORAGE_KEYS.BLOCKED_USERS);
+      this.blockedUsers = blockedJson ? JSON.parse(blockedJson) : {};
+    } catch (error) {
+      console.warn('Failed to load blocked users:', error);
+      this.blockedUsers = {};
+    }
+    return this.blockedUsers;
+  }
+
+  async persistBlockedUsers() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.BLOCKED_USERS, JSON.stringify(this.blockedUsers || {}));
+    } catch (error) {
+      console.warn('Failed to persist blocked users:', error);
+    }
+  }
+
+  // Refreshed from Firebase when online so blocks made on another device show
+  // up. Changes still waiting to sync win over what Firebase returns.
+  async getBlockedUsers(userId) {
+    await this.loadBlockedUsers();
+
+    if (this.isOnline) {
+      try {
+        let snapshot;
+        if (this.isWeb) {
+          const { collection, query, where, getDocs } = require('firebase/firestore');
+          snapshot = await getDocs(query(collection(this.firestore, 'blocks'), where('blockerId', '==', userId)));
+        } else {
+          snapshot = await this.firestore.collection('blocks').where('blockerId', '==', userId).get();
+        }
+
+        const remote = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return {
+            userId: data.blockedId,
+            name: data.blockedName || '',
+            reason: data.reason || '',
+            blockedAt: this.convertTimestamp(data.createdAt)
+          };
+        });
+        const pending = (this.blockedUsers[userId] || []).filter(entry => entry.pending);
+        const entries = remote.filter(entry => !pending.some(p => p.removed && p.userId === entry.userId));
+
+        pending.forEach(entry => {
+          const synced = remote.some(r => r.userId === entry.userId) !== !!entry.removed;
+          if (!synced) entries.push(entry);
+        });
+
+        this.blockedUsers[userId] = entries;
+        await this.persistBlockedUsers();
+      } catch (error) {
+        console.warn('Firebase block list failed, using cache:', error.message);
+      }
+    }
+
+    return (this.blockedUsers[userId] || []).filter(entry => !entry.removed);
+  }
+
+  getBlockedIds(userId) {
+    return (this.blockedUsers?.[userId] || [])
+      .filter(entry => !entry.removed)
+      .map(entry => entry.userId);
+  }
+
+  isBlocked(userId, otherUserId) {
+    return this.getBlockedIds(userId).includes(otherUserId);
+  }
+
+  async blockUser(userId, blockedId, details = {}) {
+    if (!userId || !blockedId) throw new Error('User ID is required');
+    if (userId === blockedId) throw new Error('You cannot block yourself');
+
+    await this.loadBlockedUsers();
+    const entry = {
+      userId: blockedId,
+      name: details.name || '',
+      reason: details.reason || '',
+      blockedAt: new Date().toISOString()
+    };
+
+    const queued = await this.writeBlock(userId, entry, true);
+    this.setBlockEntry(userId, blockedId, queued ? { ...entry, pending: true } : entry);
+    await this.persistBlockedUsers();
+
+    this.emitEvent('userBlocked', { userId, blockedId, queued });
+    return { success: true, queued };
+  }
+
+  async unblockUser(userId, blockedId) {
+    await this.loadBlockedUsers();
+
+    // An unsynced unblock is kept as a tombstone so a refresh from Firebase
+    // does not bring the block back
+    const queued = await this.writeBlock(userId, { userId: blockedId }, false);
+    this.setBlockEntry(userId, blockedId, queued ? { userId: blockedId, removed: true, pending: true } : null);
+    await this.persistBlockedUsers();
+
+    this.emitEvent('userUnblocked', { userId, blockedId, queued });
+    return { success: true, queued };
+  }
+
+  setBlockEntry(userId, blockedId, entry) {
+    const entries = (this.blockedUsers[userId] || []).filter(e => e.userId !== blockedId);
+    this.blockedUsers[userId] = entry ? [...entries, entry] : entries;
+  }
+
+  // Returns true when the change was queued for later
+  async writeBlock(blockerId, entry, blocked) {
+    const data = { blockerId, blockedId: entry.userId, name: entry.name || '', reason: entry.reason || '' };
+
+    if (this.isOnline) {
+      try {
+        await this.saveBlockToFirebase(data, blocked);
+        return false;
+      } catch (error) {
+        console.warn('Failed to save block to Firebase, queued:', error.message);
+      }
+    }
+
+    await this.queueChatOperation(blocked ? 'BLOCK_USER' : 'UNBLOCK_USER', data);
+    return true;
+  }
+
+  async saveBlockToFirebase({ blockerId, blockedId, name, reason }, blocked = true) {
+    const blockId = `${blockerId}_${blockedId}`;
+
+    if (this.isWeb) {
+      const { doc, setDoc, deleteDoc, serverTimestamp } = require('firebase/firestore');
+      const blockRef = doc(this.firestore, 'blocks', blockId);
+      if (blocked) {
+        await setDoc(blockRef, { blockerId, blockedId, blockedName: name || '', reason: reason || '', createdAt: serverTimestamp() });
+      } else {
+        await deleteDoc(blockRef);
+      }
+    } else {
+      const blockRef = this.firestore.collection('blocks').doc(blockId);
+      if (blocked) {
+        await blockRef.set({
+          blockerId,
+          blockedId,
+          blockedName: name || '',
+          reason: reason || '',
+          createdAt: this.firestore.FieldValue.serverTimestamp()
+        });
+      } else {
+        await blockRef.delete();
+      }
+    }
+  }
+
+  // Whether blockerId has blocked blockedId. Only answerable online; offline
+  // the recipient's block is enforced when their device filters the message.
+  async hasBlocked(blockerId, blockedId) {
+    if (!this.isOnline) return false;
+
+    try {
+      const blockId = `${blockerId}_${blockedId}`;
+      if (this.isWeb) {
+        const { doc, getDoc } = require('firebase/firestore');
+        return (await getDoc(doc(this.firestore, 'blocks', blockId))).exists();
+      }
+      return (await this.firestore.collection('blocks').doc(blockId).get()).exists;
+    } catch (error) {
+      console.warn('Block lookup failed:', error.message);
+      return false;
+    }
+  }
+
+  async assertNotBlocked(senderId, recipientId) {
+    await this.loadBlockedUsers();
+
+    if (this.isBlocked(senderId, recipientId)) {
+      throw new Error('Unblock this user to send them messages');
+    }
+    if (await this.hasBlocked(recipientId, senderId)) {
+      throw new Error('This user is not accepting messages from you');
+    }
+  }
+
+  // Hides messages from users the viewer blocked and blanks messages removed
+  // by a moderator. Expects loadBlockedUsers to have run.
+  prepareMessagesForViewer(messages, viewerId = this.auth.currentUser?.uid) {
+    const blockedIds = viewerId ? this.getBlockedIds(viewerId) : [];
+
+    return messages
+      .filter(message => message.senderId === viewerId || !blockedIds.includes(message.senderId))
+      .map(message => message.moderation?.removed
+        ? { ...message, text: '', attachments: [], removed: true }
+        : message);
+  }
+
+  // ===== GUARDIAN LINK REQUESTS =====
+  // guardian_link_requests/{id}: { id, childId, guardianId, guardianName,
+  // childName, status: pending | approved | declined, createdAt, respondedBy,
+  // respondedAt }. A guardian asks from ChildProtection and the link is only
+  // made once the child, or an account with the moderator claim, approves.
+
+  // Whether the signed-in Firebase account carries the moderator custom claim
+  async hasModeratorClaim() {
+    try {
+      const token = await this.auth?.currentUser?.getIdTokenResult();
+      return token?.claims?.moderator === true;
+    } catch (error) {
+      console.warn('Moderator claim lookup failed:', error.message);
+      return false;
+    }
+  }
+
+  // Only the child or a moderator may confirm a guardian for the child
+  async canConfirmGuardianLink(childId) {
+    const userId = this.auth?.currentUser?.uid;
+    if (!userId) return false;
+    return userId === childId || await this.hasModeratorClaim();
+  }
+
+  async requestGuardianLink(childId, details = {}) {
+    const guardianId = this.auth?.currentUser?.uid;
+    if (!guardianId) throw new Error('Sign in to link a child account');
+    if (!childId) throw new Error('Child ID is required');
+    if (childId === guardianId) throw new Error('You cannot link your own account');
+    if (!this.isOnline) throw new Error('Guardian links can only be requested while online');
+
+    const link = await this.getGuardianLink(childId);
+    if (link?.guardianIds?.includes(guardianId)) {
+      throw new Error('You are already linked to this account');
+    }
+
+    const outgoing = await this.getGuardianLinkRequests(guardianId, 'guardianId');
+    const open = outgoing.find(request => request.childId === childId);
+    if (open) return { success: true, request: open };
+
+    const request = {
+      id: `glr_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      childId,
+      guardianId,
+      guardianName: details.guardianName || '',
+      childName: details.childName || '',
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      respondedBy: null,
+      respondedAt: null
+    };
+    await this.saveGuardianLinkRequest(request);
+
+    return { success: true, request };
+  }
+
+  // Pending requests naming userId as the child (field 'childId') or as the
+  // guardian (field 'guardianId')
+  async getGuardianLinkRequests(userId, field = 'childId') {
+    if (!this.isOnline || !userId) return [];
+    return (await this.queryGuardianLinkRequests(field, userId))
+      .filter(request => request.status === 'pending');
+  }
+
+  // Every pending request, for moderators confirming on a child's behalf
+  async getPendingGuardianLinkRequests() {
+    if (!this.isOnline || !(await this.hasModeratorClaim())) return [];
+    return this.queryGuardianLinkRequests('status', 'pending');
+  }
+
+  async queryGuardianLinkRequests(field, value) {
+    try {
+      let snapshot;
+      if (this.isWeb) {
+        const { collection, query, where, getDocs } = require('firebase/firestore');
+        snapshot = await getDocs(query(collection(this.firestore, 'guardian_link_requests'), where(field, '==', value)));
+      } else {
+        snapshot = await this.firestore.collection('guardian_link_requests').where(field, '==', value).get();
+      }
+      return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+      console.warn('Guardian link request lookup failed:', error.message);
+      return [];
+    }
+  }
+
+  async getGuardianLinkRequest(requestId) {
+    if (this.isWeb) {
+      const { doc, getDoc } = require('firebase/firestore');
+      const requestDoc = await getDoc(doc(this.firestore, 'guardian_link_requests', requestId));
+      return requestDoc.exists() ? requestDoc.data() : null;
+    }
+
+    const requestDoc = await this.firestore.collection('guardian_link_requests').doc(requestId).get();
+    return requestDoc.exists ? requestDoc.data() : null;
+  }
+
+  async saveGuardianLinkRequest(request) {
+    if (this.isWeb) {
+      const { doc, setDoc } = require('firebase/firestore');
+      await setDoc(doc(this.firestore, 'guardian_link_requests', request.id), request);
+    } else {
+      await this.firestore.collection('guardian_link_requests').doc(request.id).set(request);
+    }
+  }
+
+  // Approve or decline a pending request; approving links the guardian
+  async respondToGuardianLinkRequest(requestId, approve) {
+    if (!this.isOnline) throw new Error('Guardian links can only be confirmed while online');
+
+    const request = await this.getGuardianLinkRequest(requestId);
+    if (!request) throw new Error('This request no longer exists');
+    if (request.status !== 'pending') throw new Error('This request has already been answered');
+    if (!(await this.canConfirmGuardianLink(request.childId))) {
+      throw new Error('Only the child or a moderator can answer this request');
+    }
+
+    const answered = {
+      ...request,
+      status: approve ? 'approved' : 'declined',
+      respondedBy: this.auth.currentUser.uid,
+      respondedAt: new Date().toISOString()
+    };
+    await this.saveGuardianLinkRequest(answered);
+    if (!approve) return { success: true, request: answered };
+
+    const result = await this.linkGuardian(request.childId, request.guardianId);
+    return { ...result, request: answered };
+  }
+
+  // ===== GUARDIAN MIRROR =====
+  // guardian_links/{childId}: { childId, guardianIds, birthDate, mirrorChats }.
+  // While mirrorChats is on and the child is under 18, each chat the child is
+  // in lists the guardians in an observers map with an observerIds array for
+  // queries. Observers can read the chat but are not participants, so
+  // canPost refuses them.
+
+  async getGuardianLink(childId) {
+    if (this.guardianLinks.has(childId)) return this.guardianLinks.get(childId);
+    if (!this.isOnline) return null;
+
+    try {
+      let link = null;
+      if (this.isWeb) {
+        const { doc, getDoc } = require('firebase/firestore');
+        const linkDoc = await getDoc(doc(this.firestore, 'guardian_links', childId));
+        if (linkDoc.exists()) link = linkDoc.data();
+      } else {
+        const linkDoc = await this.firestore.collection('guardian_links').doc(childId).get();
+        if (linkDoc.exists) link = linkDoc.data();
+      }
+
+      this.guardianLinks.set(childId, link);
+      return link;
+    } catch (error) {
+      console.warn('Guardian link lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async saveGuardianLink(link) {
+    if (!this.isOnline) {
+      throw new Error('Guardian settings can only be changed while online');
+    }
+
+    if (this.isWeb) {
+      const { doc, setDoc } = require('firebase/firestore');
+      await setDoc(doc(this.firestore, 'guardian_links', link.childId), link);
+    } else {
+      await this.firestore.collection('guardian_links').doc(link.childId).set(link);
+    }
+    this.guardianLinks.set(link.childId, link);
+  }
+
+  // Link a guardian to a child account. The mirror rule starts on. Only the
+  // child or a moderator may do this, normally by approving a request.
+  async linkGuardian(childId, guardianId, details = {}) {
+    if (!childId || !guardianId) throw new Error('Child and guardian IDs are required');
+    if (!(await this.canConfirmGuardianLink(childId))) {
+      throw new Error('Only the child or a moderator can link a guardian');
+    }
+
+    const existing = await this.getGuardianLink(childId);
+    const link = {
+      childId,
+      guardianIds: [...new Set([...(existing?.guardianIds || []), guardianId])],
+      birthDate: details.birthDate || existing?.birthDate || null,
+      mirrorChats: existing ? existing.mirrorChats : details.mirrorChats !== false,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveGuardianLink(link);
+    AthleteRecords.forgetGuardians(childId);
+    const chatsUpdated = await this.refreshGuardianObservers(childId);
+
+    return { success: true, link, chatsUpdated };
+  }
+
+  async setGuardianMirror(childId, guardianId, enabled) {
+    const link = await this.getGuardianLink(childId);
+    if (!link || !link.guardianIds.includes(guardianId)) {
+      throw new Error('You are not a linked guardian of this account');
+    }
+
+    const updated = { ...link, mirrorChats: !!enabled, updatedAt: new Date().toISOString() };
+    await this.saveGuardianLink(updated);
+    const chatsUpdated = await this.refreshGuardianObservers(childId);
+
+    return { success: true, link: updated, chatsUpdated };
+  }
+
+  async getLinkedChildren(guardianId) {
+    if (!this.isOnline) return [];
+
+    try {
+      let snapshot;
+      if (this.isWeb) {
+        const { collection, query, where, getDocs } = require('firebase/firestore');
+        snapshot = await getDocs(query(collection(this.firestore, 'guardian_links'), where('guardianIds', 'array-contains', guardianId)));
+      } else {
+        snapshot = await this.firestore.collection('guardian_links').where('guardianIds', 'array-contains', guardianId).get();
+      }
+
+      return await Promise.all(snapshot.docs.map(async (doc) => {
+        const link = doc.data();
+        this.guardianLinks.set(link.childId, link);
+        return { ...link, child: await this.getUserInfo(link.childId), isMinor: await this.isMinor(link.childId, link) };
+      }));
+    } catch (error) {
+      console.warn('Linked children lookup failed:', error.message);
+      return [];
+    }
+  }
+
+  async isMinor(userId, link = null) {
+    const user = await this.getUserInfo(userId);
+    if (user?.userType === 'child') return true;
+
+    const birthDate = new Date(link?.birthDate || user?.dateOfBirth || NaN);
+    if (isNaN(birthDate.getTime())) return false;
+
+    const adulthood = new Date(birthDate);
+    adulthood.setFullYear(birthDate.getFullYear() + 18);
+    return adulthood > new Date();
+  }
+
+  async guardianObserverFields(participants) {
+    const links = await Promise.all(participants.map(id => this.getGuardianLink(id)));
+    const observers = {};
+
+    for (const link of links) {
+      if (!link?.mirrorChats || !(await this.isMinor(link.childId, link))) continue;
+
+      link.guardianIds
+        .filter(id => !participants.includes(id))
+        .forEach(id => {
+          observers[id] = { childIds: [...(observers[id]?.childIds || []), link.childId] };
+        });
+    }
+
+    return { observers, observerIds: Object.keys(observers).sort() };
+  }
+
+  // Links cannot be checked offline; queued chat changes get their observers
+  // when they sync
+  async withGuardianObservers(fields) {
+    if (!this.isOnline || !fields?.participants) return fields;
+    return { ...fields, ...(await this.guardianObserverFields(fields.participants)) };
+  }
+
+  // Recompute observers on every chat the child is in after the link changes
+  async refreshGuardianObservers(childId) {
+    let snapshot;
+    if (this.isWeb) {
+      const { collection, query, where, getDocs } = require('firebase/firestore');
+      snapshot = await getDocs(query(collection(this.firestore, 'chats'), where('participants', 'array-contains', childId)));
+    } else {
+      snapshot = await this.firestore.collection('chats').where('participants', 'array-contains', childId).get();
+    }
+
+    let updatedCount = 0;
+    for (const chatDoc of snapshot.docs) {
+      const chat = chatDoc.data();
+      const fields = await this.guardianObserverFields(chat.participants || []);
+      if (JSON.stringify(fields.observerIds) === JSON.stringify([...(chat.observerIds || [])].sort())) continue;
+
+      await this.updateChatInFirebase(chatDoc.id, fields);
+      updatedCount++;
+    }
+
+    return updatedCount;
+  }
+
+  // Read-only list of the chats a guardian mirrors
+  async getMirroredChats(guardianId) {
+    if (!this.isOnline) return [];
+
+    let snapshot;
+    if (this.isWeb) {
+      const { collection, query, where, getDocs } = require('firebase/firestore');
+      snapshot = await getDocs(query(collection(this.firestore, 'chats'), where('observerIds', 'array-contains', guardianId)));
+    } else {
+      snapshot = await this.firestore.collection('chats').where('observerIds', 'array-contains', guardianId).get();
     }
+
+    const chats = await Promise.all(snapshot.docs.map(async (doc) => {
+      const chat = { id: doc.id, ...doc.data() };
+      return {
+        ...chat,
+        updatedAt: this.convertTimestamp(chat.updatedAt),
+        displayName: chat.name || await this.describeMembers(chat.participants),
+        childIds: chat.observers?.[guardianId]?.childIds || [],
+        canPost: false
+      };
+    }));
+
+    return chats.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
   }
 
   // ===== MESSAGE METHODS =====
@@ -1177,15 +2267,20 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
   async getChatMessages(chatId, limit = MESSAGE_BATCH_SIZE, lastMessageId = null) {
     try {
       console.log('📨 Getting messages for chat:', chatId);
+
+      await this.loadBlockedUsers();
       
       if (this.isOnline) {
         try {
-          const firebaseMessages = await this.getMessagesFromFirebase(chatId, limit, lastMessageId);
+          const firebaseMessages = this.withPendingAttachments(
+            chatId,
+            await this.getMessagesFromFirebase(chatId, limit, lastMessageId)
+          );
           
           // Cache the messages
           await this.cacheMessages(chatId, firebaseMessages);
           
-          return { success: true, messages: firebaseMessages, source: 'firebase' };
+          return { success: true, messages: this.prepareMessagesForViewer(firebaseMessages), source: 'firebase' };
           
         } catch (firebaseError) {
           console.warn('Firebase messages failed, using cache:', firebaseError.message);
@@ -1197,7 +2292,7 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
       
       return { 
         success: true, 
-        messages: cachedMessages, 
+        messages: this.prepareMessagesForViewer(cachedMessages), 
         source: 'cache',
         message: this.isOnline ? 'Using cached data due to connection issues' : 'Offline mode'
       };
@@ -1278,6 +2373,10 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
   async sendMessage(chatId, messageData) {
     try {
       console.log('📤 Sending message to chat:', chatId);
+
+      if (messageData.type !== MESSAGE_TYPES.SYSTEM) {
+        await this.assertCanPost(chatId, messageData.senderId);
+      }
       
       const message = {
         id: this.generateMessageId(),
@@ -1686,57 +2785,286 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
     }
   }
 
-  // ===== FILE UPLOAD METHODS =====
+  // Used by ModerationService. The message document is kept for the record;
+  // readers get a placeholder through prepareMessagesForViewer.
+  async removeMessageForModeration(chatId, messageId, details = {}) {
+    const moderation = {
+      removed: true,
+      removedAt: new Date().toISOString(),
+      removedBy: details.moderatorId || null,
+      reportId: details.reportId || null,
+      reason: details.reason || ''
+    };
 
-  // Upload file attachment
-  async uploadFile(file, chatId, messageId, onProgress = null) {
+    if (this.isWeb) {
+      const { doc, updateDoc } = require('firebase/firestore');
+      await updateDoc(doc(this.firestore, 'messages', messageId), { moderation });
+    } else {
+      await this.firestore.collection('messages').doc(messageId).update({ moderation });
+    }
+
+    // Keep the removed text out of the chat list preview as well
+    const chat = await this.getChat(chatId);
+    const message = details.message;
+    if (message && chat?.lastMessage?.senderId === message.senderId && chat.lastMessage.text === message.text) {
+      await this.updateChatInFirebase(chatId, { 'lastMessage.text': 'Message removed by a moderator' });
+    }
+    if (chat?.pinnedMessages?.some(pin => pin.messageId === messageId)) {
+      await this.saveChannelChanges(chat, {
+        pinnedMessages: chat.pinnedMessages.filter(pin => pin.messageId !== messageId)
+      });
+    }
+
+    await this.updateMessageInCache(chatId, messageId, { moderation });
+    this.emitEvent('messageUpdated', {
+      chatId,
+      messageId,
+      updates: { moderation, text: '', attachments: [], removed: true }
+    });
+  }
+
+  // ===== MESSAGE SEARCH =====
+
+  // Full-text search over the messages cached on this device, across all
+  // chats or within one. filters: chatId, senderId, from, to and
+  // attachmentType, as in MessageSearch.search. Blocked users' messages are
+  // left out. Each result has the chat name so the list can be shown
+  // without loading the chats.
+  async searchMessages(query, filters = {}) {
     try {
-      if (file.size > MAX_FILE_SIZE) {
-        throw new Error('File size exceeds limit (10MB)');
-      }
+      await this.loadBlockedUsers();
+      const cachedChats = await this.getCachedChatList();
 
-      if (!this.isOnline) {
-        throw new Error('File uploads require internet connection');
+      if (!MessageSearch.isBuilt()) {
+        const chats = [];
+        for (const chat of cachedChats) {
+          chats.push({ chatId: chat.id, messages: await this.getCachedMessages(chat.id, 1000) });
+        }
+        MessageSearch.build(chats);
       }
 
-      const fileName = `chats/${chatId}/${messageId}/${Date.now()}_${file.name}`;
-      let uploadTask;
+      const { results, total } = MessageSearch.search(query, {
+        ...filters,
+        excludeSenderIds: this.getBlockedIds(this.auth.currentUser?.uid)
+      });
+      const chatsById = new Map(cachedChats.map(chat => [chat.id, chat]));
 
-      if (this.isWeb) {
-        const { ref, uploadBytesResumable, getDownloadURL } = require('firebase/storage');
-        const storageRef = ref(this.storage, fileName);
-        uploadTask = uploadBytesResumable(storageRef, file);
-      } else {
-        const storageRef = this.storage.ref().child(fileName);
-        uploadTask = storageRef.put(file);
-      }
+      return {
+        success: true,
+        results: results
+          .filter(result => chatsById.has(result.chatId))
+          .map(result => {
+            const chat = chatsById.get(result.chatId);
+            return { ...result, chatName: chat.displayName || chat.name || 'Chat' };
+          }),
+        total
+      };
+    } catch (error) {
+      console.error('❌ Error searching messages:', error);
+      throw error;
+    }
+  }
 
-      // Monitor upload progress
-      if (onProgress) {
-        uploadTask.on('state_changed', (snapshot) => {
-          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-          onProgress(progress);
-        });
+  // Messages around one message, for jumping to a search result or a pin.
+  // Read from the cache; index is the position of the message in the list,
+  // or -1 when it is no longer cached.
+  async getMessageContext(chatId, messageId, radius = MESSAGE_CONTEXT_RADIUS) {
+    await this.loadBlockedUsers();
+    const cachedMessages = await this.getCachedMessages(chatId, 1000);
+    const position = cachedMessages.findIndex(message => message.id === messageId);
+
+    let window;
+    let hasOlder;
+    if (position >= 0) {
+      const start = Math.max(0, position - radius);
+      window = cachedMessages.slice(start, position + radius + 1);
+      hasOlder = start > 0;
+    } else if (this.isOnline) {
+      // The cache only keeps the latest page, so older search results are
+      // usually fetched
+      try {
+        const fetched = await this.getMessageWindowFromFirebase(chatId, messageId, radius);
+        window = fetched?.messages;
+        hasOlder = fetched?.hasOlder;
+      } catch (error) {
+        console.warn('Could not load message context from Firebase:', error.message);
       }
+    }
 
-      await uploadTask;
+    if (!window) {
+      return { success: true, found: false, messages: [], index: -1 };
+    }
 
-      // Get download URL
-      let downloadURL;
-      if (this.isWeb) {
-        const { getDownloadURL } = require('firebase/storage');
-        downloadURL = await getDownloadURL(uploadTask.snapshot.ref);
-      } else {
-        downloadURL = await uploadTask.snapshot.ref.getDownloadURL();
-      }
+    const messages = this.prepareMessagesForViewer(window);
+    return {
+      success: true,
+      found: true,
+      messages,
+      index: messages.findIndex(message => message.id === messageId),
+      hasOlder
+    };
+  }
 
-      return {
+  // Up to radius messages either side of messageId, oldest first, or null
+  // when the message is not in this chat. Both halves use the chat's
+  // timestamp-descending index: older messages follow the target, newer
+  // ones precede it.
+  async getMessageWindowFromFirebase(chatId, messageId, radius) {
+    const toMessage = (doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      timestamp: this.convertTimestamp(doc.data().timestamp)
+    });
+    let target;
+    let older;
+    let newer;
+
+    if (this.isWeb) {
+      const { collection, query, where, orderBy, limit, limitToLast, startAfter, endBefore, getDocs, doc, getDoc } = require('firebase/firestore');
+
+      target = await getDoc(doc(this.firestore, 'messages', messageId));
+      if (!target.exists() || target.data().chatId !== chatId) return null;
+
+      const messagesRef = collection(this.firestore, 'messages');
+      const inChat = [where('chatId', '==', chatId), orderBy('timestamp', 'desc')];
+      [older, newer] = await Promise.all([
+        getDocs(query(messagesRef, ...inChat, startAfter(target), limit(radius))),
+        getDocs(query(messagesRef, ...inChat, endBefore(target), limitToLast(radius)))
+      ]);
+    } else {
+      target = await this.firestore.collection('messages').doc(messageId).get();
+      if (!target.exists || target.data().chatId !== chatId) return null;
+
+      const inChat = this.firestore
+        .collection('messages')
+        .where('chatId', '==', chatId)
+        .orderBy('timestamp', 'desc');
+      [older, newer] = await Promise.all([
+        inChat.startAfter(target).limit(radius).get(),
+        inChat.endBefore(target).limitToLast(radius).get()
+      ]);
+    }
+
+    return {
+      messages: [
+        ...older.docs.map(toMessage).reverse(),
+        toMessage(target),
+        ...newer.docs.map(toMessage).reverse()
+      ],
+      hasOlder: older.docs.length === radius
+    };
+  }
+
+  // ===== PINNED MESSAGES =====
+
+  // Either side can pin in a one-to-one chat; in channels pins are kept for
+  // owners and admins so they stay useful in busy team threads
+  canPinMessages(chat, userId) {
+    if (!chat?.participants?.includes(userId)) return false;
+    if (chat.type === CHAT_TYPES.INDIVIDUAL) return true;
+    return !chat.archived && this.canManageChannel(chat, userId);
+  }
+
+  getPinnedMessages(chat) {
+    const blockedIds = this.getBlockedIds(this.auth.currentUser?.uid);
+    return (chat?.pinnedMessages || []).filter(pin => !blockedIds.includes(pin.senderId));
+  }
+
+  // Pins are stored on the chat with a copy of the message text, newest
+  // first, so the pinned bar can be shown before the messages load
+  async pinMessage(chatId, message, userId) {
+    const chat = await this.getChat(chatId);
+    if (!chat) throw new Error('Chat not found');
+    if (!this.canPinMessages(chat, userId)) {
+      throw new Error('Only channel owners and admins can pin messages');
+    }
+    if (!message?.id || message.type === MESSAGE_TYPES.SYSTEM || message.removed) {
+      throw new Error('This message cannot be pinned');
+    }
+
+    const pinnedMessages = chat.pinnedMessages || [];
+    if (pinnedMessages.some(pin => pin.messageId === message.id)) return chat;
+    if (pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+      throw new Error(`A chat can have up to ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`);
+    }
+
+    const pin = {
+      messageId: message.id,
+      senderId: message.senderId,
+      senderName: message.metadata?.senderName || '',
+      text: (message.text || '').substring(0, 200),
+      type: message.type || MESSAGE_TYPES.TEXT,
+      attachmentName: message.attachments?.[0]?.name || null,
+      timestamp: message.timestamp,
+      pinnedBy: userId,
+      pinnedAt: new Date().toISOString()
+    };
+
+    return await this.saveChannelChanges(chat, { pinnedMessages: [pin, ...pinnedMessages] });
+  }
+
+  async unpinMessage(chatId, messageId, userId) {
+    const chat = await this.getChat(chatId);
+    if (!chat) throw new Error('Chat not found');
+    if (!this.canPinMessages(chat, userId)) {
+      throw new Error('Only channel owners and admins can unpin messages');
+    }
+
+    const pinnedMessages = chat.pinnedMessages || [];
+    if (!pinnedMessages.some(pin => pin.messageId === messageId)) return chat;
+
+    return await this.saveChannelChanges(chat, {
+      pinnedMessages: pinnedMessages.filter(pin => pin.messageId !== messageId)
+    });
+  }
+
+  // ===== FILE UPLOAD METHODS =====
+
+  // Upload a single file. The file is compressed before the size check; if
+  // the device is offline or the upload fails it is staged in the attachment
+  // queue and the result has queued: true. Listen for 'attachmentUploaded'
+  // to get the URL once the queued upload completes.
+  async uploadFile(file, chatId, messageId, onProgress = null) {
+    try {
+      const attachment = {
+        ...(await ChatMedia.prepare(file, this.generateAttachmentId(), MAX_FILE_SIZE)),
+        status: ATTACHMENT_STATUS.QUEUED,
+        progress: 0
+      };
+
+      const queued = {
         success: true,
-        url: downloadURL,
-        fileName: file.name,
-        fileSize: file.size,
-        fileType: file.type
+        queued: true,
+        attachmentId: attachment.id,
+        fileName: attachment.name,
+        fileSize: attachment.size,
+        fileType: attachment.type,
+        thumbnail: attachment.thumbnail,
+        localUri: attachment.localUri
       };
+
+      if (!this.isOnline) {
+        await this.enqueueAttachments({ chatId, messageId, message: null, attachments: [attachment] });
+        return queued;
+      }
+
+      try {
+        const url = await this.uploadAttachment(chatId, messageId, attachment, onProgress);
+        ChatMedia.discard(attachment.localUri);
+
+        return {
+          success: true,
+          url,
+          fileName: attachment.name,
+          fileSize: attachment.size,
+          fileType: attachment.type,
+          thumbnail: attachment.thumbnail
+        };
+      } catch (uploadError) {
+        console.warn('Upload failed, queued for retry:', uploadError.message);
+        await this.enqueueAttachments({ chatId, messageId, message: null, attachments: [attachment] });
+        return queued;
+      }
       
     } catch (error) {
       console.error('File upload error:', error);
@@ -1744,6 +3072,351 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
     }
   }
 
+  // Send a message with attachments (images, PDFs, training clips, voice
+  // notes). Files are compressed and staged locally, and the message goes
+  // into the thread straight away with thumbnails. It is written to Firebase
+  // only once every attachment has uploaded, which may be long after this
+  // returns.
+  async sendAttachmentMessage(chatId, files, messageData = {}) {
+    await this.assertCanPost(chatId, messageData.senderId);
+
+    const attachments = [];
+
+    try {
+      for (const file of files) {
+        const attachment = await ChatMedia.prepare(file, this.generateAttachmentId(), MAX_FILE_SIZE);
+        attachments.push({ ...attachment, status: ATTACHMENT_STATUS.QUEUED, progress: 0 });
+      }
+    } catch (error) {
+      attachments.forEach(attachment => ChatMedia.discard(attachment.localUri));
+      console.error('❌ Error preparing attachments:', error);
+      throw error;
+    }
+
+    const message = {
+      id: this.generateMessageId(),
+      chatId,
+      senderId: messageData.senderId,
+      text: messageData.text?.substring(0, MAX_MESSAGE_LENGTH) || '',
+      type: messageData.type || this.messageTypeFor(attachments),
+      timestamp: new Date().toISOString(),
+      status: MESSAGE_STATUS.PENDING,
+      attachments,
+      metadata: messageData.metadata || {},
+      replyTo: messageData.replyTo || null,
+      reactions: {}
+    };
+
+    await this.addMessageToCache(chatId, message);
+    await this.updateChatLastMessage(chatId, message);
+    await this.enqueueAttachments({ chatId, messageId: message.id, message, attachments });
+
+    this.emitEvent('messageSent', { message, chatId });
+
+    if (this.isOnline) {
+      this.processAttachmentQueue();
+    }
+
+    return { success: true, message, queued: !this.isOnline };
+  }
+
+  messageTypeFor(attachments) {
+    const kinds = new Set(attachments.map(attachment => attachment.kind));
+    if (kinds.size === 1 && kinds.has('image')) return MESSAGE_TYPES.IMAGE;
+    if (kinds.size === 1 && kinds.has('video')) return MESSAGE_TYPES.VIDEO;
+    if (kinds.size === 1 && kinds.has('audio')) return MESSAGE_TYPES.AUDIO;
+    return MESSAGE_TYPES.FILE;
+  }
+
+  // Upload one staged attachment to a deterministic path, so a retry
+  // overwrites a partial object instead of leaving a duplicate behind
+  async uploadAttachment(chatId, messageId, attachment, onProgress = null) {
+    const fileName = `chats/${chatId}/${messageId}/${attachment.id}_${attachment.name}`;
+    const metadata = { contentType: attachment.type };
+    let uploadTask;
+
+    if (this.isWeb) {
+      const { ref, uploadBytesResumable } = require('firebase/storage');
+      const blob = await ChatMedia.readBlob(attachment.localUri);
+      uploadTask = uploadBytesResumable(ref(this.storage, fileName), blob, metadata);
+    } else {
+      uploadTask = this.storage.ref().child(fileName).putFile(attachment.localUri, metadata);
+    }
+
+    this.activeUploads.set(attachment.id, uploadTask);
+    if (!this.isOnline) {
+      uploadTask.pause();
+    }
+
+    if (onProgress) {
+      uploadTask.on('state_changed', (snapshot) => {
+        if (snapshot.totalBytes > 0) {
+          onProgress((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
+        }
+      });
+    }
+
+    try {
+      await uploadTask;
+    } finally {
+      this.activeUploads.delete(attachment.id);
+    }
+
+    if (this.isWeb) {
+      const { getDownloadURL } = require('firebase/storage');
+      return await getDownloadURL(uploadTask.snapshot.ref);
+    }
+    return await uploadTask.snapshot.ref.getDownloadURL();
+  }
+
+  // ===== ATTACHMENT QUEUE =====
+
+  async loadAttachmentQueue() {
+    if (this.attachmentQueue) return this.attachmentQueue;
+
+    try {
+      const queueJson = await AsyncStorage.getItem(STORAGE_KEYS.ATTACHMENT_QUEUE);
+      this.attachmentQueue = queueJson ? JSON.parse(queueJson) : [];
+
+      // Uploads interrupted by an app restart start again from the staged copy
+      this.attachmentQueue.forEach(entry => {
+        entry.attachments.forEach(attachment => {
+          if (attachment.status === ATTACHMENT_STATUS.UPLOADING) {
+            attachment.status = ATTACHMENT_STATUS.QUEUED;
+            attachment.progress = 0;
+          }
+        });
+      });
+    } catch (error) {
+      console.warn('Failed to load attachment queue:', error);
+      this.attachmentQueue = [];
+    }
+
+    return this.attachmentQueue;
+  }
+
+  async persistAttachmentQueue() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.ATTACHMENT_QUEUE, JSON.stringify(this.attachmentQueue || []));
+    } catch (error) {
+      console.warn('Failed to save attachment queue:', error);
+    }
+  }
+
+  async enqueueAttachments({ chatId, messageId, message, attachments }) {
+    const queue = await this.loadAttachmentQueue();
+    queue.push({
+      chatId,
+      messageId,
+      message,
+      attachments,
+      attempts: 0,
+      nextAttempt: Date.now(),
+      failed: false,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    });
+    await this.persistAttachmentQueue();
+  }
+
+  hasDueAttachments() {
+    const now = Date.now();
+    return (this.attachmentQueue || []).some(entry => !entry.failed && entry.nextAttempt <= now);
+  }
+
+  // Pending attachment messages are not in Firebase yet; keep them in the
+  // thread when it is reloaded from the server
+  withPendingAttachments(chatId, messages) {
+    const pending = (this.attachmentQueue || [])
+      .filter(entry => entry.chatId === chatId && entry.message)
+      .filter(entry => !messages.some(message => message.id === entry.messageId))
+      .map(entry => this.pendingMessageFor(entry));
+
+    return pending.length > 0 ? [...messages, ...pending] : messages;
+  }
+
+  pendingMessageFor(entry) {
+    return {
+      ...entry.message,
+      status: entry.failed ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.PENDING,
+      attachments: entry.attachments
+    };
+  }
+
+  // Upload queued attachments one message at a time. Attachments that
+  // already uploaded are kept, so a failure part way through a message only
+  // retries the rest.
+  async processAttachmentQueue() {
+    if (this.attachmentQueuePromise) return this.attachmentQueuePromise;
+
+    this.attachmentQueuePromise = (async () => {
+      try {
+        const queue = await this.loadAttachmentQueue();
+
+        for (const entry of [...queue]) {
+          if (!this.isOnline) break;
+          if (entry.failed || Date.now() < entry.nextAttempt) continue;
+
+          await this.processAttachmentEntry(entry);
+        }
+      } catch (error) {
+        console.error('Error processing attachment queue:', error);
+      } finally {
+        this.attachmentQueuePromise = null;
+      }
+    })();
+
+    return this.attachmentQueuePromise;
+  }
+
+  async processAttachmentEntry(entry) {
+    for (const attachment of entry.attachments) {
+      if (attachment.status === ATTACHMENT_STATUS.UPLOADED) continue;
+
+      try {
+        attachment.status = ATTACHMENT_STATUS.UPLOADING;
+        this.emitAttachmentProgress(entry, attachment);
+
+        attachment.url = await this.uploadAttachment(entry.chatId, entry.messageId, attachment, (progress) => {
+          attachment.progress = progress;
+          this.emitAttachmentProgress(entry, attachment);
+        });
+        attachment.status = ATTACHMENT_STATUS.UPLOADED;
+        attachment.progress = 100;
+
+        await this.persistAttachmentQueue();
+        await this.syncAttachmentMessage(entry);
+        this.emitAttachmentProgress(entry, attachment);
+        
+      } catch (error) {
+        console.warn('Attachment upload failed:', attachment.name, error.message);
+
+        entry.attempts++;
+        entry.lastError = error.message;
+        attachment.progress = 0;
+
+        if (entry.attempts >= MAX_UPLOAD_ATTEMPTS) {
+          entry.failed = true;
+          attachment.status = ATTACHMENT_STATUS.FAILED;
+        } else {
+          attachment.status = ATTACHMENT_STATUS.QUEUED;
+          entry.nextAttempt = Date.now() + UPLOAD_RETRY_DELAY * Math.pow(2, entry.attempts - 1);
+        }
+
+        await this.persistAttachmentQueue();
+        await this.syncAttachmentMessage(entry);
+        this.emitAttachmentProgress(entry, attachment);
+        return;
+      }
+    }
+
+    await this.completeAttachmentEntry(entry);
+  }
+
+  // Every attachment is uploaded: hand the message to the normal send queue
+  // (or, for a bare uploadFile call, report the URLs) and drop the local copies
+  async completeAttachmentEntry(entry) {
+    const attachments = entry.attachments.map(({ localUri, status, progress, ...published }) => published);
+
+    this.attachmentQueue = this.attachmentQueue.filter(queued => queued !== entry);
+    await this.persistAttachmentQueue();
+
+    if (entry.message) {
+      const message = { ...entry.message, attachments, status: MESSAGE_STATUS.PENDING };
+      await this.updateMessageInCache(entry.chatId, entry.messageId, { attachments, status: MESSAGE_STATUS.PENDING });
+      this.emitEvent('messageUpdated', {
+        chatId: entry.chatId,
+        messageId: entry.messageId,
+        updates: { attachments, status: MESSAGE_STATUS.PENDING }
+      });
+      this.addToMessageQueue(message);
+    }
+
+    attachments.forEach(attachment => {
+      this.emitEvent('attachmentUploaded', {
+        chatId: entry.chatId,
+        messageId: entry.messageId,
+        attachment
+      });
+    });
+
+    entry.attachments.forEach(attachment => ChatMedia.discard(attachment.localUri));
+  }
+
+  async syncAttachmentMessage(entry) {
+    if (!entry.message) return;
+
+    const updates = {
+      attachments: entry.attachments,
+      status: entry.failed ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.PENDING
+    };
+    await this.updateMessageInCache(entry.chatId, entry.messageId, updates);
+    this.emitEvent('messageUpdated', { chatId: entry.chatId, messageId: entry.messageId, updates });
+  }
+
+  emitAttachmentProgress(entry, attachment) {
+    this.emitEvent('attachmentProgress', {
+      chatId: entry.chatId,
+      messageId: entry.messageId,
+      attachmentId: attachment.id,
+      status: attachment.status,
+      progress: attachment.progress
+    });
+  }
+
+  // Give up on the backoff and try a stalled or failed message again now
+  async retryAttachmentMessage(messageId) {
+    const queue = await this.loadAttachmentQueue();
+    const entry = queue.find(queued => queued.messageId === messageId);
+    if (!entry) return { success: false, error: 'No queued attachments for this message' };
+
+    entry.failed = false;
+    entry.attempts = 0;
+    entry.nextAttempt = Date.now();
+    entry.attachments.forEach(attachment => {
+      if (attachment.status === ATTACHMENT_STATUS.FAILED) {
+        attachment.status = ATTACHMENT_STATUS.QUEUED;
+      }
+    });
+
+    await this.persistAttachmentQueue();
+    await this.syncAttachmentMessage(entry);
+
+    if (this.isOnline) {
+      this.processAttachmentQueue();
+    }
+
+    return { success: true, queued: !this.isOnline };
+  }
+
+  // Drop a queued message and its staged files without sending it
+  async discardAttachmentMessage(messageId) {
+    const queue = await this.loadAttachmentQueue();
+    const entry = queue.find(queued => queued.messageId === messageId);
+    if (!entry) return { success: false, error: 'No queued attachments for this message' };
+
+    entry.attachments.forEach(attachment => {
+      this.activeUploads.get(attachment.id)?.cancel();
+      ChatMedia.discard(attachment.localUri);
+    });
+
+    this.attachmentQueue = queue.filter(queued => queued !== entry);
+    await this.persistAttachmentQueue();
+
+    if (entry.message) {
+      const cachedMessages = await this.getCachedMessages(entry.chatId, 1000);
+      await this.cacheMessages(entry.chatId, cachedMessages.filter(message => message.id !== messageId));
+      this.emitEvent('messageDeleted', { chatId: entry.chatId, messageId });
+    }
+
+    return { success: true };
+  }
+
+  async getPendingAttachments(chatId = null) {
+    const queue = await this.loadAttachmentQueue();
+    return queue.filter(entry => !chatId || entry.chatId === chatId);
+  }
+
   // ===== UTILITY METHODS =====
 
   // Get user information
@@ -1813,6 +3486,10 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
     return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  generateAttachmentId() {
+    return `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   // ===== CACHE MANAGEMENT =====
 
   // Cache messages locally
@@ -1820,6 +3497,7 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
     try {
       const cacheKey = STORAGE_KEYS.CHAT_MESSAGES + chatId;
       await AsyncStorage.setItem(cacheKey, JSON.stringify(messages));
+      MessageSearch.indexChat(chatId, messages);
     } catch (error) {
       console.warn('Error caching messages:', error);
     }
@@ -2051,6 +3729,9 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
       
       // Process message queue
       this.processNextMessage();
+
+      // Resume staged attachment uploads
+      this.processAttachmentQueue();
       
       // Process other chat operations
       const queueJson = await AsyncStorage.getItem(STORAGE_KEYS.OFFLINE_MESSAGE_QUEUE);
@@ -2093,9 +3774,15 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
   async processChatOperation(operation) {
     switch (operation.type) {
       case 'CREATE_CHAT':
-        return await this.saveChatToFirebase(operation.data);
+        return await this.saveChatToFirebase(await this.withGuardianObservers(operation.data));
       case 'SEND_MESSAGE':
         return await this.sendMessageToFirebase(operation.data);
+      case 'UPDATE_CHAT':
+        return await this.updateChatInFirebase(operation.data.id, await this.withGuardianObservers(operation.data.updates));
+      case 'BLOCK_USER':
+        return await this.saveBlockToFirebase(operation.data, true);
+      case 'UNBLOCK_USER':
+        return await this.saveBlockToFirebase(operation.data, false);
       default:
         console.warn('Unknown chat operation type:', operation.type);
         return { success: false };
@@ -2111,6 +3798,13 @@ async performFieldSearch(field, query, abortSignal = null, requestId = null) {
       }
     }, 5000);
 
+    // Retry attachment uploads once their backoff has passed
+    setInterval(() => {
+      if (this.isOnline && this.hasDueAttachments()) {
+        this.processAttachmentQueue();
+      }
+    }, 5000);
+
     // Process pending operations every 30 seconds
     setInterval(() => {
       if (this.isOnline) {
@@ -2378,6 +4072,14 @@ async cleanup() {
     
     // Clear message queue
     this.messageQueue = [];
+
+    // Staged attachments stay on disk and in storage; reload them next time
+    this.attachmentQueue = null;
+    this.activeUploads.clear();
+
+    this.blockedUsers = null;
+    this.guardianLinks.clear();
+    MessageSearch.reset();
     
     console.log('ChatService cleanup complete');
     
@@ -2388,4 +4090,5 @@ async cleanup() {
 }
 
 // Export singleton instance
+export { CHAT_TYPES, MEMBER_ROLES };
 export default new ChatService();
@@ -0,0 +1,444 @@
+//src/services/CoachingAssistant.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlatformUtils from '../utils/PlatformUtils';
+import AIService from './AIService';
+import DocumentProcessor from './DocumentProcessor';
+import SessionService from './SessionService';
+import LoadManagement from './LoadManagement';
+import SemanticIndex from './SemanticIndex';
+import SportOntology, { DEFAULT_SPORT } from './SportOntology';
+
+const STORAGE_PREFIX = 'coaching_assistant_';
+const MAX_STORED_MESSAGES = 100;
+// Turns of earlier conversation sent along with each question
+const HISTORY_TURNS = 6;
+const MAX_SOURCES = 6;
+const MIN_SOURCE_SCORE = 0.3;
+// The coach's own plans rank above the built-in drill library, and a week
+// named in the question ("what about week 3?") above other weeks
+const OWN_MATERIAL_BOOST = 0.1;
+const WEEK_MATCH_BOOST = 0.3;
+const MAX_LIBRARY_DRILLS = 2;
+// Sources far behind the best one add noise rather than support
+const RELATIVE_CUTOFF = 0.6;
+const SOURCE_TEXT_LENGTH = 600;
+
+// Short questions and ones that point back ("what about week 3?", "how long
+// should it be?") are searched together with the previous question
+const FOLLOW_UP_PATTERN = /^(and|but|also|then|so|what about|how about|what if)\b|\b(it|that|this|those|these|them|they|there)\b/i;
+
+const LOAD_PATTERN = /\b(load|tired|fatigue|fatigued|sore|recover|recovery|rest|overtrain\w*|rpe|workload)\b/i;
+
+const TOPICS = {
+  recovery: /\b(recover\w*|rest|sleep|sore\w*|stretch\w*|injur\w*)\b/i,
+  nutrition: /\b(eat\w*|food|meal|diet|nutrition|hydrat\w*|protein|carb\w*)\b/i,
+  mental: /\b(mental|confiden\w*|nervous|anxi\w*|focus|motivat\w*|pressure)\b/i,
+  training: /\b(drill|session|train\w*|practice|plan|week|exercise|game)\b/i
+};
+
+// Rule-based answers when nothing in the coach's material matches
+const TOPIC_FALLBACKS = {
+  recovery: 'Recovery basics: 8-10 hours of sleep for young athletes, an easy day after hard sessions, and a cool-down with light stretching after every session.',
+  nutrition: 'Nutrition basics: a carbohydrate-based meal 2-3 hours before training, water throughout, and protein with carbohydrates within an hour afterwards.',
+  mental: 'Mental preparation: keep a simple pre-session routine, set one process goal per session and praise effort rather than outcome.',
+  training: 'Training basics: warm up for 10-15 minutes, keep drills short and game-like, and finish with a small-sided game.',
+  general: 'I can answer questions about your training plans, sessions, drills and players.'
+};
+
+// Answers coaching questions from the coach's own uploaded plans, the
+// player's session history and the sport knowledge base, citing each source
+// it used. Conversations are kept per user so follow-up questions have
+// context; without a language model the answer is assembled from the
+// retrieved passages by rules.
+class CoachingAssistant {
+  constructor() {
+    this.documentsIndexed = null;
+  }
+
+  async getConversation(userId) {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey(userId));
+      return stored ? JSON.parse(stored).messages || [] : [];
+    } catch (error) {
+      console.error('Error loading assistant conversation:', error);
+      return [];
+    }
+  }
+
+  async clearConversation(userId) {
+    await AsyncStorage.removeItem(this.storageKey(userId));
+  }
+
+  async saveConversation(userId, messages) {
+    try {
+      await AsyncStorage.setItem(this.storageKey(userId), JSON.stringify({
+        messages: messages.slice(-MAX_STORED_MESSAGES),
+        updatedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Assistant Conversation Save');
+    }
+  }
+
+  storageKey(userId) {
+    return `${STORAGE_PREFIX}${userId || 'anonymous'}`;
+  }
+
+  // context: { sport, ageGroup, athleteId, topic }. athleteId adds that
+  // player's session history and training load to the sources.
+  // Returns { userMessage, assistantMessage }; both are already stored.
+  async ask(userId, question, context = {}) {
+    const text = String(question || '').trim();
+    if (!text) {
+      throw PlatformUtils.createError('Question is empty', ['Type a question for the assistant'], 'validation');
+    }
+
+    const history = await this.getConversation(userId);
+    const userMessage = {
+      id: `msg_${Date.now()}_user`,
+      role: 'user',
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    const sources = await this.retrieve(this.buildRetrievalQuery(text, history), text, context, history);
+    const reply = await this.answer(userId, text, sources, history, context);
+
+    const assistantMessage = {
+      id: `msg_${Date.now()}_assistant`,
+      role: 'assistant',
+      text: reply.text,
+      citations: reply.citations,
+      aiOutput: reply.aiOutput,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.saveConversation(userId, [...history, userMessage, assistantMessage]);
+
+    PlatformUtils.logDebugInfo('Assistant answered', {
+      sources: sources.length,
+      cited: reply.citations.length,
+      source: reply.aiOutput.source
+    });
+
+    return { userMessage, assistantMessage };
+  }
+
+  isFollowUp(question, history) {
+    const hasPrevious = history.some(message => message.role === 'user');
+    return hasPrevious && (FOLLOW_UP_PATTERN.test(question) || question.split(/\s+/).length < 5);
+  }
+
+  buildRetrievalQuery(question, history) {
+    if (!this.isFollowUp(question, history)) return question;
+    const previous = [...history].reverse().find(message => message.role === 'user');
+    return `${previous.text}\n${question}`;
+  }
+
+  // Retrieval
+
+  async retrieve(query, question, context, history) {
+    const namedSport = SportOntology.resolve(context.sport) || SportOntology.resolve(query);
+    const weekMatch = question.match(/\bweek\s*(\d{1,2})\b/i);
+
+    const groups = await Promise.all([
+      this.retrieveIndexed(query, { ...context, sport: namedSport, weekNumber: weekMatch ? parseInt(weekMatch[1], 10) : null }),
+      context.athleteId ? this.retrieveSessionHistory(query, context.athleteId) : [],
+      context.athleteId && LOAD_PATTERN.test(query) ? this.retrieveLoadStatus(context.athleteId) : [],
+      this.retrieveKnowledge(query, namedSport || DEFAULT_SPORT, context)
+    ].map(promise => Promise.resolve(promise).catch(error => {
+      console.warn('Assistant source unavailable:', error.message);
+      return [];
+    })));
+
+    const ranked = groups.flat().sort((a, b) => b.score - a.score);
+    let sources = ranked
+      .filter(source => source.score >= ranked[0].score * RELATIVE_CUTOFF)
+      .slice(0, MAX_SOURCES);
+
+    // A follow-up that finds nothing new keeps talking about the last answer
+    if (sources.length === 0 && this.isFollowUp(question, history)) {
+      const previous = [...history].reverse().find(message => message.role === 'assistant');
+      sources = (previous?.citations || []).map(citation => ({ ...citation, text: citation.snippet }));
+    }
+
+    return sources.map((source, index) => ({ ...source, number: index + 1 }));
+  }
+
+  // Plan sessions, drills and document chunks from the semantic index.
+  // Documents are indexed when processed; older ones are caught up here.
+  async retrieveIndexed(query, context) {
+    await this.indexDocuments();
+
+    const documents = await DocumentProcessor.getStoredDocuments();
+    const superseded = new Set(documents.filter(doc => doc.supersededBy).map(doc => doc.id));
+
+    const results = await SemanticIndex.search(query, {
+      kinds: ['document', 'session', 'drill'],
+      limit: MAX_SOURCES * 3,
+      minScore: MIN_SOURCE_SCORE,
+      sport: context.sport,
+      ageGroup: context.ageGroup
+    });
+
+    // Week numbers carry no meaning in the embedding, so a named week's
+    // passages are looked up by their metadata
+    if (context.weekNumber) {
+      const weekResults = await SemanticIndex.search(query, {
+        kinds: ['document', 'session'],
+        filter: entry => entry.meta.weekNumber === context.weekNumber,
+        limit: 2,
+        minScore: 0
+      });
+      results.push(...weekResults.filter(weekResult => !results.some(result => result.id === weekResult.id)));
+    }
+
+    const libraryDrills = results.filter(result => result.meta.builtIn).slice(0, MAX_LIBRARY_DRILLS);
+    return results
+      .filter(result => !superseded.has(result.meta.documentId))
+      .filter(result => !result.meta.builtIn || libraryDrills.includes(result))
+      .map(result => ({
+        kind: result.kind,
+        label: this.labelFor(result),
+        text: result.text.substring(0, SOURCE_TEXT_LENGTH),
+        snippet: result.snippet,
+        score: result.score +
+          (result.meta.builtIn ? 0 : OWN_MATERIAL_BOOST) +
+          (context.weekNumber && result.meta.weekNumber === context.weekNumber ? WEEK_MATCH_BOOST : 0),
+        documentId: result.meta.documentId || null,
+        planId: result.meta.planId || null,
+        sessionId: result.meta.sessionId || null,
+        weekNumber: result.meta.weekNumber || null
+      }));
+  }
+
+  labelFor(result) {
+    const week = result.meta.weekNumber ? `, week ${result.meta.weekNumber}` : '';
+    if (result.kind === 'document') {
+      return `${result.meta.documentName || 'Uploaded document'}${week}`;
+    }
+    if (result.meta.builtIn) {
+      return `${this.sportName(result.meta.sport)} drill library`;
+    }
+    return `${result.meta.planTitle || 'Training plan'}${week}`;
+  }
+
+  async indexDocuments() {
+    if (!this.documentsIndexed) {
+      this.documentsIndexed = this.indexMissingDocuments().catch(error => {
+        this.documentsIndexed = null;
+        console.warn('Could not index documents for the assistant:', error.message);
+      });
+    }
+    return this.documentsIndexed;
+  }
+
+  async indexMissingDocuments() {
+    const documents = (await DocumentProcessor.getStoredDocuments())
+      .filter(doc => doc.processed && !doc.supersededBy);
+
+    for (const doc of documents) {
+      if (await SemanticIndex.hasOwner(`document:${doc.id}`)) continue;
+
+      try {
+        const document = await DocumentProcessor.getStoredDocument(doc.id);
+        const { text } = await DocumentProcessor.extractDocumentText(document);
+        if (text && text.trim()) {
+          await SemanticIndex.indexDocument(document, text);
+        }
+      } catch (error) {
+        console.warn(`Could not index ${doc.originalName}:`, error.message);
+      }
+    }
+  }
+
+  async retrieveSessionHistory(query, athleteId) {
+    const sessions = (await SessionService.getCachedSessions(athleteId) || [])
+      .filter(session => session.status === 'completed' || new Date(session.scheduledDate) <= new Date());
+    if (sessions.length === 0) return [];
+
+    const ranked = await SemanticIndex.rankItems(query, sessions, session => [
+      session.title,
+      session.type,
+      session.description,
+      session.notes,
+      session.feedback
+    ].filter(Boolean).join('\n'), { limit: 3, minScore: MIN_SOURCE_SCORE });
+
+    return ranked.map(session => {
+      const date = session.completedAt || session.scheduledDate;
+      const text = [session.title, session.description, session.notes, session.feedback].filter(Boolean).join('. ');
+      return {
+        kind: 'history',
+        label: `${session.title || 'Session'}${date ? ` on ${new Date(date).toLocaleDateString()}` : ''}`,
+        text: text.substring(0, SOURCE_TEXT_LENGTH),
+        snippet: SemanticIndex.snippet(text, query),
+        score: session.searchScore,
+        sessionId: session.id || null
+      };
+    });
+  }
+
+  async retrieveLoadStatus(athleteId) {
+    const status = await LoadManagement.getAthleteStatus(athleteId);
+    if (status.historyDays === 0) return [];
+
+    const text = `${LoadManagement.describeStatus(status)}. Training load status: ${status.status.replace(/_/g, ' ')} ` +
+      `(acute load ${status.acute}, chronic load ${status.chronic}, monotony ${status.monotony}).`;
+    return [{
+      kind: 'load',
+      label: 'Training load log',
+      text,
+      snippet: LoadManagement.describeStatus(status),
+      // Asked about load, so the player's own numbers come first
+      score: 1
+    }];
+  }
+
+  async retrieveKnowledge(query, sport, context) {
+    const passages = this.knowledgePassages(sport);
+    if (passages.length === 0) return [];
+
+    const ranked = await SemanticIndex.rankItems(query, passages, passage => passage.text, {
+      limit: 2,
+      minScore: MIN_SOURCE_SCORE,
+      ageGroup: context.ageGroup,
+      metaFor: passage => ({ sport, ageGroup: passage.ages })
+    });
+
+    return ranked.map(passage => ({
+      kind: 'knowledge',
+      label: `${this.sportName(sport)} knowledge base`,
+      text: passage.text,
+      snippet: passage.text,
+      score: passage.searchScore
+    }));
+  }
+
+  knowledgePassages(sport) {
+    const knowledge = SportOntology.getKnowledge(sport);
+    if (!knowledge) return [];
+
+    const name = this.sportName(sport);
+    const passages = [];
+    const humanize = value => String(value).replace(/_/g, ' ');
+
+    if (knowledge.keySkills?.length) {
+      passages.push({ text: `Key ${name} skills to develop: ${knowledge.keySkills.join(', ')}.` });
+    }
+    Object.entries(knowledge.ageProgression || {}).forEach(([ages, stage]) => {
+      passages.push({
+        // "10-12" -> "10-12 years", "16+" -> "16-99 years" so SemanticIndex can read the band
+        ages: `${ages.endsWith('+') ? `${ages.slice(0, -1)}-99` : ages} years`,
+        text: `${name} players aged ${ages}: focus on ${humanize(stage.focus)}, sessions of about ${stage.duration} minutes, ${humanize(stage.complexity)} complexity.`
+      });
+    });
+    if (knowledge.safetyConsiderations?.length) {
+      passages.push({ text: `${name} safety considerations: ${knowledge.safetyConsiderations.join(', ')}.` });
+    }
+    if (knowledge.equipment?.length) {
+      passages.push({ text: `Standard ${name} training equipment: ${knowledge.equipment.join(', ')}.` });
+    }
+
+    return passages;
+  }
+
+  sportName(code) {
+    return SportOntology.list().find(sport => sport.code === code)?.name || 'Sport';
+  }
+
+  // Answering
+
+  async answer(userId, question, sources, history, context) {
+    let failure = null;
+
+    if (AIService.canGenerate()) {
+      try {
+        const { value, aiOutput } = await AIService.runContract(
+          'assistant_answer',
+          this.buildPrompt(question, sources, history, context),
+          { maxTokens: 600, temperature: 0.3 },
+          { sourceCount: sources.length },
+          { userId }
+        );
+
+        const cited = new Set([
+          ...value.citations,
+          ...[...value.answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]))
+        ]);
+        return {
+          text: value.answer,
+          citations: sources.filter(source => cited.has(source.number)).map(source => this.toCitation(source)),
+          aiOutput
+        };
+      } catch (error) {
+        console.warn('Assistant falling back to rule-based answer:', error.message);
+        failure = AIService.failureFromError(error);
+      }
+    }
+
+    return {
+      ...this.ruleBasedAnswer(question, sources, context),
+      aiOutput: AIService.createAIOutput('assistant_answer', { source: 'rules', failure })
+    };
+  }
+
+  buildPrompt(question, sources, history, context) {
+    const audience = [context.ageGroup, SportOntology.resolve(context.sport) && this.sportName(SportOntology.resolve(context.sport))]
+      .filter(Boolean).join(' ');
+    const sourceText = sources.length > 0
+      ? sources.map(source => `[${source.number}] ${source.label}\n${source.text}`).join('\n\n')
+      : '(no matching sources)';
+    const conversation = history.slice(-HISTORY_TURNS)
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.text}`)
+      .join('\n');
+
+    return `You are a coaching assistant${audience ? ` for ${audience}` : ''}.
+Answer the question using the numbered sources, which come from the coach's own plans, the player's sessions and a sport knowledge base.
+Cite every fact taken from a source inline as [n] and list the numbers in "citations".
+If the sources do not cover the question, say so briefly and give general advice without citations.
+Keep the answer under 150 words.
+
+SOURCES:
+${sourceText}
+${conversation ? `\nCONVERSATION SO FAR:\n${conversation}\n` : ''}
+QUESTION: ${question}`;
+  }
+
+  // Degraded mode: the most relevant sentence of each source, cited
+  ruleBasedAnswer(question, sources, context) {
+    const topic = context.topic && TOPIC_FALLBACKS[context.topic]
+      ? context.topic
+      : Object.keys(TOPICS).find(key => TOPICS[key].test(question)) || 'general';
+
+    if (sources.length === 0) {
+      return {
+        text: `${TOPIC_FALLBACKS[topic]}\n\nI couldn't find anything about this in your uploaded plans or session history yet.`,
+        citations: []
+      };
+    }
+
+    const used = sources.slice(0, 4);
+    const lines = used.map(source => `• ${SemanticIndex.snippet(source.text, question)} [${source.number}]`);
+
+    return {
+      text: `Here's what I found:\n${lines.join('\n')}`,
+      citations: used.map(source => this.toCitation(source))
+    };
+  }
+
+  toCitation(source) {
+    return {
+      number: source.number,
+      kind: source.kind,
+      label: source.label,
+      snippet: source.snippet,
+      documentId: source.documentId || null,
+      planId: source.planId || null,
+      sessionId: source.sessionId || null,
+      weekNumber: source.weekNumber || null
+    };
+  }
+}
+
+export default new CoachingAssistant();
@@ -4,6 +4,20 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import PlatformUtils from '../utils/PlatformUtils';
 import PDFProcessor from './PDFProcessor';
 import AIService from './AIService';
+import TensorFlowService from './TensorFlowService';
+import SessionExtractor from './SessionExtractor';
+import SessionStore from './SessionStore';
+import PlanInterchange, { PLAN_MIME_TYPE, PLAN_FILE_EXTENSION } from './PlanInterchange';
+import CalendarInterchange, { CALENDAR_FORMAT_ID, CALENDAR_MIME_TYPE, CALENDAR_FILE_EXTENSION } from './CalendarInterchange';
+import TablePlanExtractor from './TablePlanExtractor';
+import PlanLocales from './PlanLocales';
+import PlanVersionDiff from './PlanVersionDiff';
+import PlanTranslator from './PlanTranslator';
+import SportOntology from './SportOntology';
+import OCRService, { IMAGE_MIME_TYPES, LOW_CONFIDENCE_THRESHOLD, MAX_OCR_PAGES } from './OCRService';
+import PlanDatabase from './PlanDatabase';
+import Periodization from './Periodization';
+import SemanticIndex from './SemanticIndex';
 
 // Safe module variables - initialized to null
 let DocumentPicker = null;
@@ -171,6 +185,68 @@ async selectDocument() {
   }
 }
 
+// Photographed plans, from the camera or the photo library. Returns the same
+// shape as selectDocument so the upload path does not change.
+async selectPlanImage(options = {}) {
+  try {
+    await this.ensureInitialized();
+    
+    const ImagePicker = await PlatformUtils.loadImagePicker();
+    if (!ImagePicker) {
+      throw PlatformUtils.createError('Photo selection not available', [
+        'Upload the plan as a document instead'
+      ]);
+    }
+    
+    if (options.camera) {
+      const permission = await ImagePicker.requestCameraPermissionsAsync();
+      if (!permission.granted) {
+        throw PlatformUtils.createError('Camera permission is required to photograph a plan', [
+          'Allow camera access in your device settings'
+        ]);
+      }
+    }
+    
+    // Mild compression only; OCR accuracy drops quickly on blurry text
+    const pickerOptions = { mediaTypes: ImagePicker.MediaTypeOptions.Images, quality: 0.9 };
+    const result = options.camera
+      ? await ImagePicker.launchCameraAsync(pickerOptions)
+      : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+    
+    if (result.canceled || !result.assets?.length) {
+      return null; // User cancelled
+    }
+    
+    const asset = result.assets[0];
+    const type = asset.mimeType || (asset.uri.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg');
+    let size = asset.fileSize || asset.file?.size || 0;
+    if (!size && RNFS?.getInfoAsync) {
+      const info = await RNFS.getInfoAsync(asset.uri, { size: true });
+      size = info.size || 0;
+    }
+    
+    const image = {
+      uri: asset.uri,
+      type,
+      name: asset.fileName || `plan_photo_${Date.now()}.${type === 'image/png' ? 'png' : 'jpg'}`,
+      size,
+      file: asset.file
+    };
+    
+    const validation = this.validateFileForPlatform(image);
+    if (!validation.isValid) {
+      throw PlatformUtils.createError(
+        validation.errors.join(', '),
+        validation.suggestions
+      );
+    }
+    
+    return image;
+  } catch (error) {
+    throw PlatformUtils.handlePlatformError(error, 'Plan Photo Selection');
+  }
+}
+
 // Add this method to your DocumentProcessor class
 
 async processTrainingPlan(documentId, options = {}) {
@@ -180,8 +256,7 @@ async processTrainingPlan(documentId, options = {}) {
     console.log('Processing training plan for document:', documentId);
     
     // Get the document from storage
-    const documents = await this.getStoredDocuments();
-    const document = documents.find(doc => doc.id === documentId);
+    const document = await this.getStoredDocument(documentId);
     
     if (!document) {
       throw PlatformUtils.createError('Document not found', [
@@ -190,13 +265,23 @@ async processTrainingPlan(documentId, options = {}) {
       ]);
     }
     
+    // Forced re-processing means the cached sessions for any plan built
+    // from this document are no longer trustworthy
+    if (options.force) {
+      await SessionStore.invalidateDocument(documentId);
+    }
+    
     // Check if document was already processed (unless force reprocess is enabled)
     if (document.processed && !options.force) {
       console.log('Document already processed, checking for existing plan...');
       
-      // Look for existing training plan
+      // Look for existing training plan. Superseded plans are only kept for
+      // diff and rollback, and a reviewed plan wins over a pending one.
       const existingPlans = await this.getTrainingPlans();
-      const existingPlan = existingPlans.find(plan => plan.sourceDocument === documentId);
+      const existingPlan = this.findPlanForDocument(
+        existingPlans.filter(plan => !plan.supersededBy),
+        documentId
+      );
       
       if (existingPlan) {
         console.log('Found existing training plan:', existingPlan.id);
@@ -206,9 +291,18 @@ async processTrainingPlan(documentId, options = {}) {
     
     // Process the document to extract text
     console.log('Extracting text from document...');
-    const extractionResult = await this.extractDocumentText(document);
+    const extractionResult = await this.extractDocumentText(document, { includeTables: true });
     const text = extractionResult.text;
     
+    // Structured plan files skip the free-text heuristics entirely
+    if (extractionResult.format === 'json') {
+      return await this.importStructuredPlan(text, document, options);
+    }
+    
+    if (extractionResult.format === 'calendar') {
+      return await this.importCalendarPlan(text, document, options);
+    }
+    
     if (!text || text.trim().length < 50) {
       throw PlatformUtils.createError('Insufficient content in document', [
         'Document appears to be empty or very short',
@@ -220,9 +314,35 @@ async processTrainingPlan(documentId, options = {}) {
     console.log('Analyzing document with AI enhancement...');
     const trainingPlan = await this.analyzeDocumentWithAI(text, document, options);
     
+    // Grid plans give exact week and session counts instead of text guesses
+    const planGrid = TablePlanExtractor.findPlanGrids(extractionResult.tables)[0];
+    if (planGrid) {
+      const { weeks } = TablePlanExtractor.readPlanCells(planGrid.grid, planGrid.layout);
+      trainingPlan.duration = `${weeks.length} week${weeks.length === 1 ? '' : 's'}`;
+      trainingPlan.sessionsCount = weeks.reduce((sum, week) => sum + week.cells.length, 0);
+      trainingPlan.tableLayout = {
+        grid: planGrid.grid.name,
+        orientation: planGrid.layout.orientation
+      };
+    }
+    
+    // Reuse the coach's review corrections when the document content is unchanged
+    const correctionsApplied = await this.applyStoredCorrections(trainingPlan, document);
+    
     // Save the training plan
     console.log('Saving training plan...');
+    trainingPlan.documentVersion = document.version;
     const savedPlan = await this.saveTrainingPlan(trainingPlan);
+    // An unreviewed plan replaces the previous version's plan only once the
+    // review is saved
+    if (savedPlan.reviewStatus !== 'pending') {
+      await this.supersedePreviousVersionPlans(savedPlan, document);
+    }
+    
+    // Document chunks become searchable in the background
+    SemanticIndex.indexDocument(document, text).catch(error => {
+      console.warn('Could not index document for search:', error.message);
+    });
     
     // Mark document as processed
     document.processed = true;
@@ -237,7 +357,9 @@ async processTrainingPlan(documentId, options = {}) {
       textLength: text.length,
       aiAnalyzed: trainingPlan.aiAnalyzed,
       confidence: trainingPlan.aiConfidence,
-      extractionMethod: 'ai_enhanced',
+      extractionMethod: planGrid ? 'table' : 'ai_enhanced',
+      ocr: extractionResult.metadata.ocr,
+      correctionsApplied,
       processedAt: new Date().toISOString()
     };
     
@@ -348,11 +470,11 @@ async scheduleIntegrityMaintenance() {
     };
     
     // Check documents that haven't been checked recently
-    for (const document of documents) {
+    for (const listed of documents) {
       try {
         // Skip recently checked documents (within last 24 hours)
-        if (document.integrityCheck && document.integrityCheck.timestamp) {
-          const lastCheck = new Date(document.integrityCheck.timestamp);
+        if (listed.integrityCheck && listed.integrityCheck.timestamp) {
+          const lastCheck = new Date(listed.integrityCheck.timestamp);
           const hoursSinceCheck = (Date.now() - lastCheck.getTime()) / (1000 * 60 * 60);
           
           if (hoursSinceCheck < 24) {
@@ -360,6 +482,10 @@ async scheduleIntegrityMaintenance() {
           }
         }
         
+        // Listings leave out the file bytes the checks need
+        const document = await this.getStoredDocument(listed.id);
+        if (!document) continue;
+        
         // Run integrity check
         const integrityResult = await this.verifyFileIntegrity(document);
         maintenanceResults.checkedDocuments++;
@@ -388,7 +514,7 @@ async scheduleIntegrityMaintenance() {
         await this.updateDocumentMetadata(document);
         
       } catch (error) {
-        console.warn('Integrity maintenance failed for document:', document.id, error.message);
+        console.warn('Integrity maintenance failed for document:', listed.id, error.message);
       }
     }
     
@@ -437,8 +563,7 @@ canRepairDocument(document) {
 // Repair document integrity issues
 async repairDocumentIntegrity(documentId) {
   try {
-    const documents = await this.getStoredDocuments();
-    const document = documents.find(doc => doc.id === documentId);
+    const document = await this.getStoredDocument(documentId);
     
     if (!document) {
       throw PlatformUtils.createError('Document not found for repair');
@@ -473,7 +598,8 @@ async repairDocumentIntegrity(documentId) {
         try {
           // Try to restore file data if original file object still exists
           const buffer = await document.file.arrayBuffer();
-          document.webFileData = Array.from(new Uint8Array(buffer));
+          document.webFileData = new Uint8Array(buffer);
+          await PlanDatabase.saveDocumentContent(document.id, document.webFileData);
           repairActions.push('Restored missing web file data');
           repaired = true;
         } catch (error) {
@@ -609,16 +735,14 @@ async _storeDocumentWeb(file) {
       processed: false,
       platform: 'web',
       uri: file.uri,
-      // Store as Uint8Array for better serialization
-      webFileData: Array.from(new Uint8Array(webFileData)),
-      // Keep reference to original file object (won't be serialized to AsyncStorage)
+      // The bytes are stored in their own table; listings leave them out
+      webFileData: new Uint8Array(webFileData),
+      // Keep reference to original file object (never written to storage)
       file: file.file
     };
+    metadata.contentHash = SessionStore.hashContent(metadata.webFileData);
     
-    const existingDocs = await this.getStoredDocuments();
-    existingDocs.push(metadata);
-    
-    await AsyncStorage.setItem('coaching_documents', JSON.stringify(existingDocs));
+    await PlanDatabase.addDocument(metadata, metadata.webFileData);
     
     PlatformUtils.logDebugInfo('Web document stored', { 
       documentId, 
@@ -660,10 +784,9 @@ async _storeDocumentWeb(file) {
         processed: false,
         platform: 'mobile'
       };
+      metadata.contentHash = await this.hashDocumentContent(metadata);
       
-      const existingDocs = await this.getStoredDocuments();
-      existingDocs.push(metadata);
-      await AsyncStorage.setItem('coaching_documents', JSON.stringify(existingDocs));
+      await PlanDatabase.addDocument(metadata);
       
       PlatformUtils.logDebugInfo('Mobile document stored', { 
         documentId, 
@@ -676,52 +799,83 @@ async _storeDocumentWeb(file) {
     }
   }
 
-  // Process training plan with enhanced error handling
-async generateSportVariations(originalPlanId, targetSports = ['basketball', 'tennis', 'volleyball']) {
-  try {
-    const plans = await this.getTrainingPlans();
-    const originalPlan = plans.find(plan => plan.id === originalPlanId);
-    
-    if (!originalPlan) {
-      throw PlatformUtils.createError('Original plan not found');
-    }
-
-    const generatedPlans = [];
-    
-    for (const sport of targetSports) {
-      const variation = await AIService.generatePlanVariations(originalPlan, sport);
-      variation.id = `plan_${Date.now()}_${sport}_${Math.random().toString(36).substr(2, 9)}`;
-      variation.createdAt = new Date().toISOString();
-      variation.isAIGenerated = true;
-      variation.originalPlanId = originalPlanId;
+  // Translated copies of a plan for other sports, not saved yet, each with
+  // the side-by-side comparison shown before the coach keeps them
+  async previewSportVariations(originalPlanId, targetSports, options = {}) {
+    try {
+      const plans = await this.getTrainingPlans();
+      const originalPlan = plans.find(plan => plan.id === originalPlanId);
+      
+      if (!originalPlan) {
+        throw PlatformUtils.createError('Original plan not found');
+      }
+      
+      const weeks = await this.getPlanWeeksForExport(originalPlan);
+      const sourceSport = PlanTranslator.resolveSourceSport(originalPlan, weeks, options.sourceSport);
+      const variations = [];
       
-      generatedPlans.push(variation);
+      for (const sport of targetSports) {
+        // The default targets can include the plan's own sport
+        if (SportOntology.resolve(sport) === sourceSport) {
+          continue;
+        }
+        
+        const result = await AIService.generatePlanVariations(originalPlan, sport, {
+          weeks,
+          sourceSport,
+          useModel: options.useModel
+        });
+        
+        variations.push({
+          ...result,
+          plan: {
+            ...result.plan,
+            id: `plan_${Date.now()}_${sport}_${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: new Date().toISOString(),
+            isAIGenerated: result.method === 'model',
+            originalPlanId
+          }
+        });
+      }
+      
+      return { originalPlan, sourceSport, variations };
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Sport Variation Preview');
     }
-
-    // Save all generated plans
-    for (const plan of generatedPlans) {
-      await this.saveTrainingPlan(plan);
+  }
+  
+  async saveSportVariations(variationPlans) {
+    const savedPlans = [];
+    for (const plan of variationPlans) {
+      savedPlans.push(await this.saveTrainingPlan(plan));
+    }
+    return savedPlans;
+  }
+  
+  async generateSportVariations(originalPlanId, targetSports = ['basketball', 'tennis', 'volleyball'], options = {}) {
+    try {
+      const { sourceSport, variations } = await this.previewSportVariations(originalPlanId, targetSports, options);
+      const generatedPlans = await this.saveSportVariations(variations.map(variation => variation.plan));
+      
+      PlatformUtils.logDebugInfo('Sport variations generated', {
+        originalSport: sourceSport,
+        generatedSports: variations.map(variation => variation.plan.translation.targetSport),
+        methods: variations.map(variation => variation.method),
+        planCount: generatedPlans.length
+      });
+      
+      return generatedPlans;
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Sport Variation Generation');
     }
-
-    PlatformUtils.logDebugInfo('AI sport variations generated', {
-      originalSport: originalPlan.sport,
-      generatedSports: targetSports,
-      planCount: generatedPlans.length
-    });
-
-    return generatedPlans;
-  } catch (error) {
-    throw PlatformUtils.handlePlatformError(error, 'AI Plan Generation');
   }
-}
 
 // Enhanced session extraction and storage
 async extractAndStoreSessionsFromPlan(trainingPlan) {
   try {
     console.log('Extracting sessions from plan:', trainingPlan.id);
     
-    const documents = await this.getStoredDocuments();
-    const sourceDoc = documents.find(doc => doc.id === trainingPlan.sourceDocument);
+    const sourceDoc = await this.getStoredDocument(trainingPlan.sourceDocument);
     
     if (!sourceDoc) {
       throw PlatformUtils.createError('Source document not found');
@@ -773,14 +927,10 @@ async extractAndStoreSessionsFromPlan(trainingPlan) {
 
 async storeExtractedSessions(sessions) {
   try {
-    const existingSessions = await this.getExtractedSessions();
-    const updatedSessions = [...existingSessions, ...sessions];
-    
-    await AsyncStorage.setItem('extracted_sessions', JSON.stringify(updatedSessions));
+    await PlanDatabase.addExtractedSessions(sessions);
     
     PlatformUtils.logDebugInfo('Extracted sessions stored', {
-      newSessions: sessions.length,
-      totalSessions: updatedSessions.length
+      newSessions: sessions.length
     });
     
   } catch (error) {
@@ -790,8 +940,7 @@ async storeExtractedSessions(sessions) {
 
 async getExtractedSessions() {
   try {
-    const sessions = await AsyncStorage.getItem('extracted_sessions');
-    return sessions ? JSON.parse(sessions) : [];
+    return await PlanDatabase.getExtractedSessions();
   } catch (error) {
     console.error('Error loading extracted sessions:', error);
     return [];
@@ -804,8 +953,7 @@ async updateTrainingPlan(updatedPlan) {
     const index = plans.findIndex(plan => plan.id === updatedPlan.id);
     
     if (index !== -1) {
-      plans[index] = updatedPlan;
-      await AsyncStorage.setItem('training_plans', JSON.stringify(plans));
+      await PlanDatabase.savePlan(updatedPlan);
       
       PlatformUtils.logDebugInfo('Training plan updated', {
         planId: updatedPlan.id,
@@ -817,6 +965,29 @@ async updateTrainingPlan(updatedPlan) {
   }
 }
 
+// Records which athletes follow the plan; scheduling and load tracking read
+// them from plan.assignedAthletes ({ id, name })
+async assignTrainingPlan(planId, athletes) {
+  const plans = await this.getTrainingPlans();
+  const plan = plans.find(p => p.id === planId);
+
+  if (!plan) {
+    throw PlatformUtils.createError('Training plan not found', [
+      'The plan may have been deleted',
+      'Refresh the plan library and try again'
+    ]);
+  }
+
+  const assigned = new Map((plan.assignedAthletes || []).map(athlete => [String(athlete.id), athlete]));
+  athletes.forEach(athlete => {
+    assigned.set(String(athlete.id), { id: athlete.id, name: athlete.name || null });
+  });
+
+  const updatedPlan = { ...plan, assignedAthletes: [...assigned.values()] };
+  await this.updateTrainingPlan(updatedPlan);
+  return updatedPlan;
+}
+
 // File Integrity Check System - Add these methods to DocumentProcessor.js
 
 // 1. Main integrity check method - call this after storeDocument
@@ -828,7 +999,8 @@ async verifyFileIntegrity(document) {
       basic: await this.performBasicIntegrityCheck(document),
       storage: await this.performStorageIntegrityCheck(document),
       readability: await this.performReadabilityCheck(document),
-      processing: await this.performProcessingReadinessCheck(document)
+      processing: await this.performProcessingReadinessCheck(document),
+      ocr: await this.performOCRCheck(document)
     };
     
     const overallStatus = this.evaluateIntegrityResults(checks);
@@ -927,8 +1099,8 @@ async performStorageIntegrityCheck(document) {
       if (!document.webFileData) {
         issues.push('Web file data missing');
       } else {
-        if (!Array.isArray(document.webFileData)) {
-          issues.push('Web file data in wrong format (should be array)');
+        if (!(document.webFileData instanceof Uint8Array) && !Array.isArray(document.webFileData)) {
+          issues.push('Web file data in wrong format (should be bytes)');
         } else {
           if (document.webFileData.length === 0) {
             issues.push('Web file data is empty');
@@ -945,8 +1117,7 @@ async performStorageIntegrityCheck(document) {
       }
       
       // Check if document can be retrieved from storage
-      const storedDocs = await this.getStoredDocuments();
-      const retrievedDoc = storedDocs.find(doc => doc.id === document.id);
+      const retrievedDoc = await this.getStoredDocument(document.id);
       if (!retrievedDoc) {
         issues.push('Document not found in storage after save');
       } else {
@@ -1090,6 +1261,10 @@ async performProcessingReadinessCheck(document) {
       }
     } else if (fileType.includes('pdf')) {
       issues.push('PDF processing not supported');
+    } else if (IMAGE_MIME_TYPES.includes(fileType)) {
+      if (!(await OCRService.isAvailable())) {
+        issues.push('Text recognition not available for photographed plans');
+      }
     }
     
     // Check platform-specific requirements
@@ -1142,7 +1317,63 @@ async performProcessingReadinessCheck(document) {
   }
 }
 
-// 6. Helper methods
+// 6. OCR confidence for photos and scanned PDF pages. Running it here also
+// warms the OCR cache, so the extraction right after upload reuses the text.
+async performOCRCheck(document) {
+  const format = this.getDocumentFormat(document);
+  if (format !== 'image' && format !== 'pdf') {
+    return { status: 'passed', required: false, issues: [], warnings: [] };
+  }
+  
+  try {
+    if (format === 'image') {
+      await OCRService.recognizeDocumentImage(document);
+    } else {
+      // Only pages without embedded text go through OCR
+      await this.extractPDFTextUnified(document);
+    }
+    
+    const result = OCRService.getResult(document.id);
+    if (!result) {
+      return { status: 'passed', required: false, issues: [], warnings: [] };
+    }
+    
+    const issues = [];
+    const warnings = [];
+    const percent = Math.round(result.confidence * 100);
+    
+    if (!result.text) {
+      issues.push('No text could be read from the scan');
+    } else if (result.confidence < LOW_CONFIDENCE_THRESHOLD) {
+      warnings.push(`Text was read with ${percent}% confidence - check the extracted sessions`);
+    }
+    if (result.pages.length > 1 && result.lowConfidencePages.length > 0) {
+      warnings.push(`Hard to read: page ${result.lowConfidencePages.join(', ')}`);
+    }
+    if (result.skippedPages > 0) {
+      warnings.push(`Only the first ${MAX_OCR_PAGES} scanned pages were read; ${result.skippedPages} more were skipped`);
+    }
+    
+    return {
+      status: issues.length > 0 ? 'failed' : warnings.length > 0 ? 'warning' : 'passed',
+      required: true,
+      issues,
+      warnings,
+      ...OCRService.summarize(result)
+    };
+  } catch (error) {
+    // A scanned PDF can still be re-processed later; a photo has no other text
+    return {
+      status: format === 'image' ? 'failed' : 'warning',
+      required: format === 'image',
+      issues: format === 'image' ? [`Text recognition failed: ${error.message}`] : [],
+      warnings: format === 'pdf' ? [`Scanned pages could not be checked: ${error.message}`] : [],
+      confidence: null
+    };
+  }
+}
+
+// 7. Helper methods
 validateFileExtension(filename, mimeType) {
   const extensionMap = {
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
@@ -1151,7 +1382,11 @@ validateFileExtension(filename, mimeType) {
     'application/vnd.ms-excel': ['.xls'],
     'text/csv': ['.csv'],
     'text/plain': ['.txt'],
-    'application/pdf': ['.pdf']
+    'application/pdf': ['.pdf'],
+    'application/json': ['.json'],
+    'text/calendar': ['.ics'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png']
   };
   
   const extension = filename.toLowerCase().substring(filename.lastIndexOf('.'));
@@ -1202,7 +1437,12 @@ generateIntegrityRecommendations(checks) {
         case 'processing':
           recommendations.push('Use a different file format for better compatibility');
           break;
+        case 'ocr':
+          recommendations.push('Retake the photo in good light, flat and in focus');
+          break;
       }
+    } else if (checkName === 'ocr' && result.status === 'warning') {
+      recommendations.push('Review the extracted sessions - parts of the scan were hard to read');
     }
   });
   
@@ -1215,7 +1455,10 @@ generateIntegrityRecommendations(checks) {
 
 // 7. Enhanced storeDocument with integrity check
 // In DocumentProcessor.js, modify storeDocumentWithIntegrityCheck:
-async storeDocumentWithIntegrityCheck(file) {
+// A file with the same name as a current document is stored as its next
+// version; pass replacesDocumentId to pick the document explicitly or
+// linkVersions: false to keep the upload separate
+async storeDocumentWithIntegrityCheck(file, options = {}) {
   try {
     console.log('Starting document storage with integrity check...');
     
@@ -1235,13 +1478,18 @@ async storeDocumentWithIntegrityCheck(file) {
     document.integrityCheck = {
       timestamp: integrityResult.timestamp,
       status: integrityResult.overallStatus,
-      lastChecked: new Date().toISOString()
+      lastChecked: new Date().toISOString(),
+      ocrConfidence: integrityResult.checks?.ocr?.required ? integrityResult.checks.ocr.confidence : null
     };
     
     // Update document with integrity results
     await this.updateDocumentMetadata(document);
     console.log('Document metadata updated with integrity results');
     
+    const previousVersion = options.linkVersions === false && !options.replacesDocumentId
+      ? null
+      : await this.linkDocumentVersion(document, options.replacesDocumentId);
+    
     // Verify the document was stored correctly
     const storedDocs = await this.getStoredDocuments();
     const foundDoc = storedDocs.find(doc => doc.id === document.id);
@@ -1250,7 +1498,8 @@ async storeDocumentWithIntegrityCheck(file) {
     // Return both document and integrity results
     return {
       document,
-      integrityResult
+      integrityResult,
+      previousVersion
     };
   } catch (error) {
     console.error('Error in storeDocumentWithIntegrityCheck:', error);
@@ -1483,6 +1732,40 @@ async extractTextFileUnified(document) {
   }
 }
 
+// Structured plan files are returned verbatim - no header or line numbers,
+// since the content is parsed as JSON rather than scanned line by line
+async extractJSONTextUnified(document) {
+  try {
+    const fileData = await this.readDocumentData(document);
+    const text = new TextDecoder('utf-8').decode(fileData.data).replace(/^\uFEFF/, '').trim();
+    
+    if (!text) {
+      return this.generateFormatFallback('JSON', document, ['File appears to be empty']);
+    }
+    
+    return text;
+  } catch (error) {
+    console.error('JSON extraction failed:', error);
+    return this.generateFormatFallback('JSON', document, [`Extraction error: ${error.message}`]);
+  }
+}
+
+async extractCalendarTextUnified(document) {
+  try {
+    const fileData = await this.readDocumentData(document);
+    const text = new TextDecoder('utf-8').decode(fileData.data).replace(/^\uFEFF/, '').trim();
+    
+    if (!text) {
+      return this.generateFormatFallback('Calendar', document, ['File appears to be empty']);
+    }
+    
+    return text;
+  } catch (error) {
+    console.error('Calendar extraction failed:', error);
+    return this.generateFormatFallback('Calendar', document, [`Extraction error: ${error.message}`]);
+  }
+}
+
 async extractPDFTextUnified(document) {
   try {
     const pdfProcessor = initializePDFProcessor();
@@ -1518,6 +1801,23 @@ async extractPDFTextUnified(document) {
   }
 }
 
+// Photographed plans go through OCR; the text then takes the same path as
+// any other document
+async extractImageTextUnified(document) {
+  const result = await OCRService.recognizeDocumentImage(document);
+  
+  if (!result.text) {
+    throw PlatformUtils.createError('No text could be read from the photo', [
+      'Photograph the plan flat, in good light and in focus',
+      'Make sure the whole page is in the frame'
+    ], 'ocr_error', { confidence: result.confidence });
+  }
+  
+  // Scans share the PDF clean-up: broken lines and stray whitespace
+  const text = this.cleanPDFText(result.text);
+  return `Scanned Plan: ${document.originalName}\n${'='.repeat(50)}\n\n${text}`;
+}
+
 // Add this helper method to DocumentProcessor:
 
 cleanPDFText(text) {
@@ -1593,7 +1893,7 @@ async parseTrainingPlanContent(text, document, options = {}) {
       price: null,
       
       // Additional metadata
-      version: options.force ? 2 : 1,
+      version: await this.getNextPlanVersion(document),
       isReprocessed: !!options.force,
       originalDocumentProcessedAt: document.processedAt || null,
       createdAt: new Date().toISOString(),
@@ -1655,14 +1955,19 @@ async analyzeDocumentStructure(text, document) {
   try {
     console.log('DocumentProcessor: Starting enhanced document structure analysis');
     
+    // Week, day and duration words depend on the language the plan is written in
+    const language = PlanLocales.detect(text);
+    const vocabulary = PlanLocales.getVocabulary(language.code);
+    
     const structureAnalysis = {
       documentType: this.identifyDocumentType(text),
-      weekStructure: this.analyzeWeekStructure(text),
-      dayStructure: this.analyzeDayStructure(text),
+      language: { code: language.code, name: language.name, confidence: language.confidence },
+      weekStructure: this.analyzeWeekStructure(text, vocabulary),
+      dayStructure: this.analyzeDayStructure(text, vocabulary),
       sessionStructure: this.analyzeSessionStructure(text),
-      durationAnalysis: this.analyzeDurations(text),
+      durationAnalysis: this.analyzeDurations(text, vocabulary),
       schedulePattern: this.analyzeSchedulePattern(text),
-      organizationLevel: this.assessOrganizationLevel(text),
+      organizationLevel: this.assessOrganizationLevel(text, vocabulary),
       confidence: 0.8
     };
     
@@ -1680,6 +1985,7 @@ async analyzeDocumentStructure(text, document) {
     
     console.log('Document structure analysis completed:', {
       type: structureAnalysis.documentType,
+      language: language.code,
       weeks: structureAnalysis.weekStructure.totalWeeks,
       days: structureAnalysis.dayStructure.totalDays,
       sessions: structureAnalysis.sessionStructure.totalSessions
@@ -1710,9 +2016,9 @@ identifyDocumentType(text) {
   return 'general_training';
 }
 
-analyzeWeekStructure(text) {
+analyzeWeekStructure(text, vocabulary = PlanLocales.getVocabulary()) {
   const weekPatterns = [
-    /week\s*(\d+)/gi,
+    vocabulary.weekPattern(),
     /training\s*week\s*(\d+)/gi,
     /phase\s*(\d+)/gi,
     /w(\d+)/gi
@@ -1747,10 +2053,10 @@ analyzeWeekStructure(text) {
   };
 }
 
-analyzeDayStructure(text) {
+analyzeDayStructure(text, vocabulary = PlanLocales.getVocabulary()) {
   const dayPatterns = [
-    /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi,
-    /day\s*(\d+)/gi,
+    vocabulary.dayPattern(),
+    vocabulary.dayNumberPattern(),
     /(mon|tue|wed|thu|fri|sat|sun)[\s\:]/gi
   ];
   
@@ -1760,10 +2066,12 @@ analyzeDayStructure(text) {
   dayPatterns.forEach((pattern, patternIndex) => {
     let match;
     while ((match = pattern.exec(text)) !== null) {
-      const day = match[1] || match[0];
-      days.add(day.toLowerCase());
+      const matched = (match[1] || match[0]).toLowerCase();
+      // Localized day names are stored as their English key ("lundi" -> "monday")
+      const day = vocabulary.normalizeDay(matched) || matched;
+      days.add(day);
       dayPositions.push({
-        day: day.toLowerCase(),
+        day,
         position: match.index,
         patternType: patternIndex
       });
@@ -1817,14 +2125,18 @@ analyzeSessionStructure(text) {
   };
 }
 
-analyzeDurations(text) {
+analyzeDurations(text, vocabulary = PlanLocales.getVocabulary()) {
   const durationPatterns = [
-    /(\d+)\s*(minutes?|mins?|hours?|hrs?)/gi,
     /(\d+)\s*-\s*(\d+)\s*(minutes?|mins?|hours?|hrs?)/gi,
     /duration[:\s]*(\d+)\s*(minutes?|mins?|hours?|hrs?)/gi
   ];
   
-  const durations = [];
+  const durations = vocabulary.findDurations(text).map(duration => ({
+    value: duration.value,
+    unit: duration.unit,
+    isRange: false,
+    context: duration.text
+  }));
   
   durationPatterns.forEach(pattern => {
     let match;
@@ -1878,7 +2190,7 @@ analyzeSchedulePattern(text) {
   };
 }
 
-assessOrganizationLevel(text) {
+assessOrganizationLevel(text, vocabulary = PlanLocales.getVocabulary()) {
   const organizationScore = {
     hasWeeks: 0,
     hasDays: 0,
@@ -1889,10 +2201,10 @@ assessOrganizationLevel(text) {
   };
   
   // Score based on structure elements
-  if (text.match(/week\s*\d+/gi)) organizationScore.hasWeeks = 2;
-  if (text.match(/(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi)) organizationScore.hasDays = 2;
-  if (text.match(/session\s*\d+/gi)) organizationScore.hasSessions = 2;
-  if (text.match(/\d+\s*(minutes?|hours?)/gi)) organizationScore.hasDurations = 2;
+  if (vocabulary.weekPattern('i').test(text)) organizationScore.hasWeeks = 2;
+  if (vocabulary.dayPattern('i').test(text)) organizationScore.hasDays = 2;
+  if (new RegExp(`${vocabulary.sessionSource}\\s*\\d+`, 'i').test(text)) organizationScore.hasSessions = 2;
+  if (vocabulary.findDurations(text).length > 0) organizationScore.hasDurations = 2;
   if (text.match(/(beginner|intermediate|advanced|progression)/gi)) organizationScore.hasProgression = 2;
   
   organizationScore.total = Object.values(organizationScore).reduce((sum, val) => sum + val, 0) - organizationScore.total;
@@ -2126,6 +2438,13 @@ async identifyDocumentSections(text) {
     }
   }
   
+  // Label week and session sections with the trained text classifier
+  for (const section of [...sections.weeks, ...sections.sessions]) {
+    const result = await TensorFlowService.classifyText([section.title, ...section.content].join('\n'));
+    section.category = result.category;
+    section.categoryConfidence = result.category ? result.confidence : null;
+  }
+  
   return sections;
 }
 
@@ -2498,18 +2817,33 @@ getBasicEquipment(sport) {
 
 async generateOptimalSchedule(trainingPlan, preferences = {}) {
   try {
+    const saved = trainingPlan.periodization || {};
     const defaultPreferences = {
       availableDays: ['monday', 'wednesday', 'friday'],
       preferredTime: '16:00',
       sessionDuration: 90,
-      intensity: 'moderate'
+      intensity: 'moderate',
+      weeksCount: Periodization.weeksFromDuration(trainingPlan.duration),
+      periodization: saved.model || null,
+      competitions: saved.competitions || []
     };
 
     const prefs = { ...defaultPreferences, ...preferences };
+    const periodization = Periodization.buildPlan({
+      model: prefs.periodization,
+      competitions: prefs.competitions,
+      weeksCount: prefs.weeksCount,
+      startDate: prefs.startDate,
+      intensity: prefs.intensity,
+      deloadEvery: saved.deloadEvery
+    });
+    const sessions = this.createOptimalSessionSchedule(trainingPlan, prefs, periodization);
     
     return {
       planId: trainingPlan.id,
-      sessions: this.createOptimalSessionSchedule(trainingPlan, prefs),
+      sessions,
+      periodization,
+      weeks: Periodization.summarizeWeeks(periodization, sessions),
       generatedAt: new Date().toISOString(),
       preferences: prefs,
       aiGenerated: true
@@ -2520,59 +2854,11 @@ async generateOptimalSchedule(trainingPlan, preferences = {}) {
   }
 }
 
-createOptimalSessionSchedule(trainingPlan, preferences) {
-  const sessions = [];
-  const { availableDays, preferredTime, sessionDuration } = preferences;
-  
-  // Generate 12 weeks of sessions
-  for (let week = 1; week <= 12; week++) {
-    availableDays.forEach((day, dayIndex) => {
-      const sessionDate = this.calculateOptimalDate(week, day);
-      
-      sessions.push({
-        id: `optimal_${week}_${dayIndex}_${Date.now()}`,
-        week: week,
-        day: day,
-        date: sessionDate,
-        time: preferredTime,
-        duration: sessionDuration,
-        type: this.getSessionType(week, dayIndex),
-        intensity: this.calculateIntensity(week, preferences.intensity),
-        focus: this.getWeeklyFocus(week, trainingPlan.category)
-      });
-    });
-  }
-  
-  return sessions;
-}
-
-calculateOptimalDate(weekNumber, dayName) {
-  const today = new Date();
-  const dayIndex = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
-    .indexOf(dayName.toLowerCase());
-  
-  const targetDate = new Date(today);
-  targetDate.setDate(today.getDate() + (weekNumber - 1) * 7);
-  
-  const currentDay = targetDate.getDay();
-  const daysToAdd = (dayIndex + 1 - currentDay + 7) % 7;
-  targetDate.setDate(targetDate.getDate() + daysToAdd);
-  
-  return targetDate.toISOString().split('T')[0];
-}
-
-getSessionType(week, dayIndex) {
-  const types = ['technique', 'tactics', 'fitness'];
-  return types[dayIndex % types.length];
-}
-
-calculateIntensity(week, baseIntensity) {
-  const intensityMap = { low: 0.6, moderate: 0.75, high: 0.9 };
-  const base = intensityMap[baseIntensity] || 0.75;
-  
-  // Progressive intensity throughout the program
-  const progression = Math.min(1.0, base + (week / 24));
-  return Math.round(progression * 100);
+createOptimalSessionSchedule(trainingPlan, preferences, periodization) {
+  return Periodization.buildSessions(periodization, preferences).map(session => ({
+    ...session,
+    focus: this.getWeeklyFocus(session.week, trainingPlan.category)
+  }));
 }
 
 getWeeklyFocus(week, sport) {
@@ -2739,7 +3025,7 @@ validateFileForPlatform(file) {
     isValid: errors.length === 0,
     errors: errors,
     suggestions: errors.length > 0 ? [
-      'Use supported file formats (.docx, .xlsx, .csv, .txt, .pdf)',
+      'Use supported file formats (.docx, .xlsx, .csv, .txt, .pdf, .jpg, .png)',
       `Keep file size under ${Math.round(this.fileSizeLimit / 1024 / 1024)}MB`,
       'Try compressing the file if it\'s too large'
     ] : []
@@ -2753,11 +3039,17 @@ async readDocumentData(document) {
   try {
     if (PlatformUtils.isWeb()) {
       // For web, prioritize stored webFileData
-      if (document.webFileData && Array.isArray(document.webFileData)) {
+      if (document.webFileData && document.webFileData.length > 0) {
         return {
           type: 'array',
           data: new Uint8Array(document.webFileData)
         };
+      }
+      
+      // Documents from getStoredDocuments come without their bytes
+      const content = await PlanDatabase.getDocumentContent(document.id);
+      if (content) {
+        return { type: 'array', data: content };
       } else if (document.file && typeof document.file.arrayBuffer === 'function') {
         const buffer = await document.file.arrayBuffer();
         return {
@@ -2827,6 +3119,9 @@ getDocumentFormat(document) {
   if (type === 'application/vnd.ms-excel' || name.endsWith('.xls')) return 'excel';
   if (type === 'text/csv' || name.endsWith('.csv')) return 'csv';
   if (type === 'text/plain' || name.endsWith('.txt')) return 'text';
+  if (type === 'application/json' || name.endsWith('.json')) return 'json';
+  if (type === CALENDAR_MIME_TYPE || name.endsWith(CALENDAR_FILE_EXTENSION)) return 'calendar';
+  if (IMAGE_MIME_TYPES.includes(type) || /\.(jpe?g|png)$/.test(name)) return 'image';
   
   // Fallback to generic checks
   if (type.includes('word') || type.includes('document')) return 'word';
@@ -2837,7 +3132,7 @@ getDocumentFormat(document) {
 }
 
 // ADD this entirely new method
-async extractDocumentText(document) {
+async extractDocumentText(document, options = {}) {
   const format = this.getDocumentFormat(document);
   
   try {
@@ -2859,6 +3154,15 @@ async extractDocumentText(document) {
       case 'pdf':
         extractedText = await this.extractPDFTextUnified(document);
         break;
+      case 'json':
+        extractedText = await this.extractJSONTextUnified(document);
+        break;
+      case 'calendar':
+        extractedText = await this.extractCalendarTextUnified(document);
+        break;
+      case 'image':
+        extractedText = await this.extractImageTextUnified(document);
+        break;
       default:
         throw PlatformUtils.createError(`Unsupported format: ${format}`);
     }
@@ -2867,13 +3171,18 @@ async extractDocumentText(document) {
       throw PlatformUtils.createError('No text content found in document');
     }
     
+    // Grids are only needed by session extraction, not by previews
+    const tables = options.includeTables ? await this.extractDocumentTables(document, format) : [];
+    
     return {
       text: extractedText,
       format,
+      tables,
       metadata: {
         originalFormat: format,
         extractedLength: extractedText.length,
         processingMethod: this.getProcessingMethod(format),
+        ocr: OCRService.summarize(OCRService.getResult(document.id)),
         timestamp: new Date().toISOString()
       }
     };
@@ -2884,13 +3193,50 @@ async extractDocumentText(document) {
   }
 }
 
+// Cell grids for table-aware extraction. Empty when the format has no tables
+// or its parser is unavailable, in which case only the flat text is used.
+async extractDocumentTables(document, format = this.getDocumentFormat(document)) {
+  try {
+    if (format === 'excel' && XLSX) {
+      const fileData = await this.readDocumentData(document);
+      const workbook = XLSX.read(fileData.data, {
+        type: fileData.type === 'buffer' ? 'buffer' : 'array',
+        cellText: true,
+        cellDates: true,
+        raw: false
+      });
+      
+      return workbook.SheetNames.map(sheetName => TablePlanExtractor.createGrid(
+        sheetName,
+        XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false })
+      ));
+    }
+    
+    if (format === 'word' && mammoth) {
+      const fileData = await this.readDocumentData(document);
+      const result = await mammoth.convertToHtml({
+        arrayBuffer: fileData.data.buffer || fileData.data
+      });
+      
+      return TablePlanExtractor.parseHtmlTables(result.value || '');
+    }
+  } catch (error) {
+    console.warn('Table extraction failed, using text only:', error.message);
+  }
+  
+  return [];
+}
+
 getProcessingMethod(format) {
   const methods = {
     pdf: 'PDF.js / pdf-parse',
     word: 'Mammoth library',
     excel: 'XLSX library',
     csv: 'Direct text reading',
-    text: 'Direct text reading'
+    text: 'Direct text reading',
+    json: 'Plan interchange schema',
+    calendar: 'iCalendar parser',
+    image: 'On-device OCR'
   };
   return methods[format] || 'Unknown';
 }
@@ -3209,89 +3555,133 @@ async getUserInfo() {
   };
 }
 
-// Fixed getStoredDocuments method
+// Document metadata only; file bytes are loaded per document by
+// getStoredDocument so listing a large library stays fast
 async getStoredDocuments() {
   try {
-    const documents = await AsyncStorage.getItem('coaching_documents');
-    const parsed = documents ? JSON.parse(documents) : [];
-    
-    // Validate document structure and restore web file data
-    return parsed.map(doc => {
-      const processedDoc = {
-        id: doc.id || `doc_${Date.now()}`,
-        originalName: doc.originalName || 'Unknown Document',
-        type: doc.type || 'text/plain',
-        size: doc.size || 0,
-        uploadedAt: doc.uploadedAt || new Date().toISOString(),
-        processed: doc.processed || false,
-        platform: doc.platform || 'unknown',
-        localPath: doc.localPath,
-        uri: doc.uri,
-        processedAt: doc.processedAt
-      };
-      
-      // Restore web file data if available
-      if (PlatformUtils.isWeb() && doc.webFileData) {
-        try {
-          // Ensure webFileData is properly restored
-          if (Array.isArray(doc.webFileData)) {
-            processedDoc.webFileData = doc.webFileData;
-            console.log('Restored web file data for document:', doc.id, 'size:', doc.webFileData.length);
-          } else {
-            console.warn('webFileData is not in expected array format for document:', doc.id);
-          }
-        } catch (error) {
-          console.warn('Could not restore web file data for document:', doc.id, error.message);
-        }
-      }
-      
-      return processedDoc;
-    });
+    const documents = await PlanDatabase.getDocuments();
+    return documents.map(doc => this.normalizeStoredDocument(doc));
   } catch (error) {
     console.error('Error loading stored documents:', error);
     return [];
   }
 }
 
+// One document with its file bytes attached as webFileData on web
+async getStoredDocument(documentId) {
+  try {
+    const stored = await PlanDatabase.getDocument(documentId);
+    if (!stored) {
+      return null;
+    }
+    
+    const document = this.normalizeStoredDocument(stored);
+    if (PlatformUtils.isWeb()) {
+      const content = await PlanDatabase.getDocumentContent(documentId);
+      if (content) {
+        document.webFileData = content;
+      } else {
+        console.warn('No stored file data for document:', documentId);
+      }
+    }
+    
+    return document;
+  } catch (error) {
+    console.error('Error loading stored document:', error);
+    return null;
+  }
+}
+
+normalizeStoredDocument(doc) {
+  return {
+    id: doc.id || `doc_${Date.now()}`,
+    originalName: doc.originalName || 'Unknown Document',
+    type: doc.type || 'text/plain',
+    size: doc.size || 0,
+    uploadedAt: doc.uploadedAt || new Date().toISOString(),
+    processed: doc.processed || false,
+    platform: doc.platform || 'unknown',
+    localPath: doc.localPath,
+    uri: doc.uri,
+    processedAt: doc.processedAt,
+    extractionCorrections: doc.extractionCorrections || null,
+    // Documents stored before versioning are the only version in their chain
+    versionChainId: doc.versionChainId || doc.id,
+    version: doc.version || 1,
+    previousVersionId: doc.previousVersionId || null,
+    supersededBy: doc.supersededBy || null,
+    supersededAt: doc.supersededAt || null
+  };
+}
+
   async getTrainingPlans() {
     try {
-      const plans = await AsyncStorage.getItem('training_plans');
-      const parsedPlans = plans ? JSON.parse(plans) : [];
-      
-      return parsedPlans.map(plan => ({
-        id: plan.id || `plan_${Date.now()}`,
-        title: plan.title || 'Untitled Plan',
-        category: plan.category || 'fitness',
-        duration: plan.duration || '8 weeks',
-        difficulty: plan.difficulty || 'intermediate',
-        sessionsCount: plan.sessionsCount || 12,
-        description: plan.description || 'Training program description',
-        creator: plan.creator || 'Coach',
-        rating: plan.rating || 0,
-        downloads: plan.downloads || 0,
-        tags: plan.tags || [],
-        image: plan.image || null,
-        isPublic: plan.isPublic !== undefined ? plan.isPublic : false,
-        isOwned: plan.isOwned !== undefined ? plan.isOwned : true,
-        progress: plan.progress || 0,
-        price: plan.price || null,
-        createdAt: plan.createdAt || new Date().toISOString(),
-        sourceDocument: plan.sourceDocument || null,
-        sessions: plan.sessions || [],
-        schedule: plan.schedule || { type: 'flexible', days: [], pattern: 'User-defined' },
-        platform: plan.platform || 'unknown'
-      }));
+      const parsedPlans = await PlanDatabase.getPlans();
+      
+      return parsedPlans.map(plan => this.normalizeTrainingPlan(plan));
     } catch (error) {
       console.error('Error loading training plans:', error);
       return [];
     }
   }
 
+  normalizeTrainingPlan(plan) {
+    return {
+      id: plan.id || `plan_${Date.now()}`,
+      title: plan.title || 'Untitled Plan',
+      category: plan.category || 'fitness',
+      duration: plan.duration || '8 weeks',
+      difficulty: plan.difficulty || 'intermediate',
+      sessionsCount: plan.sessionsCount || 12,
+      description: plan.description || 'Training program description',
+      creator: plan.creator || 'Coach',
+      rating: plan.rating || 0,
+      downloads: plan.downloads || 0,
+      tags: plan.tags || [],
+      image: plan.image || null,
+      isPublic: plan.isPublic !== undefined ? plan.isPublic : false,
+      isOwned: plan.isOwned !== undefined ? plan.isOwned : true,
+      progress: plan.progress || 0,
+      price: plan.price || null,
+      createdAt: plan.createdAt || new Date().toISOString(),
+      sourceDocument: plan.sourceDocument || null,
+      sessions: plan.sessions || [],
+      schedule: plan.schedule || { type: 'flexible', days: [], pattern: 'User-defined' },
+      platform: plan.platform || 'unknown',
+      academyName: plan.academyName || null,
+      structuredWeeks: plan.structuredWeeks || null,
+      interchange: plan.interchange || null,
+      reviewStatus: plan.reviewStatus || null,
+      reviewedAt: plan.reviewedAt || null,
+      tableLayout: plan.tableLayout || null,
+      documentVersion: plan.documentVersion || null,
+      supersededBy: plan.supersededBy || null,
+      supersededAt: plan.supersededAt || null,
+      isAIGenerated: !!plan.isAIGenerated,
+      originalPlanId: plan.originalPlanId || null,
+      translation: plan.translation || null,
+      periodization: plan.periodization || null,
+      assignedAthletes: plan.assignedAthletes || []
+    };
+  }
+
+  // Plans built from older document versions stay stored for diff and
+  // rollback but should not be listed or scheduled. Neither should freshly
+  // extracted plans until the coach has reviewed them.
+  async getCurrentTrainingPlans() {
+    const plans = await this.getTrainingPlans();
+    return plans.filter(plan => !plan.supersededBy && plan.reviewStatus !== 'pending');
+  }
+  
+  // Extracted plans still waiting for the review step
+  async getPlansAwaitingReview() {
+    const plans = await this.getTrainingPlans();
+    return plans.filter(plan => !plan.supersededBy && plan.reviewStatus === 'pending');
+  }
+
   async saveTrainingPlan(trainingPlan) {
     try {
-      const existingPlans = await this.getTrainingPlans();
-      existingPlans.push(trainingPlan);
-      await AsyncStorage.setItem('training_plans', JSON.stringify(existingPlans));
+      await PlanDatabase.savePlan(trainingPlan);
       
       PlatformUtils.logDebugInfo('Training plan saved', { 
         planId: trainingPlan.id,
@@ -3304,13 +3694,727 @@ async getStoredDocuments() {
     }
   }
 
-  async updateDocumentMetadata(updatedDoc) {
+  // Build a training plan from a validated interchange file. The weeks are
+  // stored on the plan so SessionExtractor can reuse them without re-parsing.
+  async importStructuredPlan(jsonText, document = null, options = {}) {
+    try {
+      const { data, validation } = PlanInterchange.parse(jsonText);
+      const structuredWeeks = PlanInterchange.importWeeks(data);
+      
+      const savedPlan = await this.saveImportedPlan({
+        title: data.plan.title,
+        academyName: data.academy.name || data.plan.title,
+        originalName: document?.originalName || `${data.plan.title}${PLAN_FILE_EXTENSION}`,
+        category: data.plan.sport.toLowerCase(),
+        difficulty: data.plan.difficulty || 'intermediate',
+        description: data.plan.description || `${data.plan.title} imported from a structured plan file.`,
+        creator: data.plan.creator,
+        tags: data.plan.tags || [],
+        interchange: {
+          format: data.format,
+          schemaVersion: data.schemaVersion,
+          importedAt: new Date().toISOString(),
+          originalPlanId: data.plan.id || null,
+          warnings: validation.warnings
+        }
+      }, structuredWeeks, document, options);
+      
+      savedPlan.processingStats = {
+        textLength: jsonText.length,
+        aiAnalyzed: false,
+        confidence: 1,
+        extractionMethod: 'structured_import',
+        processedAt: new Date().toISOString()
+      };
+      
+      PlatformUtils.logDebugInfo('Structured training plan imported', {
+        planId: savedPlan.id,
+        weeks: structuredWeeks.length,
+        sessions: savedPlan.sessionsCount,
+        warnings: validation.warnings.length
+      });
+      
+      return savedPlan;
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Structured Plan Import');
+    }
+  }
+  
+  // Build a training plan from an .ics file. Each event occurrence becomes a
+  // session with its real date, time and location.
+  async importCalendarPlan(icsText, document = null, options = {}) {
+    try {
+      const calendar = CalendarInterchange.parse(icsText);
+      const summaryLines = calendar.events
+        .map(event => [event.SUMMARY, event.DESCRIPTION, event.LOCATION]
+          .map(property => CalendarInterchange.unescapeText(property?.value))
+          .join(' '));
+      const title = calendar.name ||
+        (document?.originalName || 'Training Calendar').replace(/\.ics$/i, '');
+      const category = this.extractCategory([title, ...summaryLines]);
+      
+      const { weeks: structuredWeeks, warnings, occurrenceCount } = CalendarInterchange.importWeeks(calendar, {
+        academyName: this.extractAcademyName(summaryLines.join('\n'), { title }),
+        sport: category,
+        difficulty: this.extractDifficulty([title, ...summaryLines])
+      });
+      
+      const savedPlan = await this.saveImportedPlan({
+        title,
+        academyName: structuredWeeks[0].academyName,
+        originalName: document?.originalName || `${title}${CALENDAR_FILE_EXTENSION}`,
+        category,
+        difficulty: structuredWeeks[0].dailySessions[0].difficulty,
+        description: `${title} imported from a calendar with ${occurrenceCount} scheduled sessions.`,
+        tags: ['calendar'],
+        interchange: {
+          format: CALENDAR_FORMAT_ID,
+          importedAt: new Date().toISOString(),
+          recurringEvents: calendar.events.filter(event => event.RRULE).length,
+          warnings
+        }
+      }, structuredWeeks, document, options);
+      
+      savedPlan.processingStats = {
+        textLength: icsText.length,
+        aiAnalyzed: false,
+        confidence: 1,
+        extractionMethod: 'calendar_import',
+        processedAt: new Date().toISOString()
+      };
+      
+      PlatformUtils.logDebugInfo('Calendar training plan imported', {
+        planId: savedPlan.id,
+        events: calendar.events.length,
+        sessions: occurrenceCount,
+        warnings: warnings.length
+      });
+      
+      return savedPlan;
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Calendar Plan Import');
+    }
+  }
+  
+  // Shared by the structured importers: builds, saves and links the plan
+  async saveImportedPlan(details, structuredWeeks, document, options) {
+    const userInfo = await this.getUserInfo();
+    const totalSessions = structuredWeeks.reduce((sum, week) => sum + week.dailySessions.length, 0);
+    const scheduleDays = [...new Set(
+      structuredWeeks.flatMap(week => week.dailySessions.map(session => session.day))
+    )].filter(day => day !== 'week_plan');
+    
+    const trainingPlan = {
+      id: `plan_${Date.now()}`,
+      title: details.title,
+      academyName: details.academyName,
+      originalName: details.originalName,
+      sourceDocumentName: document?.originalName || null,
+      category: details.category,
+      duration: `${structuredWeeks.length} week${structuredWeeks.length === 1 ? '' : 's'}`,
+      difficulty: details.difficulty,
+      sessionsCount: totalSessions,
+      description: details.description,
+      creator: details.creator || userInfo.name || 'Coach',
+      creatorUsername: userInfo.username,
+      creatorFirstName: userInfo.firstName,
+      creatorLastName: userInfo.lastName,
+      creatorProfileImage: userInfo.profileImage,
+      rating: 0,
+      downloads: 0,
+      tags: details.tags,
+      image: null,
+      isPublic: false,
+      isOwned: true,
+      progress: 0,
+      price: null,
+      version: await this.getNextPlanVersion(document),
+      isReprocessed: !!options.force,
+      createdAt: new Date().toISOString(),
+      sourceDocument: document?.id || null,
+      sessions: structuredWeeks.flatMap(week => week.dailySessions.map(session => ({
+        id: session.id,
+        title: session.title,
+        exercises: session.drills.map(drill => drill.name),
+        duration: session.duration,
+        notes: session.notes ? [session.notes] : []
+      }))),
+      schedule: scheduleDays.length > 0
+        ? { type: 'weekly', days: scheduleDays, pattern: `${scheduleDays.length} days per week` }
+        : { type: 'flexible', days: [], pattern: 'User-defined schedule' },
+      platform: PlatformUtils.isWeb() ? 'web' : 'mobile',
+      structuredWeeks,
+      interchange: details.interchange,
+      documentVersion: document?.version || null
+    };
+    
+    const savedPlan = await this.saveTrainingPlan(trainingPlan);
+    await this.supersedePreviousVersionPlans(savedPlan, document);
+    
+    if (document) {
+      document.processed = true;
+      document.processedAt = new Date().toISOString();
+      await this.updateDocumentMetadata(document);
+    }
+    
+    return savedPlan;
+  }
+  
+  // Export any stored plan in the interchange format
+  async exportTrainingPlan(planId) {
+    try {
+      const plans = await this.getTrainingPlans();
+      const plan = plans.find(p => p.id === planId);
+      
+      if (!plan) {
+        throw PlatformUtils.createError('Training plan not found', [
+          'The plan may have been deleted',
+          'Refresh the plan library and try again'
+        ]);
+      }
+      
+      const weeks = await this.getPlanWeeksForExport(plan);
+      const data = PlanInterchange.exportPlan(plan, weeks);
+      const validation = PlanInterchange.validate(data);
+      
+      if (!validation.isValid) {
+        throw PlatformUtils.createError(
+          `Plan could not be exported: ${validation.errors.slice(0, 3).join('; ')}`,
+          ['Re-process the source document and try again'],
+          'plan_export_error',
+          { errors: validation.errors }
+        );
+      }
+      
+      const safeTitle = (plan.title || 'training_plan')
+        .replace(/[^a-z0-9]+/gi, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase();
+      
+      PlatformUtils.logDebugInfo('Training plan exported', {
+        planId,
+        weeks: data.weeks.length,
+        warnings: validation.warnings.length
+      });
+      
+      return {
+        fileName: `${safeTitle || 'training_plan'}${PLAN_FILE_EXTENSION}`,
+        mimeType: PLAN_MIME_TYPE,
+        content: JSON.stringify(data, null, 2),
+        data,
+        warnings: validation.warnings
+      };
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Training Plan Export');
+    }
+  }
+
+  // Export a plan's optimal schedule as an .ics feed parents can subscribe to
+  async exportTrainingPlanCalendar(planId, preferences = {}) {
+    try {
+      const plans = await this.getTrainingPlans();
+      const plan = plans.find(p => p.id === planId);
+      
+      if (!plan) {
+        throw PlatformUtils.createError('Training plan not found', [
+          'The plan may have been deleted',
+          'Refresh the plan library and try again'
+        ]);
+      }
+      
+      // Keep the plan's own training days unless the caller picked others
+      const planDays = (plan.schedule?.days || []).filter(day => this.isWeekdayName(day));
+      const schedule = await this.generateOptimalSchedule(plan, {
+        ...(planDays.length > 0 ? { availableDays: planDays } : {}),
+        ...preferences
+      });
+      
+      if (!schedule || schedule.sessions.length === 0) {
+        throw PlatformUtils.createError('No sessions to export', [
+          'Set training days for this plan and try again'
+        ], 'calendar_export_error');
+      }
+      
+      const firstSession = plan.structuredWeeks?.[0]?.dailySessions?.[0];
+      const content = CalendarInterchange.exportSchedule(plan, schedule.sessions, {
+        location: firstSession?.location || '',
+        description: plan.academyName || ''
+      });
+      
+      const safeTitle = (plan.title || 'training_plan')
+        .replace(/[^a-z0-9]+/gi, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase();
+      
+      PlatformUtils.logDebugInfo('Training plan calendar exported', {
+        planId,
+        sessions: schedule.sessions.length
+      });
+      
+      return {
+        fileName: `${safeTitle || 'training_plan'}${CALENDAR_FILE_EXTENSION}`,
+        mimeType: CALENDAR_MIME_TYPE,
+        content,
+        sessionsCount: schedule.sessions.length,
+        warnings: []
+      };
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Training Plan Calendar Export');
+    }
+  }
+  
+  isWeekdayName(day) {
+    return ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+      .includes(String(day || '').toLowerCase());
+  }
+
+  async getPlanWeeksForExport(plan) {
+    if (plan.structuredWeeks && plan.structuredWeeks.length > 0) {
+      return plan.structuredWeeks;
+    }
+    
+    if (!plan.sourceDocument) {
+      return [];
+    }
+    
+    const sourceDoc = await this.getStoredDocument(plan.sourceDocument);
+    if (!sourceDoc) {
+      return [];
+    }
+    
+    const extractionResult = await SessionExtractor.getSessionsForPlan(sourceDoc, plan);
+    return extractionResult?.sessions || [];
+  }
+
+  // The SHA-256 of the document bytes is computed once at upload and kept on
+  // the document record. Documents stored before that are hashed on first
+  // use and the hash is saved with them.
+  async getDocumentContentHash(document) {
+    if (document.contentHash) {
+      return document.contentHash;
+    }
+
+    const contentHash = await this.hashDocumentContent(document);
+    document.contentHash = contentHash;
+    try {
+      const stored = await PlanDatabase.getDocument(document.id);
+      if (stored) {
+        await PlanDatabase.saveDocument({ ...stored, contentHash });
+      }
+    } catch (error) {
+      console.warn('Could not save document content hash:', error.message);
+    }
+    return contentHash;
+  }
+
+  async hashDocumentContent(document) {
+    const fileData = await this.readDocumentData(document);
+    return SessionStore.hashContent(fileData.data);
+  }
+
+  // The model and competition calendar the plan's schedules are generated
+  // from; returns the plan with a fresh preview of its cycles
+  async updatePlanPeriodization(planId, { model, competitions = [], deloadEvery = 4 }) {
+    try {
+      const plans = await this.getTrainingPlans();
+      const plan = plans.find(p => p.id === planId);
+      
+      if (!plan) {
+        throw PlatformUtils.createError('Training plan not found', [
+          'The plan may have been deleted',
+          'Refresh the plan library and try again'
+        ]);
+      }
+      
+      // Throws periodization_error for an unknown model
+      Periodization.get(model);
+      
+      const updatedPlan = {
+        ...plan,
+        periodization: {
+          model,
+          competitions: competitions.map(competition => ({
+            date: Periodization.toDayKey(competition.date),
+            name: competition.name || 'Competition',
+            priority: ['A', 'B', 'C'].includes(competition.priority) ? competition.priority : 'B'
+          })),
+          deloadEvery,
+          updatedAt: new Date().toISOString()
+        }
+      };
+      
+      await this.updateTrainingPlan(updatedPlan);
+      
+      PlatformUtils.logDebugInfo('Plan periodization updated', {
+        planId,
+        model,
+        competitions: competitions.length
+      });
+      
+      return updatedPlan;
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Plan Periodization');
+    }
+  }
+
+  // Everything the review screen needs: the plan, the source text and the
+  // current week tree (already corrected if the coach reviewed it before)
+  async prepareExtractionReview(planId) {
+    try {
+      const plans = await this.getTrainingPlans();
+      const plan = plans.find(p => p.id === planId);
+      
+      if (!plan) {
+        throw PlatformUtils.createError('Training plan not found', [
+          'The plan may have been deleted',
+          'Refresh the plan library and try again'
+        ]);
+      }
+      
+      const document = await this.getStoredDocument(plan.sourceDocument);
+      
+      if (!document) {
+        throw PlatformUtils.createError('Source document not found', [
+          'The document may have been deleted',
+          'Upload the document again to review its extraction'
+        ]);
+      }
+      
+      const { text } = await this.extractDocumentText(document);
+      const extractionResult = await SessionExtractor.getSessionsForPlan(document, plan);
+      
+      return {
+        plan,
+        document,
+        sourceText: text || '',
+        weeks: extractionResult?.sessions || [],
+        corrections: document.extractionCorrections
+      };
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Extraction Review');
+    }
+  }
+
+  // Commit the reviewed week tree to the plan and keep a copy on the source
+  // document so a later re-process of the same content starts from it
+  async saveExtractionReview(planId, weeks, operations = []) {
+    try {
+      const plans = await this.getTrainingPlans();
+      const plan = plans.find(p => p.id === planId);
+      
+      if (!plan) {
+        throw PlatformUtils.createError('Training plan not found', [
+          'The plan may have been deleted',
+          'Refresh the plan library and try again'
+        ]);
+      }
+      
+      const document = await this.getStoredDocument(plan.sourceDocument);
+      const reviewedAt = new Date().toISOString();
+      const sessionsCount = weeks.reduce((sum, week) => sum + week.dailySessions.length, 0);
+      
+      if (document && operations.length > 0) {
+        const previous = document.extractionCorrections;
+        document.extractionCorrections = {
+          contentHash: await this.getDocumentContentHash(document),
+          weeks,
+          operations: [...(previous?.operations || []), ...operations],
+          reviewedAt
+        };
+        await this.updateDocumentMetadata(document);
+      }
+      
+      const updatedPlan = {
+        ...plan,
+        reviewStatus: 'reviewed',
+        reviewedAt
+      };
+      
+      if (operations.length > 0) {
+        updatedPlan.structuredWeeks = weeks;
+        updatedPlan.sessionsCount = sessionsCount;
+        updatedPlan.duration = `${weeks.length} week${weeks.length === 1 ? '' : 's'}`;
+      }
+      
+      await this.updateTrainingPlan(updatedPlan);
+      await SessionStore.invalidatePlan(planId);
+      if (plan.reviewStatus === 'pending') {
+        await this.supersedePreviousVersionPlans(updatedPlan, document);
+      }
+      
+      PlatformUtils.logDebugInfo('Extraction review saved', {
+        planId,
+        weeks: weeks.length,
+        sessions: sessionsCount,
+        operations: operations.length
+      });
+      
+      return updatedPlan;
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Extraction Review Save');
+    }
+  }
+
+  async applyStoredCorrections(trainingPlan, document) {
+    const corrections = document.extractionCorrections;
+    trainingPlan.reviewStatus = 'pending';
+    
+    if (!corrections?.weeks?.length) {
+      return false;
+    }
+    
+    try {
+      const contentHash = await this.getDocumentContentHash(document);
+      if (contentHash !== corrections.contentHash) {
+        console.log('Document content changed since review, corrections not applied');
+        return false;
+      }
+    } catch (error) {
+      console.warn('Could not verify stored corrections:', error.message);
+      return false;
+    }
+    
+    const weeks = corrections.weeks;
+    trainingPlan.structuredWeeks = weeks;
+    trainingPlan.sessionsCount = weeks.reduce((sum, week) => sum + week.dailySessions.length, 0);
+    trainingPlan.duration = `${weeks.length} week${weeks.length === 1 ? '' : 's'}`;
+    trainingPlan.reviewStatus = 'reviewed';
+    trainingPlan.reviewedAt = corrections.reviewedAt;
+    
+    return true;
+  }
+
+  // Makes the new document the next version of an existing one. Without an
+  // explicit document, the current version with the same file name is used.
+  async linkDocumentVersion(document, replacesDocumentId = null) {
+    const documents = await this.getStoredDocuments();
+    const candidates = documents.filter(doc => doc.id !== document.id);
+    const replaced = replacesDocumentId
+      ? candidates.find(doc => doc.id === replacesDocumentId)
+      : candidates.find(doc => !doc.supersededBy && doc.originalName === document.originalName);
+    
+    if (replacesDocumentId && !replaced) {
+      throw PlatformUtils.createError('Previous version not found', [
+        'The document may have been deleted',
+        'Upload the file as a new document instead'
+      ], 'document_version_error', { replacesDocumentId });
+    }
+    
+    document.versionChainId = document.id;
+    document.version = 1;
+    let previousVersion = null;
+    
+    if (replaced) {
+      // New versions always follow the chain's current version, even when
+      // an older one was picked
+      const chain = candidates.filter(doc => doc.versionChainId === replaced.versionChainId);
+      const current = chain.find(doc => !doc.supersededBy) || replaced;
+      
+      document.versionChainId = replaced.versionChainId;
+      document.version = Math.max(...chain.map(doc => doc.version)) + 1;
+      document.previousVersionId = current.id;
+      
+      current.supersededBy = document.id;
+      current.supersededAt = new Date().toISOString();
+      await this.updateDocumentMetadata(current);
+      previousVersion = current;
+      
+      PlatformUtils.logDebugInfo('Document version linked', {
+        documentId: document.id,
+        previousVersionId: current.id,
+        version: document.version
+      });
+    }
+    
+    await this.updateDocumentMetadata(document);
+    return previousVersion;
+  }
+  
+  // Every version of the document's chain, newest first, with the plan
+  // each one produced
+  async getDocumentVersions(documentId) {
+    const stored = await PlanDatabase.getDocument(documentId);
+    
+    if (!stored) {
+      throw PlatformUtils.createError('Document not found', [
+        'The document may have been deleted',
+        'Refresh the document library and try again'
+      ]);
+    }
+    
+    const document = this.normalizeStoredDocument(stored);
+    const chain = (await PlanDatabase.getDocumentVersionChain(document.versionChainId))
+      .map(doc => this.normalizeStoredDocument(doc));
+    const plans = (await PlanDatabase.getPlansForDocuments(chain.map(doc => doc.id)))
+      .map(plan => this.normalizeTrainingPlan(plan));
+    
+    return chain
+      .sort((a, b) => b.version - a.version)
+      .map(doc => ({
+        ...doc,
+        isCurrent: !doc.supersededBy,
+        plan: this.findPlanForDocument(plans, doc.id)
+      }));
+  }
+  
+  // The latest plan built from a document; re-processing adds newer ones.
+  // A plan still waiting for review only counts when there is no other.
+  findPlanForDocument(plans, documentId) {
+    const built = plans.filter(plan => plan.sourceDocument === documentId);
+    return built.filter(plan => plan.reviewStatus !== 'pending').pop() || built.pop() || null;
+  }
+  
+  // Plans built from the same document are numbered in order, so processing
+  // or importing it again gives the version after the latest one
+  async getNextPlanVersion(document) {
+    if (!document?.id) return 1;
+    
+    const plans = await PlanDatabase.getPlansForDocuments([document.id]);
+    return plans.length > 0
+      ? Math.max(...plans.map(plan => plan.version || 1)) + 1
+      : 1;
+  }
+  
+  // The chain's current document decides which plan is current, so
+  // re-processing an older version keeps its plan superseded. Until the
+  // current version has been processed, the newly saved plan stands in.
+  async supersedePreviousVersionPlans(savedPlan, document) {
+    if (!document?.id) {
+      return;
+    }
+    
+    const versions = await this.getDocumentVersions(document.id);
+    const current = versions.find(version => version.isCurrent);
+    const currentPlan = current?.plan || savedPlan;
+    
+    await this.setCurrentPlanVersion(versions.map(version => version.id), currentPlan.id);
+  }
+  
+  // Marks every plan built from the chain's documents as superseded by the
+  // current one, which is cleared
+  async setCurrentPlanVersion(documentIds, currentPlanId) {
+    const plans = await PlanDatabase.getPlansForDocuments(documentIds);
+    const supersededAt = new Date().toISOString();
+    
+    const updatedPlans = plans
+      .filter(plan => plan.id === currentPlanId
+        ? plan.supersededBy || plan.supersededAt
+        : plan.supersededBy !== currentPlanId)
+      .map(plan => (plan.id === currentPlanId
+        ? { ...plan, supersededBy: null, supersededAt: null }
+        : { ...plan, supersededBy: currentPlanId, supersededAt }));
+    
+    await PlanDatabase.savePlans(updatedPlans);
+  }
+  
+  // Week-by-week and session-by-session changes between the plans built
+  // from two versions of a document
+  async compareDocumentVersions(baseDocumentId, targetDocumentId) {
     try {
       const documents = await this.getStoredDocuments();
-      const index = documents.findIndex(doc => doc.id === updatedDoc.id);
-      if (index !== -1) {
-        documents[index] = updatedDoc;
-        await AsyncStorage.setItem('coaching_documents', JSON.stringify(documents));
+      const plans = await this.getTrainingPlans();
+      
+      const loadVersion = async (documentId) => {
+        const document = documents.find(doc => doc.id === documentId);
+        if (!document) {
+          throw PlatformUtils.createError('Document version not found', [
+            'The version may have been deleted',
+            'Refresh the version history and try again'
+          ], 'document_version_error', { documentId });
+        }
+        
+        const plan = this.findPlanForDocument(plans, documentId);
+        if (!plan) {
+          throw PlatformUtils.createError(`Version ${document.version} has not been processed yet`, [
+            'Process this version to build its training plan',
+            'Then compare the versions again'
+          ], 'document_version_error', { documentId });
+        }
+        
+        return { document, plan, weeks: await this.getPlanWeeksForExport(plan) };
+      };
+      
+      const base = await loadVersion(baseDocumentId);
+      const target = await loadVersion(targetDocumentId);
+      const diff = PlanVersionDiff.diffWeeks(base.weeks, target.weeks);
+      
+      PlatformUtils.logDebugInfo('Document versions compared', {
+        baseDocumentId,
+        targetDocumentId,
+        ...diff.summary
+      });
+      
+      return {
+        base: { document: base.document, plan: base.plan },
+        target: { document: target.document, plan: target.plan },
+        diff
+      };
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Document Version Comparison');
+    }
+  }
+  
+  // Makes an older version current again. Newer versions are kept so the
+  // rollback can itself be undone.
+  async rollbackDocumentVersion(documentId) {
+    try {
+      const versions = await this.getDocumentVersions(documentId);
+      const target = versions.find(version => version.id === documentId);
+      const current = versions.find(version => version.isCurrent);
+      
+      if (target.isCurrent) {
+        throw PlatformUtils.createError('This version is already current', [
+          'Pick an older version to roll back to'
+        ], 'document_version_error');
+      }
+      
+      if (!target.plan) {
+        throw PlatformUtils.createError(`Version ${target.version} has not been processed yet`, [
+          'Process this version before rolling back to it'
+        ], 'document_version_error', { documentId });
+      }
+      
+      const comparison = current
+        ? await this.compareDocumentVersions(current.id, target.id)
+        : null;
+      
+      const documents = await this.getStoredDocuments();
+      const rolledBackAt = new Date().toISOString();
+      const targetDoc = documents.find(doc => doc.id === target.id);
+      targetDoc.supersededBy = null;
+      targetDoc.supersededAt = null;
+      await this.updateDocumentMetadata(targetDoc);
+      
+      if (current) {
+        const currentDoc = documents.find(doc => doc.id === current.id);
+        currentDoc.supersededBy = target.id;
+        currentDoc.supersededAt = rolledBackAt;
+        await this.updateDocumentMetadata(currentDoc);
+      }
+      
+      await this.setCurrentPlanVersion(versions.map(version => version.id), target.plan.id);
+      
+      PlatformUtils.logDebugInfo('Document version rolled back', {
+        documentId,
+        fromVersion: current?.version,
+        toVersion: target.version
+      });
+      
+      return {
+        document: targetDoc,
+        plan: { ...target.plan, supersededBy: null, supersededAt: null },
+        diff: comparison?.diff || null
+      };
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Document Version Rollback');
+    }
+  }
+
+  async updateDocumentMetadata(updatedDoc) {
+    try {
+      const existing = await PlanDatabase.getDocument(updatedDoc.id);
+      if (existing) {
+        await PlanDatabase.saveDocument(updatedDoc);
         
         PlatformUtils.logDebugInfo('Document metadata updated', { 
           documentId: updatedDoc.id 
@@ -3346,20 +4450,30 @@ async deleteDocument(documentId) {
         // No need to explicitly clean up webFileData - it will be garbage collected
       }
       
+      await SessionStore.invalidateDocument(documentId);
+      OCRService.forget(documentId);
+      await SemanticIndex.removeDocument(documentId).catch(error => {
+        console.warn('Could not remove document from search index:', error.message);
+      });
+      
       const filteredDocs = documents.filter(doc => doc.id !== documentId);
+      const promotedDoc = this.unlinkDocumentVersion(filteredDocs, document);
       
-      // Convert web file data for storage
-      const docsToStore = filteredDocs.map(doc => {
-        if (PlatformUtils.isWeb() && doc.webFileData) {
-          return {
-            ...doc,
-            webFileData: Array.from(new Uint8Array(doc.webFileData))
-          };
-        }
-        return doc;
-      });
+      await PlanDatabase.deleteDocument(documentId);
+      await PlanDatabase.saveDocuments(
+        filteredDocs.filter(doc => doc.versionChainId === document.versionChainId)
+      );
       
-      await AsyncStorage.setItem('coaching_documents', JSON.stringify(docsToStore));
+      // The version that took over also brings its plan back
+      const promotedPlan = promotedDoc
+        ? this.findPlanForDocument(await this.getTrainingPlans(), promotedDoc.id)
+        : null;
+      if (promotedPlan) {
+        const chainIds = filteredDocs
+          .filter(doc => doc.versionChainId === document.versionChainId)
+          .map(doc => doc.id);
+        await this.setCurrentPlanVersion(chainIds, promotedPlan.id);
+      }
       
       PlatformUtils.logDebugInfo('Document deleted', { documentId });
     }
@@ -3370,6 +4484,35 @@ async deleteDocument(documentId) {
   }
 }
 
+  // Closes the gap a deleted version leaves in its chain. Returns the
+  // document that became current, if the deleted one was current.
+  unlinkDocumentVersion(documents, deleted) {
+    const chain = documents.filter(doc => doc.versionChainId === deleted.versionChainId);
+    
+    chain
+      .filter(doc => doc.previousVersionId === deleted.id)
+      .forEach(doc => { doc.previousVersionId = deleted.previousVersionId || null; });
+    
+    const pointingAtDeleted = chain
+      .filter(doc => doc.supersededBy === deleted.id)
+      .sort((a, b) => b.version - a.version);
+    
+    if (deleted.supersededBy) {
+      pointingAtDeleted.forEach(doc => { doc.supersededBy = deleted.supersededBy; });
+      return null;
+    }
+    
+    const [promoted, ...others] = pointingAtDeleted;
+    if (!promoted) {
+      return null;
+    }
+    
+    promoted.supersededBy = null;
+    promoted.supersededAt = null;
+    others.forEach(doc => { doc.supersededBy = promoted.id; });
+    return promoted;
+  }
+
   // Health check with comprehensive status
   async healthCheck() {
     try {
@@ -3402,6 +4545,8 @@ async deleteDocument(documentId) {
     try {
       const documents = await this.getStoredDocuments();
       const plans = await this.getTrainingPlans();
+      const sessionCache = await SessionStore.getStats();
+      const database = await PlanDatabase.getStats();
       
       let totalSize = 0;
       documents.forEach(doc => {
@@ -3411,6 +4556,8 @@ async deleteDocument(documentId) {
       return {
         documentsCount: documents.length,
         plansCount: plans.length,
+        sessionCache,
+        database,
         totalStorageUsed: totalSize,
         platform: PlatformUtils.isWeb() ? 'web' : 'mobile',
         storageLimit: this.fileSizeLimit,
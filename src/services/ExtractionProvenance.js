@@ -0,0 +1,232 @@
+//src/services/ExtractionProvenance.js
+
+// Where an extracted value came from, most to least trustworthy
+export const ORIGINS = {
+  COACH: 'coach',
+  DOCUMENT: 'document',
+  INFERRED: 'inferred',
+  AI: 'ai',
+  GENERATED: 'generated',
+  // Summary origin only: some fields from the document, some not
+  MIXED: 'mixed'
+};
+
+// Below this a field is flagged for the coach to check before publishing
+export const LOW_CONFIDENCE = 0.5;
+
+// Session fields players actually read; made-up values here get flagged
+export const CONTENT_FIELDS = ['activities', 'drills', 'objectives', 'equipment', 'notes'];
+
+// Builds the per-field metadata SessionExtractor attaches to weeks and
+// sessions: { origin, confidence, lines: { start, end } | null, reason }.
+// Line numbers are 1-based and match the source text shown in the review step.
+class ExtractionProvenance {
+  createSource(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return { text, lowerText: text.toLowerCase(), lineStarts };
+  }
+
+  lineAt(source, position) {
+    const { lineStarts } = source;
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low + 1;
+  }
+
+  fromRange(source, start, end, confidence = 0.9) {
+    return {
+      origin: ORIGINS.DOCUMENT,
+      confidence,
+      lines: {
+        start: this.lineAt(source, start),
+        end: this.lineAt(source, Math.max(start, end - 1))
+      }
+    };
+  }
+
+  // Finds a value in the source (case-insensitive), optionally within a
+  // { from, to } character window. Returns null when it is not there.
+  locate(source, value, window = {}, confidence = 0.8) {
+    const needle = String(value ?? '').trim().toLowerCase();
+    if (!needle) return null;
+
+    const from = window.from || 0;
+    const to = window.to ?? source.text.length;
+    const index = source.lowerText.indexOf(needle, from);
+
+    if (index === -1 || index + needle.length > to) {
+      return null;
+    }
+
+    return this.fromRange(source, index, index + needle.length, confidence);
+  }
+
+  locatePattern(source, pattern, window = {}, confidence = 0.8) {
+    const from = window.from || 0;
+    const to = window.to ?? source.text.length;
+    const match = source.text.substring(from, to).match(pattern);
+
+    if (!match) return null;
+
+    const start = from + match.index;
+    return this.fromRange(source, start, start + match[0].length, confidence);
+  }
+
+  // List fields count as document content only for the items that were
+  // found; confidence drops with the share that had to be made up
+  locateList(source, values, window = {}, confidence = 0.8) {
+    const items = (values || []).map(value => (typeof value === 'object' && value !== null ? value.description || value.name : value));
+    const found = items.map(item => this.locate(source, item, window, confidence)).filter(Boolean);
+
+    if (items.length === 0 || found.length === 0) {
+      return null;
+    }
+
+    return {
+      origin: ORIGINS.DOCUMENT,
+      confidence: Number((confidence * found.length / items.length).toFixed(2)),
+      lines: {
+        start: Math.min(...found.map(meta => meta.lines.start)),
+        end: Math.max(...found.map(meta => meta.lines.end))
+      },
+      matchedItems: found.length,
+      totalItems: items.length
+    };
+  }
+
+  inferred(reason, confidence = 0.5, lines = null) {
+    return { origin: ORIGINS.INFERRED, confidence, lines, reason };
+  }
+
+  generated(reason) {
+    return { origin: ORIGINS.GENERATED, confidence: 0, lines: null, reason };
+  }
+
+  // Values the coach typed in the review step are trusted as-is
+  fromCoach(previous = null) {
+    return { origin: ORIGINS.COACH, confidence: 1, lines: previous?.lines || null, reason: 'Edited in review' };
+  }
+
+  orGenerated(meta, reason) {
+    return meta || this.generated(reason);
+  }
+
+  summarize(fieldMeta) {
+    const entries = Object.entries(fieldMeta || {});
+    if (entries.length === 0) {
+      return { origin: ORIGINS.GENERATED, confidence: 0, generatedFields: [], lowConfidenceFields: [] };
+    }
+
+    const generatedFields = entries.filter(([, meta]) => meta.origin === ORIGINS.GENERATED).map(([field]) => field);
+    const documentFields = entries.filter(([, meta]) => meta.origin === ORIGINS.DOCUMENT || meta.origin === ORIGINS.COACH);
+    const confidence = entries.reduce((sum, [, meta]) => sum + meta.confidence, 0) / entries.length;
+    const lines = documentFields.map(([, meta]) => meta.lines).filter(Boolean);
+
+    let origin = ORIGINS.DOCUMENT;
+    if (documentFields.length === 0) {
+      origin = ORIGINS.GENERATED;
+    } else if (documentFields.length < entries.length) {
+      origin = ORIGINS.MIXED;
+    }
+
+    return {
+      origin,
+      confidence: Number(confidence.toFixed(2)),
+      generatedFields,
+      lowConfidenceFields: entries.filter(([, meta]) => meta.confidence < LOW_CONFIDENCE).map(([field]) => field),
+      lines: lines.length > 0 ? {
+        start: Math.min(...lines.map(range => range.start)),
+        end: Math.max(...lines.map(range => range.end))
+      } : null
+    };
+  }
+
+  // Attach field metadata and its summary to a week or session
+  annotate(target, fieldMeta) {
+    target.fieldMeta = fieldMeta;
+    target.provenance = this.summarize(fieldMeta);
+    return target;
+  }
+
+  // Fields the AI enhancement rewrote no longer match the document text, so
+  // they keep the original line range but are re-labelled as AI output
+  markAIChanges(originalWeeks, enhancedWeeks, confidence = 0.4) {
+    const originalSessions = new Map(
+      originalWeeks.flatMap(week => week.dailySessions).map(session => [session.id, session])
+    );
+
+    return enhancedWeeks.map(week => ({
+      ...week,
+      dailySessions: week.dailySessions.map(session => {
+        const original = originalSessions.get(session.id);
+        if (!original || !session.fieldMeta) return session;
+
+        const fieldMeta = { ...session.fieldMeta };
+        Object.keys(fieldMeta).forEach(field => {
+          if (JSON.stringify(session[field]) !== JSON.stringify(original[field])) {
+            fieldMeta[field] = {
+              origin: ORIGINS.AI,
+              confidence: Math.min(confidence, fieldMeta[field].confidence || confidence),
+              lines: fieldMeta[field].lines,
+              reason: week.aiOutput?.fallback ? 'Adjusted by rule-based enhancement' : 'Adjusted by AI enhancement'
+            };
+          }
+        });
+
+        return this.annotate({ ...session }, fieldMeta);
+      })
+    }));
+  }
+
+  // Short label for screens that list sessions, or null if nothing was invented
+  getSessionFlag(session) {
+    const provenance = session?.provenance;
+    if (!provenance) return null;
+
+    if (provenance.origin === ORIGINS.GENERATED) {
+      return { level: 'placeholder', label: 'Placeholder, not in document' };
+    }
+
+    const inventedContent = provenance.generatedFields.filter(field => CONTENT_FIELDS.includes(field));
+    if (inventedContent.length > 0) {
+      return { level: 'partial', label: `Generated ${inventedContent.join(', ')}` };
+    }
+
+    return null;
+  }
+
+  summarizeWeeks(weeks) {
+    const sessions = weeks.flatMap(week => week.dailySessions || []);
+    const metas = [...weeks, ...sessions].flatMap(item => Object.values(item.fieldMeta || {}));
+    const countOrigin = origin => metas.filter(meta => meta.origin === origin).length;
+
+    return {
+      // Imported plans carry no field metadata, so there is nothing to score
+      averageConfidence: metas.length > 0
+        ? Number((metas.reduce((sum, meta) => sum + meta.confidence, 0) / metas.length).toFixed(2))
+        : null,
+      documentFields: countOrigin(ORIGINS.DOCUMENT),
+      inferredFields: countOrigin(ORIGINS.INFERRED),
+      aiFields: countOrigin(ORIGINS.AI),
+      generatedFields: countOrigin(ORIGINS.GENERATED),
+      generatedWeeks: weeks.filter(week => week.provenance?.origin === ORIGINS.GENERATED).length,
+      generatedSessions: sessions.filter(session => session.provenance?.origin === ORIGINS.GENERATED).length,
+      totalSessions: sessions.length
+    };
+  }
+}
+
+export default new ExtractionProvenance();
@@ -0,0 +1,206 @@
+//src/services/ExtractionReview.js
+import PlatformUtils from '../utils/PlatformUtils';
+import ExtractionProvenance from './ExtractionProvenance';
+
+// Edit operations for the extraction review step. Every operation works on
+// a copy of the week tree and returns { weeks, operation } so the screen can
+// keep an undo stack and the document keeps a log of what the coach changed.
+class ExtractionReview {
+  cloneWeeks(weeks) {
+    return JSON.parse(JSON.stringify(weeks || []));
+  }
+
+  // Week and day numbers are positional once the coach starts editing
+  renumber(weeks) {
+    return weeks.map((week, weekIndex) => {
+      const weekNumber = weekIndex + 1;
+      const dailySessions = (week.dailySessions || []).map((session, sessionIndex) => ({
+        ...session,
+        weekNumber,
+        dayNumber: sessionIndex + 1,
+        week: `Week ${weekNumber}`
+      }));
+
+      return {
+        ...week,
+        weekNumber,
+        dailySessions,
+        totalDuration: dailySessions.reduce((sum, session) => sum + (session.duration || 0), 0)
+      };
+    });
+  }
+
+  renameWeek(weeks, weekIndex, title) {
+    const next = this.cloneWeeks(weeks);
+    this.assertWeek(next, weekIndex);
+
+    const week = next[weekIndex];
+    week.title = title.trim();
+    if (week.fieldMeta) {
+      ExtractionProvenance.annotate(week, { ...week.fieldMeta, title: ExtractionProvenance.fromCoach(week.fieldMeta.title) });
+    }
+
+    return this.result(next, { type: 'renameWeek', weekIndex, title: title.trim() });
+  }
+
+  deleteWeek(weeks, weekIndex) {
+    const next = this.cloneWeeks(weeks);
+    this.assertWeek(next, weekIndex);
+
+    next.splice(weekIndex, 1);
+
+    return this.result(this.renumber(next), { type: 'deleteWeek', weekIndex });
+  }
+
+  // Used when a stray "Week" header split one real week in two
+  mergeWeekWithNext(weeks, weekIndex) {
+    const next = this.cloneWeeks(weeks);
+    this.assertWeek(next, weekIndex);
+    this.assertWeek(next, weekIndex + 1);
+
+    const [following] = next.splice(weekIndex + 1, 1);
+    const target = next[weekIndex];
+
+    target.dailySessions = [...target.dailySessions, ...following.dailySessions];
+    target.description = [target.description, following.description].filter(Boolean).join('\n');
+    target.notes = [...(target.notes || []), ...(following.notes || [])];
+
+    return this.result(this.renumber(next), { type: 'mergeWeeks', weekIndex });
+  }
+
+  // Sessions from sessionIndex onwards move into a new week inserted after this one
+  splitWeek(weeks, weekIndex, sessionIndex) {
+    const next = this.cloneWeeks(weeks);
+    this.assertWeek(next, weekIndex);
+
+    const source = next[weekIndex];
+    if (sessionIndex <= 0 || sessionIndex >= source.dailySessions.length) {
+      throw PlatformUtils.createError('A week can only be split between two sessions', [
+        'Choose a session that is not the first one in the week'
+      ], 'review_error');
+    }
+
+    const moved = source.dailySessions.splice(sessionIndex);
+    const newWeek = {
+      ...source,
+      id: `week_split_${Date.now()}`,
+      title: `${source.title} (continued)`,
+      description: '',
+      notes: [],
+      dailySessions: moved
+    };
+
+    next.splice(weekIndex + 1, 0, newWeek);
+
+    return this.result(this.renumber(next), { type: 'splitWeek', weekIndex, sessionIndex });
+  }
+
+  renameSession(weeks, weekIndex, sessionIndex, title) {
+    const next = this.cloneWeeks(weeks);
+    this.assertSession(next, weekIndex, sessionIndex);
+
+    const session = next[weekIndex].dailySessions[sessionIndex];
+    session.title = title.trim();
+    if (session.fieldMeta) {
+      ExtractionProvenance.annotate(session, { ...session.fieldMeta, title: ExtractionProvenance.fromCoach(session.fieldMeta.title) });
+    }
+
+    return this.result(next, { type: 'renameSession', weekIndex, sessionIndex, title: title.trim() });
+  }
+
+  deleteSession(weeks, weekIndex, sessionIndex) {
+    const next = this.cloneWeeks(weeks);
+    this.assertSession(next, weekIndex, sessionIndex);
+
+    next[weekIndex].dailySessions.splice(sessionIndex, 1);
+
+    return this.result(this.renumber(next), { type: 'deleteSession', weekIndex, sessionIndex });
+  }
+
+  // Used when one day was detected twice, e.g. "Monday" in a header and in the body
+  mergeSessionWithNext(weeks, weekIndex, sessionIndex) {
+    const next = this.cloneWeeks(weeks);
+    this.assertSession(next, weekIndex, sessionIndex);
+    this.assertSession(next, weekIndex, sessionIndex + 1);
+
+    const sessions = next[weekIndex].dailySessions;
+    const [following] = sessions.splice(sessionIndex + 1, 1);
+    const target = sessions[sessionIndex];
+
+    target.duration = (target.duration || 0) + (following.duration || 0);
+    ['activities', 'drills', 'objectives', 'equipment', 'notes'].forEach(field => {
+      target[field] = this.mergeLists(target[field], following[field]);
+    });
+    target.documentContent = [target.documentContent, following.documentContent].filter(Boolean).join('\n');
+
+    return this.result(this.renumber(next), { type: 'mergeSessions', weekIndex, sessionIndex });
+  }
+
+  // Used when two days were merged into one session; the second half of the
+  // content and activity lists moves into a new session right after it
+  splitSession(weeks, weekIndex, sessionIndex) {
+    const next = this.cloneWeeks(weeks);
+    this.assertSession(next, weekIndex, sessionIndex);
+
+    const sessions = next[weekIndex].dailySessions;
+    const source = sessions[sessionIndex];
+    const contentLines = (source.documentContent || '').split('\n');
+    const half = Math.ceil(contentLines.length / 2);
+
+    const newSession = {
+      ...source,
+      id: `session_split_${Date.now()}`,
+      title: `${source.title} (part 2)`,
+      duration: Math.floor((source.duration || 0) / 2),
+      documentContent: contentLines.slice(half).join('\n')
+    };
+
+    source.duration = (source.duration || 0) - newSession.duration;
+    source.documentContent = contentLines.slice(0, half).join('\n');
+
+    ['activities', 'drills', 'objectives'].forEach(field => {
+      const items = source[field] || [];
+      const middle = Math.ceil(items.length / 2);
+      source[field] = items.slice(0, middle);
+      newSession[field] = items.slice(middle);
+    });
+
+    sessions.splice(sessionIndex + 1, 0, newSession);
+
+    return this.result(this.renumber(next), { type: 'splitSession', weekIndex, sessionIndex });
+  }
+
+  mergeLists(first, second) {
+    return [...new Set([...(first || []), ...(second || [])])];
+  }
+
+  countSessions(weeks) {
+    return weeks.reduce((sum, week) => sum + (week.dailySessions || []).length, 0);
+  }
+
+  result(weeks, operation) {
+    return {
+      weeks,
+      operation: { ...operation, appliedAt: new Date().toISOString() }
+    };
+  }
+
+  assertWeek(weeks, weekIndex) {
+    if (!weeks[weekIndex]) {
+      throw PlatformUtils.createError(`Week ${weekIndex + 1} does not exist`, [
+        'Reload the review screen and try again'
+      ], 'review_error');
+    }
+  }
+
+  assertSession(weeks, weekIndex, sessionIndex) {
+    this.assertWeek(weeks, weekIndex);
+    if (!weeks[weekIndex].dailySessions[sessionIndex]) {
+      throw PlatformUtils.createError(`Session ${sessionIndex + 1} in week ${weekIndex + 1} does not exist`, [
+        'Reload the review screen and try again'
+      ], 'review_error');
+    }
+  }
+}
+
+export default new ExtractionReview();
@@ -0,0 +1,871 @@
+//src/services/InjuryManagement.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlatformUtils from '../utils/PlatformUtils';
+import AthleteRecords from './AthleteRecords';
+
+// Device copies of the shared records, used offline
+const STORAGE_KEY = 'athlete_injury_records';
+const ALERTS_KEY = 'injury_conflict_alerts';
+const PENDING_KEY = 'injury_changes_pending';
+const MAX_ALERTS = 100;
+
+// Firestore collections the athlete shares with their coaches; linked
+// guardians can read them
+const RECORDS_COLLECTION = 'injuryRecords';
+const ALERTS_COLLECTION = 'injuryAlerts';
+const MAX_REMOTE_RECORDS = 500;
+// Each set of athletes is read from Firestore at most this often
+const REMOTE_MAX_AGE_MS = 60 * 1000;
+
+// Screens have used mild/severe and minor/major; records use the latter
+export const INJURY_SEVERITIES = ['minor', 'moderate', 'major'];
+const SEVERITY_ALIASES = { mild: 'minor', severe: 'major', critical: 'major' };
+
+// Graduated return to play, earliest first. blocks: which risk tiers of the
+// injured region are filtered out of sessions; maxIntensity caps the rest.
+export const RETURN_TO_PLAY_STAGES = [
+  { id: 'rest', label: 'Rest', status: 'out', blocks: ['high', 'moderate'], noContact: true, sitOut: true },
+  { id: 'light_activity', label: 'Light activity', status: 'recovering', blocks: ['high', 'moderate'], noContact: true, maxIntensity: 'low' },
+  { id: 'sport_specific', label: 'Sport-specific drills', status: 'recovering', blocks: ['high', 'moderate'], noContact: true, maxIntensity: 'moderate' },
+  { id: 'non_contact', label: 'Non-contact training', status: 'recovering', blocks: ['high'], noContact: true, maxIntensity: 'high' },
+  { id: 'full_contact', label: 'Full-contact practice', status: 'monitoring', blocks: [], noContact: false },
+  { id: 'cleared', label: 'Cleared', status: 'cleared', blocks: [], noContact: false }
+];
+
+// Where a new injury starts when the reporter does not pick a stage
+const INITIAL_STAGE = { minor: 'sport_specific', moderate: 'light_activity', major: 'rest' };
+
+// Movement patterns matched against drill and exercise text
+const MOVEMENTS = {
+  jumping: { label: 'jumping and landing', pattern: /\b(jump\w*|hops?|hopping|bound(s|ing)\b|plyo\w*|landings?\b|skipping|burpees?|depth drops?)/ },
+  sprinting: { label: 'sprinting', pattern: /\b(sprint\w*|accelerat\w*|flying \d+s?|speed work|max(imal)? speed)/ },
+  running: { label: 'running', pattern: /\b(run|runs|running|jog\w*|shuttles?|intervals?|conditioning|beep test|yo-?yo test|laps?)\b/ },
+  cutting: { label: 'cutting and change of direction', pattern: /\b(cutting|change of direction|agility|zig-?zag|pivot\w*|side-?step\w*|shuffl\w*|slalom|dodg\w*|weav(e|es|ing)\b|t-drill|ladders?\b)/ },
+  kicking: { label: 'kicking and striking', pattern: /\b(kick\w*|volley\w*|strik(e|es|ing)\b|cross(es|ing)\b|punt\w*|penalt\w*)/ },
+  heading: { label: 'heading', pattern: /\b(header|headers|heading)\b/ },
+  throwing: { label: 'throwing', pattern: /\b(throw\w*|pitch(ing|es)\b|javelin|bowling|shot ?put|chest pass\w*|overhead pass\w*)/ },
+  overhead: { label: 'overhead work', pattern: /\b(overhead|military press|shoulder press|snatch\w*|jerks?\b|handstands?|pull-?overs?|lat pulldowns?|wall balls?|spik(e|es|ing)\b|serv(e|es|ing)\b|smash\w*)/ },
+  pressing: { label: 'pressing', pattern: /\b(push-?ups?|press-?ups?|bench\w*|press|presses|dips?|burpees?)\b/ },
+  pulling: { label: 'pulling', pattern: /\b(pull-?ups?|chin-?ups?|rows|rowing|pulldowns?|rope climbs?|tug of war)\b/ },
+  handSupport: { label: 'weight on the hands', pattern: /\b(push-?ups?|planks?|handstands?|bear crawls?|crab walks?|burpees?|mountain climbers?|cartwheels?|tumbl\w*)/ },
+  gripping: { label: 'gripping and catching', pattern: /\b(grip\w*|catch\w*|hang(s|ing)?\b|kettlebells?|dumbbells?|barbells?|rac(k|qu)ets?|batting|stick ?handling)/ },
+  squatting: { label: 'squats and lunges', pattern: /\b(squat\w*|lunge\w*|step-?ups?|leg press|pistols?|wall sits?)/ },
+  hinging: { label: 'hip hinging', pattern: /\b(deadlifts?|rdls?|good mornings?|nordic\w*|hamstring curls?|kettlebell swings?|hip thrusts?|power cleans?|hang cleans?)/ },
+  rotation: { label: 'twisting and rotation', pattern: /\b(rotat\w*|twist\w*|woodchop\w*|med(icine)? ball throws?|swings?\b|golf)/ },
+  contact: { label: 'contact', pattern: /\b(tackl\w*|contact|scrimmag\w*|match play|game play|small-?sided|\d+ ?v ?\d+|1-on-1|one-on-one|wrestl\w*|sparr\w*|scrums?|rucks?|mauls?|box(ing)? out|shoulder charges?|duels?)/ }
+};
+
+// high-risk movements come out from the first stage that allows training;
+// moderate-risk ones only until non-contact training
+export const BODY_REGIONS = {
+  head: {
+    label: 'Head',
+    aliases: ['head', 'concussion', 'face', 'jaw', 'eye', 'skull', 'nose'],
+    high: ['contact', 'heading'],
+    moderate: ['sprinting', 'jumping'],
+    alternatives: ['Light aerobic work such as walking or a stationary bike', 'Passing and technique work without contact or heading']
+  },
+  neck: {
+    label: 'Neck',
+    aliases: ['neck', 'cervical', 'whiplash'],
+    high: ['contact', 'heading'],
+    moderate: ['overhead', 'pulling'],
+    alternatives: ['Lower-body work that keeps the head still', 'Gentle range-of-motion work as advised by the physio']
+  },
+  shoulder: {
+    label: 'Shoulder',
+    aliases: ['shoulder', 'collarbone', 'clavicle', 'rotator cuff', 'ac joint'],
+    high: ['overhead', 'throwing', 'contact'],
+    moderate: ['pressing', 'pulling', 'handSupport'],
+    alternatives: ['Lower-body conditioning and footwork', 'Pain-free range-of-motion and band work below shoulder height']
+  },
+  arm: {
+    label: 'Arm/Elbow',
+    aliases: ['arm', 'elbow', 'forearm', 'bicep', 'biceps', 'tricep', 'triceps'],
+    high: ['throwing', 'pulling'],
+    moderate: ['pressing', 'gripping'],
+    alternatives: ['Lower-body and footwork drills', 'Core work that does not load the arm']
+  },
+  wrist: {
+    label: 'Wrist/Hand',
+    aliases: ['wrist', 'hand', 'finger', 'fingers', 'thumb', 'palm'],
+    high: ['handSupport', 'gripping'],
+    moderate: ['pressing', 'throwing'],
+    alternatives: ['Lower-body strength and running drills', 'Forearm planks instead of hand-supported work']
+  },
+  chest: {
+    label: 'Chest',
+    aliases: ['chest', 'rib', 'ribs', 'sternum', 'pec', 'pectoral'],
+    high: ['contact', 'pressing'],
+    moderate: ['throwing', 'rotation'],
+    alternatives: ['Lower-body technique work', 'Steady aerobic work within comfortable breathing']
+  },
+  back: {
+    label: 'Back/Spine',
+    aliases: ['lower back', 'upper back', 'back', 'spine', 'lumbar', 'disc'],
+    high: ['hinging', 'contact', 'rotation'],
+    moderate: ['squatting', 'jumping'],
+    alternatives: ['Walking and light cycling', 'Core bracing such as dead bugs and bird dogs']
+  },
+  core: {
+    label: 'Core/Abs',
+    aliases: ['core', 'abs', 'abdomen', 'abdominal', 'oblique', 'obliques', 'stomach'],
+    high: ['rotation', 'contact'],
+    moderate: ['hinging', 'kicking'],
+    alternatives: ['Straight-line running at a steady pace', 'Technique work without twisting']
+  },
+  hip: {
+    label: 'Hip/Groin',
+    aliases: ['hip', 'groin', 'glute', 'glutes', 'adductor', 'pelvis'],
+    high: ['kicking', 'cutting', 'sprinting'],
+    moderate: ['squatting', 'hinging', 'jumping'],
+    alternatives: ['Upper-body and core work', 'Straight-line jogging within comfort']
+  },
+  thigh: {
+    label: 'Thigh',
+    aliases: ['thigh', 'hamstring', 'hamstrings', 'quad', 'quads', 'quadricep', 'quadriceps'],
+    high: ['sprinting', 'kicking', 'hinging'],
+    moderate: ['cutting', 'jumping', 'running'],
+    alternatives: ['Upper-body strength work', 'Static passing and ball work at walking pace']
+  },
+  knee: {
+    label: 'Knee',
+    aliases: ['knee', 'acl', 'mcl', 'meniscus', 'patella', 'kneecap'],
+    high: ['jumping', 'cutting', 'contact'],
+    moderate: ['squatting', 'sprinting', 'kicking'],
+    alternatives: ['Straight-line movements at a steady pace', 'Knee strengthening such as isometric quads and glute bridges']
+  },
+  calf: {
+    label: 'Calf/Shin',
+    aliases: ['calf', 'calves', 'shin', 'shins', 'achilles', 'lower leg', 'tibia'],
+    high: ['sprinting', 'jumping'],
+    moderate: ['running', 'cutting'],
+    alternatives: ['Cycling or pool work', 'Upper-body and core work']
+  },
+  ankle: {
+    label: 'Ankle/Foot',
+    aliases: ['ankle', 'foot', 'feet', 'toe', 'toes', 'heel', 'arch'],
+    high: ['jumping', 'cutting', 'sprinting'],
+    moderate: ['running', 'contact'],
+    alternatives: ['Balance and proprioception work', 'Seated or stationary ball work']
+  },
+  other: {
+    label: 'Other',
+    aliases: [],
+    high: [],
+    moderate: [],
+    alternatives: ['Modify intensity based on comfort', 'Consult the medical team for clearance']
+  }
+};
+
+// Longest aliases first so "lower back" wins over "back"
+const REGION_ALIASES = Object.entries(BODY_REGIONS)
+  .flatMap(([region, config]) => config.aliases.map(alias => ({ region, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// Session fields that list drills or exercises, string or { name, description }
+const ITEM_FIELDS = ['drills', 'exercises', 'activities'];
+
+const INTENSITY_LEVELS = ['low', 'moderate', 'high', 'very_high'];
+// Schedules use 0-100 numbers
+const INTENSITY_CAPS = { low: 40, moderate: 60, high: 80 };
+
+// Injury and restriction records per athlete. Each injury has a body
+// region, severity and return-to-play stage; while it is active, sessions
+// assigned to the athlete lose the drills and exercises that region cannot
+// take yet, and plans that still contain them raise a coach alert.
+// Records and alerts live in Firestore so a report made on the athlete's
+// phone reaches the coach's device; changes made offline are kept here and
+// sent on the next sync.
+class InjuryManagement {
+  constructor() {
+    this.injuries = null;
+    this.alerts = null;
+    this.pending = new Map();
+    this.syncedAt = new Map();
+    this.loadPromise = null;
+  }
+
+  async load() {
+    if (this.injuries) return this.injuries;
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = (async () => {
+      try {
+        const [injuries, alerts, pending] = await AsyncStorage.multiGet([STORAGE_KEY, ALERTS_KEY, PENDING_KEY]);
+        this.injuries = injuries[1] ? JSON.parse(injuries[1]) : [];
+        this.alerts = alerts[1] ? JSON.parse(alerts[1]) : [];
+        this.pending = new Map(pending[1] ? JSON.parse(pending[1]) : []);
+        // Records shared before they named their audience are sent again
+        // with it, or the rules would hide them from the coaches
+        [[RECORDS_COLLECTION, this.injuries], [ALERTS_COLLECTION, this.alerts]].forEach(([collectionName, items]) => {
+          items.filter(item => !item.coachIds).forEach(item => {
+            this.pending.set(this.pendingKey(collectionName, item.id), { collectionName, id: item.id, deleted: false });
+          });
+        });
+      } catch (error) {
+        console.error('Error loading injury records:', error);
+        this.injuries = [];
+        this.alerts = [];
+      } finally {
+        this.loadPromise = null;
+      }
+      return this.injuries;
+    })();
+
+    return this.loadPromise;
+  }
+
+  async persist() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.injuries));
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Injury Record Save');
+    }
+  }
+
+  async persistAlerts() {
+    this.alerts = this.alerts.slice(0, MAX_ALERTS);
+    try {
+      await AsyncStorage.setItem(ALERTS_KEY, JSON.stringify(this.alerts));
+    } catch (error) {
+      console.warn('Could not save injury alerts:', error.message);
+    }
+  }
+
+  async persistPending() {
+    try {
+      await AsyncStorage.setItem(PENDING_KEY, JSON.stringify([...this.pending.entries()]));
+    } catch (error) {
+      console.warn('Could not save unsynced injury changes:', error.message);
+    }
+  }
+
+  // Sharing
+
+  pendingKey(collectionName, id) {
+    return `${collectionName}/${id}`;
+  }
+
+  isFresh(scope) {
+    const syncedAt = this.syncedAt.get(scope);
+    return !!syncedAt && Date.now() - syncedAt < REMOTE_MAX_AGE_MS;
+  }
+
+  // Next read goes to Firestore, for pull-to-refresh
+  refresh() {
+    this.syncedAt.clear();
+  }
+
+  // False while the record only exists on this device
+  isShared(injuryId) {
+    return !this.pending.has(this.pendingKey(RECORDS_COLLECTION, injuryId));
+  }
+
+  // Brings the records of the given athletes (null for every athlete) in
+  // line with Firestore. Changes still waiting to be sent go first and win
+  // over what comes back; offline, the device copy is used as it is.
+  async sync(athleteIds = null) {
+    await this.load();
+    const ids = athleteIds ? [...new Set(athleteIds.map(String))].sort() : null;
+    const scope = ids ? `records:${ids.join(',')}` : 'records';
+    if (this.isFresh(scope)) return this.injuries;
+
+    try {
+      await this.flushPending();
+      // A capped result may leave out records that still exist
+      const { records, complete } = await AthleteRecords.query(RECORDS_COLLECTION, MAX_REMOTE_RECORDS, { guardians: true });
+      const remote = ids ? records.filter(record => ids.includes(record.athleteId)) : records;
+      const remoteIds = new Set(remote.map(record => record.id));
+      const isPending = record => this.pending.has(this.pendingKey(RECORDS_COLLECTION, record.id));
+
+      const kept = this.injuries.filter(injury =>
+        (ids && !ids.includes(injury.athleteId)) || isPending(injury) || (!complete && !remoteIds.has(injury.id)));
+      this.injuries = [...remote.filter(record => !isPending(record)), ...kept]
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+      this.syncedAt.set(scope, Date.now());
+      await this.persist();
+    } catch (error) {
+      console.warn('Could not sync injury records, using the copy on this device:', error.message);
+    }
+    return this.injuries;
+  }
+
+  async syncAlerts() {
+    await this.load();
+    if (this.isFresh('alerts')) return this.alerts;
+
+    try {
+      await this.flushPending();
+      const { records: remote, complete } = await AthleteRecords.query(ALERTS_COLLECTION, MAX_REMOTE_RECORDS, { guardians: true });
+      const remoteIds = new Set(remote.map(alert => alert.id));
+      const isPending = alert => this.pending.has(this.pendingKey(ALERTS_COLLECTION, alert.id));
+      const kept = this.alerts.filter(alert => isPending(alert) || (!complete && !remoteIds.has(alert.id)));
+
+      this.alerts = [...remote.filter(alert => !isPending(alert)), ...kept]
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+      this.syncedAt.set('alerts', Date.now());
+      await this.persistAlerts();
+    } catch (error) {
+      console.warn('Could not sync injury alerts, using the copy on this device:', error.message);
+    }
+    return this.alerts;
+  }
+
+  // Who may see a record about athleteId: the athlete, their coaches and
+  // linked guardians. existing is the record's previous version, if any.
+  async audienceFor(athleteId, existing = null) {
+    return {
+      ...(await AthleteRecords.audienceFor(athleteId, existing)),
+      ...(await AthleteRecords.guardiansFor(athleteId, existing))
+    };
+  }
+
+  // Sends one change to Firestore (record null to delete); when that fails
+  // the change waits for the next sync
+  async share(collectionName, id, record = null) {
+    const key = this.pendingKey(collectionName, id);
+    try {
+      await AthleteRecords.write(collectionName, id, record);
+      this.pending.delete(key);
+    } catch (error) {
+      if (AthleteRecords.isRejected(error)) {
+        console.warn('Firestore refused the injury change:', error.message);
+        this.pending.delete(key);
+      } else {
+        console.warn('Injury change kept on this device until the next sync:', error.message);
+        this.pending.set(key, { collectionName, id, deleted: !record });
+      }
+    }
+    await this.persistPending();
+    return !this.pending.has(key);
+  }
+
+  async flushPending() {
+    try {
+      for (const [key, { collectionName, id, deleted }] of [...this.pending.entries()]) {
+        const source = collectionName === ALERTS_COLLECTION ? this.alerts : this.injuries;
+        const record = deleted ? null : source.find(item => item.id === id);
+        if (record && !record.coachIds) {
+          Object.assign(record, await this.audienceFor(record.athleteId, record));
+        }
+        try {
+          if (deleted || record) {
+            await AthleteRecords.write(collectionName, id, record);
+          }
+        } catch (error) {
+          if (!AthleteRecords.isRejected(error)) throw error;
+          console.warn('Firestore refused the injury change:', error.message);
+        }
+        this.pending.delete(key);
+      }
+    } finally {
+      await this.persistPending();
+    }
+  }
+
+  // Records
+
+  // data: { athleteId, athleteName, bodyPart or bodyRegion, injuryType,
+  // severity, stage, injuredAt, expectedReturn, clearanceDate, restrictions,
+  // treatment, description }. reporter: { id, name, role }.
+  async reportInjury(data, reporter = {}) {
+    const injuries = await this.load();
+    if (data.athleteId == null || data.athleteId === '') {
+      throw PlatformUtils.createError('Injury reports need an athlete', ['Select the injured athlete'], 'validation');
+    }
+    if (!data.bodyRegion && !data.bodyPart) {
+      throw PlatformUtils.createError('Injury reports need a body part', ['Select where the injury is'], 'validation');
+    }
+
+    const now = new Date().toISOString();
+    const severity = this.normalizeSeverity(data.severity);
+    const stage = this.getStage(data.stage) ? data.stage : INITIAL_STAGE[severity];
+    const injury = {
+      id: `injury_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      athleteId: String(data.athleteId),
+      athleteName: data.athleteName || null,
+      injuryType: data.injuryType || 'Injury',
+      bodyPart: data.bodyPart || BODY_REGIONS[data.bodyRegion]?.label || null,
+      bodyRegion: BODY_REGIONS[data.bodyRegion] ? data.bodyRegion : this.resolveRegion(`${data.bodyPart} ${data.injuryType || ''}`),
+      side: data.side || null,
+      severity,
+      stage,
+      injuredAt: data.injuredAt || now,
+      expectedReturn: data.expectedReturn || null,
+      clearanceDate: data.clearanceDate || null,
+      clearedBy: null,
+      restrictions: data.restrictions || '',
+      avoid: this.parseRestrictions(data.restrictions),
+      treatment: data.treatment || '',
+      description: data.description || '',
+      source: reporter.role || 'coach',
+      reportedBy: reporter.id != null ? String(reporter.id) : null,
+      notes: data.description ? [this.createNote(`Reported: ${data.description}`, reporter)] : [],
+      stageHistory: [{ stage, at: now, by: reporter.id != null ? String(reporter.id) : null }],
+      ...(await this.audienceFor(data.athleteId)),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    injuries.unshift(injury);
+    await this.persist();
+    await this.share(RECORDS_COLLECTION, injury.id, injury);
+
+    PlatformUtils.logDebugInfo('Injury reported', {
+      athleteId: injury.athleteId,
+      region: injury.bodyRegion,
+      severity,
+      stage
+    });
+
+    return injury;
+  }
+
+  // changes may include stage, severity, clearanceDate, restrictions,
+  // treatment, expectedReturn and a note
+  async updateInjury(injuryId, changes, by = {}) {
+    const injuries = await this.load();
+    const injury = injuries.find(item => item.id === injuryId);
+    if (!injury) {
+      throw PlatformUtils.createError('Injury record not found', ['Refresh the injury list'], 'not_found', { injuryId });
+    }
+
+    const now = new Date().toISOString();
+    const byId = by.id != null ? String(by.id) : null;
+
+    ['treatment', 'expectedReturn', 'clearanceDate', 'injuryType', 'description'].forEach(field => {
+      if (changes[field] !== undefined) injury[field] = changes[field];
+    });
+    if (changes.severity !== undefined) {
+      injury.severity = this.normalizeSeverity(changes.severity);
+    }
+    if (changes.restrictions !== undefined) {
+      injury.restrictions = changes.restrictions;
+      injury.avoid = this.parseRestrictions(changes.restrictions);
+    }
+    if (changes.stage && changes.stage !== injury.stage) {
+      if (!this.getStage(changes.stage)) {
+        throw PlatformUtils.createError(`Unknown return-to-play stage "${changes.stage}"`, [
+          `Use one of ${RETURN_TO_PLAY_STAGES.map(stage => stage.id).join(', ')}`
+        ], 'validation');
+      }
+      injury.stage = changes.stage;
+      injury.stageHistory.push({ stage: changes.stage, at: now, by: byId });
+      if (changes.stage === 'cleared') {
+        injury.clearanceDate = injury.clearanceDate && new Date(injury.clearanceDate) <= new Date() ? injury.clearanceDate : now;
+        injury.clearedBy = byId;
+      }
+    }
+    if (changes.note) {
+      injury.notes.push(this.createNote(changes.note, by));
+    }
+
+    Object.assign(injury, await this.audienceFor(injury.athleteId, injury));
+    injury.updatedAt = now;
+    await this.persist();
+    await this.share(RECORDS_COLLECTION, injury.id, injury);
+    return injury;
+  }
+
+  async advanceStage(injuryId, by = {}) {
+    const injury = (await this.load()).find(item => item.id === injuryId);
+    const index = RETURN_TO_PLAY_STAGES.findIndex(stage => stage.id === injury?.stage);
+    const next = RETURN_TO_PLAY_STAGES[Math.min(index + 1, RETURN_TO_PLAY_STAGES.length - 1)];
+    return this.updateInjury(injuryId, { stage: next.id }, by);
+  }
+
+  async addNote(injuryId, text, by = {}) {
+    return this.updateInjury(injuryId, { note: text }, by);
+  }
+
+  async deleteInjury(injuryId) {
+    await this.load();
+    this.injuries = this.injuries.filter(injury => injury.id !== injuryId);
+    await this.persist();
+    await this.share(RECORDS_COLLECTION, injuryId);
+  }
+
+  createNote(text, by = {}) {
+    return {
+      text,
+      at: new Date().toISOString(),
+      by: by.id != null ? String(by.id) : null,
+      byName: by.name || null
+    };
+  }
+
+  // All records, newest first; athleteId null for every athlete
+  async getInjuries(athleteId = null) {
+    const injuries = await this.sync(athleteId == null ? null : [athleteId]);
+    return injuries.filter(injury => athleteId == null || injury.athleteId === String(athleteId));
+  }
+
+  async getActiveInjuries(athleteId = null, now = new Date()) {
+    return (await this.getInjuries(athleteId)).filter(injury => this.isActive(injury, now));
+  }
+
+  // Map of athleteId -> active injuries, for athletes with at least one
+  async getActiveRestrictions(athleteIds = null, now = new Date()) {
+    const ids = athleteIds ? athleteIds.map(String) : null;
+    const restrictions = {};
+    (await this.sync(ids)).filter(injury => this.isActive(injury, now)).forEach(injury => {
+      if (ids && !ids.includes(injury.athleteId)) return;
+      (restrictions[injury.athleteId] = restrictions[injury.athleteId] || []).push(injury);
+    });
+    return restrictions;
+  }
+
+  // A restriction lifts when the athlete is cleared or the clearance date
+  // set by the medical team has passed
+  isActive(injury, now = new Date()) {
+    if (injury.stage === 'cleared') return false;
+    return !injury.clearanceDate || new Date(injury.clearanceDate) > now;
+  }
+
+  // out, recovering, monitoring or cleared
+  statusOf(injury, now = new Date()) {
+    return this.isActive(injury, now) ? this.getStage(injury.stage).status : 'cleared';
+  }
+
+  recoveryProgress(injury, now = new Date()) {
+    if (!this.isActive(injury, now)) return 100;
+    const index = RETURN_TO_PLAY_STAGES.findIndex(stage => stage.id === injury.stage);
+    return Math.round(index / (RETURN_TO_PLAY_STAGES.length - 1) * 100);
+  }
+
+  getStage(stageId) {
+    return RETURN_TO_PLAY_STAGES.find(stage => stage.id === stageId) || null;
+  }
+
+  normalizeSeverity(severity) {
+    const value = String(severity || '').toLowerCase();
+    return SEVERITY_ALIASES[value] || (INJURY_SEVERITIES.includes(value) ? value : 'moderate');
+  }
+
+  resolveRegion(text) {
+    const value = String(text || '').toLowerCase();
+    const match = REGION_ALIASES.find(({ alias }) => new RegExp(`\\b${alias}\\b`).test(value));
+    return match ? match.region : 'other';
+  }
+
+  // Movements named in a free-text restriction, e.g. "No running or jumping"
+  parseRestrictions(text) {
+    const value = this.normalizeText(text);
+    return Object.keys(MOVEMENTS).filter(movement => MOVEMENTS[movement].pattern.test(value));
+  }
+
+  // Contraindications
+
+  // Movement -> why it is off limits for this injury at its current stage
+  blockedMovements(injury) {
+    const stage = this.getStage(injury.stage);
+    const region = BODY_REGIONS[injury.bodyRegion] || BODY_REGIONS.other;
+    const tiers = [...stage.blocks];
+    // Major injuries stay clear of moderate-risk movements until full contact
+    if (injury.severity === 'major' && stage.id === 'non_contact') tiers.push('moderate');
+
+    const blocked = {};
+    tiers.forEach(tier => region[tier].forEach(movement => {
+      blocked[movement] = blocked[movement] || `${tier}-risk for the ${region.label.toLowerCase()}`;
+    }));
+    (injury.avoid || []).forEach(movement => {
+      blocked[movement] = blocked[movement] || 'restricted by the medical team';
+    });
+    if (stage.noContact) {
+      blocked.contact = blocked.contact || `no contact until ${this.getStage('full_contact').label.toLowerCase()}`;
+    }
+    return blocked;
+  }
+
+  // Matches of one drill or exercise text against active injuries
+  contraindications(text, injuries) {
+    const value = this.normalizeText(text);
+    if (!value) return [];
+
+    return injuries.flatMap(injury => Object.entries(this.blockedMovements(injury))
+      .filter(([movement]) => MOVEMENTS[movement].pattern.test(value))
+      .map(([movement, reason]) => ({
+        injuryId: injury.id,
+        region: injury.bodyRegion,
+        stage: injury.stage,
+        movement,
+        reason: `${MOVEMENTS[movement].label}: ${reason}`
+      })));
+  }
+
+  // "Non-contact" must not read as contact
+  normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/\b(non|no|without|low|minimal)[- ]contact\b/g, ' ');
+  }
+
+  itemText(item) {
+    if (typeof item === 'string') return item;
+    return [item?.name, item?.title, item?.description, item?.instructions].filter(Boolean).join('\n');
+  }
+
+  itemName(item) {
+    return typeof item === 'string' ? item : item?.name || item?.title || 'Exercise';
+  }
+
+  // Filters one athlete's session against their active injuries. Like load
+  // adjustments, always works from the session's original lists, so a
+  // cleared athlete gets the full session back.
+  applyToSession(session, injuries, now = new Date()) {
+    const { injuryAdjustment, ...base } = session;
+    const original = injuryAdjustment ? { ...base, ...injuryAdjustment.original } : base;
+    const active = (injuries || []).filter(injury => this.isActive(injury, now));
+
+    if (active.length === 0 || ['completed', 'cancelled'].includes(original.status)) {
+      return original;
+    }
+
+    const adjusted = { ...original };
+    const removed = [];
+    ITEM_FIELDS.forEach(field => {
+      if (!Array.isArray(original[field])) return;
+      adjusted[field] = original[field].filter(item => {
+        const matches = this.contraindications(this.itemText(item), active);
+        if (matches.length === 0) return true;
+        removed.push({ field, name: this.itemName(item), ...matches[0] });
+        return false;
+      });
+    });
+
+    const stages = active.map(injury => this.getStage(injury.stage));
+    const sitOut = stages.some(stage => stage.sitOut);
+    const cap = this.lowestIntensity(stages.map(stage => stage.maxIntensity).filter(Boolean));
+    if (cap && original.intensity != null) {
+      adjusted.intensity = this.capIntensity(original.intensity, cap);
+    }
+
+    if (removed.length === 0 && !sitOut && adjusted.intensity === original.intensity) {
+      return original;
+    }
+
+    return {
+      ...adjusted,
+      injuryAdjustment: {
+        sitOut,
+        removed,
+        intensityCap: cap,
+        alternatives: this.alternativesFor(active),
+        injuries: active.map(injury => ({ id: injury.id, region: injury.bodyRegion, stage: injury.stage })),
+        reason: this.describeRestrictions(active),
+        original: Object.fromEntries(
+          [...ITEM_FIELDS, 'intensity'].filter(field => original[field] !== undefined).map(field => [field, original[field]])
+        ),
+        adjustedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  async applyToSessions(athleteId, sessions, now = new Date()) {
+    if (!Array.isArray(sessions)) return sessions;
+    const injuries = await this.getActiveInjuries(athleteId, now);
+    return sessions.map(session => this.applyToSession(session, injuries, now));
+  }
+
+  // Team sessions keep their plan; restricted athletes get an individual
+  // list of what to skip, the same way load adjustments are attached
+  applyToSchedule(sessions, restrictions, now = new Date()) {
+    const athleteIds = Object.keys(restrictions || {});
+    if (athleteIds.length === 0) return sessions;
+
+    return sessions.map(session => {
+      const athleteRestrictions = athleteIds
+        .map(athleteId => {
+          const adjusted = this.applyToSession(session, restrictions[athleteId], now);
+          return adjusted.injuryAdjustment && {
+            athleteId,
+            athleteName: restrictions[athleteId][0].athleteName,
+            sitOut: adjusted.injuryAdjustment.sitOut,
+            skip: adjusted.injuryAdjustment.removed.map(item => item.name),
+            intensity: adjusted.intensity,
+            reason: adjusted.injuryAdjustment.reason
+          };
+        })
+        .filter(Boolean);
+
+      return athleteRestrictions.length > 0 ? { ...session, athleteRestrictions } : session;
+    });
+  }
+
+  // Every session item that an athlete's active restrictions rule out.
+  // athletes: [{ id, name }] or ids
+  async findConflicts(sessions, athletes, now = new Date()) {
+    const list = (athletes || []).map(athlete => typeof athlete === 'object'
+      ? { id: String(athlete.id), name: athlete.name || null }
+      : { id: String(athlete), name: null });
+    const restrictions = await this.getActiveRestrictions(list.map(athlete => athlete.id), now);
+
+    return list.flatMap(athlete => {
+      const injuries = restrictions[athlete.id];
+      if (!injuries) return [];
+
+      return (sessions || []).flatMap(session => {
+        const adjusted = this.applyToSession({ ...session, status: 'scheduled' }, injuries, now);
+        const adjustment = adjusted.injuryAdjustment;
+        if (!adjustment) return [];
+
+        const base = {
+          athleteId: athlete.id,
+          athleteName: athlete.name || injuries[0].athleteName,
+          sessionId: session.id || null,
+          sessionTitle: session.title || null
+        };
+        if (adjustment.sitOut) {
+          return [{ ...base, item: null, movement: null, reason: adjustment.reason }];
+        }
+        return adjustment.removed.map(item => ({ ...base, item: item.name, movement: item.movement, reason: item.reason }));
+      });
+    });
+  }
+
+  // Alerts
+
+  // context: { planId, planTitle, raisedBy }. One alert per athlete, replacing
+  // an unacknowledged alert for the same plan and athlete.
+  async raiseConflictAlerts(conflicts, context = {}) {
+    if (!conflicts?.length) return [];
+    await this.load();
+
+    const byAthlete = new Map();
+    conflicts.forEach(conflict => {
+      if (!byAthlete.has(conflict.athleteId)) byAthlete.set(conflict.athleteId, []);
+      byAthlete.get(conflict.athleteId).push(conflict);
+    });
+
+    const raised = Array.from(byAthlete.entries()).map(([athleteId, items]) => {
+      const sitOut = items.some(item => !item.item);
+      const skipped = [...new Set(items.filter(item => item.item).map(item => item.item))];
+      return {
+        id: `alert_${Date.now()}_${athleteId}`,
+        athleteId,
+        athleteName: items[0].athleteName,
+        planId: context.planId || null,
+        planTitle: context.planTitle || null,
+        raisedBy: context.raisedBy != null ? String(context.raisedBy) : null,
+        sessions: new Set(items.map(item => item.sessionId || item.sessionTitle)).size,
+        conflicts: items.slice(0, 20),
+        message: sitOut
+          ? `${items[0].athleteName || 'Athlete'} is resting: ${items[0].reason}`
+          : `${items[0].athleteName || 'Athlete'} cannot do ${skipped.slice(0, 3).join(', ')}${skipped.length > 3 ? ` and ${skipped.length - 3} more` : ''}`,
+        acknowledged: false,
+        createdAt: new Date().toISOString()
+      };
+    });
+
+    for (const alert of raised) {
+      Object.assign(alert, await this.audienceFor(alert.athleteId));
+    }
+
+    const replaces = alert => !alert.acknowledged && raised.some(item =>
+      item.athleteId === alert.athleteId && item.planId === alert.planId);
+    const replaced = this.alerts.filter(replaces);
+    this.alerts = [...raised, ...this.alerts.filter(alert => !replaces(alert))];
+    await this.persistAlerts();
+
+    for (const alert of raised) {
+      await this.share(ALERTS_COLLECTION, alert.id, alert);
+    }
+    for (const alert of replaced) {
+      await this.share(ALERTS_COLLECTION, alert.id);
+    }
+
+    PlatformUtils.logDebugInfo('Injury conflict alerts raised', {
+      planId: context.planId,
+      athletes: raised.length
+    });
+
+    return raised;
+  }
+
+  async getAlerts({ includeAcknowledged = false } = {}) {
+    await this.syncAlerts();
+    return this.alerts.filter(alert => includeAcknowledged || !alert.acknowledged);
+  }
+
+  async acknowledgeAlert(alertId) {
+    await this.load();
+    const alert = this.alerts.find(item => item.id === alertId);
+    if (alert) {
+      alert.acknowledged = true;
+      alert.acknowledgedAt = new Date().toISOString();
+      Object.assign(alert, await this.audienceFor(alert.athleteId, alert));
+      await this.persistAlerts();
+      await this.share(ALERTS_COLLECTION, alert.id, alert);
+    }
+  }
+
+  // Descriptions
+
+  describeInjury(injury) {
+    const region = BODY_REGIONS[injury.bodyRegion] || BODY_REGIONS.other;
+    return `${injury.bodyPart || region.label} (${injury.severity}) - ${this.getStage(injury.stage).label.toLowerCase()}`;
+  }
+
+  describeRestrictions(injuries) {
+    return injuries.map(injury => {
+      const stage = this.getStage(injury.stage);
+      if (stage.sitOut) return `${this.describeInjury(injury)}: no training until the next stage`;
+      const movements = Object.keys(this.blockedMovements(injury)).map(movement => MOVEMENTS[movement].label);
+      return movements.length > 0
+        ? `${this.describeInjury(injury)}: avoid ${movements.join(', ')}`
+        : this.describeInjury(injury);
+    }).join('; ');
+  }
+
+  alternativesFor(injuries) {
+    return [...new Set(injuries.flatMap(injury => (BODY_REGIONS[injury.bodyRegion] || BODY_REGIONS.other).alternatives))];
+  }
+
+  // Coaching notes per region; injuries are records or plain body-part names
+  describeModifications(injuries) {
+    const modifications = {};
+    (injuries || []).forEach(entry => {
+      const injury = typeof entry === 'string'
+        ? { bodyRegion: this.resolveRegion(entry), bodyPart: entry, severity: 'moderate', stage: 'non_contact', avoid: [] }
+        : entry;
+      const key = injury.bodyRegion === 'other' ? 'general' : injury.bodyRegion;
+      const region = BODY_REGIONS[injury.bodyRegion] || BODY_REGIONS.other;
+      const movements = Object.keys(this.blockedMovements(injury)).map(movement => MOVEMENTS[movement].label);
+
+      modifications[key] = [
+        ...(movements.length > 0 ? [`Avoid ${movements.join(', ')}`] : []),
+        ...region.alternatives,
+        'Monitor pain levels throughout'
+      ];
+    });
+    return modifications;
+  }
+
+  lowestIntensity(levels) {
+    if (levels.length === 0) return null;
+    return levels.reduce((lowest, level) =>
+      INTENSITY_LEVELS.indexOf(level) < INTENSITY_LEVELS.indexOf(lowest) ? level : lowest);
+  }
+
+  capIntensity(intensity, cap) {
+    if (typeof intensity === 'number') {
+      return Math.min(intensity, INTENSITY_CAPS[cap]);
+    }
+    const level = INTENSITY_LEVELS.indexOf(intensity);
+    const max = INTENSITY_LEVELS.indexOf(cap);
+    return level > max ? cap : intensity;
+  }
+
+  async clear() {
+    this.injuries = [];
+    this.alerts = [];
+    this.pending.clear();
+    this.syncedAt.clear();
+    await AsyncStorage.multiRemove([STORAGE_KEY, ALERTS_KEY, PENDING_KEY]);
+  }
+}
+
+export default new InjuryManagement();
@@ -0,0 +1,285 @@
+//src/services/LLMProviders.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlatformUtils from '../utils/PlatformUtils';
+import SecureStorage from '../utils/SecureStorage';
+import huggingface from './llm/HuggingFaceProvider';
+import openaiCompatible from './llm/OpenAICompatibleProvider';
+import ruleBased from './llm/RuleBasedProvider';
+
+export const DEFAULT_PROVIDER = 'huggingface';
+
+const STORAGE_KEY = 'ai_llm_providers';
+
+const EMPTY_STATUS = { available: false, checkedAt: null, latencyMs: null, error: null, errorType: null };
+
+// Text generation backends for AIService. Providers are adapters
+// (complete, stream, probe); this registry owns their settings, the
+// selected provider, timeouts and the last health check of each.
+class LLMProviders {
+  constructor() {
+    this.providers = new Map();
+    this.configs = new Map();
+    this.statuses = new Map();
+    this.activeId = DEFAULT_PROVIDER;
+    this.loaded = false;
+
+    [huggingface, openaiCompatible, ruleBased].forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    if (!provider?.id || !provider.name || typeof provider.probe !== 'function' ||
+        (provider.generative && typeof provider.complete !== 'function')) {
+      throw PlatformUtils.createError(`Invalid language model provider "${provider?.id || 'unknown'}"`, [
+        'A provider needs an id, a name, probe() and, if it generates text, complete()'
+      ], 'llm_provider_error');
+    }
+
+    this.providers.set(provider.id, provider);
+    this.configs.set(provider.id, { ...provider.defaults, ...(this.configs.get(provider.id) || {}) });
+    this.statuses.set(provider.id, { ...EMPTY_STATUS });
+    return this;
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await AsyncStorage.getItem(STORAGE_KEY) || '{}');
+
+      for (const [id, provider] of this.providers) {
+        const config = { ...provider.defaults, ...(stored.configs?.[id] || {}) };
+        if (provider.storesApiKey) {
+          config.apiKey = await SecureStorage.getSecurely(this.secretKey(id));
+        }
+        this.configs.set(id, config);
+      }
+
+      if (stored.active && this.providers.has(stored.active)) {
+        this.activeId = stored.active;
+      }
+    } catch (error) {
+      console.warn('LLMProviders: Failed to load provider settings:', error);
+    }
+
+    this.loaded = true;
+    return this.getStatus();
+  }
+
+  // API keys never go into the plain settings blob
+  async save() {
+    const configs = {};
+    this.configs.forEach((config, id) => {
+      const { apiKey, ...rest } = config;
+      configs[id] = rest;
+    });
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ active: this.activeId, configs }));
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  getActive() {
+    return this.providers.get(this.activeId);
+  }
+
+  getConfig(id = this.activeId) {
+    return this.configs.get(id) || null;
+  }
+
+  getHealth(id = this.activeId) {
+    return this.statuses.get(id) || { ...EMPTY_STATUS };
+  }
+
+  async setActive(id) {
+    this.require(id);
+    this.activeId = id;
+    await this.save();
+    return this.get(id);
+  }
+
+  // options.persist is false for settings owned elsewhere, such as the
+  // Hugging Face key AIService keeps under its legacy storage key
+  async configure(id, changes = {}, options = {}) {
+    const provider = this.require(id);
+    const config = { ...this.configs.get(id), ...changes };
+    if (changes.timeout !== undefined) {
+      config.timeout = Math.max(0, Number(changes.timeout) || 0);
+    }
+
+    this.configs.set(id, config);
+    this.statuses.set(id, { ...EMPTY_STATUS });
+
+    if (options.persist !== false) {
+      if (provider.storesApiKey && changes.apiKey !== undefined) {
+        if (changes.apiKey) {
+          await SecureStorage.storeSecurely(this.secretKey(id), changes.apiKey);
+        } else {
+          await SecureStorage.removeSecurely(this.secretKey(id));
+        }
+      }
+      await this.save();
+    }
+
+    return config;
+  }
+
+  canGenerate(id = this.activeId) {
+    const provider = this.providers.get(id);
+    return !!provider?.generative && provider.isConfigured(this.configs.get(id)) && this.getHealth(id).available;
+  }
+
+  supportsStreaming(id = this.activeId) {
+    // React Native's fetch has no readable response body
+    return !!this.providers.get(id)?.streaming && !!this.configs.get(id)?.stream && PlatformUtils.isWeb();
+  }
+
+  // request: { prompt, maxTokens, temperature, topP, stop, format }
+  // options.onToken(token, textSoFar) streams where the provider allows it
+  async generate(request, options = {}) {
+    const id = options.provider || this.activeId;
+    const provider = this.require(id);
+    const config = this.configs.get(id);
+
+    if (!provider.generative) {
+      throw PlatformUtils.createError(`${provider.name} does not generate text`, [
+        'Pick Hugging Face or an OpenAI-compatible endpoint in AI settings'
+      ], 'llm_not_generative', { provider: id });
+    }
+    if (!provider.isConfigured(config)) {
+      throw PlatformUtils.createError(`${provider.name} is not configured`, [
+        'Complete the provider settings in AI settings'
+      ], 'llm_provider_error', { provider: id });
+    }
+
+    const streamed = !!options.onToken && this.supportsStreaming(id);
+    const startedAt = Date.now();
+    const result = await this.withTimeout(provider, config, signal => streamed
+      ? provider.stream(request, config, options.onToken, signal)
+      : provider.complete(request, config, signal));
+
+    return {
+      text: result.text || '',
+      model: result.model || config.model,
+      provider: id,
+      streamed,
+      latencyMs: Date.now() - startedAt,
+      // { prompt_tokens, completion_tokens, total_tokens } where the provider reports it
+      usage: result.usage || null
+    };
+  }
+
+  async checkHealth(id = this.activeId) {
+    const provider = this.require(id);
+    const config = this.configs.get(id);
+    const startedAt = Date.now();
+    let status;
+
+    try {
+      if (!provider.isConfigured(config)) {
+        throw PlatformUtils.createError(`${provider.name} is not configured`, [], 'llm_provider_error', { provider: id });
+      }
+
+      const details = await this.withTimeout(provider, config, signal => provider.probe(config, signal));
+      // Hugging Face may move to a fallback model that still has a provider
+      if (details.model && details.model !== config.model) {
+        await this.configure(id, { model: details.model });
+      }
+
+      status = {
+        ...EMPTY_STATUS,
+        ...details,
+        available: true,
+        model: this.configs.get(id).model
+      };
+    } catch (error) {
+      status = {
+        ...EMPTY_STATUS,
+        model: config.model,
+        error: error.message,
+        errorType: error.errorType || 'llm_provider_error'
+      };
+    }
+
+    status.checkedAt = new Date().toISOString();
+    status.latencyMs = Date.now() - startedAt;
+    this.statuses.set(id, status);
+    return status;
+  }
+
+  // Races the call against the provider's timeout; the abort signal also
+  // stops the request where the client honours it
+  async withTimeout(provider, config, run) {
+    const timeout = Number(config.timeout) || 0;
+    if (timeout <= 0) {
+      return run(undefined);
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(PlatformUtils.createError(`${provider.name} did not respond within ${Math.round(timeout / 1000)}s`, [
+          'Increase the timeout in AI settings',
+          'Check that the model server is running'
+        ], 'llm_timeout', { provider: provider.id, timeout }));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([run(controller?.signal), expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => {
+      const { apiKey, ...config } = this.configs.get(provider.id);
+      return {
+        id: provider.id,
+        name: provider.name,
+        description: provider.description,
+        generative: provider.generative,
+        streaming: provider.streaming,
+        usesApiKey: provider.storesApiKey,
+        configured: provider.isConfigured(this.configs.get(provider.id)),
+        active: provider.id === this.activeId,
+        config: { ...config, hasApiKey: !!apiKey },
+        health: this.getHealth(provider.id)
+      };
+    });
+  }
+
+  getStatus() {
+    const provider = this.getActive();
+    const health = this.getHealth();
+    return {
+      provider: provider.id,
+      providerName: provider.name,
+      model: this.getConfig().model,
+      generative: provider.generative,
+      available: this.canGenerate(),
+      streaming: this.supportsStreaming(),
+      checkedAt: health.checkedAt,
+      latencyMs: health.latencyMs,
+      error: health.error,
+      errorType: health.errorType
+    };
+  }
+
+  require(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw PlatformUtils.createError(`Unknown language model provider "${id}"`, [
+        `Available providers: ${Array.from(this.providers.keys()).join(', ')}`
+      ], 'llm_provider_error', { provider: id });
+    }
+    return provider;
+  }
+
+  secretKey(id) {
+    return `llm_api_key_${id}`;
+  }
+}
+
+export default new LLMProviders();
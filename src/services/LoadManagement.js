@@ -0,0 +1,506 @@
+//src/services/LoadManagement.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlatformUtils from '../utils/PlatformUtils';
+import AthleteRecords from './AthleteRecords';
+
+// Device copy of the shared log, used offline
+const STORAGE_KEY = 'athlete_load_log';
+const PENDING_KEY = 'athlete_load_pending';
+
+// Firestore collection the athlete and their coaches share
+const ENTRIES_COLLECTION = 'loadEntries';
+const MAX_REMOTE_ENTRIES = 1000;
+// The log is read from Firestore at most this often
+const REMOTE_MAX_AGE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+// ACWR means little until the chronic window is mostly filled
+const MIN_HISTORY_DAYS = 21;
+const RETENTION_DAYS = 180;
+// Seven identical non-zero days have no spread; cap instead of dividing by zero
+const MAX_MONOTONY = 10;
+
+export const LOAD_THRESHOLDS = {
+  overreachingAcwr: 1.5,
+  elevatedAcwr: 1.3,
+  undertrainedAcwr: 0.8,
+  highMonotony: 2.0
+};
+
+// Most severe first
+export const LOAD_STATUSES = ['overreaching', 'elevated', 'optimal', 'undertrained', 'insufficient_data'];
+
+// How upcoming sessions are eased off, and for how many days ahead
+const ADJUSTMENTS = {
+  overreaching: { intensity: 0.7, duration: 0.8, days: 7 },
+  elevated: { intensity: 0.85, duration: 1, days: 7 }
+};
+
+const INTENSITY_LEVELS = ['low', 'moderate', 'high', 'very_high'];
+
+// Session-RPE load engine: each completed session logs duration x RPE per
+// athlete, from which acute (7 day) and chronic (28 day) workload, their
+// ratio, Foster's monotony and strain are derived.
+// The log lives in Firestore so load logged on the coach's device reaches
+// the athlete's and the other way round; entries logged offline are kept
+// here and sent on the next sync.
+class LoadManagement {
+  constructor() {
+    this.entries = null;
+    this.pending = new Map();
+    this.syncedAt = null;
+    this.syncPromise = null;
+    this.loadPromise = null;
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = (async () => {
+      try {
+        const [stored, pending] = await AsyncStorage.multiGet([STORAGE_KEY, PENDING_KEY]);
+        this.entries = stored[1] ? JSON.parse(stored[1]) : [];
+        this.pending = new Map(pending[1] ? JSON.parse(pending[1]) : []);
+        // Entries logged before the log was shared have never been sent
+        this.entries.filter(entry => !entry.coachIds).forEach(entry => {
+          this.pending.set(entry.id, { id: entry.id, deleted: false });
+        });
+      } catch (error) {
+        console.error('Error loading athlete load log:', error);
+        this.entries = [];
+      } finally {
+        this.loadPromise = null;
+      }
+      return this.entries;
+    })();
+
+    return this.loadPromise;
+  }
+
+  async persist() {
+    const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+    const expired = this.entries.filter(entry => new Date(entry.date).getTime() < cutoff);
+    this.entries = this.entries.filter(entry => new Date(entry.date).getTime() >= cutoff);
+    // Expired entries leave Firestore too, or every sync would fetch them again
+    expired.forEach(entry => this.pending.set(entry.id, { id: entry.id, deleted: true }));
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Athlete Load Save');
+    }
+    if (expired.length > 0) await this.persistPending();
+  }
+
+  async persistPending() {
+    try {
+      await AsyncStorage.setItem(PENDING_KEY, JSON.stringify([...this.pending.entries()]));
+    } catch (error) {
+      console.warn('Could not save unsynced training load:', error.message);
+    }
+  }
+
+  // Sharing
+
+  // Next read goes to Firestore, for pull-to-refresh
+  refresh() {
+    this.syncedAt = null;
+  }
+
+  // Brings the log in line with Firestore. Entries still waiting to be sent
+  // go first and win over what comes back; offline, the device copy is used
+  // as it is.
+  async sync() {
+    await this.load();
+    if (this.syncedAt && Date.now() - this.syncedAt < REMOTE_MAX_AGE_MS) return this.entries;
+    if (this.syncPromise) return this.syncPromise;
+
+    this.syncPromise = (async () => {
+      try {
+        await this.flushPending();
+        const { records, complete } = await AthleteRecords.query(ENTRIES_COLLECTION, MAX_REMOTE_ENTRIES);
+        const remoteIds = new Set(records.map(entry => entry.id));
+        const isPending = entry => this.pending.has(entry.id);
+
+        // A capped result may leave out entries that still exist
+        const kept = this.entries.filter(entry => isPending(entry) || (!complete && !remoteIds.has(entry.id)));
+        this.entries = [...records.filter(entry => !isPending(entry)), ...kept];
+
+        this.syncedAt = Date.now();
+        await this.persist();
+      } catch (error) {
+        console.warn('Could not sync the training load log, using the copy on this device:', error.message);
+      } finally {
+        this.syncPromise = null;
+      }
+      return this.entries;
+    })();
+
+    return this.syncPromise;
+  }
+
+  // Sends one entry to Firestore (null to delete); when that fails the
+  // change waits for the next sync
+  async share(id, entry = null) {
+    try {
+      await AthleteRecords.write(ENTRIES_COLLECTION, id, entry);
+      this.pending.delete(id);
+    } catch (error) {
+      if (AthleteRecords.isRejected(error)) {
+        console.warn('Firestore refused the training load change:', error.message);
+        this.pending.delete(id);
+      } else {
+        console.warn('Training load kept on this device until the next sync:', error.message);
+        this.pending.set(id, { id, deleted: !entry });
+      }
+    }
+    await this.persistPending();
+  }
+
+  async flushPending() {
+    try {
+      for (const [id, { deleted }] of [...this.pending.entries()]) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (!deleted && index !== -1 && !this.entries[index].coachIds) {
+          const entry = this.entries[index];
+          this.entries[index] = { ...entry, ...(await AthleteRecords.audienceFor(entry.athleteId, entry)) };
+        }
+        try {
+          if (deleted || index !== -1) {
+            await AthleteRecords.write(ENTRIES_COLLECTION, id, deleted ? null : this.entries[index]);
+          }
+        } catch (error) {
+          if (!AthleteRecords.isRejected(error)) throw error;
+          console.warn('Firestore refused the training load change:', error.message);
+        }
+        this.pending.delete(id);
+      }
+    } finally {
+      await this.persistPending();
+    }
+  }
+
+  // A completed session carries either athleteLoads: [{ athleteId, rpe,
+  // duration }] for a group, or rpe (0-10) for the athlete in userId.
+  // Returns the updated status of every athlete that was logged.
+  async recordSession(session) {
+    const entries = await this.load();
+    const records = this.entriesFromSession(session);
+
+    if (records.length === 0) {
+      return [];
+    }
+
+    const shared = [];
+    for (const record of records) {
+      const index = entries.findIndex(entry =>
+        entry.sessionId === record.sessionId && entry.athleteId === record.athleteId);
+      const entry = {
+        ...record,
+        ...(await AthleteRecords.audienceFor(record.athleteId, entries[index])),
+        updatedAt: new Date().toISOString()
+      };
+      if (index === -1) {
+        entries.push(entry);
+      } else {
+        entries[index] = entry;
+      }
+      shared.push(entry);
+    }
+
+    await this.persist();
+    await Promise.all(shared.map(entry => this.share(entry.id, entry)));
+
+    PlatformUtils.logDebugInfo('Training load recorded', {
+      sessionId: session.id,
+      athletes: records.length
+    });
+
+    // From the device copy: a sync here would retry what was just sent
+    return records.map(record => this.computeStatus(record.athleteId,
+      this.entries.filter(entry => entry.athleteId === record.athleteId)));
+  }
+
+  entriesFromSession(session) {
+    const date = session.completedAt || session.scheduledDate || new Date().toISOString();
+    const defaultDuration = session.actualDuration || session.duration || session.plannedDuration;
+    const athletes = Array.isArray(session.athleteLoads)
+      ? session.athleteLoads
+      : [{ athleteId: session.athleteId || session.userId, rpe: session.rpe }];
+
+    return athletes
+      .map(athlete => {
+        const duration = Number(athlete.duration || defaultDuration);
+        const rpe = Number(athlete.rpe);
+        return {
+          id: `${session.id}_${athlete.athleteId}`,
+          athleteId: athlete.athleteId != null ? String(athlete.athleteId) : null,
+          athleteName: athlete.athleteName || null,
+          sessionId: session.id != null ? String(session.id) : null,
+          date,
+          type: session.type || 'training',
+          duration,
+          rpe,
+          load: Math.round(duration * rpe)
+        };
+      })
+      .filter(entry => entry.athleteId && entry.duration > 0 && entry.rpe >= 0 && entry.rpe <= 10);
+  }
+
+  async getAthletes() {
+    const entries = await this.sync();
+    const athletes = new Map();
+
+    entries.forEach(entry => {
+      const known = athletes.get(entry.athleteId);
+      athletes.set(entry.athleteId, {
+        athleteId: entry.athleteId,
+        athleteName: entry.athleteName || known?.athleteName || null,
+        sessions: (known?.sessions || 0) + 1,
+        lastSession: !known || entry.date > known.lastSession ? entry.date : known.lastSession
+      });
+    });
+
+    return Array.from(athletes.values());
+  }
+
+  async getAthleteStatus(athleteId, asOf = new Date()) {
+    const entries = (await this.sync()).filter(entry => entry.athleteId === String(athleteId));
+    return this.computeStatus(String(athleteId), entries, asOf);
+  }
+
+  async getTeamStatus(athleteIds = null, asOf = new Date()) {
+    const ids = athleteIds ? athleteIds.map(String) : (await this.getAthletes()).map(athlete => athlete.athleteId);
+    const statuses = await Promise.all(ids.map(id => this.getAthleteStatus(id, asOf)));
+
+    return statuses.sort((a, b) => LOAD_STATUSES.indexOf(a.status) - LOAD_STATUSES.indexOf(b.status));
+  }
+
+  computeStatus(athleteId, entries, asOf = new Date()) {
+    const dailyLoads = this.dailyLoads(entries);
+    const today = this.dayKey(asOf);
+    const acuteDays = this.windowLoads(dailyLoads, today, ACUTE_DAYS);
+
+    const acute = this.sum(acuteDays);
+    const chronic = this.sum(this.windowLoads(dailyLoads, today, CHRONIC_DAYS)) / (CHRONIC_DAYS / ACUTE_DAYS);
+    const monotony = this.monotony(acuteDays);
+    const firstDay = Object.keys(dailyLoads).sort()[0];
+    const historyDays = firstDay ? Math.round((this.dayStart(today) - this.dayStart(firstDay)) / DAY_MS) + 1 : 0;
+
+    const metrics = {
+      acute: Math.round(acute),
+      chronic: Math.round(chronic),
+      acwr: chronic > 0 ? this.round(acute / chronic) : null,
+      monotony: this.round(monotony),
+      strain: Math.round(acute * monotony)
+    };
+
+    return {
+      athleteId,
+      athleteName: entries.find(entry => entry.athleteName)?.athleteName || null,
+      asOf: today,
+      historyDays,
+      ...metrics,
+      ...this.classify(metrics, historyDays)
+    };
+  }
+
+  classify({ acwr, monotony }, historyDays) {
+    const flags = [];
+    if (monotony > LOAD_THRESHOLDS.highMonotony) {
+      flags.push('high_monotony');
+    }
+
+    if (historyDays < MIN_HISTORY_DAYS || acwr === null) {
+      return { status: 'insufficient_data', flags };
+    }
+
+    if (acwr > LOAD_THRESHOLDS.overreachingAcwr ||
+        (acwr > LOAD_THRESHOLDS.elevatedAcwr && flags.includes('high_monotony'))) {
+      return { status: 'overreaching', flags };
+    }
+    if (acwr > LOAD_THRESHOLDS.elevatedAcwr) {
+      return { status: 'elevated', flags };
+    }
+    if (acwr < LOAD_THRESHOLDS.undertrainedAcwr) {
+      return { status: 'undertrained', flags };
+    }
+    return { status: 'optimal', flags };
+  }
+
+  // Acute and chronic workload for each of the last `days` days, for charts
+  async getLoadSeries(athleteId, days = 28, asOf = new Date()) {
+    const entries = (await this.sync()).filter(entry => entry.athleteId === String(athleteId));
+    const dailyLoads = this.dailyLoads(entries);
+    const today = this.dayKey(asOf);
+
+    return Array.from({ length: days }, (_, index) => {
+      const day = this.shiftDay(today, index - (days - 1));
+      const acute = this.sum(this.windowLoads(dailyLoads, day, ACUTE_DAYS));
+      const chronic = this.sum(this.windowLoads(dailyLoads, day, CHRONIC_DAYS)) / (CHRONIC_DAYS / ACUTE_DAYS);
+
+      return {
+        date: day,
+        load: dailyLoads[day] || 0,
+        acute: Math.round(acute),
+        chronic: Math.round(chronic),
+        acwr: chronic > 0 ? this.round(acute / chronic) : null
+      };
+    });
+  }
+
+  // Eases off an athlete's own upcoming session while they are flagged.
+  // Always works from the session's original values, so applying it again
+  // after the next completed session does not compound, and a recovered
+  // athlete gets the original session back.
+  adjustSession(session, status, now = new Date()) {
+    const { loadAdjustment, ...base } = session;
+    const original = loadAdjustment
+      ? { ...base, intensity: loadAdjustment.original.intensity, duration: loadAdjustment.original.duration }
+      : base;
+    const adjustment = this.adjustmentFor(original, status, now);
+
+    if (!adjustment) {
+      return original;
+    }
+
+    return {
+      ...original,
+      intensity: this.scaleIntensity(original.intensity, adjustment.intensity),
+      duration: original.duration ? Math.round(original.duration * adjustment.duration) : original.duration,
+      loadAdjustment: {
+        status: status.status,
+        acwr: status.acwr,
+        reason: this.describeStatus(status),
+        original: { intensity: original.intensity, duration: original.duration },
+        adjustedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  // Team sessions keep their plan; flagged athletes get individual targets.
+  // Targets from an earlier pass are replaced, so a recovered athlete drops
+  // out of them.
+  adjustSchedule(sessions, statuses, now = new Date()) {
+    const flagged = statuses.filter(status => ADJUSTMENTS[status.status]);
+
+    return sessions.map(({ athleteAdjustments: previous, ...session }) => {
+      const athleteAdjustments = flagged
+        .map(status => {
+          const adjustment = this.adjustmentFor(session, status, now);
+          return adjustment && {
+            athleteId: status.athleteId,
+            athleteName: status.athleteName,
+            status: status.status,
+            acwr: status.acwr,
+            intensity: this.scaleIntensity(session.intensity, adjustment.intensity),
+            duration: session.duration ? Math.round(session.duration * adjustment.duration) : session.duration,
+            reason: this.describeStatus(status)
+          };
+        })
+        .filter(Boolean);
+
+      return athleteAdjustments.length > 0 ? { ...session, athleteAdjustments } : session;
+    });
+  }
+
+  adjustmentFor(session, status, now) {
+    const adjustment = ADJUSTMENTS[status?.status];
+    const date = session.scheduledDate || session.date;
+    if (!adjustment || !date) return null;
+
+    const daysAhead = Math.round((this.dayStart(this.dayKey(new Date(date))) - this.dayStart(this.dayKey(now))) / DAY_MS);
+    return daysAhead >= 0 && daysAhead < adjustment.days ? adjustment : null;
+  }
+
+  // Schedules use 0-100 numbers, sessions entered by coaches use levels
+  scaleIntensity(intensity, factor) {
+    if (typeof intensity === 'number') {
+      return Math.round(intensity * factor);
+    }
+
+    const level = INTENSITY_LEVELS.indexOf(intensity);
+    if (level === -1 || factor >= 1) return intensity;
+    return INTENSITY_LEVELS[Math.max(0, level - (factor <= 0.7 ? 2 : 1))];
+  }
+
+  describeStatus(status) {
+    switch (status.status) {
+      case 'overreaching':
+        return `Acute load is ${status.acwr}x the 4-week average${status.flags.includes('high_monotony') ? ' with little day-to-day variation' : ''}; intensity reduced`;
+      case 'elevated':
+        return `Acute load is ${status.acwr}x the 4-week average; intensity eased`;
+      case 'undertrained':
+        return `Acute load is ${status.acwr}x the 4-week average; room to build`;
+      case 'insufficient_data':
+        return `${status.historyDays} of ${MIN_HISTORY_DAYS} days logged`;
+      default:
+        return 'Load is within the usual range';
+    }
+  }
+
+  // Load helpers
+
+  dailyLoads(entries) {
+    return entries.reduce((days, entry) => {
+      const day = this.dayKey(new Date(entry.date));
+      days[day] = (days[day] || 0) + entry.load;
+      return days;
+    }, {});
+  }
+
+  windowLoads(dailyLoads, endDay, days) {
+    return Array.from({ length: days }, (_, index) => dailyLoads[this.shiftDay(endDay, -index)] || 0);
+  }
+
+  // Mean daily load over its standard deviation (Foster, 1998)
+  monotony(days) {
+    const mean = this.sum(days) / days.length;
+    const variance = days.reduce((sum, load) => sum + (load - mean) ** 2, 0) / days.length;
+    const deviation = Math.sqrt(variance);
+
+    if (deviation === 0) {
+      return mean > 0 ? MAX_MONOTONY : 0;
+    }
+    return Math.min(mean / deviation, MAX_MONOTONY);
+  }
+
+  // Local calendar day, so a late session counts on the day it happened
+  dayKey(date) {
+    const value = date instanceof Date ? date : new Date(date);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  dayStart(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+  }
+
+  // Calendar arithmetic rather than milliseconds, which drift across DST
+  shiftDay(dayKey, offset) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return this.dayKey(new Date(year, month - 1, day + offset));
+  }
+
+  sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  async clear() {
+    this.entries = [];
+    this.pending.clear();
+    this.syncedAt = null;
+    await AsyncStorage.multiRemove([STORAGE_KEY, PENDING_KEY]);
+  }
+}
+
+export default new LoadManagement();
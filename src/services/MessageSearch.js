@@ -0,0 +1,202 @@
+//src/services/MessageSearch.js
+
+const SNIPPET_RADIUS = 40;
+const DEFAULT_RESULT_LIMIT = 50;
+
+// Labels indexed for attachment messages, so "voice" or "video" finds them
+// even without a caption
+const KIND_TERMS = {
+  image: 'photo image',
+  video: 'video clip',
+  audio: 'voice message audio',
+  file: 'file document'
+};
+
+// In-memory full-text index over the messages ChatService keeps in its local
+// cache. It is built from the cache on the first search and then kept in
+// step with every cache write, so it works offline and covers exactly what
+// the device has stored. Each term maps to the set of message IDs that
+// contain it; query terms match by prefix so results update as you type.
+class MessageSearch {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.documents = null;
+    this.terms = new Map();
+    this.chatMessageIds = new Map();
+  }
+
+  isBuilt() {
+    return this.documents !== null;
+  }
+
+  // Lowercase without accents, one character for one, so positions in the
+  // folded text match the original
+  fold(text) {
+    return (text || '')
+      .split('')
+      .map(char => char.toLowerCase().normalize('NFD')[0] || char)
+      .join('');
+  }
+
+  tokenize(text) {
+    return this.fold(text)
+      .split(/[^a-z0-9\u00c0-\uffff]+/)
+      .filter(Boolean);
+  }
+
+  build(chats) {
+    this.documents = new Map();
+    this.terms = new Map();
+    this.chatMessageIds = new Map();
+
+    chats.forEach(({ chatId, messages }) => this.indexChat(chatId, messages));
+  }
+
+  // Replaces everything indexed for the chat with the given messages. A no-op
+  // until the index has been built, which reads the whole cache anyway.
+  indexChat(chatId, messages) {
+    if (!this.isBuilt()) return;
+
+    this.removeChat(chatId);
+
+    const ids = new Set();
+    (messages || []).forEach(message => {
+      const document = this.toDocument(chatId, message);
+      if (!document) return;
+
+      this.documents.set(document.id, document);
+      ids.add(document.id);
+      new Set(this.tokenize(document.searchText)).forEach(term => {
+        if (!this.terms.has(term)) this.terms.set(term, new Set());
+        this.terms.get(term).add(document.id);
+      });
+    });
+
+    this.chatMessageIds.set(chatId, ids);
+  }
+
+  removeChat(chatId) {
+    if (!this.isBuilt()) return;
+
+    (this.chatMessageIds.get(chatId) || new Set()).forEach(messageId => {
+      const document = this.documents.get(messageId);
+      if (!document) return;
+
+      this.tokenize(document.searchText).forEach(term => {
+        const postings = this.terms.get(term);
+        if (!postings) return;
+        postings.delete(messageId);
+        if (postings.size === 0) this.terms.delete(term);
+      });
+      this.documents.delete(messageId);
+    });
+    this.chatMessageIds.delete(chatId);
+  }
+
+  // System notices and messages removed by a moderator are not searchable
+  toDocument(chatId, message) {
+    if (!message?.id || message.type === 'system' || message.moderation?.removed) return null;
+
+    const attachments = message.attachments || [];
+    const kinds = [...new Set(attachments.map(attachment => attachment.kind || 'file'))];
+
+    return {
+      id: message.id,
+      chatId,
+      senderId: message.senderId,
+      senderName: message.metadata?.senderName || '',
+      text: message.text || '',
+      type: message.type || 'text',
+      kinds,
+      attachmentNames: attachments.map(attachment => attachment.name).filter(Boolean),
+      timestamp: message.timestamp,
+      searchText: [
+        message.text,
+        message.metadata?.senderName,
+        ...attachments.map(attachment => attachment.name),
+        ...kinds.map(kind => KIND_TERMS[kind])
+      ].filter(Boolean).join(' ')
+    };
+  }
+
+  // filters: chatId, senderId, from and to (dates or ISO strings),
+  // attachmentType ('image' | 'video' | 'audio' | 'file', 'any' for any
+  // attachment), excludeSenderIds, limit. An empty query lists every
+  // message that passes the filters.
+  search(query, filters = {}) {
+    if (!this.isBuilt()) return { results: [], total: 0 };
+
+    const queryTerms = this.tokenize(query);
+    let candidates = null;
+
+    for (const queryTerm of queryTerms) {
+      const matches = new Set();
+      this.terms.forEach((messageIds, term) => {
+        if (term.startsWith(queryTerm)) {
+          messageIds.forEach(id => matches.add(id));
+        }
+      });
+
+      candidates = candidates ? new Set([...candidates].filter(id => matches.has(id))) : matches;
+      if (candidates.size === 0) break;
+    }
+
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+    const excluded = new Set(filters.excludeSenderIds || []);
+
+    const documents = [...(candidates || this.documents.keys())]
+      .map(id => this.documents.get(id))
+      .filter(document => {
+        if (!document) return false;
+        if (filters.chatId && document.chatId !== filters.chatId) return false;
+        if (filters.senderId && document.senderId !== filters.senderId) return false;
+        if (excluded.has(document.senderId)) return false;
+
+        const time = new Date(document.timestamp).getTime();
+        if (from !== null && time < from) return false;
+        if (to !== null && time > to) return false;
+
+        if (filters.attachmentType === 'any') return document.kinds.length > 0;
+        if (filters.attachmentType) return document.kinds.includes(filters.attachmentType);
+        return true;
+      })
+      .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+    const limit = filters.limit || DEFAULT_RESULT_LIMIT;
+    return {
+      results: documents.slice(0, limit).map(document => ({
+        messageId: document.id,
+        chatId: document.chatId,
+        senderId: document.senderId,
+        senderName: document.senderName,
+        timestamp: document.timestamp,
+        type: document.type,
+        kinds: document.kinds,
+        snippet: this.snippet(document, queryTerms),
+        terms: queryTerms
+      })),
+      total: documents.length
+    };
+  }
+
+  // Text around the first match, or the start of the message; attachment
+  // names stand in for captionless attachment messages
+  snippet(document, queryTerms) {
+    const text = document.text || document.attachmentNames.join(', ');
+    if (!text) return '';
+
+    const folded = this.fold(text);
+    const positions = queryTerms.map(term => folded.indexOf(term)).filter(index => index >= 0);
+    const first = positions.length ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+}
+
+export default new MessageSearch();
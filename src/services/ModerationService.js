@@ -0,0 +1,372 @@
+//src/services/ModerationService.js
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from '../config/firebase.config';
+import PlatformUtils from '../utils/PlatformUtils';
+import ChatService from './ChatService';
+import { ROLE_PERMISSIONS } from '../config/constants/UserRoles';
+
+const PENDING_REPORTS_KEY = 'moderation_pending_reports';
+const REPORTS_COLLECTION = 'moderation_reports';
+const WARNINGS_COLLECTION = 'moderation_warnings';
+
+export const REPORT_STATUS = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+export const REPORT_REASONS = [
+  { id: 'harassment', label: 'Bullying or harassment' },
+  { id: 'inappropriate', label: 'Inappropriate content' },
+  { id: 'safeguarding', label: 'Child safety concern' },
+  { id: 'spam', label: 'Spam or scam' },
+  { id: 'privacy', label: 'Privacy violation' },
+  { id: 'other', label: 'Something else' }
+];
+
+export const MODERATION_ACTIONS = {
+  DISMISS: 'dismiss',
+  REMOVE_MESSAGE: 'remove_message',
+  WARN_USER: 'warn_user'
+};
+
+// Child safety reports go to the top of the queue, and so does anything
+// from a chat a minor takes part in
+const REASON_PRIORITY = { safeguarding: 'urgent', harassment: 'high' };
+const PRIORITY_ORDER = { urgent: 0, high: 1, normal: 2 };
+
+// Reports of messages, users and safety incidents, and the moderation queue
+// that works through them. Anyone can report; only accounts whose role has
+// the content_moderation permission in UserRoles and whose Firebase token
+// carries the moderator claim, which the Firestore rules check, can read
+// the queue or act on reports. Reports made offline are kept on the device and sent when the
+// connection returns.
+class ModerationService {
+  constructor() {
+    this.firestore = db;
+    this.isWeb = Platform.OS === 'web';
+
+    ChatService.addEventListener(({ type, data }) => {
+      if (type === 'networkStatusChanged' && data.isOnline) {
+        this.syncPendingReports();
+      }
+    });
+  }
+
+  // Whether the user's role may moderate, for showing moderation screens
+  canModerate(user) {
+    if (!user) return false;
+
+    const roles = [user.role, user.userType, ...(user.roles || [])].filter(Boolean);
+    return roles.some(role => {
+      const permissions = ROLE_PERMISSIONS[role] || [];
+      return permissions.includes('all') || permissions.includes('content_moderation');
+    });
+  }
+
+  async requireModerator(user) {
+    if (!this.canModerate(user) || !(await ChatService.hasModeratorClaim())) {
+      throw PlatformUtils.createError(
+        'You do not have permission to moderate content',
+        ['Ask an administrator to give your account the moderator role'],
+        'permission_denied'
+      );
+    }
+  }
+
+  // ===== REPORTING =====
+
+  // message: the message object as shown in the chat. A copy of its content
+  // is stored with the report so it survives later edits or removal.
+  async reportMessage(reporterId, message, { reason, details = '' } = {}) {
+    if (!message?.id || !message.chatId) throw new Error('Message not found');
+
+    const chat = await ChatService.getChat(message.chatId);
+    return await this.submitReport(reporterId, {
+      type: 'message',
+      reason,
+      details,
+      reportedUserId: message.senderId,
+      chatId: message.chatId,
+      messageId: message.id,
+      involvesMinor: (chat?.observerIds || []).length > 0,
+      messageSnapshot: {
+        text: message.text || '',
+        senderId: message.senderId,
+        senderName: message.metadata?.senderName || '',
+        type: message.type || 'text',
+        attachments: (message.attachments || []).map(a => ({ name: a.name, kind: a.kind || null, url: a.url || null })),
+        timestamp: message.timestamp || null
+      }
+    });
+  }
+
+  async reportUser(reporterId, reportedUserId, { reason, details = '', chatId = null } = {}) {
+    if (!reportedUserId) throw new Error('User to report is required');
+
+    return await this.submitReport(reporterId, { type: 'user', reason, details, reportedUserId, chatId });
+  }
+
+  // Safety concerns raised without a specific message, e.g. by a parent
+  // from ChildProtection
+  async reportIncident(reporterId, { reason, details = '', childId = null, reportedUserId = null } = {}) {
+    return await this.submitReport(reporterId, {
+      type: 'incident',
+      reason,
+      details,
+      childId,
+      reportedUserId,
+      involvesMinor: !!childId
+    });
+  }
+
+  async submitReport(reporterId, fields) {
+    if (!reporterId) throw new Error('Reporter ID is required');
+    if (!REPORT_REASONS.some(r => r.id === fields.reason)) {
+      throw PlatformUtils.createError(
+        'Choose a reason for the report',
+        REPORT_REASONS.map(r => r.label),
+        'validation'
+      );
+    }
+    if (fields.reportedUserId && fields.reportedUserId === reporterId) {
+      throw new Error('You cannot report yourself');
+    }
+
+    const now = new Date().toISOString();
+    const priority = REASON_PRIORITY[fields.reason] || (fields.involvesMinor ? 'high' : 'normal');
+    const report = {
+      id: `report_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      reporterId,
+      reportedUserId: null,
+      chatId: null,
+      messageId: null,
+      childId: null,
+      messageSnapshot: null,
+      involvesMinor: false,
+      ...fields,
+      details: (fields.details || '').trim(),
+      priority,
+      status: REPORT_STATUS.OPEN,
+      assignedTo: null,
+      resolution: null,
+      history: [{ status: REPORT_STATUS.OPEN, by: reporterId, at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (ChatService.isOnline) {
+      try {
+        await this.saveReport(report);
+        return { success: true, report };
+      } catch (error) {
+        console.warn('Failed to submit report, keeping it on the device:', error.message);
+      }
+    }
+
+    const pending = await this.getPendingReports();
+    await AsyncStorage.setItem(PENDING_REPORTS_KEY, JSON.stringify([...pending, report]));
+
+    return { success: true, report: { ...report, pending: true }, queued: true };
+  }
+
+  async getPendingReports() {
+    try {
+      const pendingJson = await AsyncStorage.getItem(PENDING_REPORTS_KEY);
+      return pendingJson ? JSON.parse(pendingJson) : [];
+    } catch (error) {
+      console.warn('Failed to load pending reports:', error);
+      return [];
+    }
+  }
+
+  async syncPendingReports() {
+    const pending = await this.getPendingReports();
+    if (pending.length === 0 || !ChatService.isOnline) return { synced: 0 };
+
+    const remaining = [];
+    for (const report of pending) {
+      try {
+        await this.saveReport(report);
+      } catch (error) {
+        console.warn('Failed to sync report:', report.id, error.message);
+        remaining.push(report);
+      }
+    }
+
+    await AsyncStorage.setItem(PENDING_REPORTS_KEY, JSON.stringify(remaining));
+    return { synced: pending.length - remaining.length };
+  }
+
+  // Reports the user has made, newest first, including ones not yet sent
+  async getMyReports(userId) {
+    const pending = (await this.getPendingReports())
+      .filter(report => report.reporterId === userId)
+      .map(report => ({ ...report, pending: true }));
+
+    let reports = [];
+    if (ChatService.isOnline) {
+      try {
+        reports = await this.queryReports('reporterId', '==', userId);
+      } catch (error) {
+        console.warn('Failed to load reports:', error.message);
+      }
+    }
+
+    return [...pending, ...reports.filter(r => !pending.some(p => p.id === r.id))]
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  // ===== MODERATION QUEUE =====
+
+  // Open and in-review reports, most urgent first and oldest first within
+  // the same priority
+  async getQueue(moderator, { statuses = [REPORT_STATUS.OPEN, REPORT_STATUS.IN_REVIEW] } = {}) {
+    await this.requireModerator(moderator);
+    this.requireOnline();
+
+    const reports = await this.queryReports('status', 'in', statuses);
+    return reports.sort((a, b) =>
+      (PRIORITY_ORDER[a.priority] ?? 2) - (PRIORITY_ORDER[b.priority] ?? 2) ||
+      String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async claimReport(moderator, reportId) {
+    await this.requireModerator(moderator);
+    const report = await this.requireOpenReport(reportId);
+    const moderatorId = moderator.uid || moderator.id;
+
+    if (report.assignedTo && report.assignedTo !== moderatorId) {
+      throw new Error('Another moderator is already reviewing this report');
+    }
+
+    return await this.updateReport(report, {
+      status: REPORT_STATUS.IN_REVIEW,
+      assignedTo: moderatorId
+    }, moderatorId);
+  }
+
+  async resolveReport(moderator, reportId, action, note = '') {
+    await this.requireModerator(moderator);
+    if (!Object.values(MODERATION_ACTIONS).includes(action)) {
+      throw new Error(`Unknown moderation action: ${action}`);
+    }
+
+    const report = await this.requireOpenReport(reportId);
+    const moderatorId = moderator.uid || moderator.id;
+
+    switch (action) {
+      case MODERATION_ACTIONS.REMOVE_MESSAGE:
+        if (!report.messageId) throw new Error('This report is not about a message');
+        await ChatService.removeMessageForModeration(report.chatId, report.messageId, {
+          moderatorId,
+          reportId,
+          reason: report.reason,
+          message: report.messageSnapshot
+        });
+        break;
+      case MODERATION_ACTIONS.WARN_USER:
+        if (!report.reportedUserId) throw new Error('This report does not name a user');
+        await this.saveWarning({
+          userId: report.reportedUserId,
+          reportId,
+          reason: report.reason,
+          note: note.trim(),
+          moderatorId,
+          createdAt: new Date().toISOString()
+        });
+        break;
+    }
+
+    return await this.updateReport(report, {
+      status: action === MODERATION_ACTIONS.DISMISS ? REPORT_STATUS.DISMISSED : REPORT_STATUS.RESOLVED,
+      assignedTo: moderatorId,
+      resolution: { action, note: note.trim(), moderatorId, resolvedAt: new Date().toISOString() }
+    }, moderatorId);
+  }
+
+  async requireOpenReport(reportId) {
+    this.requireOnline();
+
+    const report = await this.getReport(reportId);
+    if (!report) throw new Error('Report not found');
+    if (report.status === REPORT_STATUS.RESOLVED || report.status === REPORT_STATUS.DISMISSED) {
+      throw new Error('This report has already been closed');
+    }
+    return report;
+  }
+
+  requireOnline() {
+    if (!ChatService.isOnline) {
+      throw PlatformUtils.createError(
+        'The moderation queue needs an internet connection',
+        ['Check your connection and try again'],
+        'network'
+      );
+    }
+  }
+
+  // ===== FIREBASE =====
+
+  async saveReport(report) {
+    if (this.isWeb) {
+      const { doc, setDoc } = require('firebase/firestore');
+      await setDoc(doc(this.firestore, REPORTS_COLLECTION, report.id), report);
+    } else {
+      await this.firestore.collection(REPORTS_COLLECTION).doc(report.id).set(report);
+    }
+  }
+
+  async getReport(reportId) {
+    if (this.isWeb) {
+      const { doc, getDoc } = require('firebase/firestore');
+      const reportDoc = await getDoc(doc(this.firestore, REPORTS_COLLECTION, reportId));
+      return reportDoc.exists() ? reportDoc.data() : null;
+    }
+
+    const reportDoc = await this.firestore.collection(REPORTS_COLLECTION).doc(reportId).get();
+    return reportDoc.exists ? reportDoc.data() : null;
+  }
+
+  async queryReports(field, operator, value) {
+    if (this.isWeb) {
+      const { collection, query, where, getDocs } = require('firebase/firestore');
+      const snapshot = await getDocs(query(collection(this.firestore, REPORTS_COLLECTION), where(field, operator, value)));
+      return snapshot.docs.map(doc => doc.data());
+    }
+
+    const snapshot = await this.firestore.collection(REPORTS_COLLECTION).where(field, operator, value).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async updateReport(report, changes, actorId) {
+    const now = new Date().toISOString();
+    const updates = {
+      ...changes,
+      history: [...(report.history || []), { status: changes.status, by: actorId, at: now }],
+      updatedAt: now
+    };
+
+    if (this.isWeb) {
+      const { doc, updateDoc } = require('firebase/firestore');
+      await updateDoc(doc(this.firestore, REPORTS_COLLECTION, report.id), updates);
+    } else {
+      await this.firestore.collection(REPORTS_COLLECTION).doc(report.id).update(updates);
+    }
+
+    return { ...report, ...updates };
+  }
+
+  async saveWarning(warning) {
+    if (this.isWeb) {
+      const { collection, addDoc } = require('firebase/firestore');
+      await addDoc(collection(this.firestore, WARNINGS_COLLECTION), warning);
+    } else {
+      await this.firestore.collection(WARNINGS_COLLECTION).add(warning);
+    }
+  }
+}
+
+export default new ModerationService();
@@ -0,0 +1,314 @@
+//src/services/OCRService.js
+import PlatformUtils from '../utils/PlatformUtils';
+import PlanLocales, { DEFAULT_LOCALE } from './PlanLocales';
+import PlanDatabase from './PlanDatabase';
+
+// Below this the text is still used, but the integrity report asks the
+// coach to check the extracted sessions
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// PDF pages with less embedded text than this are treated as scans
+export const MIN_PAGE_TEXT_LENGTH = 20;
+
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+const TESSERACT_CDN = 'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js';
+
+// Tesseract language data for each locale pack. Each model is several MB,
+// so the worker starts with the user's language and adds others only when
+// a page reads as that language.
+const TESSERACT_LANGUAGES = { en: 'eng', fr: 'fra', es: 'spa', pt: 'por', sw: 'swa' };
+const LANGUAGE_SWITCH_CONFIDENCE = 0.5;
+
+// Scanned pages read per document; each one is rendered and recognised in
+// turn, so only one page image is held at a time
+export const MAX_OCR_PAGES = 20;
+
+// Scans are rendered at twice their PDF size; smaller text is unreadable
+const PDF_RENDER_SCALE = 2;
+
+// Tokens that look like words, numbers or times ("18h30", "10x", "warm-up")
+const CLEAN_TOKEN = /^[("'[]?[a-zà-öø-ÿœæ\d]+(?:[-'’/:.][a-zà-öø-ÿœæ\d]+)*[)"'\].,:;!?]*$/i;
+
+// On-device text recognition for photographed plans and image-only PDF
+// pages. Web uses tesseract.js (loaded like PDF.js, from a CDN); mobile uses
+// ML Kit, which reports no confidence, so one is estimated from the text.
+class OCRService {
+  constructor() {
+    this.engine = null;
+    this.enginePromise = null;
+    // Upload runs the integrity check and a preview right after each other;
+    // recognition is slow, so results are kept per document for the session
+    this.results = new Map();
+  }
+
+  async loadEngine() {
+    if (this.engine) return this.engine;
+    if (!this.enginePromise) {
+      this.enginePromise = (PlatformUtils.isWeb() ? this._loadWebEngine() : this._loadMobileEngine())
+        .then(engine => {
+          this.engine = engine;
+          return engine;
+        })
+        .finally(() => {
+          this.enginePromise = null;
+        });
+    }
+    return this.enginePromise;
+  }
+
+  async _loadWebEngine() {
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+      return null;
+    }
+
+    if (!window.Tesseract) {
+      await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = TESSERACT_CDN;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('Failed to load tesseract.js from CDN'));
+        document.head.appendChild(script);
+      });
+    }
+
+    const languages = [this.getPreferredLanguage()];
+    const worker = await window.Tesseract.createWorker(languages.join('+'));
+
+    PlatformUtils.logDebugInfo('OCR engine loaded', { engine: 'tesseract.js', languages });
+    return { name: 'tesseract.js', worker, languages };
+  }
+
+  getPreferredLanguage() {
+    const locale = (typeof navigator !== 'undefined' && navigator.language) || DEFAULT_LOCALE;
+    return TESSERACT_LANGUAGES[locale.substring(0, 2).toLowerCase()] || TESSERACT_LANGUAGES[DEFAULT_LOCALE];
+  }
+
+  // Adds the model for the language the text reads as. Returns true when
+  // the worker changed, so the page is worth reading again.
+  async addDetectedLanguage(engine, text) {
+    const detected = PlanLocales.detect(text);
+    const language = TESSERACT_LANGUAGES[detected.code];
+    if (!language || engine.languages.includes(language) || detected.confidence < LANGUAGE_SWITCH_CONFIDENCE) {
+      return false;
+    }
+
+    engine.languages = [...engine.languages, language];
+    await engine.worker.reinitialize(engine.languages.join('+'));
+    PlatformUtils.logDebugInfo('OCR language added', { languages: engine.languages });
+    return true;
+  }
+
+  async _loadMobileEngine() {
+    try {
+      const module = require('@react-native-ml-kit/text-recognition');
+      const recognizer = module.default || module;
+      PlatformUtils.logDebugInfo('OCR engine loaded', { engine: 'ML Kit' });
+      return { name: 'ML Kit', recognizer };
+    } catch (error) {
+      console.warn('ML Kit text recognition not available:', error.message);
+      return null;
+    }
+  }
+
+  async isAvailable() {
+    try {
+      return !!(await this.loadEngine());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async requireEngine() {
+    const engine = await this.loadEngine();
+    if (!engine) {
+      throw PlatformUtils.createError('On-device text recognition is not available', [
+        'Update the app to the latest version',
+        'Upload the plan as a Word or text document instead'
+      ], 'ocr_unavailable');
+    }
+    return engine;
+  }
+
+  // source: an image URI on mobile; a Blob, canvas or data URL on web
+  async recognizeImage(source) {
+    const engine = await this.requireEngine();
+
+    if (engine.worker) {
+      let { data } = await engine.worker.recognize(source);
+      if (await this.addDetectedLanguage(engine, data.text)) {
+        ({ data } = await engine.worker.recognize(source));
+      }
+      return {
+        text: (data.text || '').trim(),
+        confidence: Math.max(0, Math.min(1, (data.confidence || 0) / 100)),
+        confidenceSource: 'engine',
+        engine: engine.name
+      };
+    }
+
+    const result = await engine.recognizer.recognize(source);
+    // Blocks come back in reading order; one line per recognised line keeps
+    // the week/day headers on lines of their own
+    const text = (result.blocks || [])
+      .map(block => block.lines.map(line => line.text).join('\n'))
+      .join('\n')
+      .trim() || (result.text || '').trim();
+
+    return {
+      text,
+      confidence: this.estimateConfidence(text),
+      confidenceSource: 'estimated',
+      engine: engine.name
+    };
+  }
+
+  // Share of tokens that read as words or numbers. Misread scans produce
+  // runs of symbols and fragments that fail this test.
+  estimateConfidence(text) {
+    const tokens = String(text || '').match(/\S+/g) || [];
+    if (tokens.length === 0) return 0;
+
+    const clean = tokens.filter(token => token.length <= 24 && CLEAN_TOKEN.test(token)).length;
+    return Number((clean / tokens.length).toFixed(2));
+  }
+
+  async recognizeDocumentImage(document) {
+    return this.remember(document.id, async () => {
+      let source;
+      if (PlatformUtils.isWeb()) {
+        const content = document.webFileData || await PlanDatabase.getDocumentContent(document.id);
+        if (!content) {
+          throw PlatformUtils.createError('Image data not accessible', [
+            'Try re-uploading the photo'
+          ]);
+        }
+        source = new Blob([new Uint8Array(content)], { type: document.type });
+      } else {
+        if (!document.localPath) {
+          throw PlatformUtils.createError('Image file not accessible on mobile');
+        }
+        source = document.localPath.startsWith('file://') ? document.localPath : `file://${document.localPath}`;
+      }
+
+      const page = await this.recognizeImage(source);
+      return this.combinePages([{ page: 1, ...page }]);
+    });
+  }
+
+  // pages: PDF.js page proxies for the pages that had no embedded text
+  async recognizePdfPagesWeb(documentId, pages) {
+    return this.remember(documentId, async () => {
+      const results = [];
+      for (const { pageNumber, page } of pages.slice(0, MAX_OCR_PAGES)) {
+        const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        results.push({ page: pageNumber, ...(await this.recognizeImage(canvas)) });
+
+        PlatformUtils.logDebugInfo(`Page ${pageNumber} recognised`, {
+          confidence: results[results.length - 1].confidence
+        });
+      }
+      return this.combinePages(results, Math.max(0, pages.length - MAX_OCR_PAGES));
+    });
+  }
+
+  // pdf-parse cannot render pages, so pages are rasterised and read one at
+  // a time. Without a page count, rendering stops at the first missing page.
+  async recognizePdfFileMobile(documentId, localPath, pageCount = null) {
+    return this.remember(documentId, async () => {
+      let PdfThumbnail;
+      try {
+        const module = require('react-native-pdf-thumbnail');
+        PdfThumbnail = module.default || module;
+      } catch (error) {
+        throw PlatformUtils.createError('Scanned PDF pages cannot be read on this device', [
+          'Photograph the plan pages instead',
+          'Convert the PDF to a Word document'
+        ], 'ocr_unavailable');
+      }
+
+      const uri = localPath.startsWith('file://') ? localPath : `file://${localPath}`;
+      const limit = pageCount ? Math.min(pageCount, MAX_OCR_PAGES) : MAX_OCR_PAGES;
+
+      const results = [];
+      for (let index = 0; index < limit; index++) {
+        let image;
+        try {
+          image = await PdfThumbnail.generate(uri, index, 100);
+        } catch (error) {
+          if (pageCount || index === 0) throw error;
+          break;
+        }
+        results.push({ page: index + 1, ...(await this.recognizeImage(image.uri)) });
+      }
+      return this.combinePages(results, pageCount ? pageCount - results.length : 0);
+    });
+  }
+
+  // Confidence is weighted by text length so a blank back page does not
+  // drag down a well-read plan
+  combinePages(pages, skippedPages = 0) {
+    const read = pages.filter(page => page.text.length > 0);
+    const totalLength = read.reduce((sum, page) => sum + page.text.length, 0);
+    const confidence = totalLength > 0
+      ? read.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / totalLength
+      : 0;
+
+    return {
+      text: read.map(page => page.text).join('\n\n'),
+      confidence: Number(confidence.toFixed(2)),
+      confidenceSource: pages[0]?.confidenceSource || 'estimated',
+      engine: pages[0]?.engine || null,
+      pages: pages.map(page => ({
+        page: page.page,
+        text: page.text,
+        confidence: page.confidence
+      })),
+      lowConfidencePages: pages
+        .filter(page => page.text.length > 0 && page.confidence < LOW_CONFIDENCE_THRESHOLD)
+        .map(page => page.page),
+      skippedPages,
+      recognizedAt: new Date().toISOString()
+    };
+  }
+
+  async remember(documentId, recognize) {
+    if (documentId && this.results.has(documentId)) {
+      return this.results.get(documentId);
+    }
+
+    const result = await recognize();
+    if (documentId) {
+      this.results.set(documentId, result);
+    }
+    return result;
+  }
+
+  getResult(documentId) {
+    return this.results.get(documentId) || null;
+  }
+
+  forget(documentId) {
+    this.results.delete(documentId);
+  }
+
+  // Compact form stored on the document and shown in the integrity report
+  summarize(result) {
+    if (!result) return null;
+    return {
+      confidence: result.confidence,
+      confidenceSource: result.confidenceSource,
+      engine: result.engine,
+      pagesRecognized: result.pages.length,
+      lowConfidencePages: result.lowConfidencePages,
+      skippedPages: result.skippedPages || 0
+    };
+  }
+}
+
+export default new OCRService();
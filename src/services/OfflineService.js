@@ -256,6 +256,42 @@ class OfflineService {
     await this.storeData(this.storageKeys.SYNC_QUEUE, updatedQueue);
   }
 
+  /**
+   * Queue a service-level action (e.g. SessionService's COMPLETE_SESSION).
+   * Kept apart from the sync queue because the owning service replays
+   * these itself; syncWhenOnline would drop them as unknown actions.
+   * @param {Object} action - Action with a type and its data
+   */
+  async queueAction(action) {
+    const actions = await this.getPendingActions();
+    actions.push({
+      ...action,
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      addedAt: new Date().toISOString()
+    });
+    
+    await this.storeData(this.storageKeys.OFFLINE_ACTIONS, actions);
+    this.notifyListeners('queueUpdated', { queueLength: actions.length });
+    
+    return true;
+  }
+
+  /**
+   * Get queued service-level actions
+   */
+  async getPendingActions() {
+    return await this.getData(this.storageKeys.OFFLINE_ACTIONS, []);
+  }
+
+  /**
+   * Remove a replayed service-level action
+   * @param {string} actionId - Action ID to remove
+   */
+  async removeAction(actionId) {
+    const actions = await this.getPendingActions();
+    await this.storeData(this.storageKeys.OFFLINE_ACTIONS, actions.filter(item => item.id !== actionId));
+  }
+
   /**
    * Sync data when coming back online
    */
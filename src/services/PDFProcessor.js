@@ -1,5 +1,6 @@
 //src/services/PDFProcessor.js
 import PlatformUtils from '../utils/PlatformUtils';
+import OCRService, { MIN_PAGE_TEXT_LENGTH } from './OCRService';
 
 class PDFProcessor {
   constructor() {
@@ -155,8 +156,7 @@ async _extractTextFromPDFWeb(document) {
     // Get PDF data buffer
     let pdfBuffer;
     
-    const documents = await this._getStoredDocuments();
-    const storedDoc = documents.find(doc => doc.id === document.id);
+    const storedDoc = await this._getStoredDocument(document.id);
     
     if (storedDoc && storedDoc.webFileData) {
       pdfBuffer = new Uint8Array(storedDoc.webFileData);
@@ -180,7 +180,8 @@ async _extractTextFromPDFWeb(document) {
     });
     
     const pdf = await loadingTask.promise;
-    let fullText = '';
+    const pageTexts = [];
+    const scannedPages = [];
 
     PlatformUtils.logDebugInfo('PDF loaded successfully', {
       numPages: pdf.numPages
@@ -220,8 +221,11 @@ async _extractTextFromPDFWeb(document) {
           pageText += currentLine.trim() + '\n';
         }
         
-        if (pageText.trim()) {
-          fullText += `${pageText}\n`;
+        pageTexts[pageNum - 1] = pageText;
+        
+        // Image-only pages are read by OCR once all pages are done
+        if (pageText.trim().length < MIN_PAGE_TEXT_LENGTH) {
+          scannedPages.push({ pageNumber: pageNum, page });
         }
         
         PlatformUtils.logDebugInfo(`Page ${pageNum} extracted`, {
@@ -235,12 +239,30 @@ async _extractTextFromPDFWeb(document) {
       }
     }
 
+    if (scannedPages.length > 0) {
+      try {
+        const ocr = await OCRService.recognizePdfPagesWeb(document.id, scannedPages);
+        ocr.pages.forEach(({ page, text }) => {
+          if (text.length > (pageTexts[page - 1] || '').trim().length) {
+            pageTexts[page - 1] = `${text}\n`;
+          }
+        });
+      } catch (ocrError) {
+        console.warn('OCR of scanned PDF pages failed:', ocrError.message);
+      }
+    }
+
+    const fullText = pageTexts
+      .filter(pageText => pageText && pageText.trim())
+      .map(pageText => `${pageText}\n`)
+      .join('');
+
     if (fullText.trim().length === 0) {
       throw PlatformUtils.createError(
         'No text content found in PDF',
         [
-          'PDF may be image-based (scanned document)',
-          'Try using OCR software to convert to text',
+          'The scanned pages could not be read',
+          'Photograph the plan in good light and upload the photos',
           'Convert PDF to Word format for text extraction'
         ]
       );
@@ -248,6 +270,7 @@ async _extractTextFromPDFWeb(document) {
 
     PlatformUtils.logDebugInfo('PDF text extraction completed', {
       pages: pdf.numPages,
+      scannedPages: scannedPages.length,
       textLength: fullText.length,
       preview: fullText.substring(0, 200)
     });
@@ -284,8 +307,17 @@ async _extractTextFromPDFWeb(document) {
 
       // Extract text using pdf-parse
       const data = await this.pdfLibrary(pdfBuffer);
+      const embeddedText = (data.text || '').trim();
       
-      if (!data.text || data.text.trim().length === 0) {
+      // pdf-parse has no per-page split, so a mostly empty PDF is read as a scan
+      if (embeddedText.length < MIN_PAGE_TEXT_LENGTH * (data.numpages || 1)) {
+        const ocr = await this._recognizeScannedPDFMobile(document, data.numpages);
+        if (ocr && ocr.text.length > embeddedText.length) {
+          return ocr.text;
+        }
+      }
+      
+      if (!embeddedText) {
         throw PlatformUtils.createError(
           'No text content found in PDF',
           [
@@ -315,7 +347,26 @@ async _extractTextFromPDFWeb(document) {
     }
   }
 
+  // Null when OCR is unavailable or read nothing, so callers keep their fallbacks
+  async _recognizeScannedPDFMobile(document, pageCount = null) {
+    if (!document.localPath) return null;
+
+    try {
+      const ocr = await OCRService.recognizePdfFileMobile(document.id, document.localPath, pageCount);
+      return ocr.text ? ocr : null;
+    } catch (error) {
+      console.warn('OCR of scanned PDF failed:', error.message);
+      return null;
+    }
+  }
+
   async _fallbackPDFExtraction(document) {
+    // Without pdf-parse the pages can still be read as images
+    const ocr = PlatformUtils.isWeb() ? null : await this._recognizeScannedPDFMobile(document);
+    if (ocr) {
+      return ocr.text;
+    }
+
     // This is a very basic fallback that just returns an instructive message
     const fallbackText = `
 PDF Text Extraction Notice
@@ -331,7 +382,7 @@ Document Information:
 Possible Solutions:
 1. Convert the PDF to a Word document (.docx)
 2. Use the web version of this app for better PDF processing
-3. If this is a scanned document, use OCR software first
+3. If this is a scanned document, photograph the pages and upload the photos
 4. Save the PDF as a text file (.txt) if possible
 
 Note: This message is shown because PDF processing libraries are not fully available on this platform.
@@ -360,13 +411,14 @@ Note: This message is shown because PDF processing libraries are not fully avail
   }
 
 
-  async _getStoredDocuments() {
+  // Loads the stored document with its file bytes
+  async _getStoredDocument(documentId) {
     try {
       const DocumentProcessor = await import('./DocumentProcessor');
-      return await DocumentProcessor.default.getStoredDocuments();
+      return await DocumentProcessor.default.getStoredDocument(documentId);
     } catch (error) {
-      console.error('Failed to get stored documents:', error);
-      return [];
+      console.error('Failed to get stored document:', error);
+      return null;
     }
   }
 
@@ -417,8 +469,7 @@ Note: This message is shown because PDF processing libraries are not fully avail
       // Platform-specific validation
       if (PlatformUtils.isWeb()) {
         // Check if we have file data
-        const documents = await this._getStoredDocuments();
-        const storedDoc = documents.find(doc => doc.id === document.id);
+        const storedDoc = await this._getStoredDocument(document.id);
         
         if (!storedDoc?.webFileData && !document.file) {
           validation.isValid = false;
@@ -486,8 +537,7 @@ Note: This message is shown because PDF processing libraries are not fully avail
 
       // Get PDF data buffer
       let pdfBuffer;
-      const documents = await this._getStoredDocuments();
-      const storedDoc = documents.find(doc => doc.id === document.id);
+      const storedDoc = await this._getStoredDocument(document.id);
       
       if (storedDoc?.webFileData) {
         pdfBuffer = new Uint8Array(storedDoc.webFileData);
@@ -0,0 +1,395 @@
+//src/services/Periodization.js
+import PlatformUtils from '../utils/PlatformUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_MODEL = 'linear';
+
+// Mesocycles share out the macrocycle's weeks; volume and intensity are
+// relative to the coach's usual session (1.0 = planned duration, full effort)
+const MODELS = {
+  linear: {
+    id: 'linear',
+    name: 'Linear',
+    description: 'Volume falls and intensity rises steadily from phase to phase',
+    mesocycles: [
+      { name: 'Foundation', share: 0.3, volume: 1.0, intensity: 0.6, focus: 'Technique and aerobic base', types: ['technique', 'conditioning', 'technique'] },
+      { name: 'Development', share: 0.3, volume: 0.9, intensity: 0.72, focus: 'Skill under pressure', types: ['tactical', 'strength', 'technique'] },
+      { name: 'Intensification', share: 0.25, volume: 0.8, intensity: 0.85, focus: 'Speed and game intensity', types: ['tactical', 'conditioning', 'strength'] },
+      { name: 'Peaking', share: 0.15, volume: 0.65, intensity: 0.95, focus: 'Sharpness and match readiness', types: ['tactical', 'match_play', 'recovery'] }
+    ]
+  },
+  undulating: {
+    id: 'undulating',
+    name: 'Undulating',
+    description: 'Heavy, light and moderate days rotate within every week',
+    mesocycles: [
+      { name: 'General', share: 0.5, volume: 0.95, intensity: 0.72, focus: 'Broad physical and technical base' },
+      { name: 'Specific', share: 0.5, volume: 0.85, intensity: 0.82, focus: 'Sport-specific speed and decisions' }
+    ],
+    // Applied to the sessions of a week in order
+    days: [
+      { label: 'Heavy', volume: 0.85, intensity: 1.15, type: 'strength' },
+      { label: 'Light', volume: 1.1, intensity: 0.8, type: 'technique' },
+      { label: 'Moderate', volume: 1.0, intensity: 1.0, type: 'tactical' }
+    ]
+  },
+  block: {
+    id: 'block',
+    name: 'Block',
+    description: 'Concentrated blocks: accumulate volume, convert it, then realise it',
+    mesocycles: [
+      { name: 'Accumulation', share: 0.4, volume: 1.1, intensity: 0.65, focus: 'Work capacity and technical volume', types: ['conditioning', 'technique', 'strength'] },
+      { name: 'Transmutation', share: 0.35, volume: 0.9, intensity: 0.8, focus: 'Sport-specific power and tactics', types: ['tactical', 'strength', 'conditioning'] },
+      { name: 'Realization', share: 0.25, volume: 0.65, intensity: 0.92, focus: 'Peak speed and competition rehearsal', types: ['match_play', 'tactical', 'recovery'] }
+    ]
+  }
+};
+
+const BASE_INTENSITY = { low: 0.85, moderate: 1.0, high: 1.08, very_high: 1.15 };
+
+// Intensity climbs this much each loading week within a mesocycle
+const WEEKLY_STEP = 0.03;
+
+// Volume/intensity factors for weeks that break the loading pattern
+const DELOAD = { volume: 0.6, intensity: 0.9 };
+const TAPERS = {
+  A: { weeks: [0.55, 0.7], competitionWeek: { volume: 0.5, intensity: 1.0 } },
+  B: { weeks: [0.75], competitionWeek: { volume: 0.6, intensity: 1.0 } },
+  C: { weeks: [], competitionWeek: { volume: 0.8, intensity: 1.0 } }
+};
+
+// Macro, meso and micro cycles for a training plan. A macrocycle is the
+// whole plan, mesocycles are its phases and each week is a microcycle with
+// its own volume and intensity target. Deload weeks recur every few loading
+// weeks; weeks before a marked competition taper instead.
+class Periodization {
+  list() {
+    return Object.values(MODELS).map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  get(modelId) {
+    const model = MODELS[modelId || DEFAULT_MODEL];
+    if (!model) {
+      throw PlatformUtils.createError(`Unknown periodization model "${modelId}"`, [
+        `Available models: ${Object.keys(MODELS).join(', ')}`
+      ], 'periodization_error', { model: modelId });
+    }
+    return model;
+  }
+
+  // options: { model, weeksCount, startDate, intensity, deloadEvery,
+  // competitions: [{ date, name, priority: 'A' | 'B' | 'C' }] }
+  buildPlan(options = {}) {
+    const model = this.get(options.model);
+    const weeksCount = Math.max(1, Math.round(options.weeksCount || 12));
+    const startDate = options.startDate ? this.toDayKey(options.startDate) : this.dayKey(this.defaultStartDate());
+    const deloadEvery = options.deloadEvery === undefined ? 4 : options.deloadEvery;
+    const baseIntensity = BASE_INTENSITY[options.intensity] || BASE_INTENSITY.moderate;
+
+    const competitions = this.placeCompetitions(options.competitions || [], startDate, weeksCount);
+    const mesocycles = this.splitMesocycles(model, weeksCount);
+    const events = this.weekEvents(competitions.included, weeksCount);
+
+    let loadingWeeks = 0;
+    const microcycles = [];
+
+    mesocycles.forEach(mesocycle => {
+      for (let week = mesocycle.fromWeek; week <= mesocycle.toWeek; week++) {
+        const event = events[week];
+        let kind = event?.kind || 'loading';
+        let adjust = event?.adjust || { volume: 1, intensity: 1 };
+
+        if (kind === 'loading') {
+          loadingWeeks++;
+          // The last week of the plan is never spent deloading
+          if (deloadEvery > 0 && loadingWeeks % deloadEvery === 0 && week < weeksCount) {
+            kind = 'deload';
+            adjust = DELOAD;
+          }
+        }
+
+        const ramp = 1 + WEEKLY_STEP * (week - mesocycle.fromWeek);
+        microcycles.push({
+          week,
+          startDate: this.shiftDay(startDate, (week - 1) * 7),
+          mesocycle: mesocycle.name,
+          kind,
+          adjust,
+          volume: this.round(mesocycle.volume * adjust.volume),
+          intensity: this.percent(mesocycle.intensity * ramp * adjust.intensity * baseIntensity),
+          competitions: competitions.included.filter(competition => competition.week === week)
+        });
+      }
+    });
+
+    const peak = competitions.included.find(competition => competition.priority === 'A');
+
+    return {
+      model: model.id,
+      modelName: model.name,
+      macrocycle: {
+        name: `${model.name} macrocycle`,
+        fromWeek: 1,
+        toWeek: weeksCount,
+        startDate,
+        endDate: this.shiftDay(startDate, weeksCount * 7 - 1),
+        goal: peak ? `Peak for ${peak.name}` : 'Progressive development'
+      },
+      mesocycles,
+      microcycles,
+      competitions: competitions.included,
+      ignoredCompetitions: competitions.ignored,
+      baseIntensity: options.intensity || 'moderate',
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  splitMesocycles(model, weeksCount) {
+    const mesocycles = [];
+    let cumulative = 0;
+    let fromWeek = 1;
+
+    model.mesocycles.forEach((mesocycle, index) => {
+      cumulative += mesocycle.share;
+      const toWeek = index === model.mesocycles.length - 1 ? weeksCount : Math.round(cumulative * weeksCount);
+      if (toWeek >= fromWeek) {
+        mesocycles.push({ ...mesocycle, fromWeek, toWeek, weeks: toWeek - fromWeek + 1 });
+        fromWeek = toWeek + 1;
+      }
+    });
+
+    return mesocycles;
+  }
+
+  placeCompetitions(competitions, startDate, weeksCount) {
+    const included = [];
+    const ignored = [];
+
+    competitions.forEach(competition => {
+      const date = competition.date ? this.toDayKey(competition.date) : null;
+      const week = date ? this.weekOf(date, startDate) : null;
+      const placed = {
+        name: competition.name || 'Competition',
+        date,
+        priority: TAPERS[competition.priority] ? competition.priority : 'B',
+        week
+      };
+
+      if (week && week >= 1 && week <= weeksCount) {
+        included.push(placed);
+      } else {
+        ignored.push(placed);
+      }
+    });
+
+    return { included: included.sort((a, b) => a.date.localeCompare(b.date)), ignored };
+  }
+
+  // Competition and taper weeks; a higher-priority event wins a shared week
+  weekEvents(competitions, weeksCount) {
+    const events = {};
+    const rank = { A: 3, B: 2, C: 1 };
+    const claim = (week, event) => {
+      if (week < 1 || week > weeksCount) return;
+      const current = events[week];
+      if (!current || rank[event.priority] > rank[current.priority] ||
+          (rank[event.priority] === rank[current.priority] && event.kind === 'competition')) {
+        events[week] = event;
+      }
+    };
+
+    competitions.forEach(competition => {
+      const taper = TAPERS[competition.priority];
+      claim(competition.week, {
+        kind: 'competition',
+        priority: competition.priority,
+        adjust: taper.competitionWeek
+      });
+      taper.weeks.forEach((volume, index) => {
+        claim(competition.week - 1 - index, {
+          kind: 'taper',
+          priority: competition.priority,
+          adjust: { volume, intensity: 1.0 }
+        });
+      });
+    });
+
+    return events;
+  }
+
+  // options: { availableDays, preferredTime, sessionDuration }
+  buildSessions(plan, options = {}) {
+    const model = this.get(plan.model);
+    const mesocycles = Object.fromEntries(plan.mesocycles.map(mesocycle => [mesocycle.name, mesocycle]));
+    const days = [...(options.availableDays || ['monday', 'wednesday', 'friday'])]
+      .map(day => day.toLowerCase())
+      .sort((a, b) => this.weekdayOffset(a) - this.weekdayOffset(b));
+    const sessions = [];
+
+    plan.microcycles.forEach(micro => {
+      const mesocycle = mesocycles[micro.mesocycle];
+
+      days.forEach((day, dayIndex) => {
+        const daily = model.days ? model.days[dayIndex % model.days.length] : null;
+        const date = this.dateFor(plan.macrocycle.startDate, micro.week, day);
+        const competition = micro.competitions.find(item => item.date === date);
+        const intensity = competition ? 100 : Math.min(100, Math.round(micro.intensity * (daily?.intensity || 1)));
+        const volume = this.round(micro.volume * (daily?.volume || 1));
+        const duration = this.targetDuration(options.sessionDuration || 90, volume);
+
+        sessions.push({
+          id: `optimal_${micro.week}_${dayIndex}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+          week: micro.week,
+          day,
+          date,
+          time: options.preferredTime || '16:00',
+          duration,
+          type: competition ? 'competition' : daily?.type || mesocycle.types[dayIndex % mesocycle.types.length],
+          intensity,
+          phase: micro.mesocycle.toLowerCase(),
+          mesocycle: micro.mesocycle,
+          microcycle: micro.kind,
+          dayEmphasis: daily?.label || null,
+          deload: micro.kind === 'deload',
+          taper: micro.kind === 'taper',
+          competition: competition ? { name: competition.name, priority: competition.priority } : null,
+          targets: this.targets(volume, intensity, duration)
+        });
+      });
+    });
+
+    return sessions;
+  }
+
+  // Deload, taper and competition weeks applied to a session planned
+  // elsewhere (e.g. a model-suggested weekly pattern)
+  applyMicrocycle(session, plan) {
+    const micro = plan.microcycles.find(item => item.week === session.week);
+    if (!micro || micro.kind === 'loading') {
+      return {
+        ...session,
+        microcycle: micro?.kind || null,
+        targets: this.targets(1, session.intensity, session.duration)
+      };
+    }
+
+    const intensity = Math.min(100, Math.round(session.intensity * micro.adjust.intensity));
+    const duration = this.targetDuration(session.duration, micro.adjust.volume);
+    return {
+      ...session,
+      intensity,
+      duration,
+      microcycle: micro.kind,
+      deload: micro.kind === 'deload',
+      taper: micro.kind === 'taper',
+      targets: this.targets(micro.adjust.volume, intensity, duration)
+    };
+  }
+
+  targets(volume, intensity, duration) {
+    const rpe = Math.max(1, Math.min(10, Math.round(intensity / 10)));
+    return {
+      volume,
+      intensity,
+      rpe,
+      // Same units as LoadManagement: minutes x RPE
+      plannedLoad: duration * rpe
+    };
+  }
+
+  targetDuration(baseDuration, volume) {
+    const clamped = Math.min(1.25, Math.max(0.4, volume));
+    return Math.max(15, Math.round((baseDuration * clamped) / 5) * 5);
+  }
+
+  // Weekly totals for the plan timeline
+  summarizeWeeks(plan, sessions) {
+    return plan.microcycles.map(micro => {
+      const weekSessions = sessions.filter(session => session.week === micro.week);
+      return {
+        week: micro.week,
+        startDate: micro.startDate,
+        mesocycle: micro.mesocycle,
+        kind: micro.kind,
+        volume: micro.volume,
+        intensity: micro.intensity,
+        sessions: weekSessions.length,
+        minutes: weekSessions.reduce((sum, session) => sum + session.duration, 0),
+        plannedLoad: weekSessions.reduce((sum, session) => sum + (session.targets?.plannedLoad || 0), 0),
+        competitions: micro.competitions
+      };
+    });
+  }
+
+  // Weeks parsed from a plan's "8 weeks" / "3 months" duration label
+  weeksFromDuration(duration, fallback = 12) {
+    const match = String(duration || '').match(/(\d+)\s*(week|wk|month)/i);
+    if (!match) return fallback;
+    const value = parseInt(match[1], 10);
+    return /month/i.test(match[2]) ? Math.round(value * 4.33) : value;
+  }
+
+  // Week 1 starts today, or on Monday when today is a weekend day
+  defaultStartDate() {
+    const today = new Date();
+    const weekday = today.getDay();
+    if (weekday === 0 || weekday === 6) {
+      today.setDate(today.getDate() + (weekday === 0 ? 1 : 2));
+    }
+    return today;
+  }
+
+  // First matching weekday on or after the start of that plan week
+  dateFor(startDate, week, dayName) {
+    const weekStart = this.shiftDay(startDate, (week - 1) * 7);
+    const [year, month, day] = weekStart.split('-').map(Number);
+    const startWeekday = new Date(year, month - 1, day).getDay();
+    const target = WEEKDAYS.indexOf(dayName.toLowerCase());
+    return this.shiftDay(weekStart, (target - startWeekday + 7) % 7);
+  }
+
+  weekOf(date, startDate) {
+    const days = Math.round((this.dayStart(date) - this.dayStart(startDate)) / DAY_MS);
+    return days < 0 ? null : Math.floor(days / 7) + 1;
+  }
+
+  // Monday-first order for sorting a week's training days
+  weekdayOffset(dayName) {
+    return (WEEKDAYS.indexOf(dayName) + 6) % 7;
+  }
+
+  // "2025-03-14" is a calendar day; new Date() would read it as UTC midnight
+  toDayKey(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : this.dayKey(date);
+  }
+
+  dayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  dayStart(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+  }
+
+  shiftDay(dayKey, offset) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return this.dayKey(new Date(year, month - 1, day + offset));
+  }
+
+  percent(value) {
+    return Math.max(30, Math.min(100, Math.round(value * 100)));
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default new Periodization();
@@ -0,0 +1,762 @@
+//src/services/PlanDatabase.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlatformUtils from '../utils/PlatformUtils';
+
+const DATABASE_NAME = 'coaching_plans.db';
+
+// Bump together with a new entry in MIGRATIONS
+const SCHEMA_VERSION = 3;
+
+// Keys the documents, plans and sessions were kept under before SQLite
+export const LEGACY_KEYS = {
+  documents: 'coaching_documents',
+  plans: 'training_plans',
+  sessions: 'extracted_sessions'
+};
+
+const MIGRATED_META_KEY = 'async_storage_migrated_at';
+
+// Search entries never lived in AsyncStorage before SQLite; this key is only
+// the fallback store
+const SEARCH_ENTRIES_KEY = 'semantic_search_entries';
+
+// SessionStore's cache of extracted sessions, one blob keyed by plan ID.
+// Copied into SQLite when it opens; otherwise still the fallback store.
+const SESSION_CACHE_KEY = 'extracted_session_store';
+
+// Rows keep the full record as JSON in `data`; the other columns are copies
+// of the fields that are filtered or joined on, so they can be indexed
+const MIGRATIONS = {
+  1: `
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY NOT NULL,
+      value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS documents (
+      id TEXT PRIMARY KEY NOT NULL,
+      original_name TEXT,
+      version_chain_id TEXT,
+      superseded_by TEXT,
+      uploaded_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_documents_version_chain ON documents (version_chain_id);
+    CREATE INDEX IF NOT EXISTS idx_documents_original_name ON documents (original_name);
+    CREATE TABLE IF NOT EXISTS document_content (
+      document_id TEXT PRIMARY KEY NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+      size INTEGER NOT NULL,
+      content BLOB NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS training_plans (
+      id TEXT PRIMARY KEY NOT NULL,
+      source_document TEXT,
+      superseded_by TEXT,
+      created_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_training_plans_source_document ON training_plans (source_document);
+    CREATE TABLE IF NOT EXISTS extracted_sessions (
+      row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT,
+      linked_plan_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_extracted_sessions_plan ON extracted_sessions (linked_plan_id);
+  `,
+  // Semantic search: embedding vectors as float32 bytes, grouped by the
+  // plan, document or library they were built from
+  2: `
+    CREATE TABLE IF NOT EXISTS search_entries (
+      id TEXT PRIMARY KEY NOT NULL,
+      owner_id TEXT NOT NULL,
+      kind TEXT,
+      data TEXT NOT NULL,
+      vector BLOB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_search_entries_owner ON search_entries (owner_id);
+  `,
+  // SessionStore's extraction results, one row per plan
+  3: `
+    CREATE TABLE IF NOT EXISTS session_cache (
+      plan_id TEXT PRIMARY KEY NOT NULL,
+      document_id TEXT,
+      content_hash TEXT NOT NULL,
+      store_version INTEGER NOT NULL,
+      total_sessions INTEGER NOT NULL DEFAULT 0,
+      stored_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_cache_document ON session_cache (document_id);
+  `
+};
+
+const UPSERT_DOCUMENT = `
+  INSERT INTO documents (id, original_name, version_chain_id, superseded_by, uploaded_at, data)
+  VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    original_name = excluded.original_name,
+    version_chain_id = excluded.version_chain_id,
+    superseded_by = excluded.superseded_by,
+    uploaded_at = excluded.uploaded_at,
+    data = excluded.data
+`;
+
+const UPSERT_CONTENT = `
+  INSERT INTO document_content (document_id, size, content) VALUES (?, ?, ?)
+  ON CONFLICT (document_id) DO UPDATE SET size = excluded.size, content = excluded.content
+`;
+
+const UPSERT_PLAN = `
+  INSERT INTO training_plans (id, source_document, superseded_by, created_at, data)
+  VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    source_document = excluded.source_document,
+    superseded_by = excluded.superseded_by,
+    created_at = excluded.created_at,
+    data = excluded.data
+`;
+
+const INSERT_SESSION = 'INSERT INTO extracted_sessions (session_id, linked_plan_id, data) VALUES (?, ?, ?)';
+
+const UPSERT_SESSION_CACHE = `
+  INSERT INTO session_cache (plan_id, document_id, content_hash, store_version, total_sessions, stored_at, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (plan_id) DO UPDATE SET
+    document_id = excluded.document_id,
+    content_hash = excluded.content_hash,
+    store_version = excluded.store_version,
+    total_sessions = excluded.total_sessions,
+    stored_at = excluded.stored_at,
+    data = excluded.data
+`;
+
+const UPSERT_SEARCH_ENTRY = `
+  INSERT INTO search_entries (id, owner_id, kind, data, vector) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    owner_id = excluded.owner_id,
+    kind = excluded.kind,
+    data = excluded.data,
+    vector = excluded.vector
+`;
+
+// Indexed SQLite store for uploaded documents, their file bytes, training
+// plans, extracted sessions and the extraction cache. Listing documents no longer loads every
+// file: bytes live in their own table and are read one document at a time.
+// Where SQLite cannot be opened (e.g. a browser without OPFS support) the
+// old AsyncStorage keys are used as before.
+class PlanDatabase {
+  constructor() {
+    this.db = null;
+    this.backend = null;
+    this.fallbackReason = null;
+    this.openPromise = null;
+  }
+
+  async open() {
+    if (this.backend) return this.db;
+    if (!this.openPromise) {
+      this.openPromise = this._open().finally(() => {
+        this.openPromise = null;
+      });
+    }
+    return this.openPromise;
+  }
+
+  async _open() {
+    const SQLite = await PlatformUtils.loadSQLite();
+
+    try {
+      if (!SQLite) {
+        throw new Error('expo-sqlite not available');
+      }
+      // The web build needs SharedArrayBuffer, which browsers only enable on
+      // cross-origin isolated pages (see the headers in metro.config.js)
+      if (PlatformUtils.isWeb() && typeof crossOriginIsolated !== 'undefined' && !crossOriginIsolated) {
+        throw new Error('page is not cross-origin isolated');
+      }
+
+      const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      await db.execAsync('PRAGMA foreign_keys = ON;');
+      await this.applyMigrations(db);
+      await this.migrateFromAsyncStorage(db);
+      await this.migrateSessionCache(db);
+
+      this.db = db;
+      this.backend = 'sqlite';
+    } catch (error) {
+      console.warn('SQLite unavailable, keeping plan data in AsyncStorage:', error.message);
+      this.db = null;
+      this.backend = 'async-storage';
+      this.fallbackReason = error.message;
+    }
+
+    PlatformUtils.logDebugInfo('Plan database opened', { backend: this.backend });
+    return this.db;
+  }
+
+  // Why plan data is kept in AsyncStorage, or null while SQLite is in use.
+  // Screens show it so the smaller quota does not come as a surprise.
+  async getFallbackReason() {
+    await this.open();
+    return this.backend === 'async-storage' ? this.fallbackReason : null;
+  }
+
+  async applyMigrations(db) {
+    const row = await db.getFirstAsync('PRAGMA user_version');
+    const currentVersion = row?.user_version || 0;
+
+    for (let version = currentVersion + 1; version <= SCHEMA_VERSION; version++) {
+      await db.withTransactionAsync(async () => {
+        await db.execAsync(MIGRATIONS[version]);
+        await db.execAsync(`PRAGMA user_version = ${version}`);
+      });
+    }
+  }
+
+  // One-time copy of the AsyncStorage blobs. A key is removed only once its
+  // rows are committed, which frees the web storage quota it used. A key that
+  // cannot be read is kept as it is and tried again on the next open.
+  async migrateFromAsyncStorage(db) {
+    const migrated = await db.getFirstAsync('SELECT value FROM meta WHERE key = ?', MIGRATED_META_KEY);
+    if (migrated) return;
+
+    const keys = Object.values(LEGACY_KEYS);
+    const stored = Object.fromEntries(await AsyncStorage.multiGet(keys));
+    const parsed = {};
+    keys.forEach(key => {
+      try {
+        const value = stored[key] ? JSON.parse(stored[key]) : [];
+        if (!Array.isArray(value)) {
+          throw new Error('not a list');
+        }
+        parsed[key] = value;
+      } catch (error) {
+        console.warn(`Could not parse ${key} for migration, keeping it:`, error.message);
+      }
+    });
+
+    const documents = (parsed[LEGACY_KEYS.documents] || []).filter(doc => doc?.id);
+    const plans = (parsed[LEGACY_KEYS.plans] || []).filter(plan => plan?.id);
+    const sessions = parsed[LEGACY_KEYS.sessions] || [];
+    const migratedKeys = keys.filter(key => parsed[key]);
+
+    await db.withTransactionAsync(async () => {
+      await this.writeDocuments(db, documents);
+      for (const doc of documents) {
+        if (Array.isArray(doc.webFileData) && doc.webFileData.length > 0) {
+          await this.writeContent(db, doc.id, new Uint8Array(doc.webFileData));
+        }
+      }
+      await this.writePlans(db, plans);
+      await this.writeSessions(db, sessions);
+      if (migratedKeys.length === keys.length) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)',
+          MIGRATED_META_KEY,
+          new Date().toISOString()
+        );
+      }
+    });
+
+    const removableKeys = migratedKeys.filter(key => stored[key]);
+    if (removableKeys.length > 0) {
+      await AsyncStorage.multiRemove(removableKeys);
+    }
+
+    PlatformUtils.logDebugInfo('Plan data migrated from AsyncStorage', {
+      documents: documents.length,
+      plans: plans.length,
+      sessions: sessions.length,
+      keptKeys: keys.filter(key => !parsed[key])
+    });
+  }
+
+  // The session cache blob is copied separately: installs that moved the
+  // other keys already have the migration marked as done
+  async migrateSessionCache(db) {
+    const entries = await this.readSessionCacheBlob();
+    if (!entries) return;
+
+    await db.withTransactionAsync(() => this.writeSessionCache(db, Object.values(entries)));
+    await AsyncStorage.removeItem(SESSION_CACHE_KEY);
+
+    PlatformUtils.logDebugInfo('Session cache migrated from AsyncStorage', {
+      entries: Object.keys(entries).length
+    });
+  }
+
+  // Documents
+
+  async getDocuments() {
+    const db = await this.open();
+    if (!db) {
+      return (await this.readLegacy(LEGACY_KEYS.documents)).map(doc => this.documentMetadata(doc));
+    }
+
+    const rows = await db.getAllAsync('SELECT data FROM documents ORDER BY rowid');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async getDocument(documentId) {
+    const db = await this.open();
+    if (!db) {
+      const doc = (await this.readLegacy(LEGACY_KEYS.documents)).find(item => item.id === documentId);
+      return doc ? this.documentMetadata(doc) : null;
+    }
+
+    const row = await db.getFirstAsync('SELECT data FROM documents WHERE id = ?', documentId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getDocumentVersionChain(versionChainId) {
+    const db = await this.open();
+    if (!db) {
+      return (await this.getDocuments()).filter(doc => (doc.versionChainId || doc.id) === versionChainId);
+    }
+
+    // Documents stored before versioning have no chain id of their own
+    const rows = await db.getAllAsync(
+      'SELECT data FROM documents WHERE version_chain_id = ? OR (version_chain_id IS NULL AND id = ?) ORDER BY rowid',
+      versionChainId,
+      versionChainId
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  // Stores a new document and its file bytes together
+  async addDocument(document, content = null) {
+    const db = await this.open();
+    if (!db) {
+      const documents = await this.readLegacy(LEGACY_KEYS.documents);
+      documents.push({
+        ...this.documentMetadata(document),
+        ...(content ? { webFileData: Array.from(content) } : {})
+      });
+      await this.writeLegacy(LEGACY_KEYS.documents, documents);
+      return;
+    }
+
+    await db.withTransactionAsync(async () => {
+      await this.writeDocuments(db, [document]);
+      if (content) {
+        await this.writeContent(db, document.id, content);
+      }
+    });
+  }
+
+  // Updates metadata only; stored file bytes are left as they are
+  async saveDocuments(documents) {
+    if (documents.length === 0) return;
+
+    const db = await this.open();
+    if (!db) {
+      const stored = await this.readLegacy(LEGACY_KEYS.documents);
+      documents.forEach(document => {
+        const index = stored.findIndex(doc => doc.id === document.id);
+        const metadata = this.documentMetadata(document);
+        if (index === -1) {
+          stored.push(metadata);
+        } else {
+          stored[index] = { ...metadata, webFileData: stored[index].webFileData };
+        }
+      });
+      await this.writeLegacy(LEGACY_KEYS.documents, stored);
+      return;
+    }
+
+    await db.withTransactionAsync(() => this.writeDocuments(db, documents));
+  }
+
+  async saveDocument(document) {
+    return this.saveDocuments([document]);
+  }
+
+  async getDocumentContent(documentId) {
+    const db = await this.open();
+    if (!db) {
+      const doc = (await this.readLegacy(LEGACY_KEYS.documents)).find(item => item.id === documentId);
+      return Array.isArray(doc?.webFileData) ? new Uint8Array(doc.webFileData) : null;
+    }
+
+    const row = await db.getFirstAsync('SELECT content FROM document_content WHERE document_id = ?', documentId);
+    return row ? new Uint8Array(row.content) : null;
+  }
+
+  async saveDocumentContent(documentId, content) {
+    const db = await this.open();
+    if (!db) {
+      const documents = await this.readLegacy(LEGACY_KEYS.documents);
+      const doc = documents.find(item => item.id === documentId);
+      if (doc) {
+        doc.webFileData = Array.from(content);
+        await this.writeLegacy(LEGACY_KEYS.documents, documents);
+      }
+      return;
+    }
+
+    await this.writeContent(db, documentId, content);
+  }
+
+  // The file bytes go with the row through ON DELETE CASCADE
+  async deleteDocument(documentId) {
+    const db = await this.open();
+    if (!db) {
+      const documents = await this.readLegacy(LEGACY_KEYS.documents);
+      await this.writeLegacy(LEGACY_KEYS.documents, documents.filter(doc => doc.id !== documentId));
+      return;
+    }
+
+    await db.runAsync('DELETE FROM documents WHERE id = ?', documentId);
+  }
+
+  // Training plans
+
+  async getPlans() {
+    const db = await this.open();
+    if (!db) {
+      return this.readLegacy(LEGACY_KEYS.plans);
+    }
+
+    const rows = await db.getAllAsync('SELECT data FROM training_plans ORDER BY rowid');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async getPlansForDocuments(documentIds) {
+    const db = await this.open();
+    if (!db) {
+      return (await this.getPlans()).filter(plan => documentIds.includes(plan.sourceDocument));
+    }
+    if (documentIds.length === 0) return [];
+
+    const rows = await db.getAllAsync(
+      `SELECT data FROM training_plans WHERE source_document IN (${documentIds.map(() => '?').join(', ')}) ORDER BY rowid`,
+      ...documentIds
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async savePlans(plans) {
+    if (plans.length === 0) return;
+
+    const db = await this.open();
+    if (!db) {
+      const stored = await this.readLegacy(LEGACY_KEYS.plans);
+      plans.forEach(plan => {
+        const index = stored.findIndex(item => item.id === plan.id);
+        if (index === -1) {
+          stored.push(plan);
+        } else {
+          stored[index] = plan;
+        }
+      });
+      await this.writeLegacy(LEGACY_KEYS.plans, stored);
+      return;
+    }
+
+    await db.withTransactionAsync(() => this.writePlans(db, plans));
+  }
+
+  async savePlan(plan) {
+    return this.savePlans([plan]);
+  }
+
+  // Extracted sessions
+
+  async getExtractedSessions() {
+    const db = await this.open();
+    if (!db) {
+      return this.readLegacy(LEGACY_KEYS.sessions);
+    }
+
+    const rows = await db.getAllAsync('SELECT data FROM extracted_sessions ORDER BY row_id');
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async addExtractedSessions(sessions) {
+    if (sessions.length === 0) return;
+
+    const db = await this.open();
+    if (!db) {
+      const stored = await this.readLegacy(LEGACY_KEYS.sessions);
+      await this.writeLegacy(LEGACY_KEYS.sessions, [...stored, ...sessions]);
+      return;
+    }
+
+    await db.withTransactionAsync(() => this.writeSessions(db, sessions));
+  }
+
+  // Session cache
+
+  async getSessionCacheEntry(planId) {
+    const db = await this.open();
+    if (!db) {
+      return (await this.readSessionCacheBlob() || {})[planId] || null;
+    }
+
+    const row = await db.getFirstAsync('SELECT data FROM session_cache WHERE plan_id = ?', planId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveSessionCacheEntry(entry) {
+    const db = await this.open();
+    if (!db) {
+      const entries = await this.readSessionCacheBlob() || {};
+      entries[entry.planId] = entry;
+      await AsyncStorage.setItem(SESSION_CACHE_KEY, JSON.stringify(entries));
+      return;
+    }
+
+    await this.writeSessionCache(db, [entry]);
+  }
+
+  // Removes the entries for a plan ({ planId }) or for every plan built from
+  // a document ({ documentId }); returns how many were removed
+  async deleteSessionCacheEntries({ planId, documentId }) {
+    const db = await this.open();
+    if (!db) {
+      const entries = await this.readSessionCacheBlob() || {};
+      const removed = Object.values(entries)
+        .filter(entry => (planId ? entry.planId === planId : entry.documentId === documentId));
+      if (removed.length > 0) {
+        removed.forEach(entry => delete entries[entry.planId]);
+        await AsyncStorage.setItem(SESSION_CACHE_KEY, JSON.stringify(entries));
+      }
+      return removed.length;
+    }
+
+    const result = planId
+      ? await db.runAsync('DELETE FROM session_cache WHERE plan_id = ?', planId)
+      : await db.runAsync('DELETE FROM session_cache WHERE document_id = ?', documentId);
+    return result.changes;
+  }
+
+  async clearSessionCache() {
+    const db = await this.open();
+    if (!db) {
+      await AsyncStorage.removeItem(SESSION_CACHE_KEY);
+      return;
+    }
+
+    await db.runAsync('DELETE FROM session_cache');
+  }
+
+  async getSessionCacheStats() {
+    const db = await this.open();
+    if (!db) {
+      const entries = Object.values(await this.readSessionCacheBlob() || {});
+      return {
+        cachedPlans: entries.length,
+        totalSessions: entries.reduce((sum, entry) => sum + (entry.result?.totalSessions || 0), 0),
+        oldestEntry: entries.map(entry => entry.storedAt).sort()[0] || null
+      };
+    }
+
+    return db.getFirstAsync(`
+      SELECT
+        COUNT(*) AS cachedPlans,
+        COALESCE(SUM(total_sessions), 0) AS totalSessions,
+        MIN(stored_at) AS oldestEntry
+      FROM session_cache
+    `);
+  }
+
+  // Search entries
+
+  async getSearchEntries() {
+    const db = await this.open();
+    if (!db) {
+      return (await this.readLegacy(SEARCH_ENTRIES_KEY)).map(entry => ({
+        ...entry,
+        vector: Float32Array.from(entry.vector)
+      }));
+    }
+
+    const rows = await db.getAllAsync('SELECT data, vector FROM search_entries ORDER BY rowid');
+    return rows.map(row => ({
+      ...JSON.parse(row.data),
+      vector: new Float32Array(Uint8Array.from(row.vector).buffer)
+    }));
+  }
+
+  // Everything indexed for one owner is swapped in a single transaction
+  async replaceSearchEntries(ownerId, entries) {
+    const db = await this.open();
+    if (!db) {
+      const stored = (await this.readLegacy(SEARCH_ENTRIES_KEY)).filter(entry => entry.ownerId !== ownerId);
+      await this.writeLegacy(SEARCH_ENTRIES_KEY, [...stored, ...entries.map(entry => this.serializeSearchEntry(entry))]);
+      return;
+    }
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM search_entries WHERE owner_id = ?', ownerId);
+      await this.writeSearchEntries(db, entries);
+    });
+  }
+
+  async saveSearchEntries(entries) {
+    if (entries.length === 0) return;
+
+    const db = await this.open();
+    if (!db) {
+      const updated = new Map(entries.map(entry => [entry.id, this.serializeSearchEntry(entry)]));
+      const stored = (await this.readLegacy(SEARCH_ENTRIES_KEY)).filter(entry => !updated.has(entry.id));
+      await this.writeLegacy(SEARCH_ENTRIES_KEY, [...stored, ...updated.values()]);
+      return;
+    }
+
+    await db.withTransactionAsync(() => this.writeSearchEntries(db, entries));
+  }
+
+  async deleteSearchEntries(ownerId) {
+    return this.replaceSearchEntries(ownerId, []);
+  }
+
+  async getStats() {
+    const db = await this.open();
+    if (!db) {
+      const [documents, plans, sessions] = await Promise.all(
+        Object.values(LEGACY_KEYS).map(key => this.readLegacy(key))
+      );
+      return {
+        backend: this.backend,
+        documents: documents.length,
+        plans: plans.length,
+        sessions: sessions.length,
+        searchEntries: (await this.readLegacy(SEARCH_ENTRIES_KEY)).length,
+        contentBytes: documents.reduce((sum, doc) => sum + (doc.webFileData?.length || 0), 0)
+      };
+    }
+
+    const row = await db.getFirstAsync(`
+      SELECT
+        (SELECT COUNT(*) FROM documents) AS documents,
+        (SELECT COUNT(*) FROM training_plans) AS plans,
+        (SELECT COUNT(*) FROM extracted_sessions) AS sessions,
+        (SELECT COUNT(*) FROM search_entries) AS searchEntries,
+        (SELECT COALESCE(SUM(size), 0) FROM document_content) AS contentBytes
+    `);
+    return { backend: this.backend, ...row };
+  }
+
+  // Row writers, called inside a transaction
+
+  async writeDocuments(db, documents) {
+    await this.runBatch(db, UPSERT_DOCUMENT, documents.map(document => {
+      const metadata = this.documentMetadata(document);
+      return [
+        metadata.id,
+        metadata.originalName || null,
+        metadata.versionChainId || null,
+        metadata.supersededBy || null,
+        metadata.uploadedAt || null,
+        JSON.stringify(metadata)
+      ];
+    }));
+  }
+
+  async writeContent(db, documentId, content) {
+    await db.runAsync(UPSERT_CONTENT, documentId, content.length, content);
+  }
+
+  async writePlans(db, plans) {
+    await this.runBatch(db, UPSERT_PLAN, plans.map(plan => [
+      plan.id,
+      plan.sourceDocument || null,
+      plan.supersededBy || null,
+      plan.createdAt || null,
+      JSON.stringify(plan)
+    ]));
+  }
+
+  async writeSessions(db, sessions) {
+    await this.runBatch(db, INSERT_SESSION, sessions.map(session => [
+      session?.id ? String(session.id) : null,
+      session?.linkedPlanId || null,
+      JSON.stringify(session)
+    ]));
+  }
+
+  async writeSessionCache(db, entries) {
+    await this.runBatch(db, UPSERT_SESSION_CACHE, entries.map(entry => [
+      entry.planId,
+      entry.documentId || null,
+      entry.contentHash,
+      entry.version || 0,
+      entry.result?.totalSessions || 0,
+      entry.storedAt || null,
+      JSON.stringify(entry)
+    ]));
+  }
+
+  async writeSearchEntries(db, entries) {
+    await this.runBatch(db, UPSERT_SEARCH_ENTRY, entries.map(entry => {
+      const { vector, ...data } = entry;
+      return [
+        entry.id,
+        entry.ownerId,
+        entry.kind || null,
+        JSON.stringify(data),
+        new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength)
+      ];
+    }));
+  }
+
+  async runBatch(db, sql, rows) {
+    if (rows.length === 0) return;
+
+    const statement = await db.prepareAsync(sql);
+    try {
+      for (const params of rows) {
+        await statement.executeAsync(params);
+      }
+    } finally {
+      await statement.finalizeAsync();
+    }
+  }
+
+  // File bytes and the picked File object are never part of the metadata
+  documentMetadata(document) {
+    const { webFileData, file, ...metadata } = document;
+    return metadata;
+  }
+
+  // AsyncStorage fallback
+
+  // Four decimals keep the JSON small without changing rankings
+  serializeSearchEntry(entry) {
+    return { ...entry, vector: Array.from(entry.vector, value => Math.round(value * 10000) / 10000) };
+  }
+
+  async readLegacy(key) {
+    const stored = await AsyncStorage.getItem(key);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  }
+
+  async writeLegacy(key, items) {
+    await AsyncStorage.setItem(key, JSON.stringify(items));
+  }
+
+  // Entries keyed by plan ID, or null when nothing is stored. Blobs written
+  // before the cache moved here wrap the entries with a shared version. An
+  // unreadable blob is treated as empty; it only holds cached results.
+  async readSessionCacheBlob() {
+    const stored = await AsyncStorage.getItem(SESSION_CACHE_KEY);
+    if (!stored) return null;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(stored);
+    } catch (error) {
+      console.warn('Could not read the session cache, starting it over:', error.message);
+      return {};
+    }
+    if (parsed && typeof parsed.version === 'number' && parsed.entries) {
+      return Object.fromEntries(Object.entries(parsed.entries)
+        .map(([planId, entry]) => [planId, { ...entry, version: parsed.version }]));
+    }
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  }
+}
+
+export default new PlanDatabase();
@@ -0,0 +1,485 @@
+//src/services/PlanInterchange.js
+import PlatformUtils from '../utils/PlatformUtils';
+
+// Versioned JSON interchange format for training plans.
+// Exported files can be re-imported on another device or academy without
+// going back through the free-text document heuristics.
+export const PLAN_FORMAT_ID = 'acceilla.training-plan';
+export const CURRENT_SCHEMA_VERSION = 1;
+export const PLAN_MIME_TYPE = 'application/json';
+export const PLAN_FILE_EXTENSION = '.plan.json';
+
+const DAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// ISO week-numbering years have 52 or 53 weeks
+const MAX_WEEK_NUMBER = 53;
+
+const drillSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    duration: { type: 'number', minimum: 0 },
+    equipment: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const sessionSchema = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string', minLength: 1 },
+    time: { type: 'string', pattern: TIME_PATTERN },
+    duration: { type: 'number', minimum: 1 },
+    type: { type: 'string' },
+    location: { type: 'string' },
+    intensity: { type: 'number', minimum: 0, maximum: 100 },
+    focus: { type: 'array', items: { type: 'string' } },
+    objectives: { type: 'array', items: { type: 'string' } },
+    equipment: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'string' },
+    drills: { type: 'array', items: drillSchema }
+  }
+};
+
+const daySchema = {
+  type: 'object',
+  required: ['day', 'sessions'],
+  properties: {
+    day: { type: 'string', enum: [...DAY_NAMES, 'week_plan'] },
+    sessions: { type: 'array', items: sessionSchema }
+  }
+};
+
+const weekSchema = {
+  type: 'object',
+  required: ['weekNumber', 'days'],
+  properties: {
+    weekNumber: { type: 'number', minimum: 1, maximum: MAX_WEEK_NUMBER },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    focus: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'array', items: { type: 'string' } },
+    days: { type: 'array', items: daySchema }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['format', 'schemaVersion', 'plan', 'weeks'],
+  properties: {
+    format: { type: 'string', enum: [PLAN_FORMAT_ID] },
+    schemaVersion: { type: 'number', minimum: 1 },
+    exportedAt: { type: 'string' },
+    generator: {
+      type: 'object',
+      properties: {
+        app: { type: 'string' },
+        platform: { type: 'string' }
+      }
+    },
+    plan: {
+      type: 'object',
+      required: ['title', 'sport'],
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        sport: { type: 'string', minLength: 1 },
+        difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
+        ageGroup: { type: 'string' },
+        durationWeeks: { type: 'number', minimum: 1 },
+        tags: { type: 'array', items: { type: 'string' } },
+        objectives: { type: 'array', items: { type: 'string' } },
+        equipment: { type: 'array', items: { type: 'string' } },
+        creator: { type: 'string' }
+      }
+    },
+    academy: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        location: { type: 'string' },
+        program: { type: 'string' },
+        contact: { type: 'string' }
+      }
+    },
+    weeks: { type: 'array', items: weekSchema }
+  }
+};
+
+class PlanInterchange {
+  // Validate a parsed interchange object against PLAN_SCHEMA
+  validate(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object') {
+      return {
+        isValid: false,
+        errors: ['Plan file is not a JSON object'],
+        warnings,
+        suggestions: ['Export the plan again from Acceilla']
+      };
+    }
+
+    if (typeof data.schemaVersion === 'number' && data.schemaVersion > CURRENT_SCHEMA_VERSION) {
+      errors.push(`Plan schema version ${data.schemaVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    this.validateNode(data, PLAN_SCHEMA, '$', errors);
+
+    // Semantic checks the structural schema can't express
+    if (Array.isArray(data.weeks)) {
+      const seen = new Set();
+      data.weeks.forEach((week, index) => {
+        if (seen.has(week?.weekNumber)) {
+          errors.push(`$.weeks[${index}].weekNumber: duplicate week ${week.weekNumber}`);
+        }
+        seen.add(week?.weekNumber);
+
+        const sessionCount = (week?.days || []).reduce((sum, day) => sum + (day?.sessions?.length || 0), 0);
+        if (sessionCount === 0) {
+          warnings.push(`Week ${week?.weekNumber} has no sessions`);
+        }
+      });
+
+      if (data.weeks.length === 0) {
+        warnings.push('Plan contains no weeks');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      suggestions: errors.length > 0 ? [
+        'Export the plan again from Acceilla',
+        `Ensure the file uses format "${PLAN_FORMAT_ID}"`,
+        'Check the listed fields for missing or invalid values'
+      ] : []
+    };
+  }
+
+  validateNode(value, schema, path, errors) {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    if (!this.matchesType(value, schema.type)) {
+      errors.push(`${path}: expected ${schema.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.type === 'string') {
+      if (schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path}: invalid format "${value}"`);
+      }
+    }
+
+    if (schema.type === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key}: required field missing`);
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+        this.validateNode(value[key], childSchema, `${path}.${key}`, errors);
+      });
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        this.validateNode(item, schema.items, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  // Parse raw JSON text and validate it, throwing a platform error on failure
+  parse(jsonText) {
+    let data;
+    try {
+      data = typeof jsonText === 'string' ? JSON.parse(jsonText) : jsonText;
+    } catch (error) {
+      throw PlatformUtils.createError(
+        `Plan file is not valid JSON: ${error.message}`,
+        ['Check that the file was not truncated', 'Export the plan again'],
+        'plan_import_error'
+      );
+    }
+
+    data = this.migrate(data);
+
+    const validation = this.validate(data);
+    if (!validation.isValid) {
+      throw PlatformUtils.createError(
+        `Invalid training plan file: ${validation.errors.slice(0, 5).join('; ')}`,
+        validation.suggestions,
+        'plan_import_error',
+        { errors: validation.errors }
+      );
+    }
+
+    return { data, validation };
+  }
+
+  // Upgrade older schema versions in place. Version 1 is the first release,
+  // so this only stamps missing defaults for now.
+  migrate(data) {
+    if (!data || typeof data !== 'object') return data;
+
+    return {
+      ...data,
+      schemaVersion: data.schemaVersion || CURRENT_SCHEMA_VERSION,
+      academy: data.academy || {}
+    };
+  }
+
+  // Build an interchange object from a stored training plan and its extracted weeks
+  exportPlan(trainingPlan, weeks = []) {
+    const academyName = trainingPlan.academyName || weeks[0]?.academyName || trainingPlan.title;
+    const firstSession = weeks.flatMap(week => week.dailySessions || [])[0] || {};
+
+    const exportedWeeks = weeks.map(week => this.exportWeek(week));
+    const allSessions = exportedWeeks.flatMap(week => week.days.flatMap(day => day.sessions));
+
+    return {
+      format: PLAN_FORMAT_ID,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      generator: {
+        app: 'Acceilla',
+        platform: PlatformUtils.isWeb() ? 'web' : 'mobile'
+      },
+      plan: {
+        id: trainingPlan.id,
+        title: trainingPlan.title || 'Untitled Plan',
+        description: trainingPlan.description || '',
+        sport: trainingPlan.category || firstSession.sport || 'general',
+        difficulty: this.normalizeDifficulty(trainingPlan.difficulty),
+        ageGroup: firstSession.ageGroup || trainingPlan.ageGroup || 'Youth',
+        durationWeeks: exportedWeeks.length || this.parseDurationWeeks(trainingPlan.duration),
+        tags: trainingPlan.tags || [],
+        objectives: this.uniqueStrings(allSessions.flatMap(session => session.objectives)),
+        equipment: this.uniqueStrings(allSessions.flatMap(session => session.equipment)),
+        creator: trainingPlan.creator || 'Coach'
+      },
+      academy: {
+        name: academyName,
+        location: firstSession.location || '',
+        program: trainingPlan.title || ''
+      },
+      weeks: exportedWeeks
+    };
+  }
+
+  exportWeek(week) {
+    const dayMap = new Map();
+
+    (week.dailySessions || []).forEach(session => {
+      const day = this.normalizeDay(session.day);
+      if (!dayMap.has(day)) {
+        dayMap.set(day, []);
+      }
+      dayMap.get(day).push(this.exportSession(session));
+    });
+
+    const days = Array.from(dayMap.entries())
+      .sort(([a], [b]) => this.dayOrder(a) - this.dayOrder(b))
+      .map(([day, sessions]) => ({ day, sessions }));
+
+    return {
+      weekNumber: week.weekNumber,
+      title: week.title || `Week ${week.weekNumber}`,
+      description: week.description || '',
+      focus: this.toStringArray(week.focus),
+      notes: this.toStringArray(week.notes),
+      days
+    };
+  }
+
+  exportSession(session) {
+    const exported = {
+      id: session.id ? String(session.id) : undefined,
+      title: session.title || 'Training Session',
+      type: session.type || 'Team Training',
+      location: session.location || '',
+      focus: this.toStringArray(session.focus),
+      objectives: this.toStringArray(session.objectives),
+      equipment: this.toStringArray(session.equipment),
+      notes: Array.isArray(session.notes) ? session.notes.join('\n') : (session.notes || ''),
+      drills: (session.drills || []).map(drill => this.exportDrill(drill))
+    };
+
+    // Extracted times like "7:30" are padded; anything that still isn't a
+    // valid HH:MM is left out rather than exported as an invalid file
+    const time = typeof session.time === 'string' ? session.time.trim().padStart(5, '0') : '';
+    if (TIME_PATTERN.test(time)) {
+      exported.time = time;
+    }
+    if (typeof session.intensity === 'number') {
+      exported.intensity = session.intensity;
+    }
+    // A session without a length is exported without one, not with a guess
+    const duration = Number(session.duration);
+    if (duration > 0) {
+      exported.duration = duration;
+    }
+
+    return exported;
+  }
+
+  exportDrill(drill) {
+    if (typeof drill === 'string') {
+      return { name: drill, description: drill };
+    }
+
+    const exported = {
+      name: drill.name || drill.description || 'Drill',
+      description: drill.description || drill.name || '',
+      equipment: this.toStringArray(drill.equipment)
+    };
+    if (typeof drill.duration === 'number') {
+      exported.duration = drill.duration;
+    }
+    return exported;
+  }
+
+  // Convert a validated interchange object into the week/dailySessions
+  // shape produced by SessionExtractor
+  importWeeks(data) {
+    const academy = data.academy || {};
+    const academyName = academy.name || data.plan.title;
+
+    return [...data.weeks]
+      .sort((a, b) => a.weekNumber - b.weekNumber)
+      .map(week => {
+        let dayNumber = 0;
+        const dailySessions = week.days.flatMap(day =>
+          day.sessions.map(session => {
+            dayNumber++;
+            return {
+              id: session.id || `session_${week.weekNumber}_${dayNumber}_import_${Date.now()}`,
+              weekNumber: week.weekNumber,
+              dayNumber,
+              title: session.title,
+              day: day.day,
+              time: session.time || '08:00',
+              duration: session.duration,
+              location: session.location || academy.location || 'Training Field',
+              type: session.type || 'Team Training',
+              intensity: session.intensity,
+              participants: 15,
+              status: 'scheduled',
+              academyName,
+              sport: data.plan.sport,
+              ageGroup: data.plan.ageGroup || 'Youth',
+              difficulty: data.plan.difficulty || 'intermediate',
+              activities: (session.drills || []).map(drill => drill.name),
+              drills: (session.drills || []).map(drill => ({ ...drill })),
+              objectives: session.objectives || [],
+              equipment: session.equipment || [],
+              notes: session.notes || '',
+              rawContent: session.notes || '',
+              documentContent: session.notes || '',
+              completionRate: 0,
+              focus: session.focus || [],
+              week: week.title || `Week ${week.weekNumber}`,
+              weekDescription: week.description || ''
+            };
+          })
+        );
+
+        return {
+          id: `week_${week.weekNumber}_import_${Date.now()}`,
+          weekNumber: week.weekNumber,
+          title: week.title || `Week ${week.weekNumber}`,
+          description: week.description || '',
+          dailySessions,
+          totalDuration: dailySessions.reduce((sum, session) => sum + (session.duration || 0), 0),
+          focus: week.focus || [],
+          notes: week.notes || [],
+          academyName,
+          sport: data.plan.sport
+        };
+      });
+  }
+
+  // Helpers
+  normalizeDay(day) {
+    const lower = String(day || '').toLowerCase();
+    if (DAY_NAMES.includes(lower)) return lower;
+    const match = DAY_NAMES.find(name => name.startsWith(lower.substring(0, 3)) && lower.length >= 3);
+    return match || 'week_plan';
+  }
+
+  dayOrder(day) {
+    const index = DAY_NAMES.indexOf(day);
+    return index === -1 ? DAY_NAMES.length : index;
+  }
+
+  normalizeDifficulty(difficulty) {
+    const lower = String(difficulty || '').toLowerCase();
+    return ['beginner', 'intermediate', 'advanced'].includes(lower) ? lower : 'intermediate';
+  }
+
+  parseDurationWeeks(duration) {
+    const match = String(duration || '').match(/(\d+)\s*(week|month)/i);
+    if (!match) return 1;
+    const value = parseInt(match[1]);
+    return match[2].toLowerCase().startsWith('month') ? value * 4 : value;
+  }
+
+  toStringArray(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) {
+      return value
+        .map(item => (typeof item === 'string' ? item : item?.name || item?.description || ''))
+        .filter(item => item && item.trim().length > 0);
+    }
+    return typeof value === 'string' && value.trim() ? [value.trim()] : [];
+  }
+
+  uniqueStrings(values) {
+    return [...new Set(values.filter(Boolean))];
+  }
+
+  isInterchangeFile(text) {
+    if (!text) return false;
+    return text.includes(`"${PLAN_FORMAT_ID}"`);
+  }
+}
+
+export default new PlanInterchange();
@@ -0,0 +1,304 @@
+//src/services/PlanLocales.js
+import PlatformUtils from '../utils/PlatformUtils';
+import en from './locales/en';
+import fr from './locales/fr';
+import es from './locales/es';
+import pt from './locales/pt';
+import sw from './locales/sw';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CANONICAL_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Letters that can appear inside plan vocabulary; used instead of \b, which
+// treats accented letters as word boundaries
+const LETTERS = 'a-zà-öø-ÿœæ';
+
+// Only the start of long documents is needed to tell the language apart
+const DETECTION_SAMPLE_LENGTH = 20000;
+
+// "18h" in French or Portuguese is a clock time, not an 18-hour session
+const MAX_SESSION_MINUTES = 6 * 60;
+
+// Locale packs hold the week, day, duration and time vocabulary used by the
+// structure detectors. A document is matched against its detected language
+// plus English, since mixed plans ("Week 1 - Jumatatu") are common.
+class PlanLocales {
+  constructor() {
+    this.packs = new Map();
+    this.vocabularies = new Map();
+
+    [en, fr, es, pt, sw].forEach(pack => this.register(pack));
+  }
+
+  register(pack) {
+    const missingDays = CANONICAL_DAYS.filter(day => !pack?.days?.[day]?.length);
+    if (!pack?.code || missingDays.length > 0 || !pack.weekWords?.length) {
+      throw PlatformUtils.createError(`Invalid locale pack "${pack?.code || 'unknown'}"`, [
+        'A locale pack needs a code, week words and names for all seven days'
+      ], 'locale_error', { missingDays });
+    }
+
+    this.packs.set(pack.code, pack);
+    this.vocabularies.clear();
+    return this;
+  }
+
+  get(code) {
+    return this.packs.get(code) || null;
+  }
+
+  list() {
+    return Array.from(this.packs.values()).map(pack => ({ code: pack.code, name: pack.name }));
+  }
+
+  // Scores each pack by how many of the document's words it knows. Shared
+  // words (e.g. "semana") count for every pack; markers break the tie.
+  detect(text) {
+    const words = String(text || '').substring(0, DETECTION_SAMPLE_LENGTH).toLowerCase()
+      .match(new RegExp(`[${LETTERS}]+(?:-[${LETTERS}]+)*`, 'g')) || [];
+
+    const scores = {};
+    this.packs.forEach(pack => {
+      const known = new Set(this.packWords(pack));
+      scores[pack.code] = words.filter(word => known.has(word)).length;
+    });
+
+    const [bestCode, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || [DEFAULT_LOCALE, 0];
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const code = bestScore > 0 ? bestCode : DEFAULT_LOCALE;
+
+    return {
+      code,
+      name: this.get(code).name,
+      confidence: total > 0 ? Number((bestScore / total).toFixed(2)) : 0,
+      scores
+    };
+  }
+
+  packWords(pack) {
+    return [
+      ...pack.weekWords,
+      ...(pack.dayWords || []),
+      ...(pack.sessionWords || []),
+      ...Object.values(pack.days).flat(),
+      ...(pack.minuteUnits || []),
+      ...(pack.hourUnits || []),
+      ...(pack.markers || [])
+    ].map(word => word.toLowerCase());
+  }
+
+  // Compiled vocabulary for one language (plus English), cached per code
+  getVocabulary(code = DEFAULT_LOCALE) {
+    const codes = [...new Set([this.packs.has(code) ? code : DEFAULT_LOCALE, DEFAULT_LOCALE])];
+    return this.buildVocabulary(codes);
+  }
+
+  // Every registered language at once, for short labels such as table headers
+  getCombinedVocabulary() {
+    return this.buildVocabulary(Array.from(this.packs.keys()));
+  }
+
+  buildVocabulary(codes) {
+    const key = codes.join(',');
+    if (this.vocabularies.has(key)) {
+      return this.vocabularies.get(key);
+    }
+
+    const packs = codes.map(code => this.packs.get(code));
+    const collect = field => [...new Set(packs.flatMap(pack => pack[field] || []).map(word => word.toLowerCase()))];
+
+    const dayLookup = {};
+    packs.forEach(pack => {
+      CANONICAL_DAYS.forEach(day => {
+        [...pack.days[day], ...(pack.dayAbbreviations?.[day] || [])].forEach(word => {
+          dayLookup[word.toLowerCase()] = day;
+        });
+      });
+    });
+
+    const joiners = collect('numberJoiners');
+    const joinerSource = joiners.length > 0 ? `(?:(?:${this.alternation(joiners)})\\s+)?` : '';
+    const numbered = words => `${this.wordStart()}(?:${this.alternation(words)})\\.?\\s*${joinerSource}(\\d+)`;
+
+    const timeRules = packs.flatMap(pack => pack.timeRules || []);
+
+    const vocabulary = {
+      codes,
+      weekSource: numbered(collect('weekWords')),
+      dayNumberSource: numbered(collect('dayWords')),
+      daySource: `${this.wordStart()}(${this.alternation(packs.flatMap(pack => Object.values(pack.days).flat()).map(word => word.toLowerCase()))})${this.wordEnd()}`,
+      sessionSource: `${this.wordStart()}(?:${this.alternation(collect('sessionWords'))})${this.wordEnd()}`,
+      minuteUnits: collect('minuteUnits'),
+      hourUnits: collect('hourUnits'),
+      timeCues: collect('timeCues'),
+      unitFirst: packs.some(pack => pack.unitFirst),
+      timeRules,
+
+      weekPattern: (flags = 'gi') => new RegExp(vocabulary.weekSource, flags),
+      dayPattern: (flags = 'gi') => new RegExp(vocabulary.daySource, flags),
+      dayNumberPattern: (flags = 'gi') => new RegExp(vocabulary.dayNumberSource, flags),
+      sessionPattern: (flags = 'i') => new RegExp(vocabulary.sessionSource, flags),
+
+      // "Week 3" but not "Week 30"
+      weekNumberPattern: (weekNumber, flags = 'i') => new RegExp(
+        vocabulary.weekSource.replace('(\\d+)', `${weekNumber}(?!\\d)`),
+        flags
+      ),
+
+      // Leading "Week 3:" so the rest of the line can be used as a title
+      weekHeaderPrefix: () => new RegExp(`^${vocabulary.weekSource}\\s*[:\\-–—]?\\s*`, 'i'),
+
+      normalizeDay: word => dayLookup[String(word || '').trim().toLowerCase()] || null,
+
+      durationPattern: (flags = 'i') => new RegExp(
+        [...this.durationSources(vocabulary), this.hourMinuteSource(vocabulary)].filter(Boolean).join('|'),
+        flags
+      ),
+      findDurations: text => this.findDurations(vocabulary, text),
+      parseDuration: text => vocabulary.findDurations(text)[0]?.minutes ?? null,
+
+      timePattern: (flags = 'i') => new RegExp(
+        ['(\\d{1,2}):(\\d{2})', ...timeRules.map(rule => rule.pattern)].map(source => this.timeSource(source)).join('|'),
+        flags
+      ),
+      parseTime: text => this.parseTime(vocabulary, text)
+    };
+
+    this.vocabularies.set(key, vocabulary);
+    return vocabulary;
+  }
+
+  durationSources(vocabulary) {
+    const units = this.alternation([...vocabulary.minuteUnits, ...vocabulary.hourUnits]);
+    const sources = [`(\\d+)\\s*(${units})(?![${LETTERS}\\d])`];
+    if (vocabulary.unitFirst) {
+      sources.push(`${this.wordStart()}(${units})\\s*(\\d+)`);
+    }
+    return sources;
+  }
+
+  // "1h30" is how French, Spanish and Portuguese plans write a session
+  // length; only packs that use a bare "h" unit get the rule
+  hourMinuteSource(vocabulary) {
+    if (!vocabulary.hourUnits.includes('h')) return null;
+    return `(?<!\\d)(\\d+)\\s*h\\s*(\\d{2})(?![${LETTERS}\\d])`;
+  }
+
+  findDurations(vocabulary, text) {
+    const durations = [];
+    const [numberFirst, unitFirst] = this.durationSources(vocabulary).map(source => new RegExp(source, 'gi'));
+    const hourMinuteSource = this.hourMinuteSource(vocabulary);
+    const value = String(text || '');
+
+    // Positions already read by an earlier rule, whether or not they turned
+    // out to be a duration
+    const claimed = new Set();
+    const collect = (pattern, read) => {
+      let match;
+      while ((match = pattern.exec(value)) !== null) {
+        if (claimed.has(match.index)) continue;
+        claimed.add(match.index);
+        const duration = read(match);
+
+        if (duration && duration.minutes > 0 && duration.minutes <= MAX_SESSION_MINUTES) {
+          durations.push({
+            ...duration,
+            text: match[0],
+            index: match.index
+          });
+        }
+      }
+    };
+
+    const readUnit = (valueGroup, unitGroup) => match => {
+      const amount = parseInt(match[valueGroup], 10);
+      const isHours = vocabulary.hourUnits.includes(match[unitGroup].toLowerCase());
+      return {
+        value: amount,
+        unit: isHours ? 'hours' : 'minutes',
+        minutes: isHours ? amount * 60 : amount
+      };
+    };
+
+    // Read first so "1 h 15" and "à 5 h 30" are not also taken as whole hours.
+    // "18h30" is over the session cap and "à 5h30" is introduced as a clock
+    // time; both are left to parseTime.
+    if (hourMinuteSource) {
+      collect(new RegExp(hourMinuteSource, 'gi'), match => {
+        const minutes = parseInt(match[2], 10);
+        if (minutes > 59 || this.followsTimeCue(vocabulary, value, match.index)) return null;
+
+        const total = parseInt(match[1], 10) * 60 + minutes;
+        return { value: total, unit: 'minutes', minutes: total };
+      });
+    }
+
+    collect(numberFirst, readUnit(1, 2));
+    if (unitFirst) collect(unitFirst, readUnit(2, 1));
+
+    return durations.sort((a, b) => a.index - b.index);
+  }
+
+  followsTimeCue(vocabulary, text, index) {
+    if (vocabulary.timeCues.length === 0) return false;
+
+    const cue = new RegExp(`${this.wordStart()}(?:${this.alternation(vocabulary.timeCues)})\\s*$`, 'i');
+    return cue.test(text.substring(Math.max(0, index - 12), index));
+  }
+
+  // Earliest time in the text; on a tie the locale rule wins over plain
+  // "HH:MM", so "6:30 pm" is read as 18:30
+  parseTime(vocabulary, text) {
+    const value = String(text || '');
+    const rules = [
+      ...vocabulary.timeRules,
+      {
+        pattern: '(\\d{1,2}):(\\d{2})',
+        toTime: match => [parseInt(match[1], 10), parseInt(match[2], 10)]
+      }
+    ];
+
+    let best = null;
+    rules.forEach(rule => {
+      const pattern = new RegExp(this.timeSource(rule.pattern), 'gi');
+      let match;
+      while ((match = pattern.exec(value)) !== null) {
+        if (best && match.index >= best.index) break;
+
+        const time = rule.toTime(match);
+        if (time && time[0] >= 0 && time[0] <= 23 && time[1] >= 0 && time[1] <= 59) {
+          best = { index: match.index, time };
+          break;
+        }
+      }
+    });
+
+    return best
+      ? `${String(best.time[0]).padStart(2, '0')}:${String(best.time[1]).padStart(2, '0')}`
+      : null;
+  }
+
+  // Stops "saa 2" matching inside "masaa 2" and "26 h" inside "2026 h"
+  timeSource(source) {
+    return `(?<![${LETTERS}\\d])(?:${source})`;
+  }
+
+  // Longest first so "segunda-feira" wins over "segunda"
+  alternation(words) {
+    return [...new Set(words)]
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+  }
+
+  wordStart() {
+    return `(?<![${LETTERS}])`;
+  }
+
+  wordEnd() {
+    return `(?![${LETTERS}])`;
+  }
+}
+
+export default new PlanLocales();
@@ -0,0 +1,292 @@
+//src/services/PlanTranslator.js
+import PlatformUtils from '../utils/PlatformUtils';
+import SportOntology, { DEFAULT_SPORT, CONCEPT_LABELS } from './SportOntology';
+
+// Session fields that are free text and may name sport-specific skills
+const SESSION_TEXT_FIELDS = ['title', 'type', 'location', 'notes', 'weekDescription'];
+const SESSION_LIST_FIELDS = ['focus', 'objectives', 'activities'];
+
+// Moves a plan's weeks from one sport to another. Days, times, durations and
+// load stay as they are; drills are swapped for the target sport's drill
+// for the same skill concept, equipment is mapped item by item and the text
+// fields have their sport vocabulary replaced.
+class PlanTranslator {
+  // options.refineDrill(drill, context) may return a better description
+  // (e.g. from a model); it is called once per distinct source drill
+  async translatePlan(plan, weeks, targetSport, options = {}) {
+    const target = SportOntology.resolve(targetSport);
+    if (!target) {
+      throw PlatformUtils.createError(`No sport profile for "${targetSport}"`, [
+        `Supported sports: ${SportOntology.list().map(sport => sport.name).join(', ')}`
+      ], 'sport_translation_error', { targetSport });
+    }
+
+    const source = this.resolveSourceSport(plan, weeks, options.sourceSport);
+    if (source === target) {
+      throw PlatformUtils.createError(`This plan is already a ${SportOntology.get(target).name} plan`, [
+        'Pick a different sport to translate to'
+      ], 'sport_translation_error', { sourceSport: source, targetSport: target });
+    }
+
+    if (!weeks || weeks.length === 0) {
+      throw PlatformUtils.createError('This plan has no sessions to translate', [
+        'Process the plan document first',
+        'Review the extraction so the plan has weeks and sessions'
+      ], 'sport_translation_error', { planId: plan.id });
+    }
+
+    const context = {
+      source,
+      target,
+      refineDrill: options.refineDrill || null,
+      drillCounts: {},
+      translatedDrills: new Map(),
+      unmapped: new Set(),
+      stats: { drillsMapped: 0, drillsKept: 0, drillsRefined: 0, refineFailures: 0 }
+    };
+
+    const translatedWeeks = [];
+    for (const week of weeks) {
+      translatedWeeks.push(await this.translateWeek(week, context));
+    }
+
+    const targetName = SportOntology.get(target).name;
+    const warnings = [];
+    if (context.unmapped.size > 0) {
+      warnings.push(`No ${targetName} equivalent for: ${Array.from(context.unmapped).join(', ')}`);
+    }
+    if (context.stats.refineFailures > 0) {
+      warnings.push(`${context.stats.refineFailures} drill description(s) kept from the rule-based translation`);
+    }
+
+    const text = value => this.text(value, context);
+    const title = text(plan.title) || 'Training Plan';
+    const translatedPlan = {
+      ...plan,
+      // "U12 Soccer Plan" already reads "U12 Tennis Plan" once translated
+      title: title.toLowerCase().includes(targetName.toLowerCase()) ? title : `${title} (${targetName})`,
+      description: text(plan.description),
+      category: target,
+      academyName: text(plan.academyName),
+      tags: [...new Set([...(plan.tags || []).filter(tag => !SportOntology.resolve(tag)), target])],
+      sessionsCount: translatedWeeks.reduce((sum, week) => sum + week.dailySessions.length, 0),
+      sessions: translatedWeeks.flatMap(week => week.dailySessions.map(session => ({
+        id: session.id,
+        title: session.title,
+        exercises: session.drills.map(drill => drill.name),
+        duration: session.duration,
+        notes: session.notes ? [session.notes] : []
+      }))),
+      structuredWeeks: translatedWeeks,
+      // A translation is its own plan, not a version of the source document
+      sourceDocument: null,
+      documentVersion: null,
+      supersededBy: null,
+      supersededAt: null,
+      interchange: null,
+      tableLayout: null,
+      reviewStatus: null,
+      reviewedAt: null,
+      translation: {
+        sourceSport: source,
+        targetSport: target,
+        method: context.stats.drillsRefined > 0 ? 'model' : 'rules',
+        originalPlanId: plan.id,
+        translatedAt: new Date().toISOString(),
+        ...context.stats,
+        unmappedTerms: Array.from(context.unmapped)
+      }
+    };
+
+    return {
+      plan: translatedPlan,
+      comparison: this.compareWeeks(weeks, translatedWeeks),
+      warnings
+    };
+  }
+
+  // Explicit option, then the sessions' sport, the plan category, and
+  // finally whichever sport's vocabulary the plan uses most
+  resolveSourceSport(plan, weeks, sourceSport) {
+    const firstSession = (weeks || []).flatMap(week => week.dailySessions || [])[0];
+    const candidates = [sourceSport, firstSession?.sport, plan.category, plan.academyName, plan.title];
+
+    for (const candidate of candidates) {
+      const code = SportOntology.resolve(candidate);
+      if (code) return code;
+    }
+
+    const sample = (weeks || [])
+      .flatMap(week => week.dailySessions || [])
+      .map(session => [session.title, ...(session.focus || []), ...(session.drills || []).map(drill => drill.name || drill)].join(' '))
+      .join('\n');
+    return SportOntology.detect(`${plan.description || ''}\n${sample}`) || DEFAULT_SPORT;
+  }
+
+  async translateWeek(week, context) {
+    const dailySessions = [];
+    for (const session of week.dailySessions || []) {
+      dailySessions.push(await this.translateSession(session, context));
+    }
+
+    const { fieldMeta, provenance, ...rest } = week;
+    return {
+      ...rest,
+      title: this.text(week.title, context),
+      focus: this.list(week.focus, context),
+      dailySessions
+    };
+  }
+
+  async translateSession(session, context) {
+    const translated = { ...session, sport: SportOntology.get(context.target).name };
+
+    SESSION_TEXT_FIELDS.forEach(field => {
+      if (typeof session[field] === 'string') {
+        translated[field] = this.text(session[field], context);
+      }
+    });
+    SESSION_LIST_FIELDS.forEach(field => {
+      if (Array.isArray(session[field])) {
+        translated[field] = this.list(session[field], context);
+      }
+    });
+
+    translated.drills = [];
+    for (const drill of session.drills || []) {
+      translated.drills.push(await this.translateDrill(drill, context));
+    }
+
+    const equipment = SportOntology.mapEquipment(session.equipment, context.source, context.target);
+    equipment.unmapped.forEach(item => context.unmapped.add(item));
+    translated.equipment = equipment.equipment;
+
+    // Source text and line provenance describe the original sport's document
+    delete translated.rawContent;
+    delete translated.documentContent;
+    delete translated.fieldMeta;
+    delete translated.provenance;
+
+    translated.translation = {
+      sourceSessionId: session.id,
+      drills: translated.drills.map(drill => ({ from: drill.translatedFrom, to: drill.name, concept: drill.concept, method: drill.method })),
+      equipment: equipment.changes
+    };
+
+    return translated;
+  }
+
+  // Sport-specific drills become a target-sport drill for the same concept,
+  // rotating through the library so different source drills do not all turn
+  // into one. Shared (conditioning, footwork) and unrecognised drills are
+  // kept with their wording translated.
+  async translateDrill(drill, context) {
+    const original = typeof drill === 'string' ? { name: drill, description: drill } : drill;
+    const name = original.name || '';
+    const cacheKey = name.toLowerCase();
+
+    if (context.translatedDrills.has(cacheKey)) {
+      return { ...original, ...context.translatedDrills.get(cacheKey) };
+    }
+
+    const [primary] = SportOntology.classify(context.source, `${name} ${original.description || ''}`);
+    let translated;
+
+    if (primary && !primary.shared) {
+      const index = context.drillCounts[primary.concept] || 0;
+      context.drillCounts[primary.concept] = index + 1;
+      const libraryDrill = SportOntology.drillFor(context.target, primary.concept, index);
+
+      translated = {
+        name: libraryDrill.name,
+        description: libraryDrill.description,
+        concept: primary.concept,
+        method: 'rules'
+      };
+      context.stats.drillsMapped++;
+    } else {
+      translated = {
+        name: this.text(name, context),
+        description: this.text(original.description, context),
+        concept: primary?.concept || null,
+        method: 'rules'
+      };
+      context.stats.drillsKept++;
+    }
+
+    if (context.refineDrill) {
+      try {
+        const description = await context.refineDrill(translated, {
+          original,
+          sourceSport: context.source,
+          targetSport: context.target,
+          concept: translated.concept
+        });
+        if (description) {
+          translated.description = description;
+          translated.method = 'model';
+          context.stats.drillsRefined++;
+        } else {
+          context.stats.refineFailures++;
+        }
+      } catch (error) {
+        console.warn('Drill refinement failed, keeping rule-based translation:', error.message);
+        context.stats.refineFailures++;
+      }
+    }
+
+    translated.translatedFrom = name;
+    context.translatedDrills.set(cacheKey, translated);
+    return { ...original, ...translated };
+  }
+
+  text(value, context) {
+    if (typeof value !== 'string') return value;
+
+    const result = SportOntology.translateText(value, context.source, context.target);
+    result.unmapped.forEach(term => context.unmapped.add(term));
+    return result.text;
+  }
+
+  list(values, context) {
+    if (!Array.isArray(values)) return values;
+    return [...new Set(values.map(value => this.text(value, context)))];
+  }
+
+  // Side-by-side rows for the comparison screen. The translation keeps the
+  // week and session structure, so sessions are paired by position.
+  compareWeeks(originalWeeks, translatedWeeks) {
+    return translatedWeeks.map((week, weekIndex) => {
+      const originalWeek = originalWeeks[weekIndex] || {};
+      const originalSessions = originalWeek.dailySessions || [];
+
+      return {
+        weekNumber: week.weekNumber || weekIndex + 1,
+        original: { title: originalWeek.title, focus: originalWeek.focus || [] },
+        translated: { title: week.title, focus: week.focus || [] },
+        sessions: week.dailySessions.map((session, sessionIndex) => ({
+          key: `${week.weekNumber || weekIndex + 1}-${sessionIndex}`,
+          day: session.day,
+          time: session.time,
+          duration: session.duration,
+          original: this.describeSession(originalSessions[sessionIndex] || {}),
+          translated: this.describeSession(session)
+        }))
+      };
+    });
+  }
+
+  describeSession(session) {
+    return {
+      title: session.title || '',
+      focus: session.focus || [],
+      drills: (session.drills || []).map(drill => ({
+        name: typeof drill === 'string' ? drill : drill.name,
+        concept: drill.concept ? CONCEPT_LABELS[drill.concept] : null
+      })),
+      equipment: session.equipment || []
+    };
+  }
+}
+
+export default new PlanTranslator();
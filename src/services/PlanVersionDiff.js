@@ -0,0 +1,179 @@
+//src/services/PlanVersionDiff.js
+
+// Week-level fields shown in the diff; sessions are compared separately
+const WEEK_FIELDS = ['title', 'focus'];
+
+// Session fields a coach cares about when a revised plan comes in. Dates are
+// left out because they are recalculated from the processing day.
+const SESSION_FIELDS = ['title', 'time', 'duration', 'location', 'type', 'focus', 'drills'];
+
+// Changes to these mean players already assigned to the session need a look
+const SCHEDULE_FIELDS = ['time', 'duration', 'location'];
+
+// Compares the week trees of two plan versions. Weeks are matched by number
+// and sessions by day (then by order within the day), so a session that
+// moved from Tuesday to Thursday shows up as removed plus added.
+class PlanVersionDiff {
+  diffWeeks(baseWeeks, targetWeeks) {
+    const baseByNumber = this.indexWeeks(baseWeeks);
+    const targetByNumber = this.indexWeeks(targetWeeks);
+    const weekNumbers = [...new Set([...baseByNumber.keys(), ...targetByNumber.keys()])].sort((a, b) => a - b);
+
+    const weeks = weekNumbers.map(weekNumber =>
+      this.diffWeek(weekNumber, baseByNumber.get(weekNumber), targetByNumber.get(weekNumber))
+    );
+
+    return {
+      summary: this.summarize(weeks),
+      weeks
+    };
+  }
+
+  indexWeeks(weeks) {
+    const byNumber = new Map();
+    (weeks || []).forEach((week, index) => {
+      byNumber.set(week.weekNumber || index + 1, week);
+    });
+    return byNumber;
+  }
+
+  diffWeek(weekNumber, baseWeek, targetWeek) {
+    if (!baseWeek || !targetWeek) {
+      const week = baseWeek || targetWeek;
+      const status = baseWeek ? 'removed' : 'added';
+      const keys = this.sessionKeys(week.dailySessions);
+      return {
+        weekNumber,
+        status,
+        title: week.title || `Week ${weekNumber}`,
+        changes: [],
+        sessions: (week.dailySessions || []).map((session, index) => ({
+          key: keys[index],
+          day: session.day,
+          status,
+          title: session.title,
+          changes: []
+        }))
+      };
+    }
+
+    const changes = this.diffFields(baseWeek, targetWeek, WEEK_FIELDS);
+    const sessions = this.diffSessions(baseWeek.dailySessions || [], targetWeek.dailySessions || []);
+    const changed = changes.length > 0 || sessions.some(session => session.status !== 'unchanged');
+
+    return {
+      weekNumber,
+      status: changed ? 'changed' : 'unchanged',
+      title: targetWeek.title || `Week ${weekNumber}`,
+      changes,
+      sessions
+    };
+  }
+
+  diffSessions(baseSessions, targetSessions) {
+    const baseKeys = this.sessionKeys(baseSessions);
+    const targetKeys = this.sessionKeys(targetSessions);
+    const baseByKey = new Map(baseSessions.map((session, index) => [baseKeys[index], session]));
+    const targetByKey = new Map(targetSessions.map((session, index) => [targetKeys[index], session]));
+
+    // Target order first so the diff reads like the new plan
+    const keys = [...targetKeys, ...baseKeys.filter(key => !targetByKey.has(key))];
+
+    return keys.map(key => {
+      const base = baseByKey.get(key);
+      const target = targetByKey.get(key);
+
+      if (!base || !target) {
+        const session = base || target;
+        return { key, day: session.day, status: base ? 'removed' : 'added', title: session.title, changes: [] };
+      }
+
+      const changes = this.diffFields(base, target, SESSION_FIELDS);
+      return {
+        key,
+        day: target.day,
+        status: changes.length > 0 ? 'changed' : 'unchanged',
+        title: target.title,
+        changes
+      };
+    });
+  }
+
+  // "tuesday#1", "tuesday#2" for two sessions on the same day
+  sessionKeys(sessions) {
+    const seen = {};
+    return (sessions || []).map(session => {
+      const day = String(session.day || 'session').toLowerCase();
+      seen[day] = (seen[day] || 0) + 1;
+      return `${day}#${seen[day]}`;
+    });
+  }
+
+  diffFields(base, target, fields) {
+    return fields
+      .map(field => ({
+        field,
+        before: this.fieldValue(base, field),
+        after: this.fieldValue(target, field)
+      }))
+      .filter(change => change.before !== change.after);
+  }
+
+  // Flattened to strings so arrays and drill objects compare by content
+  fieldValue(item, field) {
+    const value = item?.[field];
+    if (value === undefined || value === null || value === '') return null;
+
+    if (field === 'drills') {
+      return value.map(drill => (typeof drill === 'string' ? drill : drill.name)).filter(Boolean).join(', ') || null;
+    }
+    if (Array.isArray(value)) {
+      return value.join(', ') || null;
+    }
+    return String(value);
+  }
+
+  summarize(weeks) {
+    const sessions = weeks.flatMap(week => week.sessions);
+    const count = (items, status) => items.filter(item => item.status === status).length;
+
+    const summary = {
+      weeksAdded: count(weeks, 'added'),
+      weeksRemoved: count(weeks, 'removed'),
+      weeksChanged: count(weeks, 'changed'),
+      sessionsAdded: count(sessions, 'added'),
+      sessionsRemoved: count(sessions, 'removed'),
+      sessionsChanged: count(sessions, 'changed')
+    };
+
+    summary.hasChanges = Object.values(summary).some(value => value > 0);
+
+    // Added or removed sessions, or a new time/length/place, change what
+    // players were assigned to
+    summary.affectsAssignments = summary.sessionsAdded > 0 ||
+      summary.sessionsRemoved > 0 ||
+      sessions.some(session => session.changes.some(change => SCHEDULE_FIELDS.includes(change.field)));
+
+    return summary;
+  }
+
+  describeSummary(summary) {
+    if (!summary?.hasChanges) {
+      return 'No differences between these versions';
+    }
+
+    const parts = [
+      [summary.weeksAdded, 'week added', 'weeks added'],
+      [summary.weeksRemoved, 'week removed', 'weeks removed'],
+      [summary.sessionsAdded, 'session added', 'sessions added'],
+      [summary.sessionsRemoved, 'session removed', 'sessions removed'],
+      [summary.sessionsChanged, 'session changed', 'sessions changed']
+    ]
+      .filter(([value]) => value > 0)
+      .map(([value, singular, plural]) => `${value} ${value === 1 ? singular : plural}`);
+
+    return parts.length > 0 ? parts.join(', ') : 'Week details changed';
+  }
+}
+
+export default new PlanVersionDiff();
@@ -0,0 +1,498 @@
+//src/services/SemanticIndex.js
+import PlatformUtils from '../utils/PlatformUtils';
+import TensorFlowService from './TensorFlowService';
+import PlanDatabase from './PlanDatabase';
+import SportOntology, { CONCEPT_LABELS } from './SportOntology';
+
+export const SEARCH_KINDS = ['session', 'drill', 'exercise', 'document'];
+
+const BUILT_IN_DRILLS = 'library:sport_packs';
+
+// Document chunks overlap so a drill described across a chunk boundary is
+// still whole in one of them
+const CHUNK_SIZE = 700;
+const CHUNK_OVERLAP = 150;
+const MAX_TEXT_LENGTH = 2000;
+const EMBED_BATCH = 64;
+
+const DEFAULT_MIN_SCORE = 0.15;
+
+// Added to the cosine similarity when the query names an age or sport
+const ADJUSTMENTS = {
+  ageMatch: 0.08,
+  ageMismatch: -0.08,
+  sportMatch: 0.05,
+  sportMismatch: -0.12
+};
+
+// Local vector index over extracted sessions, their drills, drill and
+// exercise libraries and uploaded document chunks. Entries are grouped by
+// owner (a plan, a document or a library); re-indexing an owner only embeds
+// entries whose text changed. Vectors come from TensorFlowService and are
+// re-embedded when its embedding version changes.
+class SemanticIndex {
+  constructor() {
+    this.entries = new Map();
+    this.version = null;
+    this.loadPromise = null;
+    // Index writes run one at a time so two owners never interleave
+    this.writeQueue = Promise.resolve();
+  }
+
+  async ready() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load().catch(error => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    await this.loadPromise;
+
+    // The classifier behind the embedding was retrained since loading
+    if (TensorFlowService.getEmbeddingVersion() !== this.version) {
+      await this.enqueue(() => this.reembed(Array.from(this.entries.values())));
+    }
+  }
+
+  async _load() {
+    await TensorFlowService.initialize();
+    const stored = await PlanDatabase.getSearchEntries();
+    stored.forEach(entry => this.entries.set(entry.id, entry));
+
+    this.version = TensorFlowService.getEmbeddingVersion();
+    const stale = stored.filter(entry => entry.version !== this.version);
+    if (stale.length > 0) {
+      await this.reembed(stale);
+    }
+
+    await this.writeOwner(BUILT_IN_DRILLS, this.builtInDrills());
+
+    PlatformUtils.logDebugInfo('Semantic index loaded', {
+      entries: this.entries.size,
+      reembedded: stale.length,
+      version: this.version
+    });
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Indexing
+
+  async indexPlan(plan, weeks) {
+    const items = [];
+    (weeks || []).forEach(week => {
+      (week.dailySessions || []).forEach(session => {
+        const meta = {
+          planId: plan.id,
+          planTitle: plan.title,
+          sessionId: session.id,
+          weekNumber: session.weekNumber || week.weekNumber || null,
+          day: session.day || null,
+          sport: SportOntology.resolve(session.sport || plan.category),
+          ageGroup: session.ageGroup || null,
+          duration: session.duration || null,
+          category: session.classification?.category || null
+        };
+
+        items.push({
+          kind: 'session',
+          sourceId: session.id,
+          title: session.title || `Week ${meta.weekNumber} session`,
+          text: [
+            session.type,
+            ...(session.focus || []),
+            ...(session.activities || []),
+            ...(session.objectives || []),
+            session.documentContent
+          ].filter(Boolean).join('\n'),
+          meta
+        });
+
+        (session.drills || []).forEach((drill, index) => {
+          const name = typeof drill === 'string' ? drill : drill?.name;
+          const description = typeof drill === 'string' ? '' : drill?.description;
+          // Extraction fills empty sessions with generic drill names
+          if (!name || /^(basic|placeholder)\b/i.test(name)) return;
+
+          items.push({
+            kind: 'drill',
+            sourceId: `${session.id}:${index}`,
+            title: name,
+            text: description && description !== name ? `${name}\n${description}` : name,
+            meta
+          });
+        });
+      });
+    });
+
+    return this.indexOwner(`plan:${plan.id}`, items);
+  }
+
+  async indexDocument(document, text) {
+    const sport = SportOntology.detect(text);
+    let weekNumber = null;
+
+    const items = this.chunkText(text).map((chunk, index) => {
+      // Cited as the week in effect where the chunk starts: its own opening
+      // heading, or the last week mentioned before it
+      const weeks = [...chunk.matchAll(/\bweek\s*(\d{1,2})\b/gi)];
+      const opensWithWeek = weeks.length > 0 && weeks[0].index < CHUNK_OVERLAP;
+      const startWeek = opensWithWeek || !weekNumber
+        ? (weeks[0] ? parseInt(weeks[0][1], 10) : null)
+        : weekNumber;
+      if (weeks.length > 0) weekNumber = parseInt(weeks[weeks.length - 1][1], 10);
+
+      return {
+        kind: 'document',
+        sourceId: `${document.id}:${index}`,
+        title: `${document.originalName || 'Document'} (part ${index + 1})`,
+        text: chunk,
+        meta: {
+          documentId: document.id,
+          documentName: document.originalName || null,
+          chunk: index,
+          weekNumber: startWeek,
+          sport
+        }
+      };
+    });
+
+    return this.indexOwner(`document:${document.id}`, items);
+  }
+
+  async hasOwner(ownerId) {
+    await this.ready();
+    return Array.from(this.entries.values()).some(entry => entry.ownerId === ownerId);
+  }
+
+  // items: [{ id, kind, title, text, meta }] from a drill or exercise library
+  async indexLibrary(library, items) {
+    return this.indexOwner(`library:${library}`, items.map(item => ({
+      kind: item.kind || 'drill',
+      sourceId: String(item.id),
+      title: item.title,
+      text: item.text,
+      meta: item.meta || {}
+    })));
+  }
+
+  async removePlan(planId) {
+    return this.removeOwner(`plan:${planId}`);
+  }
+
+  async removeDocument(documentId) {
+    return this.removeOwner(`document:${documentId}`);
+  }
+
+  async removeOwner(ownerId) {
+    await this.ready();
+    return this.enqueue(async () => {
+      await PlanDatabase.deleteSearchEntries(ownerId);
+      this.entries.forEach((entry, id) => {
+        if (entry.ownerId === ownerId) this.entries.delete(id);
+      });
+    });
+  }
+
+  async indexOwner(ownerId, items) {
+    await this.ready();
+    return this.enqueue(() => this.writeOwner(ownerId, items));
+  }
+
+  // Unchanged entries keep their vectors; only new or edited text is embedded
+  async writeOwner(ownerId, items) {
+    const existing = new Map();
+    this.entries.forEach(entry => {
+      if (entry.ownerId === ownerId) existing.set(entry.id, entry);
+    });
+
+    const next = items
+      .filter(item => item.text && item.text.trim())
+      .map(item => {
+        const text = item.text.trim().substring(0, MAX_TEXT_LENGTH);
+        return {
+          id: `${ownerId}|${item.kind}|${item.sourceId}`,
+          ownerId,
+          kind: item.kind,
+          sourceId: item.sourceId,
+          title: item.title || '',
+          text,
+          meta: item.meta || {},
+          hash: this.hash(`${item.title || ''}\n${text}`)
+        };
+      });
+
+    const nextIds = new Set(next.map(entry => entry.id));
+    const removed = Array.from(existing.keys()).filter(id => !nextIds.has(id));
+    const changed = next.filter(entry => {
+      const previous = existing.get(entry.id);
+      return !previous || previous.hash !== entry.hash || previous.version !== this.version;
+    });
+
+    if (changed.length === 0 && removed.length === 0) {
+      return { ownerId, indexed: 0, unchanged: next.length, removed: 0 };
+    }
+
+    const vectors = await this.embed(changed.map(entry => this.entryText(entry)));
+    const indexedAt = new Date().toISOString();
+    const entries = next.map(entry => {
+      const index = changed.indexOf(entry);
+      return index === -1
+        ? { ...existing.get(entry.id), meta: entry.meta }
+        : { ...entry, vector: vectors[index], version: this.version, indexedAt };
+    });
+
+    await PlanDatabase.replaceSearchEntries(ownerId, entries);
+    existing.forEach((entry, id) => this.entries.delete(id));
+    entries.forEach(entry => this.entries.set(entry.id, entry));
+
+    PlatformUtils.logDebugInfo('Semantic index updated', {
+      ownerId,
+      indexed: changed.length,
+      removed: removed.length
+    });
+
+    return {
+      ownerId,
+      indexed: changed.length,
+      unchanged: next.length - changed.length,
+      removed: removed.length
+    };
+  }
+
+  async reembed(entries) {
+    this.version = TensorFlowService.getEmbeddingVersion();
+    if (entries.length === 0) return;
+
+    const vectors = await this.embed(entries.map(entry => this.entryText(entry)));
+    const updated = entries.map((entry, i) => ({ ...entry, vector: vectors[i], version: this.version }));
+
+    await PlanDatabase.saveSearchEntries(updated);
+    updated.forEach(entry => this.entries.set(entry.id, entry));
+  }
+
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+      vectors.push(...await TensorFlowService.embedTexts(texts.slice(i, i + EMBED_BATCH)));
+    }
+    return vectors;
+  }
+
+  entryText(entry) {
+    return `${entry.title}\n${entry.text}`;
+  }
+
+  // Searching
+
+  // options: { kinds, owners, filter, limit, minScore, sport, ageGroup }. Ages
+  // ("U12", "under 10", "8-10 years") and sports named in the query are
+  // used the same way as the explicit options.
+  async search(query, options = {}) {
+    const text = String(query || '').trim();
+    if (!text) return [];
+
+    await this.ready();
+    const [queryVector] = await this.embed([text]);
+    const filters = { ...this.parseQuery(text), ...this.explicitFilters(options) };
+    const kinds = options.kinds || SEARCH_KINDS;
+
+    const candidates = Array.from(this.entries.values()).filter(entry =>
+      kinds.includes(entry.kind) &&
+      (!options.owners || options.owners.includes(entry.ownerId)) &&
+      (!options.filter || options.filter(entry))
+    );
+
+    return this.rank(text, queryVector, candidates, filters, options)
+      .map(({ entry, similarity, score }) => ({
+        id: entry.id,
+        kind: entry.kind,
+        sourceId: entry.sourceId,
+        ownerId: entry.ownerId,
+        title: entry.title,
+        text: entry.text,
+        snippet: this.snippet(entry.text, text),
+        score: this.round(score),
+        similarity: this.round(similarity),
+        meta: entry.meta
+      }));
+  }
+
+  // Ranks items that are not in the index (e.g. cached sessions from the
+  // server) without storing anything
+  async rankItems(query, items, toText, options = {}) {
+    const text = String(query || '').trim();
+    if (!text || items.length === 0) return [];
+
+    const vectors = await this.embed([text, ...items.map(item => toText(item) || '')]);
+    const candidates = items.map((item, i) => {
+      const meta = options.metaFor?.(item) || {};
+      return { item, vector: vectors[i + 1], meta: { ...meta, sport: SportOntology.resolve(meta.sport) } };
+    });
+
+    const filters = { ...this.parseQuery(text), ...this.explicitFilters(options) };
+    return this.rank(text, vectors[0], candidates, filters, options)
+      .map(({ entry, score }) => ({ ...entry.item, searchScore: this.round(score) }));
+  }
+
+  rank(query, queryVector, candidates, filters, options) {
+    const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+
+    return candidates
+      .map(entry => {
+        const similarity = this.dot(queryVector, entry.vector);
+        return { entry, similarity, score: similarity + this.adjustment(entry.meta || {}, filters) };
+      })
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || 10);
+  }
+
+  adjustment(meta, filters) {
+    let adjustment = 0;
+
+    if (filters.ages) {
+      const ages = this.parseAges(meta.ageGroup);
+      if (ages) {
+        const overlaps = ages[0] <= filters.ages[1] && filters.ages[0] <= ages[1];
+        adjustment += overlaps ? ADJUSTMENTS.ageMatch : ADJUSTMENTS.ageMismatch;
+      }
+    }
+
+    if (filters.sport && meta.sport) {
+      adjustment += meta.sport === filters.sport ? ADJUSTMENTS.sportMatch : ADJUSTMENTS.sportMismatch;
+    }
+
+    return adjustment;
+  }
+
+  parseQuery(query) {
+    return {
+      ages: this.parseAges(query),
+      sport: SportOntology.resolve(query)
+    };
+  }
+
+  explicitFilters(options) {
+    const filters = {};
+    if (options.ageGroup) filters.ages = this.parseAges(options.ageGroup);
+    if (options.sport) filters.sport = SportOntology.resolve(options.sport);
+    return filters;
+  }
+
+  // "U12" -> [9, 12], "under 10" -> [7, 10], "8-10 years" -> [8, 10]
+  parseAges(text) {
+    const value = String(text || '');
+    const under = value.match(/\bu-?(\d{1,2})s?\b/i) || value.match(/\bunder[\s-]*(\d{1,2})\b/i);
+    if (under) {
+      const age = parseInt(under[1], 10);
+      return [Math.max(3, age - 3), age];
+    }
+
+    const range = value.match(/\b(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})\s*(?:years?|yrs?|y\/o|year-olds?)?\b/i);
+    if (range && /year|yrs|y\/o|age|old/i.test(value)) {
+      return [parseInt(range[1], 10), parseInt(range[2], 10)];
+    }
+
+    return null;
+  }
+
+  // The line sharing most words with the query
+  snippet(text, query) {
+    const words = new Set(query.toLowerCase().split(/\W+/).filter(word => word.length > 2));
+    const allLines = text.split(/\n|(?<=\.)\s+/).map(line => line.trim()).filter(Boolean);
+    // Headings ("Week 2") say nothing on their own
+    const content = allLines.filter(line => line.length > 20);
+    const lines = content.length > 0 ? content : allLines;
+    let best = lines[0] || '';
+    let bestHits = 0;
+
+    lines.forEach(line => {
+      const hits = line.toLowerCase().split(/\W+/).filter(word => words.has(word)).length;
+      if (hits > bestHits) {
+        best = line;
+        bestHits = hits;
+      }
+    });
+
+    return best.length > 160 ? `${best.substring(0, 157)}...` : best;
+  }
+
+  // Paragraphs packed into chunks of about CHUNK_SIZE characters; a week
+  // heading always starts a new chunk so citations point at one week
+  chunkText(text) {
+    const paragraphs = String(text || '')
+      .split(/\n\s*\n|\n(?=\s*(?:week|day|session)\b)/i)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(paragraph => paragraph.length > 20 || /^week\s*\d/i.test(paragraph));
+
+    const chunks = [];
+    let current = '';
+    paragraphs.forEach(paragraph => {
+      if (current && /^week\s*\d/i.test(paragraph)) {
+        chunks.push(current);
+        current = '';
+      } else if (current && current.length + paragraph.length > CHUNK_SIZE) {
+        chunks.push(current);
+        current = current.substring(current.length - CHUNK_OVERLAP);
+      }
+      current = current ? `${current}\n${paragraph}` : paragraph;
+
+      while (current.length > CHUNK_SIZE * 1.5) {
+        chunks.push(current.substring(0, CHUNK_SIZE));
+        current = current.substring(CHUNK_SIZE - CHUNK_OVERLAP);
+      }
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+  }
+
+  builtInDrills() {
+    return SportOntology.list().flatMap(({ code, name }) => {
+      const pack = SportOntology.get(code);
+      return Object.entries(pack.drills).flatMap(([concept, drills]) => drills.map((drill, index) => ({
+        kind: 'drill',
+        sourceId: `${code}:${concept}:${index}`,
+        title: drill.name,
+        text: `${drill.description}\n${name} ${(CONCEPT_LABELS[concept] || concept).toLowerCase()} drill`,
+        meta: { sport: code, concept, builtIn: true }
+      })));
+    });
+  }
+
+  async getStats() {
+    await this.ready();
+    const byKind = {};
+    this.entries.forEach(entry => {
+      byKind[entry.kind] = (byKind[entry.kind] || 0) + 1;
+    });
+    return { entries: this.entries.size, byKind, version: this.version };
+  }
+
+  dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+  }
+
+  // FNV-1a of the indexed text, to tell whether an entry needs re-embedding
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+export default new SemanticIndex();
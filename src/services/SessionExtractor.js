@@ -1,6 +1,12 @@
 //src/services/SessionExtractor.js
 import PlatformUtils from '../utils/PlatformUtils';
 import AIService from './AIService';
+import TensorFlowService from './TensorFlowService';
+import SessionStore from './SessionStore';
+import SemanticIndex from './SemanticIndex';
+import ExtractionProvenance from './ExtractionProvenance';
+import TablePlanExtractor from './TablePlanExtractor';
+import PlanLocales from './PlanLocales';
 
 class SessionExtractor {
   constructor() {
@@ -25,10 +31,65 @@ class SessionExtractor {
     };
   }
 
+// Cached entry point for screens: extraction runs once per document version
+// and later loads are served from SessionStore. Session dates stay as they
+// were computed at extraction time instead of shifting on every load.
+async getSessionsForPlan(document, trainingPlan, options = {}) {
+  if (trainingPlan.structuredWeeks && trainingPlan.structuredWeeks.length > 0) {
+    return this.indexForSearch(trainingPlan, this.buildResultFromStructuredWeeks(document, trainingPlan));
+  }
+
+  let contentHash = null;
+  try {
+    const DocumentProcessor = (await import('./DocumentProcessor')).default;
+    contentHash = await DocumentProcessor.getDocumentContentHash(document);
+  } catch (error) {
+    console.warn('Could not hash document content, skipping session cache:', error.message);
+  }
+
+  if (contentHash && !options.force) {
+    const cached = await SessionStore.get(trainingPlan.id, contentHash);
+    if (cached) {
+      PlatformUtils.logDebugInfo('Using cached extracted sessions', {
+        planId: trainingPlan.id,
+        storedAt: cached.storedAt
+      });
+      const refreshed = await this.withCurrentAthleteLoad(trainingPlan, { ...cached.result, fromCache: true });
+      return this.indexForSearch(trainingPlan, refreshed);
+    }
+  }
+
+  const result = await this.extractSessionsFromDocument(document, trainingPlan);
+
+  if (contentHash) {
+    try {
+      await SessionStore.save(trainingPlan.id, document.id, contentHash, result);
+    } catch (error) {
+      console.warn('Could not cache extracted sessions:', error.message);
+    }
+  }
+
+  return this.indexForSearch(trainingPlan, result);
+}
+
+// Keeps the semantic search index in step with the plan's sessions. Runs in
+// the background; unchanged sessions are not embedded again.
+indexForSearch(trainingPlan, result) {
+  SemanticIndex.indexPlan(trainingPlan, result.sessions).catch(error => {
+    console.warn('Could not index sessions for search:', error.message);
+  });
+  return result;
+}
+
 // Main extraction method
 // Replace the existing extractSessionsFromDocument method in SessionExtractor.js
 async extractSessionsFromDocument(document, trainingPlan) {
   try {
+    // Imported and coach-reviewed plans already carry their weeks
+    if (trainingPlan.structuredWeeks && trainingPlan.structuredWeeks.length > 0) {
+      return this.buildResultFromStructuredWeeks(document, trainingPlan);
+    }
+
     PlatformUtils.logDebugInfo('Starting enhanced AI session extraction', {
       documentId: document.id,
       planId: trainingPlan.id
@@ -36,7 +97,7 @@ async extractSessionsFromDocument(document, trainingPlan) {
 
     // Get DocumentProcessor and extract text
     const DocumentProcessor = (await import('./DocumentProcessor')).default;
-    const extractionResult = await DocumentProcessor.extractDocumentText(document);
+    const extractionResult = await DocumentProcessor.extractDocumentText(document, { includeTables: true });
     const text = extractionResult.text;
 
     // NEW: Enhanced document structure analysis
@@ -44,30 +105,40 @@ async extractSessionsFromDocument(document, trainingPlan) {
     
     console.log('Enhanced structure analysis:', structureAnalysis);
 
+    // Line index used to point every extracted field back at the source
+    const source = ExtractionProvenance.createSource(text);
+
     // Extract academy info with structure context
-    const academyInfo = this.extractAcademyInfo(text, trainingPlan, structureAnalysis);
+    const academyInfo = this.extractAcademyInfo(text, trainingPlan, structureAnalysis, source);
     
-    // NEW: Smart session extraction based on structure
-    const sessions = await this.extractSessionsWithStructureAwareness(text, structureAnalysis, academyInfo);
+    // Week-by-day grids map cells straight onto sessions; everything else
+    // goes through the structure-aware text heuristics
+    const planGrid = TablePlanExtractor.findPlanGrids(extractionResult.tables)[0];
+    const sessions = planGrid
+      ? this.extractFromTableGrid(planGrid, academyInfo, source, this.getVocabulary(structureAnalysis))
+      : await this.extractSessionsWithStructureAwareness(text, structureAnalysis, academyInfo, source);
     
     // AI Enhancement with structure context
     let enhancedSessions = sessions;
     try {
-      enhancedSessions = await AIService.enhanceExtractedSessions(sessions, {
+      const aiSessions = await AIService.enhanceExtractedSessions(sessions, {
         ageGroup: academyInfo.ageGroup,
         sport: academyInfo.sport,
         experience: trainingPlan.difficulty || 'beginner',
         structureContext: structureAnalysis
       });
+      enhancedSessions = ExtractionProvenance.markAIChanges(sessions, aiSessions);
       console.log('Sessions enhanced with AI and structure awareness');
     } catch (error) {
       console.warn('AI enhancement failed, using structure-aware sessions:', error);
     }
 
+    const classifiedSessions = await this.classifySessions(enhancedSessions);
+
     // Generate optimal schedule with structure insights
     let optimizedSchedule = null;
     try {
-      const schedulePreferences = this.deriveSchedulePreferences(structureAnalysis);
+      const schedulePreferences = this.deriveSchedulePreferences(structureAnalysis, trainingPlan);
       optimizedSchedule = await AIService.generateOptimalSchedule(trainingPlan, schedulePreferences);
       console.log('Structure-aware schedule generated');
     } catch (error) {
@@ -76,23 +147,32 @@ async extractSessionsFromDocument(document, trainingPlan) {
 
     const result = {
       academyInfo,
-      sessions: enhancedSessions,
+      sessions: classifiedSessions,
       optimizedSchedule,
       structureAnalysis, // NEW: Include structure analysis
-      totalWeeks: enhancedSessions.length,
-      totalSessions: enhancedSessions.reduce((sum, week) => sum + week.dailySessions.length, 0),
+      totalWeeks: classifiedSessions.length,
+      totalSessions: classifiedSessions.reduce((sum, week) => sum + week.dailySessions.length, 0),
       extractedAt: new Date().toISOString(),
       sourceDocument: document.id,
       sourcePlan: trainingPlan.id,
       aiEnhanced: enhancedSessions !== sessions,
       aiScheduled: !!optimizedSchedule,
-      structureAware: true // NEW: Flag for structure-aware extraction
+      aiOutput: {
+        enhancement: this.summarizeAIOutput(enhancedSessions),
+        schedule: optimizedSchedule?.aiOutput || null
+      },
+      structureAware: true, // NEW: Flag for structure-aware extraction
+      tableLayout: planGrid ? { grid: planGrid.grid.name, orientation: planGrid.layout.orientation } : null,
+      provenance: ExtractionProvenance.summarizeWeeks(classifiedSessions)
     };
 
     PlatformUtils.logDebugInfo('Enhanced session extraction completed', {
       totalWeeks: result.totalWeeks,
       totalSessions: result.totalSessions,
       structureLevel: structureAnalysis.organizationLevel.level,
+      language: structureAnalysis.language?.code,
+      averageConfidence: result.provenance.averageConfidence,
+      generatedSessions: result.provenance.generatedSessions,
       aiEnhanced: result.aiEnhanced,
       structureAware: result.structureAware
     });
@@ -104,8 +184,38 @@ async extractSessionsFromDocument(document, trainingPlan) {
   }
 }
 
+buildResultFromStructuredWeeks(document, trainingPlan) {
+  const sessions = trainingPlan.structuredWeeks;
+  const firstSession = sessions.flatMap(week => week.dailySessions)[0] || {};
+
+  return {
+    academyInfo: {
+      academyName: trainingPlan.academyName || trainingPlan.title,
+      sport: firstSession.sport || trainingPlan.category,
+      ageGroup: firstSession.ageGroup || 'Youth',
+      program: trainingPlan.title,
+      location: firstSession.location || 'Training Facility',
+      difficulty: trainingPlan.difficulty || 'intermediate'
+    },
+    sessions,
+    optimizedSchedule: null,
+    structureAnalysis: null,
+    totalWeeks: sessions.length,
+    totalSessions: sessions.reduce((sum, week) => sum + week.dailySessions.length, 0),
+    extractedAt: new Date().toISOString(),
+    sourceDocument: document?.id || trainingPlan.sourceDocument,
+    sourcePlan: trainingPlan.id,
+    aiEnhanced: false,
+    aiScheduled: false,
+    structureAware: true,
+    structuredImport: !!trainingPlan.interchange,
+    reviewed: trainingPlan.reviewStatus === 'reviewed',
+    provenance: ExtractionProvenance.summarizeWeeks(sessions)
+  };
+}
+
 // NEW: Structure-aware session extraction
-async extractSessionsWithStructureAwareness(text, structureAnalysis, academyInfo) {
+async extractSessionsWithStructureAwareness(text, structureAnalysis, academyInfo, source = ExtractionProvenance.createSource(text)) {
   console.log('Starting structure-aware session extraction');
   
   const { organizationLevel, weekStructure, dayStructure, sessionStructure } = structureAnalysis;
@@ -113,10 +223,10 @@ async extractSessionsWithStructureAwareness(text, structureAnalysis, academyInfo
   // Choose extraction strategy based on structure level
   switch (organizationLevel.level) {
     case 'highly_structured':
-      return this.extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo);
+      return this.extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo, source);
     
     case 'moderately_structured':
-      return this.extractFromModeratelyStructuredDocument(text, structureAnalysis, academyInfo);
+      return this.extractFromModeratelyStructuredDocument(text, structureAnalysis, academyInfo, source);
     
     case 'basic_structure':
       return this.extractFromBasicStructuredDocument(text, structureAnalysis, academyInfo);
@@ -126,9 +236,175 @@ async extractSessionsWithStructureAwareness(text, structureAnalysis, academyInfo
   }
 }
 
+// Per-field provenance for a session. Content fields are looked up in the
+// source window around the session; anything not found there came from a
+// fallback. Callers override the fields they know more about.
+// Week/day/duration vocabulary for the language detected during structure analysis
+getVocabulary(structureAnalysis) {
+  return PlanLocales.getVocabulary(structureAnalysis?.language?.code);
+}
+
+describeSessionFields(session, source, window, overrides = {}) {
+  const lookup = (field, reason) => {
+    const value = session[field];
+    const meta = source && (Array.isArray(value)
+      ? ExtractionProvenance.locateList(source, value, window)
+      : ExtractionProvenance.locate(source, String(value || '').split('\n')[0], window));
+    return ExtractionProvenance.orGenerated(meta, reason);
+  };
+
+  return {
+    title: ExtractionProvenance.inferred('Composed from academy name, week and day', 0.5),
+    day: ExtractionProvenance.generated('Default training day'),
+    date: ExtractionProvenance.inferred('Calculated from the week number and day', 0.5),
+    time: ExtractionProvenance.generated('Default start time'),
+    duration: ExtractionProvenance.generated('Default session length'),
+    location: ExtractionProvenance.generated('Default training location'),
+    type: ExtractionProvenance.generated('Default session type'),
+    participants: ExtractionProvenance.inferred('Estimated from age group', 0.3),
+    activities: lookup('activities', 'Placeholder activities'),
+    drills: lookup('drills', 'Placeholder drills'),
+    objectives: lookup('objectives', 'Placeholder objectives'),
+    equipment: lookup('equipment', 'Default equipment for the sport'),
+    notes: lookup('notes', 'Placeholder notes'),
+    focus: lookup('focus', 'Focus not found in the document'),
+    ...overrides
+  };
+}
+
+describeWeekFields(week, source, window, overrides = {}) {
+  const lookup = (value, reason) => ExtractionProvenance.orGenerated(
+    source && (Array.isArray(value)
+      ? ExtractionProvenance.locateList(source, value, window)
+      : ExtractionProvenance.locate(source, String(value || '').substring(0, 20), window)),
+    reason
+  );
+
+  return {
+    weekNumber: ExtractionProvenance.generated('Week numbered by position'),
+    title: lookup(week.title, 'Default week title'),
+    description: lookup(week.description, 'Placeholder week description'),
+    focus: lookup(week.focus, 'Default focus for the sport'),
+    ...overrides
+  };
+}
+
+// Table-aware extraction: one session per non-empty day cell. Cells are
+// located in order so repeated drill names point at the right row.
+extractFromTableGrid(planGrid, academyInfo, source, vocabulary = PlanLocales.getVocabulary()) {
+  const { weeks } = TablePlanExtractor.readPlanCells(planGrid.grid, planGrid.layout);
+  const followsTextOrder = planGrid.layout.orientation === 'weeks_as_rows';
+  let cursor = 0;
+
+  console.log(`Extracting from ${planGrid.layout.orientation} grid "${planGrid.grid.name}": ${weeks.length} weeks`);
+
+  return weeks.map(week => {
+    const dailySessions = week.cells.map((cell, index) => {
+      const located = ExtractionProvenance.locate(source, cell.text.split('\n')[0], { from: followsTextOrder ? cursor : 0 }, 0.9);
+      if (located && followsTextOrder) {
+        cursor = source.lineStarts[located.lines.start - 1];
+      }
+
+      const session = this.createSessionFromCell(cell, week, index + 1, academyInfo, vocabulary);
+      const window = located ? { from: source.lineStarts[located.lines.start - 1] } : {};
+
+      return ExtractionProvenance.annotate(session, this.describeSessionFields(session, source, window, {
+        day: ExtractionProvenance.locate(source, cell.dayLabel, {}, 0.9) ||
+          ExtractionProvenance.inferred('Taken from the table column header', 0.8),
+        title: ExtractionProvenance.inferred('Composed from academy name, week and day', 0.6, located?.lines || null),
+        time: vocabulary.parseTime(`${cell.dayLabel} ${cell.text}`)
+          ? ExtractionProvenance.inferred('Read from the table cell or header', 0.8, located?.lines || null)
+          : ExtractionProvenance.generated('Default start time'),
+        duration: vocabulary.parseDuration(cell.text)
+          ? ExtractionProvenance.inferred('Read from the table cell', 0.8, located?.lines || null)
+          : ExtractionProvenance.generated('Default session length'),
+        type: ExtractionProvenance.inferred('Derived from the cell contents', 0.5, located?.lines || null)
+      }));
+    });
+
+    const weekSession = {
+      id: `week_${week.weekNumber}_table_${Date.now()}`,
+      weekNumber: week.weekNumber,
+      title: week.title[0] || week.focus[0] || `Week ${week.weekNumber} Training`,
+      description: week.notes.join(' ') || week.objectives.join(' ') || '',
+      dailySessions,
+      totalDuration: dailySessions.reduce((sum, session) => sum + session.duration, 0),
+      focus: week.focus.length > 0
+        ? week.focus.flatMap(value => value.split(/[,\n]/)).map(value => value.trim()).filter(Boolean)
+        : this.deriveWeekFocusFromSessions(dailySessions),
+      notes: week.notes,
+      academyName: academyInfo.academyName,
+      sport: academyInfo.sport,
+      weekSchedule: {
+        days: dailySessions.map(session => session.day),
+        pattern: `${dailySessions.length} days per week`
+      }
+    };
+
+    return ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, source, {}, {
+      weekNumber: week.labelled
+        ? ExtractionProvenance.locate(source, week.label, {}, 0.9) || ExtractionProvenance.inferred('Read from the week column', 0.8)
+        : ExtractionProvenance.inferred('Numbered by table row', 0.6),
+      focus: week.focus.length > 0
+        ? ExtractionProvenance.locateList(source, week.focus, {}, 0.8) || ExtractionProvenance.inferred('Read from the focus column', 0.7)
+        : ExtractionProvenance.inferred('Combined from the session focus', 0.4)
+    }));
+  });
+}
+
+createSessionFromCell(cell, week, dayNumber, academyInfo, vocabulary) {
+  const lines = cell.text.split('\n');
+  const weekNumber = week.weekNumber;
+
+  return {
+    id: `session_${weekNumber}_${dayNumber}_table_${Date.now()}`,
+    weekNumber,
+    dayNumber,
+    title: `${academyInfo.academyName} - Week ${weekNumber}, ${this.capitalizeFirst(cell.day)} Training`,
+    day: cell.day,
+    date: this.calculateSessionDate(weekNumber, cell.day),
+    time: vocabulary.parseTime(`${cell.dayLabel} ${cell.text}`) || '08:00',
+    // A single duration in the cell is the session length; per-drill
+    // durations are summed when every line has one
+    duration: this.parseCellDuration(lines, vocabulary) || 90,
+    location: academyInfo.location || 'Training Field',
+    type: this.identifySessionType(cell.text.toLowerCase(), { position: 0 }),
+    participants: this.estimateParticipants(academyInfo.ageGroup),
+    status: 'scheduled',
+    academyName: academyInfo.academyName,
+    sport: academyInfo.sport,
+    ageGroup: academyInfo.ageGroup,
+    difficulty: academyInfo.difficulty,
+    activities: lines,
+    drills: lines.map(line => ({
+      name: this.extractDrillName(line),
+      description: line,
+      duration: vocabulary.parseDuration(line)
+    })),
+    objectives: week.objectives,
+    equipment: this.extractEquipment(lines),
+    notes: week.notes.join('\n'),
+    rawContent: cell.text,
+    documentContent: cell.text,
+    completionRate: 0,
+    focus: this.extractWeekFocus(lines),
+    week: `Week ${weekNumber}`,
+    weekDescription: week.notes.join(' ')
+  };
+}
+
+parseCellDuration(lines, vocabulary) {
+  const durations = lines.map(line => vocabulary.parseDuration(line));
+  if (lines.length > 1 && durations.every(Boolean)) {
+    return durations.reduce((sum, duration) => sum + duration, 0);
+  }
+  return durations.find(Boolean) || null;
+}
+
 // NEW: Extraction for highly structured documents
-extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo) {
+extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo, source) {
   const { weekStructure, dayStructure, durationAnalysis } = structureAnalysis;
+  const vocabulary = this.getVocabulary(structureAnalysis);
   const sessions = [];
   
   console.log(`Extracting from highly structured document: ${weekStructure.totalWeeks} weeks identified`);
@@ -138,15 +414,16 @@ extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo) {
   
   weekSections.forEach((weekSection, weekIndex) => {
     const weekNumber = weekStructure.identifiedWeeks[weekIndex] || (weekIndex + 1);
+    const weekLines = weekSection.content.split('\n');
     
     const weekSession = {
       id: `week_${weekNumber}_${Date.now()}`,
       weekNumber: weekNumber,
-      title: this.extractWeekTitle(weekSection.content, weekNumber),
-      description: this.extractWeekDescription(weekSection.content),
+      title: this.extractWeekTitle(weekSection.content, weekNumber, vocabulary),
+      description: this.extractWeekDescription(weekLines),
       dailySessions: [],
       totalDuration: 0,
-      focus: this.extractWeekFocus(weekSection.content),
+      focus: this.extractWeekFocus(weekLines),
       notes: [],
       academyName: academyInfo.academyName,
       sport: academyInfo.sport,
@@ -154,10 +431,15 @@ extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo) {
     };
 
     // Extract daily sessions within this week
-    const dailySessions = this.extractDailySessionsFromWeekSection(weekSection, weekNumber, academyInfo, durationAnalysis);
+    const dailySessions = this.extractDailySessionsFromWeekSection(weekSection, weekNumber, academyInfo, durationAnalysis, source, vocabulary);
     weekSession.dailySessions = dailySessions;
     weekSession.totalDuration = dailySessions.reduce((sum, session) => sum + session.duration, 0);
 
+    const window = { from: weekSection.startPosition, to: weekSection.endPosition };
+    ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, source, window, {
+      weekNumber: ExtractionProvenance.fromRange(source, weekSection.startPosition, weekSection.startPosition + 1, 0.9)
+    }));
+
     sessions.push(weekSession);
   });
   
@@ -165,7 +447,7 @@ extractFromHighlyStructuredDocument(text, structureAnalysis, academyInfo) {
 }
 
 // NEW: Extraction for moderately structured documents
-extractFromModeratelyStructuredDocument(text, structureAnalysis, academyInfo) {
+extractFromModeratelyStructuredDocument(text, structureAnalysis, academyInfo, source) {
   const { weekStructure, sessionStructure, durationAnalysis } = structureAnalysis;
   const sessions = [];
   
@@ -173,10 +455,10 @@ extractFromModeratelyStructuredDocument(text, structureAnalysis, academyInfo) {
   
   if (weekStructure.totalWeeks > 0) {
     // Has week structure but maybe not perfect
-    return this.extractWithPartialWeekStructure(text, structureAnalysis, academyInfo);
+    return this.extractWithPartialWeekStructure(text, structureAnalysis, academyInfo, source);
   } else if (sessionStructure.hasStructuredSessions) {
     // Has session structure but no weeks
-    return this.extractWithSessionStructure(text, structureAnalysis, academyInfo);
+    return this.extractWithSessionStructure(text, structureAnalysis, academyInfo, source);
   } else {
     // Fall back to basic extraction
     return this.extractFromBasicStructuredDocument(text, structureAnalysis, academyInfo);
@@ -204,14 +486,14 @@ splitTextByWeeks(text, weekStructure) {
   return weekSections;
 }
 
-extractDailySessionsFromWeekSection(weekSection, weekNumber, academyInfo, durationAnalysis) {
+extractDailySessionsFromWeekSection(weekSection, weekNumber, academyInfo, durationAnalysis, source, vocabulary = PlanLocales.getVocabulary()) {
   const dailySessions = [];
   const content = weekSection.content;
   
   // Look for daily patterns within this week section
   const dayPatterns = [
-    /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi,
-    /day\s*(\d+)/gi,
+    vocabulary.dayPattern(),
+    vocabulary.dayNumberPattern(),
     /(session\s*\d+)/gi
   ];
   
@@ -235,35 +517,44 @@ extractDailySessionsFromWeekSection(weekSection, weekNumber, academyInfo, durati
       index + 1, 
       academyInfo,
       content,
-      durationAnalysis
+      durationAnalysis,
+      source,
+      weekSection.startPosition,
+      vocabulary
     );
     dailySessions.push(session);
   });
   
   // If no specific days found, create a general week session
   if (dailySessions.length === 0) {
-    const generalSession = this.createGeneralWeekSession(weekSection, weekNumber, academyInfo);
+    const weekLines = { ...weekSection, content: content.split('\n') };
+    const generalSession = this.createGeneralWeekSession(weekLines, weekNumber - 1, academyInfo);
+    const window = { from: weekSection.startPosition, to: weekSection.endPosition };
+    ExtractionProvenance.annotate(generalSession, this.describeSessionFields(generalSession, source, window, {
+      day: ExtractionProvenance.inferred('Whole-week plan, no training days found', 0.3)
+    }));
     dailySessions.push(generalSession);
   }
   
   return dailySessions;
 }
 
-createStructuredDailySession(dayInfo, weekNumber, dayIndex, academyInfo, content, durationAnalysis) {
-  const dayName = this.normalizeDayName(dayInfo.day);
+createStructuredDailySession(dayInfo, weekNumber, dayIndex, academyInfo, content, durationAnalysis, source, sectionStart = 0, vocabulary = PlanLocales.getVocabulary()) {
+  const dayName = this.normalizeDayName(dayInfo.day, vocabulary);
   const sessionDate = this.calculateSessionDate(weekNumber, dayName);
   
   // Extract duration for this specific session
-  const sessionDuration = this.extractSessionDuration(content, dayInfo, durationAnalysis);
+  const sessionDuration = this.extractSessionDuration(content, dayInfo, durationAnalysis, vocabulary);
+  const sessionTime = this.extractSessionTime(content, dayInfo, vocabulary);
   
-  return {
+  const session = {
     id: `session_${weekNumber}_${dayIndex}_${Date.now()}`,
     weekNumber: weekNumber,
     dayNumber: dayIndex,
     title: `${academyInfo.academyName} - Week ${weekNumber}, ${this.capitalizeFirst(dayName)} Training`,
     day: dayName,
     date: sessionDate,
-    time: this.extractSessionTime(content, dayInfo) || '08:00',
+    time: sessionTime || '08:00',
     duration: sessionDuration,
     location: academyInfo.location || 'Training Field',
     type: this.identifySessionType(content, dayInfo),
@@ -281,21 +572,86 @@ createStructuredDailySession(dayInfo, weekNumber, dayIndex, academyInfo, content
     rawContent: content,
     documentContent: this.extractRelevantContent(content, dayInfo),
     completionRate: 0,
-    focus: this.extractSessionFocus(content, dayInfo),
+    focus: this.extractWeekFocus(this.extractRelevantContent(content, dayInfo).split('\n')),
     week: `Week ${weekNumber}`,
     weekDescription: content.substring(0, 200)
   };
+
+  // Same windows the field extractors above search, in document positions
+  const position = sectionStart + dayInfo.position;
+  const near = (before, after) => ({
+    from: sectionStart + Math.max(0, dayInfo.position - before),
+    to: sectionStart + Math.min(content.length, dayInfo.position + after)
+  });
+  const dayMeta = ExtractionProvenance.fromRange(source, position, position + dayInfo.fullMatch.length, 0.9);
+  const typeMeta = ExtractionProvenance.locatePattern(source, /warm|technical|tactical|conditioning|match|game/i, near(100, 200), 0.6);
+  const durationMeta = ExtractionProvenance.locatePattern(source, vocabulary.durationPattern(), near(100, 200), 0.7);
+
+  return ExtractionProvenance.annotate(session, this.describeSessionFields(session, source, near(100, 500), {
+    day: dayMeta,
+    title: ExtractionProvenance.inferred('Composed from academy name, week and day', 0.6, dayMeta.lines),
+    time: sessionTime
+      ? ExtractionProvenance.locatePattern(source, vocabulary.timePattern(), near(50, 100), 0.8)
+      : ExtractionProvenance.generated('Default start time'),
+    duration: durationMeta || (durationAnalysis.averageDuration
+      ? ExtractionProvenance.inferred('Average session length in the document', 0.4)
+      : ExtractionProvenance.generated('Default session length')),
+    type: typeMeta || ExtractionProvenance.generated('Default session type')
+  }));
+}
+
+// What each session mostly is (warm-up, tactical, conditioning...) according
+// to the trained text classifier; sessions it cannot read stay unlabelled
+async classifySessions(weeks) {
+  try {
+    return await Promise.all(weeks.map(async week => ({
+      ...week,
+      dailySessions: await Promise.all(week.dailySessions.map(async session => {
+        const text = session.documentContent || (session.activities || []).join('\n');
+        if (!text) return session;
+
+        const result = await TensorFlowService.classifyText(text);
+        if (!result.category) return session;
+
+        return {
+          ...session,
+          classification: {
+            category: result.category,
+            confidence: result.confidence,
+            lowConfidence: result.lowConfidence,
+            modelVersion: result.modelVersion
+          }
+        };
+      }))
+    })));
+  } catch (error) {
+    console.warn('Session classification failed:', error);
+    return weeks;
+  }
+}
+
+// Weeks enhanced by the language model versus the rules, and why any fell back
+summarizeAIOutput(weeks) {
+  const outputs = weeks.map(week => week.aiOutput).filter(Boolean);
+  const fallbacks = outputs.filter(output => output.fallback);
+
+  return {
+    modelWeeks: outputs.length - fallbacks.length,
+    fallbackWeeks: fallbacks.length,
+    failureReasons: [...new Set(fallbacks.map(output => output.failure?.reason).filter(Boolean))]
+  };
 }
 
 // NEW: Derive schedule preferences from structure analysis
-deriveSchedulePreferences(structureAnalysis) {
+deriveSchedulePreferences(structureAnalysis, trainingPlan = {}) {
   const { dayStructure, durationAnalysis, schedulePattern } = structureAnalysis;
   
   const preferences = {
     availableDays: ['monday', 'wednesday', 'friday'], // default
     preferredTime: '16:00',
     sessionDuration: 90,
-    intensity: 'moderate'
+    intensity: 'moderate',
+    athleteIds: this.getAssignedAthleteIds(trainingPlan)
   };
   
   // Override with document insights
@@ -322,58 +678,54 @@ deriveSchedulePreferences(structureAnalysis) {
   return preferences;
 }
 
-// Additional helper methods
-normalizeDayName(dayText) {
-  const dayMap = {
-    'mon': 'monday', 'tue': 'tuesday', 'wed': 'wednesday',
-    'thu': 'thursday', 'fri': 'friday', 'sat': 'saturday', 'sun': 'sunday'
+// Athletes the plan is assigned to; their load and injuries shape the schedule
+getAssignedAthleteIds(trainingPlan) {
+  return (trainingPlan?.assignedAthletes || []).map(athlete => athlete.id);
+}
+
+// Cached schedules were adjusted for the load athletes had when the plan was
+// extracted; load changes after every session, so re-apply it on each read
+async withCurrentAthleteLoad(trainingPlan, result) {
+  const athleteIds = this.getAssignedAthleteIds(trainingPlan);
+  if (!result.optimizedSchedule || athleteIds.length === 0) return result;
+
+  return {
+    ...result,
+    optimizedSchedule: await AIService.applyAthleteLoad(result.optimizedSchedule, athleteIds)
   };
-  
+}
+
+// Additional helper methods
+// Localized names ("Jumatatu", "lundi") and abbreviations map to English day keys
+normalizeDayName(dayText, vocabulary = PlanLocales.getVocabulary()) {
   const lower = dayText.toLowerCase();
-  return dayMap[lower] || lower;
+  return vocabulary.normalizeDay(lower) || lower;
 }
 
-extractSessionDuration(content, dayInfo, durationAnalysis) {
+extractSessionDuration(content, dayInfo, durationAnalysis, vocabulary = PlanLocales.getVocabulary()) {
   // Look for duration near this day mention
   const nearbyText = content.substring(
     Math.max(0, dayInfo.position - 100),
     Math.min(content.length, dayInfo.position + 200)
   );
   
-  const durationMatch = nearbyText.match(/(\d+)\s*(minutes?|mins?|hours?|hrs?)/i);
-  if (durationMatch) {
-    const value = parseInt(durationMatch[1]);
-    const unit = durationMatch[2].toLowerCase();
-    return unit.includes('hour') ? value * 60 : value;
+  const duration = vocabulary.parseDuration(nearbyText);
+  if (duration) {
+    return duration;
   }
   
   // Fall back to average duration
   return durationAnalysis.averageDuration || 90;
 }
 
-extractSessionTime(content, dayInfo) {
+extractSessionTime(content, dayInfo, vocabulary = PlanLocales.getVocabulary()) {
   // Look for time near this day mention
   const nearbyText = content.substring(
     Math.max(0, dayInfo.position - 50),
     Math.min(content.length, dayInfo.position + 100)
   );
   
-  const timeMatch = nearbyText.match(/(\d{1,2}):(\d{2})|(\d{1,2})\s*(am|pm)/i);
-  if (timeMatch) {
-    if (timeMatch[1] && timeMatch[2]) {
-      return `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
-    } else if (timeMatch[3] && timeMatch[4]) {
-      let hour = parseInt(timeMatch[3]);
-      if (timeMatch[4].toLowerCase() === 'pm' && hour !== 12) {
-        hour += 12;
-      } else if (timeMatch[4].toLowerCase() === 'am' && hour === 12) {
-        hour = 0;
-      }
-      return `${hour.toString().padStart(2, '0')}:00`;
-    }
-  }
-  
-  return null;
+  return vocabulary.parseTime(nearbyText);
 }
 
 identifySessionType(content, dayInfo) {
@@ -416,8 +768,9 @@ extractRelevantContent(content, dayInfo) {
 }
 
 // NEW: Extract from documents with partial week structure
-extractWithPartialWeekStructure(text, structureAnalysis, academyInfo) {
+extractWithPartialWeekStructure(text, structureAnalysis, academyInfo, source) {
   const { weekStructure } = structureAnalysis;
+  const vocabulary = this.getVocabulary(structureAnalysis);
   const sessions = [];
   
   // Fill in missing weeks if we have some but not all
@@ -430,15 +783,15 @@ extractWithPartialWeekStructure(text, structureAnalysis, academyInfo) {
       id: `week_${weekNum}_partial_${Date.now()}`,
       weekNumber: weekNum,
       title: hasExplicitWeek ? 
-        this.findWeekTitle(text, weekNum) : 
+        this.findWeekTitle(text, weekNum, vocabulary) : 
         `Week ${weekNum} Training`,
       description: hasExplicitWeek ?
-        this.extractWeekContentByNumber(text, weekNum) :
+        this.extractWeekContentByNumber(text, weekNum, vocabulary) :
         this.generateWeekDescription(weekNum, academyInfo),
       dailySessions: [],
       totalDuration: 0,
       focus: hasExplicitWeek ?
-        this.extractWeekFocusByNumber(text, weekNum) :
+        this.extractWeekFocusByNumber(text, weekNum, vocabulary) :
         this.generateWeekFocus(weekNum, academyInfo.sport),
       academyName: academyInfo.academyName,
       sport: academyInfo.sport
@@ -446,12 +799,25 @@ extractWithPartialWeekStructure(text, structureAnalysis, academyInfo) {
 
     // Create sessions for this week
     const dailySessions = hasExplicitWeek ?
-      this.extractSessionsForSpecificWeek(text, weekNum, academyInfo) :
+      this.extractSessionsForSpecificWeek(text, weekNum, academyInfo, source, vocabulary) :
       this.generateDefaultWeekSessions(weekNum, academyInfo);
     
     weekSession.dailySessions = dailySessions;
     weekSession.totalDuration = dailySessions.reduce((sum, s) => sum + s.duration, 0);
     
+    const weekStart = text.search(vocabulary.weekNumberPattern(weekNum));
+    if (hasExplicitWeek && weekStart !== -1) {
+      const nextWeekStart = text.search(vocabulary.weekNumberPattern(weekNum + 1));
+      const window = { from: weekStart, to: nextWeekStart === -1 ? text.length : nextWeekStart };
+      ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, source, window, {
+        weekNumber: ExtractionProvenance.fromRange(source, weekStart, weekStart + 1, 0.8)
+      }));
+    } else {
+      ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, null, null, {
+        weekNumber: ExtractionProvenance.generated('Missing week filled in between detected weeks')
+      }));
+    }
+    
     sessions.push(weekSession);
   }
   
@@ -459,7 +825,7 @@ extractWithPartialWeekStructure(text, structureAnalysis, academyInfo) {
 }
 
 // NEW: Extract from session-structured documents
-extractWithSessionStructure(text, structureAnalysis, academyInfo) {
+extractWithSessionStructure(text, structureAnalysis, academyInfo, source) {
   const { sessionStructure } = structureAnalysis;
   const sessions = [];
   
@@ -475,7 +841,7 @@ extractWithSessionStructure(text, structureAnalysis, academyInfo) {
     const weekSessions = sessionStructure.sessionDetails
       .slice(startSessionIndex, endSessionIndex)
       .map((sessionDetail, index) => 
-        this.createSessionFromDetail(sessionDetail, weekNum, index + 1, academyInfo)
+        this.createSessionFromDetail(sessionDetail, weekNum, index + 1, academyInfo, source)
       );
     
     const weekSession = {
@@ -490,6 +856,11 @@ extractWithSessionStructure(text, structureAnalysis, academyInfo) {
       sport: academyInfo.sport
     };
     
+    ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, null, null, {
+      weekNumber: ExtractionProvenance.inferred('Sessions grouped three per week', 0.3),
+      focus: ExtractionProvenance.inferred('Combined from the session types in this week', 0.4)
+    }));
+    
     sessions.push(weekSession);
   }
   
@@ -497,17 +868,17 @@ extractWithSessionStructure(text, structureAnalysis, academyInfo) {
 }
 
 // Additional helper methods for new functionality
-findWeekTitle(text, weekNumber) {
-  const weekPattern = new RegExp(`week\\s*${weekNumber}[^\\n]*`, 'gi');
+findWeekTitle(text, weekNumber, vocabulary = PlanLocales.getVocabulary()) {
+  const weekPattern = new RegExp(`${vocabulary.weekNumberPattern(weekNumber).source}[^\\n]*`, 'gi');
   const match = text.match(weekPattern);
   return match ? match[0] : `Week ${weekNumber}`;
 }
 
-extractWeekContentByNumber(text, weekNumber) {
-  const weekStart = text.search(new RegExp(`week\\s*${weekNumber}`, 'gi'));
+extractWeekContentByNumber(text, weekNumber, vocabulary = PlanLocales.getVocabulary()) {
+  const weekStart = text.search(vocabulary.weekNumberPattern(weekNumber));
   if (weekStart === -1) return '';
   
-  const nextWeekStart = text.search(new RegExp(`week\\s*${weekNumber + 1}`, 'gi'));
+  const nextWeekStart = text.search(vocabulary.weekNumberPattern(weekNumber + 1));
   const endPos = nextWeekStart === -1 ? weekStart + 500 : nextWeekStart;
   
   return text.substring(weekStart, endPos).substring(0, 200);
@@ -536,8 +907,8 @@ generateWeekFocus(weekNumber, sport) {
   return [focuses[(weekNumber - 1) % focuses.length]];
 }
 
-createSessionFromDetail(sessionDetail, weekNumber, dayNumber, academyInfo) {
-  return {
+createSessionFromDetail(sessionDetail, weekNumber, dayNumber, academyInfo, source) {
+  const session = {
     id: `session_${weekNumber}_${dayNumber}_detail_${Date.now()}`,
     weekNumber: weekNumber,
     dayNumber: dayNumber,
@@ -558,6 +929,21 @@ createSessionFromDetail(sessionDetail, weekNumber, dayNumber, academyInfo) {
     focus: [sessionDetail.type],
     rawContent: sessionDetail.text
   };
+
+  const detailMeta = ExtractionProvenance.fromRange(
+    source,
+    sessionDetail.position,
+    sessionDetail.position + sessionDetail.text.length,
+    0.6
+  );
+
+  return ExtractionProvenance.annotate(session, this.describeSessionFields(session, null, null, {
+    title: ExtractionProvenance.inferred('Composed from academy name and session heading', 0.5, detailMeta.lines),
+    day: ExtractionProvenance.generated('Spread over a default three-day week'),
+    type: { ...detailMeta, confidence: 0.5 },
+    activities: detailMeta,
+    focus: ExtractionProvenance.inferred('Taken from the session type', 0.4, detailMeta.lines)
+  }));
 }
 
 mapSessionToDay(dayNumber) {
@@ -567,16 +953,15 @@ mapSessionToDay(dayNumber) {
 
 // Add these missing methods to SessionExtractor.js
 
-extractWeekTitle(content, weekNumber) {
+extractWeekTitle(content, weekNumber, vocabulary = PlanLocales.getVocabulary()) {
   const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
   
   // Look for the week header line
   for (const line of lines.slice(0, 5)) { // Check first 5 lines
-    if (line.toLowerCase().includes(`week ${weekNumber}`) || 
-        line.toLowerCase().includes(`week${weekNumber}`)) {
+    if (vocabulary.weekNumberPattern(weekNumber).test(line)) {
       // Clean up the title
       return line
-        .replace(/^week\s*\d+[:\-–—]?\s*/i, '')
+        .replace(vocabulary.weekHeaderPrefix(), '')
         .replace(/[:\-–—]/g, '')
         .trim() || `Week ${weekNumber} Training`;
     }
@@ -668,6 +1053,12 @@ extractFromBasicStructuredDocument(text, structureAnalysis, academyInfo) {
     weekSession.dailySessions = dailySessions;
     weekSession.totalDuration = dailySessions.reduce((sum, s) => sum + s.duration, 0);
     
+    ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, null, null, {
+      weekNumber: weekStructure.totalWeeks
+        ? ExtractionProvenance.inferred('Week count detected, contents not', 0.3)
+        : ExtractionProvenance.generated('Default eight-week plan')
+    }));
+    
     sessions.push(weekSession);
   }
   
@@ -702,6 +1093,9 @@ extractFromUnstructuredDocument(text, structureAnalysis, academyInfo) {
     ];
     
     weekSession.dailySessions = dailySessions;
+    ExtractionProvenance.annotate(weekSession, this.describeWeekFields(weekSession, null, null, {
+      weekNumber: ExtractionProvenance.generated('Default four-week plan for unstructured documents')
+    }));
     sessions.push(weekSession);
   }
   
@@ -729,7 +1123,7 @@ generateDefaultWeekSessions(weekNumber, academyInfo) {
 }
 
 createBasicSession(weekNumber, dayNumber, dayName, academyInfo) {
-  return {
+  const session = {
     id: `session_${weekNumber}_${dayNumber}_basic_${Date.now()}`,
     weekNumber: weekNumber,
     dayNumber: dayNumber,
@@ -758,6 +1152,11 @@ createBasicSession(weekNumber, dayNumber, dayName, academyInfo) {
     week: `Week ${weekNumber}`,
     weekDescription: `Week ${weekNumber} training focus`
   };
+
+  // Placeholder session: nothing here was read from the document
+  return ExtractionProvenance.annotate(session, this.describeSessionFields(session, null, null, {
+    title: ExtractionProvenance.generated('Placeholder session title')
+  }));
 }
 
 getBasicEquipment(sport) {
@@ -772,41 +1171,55 @@ getBasicEquipment(sport) {
 }
 
 // Add methods called by other extraction functions
-extractSessionsForSpecificWeek(text, weekNumber, academyInfo) {
-  const weekPattern = new RegExp(`week\\s*${weekNumber}[\\s\\S]*?(?=week\\s*${weekNumber + 1}|$)`, 'gi');
-  const weekMatch = text.match(weekPattern);
+extractSessionsForSpecificWeek(text, weekNumber, academyInfo, source, vocabulary = PlanLocales.getVocabulary()) {
+  const weekMatch = this.matchWeekContent(text, weekNumber, vocabulary);
   
   if (!weekMatch) {
     return this.generateDefaultWeekSessions(weekNumber, academyInfo);
   }
   
   const weekContent = weekMatch[0];
-  const dayPatterns = /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi;
+  const dayPatterns = vocabulary.dayPattern();
   const days = [];
   
   let match;
   while ((match = dayPatterns.exec(weekContent)) !== null) {
-    days.push(match[1].toLowerCase());
+    days.push({
+      day: vocabulary.normalizeDay(match[1]),
+      matched: match[1],
+      position: weekMatch.index + match.index
+    });
   }
   
   if (days.length === 0) {
     return this.generateDefaultWeekSessions(weekNumber, academyInfo);
   }
   
-  return days.map((day, index) => 
-    this.createBasicSession(weekNumber, index + 1, day, academyInfo)
-  );
+  // Only the day itself comes from the document; the rest is placeholder
+  return days.map(({ day, matched, position }, index) => {
+    const session = this.createBasicSession(weekNumber, index + 1, day, academyInfo);
+    return ExtractionProvenance.annotate(session, {
+      ...session.fieldMeta,
+      day: ExtractionProvenance.fromRange(source, position, position + matched.length, 0.8)
+    });
+  });
+}
+
+// Text from the week's header up to the next week's header (or the end)
+matchWeekContent(text, weekNumber, vocabulary) {
+  const start = vocabulary.weekNumberPattern(weekNumber);
+  const next = vocabulary.weekNumberPattern(weekNumber + 1);
+  return new RegExp(`${start.source}[\\s\\S]*?(?=${next.source}|$)`, 'i').exec(text);
 }
 
-extractWeekFocusByNumber(text, weekNumber) {
-  const weekPattern = new RegExp(`week\\s*${weekNumber}[\\s\\S]*?(?=week\\s*${weekNumber + 1}|$)`, 'gi');
-  const weekMatch = text.match(weekPattern);
+extractWeekFocusByNumber(text, weekNumber, vocabulary = PlanLocales.getVocabulary()) {
+  const weekMatch = this.matchWeekContent(text, weekNumber, vocabulary);
   
   if (!weekMatch) {
     return ['general training'];
   }
   
-  return this.extractWeekFocus(weekMatch[0]);
+  return this.extractWeekFocus(weekMatch[0].split('\n'));
 }
 
 deriveWeekFocusFromSessions(sessions) {
@@ -878,7 +1291,7 @@ extractSessionFocus(content, dayInfo) {
   return this.extractWeekFocus(section);
 }
 
-parseDocumentStructure(text) {
+parseDocumentStructure(text, vocabulary = PlanLocales.getVocabulary(PlanLocales.detect(text).code)) {
   const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
   
   const structure = {
@@ -897,7 +1310,7 @@ parseDocumentStructure(text) {
     const nextLine = i + 1 < lines.length ? lines[i + 1] : '';
     
     // Check for week/session headers with improved detection
-    if (enhancedWeekPattern.test(line) || this.isWeekHeader(line, nextLine)) {
+    if (enhancedWeekPattern.test(line) || this.isWeekHeader(line, nextLine, vocabulary)) {
       if (structure.currentWeek) {
         structure.weeks.push(structure.currentWeek);
       }
@@ -914,12 +1327,12 @@ parseDocumentStructure(text) {
 
     // Enhanced training day detection
     const dayMatch = line.match(this.sessionPatterns.trainingDayPattern) || 
-                    this.detectTrainingDay(line);
+                    this.detectTrainingDay(line, vocabulary);
     
     if (dayMatch && structure.currentWeek) {
       structure.currentDay = {
-        day: dayMatch[1] || this.extractDayName(line),
-        duration: dayMatch[2] || this.extractDuration(line) || '',
+        day: dayMatch[1] || this.extractDayName(line, vocabulary),
+        duration: dayMatch[2] || this.extractDuration(line, vocabulary) || '',
         lineNumber: i,
         activities: [],
         content: [line]
@@ -951,10 +1364,10 @@ parseDocumentStructure(text) {
 
 // Add these helper methods to the SessionExtractor class:
 
-isWeekHeader(line, nextLine) {
+isWeekHeader(line, nextLine, vocabulary = PlanLocales.getVocabulary()) {
   // Check if line looks like a week header even without exact pattern match
   const weekIndicators = [
-    /week\s*\d+/i,
+    vocabulary.weekPattern('i'),
     /training.*week/i,
     /session.*\d+/i,
     /^w\d+/i // Handles "W1", "W2" etc.
@@ -967,30 +1380,31 @@ isWeekHeader(line, nextLine) {
   return hasWeekIndicator && isShortLine && nextLineHasContent;
 }
 
-detectTrainingDay(line) {
+detectTrainingDay(line, vocabulary = PlanLocales.getVocabulary()) {
   const dayPatterns = [
+    vocabulary.dayPattern('i'),
     /(daily\s*session)/i,
     /(training\s*session)/i,
     /(\d+\s*hour.*session)/i,
-    /(warm.*up|technical|conditioning)/i
+    /(warm.*up|technical|conditioning)/i,
+    new RegExp(`(${vocabulary.sessionSource})`, 'i')
   ];
   
   for (const pattern of dayPatterns) {
     const match = line.match(pattern);
     if (match) {
-      return [match[0], match[1] || 'training'];
+      return [match[0], vocabulary.normalizeDay(match[1]) || match[1] || 'training'];
     }
   }
   
   return null;
 }
 
-extractDayName(line) {
-  const dayNames = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-  const foundDay = dayNames.find(day => line.toLowerCase().includes(day));
+extractDayName(line, vocabulary = PlanLocales.getVocabulary()) {
+  const dayMatch = line.match(vocabulary.dayPattern('i'));
   
-  if (foundDay) {
-    return foundDay;
+  if (dayMatch) {
+    return vocabulary.normalizeDay(dayMatch[1]);
   }
   
   // Default naming based on content
@@ -1001,18 +1415,13 @@ extractDayName(line) {
   return 'session';
 }
 
-extractDuration(line) {
-  const durationMatch = line.match(/(\d+)\s*(minutes?|hours?|mins?|hrs?)/i);
-  if (durationMatch) {
-    const value = parseInt(durationMatch[1]);
-    const unit = durationMatch[2].toLowerCase();
-    return unit.includes('hour') ? `${value} hours` : `${value} minutes`;
-  }
-  return null;
+extractDuration(line, vocabulary = PlanLocales.getVocabulary()) {
+  const [duration] = vocabulary.findDurations(line);
+  return duration ? `${duration.value} ${duration.unit}` : null;
 }
 
 // Update the extractAcademyInfo method in SessionExtractor.js
-extractAcademyInfo(text, trainingPlan, structureAnalysis = null) {
+extractAcademyInfo(text, trainingPlan, structureAnalysis = null, source = null) {
   const lines = text.split('\n').slice(0, 20); // Check first 20 lines
   
   let academyName = '';
@@ -1062,7 +1471,7 @@ extractAcademyInfo(text, trainingPlan, structureAnalysis = null) {
     }
   }
 
-  return {
+  const academyInfo = {
     academyName: academyName || trainingPlan.academyName || trainingPlan.title || 'Training Academy',
     sport: sport || trainingPlan.category || 'soccer',
     ageGroup: ageGroup || 'Youth',
@@ -1070,6 +1479,26 @@ extractAcademyInfo(text, trainingPlan, structureAnalysis = null) {
     location: 'Training Facility', // Default value
     difficulty: trainingPlan.difficulty || 'intermediate'
   };
+
+  if (!source) {
+    return academyInfo;
+  }
+
+  const fromPlan = ExtractionProvenance.inferred('Taken from the training plan', 0.5);
+  const found = (value, confidence) => value && ExtractionProvenance.locate(source, value, {}, confidence);
+
+  return ExtractionProvenance.annotate(academyInfo, {
+    academyName: found(academyName, 0.8) || (trainingPlan.academyName || trainingPlan.title
+      ? fromPlan
+      : ExtractionProvenance.generated('Default academy name')),
+    sport: found(sport, 0.7) || (trainingPlan.category ? fromPlan : ExtractionProvenance.generated('Default sport')),
+    ageGroup: found(ageGroup, 0.7) || ExtractionProvenance.generated('Default age group'),
+    program: found(program, 0.6) || (structureAnalysis && program
+      ? ExtractionProvenance.inferred('Derived from the document type', 0.4)
+      : fromPlan),
+    location: ExtractionProvenance.generated('Default training location'),
+    difficulty: trainingPlan.difficulty ? fromPlan : ExtractionProvenance.generated('Default difficulty')
+  });
 }
 
 extractWeeklySessions(text, structure, academyInfo) {
@@ -1333,13 +1762,12 @@ isHeaderLine(line) {
   return /^(week\s*\d+|session\s*\d+|day\s*\d+)/i.test(line.trim());
 }
 
-  extractSchedulingInfo(text) {
+  extractSchedulingInfo(text, vocabulary = PlanLocales.getVocabulary(PlanLocales.detect(text).code)) {
     const days = [];
-    const daysPattern = /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi;
-    const matches = text.match(daysPattern);
+    const matches = text.match(vocabulary.dayPattern());
     
     if (matches) {
-      const uniqueDays = [...new Set(matches.map(day => day.toLowerCase()))];
+      const uniqueDays = [...new Set(matches.map(day => vocabulary.normalizeDay(day)))];
       days.push(...uniqueDays);
     }
 
@@ -1355,30 +1783,14 @@ isHeaderLine(line) {
       frequency,
       days,
       pattern: `${days.length} days per week`,
-      preferredTime: this.extractTime(text) || '08:00'
+      preferredTime: this.extractTime(text, vocabulary) || '08:00'
     };
   }
 
   // Helper methods
-  extractTime(text) {
-    const timePattern = /(\d{1,2}):(\d{2})|(\d{1,2})\s*(am|pm)/i;
-    const match = text.match(timePattern);
-    
-    if (match) {
-      if (match[1] && match[2]) {
-        return `${match[1].padStart(2, '0')}:${match[2]}`;
-      } else if (match[3] && match[4]) {
-        let hour = parseInt(match[3]);
-        if (match[4].toLowerCase() === 'pm' && hour !== 12) {
-          hour += 12;
-        } else if (match[4].toLowerCase() === 'am' && hour === 12) {
-          hour = 0;
-        }
-        return `${hour.toString().padStart(2, '0')}:00`;
-      }
-    }
-    
-    return null;
+  // "6pm", "18h30", "saa 12 jioni" - depending on the vocabulary's languages
+  extractTime(text, vocabulary = PlanLocales.getVocabulary()) {
+    return vocabulary.parseTime(text);
   }
 
   parseDuration(durationText) {
@@ -1,6 +1,9 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import ApiService from './ApiService';
 import OfflineService from './OfflineService';
+import LoadManagement from './LoadManagement';
+import InjuryManagement from './InjuryManagement';
+import SemanticIndex from './SemanticIndex';
 
 class SessionService {
   constructor() {
@@ -13,14 +16,14 @@ class SessionService {
   async getUserSessions(userId) {
     try {
       const response = await ApiService.get(`${this.baseUrl}/user/${userId}`);
-      return response;
+      return { ...response, data: await this.applyInjuryRestrictions(userId, response.data) };
     } catch (error) {
       console.error('Error fetching user sessions:', error);
       
       // Try to get cached sessions if online request fails
       const cachedSessions = await this.getCachedSessions(userId);
       if (cachedSessions) {
-        return { data: cachedSessions };
+        return { data: await this.applyInjuryRestrictions(userId, cachedSessions) };
       }
       
       throw error;
@@ -56,6 +59,7 @@ class SessionService {
       
       // Update local cache
       await this.updateSessionCache(response.data);
+      await this.alertRestrictionConflicts(response.data);
       
       return response;
     } catch (error) {
@@ -79,6 +83,7 @@ class SessionService {
         };
         
         await this.updateSessionCache(tempSession);
+        await this.alertRestrictionConflicts(tempSession);
         return { data: tempSession };
       }
       
@@ -200,20 +205,24 @@ class SessionService {
   }
 
   /**
-   * Complete a session
+   * Complete a session. While offline the completion is queued for
+   * syncWithServer and applied to the local copy instead. The load
+   * (duration x RPE from sessionData.athleteLoads, or sessionData.rpe for
+   * the session's own athlete) is recorded in both cases.
    */
-  async completeSession(sessionId, sessionData) {
+  async completeSession(sessionId, sessionData = {}) {
     try {
       const response = await ApiService.post(`${this.baseUrl}/${sessionId}/complete`, sessionData);
       
       // Update local cache
       await this.updateSessionCache(response.data);
+      const loadStatuses = await this.recordTrainingLoad({ id: sessionId, ...sessionData, ...response.data });
       
-      return response;
+      return { ...response, loadStatuses };
     } catch (error) {
       console.error('Error completing session:', error);
       
-      // Store for offline sync
+      // Queue for offline sync
       if (!navigator.onLine) {
         await OfflineService.queueAction({
           type: 'COMPLETE_SESSION',
@@ -222,23 +231,94 @@ class SessionService {
           timestamp: new Date().toISOString()
         });
         
+        // Plan sessions are not in the per-user cache, so keep the device copy too
         const cachedSession = await this.getCachedSessionById(sessionId);
-        if (cachedSession) {
-          const completedSession = {
-            ...cachedSession,
-            ...sessionData,
-            status: 'completed',
-            completedAt: new Date().toISOString()
-          };
+        const completedSession = {
+          ...cachedSession,
+          id: sessionId,
+          ...sessionData,
+          status: 'completed',
+          completedAt: sessionData.completedAt || new Date().toISOString()
+        };
+        if (completedSession.userId) {
           await this.updateSessionCache(completedSession);
-          return { data: completedSession };
         }
+        await OfflineService.storeSession(completedSession);
+        
+        const loadStatuses = await this.recordTrainingLoad(completedSession);
+        return { data: completedSession, loadStatuses };
       }
       
       throw error;
     }
   }
 
+  /**
+   * Log a completed session's load (duration x RPE) and ease off the
+   * upcoming sessions of any athlete the load engine now flags
+   */
+  async recordTrainingLoad(completedSession) {
+    try {
+      const statuses = await LoadManagement.recordSession(completedSession);
+      for (const status of statuses) {
+        await this.applyLoadAdjustments(status);
+      }
+      return statuses;
+    } catch (error) {
+      // The session itself is already completed; load tracking must not undo that
+      console.error('Error recording training load:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Re-apply load adjustments to an athlete's cached upcoming sessions
+   */
+  async applyLoadAdjustments(status) {
+    const cachedSessions = await this.getCachedSessions(status.athleteId);
+    if (!cachedSessions) return;
+
+    const adjustedSessions = cachedSessions.map(session =>
+      session.status === 'scheduled' ? LoadManagement.adjustSession(session, status) : session
+    );
+    await AsyncStorage.setItem(`sessions_${status.athleteId}`, JSON.stringify(adjustedSessions));
+  }
+
+  /**
+   * Drop the drills and exercises an athlete's active injuries rule out.
+   * Applied on every read, so a stage change or clearance shows up on the
+   * next load without rewriting the cache.
+   */
+  async applyInjuryRestrictions(userId, sessions) {
+    try {
+      return await InjuryManagement.applyToSessions(userId, sessions);
+    } catch (error) {
+      console.error('Error applying injury restrictions:', error);
+      return sessions;
+    }
+  }
+
+  /**
+   * Alert the coach when a newly assigned session conflicts with the
+   * athlete's active restrictions
+   */
+  async alertRestrictionConflicts(session) {
+    const athleteId = session?.athleteId || session?.userId;
+    if (!athleteId) return [];
+
+    try {
+      const conflicts = await InjuryManagement.findConflicts([session], [{ id: athleteId, name: session.athleteName }]);
+      return await InjuryManagement.raiseConflictAlerts(conflicts, {
+        planId: session.planId || session.sourcePlan || null,
+        planTitle: session.planTitle || session.title,
+        raisedBy: session.coachId
+      });
+    } catch (error) {
+      console.error('Error checking injury restrictions:', error);
+      return [];
+    }
+  }
+
   /**
    * Update session progress
    */
@@ -285,7 +365,7 @@ class SessionService {
       const response = await ApiService.get(`${this.baseUrl}/user/${userId}/range`, {
         params: { startDate, endDate }
       });
-      return response;
+      return { ...response, data: await this.applyInjuryRestrictions(userId, response.data) };
     } catch (error) {
       console.error('Error fetching sessions by date range:', error);
       
@@ -296,7 +376,7 @@ class SessionService {
           const sessionDate = new Date(session.scheduledDate);
           return sessionDate >= new Date(startDate) && sessionDate <= new Date(endDate);
         });
-        return { data: filteredSessions };
+        return { data: await this.applyInjuryRestrictions(userId, filteredSessions) };
       }
       
       throw error;
@@ -311,7 +391,7 @@ class SessionService {
       const response = await ApiService.get(`${this.baseUrl}/user/${userId}/upcoming`, {
         params: { limit }
       });
-      return response;
+      return { ...response, data: await this.applyInjuryRestrictions(userId, response.data) };
     } catch (error) {
       console.error('Error fetching upcoming sessions:', error);
       
@@ -322,7 +402,7 @@ class SessionService {
           .filter(session => new Date(session.scheduledDate) > now && session.status === 'scheduled')
           .sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate))
           .slice(0, limit);
-        return { data: upcomingSessions };
+        return { data: await this.applyInjuryRestrictions(userId, upcomingSessions) };
       }
       
       throw error;
@@ -345,13 +425,32 @@ class SessionService {
       if (cachedSessions) {
         let filteredSessions = cachedSessions;
         
-        // Apply text search
+        // Apply text search: ranked by meaning, with plain substring
+        // matches kept after the ranked ones
         if (query) {
-          filteredSessions = filteredSessions.filter(session =>
+          const textMatches = filteredSessions.filter(session =>
             session.title.toLowerCase().includes(query.toLowerCase()) ||
             session.type.toLowerCase().includes(query.toLowerCase()) ||
             (session.coach && session.coach.name.toLowerCase().includes(query.toLowerCase()))
           );
+          
+          try {
+            const ranked = await SemanticIndex.rankItems(query, filteredSessions, session => [
+              session.title,
+              session.type,
+              session.description,
+              session.notes,
+              session.coach?.name
+            ].filter(Boolean).join('\n'), {
+              limit: filteredSessions.length,
+              metaFor: session => ({ ageGroup: session.ageGroup, sport: session.sport })
+            });
+            const rankedIds = new Set(ranked.map(session => session.id));
+            filteredSessions = [...ranked, ...textMatches.filter(session => !rankedIds.has(session.id))];
+          } catch (rankError) {
+            console.warn('Semantic ranking unavailable:', rankError.message);
+            filteredSessions = textMatches;
+          }
         }
         
         // Apply additional filters
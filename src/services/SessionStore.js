@@ -0,0 +1,98 @@
+//src/services/SessionStore.js
+import CryptoJS from 'crypto-js';
+import PlatformUtils from '../utils/PlatformUtils';
+import PlanDatabase from './PlanDatabase';
+
+// Bump when the shape of SessionExtractor results changes so stale
+// entries are re-extracted instead of served to the screens
+const STORE_VERSION = 2;
+
+// Persists SessionExtractor results keyed by plan ID and the SHA-256 of the
+// source document bytes, so extraction runs once per document version.
+// Entries are kept in PlanDatabase, one row per plan.
+class SessionStore {
+  hashContent(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return CryptoJS.SHA256(CryptoJS.lib.WordArray.create(bytes)).toString();
+  }
+
+  // Returns the cached entry only if it was extracted from the same content
+  async get(planId, contentHash) {
+    const entry = await PlanDatabase.getSessionCacheEntry(planId);
+
+    if (!entry || entry.version !== STORE_VERSION || entry.contentHash !== contentHash) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  async save(planId, documentId, contentHash, extractionResult) {
+    const entry = {
+      planId,
+      documentId,
+      contentHash,
+      version: STORE_VERSION,
+      storedAt: new Date().toISOString(),
+      result: this.compactResult(extractionResult)
+    };
+
+    try {
+      await PlanDatabase.saveSessionCacheEntry(entry);
+    } catch (error) {
+      throw PlatformUtils.handlePlatformError(error, 'Session Store Save');
+    }
+
+    PlatformUtils.logDebugInfo('Extracted sessions cached', {
+      planId,
+      documentId,
+      totalSessions: extractionResult.totalSessions
+    });
+
+    return entry;
+  }
+
+  async invalidatePlan(planId) {
+    const removed = await PlanDatabase.deleteSessionCacheEntries({ planId });
+    if (removed === 0) return false;
+
+    PlatformUtils.logDebugInfo('Session cache invalidated for plan', { planId });
+    return true;
+  }
+
+  async invalidateDocument(documentId) {
+    const removed = await PlanDatabase.deleteSessionCacheEntries({ documentId });
+    if (removed === 0) return 0;
+
+    PlatformUtils.logDebugInfo('Session cache invalidated for document', {
+      documentId,
+      plansInvalidated: removed
+    });
+    return removed;
+  }
+
+  async clear() {
+    await PlanDatabase.clearSessionCache();
+  }
+
+  // The full structure analysis holds every regex match position in the
+  // document; only the summary is needed once extraction is done
+  compactResult(extractionResult) {
+    const { structureAnalysis, ...rest } = extractionResult;
+
+    return {
+      ...rest,
+      structureAnalysis: structureAnalysis ? {
+        documentType: structureAnalysis.documentType,
+        organizationLevel: structureAnalysis.organizationLevel,
+        confidence: structureAnalysis.confidence
+      } : null
+    };
+  }
+
+  async getStats() {
+    return PlanDatabase.getSessionCacheStats();
+  }
+}
+
+export default new SessionStore();
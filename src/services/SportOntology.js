@@ -0,0 +1,294 @@
+//src/services/SportOntology.js
+import PlatformUtils from '../utils/PlatformUtils';
+import soccer from './sports/soccer';
+import basketball from './sports/basketball';
+import tennis from './sports/tennis';
+import volleyball from './sports/volleyball';
+
+export const DEFAULT_SPORT = 'soccer';
+
+// Every sport pack names its own words for these, which is what lets a
+// "rondo" become a "three-man weave"
+export const SKILL_CONCEPTS = ['ball_control', 'passing', 'scoring', 'set_piece', 'defending', 'tactics', 'game_play'];
+
+// Trained the same way in any sport: drills keep their content and only the
+// equipment and sport words around them change
+const SHARED_SKILLS = {
+  conditioning: ['conditioning', 'fitness', 'endurance', 'stamina', 'sprints', 'sprint', 'intervals'],
+  footwork: ['footwork', 'agility', 'coordination', 'reaction', 'balance', 'speed'],
+  warm_up: ['warm-up', 'warm up', 'cool-down', 'cool down', 'stretching', 'mobility']
+};
+
+const SHARED_EQUIPMENT = {
+  markers: ['cones', 'cone', 'markers', 'marker', 'discs'],
+  bibs: ['bibs', 'bib', 'pinnies', 'vests'],
+  agility: ['agility ladders', 'ladders', 'ladder', 'hurdles', 'hurdle']
+};
+
+export const CONCEPT_LABELS = {
+  ball_control: 'Ball control',
+  passing: 'Passing',
+  scoring: 'Scoring',
+  set_piece: 'Set pieces',
+  defending: 'Defending',
+  tactics: 'Tactics',
+  game_play: 'Game play',
+  conditioning: 'Conditioning',
+  footwork: 'Footwork',
+  warm_up: 'Warm-up'
+};
+
+// Sport packs hold the skill, equipment and drill vocabulary used to move a
+// plan from one sport to another. AIService.sportsKnowledge supplies the key
+// skills and age progression; packs fill it in for sports it lacks.
+class SportOntology {
+  constructor() {
+    this.packs = new Map();
+    this.lexicons = new Map();
+    this.knowledge = null;
+
+    [soccer, basketball, tennis, volleyball].forEach(pack => this.register(pack));
+  }
+
+  register(pack) {
+    const missing = SKILL_CONCEPTS.filter(concept => !pack?.skills?.[concept]?.length || !pack?.drills?.[concept]?.length);
+    if (!pack?.code || !pack.name || missing.length > 0) {
+      throw PlatformUtils.createError(`Invalid sport pack "${pack?.code || 'unknown'}"`, [
+        'A sport pack needs a code, a name, and skill words and drills for every concept'
+      ], 'sport_ontology_error', { missing });
+    }
+
+    this.packs.set(pack.code, pack);
+    this.lexicons.clear();
+    if (this.knowledge && pack.knowledge && !this.knowledge[pack.code]) {
+      this.knowledge[pack.code] = { ...pack.knowledge };
+    }
+    return this;
+  }
+
+  // Called by AIService with its sportsKnowledge so every registered sport
+  // gets key skills and an age progression
+  extendKnowledge(knowledge) {
+    this.knowledge = knowledge;
+    this.packs.forEach(pack => {
+      if (!knowledge[pack.code] && pack.knowledge) {
+        knowledge[pack.code] = { ...pack.knowledge };
+      }
+    });
+    return knowledge;
+  }
+
+  get(code) {
+    return this.packs.get(code) || null;
+  }
+
+  getKnowledge(code) {
+    return this.knowledge?.[code] || this.packs.get(code)?.knowledge || null;
+  }
+
+  list() {
+    return Array.from(this.packs.values()).map(pack => ({ code: pack.code, name: pack.name }));
+  }
+
+  // "Football", "U12 Basketball Academy" -> sport code
+  resolve(name) {
+    const value = String(name || '').trim().toLowerCase();
+    if (!value) return null;
+    if (this.packs.has(value)) return value;
+
+    for (const pack of this.packs.values()) {
+      if ((pack.aliases || []).some(alias => new RegExp(`${this.wordStart()}${this.escape(alias)}${this.wordEnd()}`).test(value))) {
+        return pack.code;
+      }
+    }
+    return null;
+  }
+
+  // Sport whose own vocabulary appears most often in the text
+  detect(text) {
+    let best = null;
+    this.packs.forEach(pack => {
+      const hits = this.findTerms(pack.code, text).filter(match => !match.entry.shared).length;
+      if (hits > 0 && (!best || hits > best.hits)) {
+        best = { code: pack.code, hits };
+      }
+    });
+    return best?.code || null;
+  }
+
+  // Skill concepts in the text, most mentioned first
+  classify(code, text) {
+    const concepts = new Map();
+    this.findTerms(code, text)
+      .filter(match => match.entry.kind === 'skill')
+      .forEach(match => {
+        const current = concepts.get(match.entry.concept) || {
+          concept: match.entry.concept,
+          shared: match.entry.shared,
+          hits: 0,
+          index: match.index
+        };
+        current.hits++;
+        concepts.set(match.entry.concept, current);
+      });
+
+    return Array.from(concepts.values()).sort((a, b) => b.hits - a.hits || a.index - b.index);
+  }
+
+  findTerms(code, text) {
+    const lexicon = this.lexicon(code);
+    if (!lexicon) return [];
+
+    const pattern = new RegExp(lexicon.source, 'gi');
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+      matches.push({ text: match[0], index: match.index, entry: lexicon.entries.get(match[0].toLowerCase()) });
+    }
+    return matches;
+  }
+
+  // Swaps the source sport's words for the target's in a single pass, so a
+  // replaced word is never translated twice. Shared words are left alone.
+  translateText(text, fromCode, toCode) {
+    const lexicon = this.lexicon(fromCode);
+    const unmapped = [];
+    if (!lexicon || typeof text !== 'string' || !text) {
+      return { text, unmapped };
+    }
+
+    const translated = text.replace(new RegExp(lexicon.source, 'gi'), match => {
+      const entry = lexicon.entries.get(match.toLowerCase());
+      if (entry.shared) return match;
+
+      const replacement = this.label(toCode, entry.kind, entry.concept);
+      if (!replacement) {
+        unmapped.push(match);
+        return match;
+      }
+      return this.matchCase(match, replacement);
+    });
+
+    return { text: translated, unmapped };
+  }
+
+  // Equipment items are looked up whole first ("mini goals" -> "hoops");
+  // items the target sport has no use for (rackets in soccer) are dropped
+  mapEquipment(items, fromCode, toCode) {
+    const lexicon = this.lexicon(fromCode);
+    const equipment = [];
+    const changes = [];
+    const unmapped = [];
+
+    (items || []).forEach(item => {
+      const original = String(item || '').trim();
+      if (!original) return;
+
+      const entry = lexicon?.entries.get(original.toLowerCase());
+      let mapped;
+      if (entry && entry.kind === 'equipment') {
+        mapped = entry.shared ? original : this.label(toCode, 'equipment', entry.concept);
+      } else {
+        const result = this.translateText(original, fromCode, toCode);
+        mapped = result.unmapped.length > 0 ? null : result.text;
+      }
+
+      if (!mapped) {
+        unmapped.push(original);
+        return;
+      }
+      if (mapped !== original) {
+        changes.push({ from: original, to: mapped });
+      }
+      if (!equipment.some(existing => existing.toLowerCase() === mapped.toLowerCase())) {
+        equipment.push(mapped);
+      }
+    });
+
+    return { equipment, changes, unmapped };
+  }
+
+  drillFor(code, concept, index = 0) {
+    const drills = this.packs.get(code)?.drills?.[concept] || [];
+    return drills.length > 0 ? drills[index % drills.length] : null;
+  }
+
+  // The first word a pack lists for a concept is the one used in translations
+  label(code, kind, concept) {
+    const pack = this.packs.get(code);
+    if (!pack) return null;
+
+    if (kind === 'sport') return pack.name.toLowerCase();
+    if (kind === 'skill') return pack.skills[concept]?.[0] || SHARED_SKILLS[concept]?.[0] || null;
+    return pack.equipment?.[concept]?.[0] || SHARED_EQUIPMENT[concept]?.[0] || null;
+  }
+
+  // Words that belong to the source sport but not the target, e.g. to check
+  // that a model-written drill no longer talks about goals on a court
+  foreignTerms(text, fromCode, toCode) {
+    const targetLexicon = this.lexicon(toCode);
+    return this.findTerms(fromCode, text)
+      .filter(match => !match.entry.shared && !targetLexicon?.entries.has(match.text.toLowerCase()))
+      .map(match => match.text);
+  }
+
+  lexicon(code) {
+    if (this.lexicons.has(code)) {
+      return this.lexicons.get(code);
+    }
+
+    const pack = this.packs.get(code);
+    if (!pack) return null;
+
+    // Shared words go in first so a pack's own entry for the same word wins
+    const entries = new Map();
+    const add = (words, kind, concept, shared) => {
+      words.forEach(word => entries.set(word.toLowerCase(), { kind, concept, shared }));
+    };
+
+    Object.entries(SHARED_SKILLS).forEach(([concept, words]) => add(words, 'skill', concept, true));
+    Object.entries(SHARED_EQUIPMENT).forEach(([concept, words]) => add(words, 'equipment', concept, true));
+    Object.entries(pack.skills).forEach(([concept, words]) => add(words, 'skill', concept, false));
+    Object.entries(pack.equipment || {}).forEach(([concept, words]) => add(words, 'equipment', concept, false));
+    add(pack.aliases || [pack.code], 'sport', null, false);
+
+    const lexicon = {
+      entries,
+      source: `${this.wordStart()}(?:${this.alternation(Array.from(entries.keys()))})${this.wordEnd()}`
+    };
+    this.lexicons.set(code, lexicon);
+    return lexicon;
+  }
+
+  matchCase(original, replacement) {
+    if (original.length > 1 && original === original.toUpperCase()) {
+      return replacement.toUpperCase();
+    }
+    if (original[0] === original[0].toUpperCase()) {
+      return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+  }
+
+  // Longest first so "free kicks" wins over "kicks"
+  alternation(words) {
+    return [...new Set(words)]
+      .sort((a, b) => b.length - a.length)
+      .map(word => this.escape(word))
+      .join('|');
+  }
+
+  escape(word) {
+    return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  wordStart() {
+    return '(?<![a-z0-9])';
+  }
+
+  wordEnd() {
+    return '(?![a-z0-9])';
+  }
+}
+
+export default new SportOntology();
@@ -0,0 +1,263 @@
+//src/services/TablePlanExtractor.js
+import PlanLocales from './PlanLocales';
+
+const DAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DAY_ALIASES = {
+  mon: 'monday',
+  tue: 'tuesday',
+  tues: 'tuesday',
+  wed: 'wednesday',
+  thu: 'thursday',
+  thur: 'thursday',
+  thurs: 'thursday',
+  fri: 'friday',
+  sat: 'saturday',
+  sun: 'sunday'
+};
+
+// "Day 1".."Day 7" columns are spread over the usual training days
+const NUMBERED_DAY_ORDER = ['monday', 'wednesday', 'friday', 'tuesday', 'thursday', 'saturday', 'sunday'];
+
+// Non-day columns that carry week-level information
+const WEEK_COLUMN_ROLES = [
+  { role: 'focus', pattern: /focus|theme|topic/i },
+  { role: 'objectives', pattern: /objective|goal|outcome/i },
+  { role: 'notes', pattern: /note|comment|remark/i },
+  { role: 'title', pattern: /title|phase|block|cycle/i }
+];
+
+// Cells that mark a day without training
+const REST_PATTERN = /^(rest|off|day off|no training|-+)$/i;
+
+const WEEK_LABEL_PATTERN = /^(?:week|wk|w)\s*\.?\s*(\d+)|^(\d+)$/i;
+
+// How many leading rows are searched for the day header
+const HEADER_SEARCH_ROWS = 5;
+
+// Reads spreadsheet sheets and Word tables as cell grids and works out which
+// rows and columns hold weeks and days, so grid plans map straight onto
+// week/day/session fields instead of going through the line heuristics.
+class TablePlanExtractor {
+  createGrid(name, rows) {
+    return {
+      name,
+      rows: (rows || []).map(row => (row || []).map(cell => this.cleanCell(cell)))
+    };
+  }
+
+  cleanCell(value) {
+    return String(value ?? '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // mammoth's HTML keeps <table> structure that its raw text output drops.
+  // There is no DOM on mobile, so the few tags mammoth emits are parsed here.
+  parseHtmlTables(html) {
+    const tables = html.match(/<table[\s\S]*?<\/table>/gi) || [];
+
+    return tables.map((tableHtml, index) => {
+      const rows = (tableHtml.match(/<tr[\s\S]*?<\/tr>/gi) || []).map(rowHtml => {
+        const cells = [];
+        const cellPattern = /<t([dh])([^>]*)>([\s\S]*?)<\/t\1>/gi;
+        let match;
+
+        while ((match = cellPattern.exec(rowHtml)) !== null) {
+          const colspanMatch = match[2].match(/colspan="?(\d+)/i);
+          const colspan = colspanMatch ? parseInt(colspanMatch[1], 10) : 1;
+
+          cells.push(this.htmlToText(match[3]));
+          // Keep later columns aligned with the header; a spanned cell
+          // should not turn into several sessions
+          for (let i = 1; i < colspan; i++) cells.push('');
+        }
+
+        return cells;
+      });
+
+      return this.createGrid(`Table ${index + 1}`, rows);
+    });
+  }
+
+  htmlToText(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|li|h\d)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'");
+  }
+
+  // Header labels are short, so every locale pack is tried at once
+  parseDay(cell) {
+    const value = String(cell || '').trim().toLowerCase();
+    if (!value) return null;
+
+    const vocabulary = PlanLocales.getCombinedVocabulary();
+    const word = value.match(/^[a-zà-öø-ÿœæ]+(?:-[a-zà-öø-ÿœæ]+)*/)?.[0];
+    if (word && DAY_NAMES.includes(word)) return word;
+    if (word && DAY_ALIASES[word]) return DAY_ALIASES[word];
+    if (word && vocabulary.normalizeDay(word)) return vocabulary.normalizeDay(word);
+
+    const numbered = value.match(new RegExp(`^${vocabulary.dayNumberSource}$`, 'i'));
+    if (numbered) {
+      return NUMBERED_DAY_ORDER[(parseInt(numbered[1], 10) - 1) % NUMBERED_DAY_ORDER.length];
+    }
+
+    return null;
+  }
+
+  parseWeekNumber(cell) {
+    const value = String(cell || '').trim();
+    const match = value.match(WEEK_LABEL_PATTERN)
+      || value.match(new RegExp(`^${PlanLocales.getCombinedVocabulary().weekSource}`, 'i'));
+    if (!match) return null;
+    return parseInt(match[1] || match[2], 10);
+  }
+
+  transpose(rows) {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    return Array.from({ length: width }, (_, col) => rows.map(row => row[col] || ''));
+  }
+
+  // Returns null when the grid is not a week-by-day plan
+  detectPlanLayout(grid) {
+    const asRows = this.detectHeaderLayout(grid.rows);
+    if (asRows) {
+      return { ...asRows, orientation: 'weeks_as_rows', rows: grid.rows };
+    }
+
+    const transposed = this.transpose(grid.rows);
+    const asColumns = this.detectHeaderLayout(transposed);
+    if (asColumns) {
+      return { ...asColumns, orientation: 'days_as_rows', rows: transposed };
+    }
+
+    return null;
+  }
+
+  detectHeaderLayout(rows) {
+    for (let headerRow = 0; headerRow < Math.min(rows.length, HEADER_SEARCH_ROWS); headerRow++) {
+      const header = rows[headerRow];
+      const dayColumns = header
+        .map((cell, col) => ({ col, day: this.parseDay(cell), label: cell }))
+        .filter(column => column.day);
+
+      // One day column is a list, not a grid
+      if (dayColumns.length < 2) continue;
+
+      const dataRows = rows.slice(headerRow + 1);
+      const dayColumnIndexes = dayColumns.map(column => column.col);
+      const otherColumns = header
+        .map((cell, col) => ({ col, label: cell }))
+        .filter(column => !dayColumnIndexes.includes(column.col));
+
+      const weekColumn = otherColumns
+        .map(column => ({
+          col: column.col,
+          matches: dataRows.filter(row => this.parseWeekNumber(row[column.col]) !== null).length
+        }))
+        .filter(column => column.matches > 0)
+        .sort((a, b) => b.matches - a.matches)[0];
+
+      const roleColumns = otherColumns
+        .filter(column => !weekColumn || column.col !== weekColumn.col)
+        .map(column => ({
+          col: column.col,
+          role: WEEK_COLUMN_ROLES.find(entry => entry.pattern.test(column.label))?.role
+        }))
+        .filter(column => column.role);
+
+      return {
+        headerRow,
+        dayColumns,
+        weekColumn: weekColumn ? weekColumn.col : null,
+        roleColumns
+      };
+    }
+
+    return null;
+  }
+
+  // Picks the grids that look like plans, largest first
+  findPlanGrids(grids) {
+    return (grids || [])
+      .map(grid => ({ grid, layout: this.detectPlanLayout(grid) }))
+      .filter(entry => entry.layout)
+      .sort((a, b) => b.layout.rows.length - a.layout.rows.length);
+  }
+
+  // Flattens a detected grid into weeks of day cells. Rows that repeat a
+  // week label (or leave it blank under a merged cell) add to that week.
+  readPlanCells(grid, layout) {
+    const weeks = [];
+    let currentWeek = null;
+
+    layout.rows.slice(layout.headerRow + 1).forEach((row, offset) => {
+      const rowIndex = layout.headerRow + 1 + offset;
+      const cells = layout.dayColumns
+        .map(column => ({
+          day: column.day,
+          dayLabel: column.label,
+          text: row[column.col] || '',
+          row: rowIndex,
+          col: column.col
+        }))
+        .filter(cell => cell.text && !REST_PATTERN.test(cell.text));
+
+      const labelledWeek = layout.weekColumn !== null ? this.parseWeekNumber(row[layout.weekColumn]) : null;
+
+      if (labelledWeek !== null && labelledWeek !== currentWeek?.weekNumber) {
+        currentWeek = this.startWeek(weeks, labelledWeek, row[layout.weekColumn], true);
+      } else if (!currentWeek || (layout.weekColumn === null && cells.length > 0)) {
+        // Without a week column every row with sessions is the next week
+        if (cells.length === 0) return;
+        currentWeek = this.startWeek(weeks, weeks.length + 1, null, false);
+      }
+
+      layout.roleColumns.forEach(({ col, role }) => {
+        if (row[col]) currentWeek[role].push(row[col]);
+      });
+
+      cells.forEach(cell => {
+        const sameDay = currentWeek.cells.find(existing => existing.day === cell.day);
+        if (sameDay) {
+          sameDay.text = `${sameDay.text}\n${cell.text}`;
+        } else {
+          currentWeek.cells.push(cell);
+        }
+      });
+    });
+
+    return {
+      gridName: grid.name,
+      orientation: layout.orientation,
+      weeks: weeks.filter(week => week.cells.length > 0)
+    };
+  }
+
+  startWeek(weeks, weekNumber, label, labelled) {
+    const week = {
+      weekNumber,
+      label,
+      labelled,
+      cells: [],
+      focus: [],
+      objectives: [],
+      notes: [],
+      title: []
+    };
+    weeks.push(week);
+    return week;
+  }
+}
+
+export default new TablePlanExtractor();
@@ -1,10 +1,38 @@
 //src/services/TensorFlowService.js
 import * as tf from '@tensorflow/tfjs';
-import '@tensorflow/tfjs-react-native';
+import { asyncStorageIO } from '@tensorflow/tfjs-react-native';
 import '@tensorflow/tfjs-backend-cpu';
 import '@tensorflow/tfjs-backend-webgl';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import PlatformUtils from '../utils/PlatformUtils';
+import SportOntology, { SKILL_CONCEPTS } from './SportOntology';
+import Tokenizer from './classifier/Tokenizer';
+import classifierCorpus, { CORPUS_VERSION, CLASSIFIER_LABELS } from './classifier/corpus';
+
+const TEXT_CLASSIFIER = {
+  // Bump when the layers change; the corpus carries its own version
+  architectureVersion: 1,
+  hiddenUnits: 24,
+  epochs: 60,
+  batchSize: 16,
+  // Every fifth example of each label is held out for evaluation
+  holdoutEvery: 5,
+  minConfidence: 0.4,
+  metaKey: 'tf_text_classifier_meta',
+  modelKey: 'accella-text-classifier'
+};
+
+// Sentence embeddings for semantic search. Three blocks, each normalised and
+// weighted before the whole vector is: hashed words, word pairs and
+// character n-grams (wording), sport skill concepts from SportOntology
+// ("rondo" and "passing" share one) and the text classifier's hidden layer
+// (what kind of content it is)
+const TEXT_EMBEDDING = {
+  version: 1,
+  hashedDimensions: 512,
+  charGram: 4,
+  weights: { lexical: 0.7, concepts: 0.45, classifier: 0.55 }
+};
 
 class TensorFlowService {
   constructor() {
@@ -236,6 +264,9 @@ class TensorFlowService {
       // Create coaching tips model
       await this.createCoachingTipsModel();
       
+      // Sentence embeddings for semantic search, built on the classifier
+      await this.createSimpleTextEmbedding();
+      
       console.log('TensorFlowService: Essential models created');
       
     } catch (error) {
@@ -244,39 +275,29 @@ class TensorFlowService {
     }
   }
 
+  // Weights trained on an earlier corpus or architecture are ignored and
+  // the classifier is retrained on-device
   async createTextClassificationModel() {
     try {
-      // Create a simple sequential model for text classification
-      const model = tf.sequential({
-        layers: [
-          tf.layers.embedding({
-            inputDim: 10000, // vocab size
-            outputDim: 64,
-            inputLength: 100
-          }),
-          tf.layers.globalAveragePooling1d(),
-          tf.layers.dense({ units: 32, activation: 'relu' }),
-          tf.layers.dropout({ rate: 0.5 }),
-          tf.layers.dense({ units: 8, activation: 'softmax' }) // 8 categories
-        ]
-      });
-      
-      model.compile({
-        optimizer: 'adam',
-        loss: 'categoricalCrossentropy',
-        metrics: ['accuracy']
-      });
+      const classifier = (await this.loadTextClassifier()) || (await this.trainTextClassifier());
       
       this.models.textClassifier = {
-        model,
-        predict: (text) => this.classifyTextWithModel(text, model),
+        model: classifier.model,
+        classifier,
+        predict: (text) => this.classifyTextWithModel(text, classifier),
         isLoaded: true,
-        type: 'local',
-        createdAt: new Date().toISOString()
+        type: 'trained',
+        version: classifier.version,
+        createdAt: classifier.trainedAt
       };
       
-      this.modelStatus.textClassifier.available = true;
-      console.log('TensorFlowService: Text classification model created');
+      this.modelStatus.textClassifier = {
+        downloaded: true,
+        loading: false,
+        available: true,
+        version: classifier.version
+      };
+      console.log('TensorFlowService: Text classifier ready, version', classifier.version);
       
     } catch (error) {
       console.warn('TensorFlowService: Could not create text classification model:', error.message);
@@ -290,6 +311,245 @@ class TensorFlowService {
     }
   }
 
+  getTextClassifierVersion() {
+    return `${CORPUS_VERSION}.${TEXT_CLASSIFIER.architectureVersion}`;
+  }
+
+  getTextClassifierStorage() {
+    return PlatformUtils.isWeb()
+      ? `indexeddb://${TEXT_CLASSIFIER.modelKey}`
+      : asyncStorageIO(TEXT_CLASSIFIER.modelKey);
+  }
+
+  // Bag-of-words input rather than an embedding layer: the embedding's
+  // gradient is slow enough on the CPU backend to make on-device training
+  // take minutes, while this trains in seconds and does as well on a
+  // corpus this size
+  buildTextClassifierModel(vocabularySize, labelCount) {
+    const model = tf.sequential({
+      layers: [
+        tf.layers.dense({ units: TEXT_CLASSIFIER.hiddenUnits, activation: 'relu', inputShape: [vocabularySize] }),
+        tf.layers.dropout({ rate: 0.2 }),
+        tf.layers.dense({ units: labelCount, activation: 'softmax' })
+      ]
+    });
+    
+    model.compile({
+      optimizer: tf.train.adam(0.01),
+      loss: 'categoricalCrossentropy',
+      metrics: ['accuracy']
+    });
+    
+    return model;
+  }
+
+  splitTextClassifierCorpus() {
+    const seen = {};
+    const train = [];
+    const test = [];
+    
+    classifierCorpus.forEach(example => {
+      seen[example.label] = (seen[example.label] || 0) + 1;
+      (seen[example.label] % TEXT_CLASSIFIER.holdoutEvery === 0 ? test : train).push(example);
+    });
+    
+    return { train, test };
+  }
+
+  encodeTextExamples(examples, index) {
+    const vectors = examples.map(example => Tokenizer.vectorize(example.text, index));
+    const labelIds = examples.map(example => CLASSIFIER_LABELS.indexOf(example.label));
+    
+    return {
+      xs: tf.tensor2d(vectors, [examples.length, index.size]),
+      ys: tf.oneHot(tf.tensor1d(labelIds, 'int32'), CLASSIFIER_LABELS.length)
+    };
+  }
+
+  // Runs on the CPU backend on every platform so training behaves the same
+  // on web and on device
+  async trainTextClassifier() {
+    const startTime = Date.now();
+    const previousBackend = tf.getBackend();
+    this.modelStatus.textClassifier.loading = true;
+    
+    try {
+      if (previousBackend !== 'cpu') {
+        await tf.setBackend('cpu');
+      }
+      
+      const { train, test } = this.splitTextClassifierCorpus();
+      const vocabulary = Tokenizer.buildVocabulary(train.map(example => example.text));
+      const index = Tokenizer.indexOf(vocabulary);
+      const model = this.buildTextClassifierModel(vocabulary.length, CLASSIFIER_LABELS.length);
+      
+      const { xs, ys } = this.encodeTextExamples(train, index);
+      let history;
+      try {
+        history = await model.fit(xs, ys, {
+          epochs: TEXT_CLASSIFIER.epochs,
+          batchSize: TEXT_CLASSIFIER.batchSize,
+          shuffle: true,
+          verbose: 0
+        });
+      } finally {
+        xs.dispose();
+        ys.dispose();
+      }
+      
+      const classifier = {
+        model,
+        vocabulary,
+        index,
+        labels: CLASSIFIER_LABELS,
+        version: this.getTextClassifierVersion(),
+        trainedAt: new Date().toISOString(),
+        trainingTimeMs: Date.now() - startTime
+      };
+      
+      const lastEpoch = history.epoch.length - 1;
+      classifier.evaluation = {
+        ...this.evaluateTextClassifier(classifier, test),
+        trainExamples: train.length,
+        vocabularySize: vocabulary.length,
+        epochs: history.epoch.length,
+        finalLoss: Number(history.history.loss[lastEpoch].toFixed(4)),
+        trainingAccuracy: Number((history.history.acc || history.history.accuracy)[lastEpoch].toFixed(4))
+      };
+      
+      await this.saveTextClassifier(classifier);
+      
+      PlatformUtils.logDebugInfo('Text classifier trained', {
+        version: classifier.version,
+        trainingTimeMs: classifier.trainingTimeMs,
+        accuracy: classifier.evaluation.accuracy
+      });
+      
+      return classifier;
+    } finally {
+      this.modelStatus.textClassifier.loading = false;
+      if (previousBackend && previousBackend !== 'cpu') {
+        await tf.setBackend(previousBackend);
+      }
+    }
+  }
+
+  predictTextScores(classifier, texts) {
+    const vectors = texts.map(text => Tokenizer.vectorize(text, classifier.index));
+    return tf.tidy(() => classifier.model
+      .predict(tf.tensor2d(vectors, [texts.length, classifier.index.size]))
+      .arraySync());
+  }
+
+  // Accuracy, per-label precision/recall/F1 and a confusion matrix over
+  // the held-out examples
+  evaluateTextClassifier(classifier, examples) {
+    if (examples.length === 0) {
+      return { testExamples: 0, accuracy: null, macroF1: null, perLabel: {}, confusion: {} };
+    }
+    
+    const scores = this.predictTextScores(classifier, examples.map(example => example.text));
+    const confusion = Object.fromEntries(classifier.labels.map(label => [
+      label,
+      Object.fromEntries(classifier.labels.map(predicted => [predicted, 0]))
+    ]));
+    
+    let correct = 0;
+    examples.forEach((example, i) => {
+      const predicted = classifier.labels[scores[i].indexOf(Math.max(...scores[i]))];
+      confusion[example.label][predicted]++;
+      if (predicted === example.label) correct++;
+    });
+    
+    const perLabel = {};
+    classifier.labels.forEach(label => {
+      const truePositives = confusion[label][label];
+      const support = Object.values(confusion[label]).reduce((sum, count) => sum + count, 0);
+      const predictedCount = classifier.labels.reduce((sum, actual) => sum + confusion[actual][label], 0);
+      const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+      const recall = support > 0 ? truePositives / support : 0;
+      
+      perLabel[label] = {
+        precision: Number(precision.toFixed(3)),
+        recall: Number(recall.toFixed(3)),
+        f1: precision + recall > 0 ? Number((2 * precision * recall / (precision + recall)).toFixed(3)) : 0,
+        support
+      };
+    });
+    
+    const f1Scores = Object.values(perLabel).map(metrics => metrics.f1);
+    return {
+      testExamples: examples.length,
+      accuracy: Number((correct / examples.length).toFixed(3)),
+      macroF1: Number((f1Scores.reduce((sum, f1) => sum + f1, 0) / f1Scores.length).toFixed(3)),
+      perLabel,
+      confusion
+    };
+  }
+
+  // Weights go through the tfjs IO handler, everything needed to encode
+  // text (vocabulary, labels) and the evaluation sit next to them
+  async saveTextClassifier(classifier) {
+    try {
+      await classifier.model.save(this.getTextClassifierStorage());
+      await AsyncStorage.setItem(TEXT_CLASSIFIER.metaKey, JSON.stringify({
+        version: classifier.version,
+        vocabulary: classifier.vocabulary,
+        labels: classifier.labels,
+        trainedAt: classifier.trainedAt,
+        trainingTimeMs: classifier.trainingTimeMs,
+        evaluation: classifier.evaluation
+      }));
+    } catch (error) {
+      // Still usable for this run; the next start trains again
+      console.warn('TensorFlowService: Could not persist text classifier:', error.message);
+    }
+  }
+
+  async loadTextClassifier() {
+    try {
+      const stored = await AsyncStorage.getItem(TEXT_CLASSIFIER.metaKey);
+      const meta = stored ? JSON.parse(stored) : null;
+      
+      if (!meta || meta.version !== this.getTextClassifierVersion()) {
+        return null;
+      }
+      
+      const model = await tf.loadLayersModel(this.getTextClassifierStorage());
+      return {
+        ...meta,
+        model,
+        index: Tokenizer.indexOf(meta.vocabulary)
+      };
+    } catch (error) {
+      console.warn('TensorFlowService: Stored text classifier unusable, retraining:', error.message);
+      return null;
+    }
+  }
+
+  async retrainTextClassifier() {
+    await AsyncStorage.removeItem(TEXT_CLASSIFIER.metaKey);
+    this.models.textClassifier?.model?.dispose();
+    await this.createTextClassificationModel();
+    return this.getTextClassifierReport();
+  }
+
+  getTextClassifierReport() {
+    const entry = this.models.textClassifier;
+    if (!entry || entry.type !== 'trained') {
+      return { type: entry?.type || 'unavailable', version: null, evaluation: null };
+    }
+    
+    return {
+      type: entry.type,
+      version: entry.version,
+      trainedAt: entry.classifier.trainedAt,
+      trainingTimeMs: entry.classifier.trainingTimeMs,
+      labels: entry.classifier.labels,
+      evaluation: entry.classifier.evaluation
+    };
+  }
+
   async createSessionEnhancementModel() {
     try {
       // Create a model for session enhancement scoring
@@ -461,32 +721,122 @@ class TensorFlowService {
     }
   }
 
+  // The pretrained encoder needs a download; this one is built from the
+  // trained classifier and runs offline
   async createSimpleTextEmbedding() {
-    try {
-      // Create a simple embedding model as fallback
-      const model = tf.sequential({
-        layers: [
-          tf.layers.embedding({
-            inputDim: 5000,
-            outputDim: 128,
-            inputLength: 50
-          }),
-          tf.layers.globalAveragePooling1d()
-        ]
-      });
+    this.models.textEmbedding = {
+      embed: (texts) => this.embedTexts(texts),
+      isLoaded: true,
+      type: 'local_embedding',
+      dimensions: this.getEmbeddingDimensions()
+    };
+    
+    console.log('TensorFlowService: Local text embedding ready');
+  }
+
+  getEmbeddingDimensions() {
+    return TEXT_EMBEDDING.hashedDimensions + SKILL_CONCEPTS.length + TEXT_CLASSIFIER.hiddenUnits;
+  }
+
+  // Vectors from different versions are not comparable; a retrained
+  // classifier changes the hidden-layer block too
+  getEmbeddingVersion() {
+    const classifier = this.models.textClassifier?.classifier;
+    return [
+      `embedding-${TEXT_EMBEDDING.version}`,
+      classifier ? `${classifier.version}@${classifier.trainedAt}` : 'no-classifier'
+    ].join(':');
+  }
+
+  // Returns unit-length Float32Arrays, so cosine similarity is a dot product
+  async embedTexts(texts) {
+    if (!this.isReady) {
+      await this.initialize();
+    }
+    
+    const hidden = this.classifierFeatures(texts);
+    return texts.map((text, i) => {
+      const vector = new Float32Array(this.getEmbeddingDimensions());
+      const blocks = [
+        [0, this.hashedFeatures(text), TEXT_EMBEDDING.weights.lexical],
+        [TEXT_EMBEDDING.hashedDimensions, this.conceptFeatures(text), TEXT_EMBEDDING.weights.concepts],
+        [TEXT_EMBEDDING.hashedDimensions + SKILL_CONCEPTS.length, hidden ? hidden[i] : [], TEXT_EMBEDDING.weights.classifier]
+      ];
       
-      this.models.textEmbedding = {
-        model,
-        embed: (text) => this.embedTextSimple(text, model),
-        isLoaded: true,
-        type: 'local_embedding'
-      };
+      blocks.forEach(([offset, values, weight]) => {
+        const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+        if (norm === 0) return;
+        values.forEach((value, j) => {
+          vector[offset + j] = (value / norm) * weight;
+        });
+      });
       
-      console.log('TensorFlowService: Simple text embedding model created');
+      const total = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return total > 0 ? vector.map(value => value / total) : vector;
+    });
+  }
+
+  hashedFeatures(text) {
+    const features = new Array(TEXT_EMBEDDING.hashedDimensions).fill(0);
+    const tokens = Tokenizer.tokenize(text).map(token => Tokenizer.stem(token));
+    const add = (feature, weight) => {
+      const hash = this.hashFeature(feature);
+      // The sign bit spreads collisions instead of stacking them
+      features[hash % TEXT_EMBEDDING.hashedDimensions] += (hash & 0x80000000 ? -1 : 1) * weight;
+    };
+    
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]} ${token}`, 0.5);
       
-    } catch (error) {
-      console.warn('TensorFlowService: Could not create simple embedding model:', error.message);
+      const padded = `^${token}$`;
+      for (let j = 0; j + TEXT_EMBEDDING.charGram <= padded.length; j++) {
+        add(`c:${padded.substr(j, TEXT_EMBEDDING.charGram)}`, 0.25);
+      }
+    });
+    
+    // Long texts should not dominate short ones by raw counts
+    return features.map(value => Math.sign(value) * Math.log1p(Math.abs(value)));
+  }
+
+  conceptFeatures(text) {
+    const features = new Array(SKILL_CONCEPTS.length).fill(0);
+    SportOntology.list().forEach(({ code }) => {
+      SportOntology.classify(code, text).forEach(match => {
+        const index = SKILL_CONCEPTS.indexOf(match.concept);
+        features[index] = Math.max(features[index], Math.log1p(match.hits));
+      });
+    });
+    return features;
+  }
+
+  // Hidden-layer activations of the trained classifier, or null when only
+  // the keyword rules are available
+  classifierFeatures(texts) {
+    const classifier = this.models.textClassifier?.classifier;
+    if (!classifier || texts.length === 0) return null;
+    
+    if (!classifier.featureModel) {
+      classifier.featureModel = tf.model({
+        inputs: classifier.model.inputs,
+        outputs: classifier.model.layers[0].output
+      });
+    }
+    
+    const vectors = texts.map(text => Tokenizer.vectorize(text, classifier.index));
+    return tf.tidy(() => classifier.featureModel
+      .predict(tf.tensor2d(vectors, [texts.length, classifier.index.size]))
+      .arraySync());
+  }
+
+  // FNV-1a, 32-bit unsigned
+  hashFeature(feature) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
     }
+    return hash >>> 0;
   }
 
   // ============= TEXT CLASSIFICATION =============
@@ -526,23 +876,30 @@ class TensorFlowService {
     }
   }
 
-  async classifyTextWithModel(text, model) {
-    try {
-      // This is a placeholder for actual text preprocessing and prediction
-      // In a real implementation, you'd tokenize the text and run inference
-      
-      // For now, fall back to rule-based with model-enhanced confidence
-      const ruleBasedResult = this.classifyTextRuleBased(text);
-      
-      return {
-        ...ruleBasedResult,
-        confidence: Math.min(ruleBasedResult.confidence + 0.1, 1.0),
-        method: 'model_enhanced'
-      };
-      
-    } catch (error) {
-      throw error;
+  // The model predicts what kind of content the text is; sport, difficulty
+  // and age group still come from the keyword rules
+  async classifyTextWithModel(text, classifier) {
+    const ruleBasedResult = this.classifyTextRuleBased(text);
+    
+    // Nothing the vocabulary knows: the model would see an empty vector
+    if (Tokenizer.coverage(text, classifier.index) === 0) {
+      return ruleBasedResult;
     }
+    
+    const [scores] = this.predictTextScores(classifier, [text]);
+    const ranked = scores
+      .map((score, i) => ({ label: classifier.labels[i], score: Number(score.toFixed(3)) }))
+      .sort((a, b) => b.score - a.score);
+    
+    return {
+      ...ruleBasedResult,
+      category: ranked[0].label,
+      categories: ranked.slice(0, 3),
+      confidence: ranked[0].score,
+      lowConfidence: ranked[0].score < TEXT_CLASSIFIER.minConfidence,
+      method: 'trained_model',
+      modelVersion: classifier.version
+    };
   }
 
   classifyTextRuleBased(text) {
@@ -614,6 +971,7 @@ class TensorFlowService {
       difficulty: bestDifficulty,
       ageGroup: bestAgeGroup,
       trainingTypes: detectedTypes.length > 0 ? detectedTypes : ['general'],
+      category: null,
       confidence,
       method: 'enhanced_rule_based',
       features: {
@@ -1508,6 +1866,9 @@ class TensorFlowService {
       this.modelStatus[key] = { downloaded: false, loading: false, available: false };
     });
     
+    // Next start trains the text classifier again
+    await AsyncStorage.removeItem(TEXT_CLASSIFIER.metaKey);
+    
     await this.saveModelStatus();
     console.log('TensorFlowService: All models cleared');
   }
@@ -1550,6 +1911,7 @@ class TensorFlowService {
       memoryInfo: null,
       performance: null,
       modelHealth: {},
+      textClassifier: null,
       systemHealth: 'unknown'
     };
     
@@ -1587,6 +1949,9 @@ class TensorFlowService {
         };
       }
       
+      // Held-out evaluation from the last training run
+      diagnostics.textClassifier = this.getTextClassifierReport();
+      
       // Overall system health
       if (diagnostics.tfReady && diagnostics.backendAvailable) {
         if (diagnostics.performance < 100) {
@@ -0,0 +1,122 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { auth } from '../../config/firebase.config';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+jest.mock('../../config/firebase.config', () => ({
+  db: null,
+  storage: null,
+  auth: { currentUser: null, onAuthStateChanged: () => () => {} }
+}));
+
+// The service starts itself on import and retries on timers; hold those
+// so nothing runs after the tests finish
+let ChatService;
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.useFakeTimers();
+  ChatService = require('../ChatService').default;
+});
+
+afterAll(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+});
+
+const signIn = (uid, { moderator = false } = {}) => {
+  auth.currentUser = { uid, getIdTokenResult: async () => ({ claims: moderator ? { moderator: true } : {} }) };
+};
+
+// Just enough of Firestore for guardian links and their requests
+const createRemote = () => {
+  const requests = new Map();
+  const links = new Map();
+  jest.spyOn(ChatService, 'queryGuardianLinkRequests').mockImplementation(async (field, value) =>
+    [...requests.values()].filter(request => request[field] === value));
+  jest.spyOn(ChatService, 'getGuardianLinkRequest').mockImplementation(async (id) => requests.get(id) || null);
+  jest.spyOn(ChatService, 'saveGuardianLinkRequest').mockImplementation(async (request) => {
+    requests.set(request.id, request);
+  });
+  jest.spyOn(ChatService, 'getGuardianLink').mockImplementation(async (childId) => links.get(childId) || null);
+  jest.spyOn(ChatService, 'saveGuardianLink').mockImplementation(async (link) => {
+    links.set(link.childId, link);
+  });
+  jest.spyOn(ChatService, 'refreshGuardianObservers').mockResolvedValue(0);
+  return { requests, links };
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  ChatService.isOnline = true;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  auth.currentUser = null;
+});
+
+describe('ChatService guardian links', () => {
+  it('refuses to link a guardian for anyone but the child or a moderator', async () => {
+    const { links } = createRemote();
+    signIn('guardian_1');
+
+    await expect(ChatService.linkGuardian('child_1', 'guardian_1'))
+      .rejects.toThrow('Only the child or a moderator can link a guardian');
+    expect(links.size).toBe(0);
+  });
+
+  it('links the guardian only once the child approves the request', async () => {
+    const { links } = createRemote();
+    signIn('guardian_1');
+    const { request } = await ChatService.requestGuardianLink('child_1', { guardianName: 'Pat', childName: 'Sam' });
+
+    expect(request).toMatchObject({ childId: 'child_1', guardianId: 'guardian_1', status: 'pending' });
+    expect(links.size).toBe(0);
+    await expect(ChatService.respondToGuardianLinkRequest(request.id, true))
+      .rejects.toThrow('Only the child or a moderator can answer this request');
+
+    signIn('child_1');
+    expect(await ChatService.getGuardianLinkRequests('child_1')).toHaveLength(1);
+    const result = await ChatService.respondToGuardianLinkRequest(request.id, true);
+
+    expect(result.request).toMatchObject({ status: 'approved', respondedBy: 'child_1' });
+    expect(links.get('child_1').guardianIds).toEqual(['guardian_1']);
+    expect(await ChatService.getGuardianLinkRequests('child_1')).toHaveLength(0);
+  });
+
+  it('lets a moderator confirm a request and leaves declined ones unlinked', async () => {
+    const { links } = createRemote();
+    signIn('guardian_1');
+    const first = (await ChatService.requestGuardianLink('child_1')).request;
+    const second = (await ChatService.requestGuardianLink('child_2')).request;
+
+    signIn('moderator_1', { moderator: true });
+    expect(await ChatService.getPendingGuardianLinkRequests()).toHaveLength(2);
+    await ChatService.respondToGuardianLinkRequest(first.id, true);
+    await ChatService.respondToGuardianLinkRequest(second.id, false);
+
+    expect(links.get('child_1').guardianIds).toEqual(['guardian_1']);
+    expect(links.has('child_2')).toBe(false);
+    await expect(ChatService.respondToGuardianLinkRequest(second.id, true))
+      .rejects.toThrow('This request has already been answered');
+  });
+
+  it('keeps one open request per child and guardian', async () => {
+    const { requests } = createRemote();
+    signIn('guardian_1');
+
+    const first = await ChatService.requestGuardianLink('child_1');
+    const again = await ChatService.requestGuardianLink('child_1');
+
+    expect(again.request.id).toBe(first.request.id);
+    expect(requests.size).toBe(1);
+    await expect(ChatService.requestGuardianLink('guardian_1')).rejects.toThrow('You cannot link your own account');
+  });
+});
@@ -0,0 +1,82 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import DocumentProcessor from '../DocumentProcessor';
+import PlanDatabase from '../PlanDatabase';
+import SessionStore from '../SessionStore';
+import SessionExtractor from '../SessionExtractor';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+// Model-backed services are not needed to store and read plans
+jest.mock('../AIService', () => ({}));
+jest.mock('../TensorFlowService', () => ({}));
+jest.mock('../PDFProcessor', () => ({}));
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DocumentProcessor document content hash', () => {
+  const bytes = new Uint8Array([1, 2, 3]);
+
+  it('reuses the hash stored at upload without reading the file', async () => {
+    const read = jest.spyOn(DocumentProcessor, 'readDocumentData');
+
+    await expect(DocumentProcessor.getDocumentContentHash({ id: 'doc_1', contentHash: 'abc' }))
+      .resolves.toBe('abc');
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  it('hashes an older document once and keeps the hash on its record', async () => {
+    await PlanDatabase.addDocument({ id: 'doc_2', originalName: 'plan.pdf' });
+    const read = jest.spyOn(DocumentProcessor, 'readDocumentData')
+      .mockResolvedValue({ type: 'array', data: bytes });
+
+    const hash = await DocumentProcessor.getDocumentContentHash(await PlanDatabase.getDocument('doc_2'));
+    const stored = await PlanDatabase.getDocument('doc_2');
+
+    expect(hash).toBe(SessionStore.hashContent(bytes));
+    expect(stored.contentHash).toBe(hash);
+    await expect(DocumentProcessor.getDocumentContentHash(stored)).resolves.toBe(hash);
+    expect(read).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('DocumentProcessor re-opening a processed document', () => {
+  const plan = (id, fields) => ({ id, title: id, sourceDocument: 'doc_3', ...fields });
+
+  it('returns the current reviewed plan, not a superseded or pending one', async () => {
+    await PlanDatabase.addDocument({ id: 'doc_3', originalName: 'plan.pdf', processed: true });
+    await PlanDatabase.savePlans([
+      plan('plan_old', { supersededBy: 'plan_current' }),
+      plan('plan_current', { reviewStatus: 'reviewed' }),
+      plan('plan_pending', { reviewStatus: 'pending' }),
+      plan('plan_replaced', { reviewStatus: 'reviewed', supersededBy: 'plan_current' })
+    ]);
+    const extract = jest.spyOn(DocumentProcessor, 'extractDocumentText');
+
+    const result = await DocumentProcessor.processTrainingPlan('doc_3');
+
+    expect(result.id).toBe('plan_current');
+    expect(extract).not.toHaveBeenCalled();
+  });
+});
+
+describe('DocumentProcessor plan assignment', () => {
+  it('keeps assigned athletes when the plan is read back', async () => {
+    await PlanDatabase.savePlans([{ id: 'plan_1', title: 'Pre-season', reviewStatus: 'reviewed' }]);
+
+    await DocumentProcessor.assignTrainingPlan('plan_1', [{ id: 7, name: 'Ada' }]);
+    await DocumentProcessor.assignTrainingPlan('plan_1', [{ id: 7, name: 'Ada' }, { id: 'athlete_2' }]);
+    const [plan] = await DocumentProcessor.getTrainingPlans();
+
+    expect(plan.assignedAthletes).toEqual([{ id: 7, name: 'Ada' }, { id: 'athlete_2', name: null }]);
+    expect(SessionExtractor.getAssignedAthleteIds(plan)).toEqual([7, 'athlete_2']);
+  });
+});
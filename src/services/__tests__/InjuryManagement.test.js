@@ -0,0 +1,87 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { auth } from '../../config/firebase.config';
+import AthleteRecords from '../AthleteRecords';
+import InjuryManagement from '../InjuryManagement';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../config/firebase.config', () => ({ db: {}, auth: { currentUser: null } }));
+
+const knee = { athleteId: 'athlete_1', athleteName: 'Ada', bodyRegion: 'knee', severity: 'moderate' };
+
+// Just enough of Firestore to answer the queries the rules allow
+const createRemote = (records = []) => {
+  const docs = new Map(records.map(record => [record.id, record]));
+  jest.spyOn(AthleteRecords, 'write').mockImplementation(async (collectionName, id, record) => {
+    if (record) docs.set(id, record); else docs.delete(id);
+    if (record) await AthleteRecords.remember([record]);
+  });
+  jest.spyOn(AthleteRecords, 'runQuery').mockImplementation(async (collectionName, field, operator, value) =>
+    [...docs.values()]
+      .filter(doc => doc.id.startsWith(collectionName === 'injuryRecords' ? 'injury_' : 'alert_'))
+      .filter(doc => (operator === '==' ? doc[field] === value : doc[field]?.includes(value))));
+  return docs;
+};
+
+const signIn = (uid) => {
+  auth.currentUser = { uid };
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  await AthleteRecords.clear();
+  await InjuryManagement.clear();
+  signIn('coach_1');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('InjuryManagement record audience', () => {
+  it('names the athlete and the reporting coach on a shared record', async () => {
+    const docs = createRemote();
+
+    const injury = await InjuryManagement.reportInjury(knee, { id: 'coach_1', role: 'coach' });
+
+    expect(docs.get(injury.id)).toMatchObject({ athleteId: 'athlete_1', coachIds: ['coach_1'], guardianIds: [] });
+  });
+
+  it('keeps the athlete\'s coaches and adds their guardians on a self-report', async () => {
+    createRemote([{ id: 'injury_old', athleteId: 'athlete_1', coachIds: ['coach_1'], guardianIds: [], createdAt: '2026-01-01' }]);
+    jest.spyOn(AthleteRecords, 'getGuardianIds').mockResolvedValue(['parent_1']);
+    signIn('athlete_1');
+    await InjuryManagement.getInjuries('athlete_1');
+
+    const injury = await InjuryManagement.reportInjury(knee, { id: 'athlete_1', role: 'athlete' });
+
+    expect(injury.coachIds).toEqual(['coach_1']);
+    expect(injury.guardianIds).toEqual(['parent_1']);
+  });
+
+  it('lets a guardian read the records that name them', async () => {
+    createRemote([
+      { id: 'injury_a', athleteId: 'athlete_1', coachIds: ['coach_1'], guardianIds: ['parent_1'], createdAt: '2026-01-02' },
+      { id: 'injury_b', athleteId: 'athlete_2', coachIds: ['coach_1'], guardianIds: [], createdAt: '2026-01-01' }
+    ]);
+    signIn('parent_1');
+
+    const injuries = await InjuryManagement.getInjuries();
+
+    expect(injuries.map(injury => injury.id)).toEqual(['injury_a']);
+  });
+
+  it('drops a change the rules refuse instead of retrying it on every sync', async () => {
+    jest.spyOn(AthleteRecords, 'write').mockRejectedValue(Object.assign(new Error('Missing or insufficient permissions'), {
+      code: 'permission-denied'
+    }));
+
+    const injury = await InjuryManagement.reportInjury(knee, { id: 'coach_1', role: 'coach' });
+
+    expect(InjuryManagement.pending.size).toBe(0);
+    expect((await InjuryManagement.getInjuries('athlete_1')).map(item => item.id)).toEqual([injury.id]);
+  });
+});
@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AthleteRecords from '../AthleteRecords';
+import LoadManagement from '../LoadManagement';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../config/firebase.config', () => ({
+  db: {},
+  auth: { currentUser: { uid: 'coach_1' } }
+}));
+
+const session = {
+  id: 'session_1',
+  completedAt: new Date().toISOString(),
+  duration: 60,
+  athleteLoads: [{ athleteId: 'athlete_1', athleteName: 'Ada', rpe: 7 }]
+};
+
+// Just enough of Firestore to answer the two queries the rules allow
+const createRemote = (records = []) => {
+  const docs = new Map(records.map(record => [record.id, record]));
+  jest.spyOn(AthleteRecords, 'write').mockImplementation(async (collectionName, id, record) => {
+    if (record) docs.set(id, record); else docs.delete(id);
+  });
+  jest.spyOn(AthleteRecords, 'runQuery').mockImplementation(async (collectionName, field, operator, value) =>
+    [...docs.values()].filter(doc => (operator === '==' ? doc[field] === value : doc[field]?.includes(value))));
+  return docs;
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  await AthleteRecords.clear();
+  await LoadManagement.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LoadManagement shared log', () => {
+  it('shares logged load with the athlete and the coach who logged it', async () => {
+    const docs = createRemote();
+
+    await LoadManagement.recordSession(session);
+
+    expect(docs.get('session_1_athlete_1')).toMatchObject({ athleteId: 'athlete_1', load: 420, coachIds: ['coach_1'] });
+  });
+
+  it('reads load another device logged for an athlete it coaches', async () => {
+    createRemote([
+      { id: 'session_2_athlete_1', athleteId: 'athlete_1', coachIds: ['coach_1'], date: session.completedAt, duration: 30, rpe: 4, load: 120 },
+      { id: 'session_3_athlete_9', athleteId: 'athlete_9', coachIds: ['coach_2'], date: session.completedAt, duration: 30, rpe: 4, load: 120 }
+    ]);
+
+    const athletes = await LoadManagement.getAthletes();
+
+    expect(athletes.map(athlete => athlete.athleteId)).toEqual(['athlete_1']);
+  });
+
+  it('keeps load logged offline and sends it on the next sync', async () => {
+    jest.spyOn(AthleteRecords, 'write').mockRejectedValue(new Error('offline'));
+    await LoadManagement.recordSession(session);
+
+    const docs = createRemote();
+    LoadManagement.refresh();
+    const status = await LoadManagement.getAthleteStatus('athlete_1');
+
+    expect(status.athleteId).toBe('athlete_1');
+    expect(docs.has('session_1_athlete_1')).toBe(true);
+  });
+
+  it('sends entries logged before the log was shared, with the coach added', async () => {
+    await AsyncStorage.setItem('athlete_load_log', JSON.stringify([
+      { id: 'session_0_athlete_1', athleteId: 'athlete_1', sessionId: 'session_0', date: session.completedAt, duration: 45, rpe: 5, load: 225 }
+    ]));
+    LoadManagement.entries = null;
+    const docs = createRemote();
+
+    await LoadManagement.getAthletes();
+
+    expect(docs.get('session_0_athlete_1').coachIds).toEqual(['coach_1']);
+  });
+
+  it('stops sending an entry the rules refuse', async () => {
+    jest.spyOn(AthleteRecords, 'write').mockRejectedValue(Object.assign(new Error('Missing or insufficient permissions'), {
+      code: 'permission-denied'
+    }));
+    await LoadManagement.recordSession(session);
+
+    const docs = createRemote([
+      { id: 'session_2_athlete_1', athleteId: 'athlete_1', coachIds: ['coach_1'], date: session.completedAt, duration: 30, rpe: 4, load: 120 }
+    ]);
+    LoadManagement.refresh();
+    await LoadManagement.getAthletes();
+
+    expect(LoadManagement.pending.size).toBe(0);
+    expect(docs.has('session_1_athlete_1')).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+import { auth } from '../../config/firebase.config';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+jest.mock('../../config/firebase.config', () => ({
+  db: null,
+  storage: null,
+  auth: { currentUser: null, onAuthStateChanged: () => () => {} }
+}));
+
+const moderator = { uid: 'moderator_1', role: 'admin' };
+
+// ChatService starts itself on import and retries on timers; hold those so
+// nothing runs after the tests finish
+let ModerationService;
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.useFakeTimers();
+  ModerationService = require('../ModerationService').default;
+});
+
+afterAll(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+});
+
+const signIn = (uid, claims = {}) => {
+  auth.currentUser = { uid, getIdTokenResult: async () => ({ claims }) };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  auth.currentUser = null;
+});
+
+describe('ModerationService moderator check', () => {
+  it('refuses a moderator role without the moderator claim', async () => {
+    signIn('moderator_1');
+    const queryReports = jest.spyOn(ModerationService, 'queryReports').mockResolvedValue([]);
+
+    await expect(ModerationService.getQueue(moderator)).rejects.toThrow('You do not have permission to moderate content');
+    expect(queryReports).not.toHaveBeenCalled();
+  });
+
+  it('refuses the claim without a moderator role', async () => {
+    signIn('player_1', { moderator: true });
+
+    await expect(ModerationService.claimReport({ uid: 'player_1', role: 'player' }, 'report_1'))
+      .rejects.toThrow('You do not have permission to moderate content');
+  });
+
+  it('opens the queue to a moderator holding the claim', async () => {
+    signIn('moderator_1', { moderator: true });
+    jest.spyOn(ModerationService, 'queryReports').mockResolvedValue([
+      { id: 'report_1', priority: 'normal', createdAt: '2026-01-01T00:00:00Z' },
+      { id: 'report_2', priority: 'urgent', createdAt: '2026-01-02T00:00:00Z' }
+    ]);
+
+    const queue = await ModerationService.getQueue(moderator);
+
+    expect(queue.map(report => report.id)).toEqual(['report_2', 'report_1']);
+  });
+});
@@ -0,0 +1,58 @@
+import OpenAICompatibleProvider from '../llm/OpenAICompatibleProvider';
+
+const config = { baseUrl: 'http://localhost:8080/v1', model: 'llama3.2' };
+
+// A streamed response delivering the given pieces of body text in order
+const streamResponse = (pieces) => {
+  const encoder = new TextEncoder();
+  const chunks = pieces.map(piece => encoder.encode(piece));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length > 0
+          ? { done: false, value: chunks.shift() }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+};
+
+const token = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n`;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('OpenAICompatibleProvider streaming', () => {
+  it('skips chunks that are not JSON and keeps streaming', async () => {
+    global.fetch = jest.fn(async () => streamResponse([
+      token('Warm'),
+      ': keep-alive\n',
+      'data: {"choices": [\n',
+      token(' up'),
+      'data: [DONE]\n'
+    ]));
+    const onToken = jest.fn();
+
+    const result = await OpenAICompatibleProvider.stream({ prompt: 'Plan a warm-up' }, config, onToken);
+
+    expect(result.text).toBe('Warm up');
+    expect(onToken).toHaveBeenLastCalledWith(' up', 'Warm up');
+  });
+
+  it('reads a token split across two reads', async () => {
+    const line = token('Sprint');
+    global.fetch = jest.fn(async () => streamResponse([line.slice(0, 12), line.slice(12)]));
+
+    const result = await OpenAICompatibleProvider.stream({ prompt: 'Drill' }, config, () => {});
+
+    expect(result.text).toBe('Sprint');
+  });
+});
@@ -0,0 +1,90 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlanDatabase, { LEGACY_KEYS } from '../PlanDatabase';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Just enough of an expo-sqlite database to record what the migration writes
+const createDatabase = ({ failWrites = false } = {}) => {
+  const statements = [];
+  return {
+    statements,
+    getFirstAsync: async () => null,
+    runAsync: async (sql, ...params) => {
+      statements.push([sql, ...params]);
+    },
+    withTransactionAsync: async (task) => task(),
+    prepareAsync: async (sql) => ({
+      executeAsync: async (params) => {
+        if (failWrites) throw new Error('disk I/O error');
+        statements.push([sql, ...params]);
+      },
+      finalizeAsync: async () => {}
+    })
+  };
+};
+
+const marksMigrated = (db) => db.statements.some(([sql]) => sql.includes('INTO meta'));
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PlanDatabase AsyncStorage migration', () => {
+  it('removes the keys it copied and keeps one it could not read', async () => {
+    await AsyncStorage.multiSet([
+      [LEGACY_KEYS.documents, JSON.stringify([{ id: 'doc_1', originalName: 'plan.pdf' }])],
+      [LEGACY_KEYS.plans, '[{"id": "plan_1"'],
+      [LEGACY_KEYS.sessions, JSON.stringify([{ id: 'session_1' }])]
+    ]);
+    const db = createDatabase();
+
+    await PlanDatabase.migrateFromAsyncStorage(db);
+
+    expect(await AsyncStorage.getItem(LEGACY_KEYS.documents)).toBeNull();
+    expect(await AsyncStorage.getItem(LEGACY_KEYS.sessions)).toBeNull();
+    expect(await AsyncStorage.getItem(LEGACY_KEYS.plans)).toBe('[{"id": "plan_1"');
+    expect(marksMigrated(db)).toBe(false);
+  });
+
+  it('keeps every key when the rows cannot be written', async () => {
+    await AsyncStorage.setItem(LEGACY_KEYS.plans, JSON.stringify([{ id: 'plan_1' }]));
+
+    await expect(PlanDatabase.migrateFromAsyncStorage(createDatabase({ failWrites: true })))
+      .rejects.toThrow('disk I/O error');
+    expect(await AsyncStorage.getItem(LEGACY_KEYS.plans)).toBe(JSON.stringify([{ id: 'plan_1' }]));
+  });
+
+  it('marks the migration done once every key was copied', async () => {
+    await AsyncStorage.setItem(LEGACY_KEYS.plans, JSON.stringify([{ id: 'plan_1' }]));
+    const db = createDatabase();
+
+    await PlanDatabase.migrateFromAsyncStorage(db);
+
+    expect(await AsyncStorage.getItem(LEGACY_KEYS.plans)).toBeNull();
+    expect(marksMigrated(db)).toBe(true);
+  });
+});
+
+describe('PlanDatabase session cache migration', () => {
+  it('copies the cached sessions into their table and frees the key', async () => {
+    await AsyncStorage.setItem('extracted_session_store', JSON.stringify({
+      version: 2,
+      entries: { plan_1: { planId: 'plan_1', documentId: 'doc_1', contentHash: 'hash_a', result: { totalSessions: 4 } } }
+    }));
+    const db = createDatabase();
+
+    await PlanDatabase.migrateSessionCache(db);
+
+    const [row] = db.statements.filter(([sql]) => sql.includes('INTO session_cache'));
+    expect(row.slice(1, 6)).toEqual(['plan_1', 'doc_1', 'hash_a', 2, 4]);
+    expect(await AsyncStorage.getItem('extracted_session_store')).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import PlanInterchange from '../PlanInterchange';
+
+const week = (sessions) => ({
+  weekNumber: 1,
+  title: 'Week 1',
+  dailySessions: sessions.map((session, index) => ({
+    id: `session_${index}`,
+    title: `Session ${index + 1}`,
+    day: 'monday',
+    time: '18:00',
+    ...session
+  }))
+});
+
+const exportSessions = (sessions) => {
+  const data = PlanInterchange.exportPlan({ id: 'plan_1', title: 'Plan' }, [week(sessions)]);
+  return { data, sessions: data.weeks[0].days[0].sessions };
+};
+
+describe('PlanInterchange session duration', () => {
+  it('keeps a session length through export and import', () => {
+    const { data, sessions } = exportSessions([{ duration: 75 }]);
+
+    expect(sessions[0].duration).toBe(75);
+    expect(PlanInterchange.validate(data).isValid).toBe(true);
+    expect(PlanInterchange.importWeeks(data)[0].dailySessions[0].duration).toBe(75);
+  });
+
+  it('leaves out a missing or zero duration instead of inventing one', () => {
+    const { data, sessions } = exportSessions([{}, { duration: 0 }]);
+
+    expect(sessions.map(session => 'duration' in session)).toEqual([false, false]);
+    expect(PlanInterchange.validate(data).isValid).toBe(true);
+
+    const [imported] = PlanInterchange.importWeeks(data);
+    expect(imported.dailySessions.map(session => session.duration)).toEqual([undefined, undefined]);
+    expect(imported.totalDuration).toBe(0);
+  });
+
+  it('rejects a session whose duration is not positive', () => {
+    const { data } = exportSessions([{ duration: 60 }]);
+    data.weeks[0].days[0].sessions[0].duration = 0;
+
+    expect(PlanInterchange.validate(data).isValid).toBe(false);
+  });
+});
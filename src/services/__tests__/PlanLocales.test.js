@@ -0,0 +1,36 @@
+import PlanLocales from '../PlanLocales';
+
+const durations = (code, text) => PlanLocales.getVocabulary(code)
+  .findDurations(text)
+  .map(duration => [duration.text, duration.minutes]);
+
+describe('PlanLocales durations', () => {
+  it('reads "1h30" as a session length next to a clock time', () => {
+    const vocabulary = PlanLocales.getVocabulary('fr');
+    const text = 'séance à 18h30 pendant 1h30 et 45 min';
+
+    expect(durations('fr', text)).toEqual([['1h30', 90], ['45 min', 45]]);
+    expect(vocabulary.parseTime(text)).toBe('18:30');
+  });
+
+  it('leaves an hour and minutes after a time cue to parseTime', () => {
+    const vocabulary = PlanLocales.getVocabulary('fr');
+
+    expect(durations('fr', 'à 5h30 puis 2h de course')).toEqual([['2h', 120]]);
+    expect(durations('fr', 'à 5 h 30')).toEqual([]);
+    expect(vocabulary.parseTime('à 5h30')).toBe('05:30');
+  });
+
+  it('does not read spaced hours and minutes as whole hours', () => {
+    expect(durations('fr', '1 h 15 de récupération')).toEqual([['1 h 15', 75]]);
+  });
+
+  it('applies to Spanish and Portuguese plans', () => {
+    expect(durations('es', 'a las 5h30 sesión de 1h30')).toEqual([['1h30', 90]]);
+    expect(durations('pt', 'às 5h30 treino de 1h45')).toEqual([['1h45', 105]]);
+  });
+
+  it('keeps English hour units unchanged', () => {
+    expect(durations('en', 'Session 1h30 for 45 minutes')).toEqual([['45 minutes', 45]]);
+  });
+});
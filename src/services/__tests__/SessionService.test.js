@@ -0,0 +1,75 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiService from '../ApiService';
+import OfflineService from '../OfflineService';
+import LoadManagement from '../LoadManagement';
+import SessionService from '../SessionService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+jest.mock('../ApiService', () => ({ get: jest.fn(), post: jest.fn(), put: jest.fn() }));
+jest.mock('../../config/firebase.config', () => ({ db: null }));
+jest.mock('../TensorFlowService', () => ({}));
+
+const groupCompletion = {
+  duration: 60,
+  athleteLoads: [
+    { athleteId: 'athlete_1', athleteName: 'Ada', rpe: 7 },
+    { athleteId: 'athlete_2', athleteName: 'Ben', rpe: 5 }
+  ]
+};
+
+const setOnline = (onLine) => {
+  global.navigator = { ...global.navigator, onLine };
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await AsyncStorage.clear();
+  await LoadManagement.clear();
+  setOnline(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  ApiService.post.mockReset();
+});
+
+describe('SessionService.completeSession', () => {
+  it('posts the completion and records each athlete\'s load', async () => {
+    ApiService.post.mockResolvedValue({ data: { id: 'session_1', status: 'completed' } });
+
+    const result = await SessionService.completeSession('session_1', groupCompletion);
+
+    expect(ApiService.post).toHaveBeenCalledWith('/api/sessions/session_1/complete', groupCompletion);
+    expect(result.loadStatuses.map(status => status.athleteId)).toEqual(['athlete_1', 'athlete_2']);
+    expect((await LoadManagement.load()).map(entry => entry.load)).toEqual([420, 300]);
+    expect(await OfflineService.getPendingActions()).toEqual([]);
+  });
+
+  it('queues the completion while offline and still records the load', async () => {
+    ApiService.post.mockRejectedValue(new Error('Network Error'));
+    setOnline(false);
+
+    const result = await SessionService.completeSession('session_1', groupCompletion);
+
+    const [action] = await OfflineService.getPendingActions();
+    expect(action).toMatchObject({ type: 'COMPLETE_SESSION', sessionId: 'session_1', data: groupCompletion });
+    expect(result.data.status).toBe('completed');
+    expect(result.loadStatuses).toHaveLength(2);
+    expect((await OfflineService.getSessions()).find(s => s.id === 'session_1').status).toBe('completed');
+  });
+
+  it('rethrows a failure while online without queueing or logging load', async () => {
+    ApiService.post.mockRejectedValue(new Error('Request failed with status code 500'));
+
+    await expect(SessionService.completeSession('session_1', groupCompletion)).rejects.toThrow('500');
+    expect(await OfflineService.getPendingActions()).toEqual([]);
+    expect(await LoadManagement.load()).toEqual([]);
+  });
+});
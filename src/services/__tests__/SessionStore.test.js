@@ -0,0 +1,56 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SessionStore from '../SessionStore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const result = (totalSessions) => ({
+  totalSessions,
+  sessions: [],
+  structureAnalysis: { documentType: 'weekly', organizationLevel: { level: 'basic_structure' }, confidence: 0.5, matches: [1, 2, 3] }
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SessionStore', () => {
+  it('serves an entry only for the content it was extracted from', async () => {
+    await SessionStore.save('plan_1', 'doc_1', 'hash_a', result(4));
+
+    const cached = await SessionStore.get('plan_1', 'hash_a');
+    expect(cached.result.totalSessions).toBe(4);
+    expect(cached.result.structureAnalysis).toEqual({
+      documentType: 'weekly',
+      organizationLevel: { level: 'basic_structure' },
+      confidence: 0.5
+    });
+    await expect(SessionStore.get('plan_1', 'hash_b')).resolves.toBeNull();
+  });
+
+  it('drops the entries of every plan built from a document', async () => {
+    await SessionStore.save('plan_1', 'doc_1', 'hash_a', result(4));
+    await SessionStore.save('plan_2', 'doc_1', 'hash_a', result(2));
+    await SessionStore.save('plan_3', 'doc_2', 'hash_c', result(3));
+
+    await expect(SessionStore.invalidateDocument('doc_1')).resolves.toBe(2);
+    await expect(SessionStore.getStats()).resolves.toMatchObject({ cachedPlans: 1, totalSessions: 3 });
+    await expect(SessionStore.invalidatePlan('plan_1')).resolves.toBe(false);
+  });
+
+  it('reads entries cached before the store moved into the plan database', async () => {
+    await AsyncStorage.setItem('extracted_session_store', JSON.stringify({
+      version: 2,
+      entries: { plan_1: { planId: 'plan_1', documentId: 'doc_1', contentHash: 'hash_a', result: result(4) } }
+    }));
+
+    await expect(SessionStore.get('plan_1', 'hash_a')).resolves.toMatchObject({ planId: 'plan_1', version: 2 });
+  });
+});
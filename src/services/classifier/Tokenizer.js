@@ -0,0 +1,68 @@
+//src/services/classifier/Tokenizer.js
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by',
+  'is', 'are', 'be', 'each', 'then', 'it', 'its', 'as', 'or', 'from', 'into'
+]);
+
+// Word-level tokenizer shared by training and inference, so a vocabulary
+// built on the corpus encodes new text the same way
+class Tokenizer {
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => (/^\d+$/.test(token) ? '<num>' : token));
+  }
+
+  // Most frequent tokens first; ties keep corpus order so the same corpus
+  // always produces the same vocabulary
+  buildVocabulary(texts, { maxSize = 2000, minCount = 1 } = {}) {
+    const counts = new Map();
+    texts.forEach(text => {
+      this.tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .filter(([, count]) => count >= minCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxSize)
+      .map(([word]) => word);
+  }
+
+  // Crude suffix stripping so "pressing", "presses" and "press" meet in
+  // search; the classifier vocabulary uses the unstemmed tokens
+  stem(token) {
+    if (token.length <= 4 || token.startsWith('<')) return token;
+    return token
+      .replace(/(ing|ed)$/, '')
+      .replace(/(ies)$/, 'y')
+      .replace(/([^s])s$/, '$1');
+  }
+
+  indexOf(vocabulary) {
+    return new Map(vocabulary.map((word, index) => [word, index]));
+  }
+
+  // Bag-of-words: 1 for every vocabulary word present in the text
+  vectorize(text, index) {
+    const vector = new Array(index.size).fill(0);
+    this.tokenize(text).forEach(token => {
+      if (index.has(token)) vector[index.get(token)] = 1;
+    });
+    return vector;
+  }
+
+  // Share of tokens the vocabulary knows; 0 means the model would see an
+  // empty vector and its answer is meaningless
+  coverage(text, index) {
+    const tokens = this.tokenize(text);
+    if (tokens.length === 0) return 0;
+    return tokens.filter(token => index.has(token)).length / tokens.length;
+  }
+}
+
+export default new Tokenizer();
@@ -0,0 +1,259 @@
+//src/services/classifier/corpus.js
+
+// Labelled session and drill descriptions for TensorFlowService's text
+// classifier. Bump CORPUS_VERSION whenever examples or labels change so
+// devices retrain instead of loading weights for the old corpus.
+export const CORPUS_VERSION = 1;
+
+export const CLASSIFIER_LABELS = [
+  'warm_up',
+  'technique',
+  'tactical',
+  'conditioning',
+  'strength',
+  'game_play',
+  'cool_down',
+  'logistics'
+];
+
+export default [
+  // warm_up
+  { label: 'warm_up', text: 'Light jog around the pitch followed by dynamic stretches' },
+  { label: 'warm_up', text: 'Warm-up: high knees, butt kicks and side shuffles across the court' },
+  { label: 'warm_up', text: '10 min warm up with skipping, leg swings and arm circles' },
+  { label: 'warm_up', text: 'Activation drills to raise heart rate before the main session' },
+  { label: 'warm_up', text: 'Easy jogging and mobility work to get the players moving' },
+  { label: 'warm_up', text: 'Dynamic warm-up: lunges with rotation, carioca and strides' },
+  { label: 'warm_up', text: 'Rondo warm up at low intensity to get touches on the ball' },
+  { label: 'warm_up', text: 'Start with a gentle jog and open the hips with walking stretches' },
+  { label: 'warm_up', text: 'Pulse raiser: tag game in a small grid for five minutes' },
+  { label: 'warm_up', text: 'FIFA 11+ warm up programme, part one running exercises' },
+  { label: 'warm_up', text: 'Light rallying from the service line to warm up the arm' },
+  { label: 'warm_up', text: 'Pepper in pairs and arm swings to prepare the shoulders' },
+  { label: 'warm_up', text: 'Jumping jacks, ankle hops and build-up sprints at half pace' },
+  { label: 'warm_up', text: 'Preparation phase: movement prep and light ball handling' },
+  { label: 'warm_up', text: 'Lay-up lines at walking pace to loosen up' },
+  { label: 'warm_up', text: 'Gradually increase pace over three laps, then dynamic stretching' },
+  { label: 'warm_up', text: 'Mini band glute activation and leg swings before kicking' },
+  { label: 'warm_up', text: 'Calentamiento suave, then stretches for the legs and hips' },
+  { label: 'warm_up', text: 'Warm up with passing in pairs while moving, then short sprints' },
+  { label: 'warm_up', text: 'Mobility circuit: hip openers, inchworms and world\'s greatest stretch' },
+  { label: 'warm_up', text: 'Light shooting around the key to warm up before practice' },
+  { label: 'warm_up', text: 'Five minute jog then dynamic warm up led by the captain' },
+  { label: 'warm_up', text: 'Prepare the body: skipping, side steps and backward running' },
+  { label: 'warm_up', text: 'Easy ball touches and stretching before the session begins' },
+  { label: 'warm_up', text: 'Shadow swings and split steps to warm up on court' },
+  { label: 'warm_up', text: 'Raise the temperature with a chasing game, then dynamic stretches' },
+  { label: 'warm_up', text: 'Warm-up lap and leg swings at the fence' },
+  { label: 'warm_up', text: 'Gentle rallying and arm circles before serving practice' },
+
+  // technique
+  { label: 'technique', text: 'Passing technique: inside of the foot, lock the ankle, follow through' },
+  { label: 'technique', text: 'Dribbling through cones using both feet and close control' },
+  { label: 'technique', text: 'Shooting form: elbow under the ball, bend the knees, hold the follow-through' },
+  { label: 'technique', text: 'First touch practice receiving on the back foot' },
+  { label: 'technique', text: 'Forehand groundstrokes feeding from the basket, focus on contact point' },
+  { label: 'technique', text: 'Serve technique: toss placement and racket drop' },
+  { label: 'technique', text: 'Forearm passing against the wall, platform angle and footwork' },
+  { label: 'technique', text: 'Ball mastery: sole rolls, toe taps and inside-outside touches' },
+  { label: 'technique', text: 'Two-ball dribbling series to improve weak hand control' },
+  { label: 'technique', text: 'Heading technique with soft balls, eyes open and neck strong' },
+  { label: 'technique', text: 'Setting drill: hands above the forehead, push through the fingers' },
+  { label: 'technique', text: 'Juggling challenge alternating feet and thighs' },
+  { label: 'technique', text: 'Free throw routine with focus on balance and release' },
+  { label: 'technique', text: 'Volley technique at the net, short backswing and firm wrist' },
+  { label: 'technique', text: 'Crossing and finishing technique from wide positions' },
+  { label: 'technique', text: 'Footwork ladder into a controlled pass to a partner' },
+  { label: 'technique', text: 'Weak foot passing in pairs over ten yards' },
+  { label: 'technique', text: 'Spike approach footwork and arm swing without the ball' },
+  { label: 'technique', text: 'Control and pass in triangles focusing on the first touch' },
+  { label: 'technique', text: 'Backhand slice technique, low to high swing path' },
+  { label: 'technique', text: 'Finishing with the laces, strike through the middle of the ball' },
+  { label: 'technique', text: 'Layup technique: right hand, left foot take-off' },
+  { label: 'technique', text: 'Receiving on the half turn with an open body' },
+  { label: 'technique', text: 'Blocking technique, hands over the net and penetrate' },
+  { label: 'technique', text: 'Chest control and volley drills with a partner' },
+  { label: 'technique', text: 'Crossover dribble and change of pace moves' },
+  { label: 'technique', text: 'Digging technique: low stance and absorb the ball' },
+  { label: 'technique', text: 'Long passing technique, strike the ball with the instep' },
+
+  // tactical
+  { label: 'tactical', text: 'Team shape in defence, keep the back four compact' },
+  { label: 'tactical', text: 'Pressing triggers: when to press the full back' },
+  { label: 'tactical', text: 'Build-up play from the goalkeeper through the centre backs' },
+  { label: 'tactical', text: 'Pick and roll reads for the ball handler and the screener' },
+  { label: 'tactical', text: 'Zone defence rotations and closeouts' },
+  { label: 'tactical', text: 'Transition from defence to attack after winning the ball' },
+  { label: 'tactical', text: 'Set pieces: attacking corner routines and marking assignments' },
+  { label: 'tactical', text: 'Positional play, creating overloads on the wings' },
+  { label: 'tactical', text: 'Doubles positioning, serve and volley patterns' },
+  { label: 'tactical', text: 'Serve receive formation and rotation responsibilities' },
+  { label: 'tactical', text: 'Walk through offensive sets and inbound plays' },
+  { label: 'tactical', text: 'Defending a lead: when to drop deep and slow the game' },
+  { label: 'tactical', text: 'Counter attack patterns with three players' },
+  { label: 'tactical', text: 'Video review of the last match, defensive organisation' },
+  { label: 'tactical', text: 'Marking at free kicks, zonal versus man-to-man' },
+  { label: 'tactical', text: 'Playing out from the back under pressure, switching the play' },
+  { label: 'tactical', text: 'Blocking schemes against a quick middle attack' },
+  { label: 'tactical', text: 'Formation 4-3-3 roles and responsibilities in possession' },
+  { label: 'tactical', text: 'Pressing as a unit when the ball goes wide' },
+  { label: 'tactical', text: 'Man to man defence and help side positioning' },
+  { label: 'tactical', text: 'Attacking the space behind the defensive line' },
+  { label: 'tactical', text: 'Game plan for Saturday against a high pressing team' },
+  { label: 'tactical', text: 'Rotation in attack: overlaps and underlaps on the flank' },
+  { label: 'tactical', text: 'Covering and balance when the centre back steps out' },
+  { label: 'tactical', text: 'Decision making in 2v1 situations, when to pass or dribble' },
+  { label: 'tactical', text: 'Defensive transition: counter press for five seconds' },
+  { label: 'tactical', text: 'Returning serve patterns and court positioning in singles' },
+  { label: 'tactical', text: 'Offensive spacing and ball movement against the zone' },
+
+  // conditioning
+  { label: 'conditioning', text: 'Interval runs: 6 x 200m with 90 seconds rest' },
+  { label: 'conditioning', text: 'Shuttle sprints and repeated sprint ability work' },
+  { label: 'conditioning', text: 'Aerobic endurance: 20 minute tempo run' },
+  { label: 'conditioning', text: 'Suicides across the court, four sets' },
+  { label: 'conditioning', text: 'High intensity intervals, 30 seconds on 30 seconds off' },
+  { label: 'conditioning', text: 'Beep test to measure aerobic fitness' },
+  { label: 'conditioning', text: 'Agility ladder and cone drills for change of direction speed' },
+  { label: 'conditioning', text: 'Fartlek run with varied pace over 25 minutes' },
+  { label: 'conditioning', text: 'Speed work: acceleration sprints over 10 and 20 metres' },
+  { label: 'conditioning', text: 'Box to box runs to build match fitness' },
+  { label: 'conditioning', text: 'Circuit of burpees, mountain climbers and skipping for stamina' },
+  { label: 'conditioning', text: 'Court sprints and defensive slides for endurance' },
+  { label: 'conditioning', text: 'Reaction sprints to the coach signal' },
+  { label: 'conditioning', text: 'Conditioning block: hill sprints, walk back recovery' },
+  { label: 'conditioning', text: 'Yo-yo intermittent recovery test' },
+  { label: 'conditioning', text: 'Long slow distance run at conversational pace' },
+  { label: 'conditioning', text: 'Repeated jump and sprint intervals to build anaerobic capacity' },
+  { label: 'conditioning', text: 'Footwork and speed circuit around the baseline' },
+  { label: 'conditioning', text: 'Endurance run: 3 km at steady pace' },
+  { label: 'conditioning', text: 'Tabata intervals, eight rounds of 20 seconds work' },
+  { label: 'conditioning', text: 'Speed endurance: 10 x 40m sprints with walk back' },
+  { label: 'conditioning', text: 'Cardio circuit to improve stamina in the second half' },
+  { label: 'conditioning', text: 'Agility cones, T-test and 5-10-5 shuttle' },
+  { label: 'conditioning', text: 'Aerobic intervals, 4 x 4 minutes at high heart rate' },
+  { label: 'conditioning', text: 'Sprint relay races to build speed' },
+  { label: 'conditioning', text: 'Line drills baseline to baseline, rest 30 seconds' },
+  { label: 'conditioning', text: 'Repeated sprints with a ball, recover by walking' },
+  { label: 'conditioning', text: 'Fitness testing: 30m sprint and vertical jump' },
+
+  // strength
+  { label: 'strength', text: 'Squats, lunges and deadlifts, three sets of eight' },
+  { label: 'strength', text: 'Core stability: planks, side planks and dead bugs' },
+  { label: 'strength', text: 'Bodyweight strength circuit with push-ups and pull-ups' },
+  { label: 'strength', text: 'Plyometrics: box jumps and bounding for power' },
+  { label: 'strength', text: 'Nordic hamstring curls for injury prevention' },
+  { label: 'strength', text: 'Resistance band work for the shoulders and rotator cuff' },
+  { label: 'strength', text: 'Gym session: bench press, rows and split squats' },
+  { label: 'strength', text: 'Medicine ball throws for upper body power' },
+  { label: 'strength', text: 'Single leg balance and strength, step-ups and calf raises' },
+  { label: 'strength', text: 'Copenhagen adductor holds and glute bridges' },
+  { label: 'strength', text: 'Weights: power cleans and trap bar deadlifts' },
+  { label: 'strength', text: 'Jump training: depth jumps and landing mechanics' },
+  { label: 'strength', text: 'Strength and conditioning with kettlebell swings and goblet squats' },
+  { label: 'strength', text: 'Core circuit: Russian twists, leg raises and hollow holds' },
+  { label: 'strength', text: 'Upper body strength, dips and chin-ups' },
+  { label: 'strength', text: 'Eccentric calf lowers and hip thrusts' },
+  { label: 'strength', text: 'Functional strength, farmer carries and sled pushes' },
+  { label: 'strength', text: 'Vertical jump power: squat jumps and tuck jumps' },
+  { label: 'strength', text: 'Squat jumps, push-ups and plank circuit' },
+  { label: 'strength', text: 'Hamstring and groin strengthening for injury prevention' },
+  { label: 'strength', text: 'Strength training: three rounds of lunges and step-ups' },
+  { label: 'strength', text: 'Core strength with stability ball rollouts' },
+  { label: 'strength', text: 'Upper body push and pull, rows and overhead press' },
+  { label: 'strength', text: 'Single leg squats and lateral band walks' },
+  { label: 'strength', text: 'Explosive power: broad jumps and bounding' },
+  { label: 'strength', text: 'Weighted carries and sled drags for strength' },
+  { label: 'strength', text: 'Shoulder strengthening with light dumbbells' },
+  { label: 'strength', text: 'Landing mechanics and drop jumps for knee stability' },
+
+  // game_play
+  { label: 'game_play', text: 'Small-sided game 4v4 with mini goals' },
+  { label: 'game_play', text: 'Scrimmage 5v5 full court' },
+  { label: 'game_play', text: 'Match play, 11v11 practice game' },
+  { label: 'game_play', text: 'Conditioned game: two touch maximum' },
+  { label: 'game_play', text: 'Friendly match against the under 14 team' },
+  { label: 'game_play', text: 'Play sets to 15 with rotation after each point' },
+  { label: 'game_play', text: '3v3 half court games, winners stay on' },
+  { label: 'game_play', text: 'Tiebreak match play to practise scoring under pressure' },
+  { label: 'game_play', text: 'End with a 7v7 game on a reduced pitch' },
+  { label: 'game_play', text: 'Competitive scrimmage with the coach as referee' },
+  { label: 'game_play', text: 'Possession game, team with most passes wins' },
+  { label: 'game_play', text: 'Game day: league fixture, kick off at 10:00' },
+  { label: 'game_play', text: 'King of the court, winners move up a court' },
+  { label: 'game_play', text: 'Free play game to finish the session' },
+  { label: 'game_play', text: 'Tournament style mini matches, five minutes each' },
+  { label: 'game_play', text: 'Attack versus defence game with scoring zones' },
+  { label: 'game_play', text: 'Queen of the court doubles games' },
+  { label: 'game_play', text: 'Full sided match with the focus applied' },
+  { label: 'game_play', text: '6v6 game with the condition that every player must touch the ball' },
+  { label: 'game_play', text: 'Finish with a match between the two groups' },
+  { label: 'game_play', text: 'Scrimmage to 21 points, rotate teams' },
+  { label: 'game_play', text: 'Small sided games 3v3 on a narrow pitch' },
+  { label: 'game_play', text: 'Practice match, coaches observe and give feedback' },
+  { label: 'game_play', text: 'Play doubles sets with the serving rule' },
+  { label: 'game_play', text: 'End of session game: first to three goals wins' },
+  { label: 'game_play', text: 'Full court five on five scrimmage' },
+  { label: 'game_play', text: 'Conditioned match, goals only count after five passes' },
+  { label: 'game_play', text: 'Round robin mini tournament with all groups' },
+
+  // cool_down
+  { label: 'cool_down', text: 'Cool down: easy jog and static stretching' },
+  { label: 'cool_down', text: 'Static stretches for hamstrings, quads and calves' },
+  { label: 'cool_down', text: 'Foam rolling and light mobility to finish' },
+  { label: 'cool_down', text: 'Walk a lap, deep breathing and stretch' },
+  { label: 'cool_down', text: 'Recovery: gentle stretching and hydration' },
+  { label: 'cool_down', text: 'Yoga flow for flexibility after the session' },
+  { label: 'cool_down', text: 'Cool-down and team talk about the session' },
+  { label: 'cool_down', text: 'Hold each stretch for 30 seconds, both sides' },
+  { label: 'cool_down', text: 'Slow jog then lower back and hip flexor stretches' },
+  { label: 'cool_down', text: 'Wind down with light passing and stretching' },
+  { label: 'cool_down', text: 'Recovery session: pool walking and stretching' },
+  { label: 'cool_down', text: 'Post training stretch routine and ice bath' },
+  { label: 'cool_down', text: 'Breathing exercises and shoulder stretches' },
+  { label: 'cool_down', text: 'Relaxed stretching circle, reflect on what we learned' },
+  { label: 'cool_down', text: 'Lower heart rate with a walk, then calf and groin stretches' },
+  { label: 'cool_down', text: 'Mobility and flexibility work to finish the day' },
+  { label: 'cool_down', text: 'Final 10 minutes cool down and stretching' },
+  { label: 'cool_down', text: 'Active recovery with light cycling and stretching' },
+  { label: 'cool_down', text: 'Cool down walk and stretch the hamstrings' },
+  { label: 'cool_down', text: 'Ten minutes of stretching and foam rolling' },
+  { label: 'cool_down', text: 'Easy jog to cool down, then quad and calf stretches' },
+  { label: 'cool_down', text: 'Finish with yoga poses and deep breathing' },
+  { label: 'cool_down', text: 'Stretch the shoulders, back and hips before leaving' },
+  { label: 'cool_down', text: 'Cool down: light passing and static stretches' },
+  { label: 'cool_down', text: 'Relaxation and stretching at the end of practice' },
+  { label: 'cool_down', text: 'Recovery stretching on the mats' },
+  { label: 'cool_down', text: 'Slow down the heart rate, walk and stretch' },
+  { label: 'cool_down', text: 'Static stretching routine, hold for 20 seconds' },
+
+  // logistics
+  { label: 'logistics', text: 'Equipment needed: cones, bibs, balls and two goals' },
+  { label: 'logistics', text: 'Training takes place on Tuesday and Thursday at 5pm' },
+  { label: 'logistics', text: 'Parents please bring water bottles and shin pads' },
+  { label: 'logistics', text: 'Contact the coach on the number below for absences' },
+  { label: 'logistics', text: 'Location: main field behind the school' },
+  { label: 'logistics', text: 'Session schedule and weekly timetable' },
+  { label: 'logistics', text: 'Registration fees are due before the first session' },
+  { label: 'logistics', text: 'Kit: club shirt, black shorts, white socks' },
+  { label: 'logistics', text: 'Arrive fifteen minutes early to set up' },
+  { label: 'logistics', text: 'Players aged 10-12, maximum 16 per group' },
+  { label: 'logistics', text: 'Materials required: ladders, hurdles and markers' },
+  { label: 'logistics', text: 'The academy is closed on public holidays' },
+  { label: 'logistics', text: 'Transport to away games leaves from the car park' },
+  { label: 'logistics', text: 'Coaching staff: head coach and two assistants' },
+  { label: 'logistics', text: 'Program overview and objectives for the season' },
+  { label: 'logistics', text: 'Sign the consent form and medical information sheet' },
+  { label: 'logistics', text: 'Indoor hall booked from 18:00 to 19:30' },
+  { label: 'logistics', text: 'Table of contents and introduction to the plan' },
+  { label: 'logistics', text: 'Please register online before the start of the season' },
+  { label: 'logistics', text: 'Sessions are held every Monday and Wednesday from 16:00' },
+  { label: 'logistics', text: 'What to bring: water, boots, shin guards and a jacket' },
+  { label: 'logistics', text: 'Venue: community sports centre, court 2' },
+  { label: 'logistics', text: 'Coach contact details and emergency procedures' },
+  { label: 'logistics', text: 'Equipment list: 20 balls, 30 cones, bibs in three colours' },
+  { label: 'logistics', text: 'Payment of monthly fees is due on the first of the month' },
+  { label: 'logistics', text: 'Group sizes and age groups for the term' },
+  { label: 'logistics', text: 'Pick up players from the main gate after training' },
+  { label: 'logistics', text: 'Term dates, holidays and cancelled sessions' }
+];
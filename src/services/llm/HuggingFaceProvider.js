@@ -0,0 +1,100 @@
+//src/services/llm/HuggingFaceProvider.js
+import { HfInference } from '@huggingface/inference';
+import PlatformUtils from '../../utils/PlatformUtils';
+
+// Tried in order when the configured model has no inference provider
+const FALLBACK_MODELS = ['distilgpt2', 'gpt2-medium', 'facebook/opt-125m', 'EleutherAI/gpt-neo-125M'];
+
+class HuggingFaceProvider {
+  constructor() {
+    this.id = 'huggingface';
+    this.name = 'Hugging Face';
+    this.description = 'Hosted models through the Hugging Face Inference API';
+    this.generative = true;
+    // The key is kept under huggingface_api_key by AIService.setApiKey
+    this.storesApiKey = false;
+    this.streaming = true;
+    this.defaults = { model: 'distilgpt2', timeout: 30000, stream: false, apiKey: null };
+    this.clients = new Map();
+  }
+
+  isConfigured(config) {
+    return !!config.apiKey && !!config.model;
+  }
+
+  client(config) {
+    if (!this.clients.has(config.apiKey)) {
+      this.clients.clear();
+      this.clients.set(config.apiKey, new HfInference(config.apiKey));
+    }
+    return this.clients.get(config.apiKey);
+  }
+
+  buildArgs(request, config, model = config.model) {
+    return {
+      model,
+      inputs: request.prompt,
+      parameters: this.compact({
+        max_new_tokens: request.maxTokens,
+        temperature: request.temperature,
+        top_p: request.topP,
+        do_sample: request.temperature > 0,
+        stop: request.stop,
+        return_full_text: false
+      })
+    };
+  }
+
+  async complete(request, config, signal) {
+    const response = await this.client(config).textGeneration(this.buildArgs(request, config), { signal });
+    return { text: response?.generated_text ?? response?.[0]?.generated_text ?? '' };
+  }
+
+  async stream(request, config, onToken, signal) {
+    let text = '';
+    for await (const chunk of this.client(config).textGenerationStream(this.buildArgs(request, config), { signal })) {
+      const token = chunk.token?.special ? '' : chunk.token?.text || '';
+      if (token) {
+        text += token;
+        onToken(token, text);
+      }
+    }
+    return { text };
+  }
+
+  // Many small models lose their inference provider without notice, so a
+  // failing model is swapped for the first fallback that still answers
+  async probe(config, signal) {
+    const models = [config.model, ...FALLBACK_MODELS.filter(model => model !== config.model)];
+    let providerOutage = true;
+    let lastError = null;
+
+    for (const model of models) {
+      try {
+        await this.client(config).textGeneration(
+          this.buildArgs({ prompt: 'Hello', maxTokens: 5, temperature: 0 }, config, model),
+          { signal }
+        );
+        return model === config.model ? {} : { model, switchedFrom: config.model };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        if (!error.message?.includes('No Inference Provider')) providerOutage = false;
+        lastError = error;
+      }
+    }
+
+    if (providerOutage) {
+      throw PlatformUtils.createError('Hugging Face inference providers are temporarily unavailable', [
+        'This usually resolves on its own; local AI keeps working meanwhile',
+        'Switch to an OpenAI-compatible endpoint in AI settings'
+      ], 'llm_provider_outage', { provider: this.id });
+    }
+    throw lastError;
+  }
+
+  compact(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+  }
+}
+
+export default new HuggingFaceProvider();
@@ -0,0 +1,171 @@
+//src/services/llm/OpenAICompatibleProvider.js
+import PlatformUtils from '../../utils/PlatformUtils';
+
+// Any server speaking the OpenAI chat completions API: llama.cpp's server,
+// Ollama, LM Studio, vLLM or a hosted gateway
+class OpenAICompatibleProvider {
+  constructor() {
+    this.id = 'openai_compatible';
+    this.name = 'OpenAI-compatible';
+    this.description = 'A self-hosted or hosted server with a /v1/chat/completions endpoint';
+    this.generative = true;
+    this.storesApiKey = true;
+    this.streaming = true;
+    this.defaults = {
+      baseUrl: 'http://localhost:11434/v1',
+      model: 'llama3.2',
+      apiKey: null,
+      timeout: 60000,
+      stream: true,
+      systemPrompt: 'You are an experienced youth sports coach. Answer briefly and practically.'
+    };
+  }
+
+  isConfigured(config) {
+    return !!config.baseUrl && !!config.model;
+  }
+
+  url(config, path) {
+    return `${String(config.baseUrl).replace(/\/+$/, '')}${path}`;
+  }
+
+  headers(config) {
+    return {
+      'Content-Type': 'application/json',
+      ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+    };
+  }
+
+  buildBody(request, config, stream) {
+    const messages = [];
+    if (config.systemPrompt) {
+      messages.push({ role: 'system', content: config.systemPrompt });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    return Object.fromEntries(Object.entries({
+      model: config.model,
+      messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      stop: request.stop,
+      // JSON mode for contract tasks; servers without it ignore the field
+      response_format: request.format === 'json' ? { type: 'json_object' } : undefined,
+      stream
+    }).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  async complete(request, config, signal) {
+    const response = await fetch(this.url(config, '/chat/completions'), {
+      method: 'POST',
+      headers: this.headers(config),
+      body: JSON.stringify(this.buildBody(request, config, false)),
+      signal
+    });
+    await this.assertOk(response, config);
+
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model,
+      usage: data.usage || null
+    };
+  }
+
+  // Server-sent events, one "data: {...}" line per token chunk
+  async stream(request, config, onToken, signal) {
+    const response = await fetch(this.url(config, '/chat/completions'), {
+      method: 'POST',
+      headers: this.headers(config),
+      body: JSON.stringify(this.buildBody(request, config, true)),
+      signal
+    });
+    await this.assertOk(response, config);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || !data || data === '[DONE]') continue;
+
+        const token = this.parseChunk(data)?.choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken(token, text);
+        }
+      }
+    }
+
+    return { text };
+  }
+
+  // Some servers send keep-alive comments or partial lines between chunks;
+  // anything that is not JSON is skipped instead of ending the stream
+  parseChunk(data) {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      PlatformUtils.logDebugInfo('Skipped unreadable stream chunk', { chunk: data.substring(0, 80) });
+      return null;
+    }
+  }
+
+  // Ollama lists "llama3.2:latest" for a model pulled as "llama3.2"
+  async probe(config, signal) {
+    const response = await fetch(this.url(config, '/models'), {
+      headers: this.headers(config),
+      signal
+    });
+    await this.assertOk(response, config);
+
+    const data = await response.json();
+    const models = (data.data || []).map(model => model.id);
+    const loaded = models.some(id => id === config.model || id === `${config.model}:latest`);
+
+    if (models.length > 0 && !loaded) {
+      throw PlatformUtils.createError(`Model "${config.model}" is not available on ${config.baseUrl}`, [
+        `Available models: ${models.slice(0, 5).join(', ')}`,
+        'Pull or load the model on the server, or pick one of the available models'
+      ], 'llm_model_missing', { provider: this.id, models });
+    }
+
+    return { models };
+  }
+
+  async assertOk(response, config) {
+    if (response.ok) return;
+
+    let detail = '';
+    try {
+      detail = (await response.text()).substring(0, 200);
+    } catch (error) {
+      // Body is only used for the message
+    }
+
+    const suggestions = {
+      401: ['Check the API key for this endpoint'],
+      403: ['Check the API key for this endpoint'],
+      404: [`Check the base URL; most servers expect it to end in /v1 (currently ${config.baseUrl})`]
+    }[response.status] || ['Check that the model server is running and reachable from this device'];
+
+    throw PlatformUtils.createError(`${this.name} endpoint returned ${response.status}`, suggestions, 'llm_provider_error', {
+      provider: this.id,
+      status: response.status,
+      detail
+    });
+  }
+}
+
+export default new OpenAICompatibleProvider();
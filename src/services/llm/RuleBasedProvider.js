@@ -0,0 +1,25 @@
+//src/services/llm/RuleBasedProvider.js
+
+// Selecting this keeps AIService on its TensorFlow and rule-based paths and
+// never sends plan content off the device
+class RuleBasedProvider {
+  constructor() {
+    this.id = 'rule_based';
+    this.name = 'Rule-based engine';
+    this.description = 'No language model; plans are enhanced with built-in coaching rules';
+    this.generative = false;
+    this.storesApiKey = false;
+    this.streaming = false;
+    this.defaults = { model: 'rules', timeout: 0, stream: false };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async probe() {
+    return {};
+  }
+}
+
+export default new RuleBasedProvider();
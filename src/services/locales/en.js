@@ -0,0 +1,41 @@
+//src/services/locales/en.js
+
+// English plan vocabulary; merged into every other pack as the fallback
+export default {
+  code: 'en',
+  name: 'English',
+  weekWords: ['week', 'wk'],
+  dayWords: ['day'],
+  sessionWords: ['session', 'practice', 'workout'],
+  numberJoiners: [],
+  days: {
+    monday: ['monday'],
+    tuesday: ['tuesday'],
+    wednesday: ['wednesday'],
+    thursday: ['thursday'],
+    friday: ['friday'],
+    saturday: ['saturday'],
+    sunday: ['sunday']
+  },
+  dayAbbreviations: {
+    monday: ['mon'],
+    tuesday: ['tue', 'tues'],
+    wednesday: ['wed'],
+    thursday: ['thu', 'thur', 'thurs'],
+    friday: ['fri'],
+    saturday: ['sat'],
+    sunday: ['sun']
+  },
+  minuteUnits: ['minutes', 'minute', 'mins', 'min'],
+  hourUnits: ['hours', 'hour', 'hrs', 'hr'],
+  timeRules: [
+    {
+      pattern: '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)\\b',
+      toTime: match => {
+        const hour = parseInt(match[1], 10) % 12;
+        return [match[3].toLowerCase() === 'pm' ? hour + 12 : hour, parseInt(match[2] || '0', 10)];
+      }
+    }
+  ],
+  markers: ['the', 'and', 'with', 'for', 'of', 'players', 'training', 'drills', 'warm']
+};
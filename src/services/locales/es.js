@@ -0,0 +1,43 @@
+//src/services/locales/es.js
+
+// Spanish: "Semana 1", "Lunes", "45 minutos", "6 de la tarde"
+export default {
+  code: 'es',
+  name: 'Español',
+  weekWords: ['semana'],
+  dayWords: ['día', 'dia'],
+  sessionWords: ['sesión', 'sesion', 'entrenamiento'],
+  numberJoiners: [],
+  days: {
+    monday: ['lunes'],
+    tuesday: ['martes'],
+    wednesday: ['miércoles', 'miercoles'],
+    thursday: ['jueves'],
+    friday: ['viernes'],
+    saturday: ['sábado', 'sabado'],
+    sunday: ['domingo']
+  },
+  dayAbbreviations: {
+    monday: ['lun'],
+    tuesday: ['mar'],
+    wednesday: ['mié', 'mie'],
+    thursday: ['jue'],
+    friday: ['vie'],
+    saturday: ['sáb', 'sab'],
+    sunday: ['dom']
+  },
+  minuteUnits: ['minutos', 'minuto', 'min'],
+  hourUnits: ['horas', 'hora', 'h'],
+  // "a las 5h30" is a clock time; a bare "1h30" is a session length
+  timeCues: ['a las'],
+  timeRules: [
+    {
+      pattern: '(\\d{1,2})(?::(\\d{2}))?\\s*(?:de|por)\\s+la\\s+(mañana|manana|tarde|noche)',
+      toTime: match => {
+        const hour = parseInt(match[1], 10) % 12;
+        return [match[3].startsWith('ma') ? hour : hour + 12, parseInt(match[2] || '0', 10)];
+      }
+    }
+  ],
+  markers: ['el', 'los', 'las', 'y', 'con', 'para', 'del', 'jugadores', 'calentamiento', 'ejercicios']
+};
@@ -0,0 +1,45 @@
+//src/services/locales/fr.js
+
+// French: "Semaine 1", "Lundi", "45 min", "18h30"
+export default {
+  code: 'fr',
+  name: 'Français',
+  weekWords: ['semaine'],
+  dayWords: ['jour'],
+  sessionWords: ['séance', 'seance', 'entraînement', 'entrainement'],
+  numberJoiners: [],
+  days: {
+    monday: ['lundi'],
+    tuesday: ['mardi'],
+    wednesday: ['mercredi'],
+    thursday: ['jeudi'],
+    friday: ['vendredi'],
+    saturday: ['samedi'],
+    sunday: ['dimanche']
+  },
+  dayAbbreviations: {
+    monday: ['lun'],
+    tuesday: ['mar'],
+    wednesday: ['mer'],
+    thursday: ['jeu'],
+    friday: ['ven'],
+    saturday: ['sam'],
+    sunday: ['dim']
+  },
+  minuteUnits: ['minutes', 'minute', 'mins', 'min', 'mn'],
+  hourUnits: ['heures', 'heure', 'h'],
+  // Introduces a clock time: "à 5h30" is not a duration
+  timeCues: ['à'],
+  timeRules: [
+    {
+      // "18h30", "à 9h"; a small bare value like "2h" is a duration instead
+      pattern: '(à\\s*)?(\\d{1,2})\\s*h\\s*(\\d{2})?',
+      toTime: match => {
+        const hour = parseInt(match[2], 10);
+        if (hour > 23 || (hour < 6 && !match[1])) return null;
+        return [hour, parseInt(match[3] || '0', 10)];
+      }
+    }
+  ],
+  markers: ['le', 'les', 'et', 'des', 'du', 'avec', 'pour', 'joueurs', 'échauffement', 'exercices']
+};
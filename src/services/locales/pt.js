@@ -0,0 +1,45 @@
+//src/services/locales/pt.js
+
+// Portuguese: "Semana 1", "Segunda-feira", "45 minutos", "18h30"
+export default {
+  code: 'pt',
+  name: 'Português',
+  weekWords: ['semana'],
+  dayWords: ['dia'],
+  sessionWords: ['sessão', 'sessao', 'treino'],
+  numberJoiners: [],
+  days: {
+    monday: ['segunda-feira', 'segunda'],
+    tuesday: ['terça-feira', 'terca-feira', 'terça', 'terca'],
+    wednesday: ['quarta-feira', 'quarta'],
+    thursday: ['quinta-feira', 'quinta'],
+    friday: ['sexta-feira', 'sexta'],
+    saturday: ['sábado', 'sabado'],
+    sunday: ['domingo']
+  },
+  dayAbbreviations: {
+    monday: ['seg'],
+    tuesday: ['ter'],
+    wednesday: ['qua'],
+    thursday: ['qui'],
+    friday: ['sex'],
+    saturday: ['sáb', 'sab'],
+    sunday: ['dom']
+  },
+  minuteUnits: ['minutos', 'minuto', 'min'],
+  hourUnits: ['horas', 'hora', 'h'],
+  // "às 5h30" is a time of day, "1h30" a duration
+  timeCues: ['às'],
+  timeRules: [
+    {
+      // "18h30", "às 9h"; a small bare value like "2h" is a duration instead
+      pattern: '(às\\s*)?(\\d{1,2})\\s*h\\s*(\\d{2})?',
+      toTime: match => {
+        const hour = parseInt(match[2], 10);
+        if (hour > 23 || (hour < 6 && !match[1])) return null;
+        return [hour, parseInt(match[3] || '0', 10)];
+      }
+    }
+  ],
+  markers: ['os', 'as', 'com', 'do', 'da', 'dos', 'não', 'uma', 'jogadores', 'aquecimento', 'exercícios']
+};
@@ -0,0 +1,51 @@
+//src/services/locales/sw.js
+
+// Swahili: "Wiki ya 1", "Jumatatu", "dakika 45", "saa 10 jioni".
+// Swahili clock hours start at sunrise, so saa 1 is 7:00 and saa 10 jioni is 16:00.
+const PERIOD_OFFSETS = { asubuhi: 0, mchana: 12, alasiri: 12, jioni: 12 };
+
+export default {
+  code: 'sw',
+  name: 'Kiswahili',
+  weekWords: ['wiki'],
+  dayWords: ['siku'],
+  sessionWords: ['kipindi', 'mazoezi'],
+  numberJoiners: ['ya'],
+  days: {
+    monday: ['jumatatu'],
+    tuesday: ['jumanne'],
+    wednesday: ['jumatano'],
+    thursday: ['alhamisi'],
+    friday: ['ijumaa'],
+    saturday: ['jumamosi'],
+    sunday: ['jumapili']
+  },
+  dayAbbreviations: {},
+  minuteUnits: ['dakika'],
+  // "saa" alone is a clock time ("saa 10"), so only the plural counts as a duration
+  hourUnits: ['masaa'],
+  // "dakika 45" is as common as "45 dakika"
+  unitFirst: true,
+  timeRules: [
+    {
+      pattern: 'saa\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(asubuhi|mchana|alasiri|jioni|usiku)?',
+      toTime: match => {
+        const swahiliHour = parseInt(match[1], 10);
+        if (swahiliHour < 1 || swahiliHour > 12) return null;
+
+        const hour = (swahiliHour + 6) % 12;
+        const period = (match[3] || '').toLowerCase();
+        let offset = PERIOD_OFFSETS[period] || 0;
+        if (period === 'usiku') {
+          offset = hour >= 7 ? 12 : 0;
+        } else if (!period) {
+          // Without a period, assume daytime training
+          offset = hour < 6 ? 12 : 0;
+        }
+
+        return [hour + offset, parseInt(match[2] || '0', 10)];
+      }
+    }
+  ],
+  markers: ['na', 'ya', 'wa', 'kwa', 'za', 'cha', 'wachezaji', 'mpira', 'timu', 'mazoezi']
+};
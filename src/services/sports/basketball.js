@@ -0,0 +1,52 @@
+//src/services/sports/basketball.js
+
+// Base knowledge (key skills, age progression) comes from AIService.sportsKnowledge
+export default {
+  code: 'basketball',
+  name: 'Basketball',
+  aliases: ['basketball', 'hoops'],
+  skills: {
+    ball_control: ['ball handling', 'handles', 'dribbling', 'dribble', 'crossovers', 'crossover'],
+    passing: ['passing', 'passes', 'pass', 'outlet passes', 'entry passes', 'skip passes'],
+    scoring: ['shooting', 'jump shots', 'layups', 'layup', 'finishing', 'scoring', 'shots', 'shot'],
+    set_piece: ['free throws', 'free throw', 'inbounds plays', 'inbound plays', 'jump balls'],
+    defending: ['defense', 'defence', 'defending', 'help defense', 'closeouts', 'rebounding', 'rebounds', 'boxing out'],
+    tactics: ['offensive sets', 'motion offense', 'pick and roll', 'spacing', 'plays', 'tactics', 'transition'],
+    game_play: ['half-court games', 'scrimmage', 'pickup games', '3v3', '5v5']
+  },
+  equipment: {
+    ball: ['basketballs', 'balls', 'ball'],
+    target: ['hoops', 'baskets', 'hoop', 'rims', 'rim'],
+    surface: ['court', 'half court']
+  },
+  drills: {
+    ball_control: [
+      { name: 'Two-ball dribbling', description: 'Dribble two balls together, then alternating, while walking the length of the court' },
+      { name: 'Cone crossover series', description: 'Attack a line of cones with crossover, between-the-legs and behind-the-back moves' }
+    ],
+    passing: [
+      { name: 'Three-man weave', description: 'Three players pass and run behind the receiver down the court, finishing with a layup' },
+      { name: 'Partner chest and bounce passes', description: 'Pairs pass from the chest and off the floor, stepping into every pass' }
+    ],
+    scoring: [
+      { name: 'Mikan layup drill', description: 'Alternate layups on both sides of the rim without letting the ball touch the floor' },
+      { name: 'Spot shooting around the arc', description: 'Five spots, five shots each, with a rebounder passing back' }
+    ],
+    set_piece: [
+      { name: 'Free throw pressure routine', description: 'Shoot pairs of free throws after a sprint, with the team running for misses' },
+      { name: 'Sideline inbounds plays', description: 'Walk through and then run sideline inbounds sets against live defense' }
+    ],
+    defending: [
+      { name: 'Closeout and contest', description: 'Sprint to a shooter, chop the feet and contest without fouling' },
+      { name: 'Box-out rebounding battle', description: 'Defender boxes out on a missed shot and secures the rebound' }
+    ],
+    tactics: [
+      { name: 'Pick and roll reads', description: 'Ball handler reads the defense off a screen: pull-up, pocket pass or lob' },
+      { name: '5-out motion walkthrough', description: 'Team runs motion offense cuts and screens at walking pace, then full speed' }
+    ],
+    game_play: [
+      { name: '3v3 half-court', description: 'Make-it-take-it games to seven on one basket' },
+      { name: 'Advantage scrimmage', description: 'Transition scrimmage starting 4v3 so the offense must attack the numbers' }
+    ]
+  }
+};
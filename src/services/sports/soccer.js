@@ -0,0 +1,52 @@
+//src/services/sports/soccer.js
+
+// Base knowledge (key skills, age progression) comes from AIService.sportsKnowledge
+export default {
+  code: 'soccer',
+  name: 'Soccer',
+  aliases: ['soccer', 'football', 'futbol'],
+  skills: {
+    ball_control: ['ball control', 'ball mastery', 'close control', 'first touch', 'dribbling', 'dribble', 'juggling'],
+    passing: ['passing', 'passes', 'pass', 'rondos', 'rondo', 'crossing', 'crosses', 'through balls', 'distribution'],
+    scoring: ['shooting', 'finishing', 'goal scoring', 'shots', 'shot', 'volleys'],
+    set_piece: ['set pieces', 'set piece', 'corner kicks', 'corners', 'free kicks', 'penalties', 'throw-ins'],
+    defending: ['defending', 'defence', 'defense', 'tackling', 'tackles', 'pressing', 'marking', 'goalkeeping'],
+    tactics: ['tactics', 'tactical', 'team shape', 'formation', 'positioning', 'possession', 'build-up play'],
+    game_play: ['small-sided games', 'small-sided game', 'small sided games', 'conditioned game', 'scrimmage', 'match play']
+  },
+  equipment: {
+    ball: ['soccer balls', 'footballs', 'balls', 'ball'],
+    target: ['goals', 'mini goals', 'goalposts', 'goal'],
+    surface: ['pitch', 'field']
+  },
+  drills: {
+    ball_control: [
+      { name: 'Cone slalom dribbling', description: 'Dribble through a line of cones using both feet, then accelerate out of the last cone' },
+      { name: 'Box juggling', description: 'Keep the ball up inside a small box, alternating feet and thighs' }
+    ],
+    passing: [
+      { name: 'Rondo 4v1', description: 'Four players keep possession in a square against one defender, two touches maximum' },
+      { name: 'Passing triangles', description: 'Pass and follow around a triangle of cones, switching between one and two touches' }
+    ],
+    scoring: [
+      { name: 'Finishing from crosses', description: 'Wide players cross from both flanks while strikers attack the near and far post' },
+      { name: '1v1 to goal', description: 'Attacker receives at halfway and goes at a defender to finish on goal' }
+    ],
+    set_piece: [
+      { name: 'Corner kick routines', description: 'Rehearse near-post and far-post corner runs with a set delivery' },
+      { name: 'Free kick wall practice', description: 'Strike free kicks over and around a mannequin wall from the edge of the box' }
+    ],
+    defending: [
+      { name: '1v1 defending channel', description: 'Defender jockeys an attacker down a narrow channel and wins the ball without diving in' },
+      { name: 'Pressing triggers', description: 'Unit presses together when the ball goes backwards or a player takes a heavy touch' }
+    ],
+    tactics: [
+      { name: 'Shadow play in formation', description: 'Team moves through its shape without opposition as the coach moves the ball' },
+      { name: 'Build-up from the back', description: 'Goalkeeper and back line play out against a two-player press' }
+    ],
+    game_play: [
+      { name: '4v4 small-sided game', description: 'Small pitch with mini goals, every player involved in attack and defence' },
+      { name: 'Two-touch conditioned game', description: 'Full game where players are limited to two touches' }
+    ]
+  }
+};
@@ -0,0 +1,65 @@
+//src/services/sports/tennis.js
+
+export default {
+  code: 'tennis',
+  name: 'Tennis',
+  aliases: ['tennis'],
+  skills: {
+    ball_control: ['racket control', 'racket skills', 'ball control', 'ball bouncing', 'touch'],
+    passing: ['rallying', 'rally', 'cross-court rallies', 'groundstrokes', 'consistency'],
+    scoring: ['winners', 'volleys', 'volley', 'approach shots', 'overheads', 'smash', 'put-aways'],
+    set_piece: ['return of serve', 'serving', 'serves', 'serve', 'service', 'returns'],
+    defending: ['defending', 'defense', 'defence', 'defensive lobs', 'lobs', 'court coverage', 'retrieving'],
+    tactics: ['point construction', 'patterns of play', 'shot selection', 'court positioning', 'doubles positioning', 'tactics'],
+    game_play: ['match play', 'practice sets', 'tiebreak games', 'points play', 'king of the court']
+  },
+  equipment: {
+    ball: ['tennis balls', 'balls', 'ball'],
+    target: ['target zones', 'targets', 'net'],
+    implement: ['rackets', 'racquets', 'racket', 'racquet'],
+    surface: ['court', 'baseline', 'service box']
+  },
+  drills: {
+    ball_control: [
+      { name: 'Racket bounce ladder', description: 'Bounce the ball up and down on the strings, switching forehand and backhand faces' },
+      { name: 'Mini-tennis touch rally', description: 'Rally inside the service boxes using soft, controlled strokes' }
+    ],
+    passing: [
+      { name: 'Cross-court consistency rally', description: 'Pairs rally cross-court aiming for twenty balls without a miss' },
+      { name: 'Figure-eight groundstrokes', description: 'One player hits cross-court, the other down the line, so both move every ball' }
+    ],
+    scoring: [
+      { name: 'Approach and volley', description: 'Hit an approach shot off a short ball, close the net and finish with a volley' },
+      { name: 'Overhead put-aways', description: 'Feeder lobs, player smashes into target zones' }
+    ],
+    set_piece: [
+      { name: 'Serve to targets', description: 'Serve a basket of balls at cones placed in the corners of each service box' },
+      { name: 'Return of serve blocks', description: 'Receiver blocks returns deep through the middle against live serves' }
+    ],
+    defending: [
+      { name: 'Side-to-side recovery', description: 'Chase wide feeds and recover to the centre mark after every shot' },
+      { name: 'Defensive lob practice', description: 'Under pressure at the net, lift the ball high and deep to reset the point' }
+    ],
+    tactics: [
+      { name: 'Serve plus one patterns', description: 'Serve wide and hit the next ball into the open court' },
+      { name: 'Doubles positioning walkthrough', description: 'Pairs rehearse up-and-back and both-up formations' }
+    ],
+    game_play: [
+      { name: 'King of the court', description: 'Challengers play single points to win the king side of the court' },
+      { name: 'Tiebreak games', description: 'Play first-to-seven tiebreaks, rotating partners' }
+    ]
+  },
+  // Not covered by AIService.sportsKnowledge yet
+  knowledge: {
+    keySkills: ['groundstrokes', 'serve', 'volley', 'footwork', 'point construction'],
+    ageProgression: {
+      '5-7': { focus: 'coordination', duration: 30, complexity: 'very_simple' },
+      '8-10': { focus: 'basic_strokes', duration: 45, complexity: 'simple' },
+      '11-13': { focus: 'technique', duration: 60, complexity: 'moderate' },
+      '14-16': { focus: 'tactics', duration: 75, complexity: 'advanced' },
+      '17+': { focus: 'performance', duration: 90, complexity: 'professional' }
+    },
+    equipment: ['rackets', 'tennis balls', 'cones', 'targets', 'ball basket'],
+    safetyConsiderations: ['shoulder warm-up', 'hydration', 'sun protection', 'court surface check']
+  }
+};
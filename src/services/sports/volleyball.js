@@ -0,0 +1,64 @@
+//src/services/sports/volleyball.js
+
+export default {
+  code: 'volleyball',
+  name: 'Volleyball',
+  aliases: ['volleyball'],
+  skills: {
+    ball_control: ['ball control', 'platform control', 'forearm platform', 'pepper', 'touch'],
+    passing: ['serve receive', 'passing', 'passes', 'pass', 'setting', 'sets', 'forearm passes', 'bump'],
+    scoring: ['attacking', 'attack', 'hitting', 'spiking', 'spike', 'kills', 'tips'],
+    set_piece: ['serving', 'serves', 'serve', 'jump serve', 'float serve'],
+    defending: ['blocking', 'block', 'digging', 'digs', 'floor defense', 'defense', 'defence', 'defending'],
+    tactics: ['rotations', 'rotation', 'offensive systems', '5-1 system', '6-2 system', 'tactics', 'transition'],
+    game_play: ['queen of the court', 'king of the court', 'wash drill', 'scrimmage', '6v6']
+  },
+  equipment: {
+    ball: ['volleyballs', 'balls', 'ball'],
+    target: ['net', 'antennas', 'targets'],
+    surface: ['court', 'attack line', 'end line']
+  },
+  drills: {
+    ball_control: [
+      { name: 'Partner pepper', description: 'Pairs pass, set and hit to each other continuously without letting the ball drop' },
+      { name: 'Wall platform passing', description: 'Forearm pass against a wall, holding the platform still for a count of twenty' }
+    ],
+    passing: [
+      { name: 'Serve receive to target', description: 'Passers take live serves and pass to a setter standing at the target' },
+      { name: 'Setter footwork and sets', description: 'Setter runs from the right-front base to set balls fed from the back court' }
+    ],
+    scoring: [
+      { name: 'Approach and attack lines', description: 'Hitters run a four-step approach and attack sets from the left side' },
+      { name: 'Tip and roll shots', description: 'Attackers alternate hard hits with tips into open zones' }
+    ],
+    set_piece: [
+      { name: 'Serve to zones', description: 'Serve at numbered zones called out by the coach' },
+      { name: 'Pressure serving', description: 'Each player must land five serves in a row before rotating out' }
+    ],
+    defending: [
+      { name: 'Blocking footwork at the net', description: 'Shuffle and cross-over steps along the net, closing the block with a partner' },
+      { name: 'Dig and cover', description: 'Defenders dig coach-driven balls and cover the attacker after the dig' }
+    ],
+    tactics: [
+      { name: '5-1 rotation walkthrough', description: 'Team walks through each rotation, naming responsibilities for serve receive' },
+      { name: 'Transition from defense', description: 'Dig, set and attack in one sequence from a coach-initiated ball' }
+    ],
+    game_play: [
+      { name: 'Queen of the court', description: 'Small teams challenge for the winning side one rally at a time' },
+      { name: 'Wash drill', description: 'Teams must win two rallies in a row to score a point' }
+    ]
+  },
+  // Not covered by AIService.sportsKnowledge yet
+  knowledge: {
+    keySkills: ['passing', 'setting', 'attacking', 'serving', 'blocking'],
+    ageProgression: {
+      '8-10': { focus: 'coordination', duration: 45, complexity: 'very_simple' },
+      '11-12': { focus: 'basic_skills', duration: 60, complexity: 'simple' },
+      '13-14': { focus: 'technique', duration: 75, complexity: 'moderate' },
+      '15-17': { focus: 'systems', duration: 90, complexity: 'advanced' },
+      '18+': { focus: 'performance', duration: 120, complexity: 'professional' }
+    },
+    equipment: ['volleyballs', 'net', 'antennas', 'cones', 'ball cart'],
+    safetyConsiderations: ['finger and wrist warm-up', 'landing technique', 'knee protection', 'net clearance']
+  }
+};
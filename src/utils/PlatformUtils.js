@@ -219,6 +219,58 @@ class PlatformUtils {
     }
   }
 
+  // expo-image-picker works on web too (it falls back to a file input)
+  static async loadImagePicker() {
+    try {
+      const ImagePicker = require('expo-image-picker');
+      return ImagePicker.default || ImagePicker;
+    } catch (error) {
+      console.warn('ImagePicker not available:', error.message);
+      return null;
+    }
+  }
+
+  // Native only: image/video compression and video thumbnails for chat media
+  static async loadMediaCompressor() {
+    if (this.isWeb()) {
+      return null;
+    }
+
+    try {
+      const Compressor = require('react-native-compressor');
+      return Compressor.default || Compressor;
+    } catch (error) {
+      console.warn('Media compressor not available:', error.message);
+      return null;
+    }
+  }
+
+  // Native only, and needs a development build: trimming and frame grabs for
+  // chat video clips
+  static async loadVideoTrimmer() {
+    if (this.isWeb()) {
+      return null;
+    }
+
+    try {
+      return require('react-native-video-trim');
+    } catch (error) {
+      console.warn('Video trimmer not available:', error.message);
+      return null;
+    }
+  }
+
+  // On web expo-sqlite runs on WebAssembly and needs cross-origin isolation
+  static async loadSQLite() {
+    try {
+      const SQLite = require('expo-sqlite');
+      return SQLite.default || SQLite;
+    } catch (error) {
+      console.warn('SQLite not available:', error.message);
+      return null;
+    }
+  }
+
   // Check if module is web incompatible
   static isWebIncompatible(moduleName) {
     const webIncompatibleModules = [
@@ -247,7 +299,11 @@ class PlatformUtils {
         'text/csv',
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/pdf'  // Now properly supported on both platforms
+        'application/pdf',  // Now properly supported on both platforms
+        'application/json',  // Structured training plan interchange files
+        'text/calendar',  // Club season calendars (.ics)
+        'image/jpeg',  // Photographed plans, read with OCR
+        'image/png'
       ];
 
       if (this.isMobile()) {
@@ -447,7 +503,7 @@ static async loadPDFProcessor() {
   static getFileInputAccept() {
     if (!this.isWeb()) return null;
     
-    return '.pdf,.docx,.xlsx,.xls,.csv,.txt,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel,text/csv,text/plain';
+    return '.pdf,.docx,.xlsx,.xls,.csv,.txt,.json,.ics,.jpg,.jpeg,.png,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel,text/csv,text/plain,application/json,text/calendar,image/jpeg,image/png';
   }
 
   // Log platform-specific debug info with enhanced metadata